@@ -2,11 +2,25 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const app = express();
+
+// Behind Vercel's proxy; needed so req.ip is the client address for login throttling
+app.set('trust proxy', 1);
 const { initializeDatabase } = require('./database');
+const logger = require('./services/logger');
+const requestContext = require('./middleware/requestContext');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { registerBackgroundJobs } = require('./services/backgroundJobs');
+const { startWorker } = require('./services/jobQueue');
+const { startScheduler } = require('./services/scheduler');
 
-app.use(cors());
+app.use(requestContext);
+app.use(cors({
+    exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
+}));
 app.use(express.json());
 
+app.use('/', require('./routes/health'));
+
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/protected', require('./routes/protected'));
 app.use('/api/notreallysuperadmin', require('./routes/superAdmin'));
@@ -43,19 +57,51 @@ app.use('/api/comments', require('./routes/comments'));
 app.use('/api/promote', require('./routes/promotion'));
 app.use('/api/graduation', require('./routes/graduation'));
 app.use('/api/acceptance-fees', require('./routes/acceptance-fees'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/docs', require('./routes/docs'));
+app.use('/api/errors', require('./routes/errors'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/grading-schemes', require('./routes/grading-schemes'));
+app.use('/api/assessment-structures', require('./routes/assessment-structures'));
 
 app.get('/', (req, res) => {
     res.json({ message: 'Hello World!' });
 });
 
+app.use('/api', notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 3000;
 
 // Start the server after ensuring the database is initialized
 async function startServer() {
     await initializeDatabase();
     app.listen(PORT, () => {
-        console.log(`Node server running on port ${PORT}`);
+        logger.info(`Node server running on port ${PORT}`, { port: Number(PORT) });
     });
+
+    // Set JOBS_WORKER_ENABLED=false on instances that shouldn't run background jobs (or where
+    // `npm run jobs:run` is called from cron instead)
+    if (process.env.JOBS_WORKER_ENABLED !== 'false') {
+        registerBackgroundJobs();
+        startWorker();
+        startScheduler();
+    }
+}
+
+// The integration tests start the app themselves against a throwaway database
+if (process.env.NODE_ENV !== 'test') {
+    // A rejected promise no handler awaited is logged (and recorded in the error sink) rather than
+    // taking the server down; an uncaught exception leaves the process in an unknown state, so it exits
+    process.on('unhandledRejection', reason => {
+        logger.error('Unhandled promise rejection:', reason instanceof Error ? reason : new Error(String(reason)));
+    });
+    process.on('uncaughtException', err => {
+        logger.error('Uncaught exception, exiting:', err);
+        process.exit(1);
+    });
+
+    startServer();
 }
 
-startServer();
+module.exports = app;
@@ -1,26 +1,58 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../database');
+const { isSessionActive } = require('../services/sessionService');
+const { isEnforcedFor } = require('../services/twoFactorService');
+const { getUserRoleNames } = require('../services/lookupService');
+const logger = require('../services/logger');
+
+// The only routes a user flagged with must_change_password may call
+const PASSWORD_CHANGE_ALLOWED = ['/api/auth/change-password', '/api/auth/logout', '/api/auth/logout-all'];
+// The only routes an Admin/SuperAdmin without two-factor enrolled may call
+const TWO_FACTOR_SETUP_ALLOWED = ['/api/auth/2fa/status', '/api/auth/2fa/setup', '/api/auth/2fa/enable', '/api/auth/change-password', '/api/auth/logout', '/api/auth/logout-all'];
+
 module.exports = async function(req, res, next) {
     const token = req.header('x-auth-token');
-    console.log("Authenticating a users...");
 
     if (!token) {
         return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(400).json({ message: 'Token is not valid' });
+    }
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Tokens issued before sessions existed carry no sid and can't be revoked, so they're refused
+        if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+            return res.status(401).json({ message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+        }
+
         const [users] = await pool.query('SELECT * FROM users WHERE id = ?', [decoded.id]);
         if (users.length === 0) {
-            console.log("error finding this users");
             return res.status(401).json({ message: 'User not found' });
         }
         req.user = users[0];
-        const [rolesResult] = await pool.query('SELECT r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [req.user.id]);
-        req.user.roles = rolesResult.map(r => r.name);
-        console.log("User authenticated successfully");
+        req.sessionId = decoded.sid;
+        req.user.roles = await getUserRoleNames(req.user.id);
+        logger.context().userId = req.user.id;
+
+        const requestPath = req.baseUrl + req.path;
+        if (req.user.must_change_password && !PASSWORD_CHANGE_ALLOWED.includes(requestPath)) {
+            return res.status(403).json({ message: 'You must change your password before continuing', code: 'PASSWORD_CHANGE_REQUIRED' });
+        }
+        if (!req.user.two_factor_enabled && isEnforcedFor(req.user.roles) && !TWO_FACTOR_SETUP_ALLOWED.includes(requestPath)) {
+            return res.status(403).json({ message: 'Two-factor authentication must be set up for your account', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+        }
+
         next();
     } catch (e) {
-        res.status(400).json({ message: 'Token is not valid' });
+        logger.error('Authentication error:', e);
+        res.status(500).json({ message: 'Server error' });
     }
 };
@@ -1,5 +1,8 @@
+const { getEffectivePermissions, isKnownPermission } = require('../services/permissionService');
+const logger = require('../services/logger');
+
 const authorize = (roles) => {
-    return (req, res, next) => {
+    const middleware = (req, res, next) => {
         if (!req.user || !req.user.roles) {
             return res.status(403).json({ message: 'Access denied. No user roles found.' });
         }
@@ -11,6 +14,39 @@ const authorize = (roles) => {
 
         next();
     };
+    // Read by the OpenAPI generator to document who may call the route
+    middleware.roles = roles;
+    return middleware;
+};
+
+// Permission-based check: passes when the user's role defaults or staff overrides grant the permission
+authorize.can = (permission) => {
+    if (!isKnownPermission(permission)) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+
+    const middleware = async (req, res, next) => {
+        if (!req.user || !req.user.roles) {
+            return res.status(403).json({ message: 'Access denied. No user roles found.' });
+        }
+
+        try {
+            if (!req.user.permissions) {
+                req.user.permissions = await getEffectivePermissions(req.user.id, req.user.roles);
+            }
+        } catch (err) {
+            logger.error('Error resolving permissions:', err);
+            return res.status(500).json({ message: 'Server error' });
+        }
+
+        if (!req.user.permissions.includes(permission)) {
+            return res.status(403).json({ message: `Access denied. Missing permission: ${permission}` });
+        }
+
+        next();
+    };
+    middleware.permission = permission;
+    return middleware;
 };
 
 module.exports = authorize;
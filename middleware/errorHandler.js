@@ -0,0 +1,88 @@
+const logger = require('../services/logger');
+
+/**
+ * An error with the HTTP status (and optional machine-readable code) to answer with.
+ * Throw it, or pass it to next(), from a handler or service and the error handler replies with it.
+ *
+ *     throw new HttpError(404, 'Student not found');
+ *     next(new HttpError(409, 'Term already closed', 'TERM_CLOSED'));
+ */
+class HttpError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        if (code) this.code = code;
+    }
+}
+
+// MySQL errors that are the caller's fault, with the status and message they map to
+const MYSQL_ERRORS = {
+    ER_DUP_ENTRY: [409, 'A record with these details already exists'],
+    ER_NO_REFERENCED_ROW: [422, 'A referenced record does not exist'],
+    ER_NO_REFERENCED_ROW_2: [422, 'A referenced record does not exist'],
+    ER_ROW_IS_REFERENCED: [409, 'The record is still in use by other records'],
+    ER_ROW_IS_REFERENCED_2: [409, 'The record is still in use by other records'],
+    ER_DATA_TOO_LONG: [422, 'A value is too long'],
+    ER_TRUNCATED_WRONG_VALUE: [422, 'A value has the wrong format'],
+};
+
+/**
+ * Status, message and code to answer with for an error, or null when it is unexpected (a 500).
+ */
+function classify(err) {
+    if (err instanceof HttpError) return { status: err.status, message: err.message, code: err.code };
+
+    // Raised by express.json() before any handler runs
+    if (err.type === 'entity.parse.failed') return { status: 400, message: 'Request body is not valid JSON' };
+    if (err.type === 'entity.too.large') return { status: 413, message: 'Request body is too large' };
+
+    if (err.name === 'TokenExpiredError') return { status: 401, message: 'Token expired', code: 'TOKEN_EXPIRED' };
+    if (err.name === 'JsonWebTokenError') return { status: 400, message: 'Token is not valid' };
+
+    if (MYSQL_ERRORS[err.code]) {
+        const [status, message] = MYSQL_ERRORS[err.code];
+        return { status, message, code: err.code };
+    }
+
+    // Other errors that carry a client status (4xx) from the library that raised them
+    const status = err.status || err.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 500) return { status, message: err.message };
+
+    return null;
+}
+
+/**
+ * 404 for /api paths no router answered.
+ */
+function notFound(req, res) {
+    res.status(404).json({ success: false, message: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, requestId: req.id });
+}
+
+/**
+ * Central error handler, mounted after every router. Known errors get their status; anything else
+ * is logged (which also records it in the error sink) and answered with a generic 500.
+ * Every error response carries the request id so a report can be matched to the logs.
+ * Express needs all four arguments to treat this as an error handler, even though next is unused.
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        logger.error('Error after the response was sent:', err);
+        return res.end();
+    }
+
+    const known = classify(err);
+    if (known) {
+        if (known.status >= 500) logger.error(err.message, err);
+        else logger.warn('Request rejected', { status: known.status, reason: known.message });
+
+        const body = { success: false, message: known.message, requestId: req.id };
+        if (known.code) body.code = known.code;
+        return res.status(known.status).json(body);
+    }
+
+    logger.error('Unhandled error:', err);
+    res.status(500).json({ success: false, message: 'Server error', requestId: req.id });
+}
+
+module.exports = { HttpError, notFound, errorHandler, classify };
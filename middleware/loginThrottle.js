@@ -0,0 +1,48 @@
+const { buildAttempt, checkLoginAllowed, recordFailure, recordSuccess } = require('../services/loginProtectionService');
+const logger = require('../services/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Guards a login route against brute force. Refuses locked accounts and noisy IPs, slows down
+ * repeated failures, and attaches req.loginAttempt with recordFailure/recordSuccess helpers
+ * that the route calls once it knows the outcome.
+ * @param {string} identifierField body field holding the login id (email or student_id)
+ */
+const loginThrottle = (identifierField) => {
+    return async (req, res, next) => {
+        const identifier = req.body[identifierField];
+        if (!identifier) {
+            return next();
+        }
+
+        const attempt = buildAttempt(req, identifier);
+
+        try {
+            const check = await checkLoginAllowed(attempt.identifier, attempt.ipAddress);
+
+            if (!check.allowed) {
+                res.set('Retry-After', String(check.retryAfterSeconds));
+                const message = check.reason === 'account'
+                    ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+                    : 'Too many failed login attempts from this network. Please try again later.';
+                return res.status(429).json({ success: false, message, retryAfterSeconds: check.retryAfterSeconds });
+            }
+
+            if (check.delayMs > 0) {
+                await sleep(check.delayMs);
+            }
+        } catch (err) {
+            logger.error('Login throttle error:', err);
+            return res.status(500).json({ success: false, message: 'Server error' });
+        }
+
+        req.loginAttempt = {
+            recordFailure: (reason, userId) => recordFailure(attempt, reason, userId),
+            recordSuccess: (userId) => recordSuccess(attempt, userId),
+        };
+        next();
+    };
+};
+
+module.exports = loginThrottle;
@@ -0,0 +1,96 @@
+const { getStore } = require('../services/rateLimitStore');
+const logger = require('../services/logger');
+
+// Named quotas. `key` decides who shares a counter: 'ip' for public routes, 'user' for routes
+// behind auth (falls back to the IP when nobody is signed in). Counters are kept per route, so two
+// routes with the same policy don't eat into each other's quota.
+// Override one with RATE_LIMIT_<NAME>=<limit>/<window seconds>, e.g. RATE_LIMIT_AI=5/3600.
+const POLICIES = {
+    // Cheap public reads (branch lists, default skills, upcoming exams). Whole computer labs share
+    // one address during CBT exams, so this stays generous
+    public: { limit: 300, windowSeconds: 60, key: 'ip' },
+    // Password reset requests and token refreshes
+    account: { limit: 20, windowSeconds: 15 * 60, key: 'ip' },
+    // Public enrollment forms, each creating records and sending emails
+    enrollment: { limit: 20, windowSeconds: 60 * 60, key: 'ip' },
+    // Paystack initialize/verify, each calling Paystack
+    payment: { limit: 30, windowSeconds: 15 * 60, key: 'ip' },
+    // Gemini calls, billed per request
+    ai: { limit: 20, windowSeconds: 60 * 60, key: 'user' },
+};
+
+function policyFor(name) {
+    const base = POLICIES[name];
+    if (!base) throw new Error(`Unknown rate limit policy "${name}"`);
+
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    const match = override && override.match(/^(\d+)\/(\d+)$/);
+    if (override && !match) {
+        logger.warn(`Ignoring RATE_LIMIT_${name.toUpperCase()}="${override}", expected <limit>/<window seconds>`);
+    }
+    return match ? { ...base, limit: Number(match[1]), windowSeconds: Number(match[2]) } : base;
+}
+
+function clientKey(req, key) {
+    if (typeof key === 'function') return key(req);
+    if (key === 'user' && req.user) return `user:${req.user.id}`;
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Limit how often one client may call a route. Every response carries the RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (seconds) headers plus RateLimit-Policy; over the limit
+ * the route answers 429 with Retry-After.
+ *
+ *     router.post('/summary', [auth, rateLimit('ai'), validate(schemas.summarize)], ...)
+ *
+ * Put it after auth for 'user' policies. Set RATE_LIMIT_ENABLED=false to turn every limit off.
+ * If the store fails the request is let through: an outage of the counter store must not take
+ * the API down with it.
+ * @param {string} name key of POLICIES
+ */
+const rateLimit = (name) => {
+    const policy = policyFor(name);
+    const windowMs = policy.windowSeconds * 1000;
+
+    const middleware = async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') {
+            return next();
+        }
+
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+        let result;
+        try {
+            result = await getStore().hit(`${name}:${req.method} ${route}:${clientKey(req, policy.key)}`, windowMs);
+        } catch (err) {
+            logger.error('Rate limit store error:', err);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(policy.limit),
+            'RateLimit-Remaining': String(Math.max(0, policy.limit - result.count)),
+            'RateLimit-Reset': String(resetSeconds),
+            'RateLimit-Policy': `${policy.limit};w=${policy.windowSeconds}`,
+        });
+
+        if (result.count > policy.limit) {
+            logger.warn('Rate limit exceeded', { policy: name, route, key: policy.key });
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later.',
+                retryAfterSeconds: resetSeconds,
+            });
+        }
+        next();
+    };
+
+    // Read by the OpenAPI generator to document the 429
+    middleware.rateLimit = { name, ...policy };
+    return middleware;
+};
+
+module.exports = rateLimit;
+module.exports.POLICIES = POLICIES;
@@ -0,0 +1,42 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// An incoming X-Request-Id is reused (so a proxy's or client's id carries through) only if it looks like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Route pattern that answered, e.g. /api/students/:id, or "unmatched" when no route did
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl}${req.route.path}`.replace(/(.)\/+$/, '$1');
+}
+
+/**
+ * Give every request a correlation id, echo it in the X-Request-Id response header and attach it
+ * to everything logged while the request is handled. Once the response has been sent, one access
+ * line is logged and the request is counted in the /metrics request metrics.
+ */
+module.exports = function requestContext(req, res, next) {
+    const incoming = req.header('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        metrics.recordRequest({ method: req.method, route: routeLabel(req), status: res.statusCode, durationSeconds: durationMs / 1000 });
+
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs,
+            userId: req.user ? req.user.id : undefined,
+        };
+        if (res.statusCode >= 500) logger.warn('Request failed', fields);
+        else logger.info('Request completed', fields);
+    });
+
+    logger.runWithContext({ requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0] }, next);
+};
@@ -0,0 +1,214 @@
+// Schema-based request validation.
+//
+// A schema lists the expected fields per request part:
+//
+//     validate({
+//         params: { id: field.uuid() },
+//         query: { term_id: field.uuid().optional() },
+//         body: { amount: field.number({ min: 0 }), due_date: field.date().optional() },
+//     })
+//
+// Fields are required unless marked .optional(). Values are coerced in place (query strings to
+// numbers and booleans, enums to their canonical spelling, dates to YYYY-MM-DD), so handlers can
+// rely on the declared types. Fields a schema doesn't mention are passed through untouched.
+// Any failure answers 422 with one entry per bad field.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+class Field {
+    constructor(type, check, options = {}) {
+        this.type = type;
+        this.check = check;
+        this.options = options;
+        this.isOptional = false;
+        this.isNullable = false;
+    }
+
+    // May be left out entirely
+    optional() {
+        this.isOptional = true;
+        return this;
+    }
+
+    // May be sent as null (or an empty string), e.g. to clear a column
+    nullable() {
+        this.isNullable = true;
+        return this;
+    }
+
+    /**
+     * Check one value. Returns { value } with the coerced value, or { error } with a message.
+     */
+    run(value) {
+        if (value === undefined) {
+            return this.isOptional ? { value } : { error: 'is required' };
+        }
+        if (value === null || (value === '' && this.type !== 'string')) {
+            if (this.isNullable) return { value: null };
+            return this.isOptional && value === '' ? { value: undefined } : { error: 'is required' };
+        }
+        return this.check(value, this.options);
+    }
+}
+
+function stringCheck(value, { min, max, pattern, message, trim = true }) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+    const result = trim ? String(value).trim() : String(value);
+    if (min !== undefined && result.length < min) {
+        return { error: min === 1 ? 'must not be empty' : `must be at least ${min} characters` };
+    }
+    if (max !== undefined && result.length > max) return { error: `must be at most ${max} characters` };
+    if (pattern && !pattern.test(result)) return { error: message || 'has an invalid format' };
+    return { value: result };
+}
+
+function numberCheck(value, { min, max, integer }) {
+    const result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+        return { error: integer ? 'must be an integer' : 'must be a number' };
+    }
+    if (integer && !Number.isInteger(result)) return { error: 'must be an integer' };
+    if (min !== undefined && result < min) return { error: `must be at least ${min}` };
+    if (max !== undefined && result > max) return { error: `must be at most ${max}` };
+    return { value: result };
+}
+
+function booleanCheck(value) {
+    if (value === true || value === 'true' || value === 1 || value === '1') return { value: true };
+    if (value === false || value === 'false' || value === 0 || value === '0') return { value: false };
+    return { error: 'must be true or false' };
+}
+
+function dateCheck(value) {
+    if (typeof value !== 'string' && !(value instanceof Date)) return { error: 'must be a date (YYYY-MM-DD)' };
+    // Full timestamps are accepted and cut down to their calendar date
+    const text = value instanceof Date ? value.toISOString() : value.trim();
+    const match = text.substring(0, 10).match(DATE_PATTERN);
+    if (!match || (text.length > 10 && !/^[T ]/.test(text.substring(10)))) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return { error: 'is not a valid date' };
+    }
+    return { value: match[0] };
+}
+
+function datetimeCheck(value) {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value.trim().replace(' ', 'T')).getTime())) {
+        return { error: 'must be a date and time' };
+    }
+    return { value: value.trim() };
+}
+
+function enumCheck(value, { values }) {
+    const match = values.find(allowed => String(allowed).toLowerCase() === String(value).trim().toLowerCase());
+    if (match === undefined) return { error: `must be one of: ${values.join(', ')}` };
+    return { value: match };
+}
+
+function arrayCheck(value, { of, min, max }, path, errors) {
+    // A single query-string value arrives as a string rather than an array
+    const list = Array.isArray(value) ? value : typeof value === 'string' && of ? [value] : null;
+    if (!list) return { error: 'must be an array' };
+    if (min !== undefined && list.length < min) {
+        return { error: min === 1 ? 'must not be empty' : `must have at least ${min} items` };
+    }
+    if (max !== undefined && list.length > max) return { error: `must have at most ${max} items` };
+    if (!of) return { value: list };
+
+    return { value: list.map((item, index) => checkValue(of, item, `${path}[${index}]`, errors)) };
+}
+
+function objectCheck(value, { shape }, path, errors) {
+    if (typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+    if (!shape) return { value };
+    return { value: checkObject(shape, value, path, errors) };
+}
+
+function checkValue(fieldSchema, value, path, errors) {
+    const result = fieldSchema.type === 'array' || fieldSchema.type === 'object'
+        ? (value === undefined || value === null ? fieldSchema.run(value) : fieldSchema.check(value, fieldSchema.options, path, errors))
+        : fieldSchema.run(value);
+
+    if (result.error) {
+        errors.push({ field: path, message: result.error });
+        return value;
+    }
+    return result.value;
+}
+
+function checkObject(shape, source, prefix, errors) {
+    const output = { ...source };
+    for (const [name, fieldSchema] of Object.entries(shape)) {
+        const path = prefix ? `${prefix}.${name}` : name;
+        const value = checkValue(fieldSchema, source[name], path, errors);
+        if (value === undefined) {
+            delete output[name];
+        } else {
+            output[name] = value;
+        }
+    }
+    return output;
+}
+
+const field = {
+    string: (options = {}) => new Field('string', stringCheck, options),
+    // A string that must contain something other than whitespace; an empty one counts as missing
+    text: (options = {}) => new Field('text', stringCheck, { min: 1, ...options }),
+    email: (options = {}) => new Field('email', stringCheck, { max: 255, ...options, pattern: EMAIL_PATTERN, message: 'must be a valid email address' }),
+    uuid: () => new Field('uuid', stringCheck, { pattern: UUID_PATTERN, message: 'must be a valid ID' }),
+    number: (options = {}) => new Field('number', numberCheck, options),
+    integer: (options = {}) => new Field('number', numberCheck, { ...options, integer: true }),
+    boolean: () => new Field('boolean', booleanCheck),
+    date: () => new Field('date', dateCheck),
+    datetime: () => new Field('datetime', datetimeCheck),
+    enum: (values) => new Field('enum', enumCheck, { values }),
+    array: (of, options = {}) => new Field('array', arrayCheck, { ...options, of }),
+    object: (shape) => new Field('object', objectCheck, { shape }),
+    // Accepted as sent; for free-form JSON such as metadata
+    any: () => new Field('any', value => ({ value })),
+};
+
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Express middleware validating (and coercing) req.params, req.query and req.body against `schema`.
+ */
+function validate(schema) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        const results = {};
+
+        for (const part of PARTS) {
+            if (!schema[part]) continue;
+            const partErrors = [];
+            results[part] = checkObject(schema[part], req[part] || {}, '', partErrors);
+            errors.push(...partErrors.map(error => ({ location: part, ...error })));
+        }
+
+        if (errors.length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Validation failed',
+                errors,
+            });
+        }
+
+        for (const part of Object.keys(results)) {
+            req[part] = results[part];
+        }
+        next();
+    };
+    // Read by the OpenAPI generator to describe the request
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = {
+    validate,
+    field,
+};
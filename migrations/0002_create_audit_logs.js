@@ -0,0 +1,32 @@
+// Audit trail for sensitive mutations (results, payments, fees, staff, students, terms).
+// actor_id has no foreign key so entries survive the actor's account being deleted.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id VARCHAR(36) NULL,
+      actor_email VARCHAR(255) NULL,
+      actor_roles VARCHAR(255) NULL,
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(64) NULL,
+      branch_id VARCHAR(36) NULL,
+      changes JSON NULL,
+      metadata JSON NULL,
+      ip_address VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_entity (entity_type, entity_id),
+      INDEX idx_audit_actor (actor_id),
+      INDEX idx_audit_action (action),
+      INDEX idx_audit_created_at (created_at)
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query("DROP TABLE IF EXISTS audit_logs");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Background job queue (services/jobQueue.js). Workers claim a pending job by stamping locked_by;
+// unique_key stops the scheduler from enqueuing the same scheduled run twice when several
+// instances tick at once.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      payload JSON NULL,
+      status ENUM('pending', 'running', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 5,
+      run_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_by VARCHAR(191) NULL,
+      locked_at DATETIME NULL,
+      last_error TEXT NULL,
+      unique_key VARCHAR(191) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      completed_at DATETIME NULL,
+      UNIQUE KEY uq_jobs_unique_key (unique_key),
+      INDEX idx_jobs_due (status, run_at),
+      INDEX idx_jobs_locked_by (locked_by),
+      INDEX idx_jobs_type (type)
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query("DROP TABLE IF EXISTS jobs");
+}
+
+module.exports = { up, down };
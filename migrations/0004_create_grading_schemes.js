@@ -0,0 +1,55 @@
+// Grading schemes (services/gradingService.js). A scheme's bands turn a percentage into a grade,
+// remark and points, separately for subject totals and for the overall percentage. Assignments pick
+// the scheme for a branch and/or school type; a NULL in either column matches every branch or
+// type. scope_key makes each (branch, school type) pair assignable once.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS grading_schemes (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description VARCHAR(255) NULL,
+      max_score DECIMAL(6,2) NOT NULL DEFAULT 100,
+      created_by VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_grading_schemes_name (name)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS grading_scheme_bands (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scheme_id VARCHAR(36) NOT NULL,
+      scope ENUM('subject', 'overall') NOT NULL DEFAULT 'subject',
+      grade VARCHAR(10) NOT NULL,
+      min_score DECIMAL(5,2) NOT NULL,
+      remark VARCHAR(100) NOT NULL,
+      points DECIMAL(5,2) NULL,
+      UNIQUE KEY uq_grading_scheme_bands_grade (scheme_id, scope, grade),
+      FOREIGN KEY (scheme_id) REFERENCES grading_schemes(id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS grading_scheme_assignments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scheme_id VARCHAR(36) NOT NULL,
+      branch_id VARCHAR(36) NULL,
+      school_type ENUM('Early Years', 'Grade School', 'Middle School', 'Senior School') NULL,
+      scope_key VARCHAR(100) AS (CONCAT(IFNULL(branch_id, '*'), '|', IFNULL(school_type, '*'))) STORED,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_grading_scheme_assignments_scope (scope_key),
+      FOREIGN KEY (scheme_id) REFERENCES grading_schemes(id) ON DELETE CASCADE,
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query("DROP TABLE IF EXISTS grading_scheme_assignments");
+  await connection.query("DROP TABLE IF EXISTS grading_scheme_bands");
+  await connection.query("DROP TABLE IF EXISTS grading_schemes");
+}
+
+module.exports = { up, down };
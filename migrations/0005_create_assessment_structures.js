@@ -0,0 +1,43 @@
+// Assessment structures (services/assessmentService.js): which of ca1-ca4 and exam a subject is
+// assessed with, what each is scored out of and what it weighs in the subject total. A structure
+// applies to a branch, school type and/or term; a NULL in any of these matches every one, and
+// scope_key makes each combination configurable once.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS assessment_structures (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      branch_id VARCHAR(36) NULL,
+      school_type ENUM('Early Years', 'Grade School', 'Middle School', 'Senior School') NULL,
+      term_id VARCHAR(36) NULL,
+      scope_key VARCHAR(120) AS (CONCAT(IFNULL(branch_id, '*'), '|', IFNULL(school_type, '*'), '|', IFNULL(term_id, '*'))) STORED,
+      created_by VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_assessment_structures_scope (scope_key),
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE,
+      FOREIGN KEY (term_id) REFERENCES terms(id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS assessment_structure_components (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      structure_id VARCHAR(36) NOT NULL,
+      assessment_type ENUM('ca1', 'ca2', 'ca3', 'ca4', 'exam') NOT NULL,
+      label VARCHAR(50) NOT NULL,
+      max_score DECIMAL(6,2) NOT NULL,
+      weight DECIMAL(6,2) NOT NULL,
+      UNIQUE KEY uq_assessment_structure_components_type (structure_id, assessment_type),
+      FOREIGN KEY (structure_id) REFERENCES assessment_structures(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(connection) {
+  await connection.query("DROP TABLE IF EXISTS assessment_structure_components");
+  await connection.query("DROP TABLE IF EXISTS assessment_structures");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// What students are ranked on in their class (services/resultsService.js): the sum of their subject
+// totals, or their average per subject so that taking fewer subjects doesn't cost places.
+
+async function up(connection) {
+  await connection.query(
+    "ALTER TABLE branches ADD COLUMN ranking_basis ENUM('total', 'average') NOT NULL DEFAULT 'total'"
+  );
+}
+
+async function down(connection) {
+  await connection.query("ALTER TABLE branches DROP COLUMN ranking_basis");
+}
+
+module.exports = { up, down };
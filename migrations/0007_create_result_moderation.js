@@ -0,0 +1,53 @@
+// Result moderation (services/moderationService.js): where each class subject's score sheet for a
+// term is in Draft -> Submitted -> Reviewed -> Approved -> Published. A sheet without a row is a
+// Draft. Sheets whose results were all published before moderation existed start as Published, so
+// they stay locked.
+
+async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS result_moderation (
+      id VARCHAR(36) PRIMARY KEY,
+      class_id VARCHAR(36) NOT NULL,
+      subject_id VARCHAR(36) NOT NULL,
+      term_id VARCHAR(36) NOT NULL,
+      branch_id VARCHAR(36) NOT NULL,
+      status ENUM('Draft', 'Submitted', 'Reviewed', 'Approved', 'Published') NOT NULL DEFAULT 'Draft',
+      submitted_by VARCHAR(36) NULL,
+      submitted_at TIMESTAMP NULL,
+      reviewed_by VARCHAR(36) NULL,
+      reviewed_at TIMESTAMP NULL,
+      approved_by VARCHAR(36) NULL,
+      approved_at TIMESTAMP NULL,
+      published_at TIMESTAMP NULL,
+      rejection_note TEXT NULL,
+      rejected_by VARCHAR(36) NULL,
+      rejected_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_result_moderation_sheet (class_id, subject_id, term_id),
+      FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+      FOREIGN KEY (subject_id) REFERENCES class_subjects(id) ON DELETE CASCADE,
+      FOREIGN KEY (term_id) REFERENCES terms(id) ON DELETE CASCADE,
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE,
+      FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (rejected_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    INSERT IGNORE INTO result_moderation (id, class_id, subject_id, term_id, branch_id, status, published_at)
+    SELECT UUID(), class_id, subject_id, term_id, MIN(branch_id), 'Published', MAX(published_at)
+    FROM student_results
+    WHERE term_id IS NOT NULL
+    GROUP BY class_id, subject_id, term_id
+    HAVING MIN(published) = TRUE
+  `);
+}
+
+async function down(connection) {
+  await connection.query("DROP TABLE IF EXISTS result_moderation");
+}
+
+module.exports = { up, down };
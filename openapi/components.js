@@ -0,0 +1,841 @@
+// Shared pieces of the OpenAPI document: the entity schemas (mirroring the tables in
+// migrations/), the standard response envelopes and the helpers the files in openapi/paths use to
+// describe what each route returns.
+
+const TYPES = {
+    uuid: { type: 'string', format: 'uuid' },
+    string: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    // DECIMAL columns come back from mysql2 as strings
+    decimal: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$', example: '45000.00' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    datetime: { type: 'string', format: 'date-time' },
+    json: {},
+};
+
+/**
+ * Turn a property shorthand into a schema. Accepts a type name from TYPES ('uuid', 'date', ...),
+ * optionally suffixed with '?' for nullable, an array of enum values, or a schema object as is.
+ */
+function property(spec) {
+    if (Array.isArray(spec)) return { type: 'string', enum: spec };
+    if (typeof spec !== 'string') return spec;
+
+    const nullable = spec.endsWith('?');
+    const type = TYPES[nullable ? spec.slice(0, -1) : spec];
+    if (!type) throw new Error(`Unknown OpenAPI property type "${spec}"`);
+    return nullable ? { ...type, nullable: true } : { ...type };
+}
+
+/**
+ * Object schema from a map of property shorthands, e.g. shape({ id: 'uuid', paid_at: 'datetime?' }).
+ */
+function shape(properties) {
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(properties).map(([name, spec]) => [name, property(spec)])),
+    };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const arrayOf = items => ({ type: 'array', items: property(items) });
+
+// { success, message, data } as returned by most routes; `extra` adds siblings such as pagination
+function envelope(data, extra = {}) {
+    return shape({
+        success: 'boolean',
+        message: 'string',
+        ...(data === undefined ? {} : { data }),
+        ...extra,
+    });
+}
+
+// A component schema plus a few joined columns, e.g. extend('Class', { teacher_name: 'string' })
+const extend = (name, properties) => ({ allOf: [ref(name), shape(properties)] });
+
+const listOf = name => envelope(arrayOf(ref(name)));
+
+const one = name => envelope(ref(name));
+
+// A page of a list endpoint (services/listService.js): the rows plus pagination metadata
+const paged = (items, extra = {}) => envelope(arrayOf(items), { pagination: ref('Pagination'), ...extra });
+
+// Fields shared by the login responses
+const session = {
+    token: 'string',
+    refreshToken: 'string',
+    expiresIn: 'string',
+    mustChangePassword: 'boolean',
+};
+
+const schemas = {
+    Message: shape({ success: 'boolean', message: 'string' }),
+    Error: {
+        ...shape({
+            success: 'boolean',
+            message: 'string',
+            code: 'string',
+            requestId: { type: 'string', description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' },
+        }),
+        required: ['message'],
+    },
+    ValidationError: {
+        ...shape({
+            success: 'boolean',
+            message: 'string',
+            errors: arrayOf(shape({ location: ['params', 'query', 'body'], field: 'string', message: 'string' })),
+        }),
+        example: {
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'scores[0].score', message: 'must be at most 100' }],
+        },
+    },
+    Pagination: shape({
+        total: 'integer',
+        limit: 'integer',
+        offset: 'integer',
+        page: 'integer',
+        next: { type: 'string', nullable: true, description: 'URL of the next page, null on the last page', example: '/api/staff?page=2' },
+    }),
+    TwoFactorChallenge: shape({ twoFactorRequired: 'boolean', challengeToken: 'string', message: 'string' }),
+    Session: shape({
+        id: 'uuid',
+        ip_address: 'string?',
+        user_agent: 'string?',
+        created_at: 'datetime',
+        last_used_at: 'datetime?',
+        expires_at: 'datetime',
+        current: 'boolean',
+    }),
+    LoginAttempt: shape({
+        id: 'integer',
+        identifier: 'string',
+        user_id: 'uuid?',
+        ip_address: 'string?',
+        user_agent: 'string?',
+        route: 'string?',
+        success: 'boolean',
+        reason: 'string?',
+        created_at: 'datetime',
+    }),
+    SuperAdminInvite: shape({
+        id: 'uuid',
+        email: 'email',
+        expires_at: 'datetime',
+        created_at: 'datetime',
+        invited_by: { type: 'string', nullable: true, description: 'Name (or email) of the SuperAdmin who sent it' },
+    }),
+    Branch: shape({
+        id: 'uuid',
+        school_name: 'string',
+        site_name: 'string?',
+        address: 'string',
+        email: 'email',
+        basic_education: { type: 'array', items: { type: 'string' }, description: 'School types offered by the branch' },
+        is_active: 'boolean',
+        ranking_basis: {
+            type: 'string',
+            enum: ['total', 'average'],
+            description: 'What students are ranked on in their class: the sum of their subject totals, or their average per subject',
+        },
+        created_at: 'datetime',
+    }),
+    Staff: shape({
+        id: 'uuid',
+        user_id: 'uuid',
+        name: 'string',
+        email: 'email',
+        phone: 'string',
+        address: 'string?',
+        salary: 'decimal?',
+        salary_type: ['monthly', 'hourly'],
+        gender: ['male', 'female', 'other'],
+        description: 'string?',
+        role_id: 'integer',
+        branch_id: 'uuid',
+        class_id: 'uuid?',
+        image_url: 'string?',
+        status: ['Active', 'On Leave', 'Not Paid', 'Suspended', 'Terminated'],
+        salary_due_date: 'date?',
+        permissions: { description: 'Permission overrides (JSON text)', nullable: true },
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    // Staff as returned by the /api/staff routes
+    StaffProfile: shape({
+        id: 'uuid',
+        name: 'string',
+        email: 'email',
+        phone: 'string',
+        branch: { type: 'string', description: 'Branch school name' },
+        branchId: 'uuid',
+        role: 'string',
+        roleId: 'integer',
+        salary: 'decimal?',
+        salary_type: ['monthly', 'hourly'],
+        status: ['Active', 'On Leave', 'Not Paid', 'Suspended', 'Terminated'],
+        description: 'string?',
+        imageUrl: 'string?',
+        address: 'string?',
+        gender: ['Male', 'Female', 'Other'],
+        salaryDueDate: 'date?',
+        permissions: { description: 'Permission overrides', nullable: true },
+        createdAt: 'datetime',
+    }),
+    Parent: shape({
+        id: 'uuid',
+        user_id: 'uuid',
+        name: 'string',
+        phone: 'string',
+        email: 'email',
+        dob: { type: 'string', nullable: true, description: 'MM-DD' },
+        residential_address: 'string?',
+        occupation: 'string?',
+        workplace_address: 'string?',
+        created_at: 'datetime',
+    }),
+    Student: shape({
+        id: 'uuid',
+        user_id: 'uuid',
+        student_id: { type: 'string', description: 'Login ID issued to the student' },
+        parent_id: 'uuid',
+        first_name: 'string',
+        last_name: 'string',
+        surname_name: 'string?',
+        other_names: 'string?',
+        gender: ['male', 'female', 'other'],
+        dob: 'date',
+        place_of_birth: 'string?',
+        passport: 'string?',
+        address: 'string',
+        nationality: 'string',
+        state: 'string',
+        lga: 'string?',
+        tribe: 'string?',
+        class_id: 'uuid',
+        branch_id: 'uuid',
+        status_id: 'integer',
+        religion: 'string',
+        blood_group: 'string?',
+        genotype: 'string?',
+        allergies: 'string?',
+        disability: 'string?',
+        created_at: 'datetime',
+    }),
+    NewStudent: {
+        ...shape({
+            id: 'uuid',
+            student_id: 'string',
+            parent_id: 'uuid',
+            first_name: 'string',
+            last_name: 'string',
+            gender: ['male', 'female', 'other'],
+            dob: 'date',
+            class_id: 'uuid?',
+            branch_id: 'uuid',
+            score: 'integer',
+            payment_status: 'string',
+            created_at: 'datetime',
+        }),
+        description: 'An applicant registered through enrollment, not yet admitted as a student. Carries the full admission form.',
+    },
+    Class: shape({
+        id: 'uuid',
+        name: 'string',
+        arm: 'string?',
+        branch_id: 'uuid',
+        teacher_id: 'uuid',
+        total_student: 'integer',
+        school_type: ['Early Years', 'Grade School', 'Middle School', 'Senior School'],
+        created_at: 'datetime',
+    }),
+    ClassDetails: {
+        allOf: [
+            ref('Class'),
+            shape({
+                teacher_name: 'string?',
+                teacher_email: 'email?',
+                teacher_phone: 'string?',
+                students: arrayOf(shape({ id: 'uuid', user_id: 'uuid', first_name: 'string', last_name: 'string', passport: 'string?' })),
+                assignments: arrayOf(shape({ id: 'uuid', title: 'string', subject: 'string', due_date: 'datetime' })),
+                timetable: { nullable: true, description: 'The class timetable_data, if one exists' },
+            }),
+        ],
+    },
+    Subject: shape({
+        id: 'uuid',
+        name: 'string',
+        class_id: 'uuid',
+        teacher_id: 'uuid',
+        branch_id: 'uuid',
+        description: 'string?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Term: shape({
+        id: 'uuid',
+        name: ['First Term', 'Second Term', 'Third Term'],
+        session: { type: 'string', example: '2025/2026' },
+        branch_id: 'uuid?',
+        start_date: 'date',
+        end_date: 'date',
+        next_term_begins: 'date?',
+        is_active: 'boolean',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Event: shape({
+        id: 'uuid',
+        name: 'string',
+        description: 'string?',
+        branch_id: 'uuid',
+        event_type: 'string',
+        event_date: 'date',
+        created_at: 'datetime',
+    }),
+    Expense: shape({
+        id: 'uuid',
+        title: 'string',
+        description: 'string?',
+        cost: 'decimal',
+        status: ['Requested', 'Pending', 'Approved', 'Overdue', 'Rejected'],
+        due_date: 'date',
+        branch_id: 'uuid',
+        author_id: 'uuid',
+        expense_type: ['Bill', 'Invoice', 'Repair'],
+        rejection_reason: 'string?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    InventoryItem: shape({
+        id: 'uuid',
+        name: 'string',
+        quantity: 'integer',
+        branch_id: 'uuid',
+        added_by: 'uuid',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Exam: shape({
+        id: 'uuid',
+        title: 'string',
+        exam_type: ['Internal', 'External'],
+        assessment_type: ['ca1', 'ca2', 'ca3', 'ca4', 'exam'],
+        subject_type: ['Multi-Subject', 'Single-Subject'],
+        class_subject_id: 'uuid?',
+        class_id: 'uuid?',
+        branch_id: 'uuid',
+        exam_date_time: 'datetime',
+        exam_end_datetime: 'datetime?',
+        duration_minutes: 'integer',
+        created_by: 'uuid',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Question: shape({
+        id: 'uuid',
+        exam_id: 'uuid',
+        class_subject_id: 'uuid',
+        question_text: 'string',
+        options: { type: 'array', items: { type: 'string' } },
+    }),
+    ExamResult: shape({
+        id: 'uuid',
+        exam_id: 'uuid',
+        student_id: 'uuid',
+        term_id: 'uuid?',
+        score: 'decimal',
+        total_questions: 'integer',
+        answered_questions: 'integer',
+        started_at: 'datetime?',
+        time_spent_minutes: 'integer?',
+        submitted_at: 'datetime',
+        published: 'boolean',
+        published_by: 'uuid?',
+        published_at: 'datetime?',
+    }),
+    ExamAssignment: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        exam_id: 'uuid',
+        branch_id: 'uuid',
+        assigned_by: 'uuid',
+        assigned_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Timetable: shape({
+        id: 'uuid',
+        class_id: 'uuid',
+        branch_id: 'uuid',
+        timetable_data: { description: 'Free-form timetable grid as saved by the client' },
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Assignment: shape({
+        id: 'uuid',
+        title: 'string',
+        details: 'string?',
+        class_id: 'uuid',
+        branch_id: 'uuid',
+        teacher_id: 'uuid',
+        subject: 'string',
+        due_date: 'datetime',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Broadcast: shape({
+        id: 'uuid',
+        title: 'string',
+        message: 'string',
+        created_by: 'uuid',
+        status: ['Sent', 'Draft'],
+        tags: { type: 'array', items: { type: 'string' } },
+        cc_roles: { type: 'array', items: { type: 'string' } },
+        branch_ids: { type: 'array', items: { type: 'string', format: 'uuid' } },
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    BroadcastReceipt: shape({
+        id: 'uuid',
+        email: 'string',
+        status: { type: 'string', enum: ['Read', 'Unread'], nullable: true },
+        read_at: 'datetime?',
+    }),
+    StaffAttendance: shape({
+        id: 'uuid',
+        staff_id: 'uuid',
+        branch_id: 'uuid',
+        date: 'date',
+        status: ['Present', 'Absent', 'Leave'],
+        created_at: 'datetime',
+    }),
+    StaffClockLog: shape({
+        id: 'uuid',
+        staff_id: 'uuid',
+        branch_id: 'uuid',
+        date: 'date',
+        clock_in_time: 'datetime?',
+        clock_out_time: 'datetime?',
+        clock_in_latitude: 'decimal?',
+        clock_in_longitude: 'decimal?',
+        clock_out_latitude: 'decimal?',
+        clock_out_longitude: 'decimal?',
+    }),
+    StudentAttendance: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        class_id: 'uuid',
+        branch_id: 'uuid',
+        date: 'date',
+        status: ['Present', 'Absent', 'Late'],
+        created_at: 'datetime',
+    }),
+    ShopItem: shape({
+        id: 'uuid',
+        name: 'string',
+        details: 'string?',
+        description: 'string?',
+        price: 'decimal',
+        stock: 'integer',
+        branch_id: 'uuid',
+        category: 'string?',
+        image_url: 'string?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    ShopSale: shape({
+        id: 'uuid',
+        item_id: 'uuid',
+        student_id: 'uuid',
+        branch_id: 'uuid',
+        price: 'decimal',
+        purchase_method: ['Online', 'Cash'],
+        created_at: 'datetime',
+    }),
+    Fee: shape({
+        id: 'uuid',
+        branch_id: 'uuid',
+        class_id: 'uuid',
+        arm: 'string?',
+        term_id: 'uuid',
+        name: 'string',
+        amount: 'decimal',
+        description: 'string?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Payment: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        term_id: 'uuid',
+        amount_paid: 'decimal',
+        payment_date: 'date',
+        reference: 'string?',
+        created_at: 'datetime',
+    }),
+    PaymentStatus: shape({
+        student_id: 'uuid',
+        term_id: 'uuid',
+        status: ['Paid', 'Not Paid'],
+    }),
+    Revenue: shape({
+        id: 'uuid',
+        student_id: 'uuid?',
+        parent_id: 'uuid?',
+        email: 'email',
+        amount: 'decimal',
+        reference: 'string',
+        status: 'string',
+        payment_for: 'string',
+        paid_at: 'datetime',
+        created_at: 'datetime',
+    }),
+    ProgramFee: shape({
+        id: 'integer',
+        branch_id: 'uuid',
+        program_type: 'string?',
+        amount: 'decimal',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    Ebook: shape({
+        id: 'uuid',
+        title: 'string',
+        author: 'string',
+        description: 'string?',
+        cover_image_url: 'string?',
+        ebook_url: 'string',
+        branch_id: 'uuid',
+        uploaded_by: 'uuid',
+        created_at: 'datetime',
+    }),
+    IllnessLog: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        illness: 'string',
+        symptoms: 'string',
+        treatment: 'string',
+        admitted_at: 'datetime',
+        discharged_at: 'datetime?',
+        notes: 'string?',
+        branch_id: 'uuid',
+        logged_by: 'uuid',
+        created_at: 'datetime',
+    }),
+    StudentResult: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        class_id: 'uuid',
+        subject_id: 'uuid',
+        term_id: 'uuid?',
+        assessment_type: ['ca1', 'ca2', 'ca3', 'ca4', 'exam'],
+        score: 'decimal',
+        teacher_id: 'uuid',
+        branch_id: 'uuid',
+        published: 'boolean',
+        published_by: 'uuid?',
+        published_at: 'datetime?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    ReportCard: shape({
+        student: shape({
+            name: 'string',
+            class: 'string',
+            arm: 'string',
+            dob: 'date',
+            gender: 'string?',
+            passport: 'string?',
+            student_id: 'string',
+        }),
+        term: shape({
+            name: 'string',
+            session: 'string',
+            current_term: 'string',
+            start_date: 'date',
+            end_date: 'date',
+            next_term: 'date?',
+            next_term_name: 'string?',
+            next_term_begins: 'date?',
+        }),
+        attendance: shape({ school_opened: 'integer', present: 'integer', absent: 'integer' }),
+        position: { type: 'string', example: '3rd' },
+        total_students: 'integer',
+        results: arrayOf(shape({
+            subject: 'string',
+            ca1: 'number',
+            ca2: 'number',
+            ca3: 'number',
+            ca4: 'number',
+            exam: 'number',
+            total: { type: 'number', description: 'Weighted by the assessment structure: each score / max_score * weight' },
+            grade: { type: 'string', example: 'B', description: "From the class's grading scheme" },
+            remark: { type: 'string', example: 'Very Good' },
+            points: 'number?',
+            position: 'string',
+            highest: 'number',
+            lowest: 'number',
+            average: 'number',
+            cumulative_from_previous_terms: 'number',
+            grand_total: 'number',
+        })),
+        config: shape({
+            school_type: 'string',
+            grading_scheme: ref('GradingSchemeKey'),
+            assessment_structure: shape({
+                id: { type: 'string', format: 'uuid', nullable: true, description: 'null for the built-in structure' },
+                name: 'string',
+                components: arrayOf(ref('AssessmentComponent')),
+                total: { type: 'number', description: 'What each subject total is out of' },
+            }),
+            ranking_basis: { type: 'string', enum: ['total', 'average'], description: "The branch's ranking basis, which position is worked out on" },
+        }),
+        skills: shape({
+            Affective: arrayOf(shape({ name: 'string', rating: 'integer' })),
+            Psychomotor: arrayOf(shape({ name: 'string', rating: 'integer' })),
+        }),
+        comments: shape({ teacher_comment: 'string?', principal_comment: 'string?' }),
+        cumulative: shape({
+            terms: arrayOf(shape({
+                term_name: 'string',
+                term_id: 'uuid',
+                results: arrayOf(shape({ subject: 'string', score: 'number', total_possible: 'number' })),
+                term_total: 'number',
+                term_average: 'number',
+                term_position: 'string?',
+                term_out_of: 'integer',
+            })),
+            cumulative_totals: shape({
+                by_subject: arrayOf({
+                    type: 'object',
+                    description: "Subject name, a score per earlier term keyed by term name, cumulative and best_term",
+                    additionalProperties: true,
+                }),
+                grand_total: 'number?',
+                overall_average: 'number?',
+                total_possible: 'number',
+            }),
+        }),
+    }),
+    Broadsheet: shape({
+        class: shape({ id: 'uuid', name: 'string', arm: 'string' }),
+        term: shape({ id: 'uuid', name: 'string', session: 'string' }),
+        grading_scheme: ref('GradingSchemeKey'),
+        assessment_structure: shape({
+            id: 'uuid?',
+            name: 'string',
+            components: arrayOf(ref('AssessmentComponent')),
+            total: { type: 'number', description: 'What each subject total is out of' },
+        }),
+        ranking_basis: { type: 'string', enum: ['total', 'average'], description: "The branch's ranking basis, which positions are worked out on" },
+        subjects: arrayOf(shape({ subject_id: 'uuid', subject: 'string', highest: 'number', lowest: 'number', class_average: 'number' })),
+        students: arrayOf(shape({
+            student_id: 'uuid',
+            name: 'string',
+            subjects: arrayOf({
+                ...shape({ subject_id: 'uuid', total: 'number', grade: 'string' }),
+                description: "Also a score per component of the assessment structure (ca1, ..., exam), null when not entered",
+                additionalProperties: true,
+            }),
+            total: 'number',
+            average: { type: 'number', description: 'Total divided by the number of subjects taken' },
+            percentage: 'number',
+            overall_grade: 'string',
+            position: { type: 'string', example: '2nd' },
+        })),
+    }),
+    SessionResult: shape({
+        subjects: arrayOf(shape({
+            subject_id: 'uuid',
+            subject: 'string',
+            first_term: { type: 'number', nullable: true, description: 'Subject total that term; null when not taken' },
+            second_term: 'number?',
+            third_term: 'number?',
+            annual_total: 'number',
+            annual_average: { type: 'number', description: 'Average of the term totals as percentages' },
+            grade: 'string',
+            remark: 'string',
+        })),
+        annual_total: 'number',
+        annual_average: { type: 'number', description: "Average of the subjects' annual averages; students are ranked on it" },
+        overall_grade: 'string',
+        remark: 'string',
+        position: { type: 'string', example: '3rd' },
+        out_of: 'integer',
+        promotion: shape({
+            pass_mark: { type: 'number', description: "Lowest annual average above the grading scheme's bottom band" },
+            passed: { type: 'boolean', nullable: true, description: 'null until there are Third Term results' },
+            recommendation: ['Promote', 'Repeat', 'Pending'],
+        }),
+    }),
+    SessionTerm: shape({
+        id: 'uuid',
+        name: 'string',
+        key: { type: 'string', example: 'first_term', description: "The term's key in the subject results" },
+    }),
+    StudentSessionResult: shape({
+        student: shape({ id: 'uuid', name: 'string', class: 'string', arm: 'string' }),
+        session: { type: 'string', example: '2025/2026' },
+        terms: arrayOf(ref('SessionTerm')),
+        grading_scheme: ref('GradingSchemeKey'),
+        result: { ...ref('SessionResult'), nullable: true },
+    }),
+    SessionBroadsheet: shape({
+        class: shape({ id: 'uuid', name: 'string', arm: 'string' }),
+        session: { type: 'string', example: '2025/2026' },
+        terms: arrayOf(ref('SessionTerm')),
+        grading_scheme: ref('GradingSchemeKey'),
+        subjects: arrayOf(shape({ subject_id: 'uuid', subject: 'string', class_average: 'number' })),
+        students: arrayOf(extend('SessionResult', { student_id: 'uuid', name: 'string' })),
+    }),
+    ResultModeration: shape({
+        id: 'uuid',
+        class_id: 'uuid',
+        subject_id: 'uuid',
+        term_id: 'uuid',
+        branch_id: 'uuid',
+        status: ['Draft', 'Submitted', 'Reviewed', 'Approved', 'Published'],
+        submitted_by: 'uuid?',
+        submitted_at: 'datetime?',
+        reviewed_by: 'uuid?',
+        reviewed_at: 'datetime?',
+        approved_by: 'uuid?',
+        approved_at: 'datetime?',
+        published_at: 'datetime?',
+        rejection_note: { type: 'string', nullable: true, description: 'Why the results were last sent back to Draft' },
+        rejected_by: 'uuid?',
+        rejected_at: 'datetime?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    SubjectModeration: shape({
+        subject_id: 'uuid',
+        subject: 'string',
+        teacher: 'string?',
+        status: ['Draft', 'Submitted', 'Reviewed', 'Approved', 'Published'],
+        students_scored: { type: 'integer', description: 'Students with at least one score in the subject this term' },
+        submitted_at: 'datetime?',
+        reviewed_at: 'datetime?',
+        approved_at: 'datetime?',
+        published_at: 'datetime?',
+        rejection_note: 'string?',
+        rejected_at: 'datetime?',
+    }),
+    StudentSkill: shape({
+        id: 'uuid',
+        student_id: 'uuid',
+        term_id: 'uuid',
+        skill_type: ['Affective', 'Psychomotor'],
+        skill_name: 'string',
+        rating: 'integer',
+    }),
+    AuditLog: shape({
+        id: 'integer',
+        actor_id: 'uuid?',
+        actor_email: 'email?',
+        actor_roles: { type: 'string', nullable: true, description: 'Comma-separated role names' },
+        action: { type: 'string', example: 'student.promote' },
+        entity_type: 'string',
+        entity_id: 'string?',
+        branch_id: 'uuid?',
+        changes: { nullable: true, description: 'JSON text with the before and after values' },
+        metadata: { nullable: true, description: 'JSON text' },
+        ip_address: 'string?',
+        user_agent: 'string?',
+        created_at: 'datetime',
+    }),
+    ErrorGroup: shape({
+        id: { type: 'string', example: '3f9a1c0b7d2e' },
+        name: 'string',
+        code: 'string?',
+        message: { type: 'string', description: 'Message with ids, numbers and quoted values masked' },
+        lastMessage: 'string',
+        origin: { type: 'string', description: 'First stack frame in the project code' },
+        count: 'integer',
+        firstSeen: 'datetime',
+        lastSeen: 'datetime',
+    }),
+    Job: shape({
+        id: 'integer',
+        type: { type: 'string', example: 'notification.send' },
+        payload: { type: 'object', nullable: true, description: 'Handler input; secrets are redacted' },
+        status: ['pending', 'running', 'completed', 'failed'],
+        attempts: 'integer',
+        max_attempts: 'integer',
+        run_at: { type: 'string', format: 'date-time', description: 'When the job is (next) due' },
+        locked_by: 'string?',
+        locked_at: 'datetime?',
+        last_error: 'string?',
+        unique_key: 'string?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+        completed_at: 'datetime?',
+    }),
+    GradingBand: shape({
+        grade: { type: 'string', example: 'A1' },
+        min_score: { type: 'number', description: "Lowest percentage of the scheme's max_score in this band" },
+        remark: { type: 'string', example: 'Excellent' },
+        points: 'number?',
+    }),
+    GradingSchemeKey: shape({
+        id: { type: 'string', format: 'uuid', nullable: true, description: 'null for the built-in default scheme' },
+        name: 'string',
+        max_score: { type: 'number', description: 'What each subject is scored out of' },
+        bands: shape({
+            subject: arrayOf(ref('GradingBand')),
+            overall: { ...arrayOf(ref('GradingBand')), description: 'Empty when the subject bands grade the overall percentage too' },
+        }),
+    }),
+    GradingScheme: extend('GradingSchemeKey', {
+        description: 'string?',
+        assignments: arrayOf(shape({ branch_id: 'uuid?', school_type: 'string?' })),
+        created_by: 'uuid?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    AssessmentComponent: shape({
+        assessment_type: ['ca1', 'ca2', 'ca3', 'ca4', 'exam'],
+        label: { type: 'string', example: 'CA 1' },
+        max_score: { type: 'number', description: 'What the assessment is marked out of' },
+        weight: { type: 'number', nullable: true, description: 'What a full mark counts in the subject total; null in the built-in structure, which adds scores as entered' },
+    }),
+    AssessmentStructure: shape({
+        id: { type: 'string', format: 'uuid', nullable: true, description: 'null for the built-in structure' },
+        name: 'string',
+        branch_id: 'uuid?',
+        school_type: { type: 'string', enum: ['Early Years', 'Grade School', 'Middle School', 'Senior School'], nullable: true },
+        term_id: 'uuid?',
+        components: arrayOf(ref('AssessmentComponent')),
+        total: { type: 'number', nullable: true, description: "Sum of the weights; null means the grading scheme's max_score" },
+        created_by: 'uuid?',
+        created_at: 'datetime',
+        updated_at: 'datetime',
+    }),
+    JobSchedule: shape({
+        name: 'string',
+        cron: { type: 'string', example: '0 9 * * 1' },
+        timezone: { type: 'string', example: 'Africa/Lagos' },
+        job_type: 'string',
+        description: 'string',
+        previous_run: 'datetime?',
+        next_run: 'datetime?',
+    }),
+};
+
+module.exports = {
+    schemas,
+    session,
+    shape,
+    ref,
+    arrayOf,
+    extend,
+    envelope,
+    listOf,
+    one,
+    paged,
+};
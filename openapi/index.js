@@ -0,0 +1,284 @@
+// Builds the OpenAPI 3 document served at /api/docs.
+//
+// The route list comes from the Express app itself, so the paths always match what is mounted.
+// Authentication, allowed roles, rate limits and the request parameters/body are read off the
+// route's middleware (auth, authorize, rateLimit, validate). What the middleware can't tell us
+// (summary, response body, route-specific errors) comes from openapi/paths/<routefile>.js, one
+// entry per route keyed by 'METHOD /full/path'. checkCoverage() reports routes without an entry
+// and entries without a route; `npm run docs:check` fails on either.
+
+const fs = require('fs');
+const path = require('path');
+const auth = require('../middleware/auth');
+const { schemas } = require('./components');
+const { version } = require('../package.json');
+
+const PATHS_DIR = path.join(__dirname, 'paths');
+
+/**
+ * Load every openapi/paths module into one map of entries keyed by 'METHOD /path'.
+ */
+function loadEntries() {
+    const entries = {};
+    const tags = [];
+
+    for (const file of fs.readdirSync(PATHS_DIR).filter(name => name.endsWith('.js')).sort()) {
+        const { tag, description, routes } = require(path.join(PATHS_DIR, file));
+        tags.push({ name: tag, description });
+
+        for (const [key, entry] of Object.entries(routes)) {
+            if (entries[key]) {
+                throw new Error(`OpenAPI entry "${key}" is defined in both ${entries[key].file} and ${file}`);
+            }
+            entries[key] = { ...entry, tag, file };
+        }
+    }
+    return { entries, tags };
+}
+
+// app.use('/api/auth', router) leaves only a regexp such as /^\/api\/auth\/?(?=\/|$)/i behind
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+    return layer.regexp.source
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/^\^/, '')
+        .replace(/\\\//g, '/');
+}
+
+function joinPath(prefix, routePath) {
+    const full = `${prefix}${routePath}`.replace(/\/+$/, '');
+    return full || '/';
+}
+
+/**
+ * Every route mounted on the app as { key, method, path, handlers }, including routes inside
+ * mounted routers.
+ */
+function listRoutes(app) {
+    const routes = [];
+
+    const walk = (stack, prefix) => {
+        for (const layer of stack) {
+            if (layer.route) {
+                const routePath = joinPath(prefix, layer.route.path);
+                for (const method of Object.keys(layer.route.methods)) {
+                    routes.push({
+                        key: `${method.toUpperCase()} ${routePath}`,
+                        method,
+                        path: routePath,
+                        handlers: layer.route.stack.map(routeLayer => routeLayer.handle),
+                    });
+                }
+            } else if (layer.handle && layer.handle.stack) {
+                walk(layer.handle.stack, prefix + mountPath(layer));
+            }
+        }
+    };
+
+    walk(app._router.stack, '');
+    return routes;
+}
+
+/**
+ * JSON schema for one field built with middleware/validate.js.
+ */
+function fieldSchema(field) {
+    const { min, max, pattern, values, of, shape, integer } = field.options;
+    let schema;
+
+    switch (field.type) {
+        case 'string':
+        case 'text':
+            schema = { type: 'string', minLength: min, maxLength: max, pattern: pattern && pattern.source };
+            break;
+        case 'email':
+            schema = { type: 'string', format: 'email', maxLength: max };
+            break;
+        case 'uuid':
+            schema = { type: 'string', format: 'uuid' };
+            break;
+        case 'number':
+            schema = { type: integer ? 'integer' : 'number', minimum: min, maximum: max };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date' };
+            break;
+        case 'datetime':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'enum':
+            schema = { type: 'string', enum: values };
+            break;
+        case 'array':
+            schema = { type: 'array', items: of ? fieldSchema(of) : {}, minItems: min, maxItems: max };
+            break;
+        case 'object':
+            schema = shape ? objectSchema(shape) : { type: 'object' };
+            break;
+        default:
+            schema = {};
+    }
+
+    if (field.isNullable) schema.nullable = true;
+    return JSON.parse(JSON.stringify(schema));
+}
+
+function objectSchema(shape) {
+    const required = Object.keys(shape).filter(name => !shape[name].isOptional);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(shape).map(([name, field]) => [name, fieldSchema(field)])),
+        ...(required.length > 0 ? { required } : {}),
+    };
+}
+
+function parameters(routePath, schema) {
+    const params = (schema && schema.params) || {};
+    const query = (schema && schema.query) || {};
+
+    // Express path parameters are always present even when the schema doesn't describe them
+    const pathParams = [...routePath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: params[name] ? fieldSchema(params[name]) : { type: 'string' },
+    }));
+
+    const queryParams = Object.entries(query).map(([name, field]) => ({
+        name,
+        in: 'query',
+        required: !field.isOptional,
+        schema: fieldSchema(field),
+    }));
+
+    return [...pathParams, ...queryParams];
+}
+
+const errorResponse = (description, schemaName = 'Error') => ({
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } },
+});
+
+/**
+ * Error responses: the ones the middleware can produce plus the route's own.
+ */
+function errorResponses(guards, entry) {
+    const errors = {};
+    const add = (status, description) => {
+        errors[status] = errors[status] ? `${errors[status]}; ${description}` : description;
+    };
+
+    if (guards.schema) add(422, 'Request failed validation');
+    if (guards.authenticated) {
+        add(400, 'Malformed token');
+        add(401, 'Missing, expired or revoked token');
+        add(403, 'Password change or two-factor setup required first');
+    }
+    if (guards.roles) add(403, `Requires one of the roles: ${guards.roles.join(', ')}`);
+    if (guards.permission) add(403, `Requires the ${guards.permission} permission`);
+    if (guards.rateLimit) {
+        const { limit, windowSeconds, key } = guards.rateLimit;
+        add(429, `More than ${limit} requests per ${windowSeconds} seconds from one ${key === 'user' ? 'user' : 'IP address'}`);
+    }
+    for (const [status, description] of Object.entries(entry.errors || {})) add(status, description);
+    add(500, 'Server error');
+
+    return Object.fromEntries(Object.entries(errors).map(([status, description]) => [
+        status,
+        errorResponse(description, Number(status) === 422 && guards.schema ? 'ValidationError' : 'Error'),
+    ]));
+}
+
+function operation(route, entry) {
+    const guards = {
+        authenticated: route.handlers.includes(auth),
+        roles: (route.handlers.find(handler => handler.roles) || {}).roles,
+        permission: (route.handlers.find(handler => handler.permission) || {}).permission,
+        schema: (route.handlers.find(handler => handler.schema) || {}).schema,
+        rateLimit: (route.handlers.find(handler => handler.rateLimit) || {}).rateLimit,
+    };
+
+    const access = guards.roles
+        ? `Roles: ${guards.roles.join(', ')}.`
+        : guards.permission ? `Permission: ${guards.permission}.` : guards.authenticated ? 'Any signed-in user.' : 'Public.';
+    const body = entry.body || (guards.schema && guards.schema.body && objectSchema(guards.schema.body));
+    const contentType = entry.contentType || 'application/json';
+
+    return {
+        tags: [entry.tag],
+        summary: entry.summary,
+        description: [entry.description, `**Access:** ${access}`].filter(Boolean).join('\n\n'),
+        operationId: `${route.method}${route.path.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next || '').toUpperCase())}`,
+        ...(guards.authenticated ? { security: [{ tokenAuth: [] }] } : { security: [] }),
+        ...(guards.roles ? { 'x-roles': guards.roles } : {}),
+        ...(guards.permission ? { 'x-permission': guards.permission } : {}),
+        ...(guards.rateLimit ? { 'x-rate-limit': guards.rateLimit } : {}),
+        parameters: parameters(route.path, guards.schema),
+        ...(body ? { requestBody: { required: true, content: { 'application/json': { schema: body } } } } : {}),
+        responses: {
+            [entry.status || 200]: {
+                description: entry.responseDescription || 'Success',
+                content: { [contentType]: { schema: entry.response || { $ref: '#/components/schemas/Message' } } },
+            },
+            ...errorResponses(guards, entry),
+        },
+    };
+}
+
+/**
+ * The complete OpenAPI document for `app`. Routes without an openapi/paths entry are left out
+ * (checkCoverage reports them).
+ */
+function buildSpec(app) {
+    const { entries, tags } = loadEntries();
+    const paths = {};
+
+    for (const route of listRoutes(app)) {
+        const entry = entries[route.key];
+        if (!entry) continue;
+        const specPath = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[specPath] = { ...paths[specPath], [route.method]: operation(route, entry) };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Torch Bearer API',
+            version,
+            description: 'School management API. Responses generally take the form `{ success, message, data }`; '
+                + 'send the access token from a login response in the `x-auth-token` header.',
+        },
+        servers: [{ url: '/' }],
+        tags,
+        paths,
+        components: {
+            securitySchemes: {
+                tokenAuth: { type: 'apiKey', in: 'header', name: 'x-auth-token' },
+            },
+            schemas,
+        },
+    };
+}
+
+/**
+ * Compare the mounted routes with the openapi/paths entries. Returns { missing, stale }: routes
+ * with no entry, and entries whose route no longer exists.
+ */
+function checkCoverage(app) {
+    const { entries } = loadEntries();
+    const mounted = new Set(listRoutes(app).map(route => route.key));
+
+    return {
+        missing: [...mounted].filter(key => !entries[key]),
+        stale: Object.keys(entries).filter(key => !mounted.has(key)).map(key => `${key} (${entries[key].file})`),
+    };
+}
+
+module.exports = {
+    buildSpec,
+    checkCoverage,
+    listRoutes,
+};
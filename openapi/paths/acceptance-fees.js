@@ -0,0 +1,32 @@
+const { shape, arrayOf, envelope, one } = require('../components');
+
+const feeRow = shape({ id: 'integer', branch_id: 'uuid', program_type: 'string?', amount: 'decimal' });
+const notSet = { 404: 'No acceptance fees set' };
+
+module.exports = {
+    tag: 'Acceptance fees',
+    description: 'Fees paid to accept an admission offer',
+    routes: {
+        'GET /api/acceptance-fees/my-branch': {
+            summary: "Acceptance fees for the admin's branch",
+            response: envelope(arrayOf(feeRow)),
+            errors: { 403: 'Admin is not assigned to a branch', ...notSet },
+        },
+        'GET /api/acceptance-fees': {
+            summary: 'Acceptance fees for every branch',
+            response: envelope(arrayOf(shape({ amount: 'decimal', branch_id: 'uuid', program_type: 'string?', branch_name: 'string' }))),
+        },
+        'GET /api/acceptance-fees/branch/:branch_id': {
+            summary: "A branch's acceptance fees",
+            response: envelope(arrayOf(feeRow)),
+            errors: notSet,
+        },
+        'POST /api/acceptance-fees': {
+            summary: 'Set the acceptance fee for a branch and program type',
+            description: 'Answers 201 when the fee is new and 200 when an existing fee was updated.',
+            status: 201,
+            response: one('ProgramFee'),
+            errors: { 403: 'Admins may only set their own branch fee', 404: 'Branch not found' },
+        },
+    },
+};
@@ -0,0 +1,61 @@
+const { envelope, extend, one, paged } = require('../components');
+
+const paymentColumns = {
+    first_name: 'string',
+    last_name: 'string',
+    class_id: 'uuid',
+    class_name: 'string',
+    arm: 'string?',
+    branch_name: 'string',
+    term_name: 'string',
+    session: 'string',
+};
+
+const branchScope = verb => ({ 403: `Admins may only ${verb} payments in their own branch`, 404: 'Payment not found' });
+
+module.exports = {
+    tag: 'Admin payments',
+    description: 'School fee payment records for admins',
+    routes: {
+        'GET /api/admin/payments': {
+            summary: 'Fee payments with filters and paging',
+            description: 'q searches the reference and student name.',
+            response: paged(extend('Payment', { ...paymentColumns, payment_status: ['Paid', 'Not Paid'] })),
+        },
+        'GET /api/admin/payments/:id': {
+            summary: "One fee payment with the student's totals for the term",
+            response: envelope(extend('Payment', {
+                ...paymentColumns,
+                branch_id: 'uuid',
+                term_start: 'date',
+                term_end: 'date',
+                total_fees: 'decimal',
+                total_paid: 'decimal',
+                balance: 'number',
+                payment_status: ['Paid', 'Not Paid'],
+            })),
+            errors: { 404: 'Payment not found' },
+        },
+        'PATCH /api/admin/payments/:id': {
+            summary: 'Correct a fee payment',
+            description: "Recomputes the student's payment status for the term.",
+            errors: { 400: 'Nothing to update', ...branchScope('update') },
+        },
+        'DELETE /api/admin/payments/:id': {
+            summary: 'Delete a fee payment',
+            description: "Recomputes the student's payment status for the term.",
+            errors: branchScope('delete'),
+        },
+        'POST /api/admin/payments/manual': {
+            summary: 'Record a cash or bank payment',
+            description: 'The amount must equal what is still due for the term.',
+            status: 201,
+            response: one('Payment'),
+            errors: {
+                400: 'Duplicate reference, no fees set, already fully paid, or the amount is not the remaining balance',
+                403: 'Admins may only record payments in their own branch',
+                404: 'Student or term not found',
+            },
+        },
+    },
+};
@@ -0,0 +1,56 @@
+const { shape, arrayOf, envelope, extend, paged } = require('../components');
+
+const revenueColumns = {
+    student_first_name: 'string?',
+    student_last_name: 'string?',
+    class_name: 'string?',
+    branch_name: 'string?',
+    parent_name: 'string?',
+};
+
+const totals = { count: 'integer', total_amount: 'decimal?' };
+const revenueNotFound = { 404: 'Revenue record not found' };
+
+module.exports = {
+    tag: 'Admin revenue',
+    description: 'Online (Paystack) payment records for admins',
+    routes: {
+        'GET /api/admin/revenue': {
+            summary: 'Online payments with filters and paging',
+            description: 'q searches the reference, payer email and parent name.',
+            response: paged(extend('Revenue', {
+                ...revenueColumns,
+                class_id: 'uuid?',
+                arm: 'string?',
+                parent_phone: 'string?',
+            }), {
+                summary: shape({ total_records: 'integer', total_revenue: 'decimal' }),
+            }),
+        },
+        'GET /api/admin/revenue/summary': {
+            summary: 'Successful online payment totals, by payment type and by status',
+            response: envelope(shape({
+                total: shape({ total_transactions: 'integer', total_amount: 'decimal?' }),
+                by_payment_type: arrayOf(shape({ payment_for: 'string', ...totals })),
+                by_status: arrayOf(shape({ status: 'string', ...totals })),
+            })),
+        },
+        'GET /api/admin/revenue/:id': {
+            summary: 'One online payment with the fee payments it is linked to',
+            response: envelope(extend('Revenue', {
+                ...revenueColumns,
+                class_id: 'uuid?',
+                arm: 'string?',
+                parent_phone: 'string?',
+                parent_email: 'email?',
+                linked_payments: arrayOf(shape({ id: 'uuid', amount_paid: 'decimal', payment_date: 'date', reference: 'string?' })),
+            })),
+            errors: revenueNotFound,
+        },
+        'GET /api/admin/revenue/reference/:reference': {
+            summary: 'One online payment by its Paystack reference',
+            response: envelope(extend('Revenue', revenueColumns)),
+            errors: revenueNotFound,
+        },
+    },
+};
@@ -0,0 +1,14 @@
+const { shape } = require('../components');
+
+module.exports = {
+    tag: 'AI',
+    description: 'Generated commentary on dashboard data',
+    routes: {
+        'POST /api/ai/summary': {
+            summary: 'Summarise a dataset with Gemini',
+            description: 'Errors from this route carry `error` rather than `message`.',
+            response: shape({ summary: 'string', model: 'string' }),
+            errors: { 502: 'The model returned nothing' },
+        },
+    },
+};
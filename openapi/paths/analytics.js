@@ -0,0 +1,55 @@
+const { shape, arrayOf, envelope, extend } = require('../components');
+
+// The chart series are passed straight to the dashboard's chart library
+const series = description => ({ type: 'array', items: { type: 'object' }, description });
+
+module.exports = {
+    tag: 'Analytics',
+    description: 'Aggregates for the admin dashboards',
+    routes: {
+        'GET /api/analytics/summary': {
+            summary: 'Dashboard summary: staff attendance, revenue by source, population and recent expenses',
+            description: 'Admins see their own branch only.',
+            response: envelope(shape({
+                attendanceAnalytics: shape({
+                    present: arrayOf(shape({ date: 'date', count: 'integer' })),
+                    absent: arrayOf(shape({ date: 'date', count: 'integer' })),
+                }),
+                revenueSource: arrayOf(shape({ payment_for: 'string', total: 'decimal' })),
+                population: shape({ students: 'integer', parents: 'integer', newStudents: 'integer' }),
+                recentExpenses: arrayOf(extend('Expense', { author_name: 'string', branch_name: 'string' })),
+            })),
+        },
+        'GET /api/analytics/performance': {
+            summary: 'Attendance, punctuality and exam score charts for a period',
+            response: envelope(shape({
+                attendanceLineData: series('Student attendance percentage per weekday over the last 7 days'),
+                attendanceBarData: series('Student and staff attendance percentage per branch'),
+                disciplineData: series('Punctuality percentage per branch'),
+                academicsData: series('Average Internal and External exam score per branch'),
+            })),
+        },
+        'GET /api/analytics/analysis-page': {
+            summary: 'Revenue and fee charts for the active term',
+            response: envelope(shape({
+                summaryCards: shape({
+                    totalRevenue: 'decimal',
+                    feesPaid: 'integer',
+                    feesOwing: 'integer',
+                    totalBranches: 'integer',
+                    avgMonthlyRevenue: 'decimal',
+                }),
+                grossRevenueData: series('Revenue per branch'),
+                feesData: series('Students who have paid and who owe'),
+                revenueSourceData: series('Share of revenue per payment type, in percent'),
+                monthlyRevenueData: series('Revenue per month'),
+                schoolPopulationData: series('Students, parents and new students per branch'),
+            })),
+            errors: { 404: 'No active term' },
+        },
+        'GET /api/analytics/overview': {
+            summary: 'Class, teacher and subject counts',
+            response: envelope(shape({ totalClasses: 'integer', totalTeachers: 'integer', totalSubjects: 'integer' })),
+        },
+    },
+};
@@ -0,0 +1,42 @@
+const { one, listOf } = require('../components');
+
+const structureNotFound = { 404: 'Assessment structure not found' };
+
+module.exports = {
+    tag: 'Assessment structures',
+    description: 'Assessments, max scores and weights per branch, school type and term',
+    routes: {
+        'GET /api/assessment-structures': {
+            summary: 'Every configured assessment structure',
+            response: listOf('AssessmentStructure'),
+        },
+        'GET /api/assessment-structures/resolve': {
+            summary: 'The structure a class is marked under for a term',
+            description: 'Uses the active term unless term_id is given. The most specific structure wins (term, then branch, then school type). Without one, the built-in structure (id null) is returned: ca1-ca4 and exam, each out of 100 and added up as entered.',
+            response: one('AssessmentStructure'),
+            errors: { 404: 'Class not found' },
+        },
+        'GET /api/assessment-structures/:id': {
+            summary: 'One assessment structure',
+            response: one('AssessmentStructure'),
+            errors: structureNotFound,
+        },
+        'POST /api/assessment-structures': {
+            summary: 'Create an assessment structure',
+            description: 'Leave branch_id, school_type or term_id out to cover every branch, school type or term. A subject total is out of the sum of the weights.',
+            status: 201,
+            response: one('AssessmentStructure'),
+            errors: { 409: 'A structure already exists for this branch, school type and term', 422: 'An assessment appears twice' },
+        },
+        'PUT /api/assessment-structures/:id': {
+            summary: 'Rename a structure or replace its components',
+            description: 'Saved scores are not rescaled; report cards total them with the new weights.',
+            response: one('AssessmentStructure'),
+            errors: { ...structureNotFound, 422: 'An assessment appears twice' },
+        },
+        'DELETE /api/assessment-structures/:id': {
+            summary: 'Delete an assessment structure',
+            errors: structureNotFound,
+        },
+    },
+};
@@ -0,0 +1,26 @@
+const { envelope, arrayOf, extend, one } = require('../components');
+
+module.exports = {
+    tag: 'Assignments',
+    description: 'Homework set by teachers for their classes',
+    routes: {
+        'POST /api/assignments': {
+            summary: 'Set an assignment for a class',
+            status: 201,
+            response: one('Assignment'),
+            errors: { 403: 'Not a teacher of this class', 404: 'Class not found' },
+        },
+        'GET /api/assignments/class/:classId': {
+            summary: "A class's assignments",
+            response: envelope(arrayOf(extend('Assignment', { teacher_name: 'string' }))),
+        },
+        'PUT /api/assignments/:id': {
+            summary: 'Update an assignment',
+            errors: { 403: 'Only the teacher who set it may update it', 404: 'Assignment not found' },
+        },
+        'DELETE /api/assignments/:id': {
+            summary: 'Delete an assignment',
+            errors: { 403: 'Only the teacher who set it may delete it', 404: 'Assignment not found' },
+        },
+    },
+};
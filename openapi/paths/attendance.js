@@ -0,0 +1,94 @@
+const { shape, arrayOf, envelope, extend, one, paged } = require('../components');
+
+const dayLog = {
+    date: 'date',
+    status: ['Present', 'Absent', 'Leave'],
+    clock_in_time: 'datetime?',
+    clock_out_time: 'datetime?',
+};
+
+const month = envelope(arrayOf(shape(dayLog)), { staff_id: 'uuid', year: 'integer', month: 'integer' });
+
+module.exports = {
+    tag: 'Attendance',
+    description: 'Staff and student attendance, including QR clock-in for staff',
+    routes: {
+        'POST /api/attendance/staff': {
+            summary: 'Mark a staff member present, absent or on leave for a day',
+            status: 201,
+            response: one('StaffAttendance'),
+            errors: { 403: 'Admins may only mark staff in their own branch', 409: 'Already marked for this date' },
+        },
+        'GET /api/attendance/staff': {
+            summary: 'Staff attendance records, latest day first',
+            description: 'date picks one day; from and to bound a range.',
+            response: paged(extend('StaffAttendance', { staff_name: 'string' })),
+        },
+        'GET /api/attendance/staff/day': {
+            summary: 'Every staff member with their attendance and clock times for one day',
+            response: envelope(arrayOf(shape({
+                staff_id: 'uuid',
+                staff_name: 'string',
+                branch_id: 'uuid',
+                status: { type: 'string', enum: ['Present', 'Absent', 'Leave'], nullable: true },
+                date: 'date?',
+                clock_in_time: 'datetime?',
+                clock_out_time: 'datetime?',
+            }))),
+            errors: { 403: 'Admin has no branch' },
+        },
+        'GET /api/attendance/staff/me/month': {
+            summary: "The signed-in staff member's attendance for a month",
+            response: month,
+            errors: { 404: 'Staff profile not found' },
+        },
+        'GET /api/attendance/staff/:staffId/month': {
+            summary: "A staff member's attendance for a month",
+            response: month,
+            errors: { 403: 'Admin has no branch, or the staff member is in another branch' },
+        },
+        'POST /api/attendance/student': {
+            summary: 'Mark attendance for a class on one day',
+            status: 201,
+            errors: {
+                403: 'Not your branch or, for teachers, not your class',
+                404: 'Class not found',
+                409: 'Already marked for one or more of the students on this date',
+            },
+        },
+        'GET /api/attendance/student': {
+            summary: 'Student attendance records',
+            description: 'Latest day first. Teachers only see their own classes; date picks one day, from and to bound a range.',
+            response: paged(shape({
+                student_id: 'uuid',
+                status: ['Present', 'Absent', 'Late'],
+                date: 'date',
+                class_id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+            })),
+        },
+        'GET /api/attendance/my-children': {
+            summary: "Attendance history of the signed-in parent's children",
+            response: envelope(arrayOf(shape({
+                student_id: 'uuid',
+                student_name: 'string',
+                class_name: 'string',
+                attendance: arrayOf(shape({ student_id: 'uuid', date: 'date', status: ['Present', 'Absent', 'Late'] })),
+            }))),
+            errors: { 404: 'Parent not found' },
+        },
+        'POST /api/attendance/staff/clock': {
+            summary: 'Clock in or out by scanning the school QR code',
+            description: "The device location must be within the branch's allowed radius.",
+            response: shape({ success: 'boolean', message: 'string', date: 'date' }),
+            errors: {
+                400: 'Clocking out without having clocked in',
+                401: 'Invalid QR code',
+                403: 'Too far from the school; the response includes distance_m and allowed_radius_m',
+                404: 'Staff profile not found',
+                409: 'Already clocked in or out today',
+            },
+        },
+    },
+};
@@ -0,0 +1,12 @@
+const { ref, paged } = require('../components');
+
+module.exports = {
+    tag: 'Audit',
+    description: 'Audit trail of sensitive changes',
+    routes: {
+        'GET /api/audit': {
+            summary: 'Audit log entries, newest first',
+            response: paged(ref('AuditLog')),
+        },
+    },
+};
@@ -0,0 +1,177 @@
+const { shape, ref, arrayOf, envelope, listOf, paged, session } = require('../components');
+
+const staffLogin = shape({
+    staff: shape({
+        id: 'uuid',
+        name: 'string',
+        email: 'email',
+        phone: 'string',
+        address: 'string?',
+        gender: ['male', 'female', 'other'],
+        description: 'string?',
+        status: 'string',
+        imageUrl: 'string?',
+        createdAt: 'datetime',
+        permissions: { type: 'array', items: { type: 'string' }, nullable: true },
+        effectivePermissions: arrayOf('string'),
+        roleId: 'integer',
+        role: 'string',
+        branchId: 'uuid',
+        branch: 'string',
+    }),
+    ...session,
+    twoFactorSetupRequired: 'boolean',
+    message: 'string',
+});
+
+const superAdminLogin = shape({
+    admin: shape({ id: 'uuid', name: 'string', email: 'email', phone: 'string', image: 'string?', roleId: 'integer' }),
+    ...session,
+    twoFactorSetupRequired: 'boolean',
+    message: 'string',
+});
+
+const throttled = { 429: 'Too many failed attempts from this account or address' };
+
+module.exports = {
+    tag: 'Auth',
+    description: 'Logins, sessions, password resets and two-factor authentication',
+    routes: {
+        'POST /api/auth/register': {
+            summary: 'Create a user account with a role',
+            status: 201,
+            errors: { 400: 'Email already exists or role is unknown', 403: 'Only a SuperAdmin may register users' },
+        },
+        'POST /api/auth/parent/login': {
+            summary: 'Parent login',
+            response: shape({
+                parent: shape({
+                    id: 'uuid',
+                    name: 'string',
+                    email: 'email',
+                    phone: 'string',
+                    children: arrayOf(shape({ id: 'uuid', name: 'string' })),
+                }),
+                ...session,
+                message: 'string',
+            }),
+            errors: { 400: 'Invalid credentials', 403: 'Not a parent account', 404: 'Parent details not found', ...throttled },
+        },
+        'POST /api/auth/login': {
+            summary: 'SuperAdmin login',
+            description: 'Returns a two-factor challenge instead of a session when the account has two-factor enabled; finish with POST /api/auth/2fa/verify-login.',
+            response: { oneOf: [superAdminLogin, ref('TwoFactorChallenge')] },
+            errors: { 400: 'Invalid credentials', 403: 'Not a SuperAdmin account', ...throttled },
+        },
+        'POST /api/auth/login/staff': {
+            summary: 'Staff login',
+            description: 'Returns a two-factor challenge instead of a session when the account has two-factor enabled; finish with POST /api/auth/2fa/verify-login.',
+            response: { oneOf: [staffLogin, ref('TwoFactorChallenge')] },
+            errors: { 400: 'Invalid credentials', 403: 'Not a staff account', ...throttled },
+        },
+        'POST /api/auth/login/cbt/student': {
+            summary: 'Student login to the CBT exam portal',
+            response: envelope(shape({ student: ref('Student'), ...session })),
+            errors: { 400: 'Unknown student ID or wrong password', 403: 'Not a student account', 404: 'Student not found', ...throttled },
+        },
+        'POST /api/auth/student/login': {
+            summary: 'Student login',
+            response: shape({
+                success: 'boolean',
+                ...session,
+                student: ref('Student'),
+                role: arrayOf('string'),
+                message: 'string',
+            }),
+            errors: { 400: 'Invalid credentials', 403: 'Not a student account', 404: 'Student not found', ...throttled },
+        },
+        'POST /api/auth/refresh': {
+            summary: 'Exchange a refresh token for a new access token',
+            description: 'The refresh token is rotated; keep the new one from the response.',
+            response: shape({ success: 'boolean', token: 'string', refreshToken: 'string', expiresIn: 'string' }),
+            errors: { 401: 'Invalid or expired refresh token' },
+        },
+        'POST /api/auth/logout': {
+            summary: 'End the current session',
+        },
+        'POST /api/auth/logout-all': {
+            summary: 'End every session for the current user',
+            response: envelope(shape({ revoked: 'integer' })),
+        },
+        'GET /api/auth/sessions': {
+            summary: "List the current user's active sessions",
+            response: listOf('Session'),
+        },
+        'POST /api/auth/forgot-password': {
+            summary: 'Email a single-use password reset link',
+            description: "Students' links go to their parent. The response is the same whether or not an account matched.",
+            errors: { 400: 'Neither email nor student ID given' },
+        },
+        'POST /api/auth/reset-password': {
+            summary: 'Set a new password using a reset token',
+            description: 'Ends every existing session for the account.',
+            errors: { 400: 'Password too weak, or the reset link is invalid or expired' },
+        },
+        'POST /api/auth/change-password': {
+            summary: "Change the current user's password",
+            description: 'Other sessions are logged out. Allowed while a password change is required.',
+            errors: { 400: 'Current password is wrong, or the new password is too weak or unchanged' },
+        },
+        'POST /api/auth/unlock': {
+            summary: 'Clear a login lockout for an account',
+            description: 'Admins can unlock accounts in their own branch below Admin; only a SuperAdmin can unlock Admin and SuperAdmin accounts. Each unlock is recorded in the audit log.',
+            errors: {
+                403: 'The account is an Admin or SuperAdmin, or is outside your branch',
+                404: 'Account not found',
+            },
+        },
+        'GET /api/auth/login-attempts': {
+            summary: 'Login attempts audit log, newest first',
+            response: paged(ref('LoginAttempt')),
+        },
+        'POST /api/auth/2fa/verify-login': {
+            summary: 'Finish a two-factor login',
+            description: 'Exchanges the challenge token from the login response plus an authenticator or recovery code for a session. The response matches the login route that issued the challenge.',
+            response: { oneOf: [staffLogin, superAdminLogin] },
+            errors: {
+                400: 'No code given, or the code is wrong',
+                401: 'Login challenge is invalid or has expired',
+                403: 'Staff account no longer exists',
+                429: 'Too many failed attempts',
+            },
+        },
+        'GET /api/auth/2fa/status': {
+            summary: 'Two-factor status for the current user',
+            response: envelope(shape({ enabled: 'boolean', required: 'boolean', recoveryCodesRemaining: 'integer' })),
+        },
+        'POST /api/auth/2fa/setup': {
+            summary: 'Begin two-factor enrollment',
+            description: 'Returns a secret and an otpauth:// URI to show as a QR code.',
+            response: envelope(shape({ secret: 'string', otpauthUrl: 'string' })),
+            errors: { 400: 'Two-factor authentication is already enabled' },
+        },
+        'POST /api/auth/2fa/enable': {
+            summary: 'Confirm two-factor enrollment',
+            description: 'Returns one-time recovery codes; they are not shown again.',
+            response: envelope(shape({ recoveryCodes: arrayOf('string') })),
+            errors: { 400: 'Invalid code, or no setup is in progress' },
+        },
+        'POST /api/auth/2fa/recovery-codes': {
+            summary: 'Replace all recovery codes',
+            response: envelope(shape({ recoveryCodes: arrayOf('string') })),
+            errors: { 400: 'Two-factor authentication is not enabled, or the code is wrong' },
+        },
+        'POST /api/auth/2fa/disable': {
+            summary: 'Turn off two-factor authentication',
+            errors: {
+                400: 'Two-factor authentication is not enabled, or the password or code is wrong',
+                403: 'Two-factor authentication is required for this role',
+            },
+        },
+        'POST /api/auth/2fa/reset': {
+            summary: "Reset someone's two-factor authentication",
+            description: 'For an account whose authenticator and recovery codes are lost: turns two-factor off and ends their sessions. Where two-factor is enforced they enroll again on their next login.',
+            errors: { 404: 'Account not found' },
+        },
+    },
+};
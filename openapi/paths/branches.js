@@ -0,0 +1,29 @@
+const { arrayOf, ref, shape } = require('../components');
+
+const superAdminOnly = { 403: 'Only a SuperAdmin may manage branches' };
+
+module.exports = {
+    tag: 'Branches',
+    description: 'School branches (sites)',
+    routes: {
+        'POST /api/branches/store': {
+            summary: 'Create a branch',
+            status: 201,
+            response: shape({ message: 'string', data: ref('Branch') }),
+            errors: superAdminOnly,
+        },
+        'PUT /api/branches/:branchId/update': {
+            summary: 'Update a branch',
+            description: 'ranking_basis is kept as it is when left out.',
+            errors: superAdminOnly,
+        },
+        'GET /api/branches': {
+            summary: 'List all branches',
+            response: arrayOf(ref('Branch')),
+        },
+        'DELETE /api/branches/:id': {
+            summary: 'Delete a branch',
+            errors: superAdminOnly,
+        },
+    },
+};
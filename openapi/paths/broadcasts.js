@@ -0,0 +1,57 @@
+const { shape, envelope, extend, listOf, paged } = require('../components');
+
+// GROUP_CONCAT leaves the list columns as comma-separated strings when reading broadcasts back
+const listed = shape({
+    id: 'uuid',
+    title: 'string',
+    message: 'string',
+    status: ['Sent', 'Draft'],
+    created_at: 'datetime',
+    updated_at: 'datetime',
+    read_status: ['Read', 'Unread'],
+    tags: { type: 'string', nullable: true, example: 'exams,urgent' },
+    cc_roles: { type: 'string', nullable: true, example: 'Teacher,Parent' },
+    branch_ids: { type: 'string', nullable: true, description: 'Comma-separated branch IDs; null for a global broadcast' },
+    is_global: 'boolean',
+});
+
+const branchScope = { 403: 'Admin has no branch, or targeted another branch' };
+
+module.exports = {
+    tag: 'Broadcasts',
+    description: 'Announcements to branches and roles, with read receipts',
+    routes: {
+        'POST /api/broadcasts': {
+            summary: 'Create a broadcast',
+            description: 'Without branch_ids the broadcast goes to every branch. Admins may only target their own branch.',
+            status: 201,
+            response: envelope(extend('Broadcast', { is_global: 'boolean' })),
+            errors: branchScope,
+        },
+        'PUT /api/broadcasts/:id': {
+            summary: 'Update a broadcast and its tags, roles and branches',
+            errors: { ...branchScope, 404: 'Broadcast not found' },
+        },
+        'DELETE /api/broadcasts/:id': {
+            summary: 'Delete a broadcast',
+            errors: { 404: 'Broadcast not found' },
+        },
+        'GET /api/broadcasts': {
+            summary: 'Broadcasts visible to the signed-in user, newest first',
+            description: '20 per page unless limit is given; q searches the title and message.',
+            response: paged(listed),
+        },
+        'GET /api/broadcasts/:id': {
+            summary: 'One broadcast',
+            response: envelope(listed),
+            errors: { 403: 'Not addressed to your branch or role', 404: 'Broadcast not found' },
+        },
+        'POST /api/broadcasts/:id/read': {
+            summary: 'Mark a broadcast as read',
+        },
+        'GET /api/broadcasts/:id/receipts': {
+            summary: 'Read status of a broadcast for every user',
+            response: listOf('BroadcastReceipt'),
+        },
+    },
+};
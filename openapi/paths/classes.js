@@ -0,0 +1,50 @@
+const { arrayOf, extend, envelope, one } = require('../components');
+
+const classWithNames = extend('Class', { branch_name: 'string', teacher_name: 'string' });
+
+module.exports = {
+    tag: 'Classes',
+    description: 'Classes and their class teachers',
+    routes: {
+        'POST /api/classes': {
+            summary: 'Create a class',
+            status: 201,
+            response: envelope(classWithNames),
+            errors: {
+                403: 'Admins can only create classes for their own branch',
+                404: 'Branch not found, or the teacher is not in the branch',
+            },
+        },
+        'GET /api/classes/branch/:branch_id': {
+            summary: 'List the classes in a branch',
+            response: envelope(arrayOf(classWithNames)),
+        },
+        'GET /api/classes': {
+            summary: 'List the classes visible to the signed-in user',
+            description: 'SuperAdmins see every class; Admins their branch; Teachers, Parents and Students the classes they are linked to.',
+            response: envelope(arrayOf(classWithNames)),
+            errors: { 403: 'The user is not linked to a branch or class' },
+        },
+        'PUT /api/classes/:id': {
+            summary: 'Update a class',
+            response: envelope(classWithNames),
+            errors: {
+                403: 'The class is in another branch',
+                404: 'Class not found, or the teacher is not in the branch',
+            },
+        },
+        'DELETE /api/classes/:id': {
+            summary: 'Delete a class',
+            errors: {
+                400: 'The class is still referenced by students or other records',
+                403: 'The class is in another branch',
+                404: 'Class not found',
+            },
+        },
+        'GET /api/classes/full-class-details/:id': {
+            summary: 'A class with its teacher, students, upcoming assignments and timetable',
+            response: one('ClassDetails'),
+            errors: { 404: 'Class not found' },
+        },
+    },
+};
@@ -0,0 +1,30 @@
+const { shape } = require('../components');
+
+module.exports = {
+    tag: 'Comments',
+    description: 'Teacher and principal remarks shown on report cards',
+    routes: {
+        'POST /api/comments/save': {
+            summary: "Save the teacher's and principal's comments for a student and term",
+            errors: {
+                400: 'Neither comment given',
+                403: 'Not the class teacher, not a staff member, or the student is in another branch',
+                404: 'Student or term not found',
+            },
+        },
+        'POST /api/comments/principal': {
+            summary: "Save the principal's comment for one student or many",
+            response: shape({
+                success: 'boolean',
+                message: 'string',
+                summary: shape({ total_students: 'integer', updated: 'integer', created: 'integer' }),
+                details: { type: 'array', items: { type: 'object' } },
+            }),
+            errors: {
+                400: 'Neither student_id nor students given, or principal_comment missing',
+                403: 'Students are in another branch',
+                404: 'Term or students not found',
+            },
+        },
+    },
+};
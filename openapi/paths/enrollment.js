@@ -0,0 +1,73 @@
+const { shape, arrayOf, envelope, one, paged } = require('../components');
+
+const credentials = envelope(shape({ student_id: 'string', temporary_password: 'string' }));
+const branchScope = { 403: 'Student belongs to another branch', 404: 'Student not found' };
+const feeRow = shape({ id: 'integer', branch_id: 'uuid', program_type: 'string?', amount: 'decimal' });
+
+module.exports = {
+    tag: 'Enrollment',
+    description: 'Entrance registration of new students and enrollment fees',
+    routes: {
+        'POST /api/enrollment/register': {
+            summary: 'Register a new student for the entrance exam',
+            description: 'Creates the parent account if needed. The response holds the only copy of the temporary password.',
+            status: 201,
+            response: envelope(shape({ student_id: 'string', temporary_password: 'string', full_name: 'string' })),
+            errors: { 400: 'The parent email belongs to a non-parent account' },
+        },
+        'GET /api/enrollment/students': {
+            summary: 'Newly enrolled students, newest first',
+            description: "Admins see their own branch's students only. q searches names, the student ID and the parent name.",
+            response: paged(shape({
+                id: 'uuid',
+                student_id: 'string',
+                first_name: 'string',
+                last_name: 'string',
+                dob: 'date',
+                class_applying: 'string?',
+                payment_status: 'string',
+                branch_name: 'string',
+                parent_name: 'string',
+                parent_phone: 'string',
+            })),
+        },
+        'POST /api/enrollment/students/:id/reset-password': {
+            summary: "Reset a new student's password",
+            response: credentials,
+            errors: { ...branchScope, 404: 'Student or user account not found' },
+        },
+        'DELETE /api/enrollment/students/:id': {
+            summary: 'Delete a new student record',
+            errors: branchScope,
+        },
+        'PUT /api/enrollment/students/:id': {
+            summary: "Update a new student's and their parent's details",
+            errors: {
+                400: 'The parent email is used by another account',
+                ...branchScope,
+                404: 'Student or parent not found',
+            },
+        },
+        'GET /api/enrollment/fees/my-branch': {
+            summary: "Enrollment fees for the admin's branch",
+            response: envelope(arrayOf(feeRow)),
+            errors: { 403: 'Admin is not assigned to a branch', 404: 'No enrollment fees set' },
+        },
+        'GET /api/enrollment/fees': {
+            summary: 'Enrollment fees for every branch',
+            response: envelope(arrayOf(shape({ amount: 'decimal', branch_id: 'uuid', program_type: 'string?', branch_name: 'string' }))),
+        },
+        'GET /api/enrollment/fees/:branch_id': {
+            summary: "A branch's enrollment fees",
+            response: envelope(arrayOf(feeRow)),
+            errors: { 404: 'No enrollment fees set' },
+        },
+        'POST /api/enrollment/fees': {
+            summary: 'Set the enrollment fee for a branch and program type',
+            description: 'Answers 201 when the fee is new and 200 when an existing fee was updated.',
+            status: 201,
+            response: one('ProgramFee'),
+            errors: { 403: 'Admins may only set their own branch fee', 404: 'Branch not found' },
+        },
+    },
+};
@@ -0,0 +1,31 @@
+const { shape, arrayOf, envelope, extend, listOf } = require('../components');
+
+module.exports = {
+    tag: 'Errors',
+    description: 'Server errors recorded by the running instance',
+    routes: {
+        'GET /api/errors': {
+            summary: 'Recorded error groups, most recently seen first',
+            description: 'Groups live in process memory and are reset on restart.',
+            response: listOf('ErrorGroup'),
+        },
+        'GET /api/errors/:id': {
+            summary: 'One error group with its stack trace and latest occurrences',
+            response: envelope(extend('ErrorGroup', {
+                stack: 'string',
+                recent: arrayOf(shape({
+                    at: 'datetime',
+                    requestId: 'string?',
+                    method: 'string?',
+                    path: 'string?',
+                    userId: 'uuid?',
+                    message: 'string?',
+                })),
+            })),
+            errors: { 404: 'Error group not found' },
+        },
+        'DELETE /api/errors': {
+            summary: 'Forget every recorded error group',
+        },
+    },
+};
@@ -0,0 +1,31 @@
+const { shape, arrayOf, ref } = require('../components');
+
+module.exports = {
+    tag: 'Events',
+    description: 'School calendar events per branch',
+    routes: {
+        'GET /api/event/events': {
+            summary: 'Events for the branches the signed-in user belongs to',
+            description: 'SuperAdmins see every branch; staff, students and parents see the branches they (or their children) are in. Newest first.',
+            response: arrayOf(ref('Event')),
+        },
+        'POST /api/event/events': {
+            summary: 'Create an event',
+            status: 201,
+            response: shape({ message: 'string', event: ref('Event') }),
+            errors: { 403: 'Admins can only create events for their own branch' },
+        },
+        'PUT /api/event/events/:eventId': {
+            summary: 'Update an event',
+            errors: {
+                400: 'No fields to update',
+                403: "The event is in another branch, or the branch can't be changed",
+                404: 'Event not found',
+            },
+        },
+        'DELETE /api/event/events/:eventId': {
+            summary: 'Delete an event',
+            errors: { 403: 'The event is in another branch', 404: 'Event not found' },
+        },
+    },
+};
@@ -0,0 +1,219 @@
+const { shape, arrayOf, envelope, one, paged } = require('../components');
+
+const examQuestion = shape({
+    id: 'uuid',
+    text: 'string',
+    question_image_url: 'string?',
+    options: arrayOf('string'),
+    selectedOptionIndex: 'integer?',
+});
+
+const resultRow = {
+    id: 'uuid',
+    score: 'decimal',
+    total_questions: 'integer',
+    answered_questions: 'integer',
+    started_at: 'datetime?',
+    time_spent_minutes: 'integer?',
+    submitted_at: 'datetime',
+    published: 'boolean',
+    first_name: 'string?',
+    last_name: 'string?',
+};
+
+const resultScope = {
+    403: "Only the class teacher, or an Admin of the exam's branch, may change this result",
+};
+
+module.exports = {
+    tag: 'Exams',
+    description: 'CBT exams: scheduling, taking, scoring, publishing and direct assignment to students',
+    routes: {
+        'POST /api/exams/store': {
+            summary: 'Schedule an exam and its questions',
+            description: 'Internal exams need an assessment_type; their published scores are copied into the class results.',
+            status: 201,
+            response: one('Exam'),
+            errors: {
+                400: 'Missing assessment type, end before start, class or subject not in the branch, or the time overlaps another exam',
+                403: 'Admin is not assigned to a branch',
+            },
+        },
+        'GET /api/exams': {
+            summary: "Exams for the caller's branch, latest first",
+            description: 'from and to bound the start time; q searches the title.',
+            response: paged(shape({
+                id: 'uuid',
+                exam_title: 'string',
+                exam_type: ['Internal', 'External'],
+                exam_class: 'string?',
+                subject_type: ['Multi-Subject', 'Single-Subject'],
+                subject_name: 'string?',
+                class_subject_id: 'uuid?',
+                exam_date_time: 'string',
+                exam_end_datetime: 'string?',
+                branch: 'string',
+                exam_duration: 'integer',
+            })),
+        },
+        'PUT /api/exams/:examId': {
+            summary: 'Update an exam',
+            response: one('Exam'),
+            errors: { 400: 'End before start, or the time overlaps another exam', 403: 'Exam belongs to another branch', 404: 'Exam not found' },
+        },
+        'DELETE /api/exams/:examId': {
+            summary: 'Delete an exam with its questions and results',
+            errors: { 403: 'Exam belongs to another branch', 404: 'Exam not found' },
+        },
+        'GET /api/exams/class': {
+            summary: "Exams for the signed-in teacher's class",
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                title: 'string',
+                exam_type: ['Internal', 'External'],
+                assessment_type: 'string?',
+                subject_type: ['Multi-Subject', 'Single-Subject'],
+                class_subject_id: 'uuid?',
+                class_id: 'uuid',
+                exam_date_time: 'datetime',
+                exam_end_datetime: 'datetime?',
+                duration_minutes: 'integer',
+            }))),
+            errors: { 403: 'Not a staff member', 404: 'Teacher has no class' },
+        },
+        'GET /api/exams/upcoming': {
+            summary: 'Upcoming exams across all branches',
+            response: envelope(arrayOf(shape({
+                title: 'string',
+                date: 'datetime',
+                class: 'string?',
+                branch: 'string',
+                subjects: arrayOf('string'),
+            }))),
+        },
+        'GET /api/exams/me/upcoming': {
+            summary: 'Upcoming exams for the signed-in student',
+            description: "Includes both exams for the student's class and exams assigned to the student directly.",
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                title: 'string',
+                duration_minutes: 'integer',
+                date: 'datetime',
+                exam_end_datetime: 'datetime?',
+                class: 'string?',
+                branch: 'string',
+                assignment_type: ['class-based', 'direct'],
+                subjects: arrayOf('string'),
+            }))),
+            errors: { 404: 'Student not found' },
+        },
+        'GET /api/exams/student/current-exam': {
+            summary: 'The exam the signed-in student is sitting now, with saved answers',
+            description: "The first call starts the student's timer.",
+            response: envelope(shape({
+                examId: 'uuid',
+                title: 'string',
+                examDuration: 'integer',
+                examStartTime: 'datetime',
+                examEndDatetime: 'datetime?',
+                startedAt: 'datetime',
+                remainingTime: 'integer',
+                subjects: arrayOf(shape({ id: 'uuid', title: 'string', questions: arrayOf(examQuestion) })),
+            })),
+            errors: { 403: 'Exam already submitted, or the time is up', 404: 'Student not found, or no exam in progress' },
+        },
+        'POST /api/exams/save-progress': {
+            summary: 'Save answers so far without submitting',
+            errors: { 404: 'No active exam session' },
+        },
+        'GET /api/exams/subjects': {
+            summary: "Subjects of the next exam for the signed-in student's class",
+            response: envelope(shape({
+                examId: 'uuid',
+                examDuration: 'integer',
+                subjects: arrayOf(shape({ id: 'uuid', title: 'string' })),
+            })),
+            errors: { 404: 'Class not found, or no upcoming exam' },
+        },
+        'GET /api/exams/:examId/subjects/:subjectId/questions': {
+            summary: 'Questions for one subject of an exam, without the answers',
+            response: envelope(arrayOf(shape({ id: 'uuid', text: 'string', options: arrayOf('string') }))),
+            errors: { 403: 'The exam has not started or has ended', 404: 'Exam not found for this subject' },
+        },
+        'POST /api/exams/answers': {
+            summary: 'Submit answers and record the score',
+            errors: {
+                400: 'The exam was never started',
+                403: 'The time is up',
+                404: 'Exam or questions not found',
+            },
+        },
+        'GET /api/exams/:examId/results': {
+            summary: 'All results for an exam',
+            response: envelope(arrayOf(shape(resultRow)), { count: 'integer' }),
+            errors: { 403: 'Exam belongs to another branch', 404: 'Exam not found' },
+        },
+        'GET /api/exams/:examId/results/teacher': {
+            summary: 'Results for an exam, for the class teacher',
+            response: envelope(arrayOf(shape(resultRow))),
+            errors: { 403: 'Not a staff member, or not assigned to a class' },
+        },
+        'PUT /api/exams/results/:resultId': {
+            summary: "Correct a student's exam score",
+            description: 'A published result is copied through to the class results as well.',
+            response: envelope(shape({ id: 'uuid', score: 'number', answered_questions: 'integer' })),
+            errors: { 400: 'Answered questions out of range', ...resultScope, 404: 'Exam result not found' },
+        },
+        'PUT /api/exams/results/:resultId/publish': {
+            summary: 'Publish or unpublish one exam result',
+            response: envelope(shape({ id: 'uuid', published: 'boolean' })),
+            errors: { ...resultScope, 404: 'Exam result not found' },
+        },
+        'PUT /api/exams/results/publish': {
+            summary: 'Publish or unpublish every result of an exam for a class',
+            response: envelope(shape({ affected_rows: 'integer', published: 'boolean' })),
+            errors: { 400: 'The class does not match the exam', ...resultScope, 404: 'Exam not found' },
+        },
+        'GET /api/exams/results/me': {
+            summary: "The signed-in student's published exam results for the active term",
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                score: 'decimal',
+                exam_id: 'uuid',
+                exam_title: 'string',
+                position: 'string',
+            }))),
+            errors: { 403: 'Not a student', 404: 'Student or active term not found' },
+        },
+        'POST /api/exams/assign': {
+            summary: 'Assign an exam to one student',
+            description: "For external or new students who are not in the exam's class.",
+            response: one('ExamAssignment'),
+            errors: { 400: 'Already assigned to this student', 403: 'Assigner has no branch', 404: 'Student or exam not found' },
+        },
+        'POST /api/exams/bulk-assign': {
+            summary: 'Assign an exam to several students',
+            description: 'Students who already have the exam are skipped.',
+            response: envelope(shape({ assigned: 'integer', skipped: 'integer', total: 'integer' })),
+            errors: { 403: 'Assigner has no branch', 404: 'Exam not found' },
+        },
+        'DELETE /api/exams/assignment/:assignmentId': {
+            summary: 'Remove an exam assignment',
+            errors: { 404: 'Assignment not found' },
+        },
+        'GET /api/exams/:examId/assignments': {
+            summary: 'Students assigned to an exam, with their submission status',
+            response: envelope(arrayOf(shape({
+                assignment_id: 'uuid',
+                student_id: 'uuid',
+                assigned_at: 'datetime',
+                first_name: 'string?',
+                last_name: 'string?',
+                student_code: 'string?',
+                has_submitted: 'integer',
+                score: 'decimal?',
+                submitted_at: 'datetime?',
+            }))),
+        },
+    },
+};
@@ -0,0 +1,32 @@
+const { extend, one, paged } = require('../components');
+
+module.exports = {
+    tag: 'Expenses',
+    description: 'Branch expense requests and approvals',
+    routes: {
+        'POST /api/expenses': {
+            summary: 'Request an expense',
+            status: 201,
+            response: one('Expense'),
+            errors: { 403: 'Admins can only create expenses for their own branch' },
+        },
+        'GET /api/expenses': {
+            summary: 'List expenses, newest first',
+            description: "Admins only see their own branch's expenses. due_from and due_to bound the due date; q searches the title and description.",
+            response: paged(extend('Expense', { branch_name: 'string', author_name: 'string?' })),
+        },
+        'PUT /api/expenses/:id/status': {
+            summary: 'Approve or reject an expense',
+            response: one('Expense'),
+            errors: {
+                400: 'A rejection needs a reason',
+                403: 'Admins can only approve expenses for their own branch',
+                404: 'Expense not found',
+            },
+        },
+        'DELETE /api/expenses/:id': {
+            summary: 'Delete an expense',
+            errors: { 404: 'Expense not found' },
+        },
+    },
+};
@@ -0,0 +1,139 @@
+const { shape, arrayOf, envelope, extend, listOf, one, paged } = require('../components');
+
+const paymentRecord = shape({
+    id: 'uuid',
+    amount_paid: 'decimal',
+    payment_date: 'date',
+    gateway_reference: 'string?',
+    created_at: 'datetime',
+});
+
+const child = {
+    child_id: 'uuid',
+    registration_id: { type: 'string', description: "The child's login ID" },
+    child_name: 'string',
+    passport_image: 'string?',
+    class_name: 'string',
+    branch_name: 'string',
+    class_arm: 'string?',
+};
+
+const termFee = extend('Fee', { class_name: 'string', term_name: 'string', branch_name: 'string' });
+const branchScope = verb => ({ 403: `Admins may only ${verb} fees in their own branch` });
+
+module.exports = {
+    tag: 'Fees',
+    description: 'School fee items per class and term, and payment status by student',
+    routes: {
+        'POST /api/fees': {
+            summary: 'Add a fee item for a class and term',
+            status: 201,
+            response: one('Fee'),
+            errors: branchScope('create'),
+        },
+        'PUT /api/fees/:id': {
+            summary: 'Update a fee item',
+            errors: { ...branchScope('update'), 404: 'Fee not found' },
+        },
+        'DELETE /api/fees/:id': {
+            summary: 'Delete a fee item',
+            errors: { ...branchScope('delete'), 404: 'Fee not found' },
+        },
+        'GET /api/fees/class/:classId': {
+            summary: "A class's fee items for the active term",
+            response: listOf('Fee'),
+            errors: { 404: 'No active term' },
+        },
+        'GET /api/fees/children': {
+            summary: "Fees, payments and balance per term of the session for each of the signed-in parent's children",
+            response: envelope(arrayOf(shape({
+                ...child,
+                terms: arrayOf(shape({
+                    term_name: 'string',
+                    session: 'string',
+                    fees: arrayOf(termFee),
+                    total_fees: 'number',
+                    total_paid: 'number',
+                    balance: 'number',
+                    payment_status: ['Paid', 'Not Paid'],
+                    payment_records: arrayOf(paymentRecord),
+                })),
+            }))),
+            errors: { 403: 'Not a parent' },
+        },
+        'GET /api/fees/child/:childId/term/:termId/paid-details': {
+            summary: 'Fee and payment details for a paid term, for a payment slip',
+            response: envelope(shape({
+                ...child,
+                term_name: 'string',
+                session: 'string',
+                fees: arrayOf(termFee),
+                payment_records: arrayOf(paymentRecord),
+            })),
+            errors: { 400: 'The term is not fully paid', 404: 'Parent, child or term not found' },
+        },
+        'GET /api/fees': {
+            summary: "Fee items for the caller's branch, or every branch for a SuperAdmin",
+            description: 'Newest first; q searches the name and description.',
+            response: paged(shape({
+                id: 'uuid',
+                name: 'string',
+                amount: 'decimal',
+                description: 'string?',
+                branch_id: 'uuid',
+                class_id: 'uuid',
+                arm: 'string?',
+                term_id: 'uuid',
+                BranchName: 'string',
+                ClassName: 'string',
+                ClassArm: 'string?',
+                TermName: 'string',
+            })),
+        },
+        'GET /api/fees/student-statuses': {
+            summary: 'Payment status of every student for a term',
+            description: 'Uses the active term unless term_id is given. Sorted by branch, class and surname; q searches the names.',
+            response: paged(shape({
+                id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                branch_id: 'uuid',
+                class_id: 'uuid',
+                ClassName: 'string',
+                arm: 'string?',
+                BranchName: 'string',
+                payment_status: ['Paid', 'Not Paid'],
+            })),
+            errors: { 400: 'The term is not in your branch' },
+        },
+        'GET /api/fees/class/:classId/student-statuses': {
+            summary: 'Payment status, totals and balance of every student in a class for the active term',
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                branch_id: 'uuid',
+                class_id: 'uuid',
+                class_name: 'string',
+                arm: 'string?',
+                branch_name: 'string',
+                term_id: 'uuid',
+                term_name: 'string',
+                payment_status: ['Paid', 'Not Paid'],
+                total_fees: 'decimal',
+                total_paid: 'decimal',
+                balance: 'decimal',
+            })), {
+                summary: shape({
+                    class_name: 'string',
+                    arm: 'string?',
+                    term_name: 'string',
+                    total_students: 'integer',
+                    paid: 'integer',
+                    not_paid: 'integer',
+                }),
+            }),
+            errors: { 403: 'Class is in another branch', 404: 'Class or active term not found' },
+        },
+    },
+};
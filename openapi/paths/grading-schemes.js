@@ -0,0 +1,52 @@
+const { one, listOf } = require('../components');
+
+const schemeNotFound = { 404: 'Grading scheme not found' };
+
+module.exports = {
+    tag: 'Grading schemes',
+    description: 'Grade bands, remarks and points, assigned per branch and school type',
+    routes: {
+        'GET /api/grading-schemes': {
+            summary: 'Every grading scheme with its bands and assignments',
+            response: listOf('GradingScheme'),
+        },
+        'GET /api/grading-schemes/resolve': {
+            summary: 'The scheme that grades a branch and school type',
+            description: 'The most specific assignment wins: branch and school type, then branch, then school type, then the scheme assigned to everything. Without any, the built-in default scheme (id null) is returned.',
+            response: one('GradingScheme'),
+        },
+        'PUT /api/grading-schemes/assignments': {
+            summary: 'Assign a scheme to a branch and/or school type',
+            description: 'Replaces the scheme assigned there before. A missing branch_id or school_type covers every branch or school type.',
+            response: one('GradingScheme'),
+            errors: schemeNotFound,
+        },
+        'DELETE /api/grading-schemes/assignments': {
+            summary: 'Remove the scheme assigned to a branch and/or school type',
+            errors: { 404: 'No grading scheme is assigned there' },
+        },
+        'GET /api/grading-schemes/:id': {
+            summary: 'One grading scheme',
+            response: one('GradingScheme'),
+            errors: schemeNotFound,
+        },
+        'POST /api/grading-schemes': {
+            summary: 'Create a grading scheme',
+            description: 'Bands give the lowest percentage of max_score for each grade. The subject bands, and the overall bands if any, must each include one starting at 0.',
+            status: 201,
+            response: one('GradingScheme'),
+            errors: { 409: 'A scheme with this name already exists', 422: 'Bands missing a 0 band or repeating a grade' },
+        },
+        'PUT /api/grading-schemes/:id': {
+            summary: 'Update a grading scheme',
+            description: 'Bands, when sent, replace all existing bands.',
+            response: one('GradingScheme'),
+            errors: { ...schemeNotFound, 409: 'A scheme with this name already exists' },
+        },
+        'DELETE /api/grading-schemes/:id': {
+            summary: 'Delete a grading scheme',
+            description: 'Its assignments go with it; the classes it graded fall back to the next matching scheme.',
+            errors: schemeNotFound,
+        },
+    },
+};
@@ -0,0 +1,10 @@
+module.exports = {
+    tag: 'Graduation',
+    description: 'Marking final-year students as graduated',
+    routes: {
+        'POST /api/graduation/graduate': {
+            summary: 'Mark students as graduated',
+            description: 'Failures such as students outside your branch currently answer 500 with the reason in message.',
+        },
+    },
+};
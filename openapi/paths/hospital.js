@@ -0,0 +1,41 @@
+const { envelope, extend, listOf, one, paged } = require('../components');
+
+const withStudent = envelope(extend('IllnessLog', { student_name: 'string' }));
+const logScope = { 403: 'Log belongs to another branch', 404: 'Log not found' };
+
+module.exports = {
+    tag: 'Sick bay',
+    description: 'Illness logs for students admitted to the sick bay',
+    routes: {
+        'GET /api/hospital/logs': {
+            summary: "Illness logs for the caller's branch, or every branch for a SuperAdmin",
+            description: 'Latest admission first. discharged=false lists students still in the sick bay; from and to bound the admission time.',
+            response: paged(extend('IllnessLog', { student_name: 'string' })),
+        },
+        'POST /api/hospital/logs': {
+            summary: 'Admit a student to the sick bay',
+            status: 201,
+            response: withStudent,
+            errors: { 404: 'Student not found' },
+        },
+        'PUT /api/hospital/logs/:id': {
+            summary: 'Update an illness log',
+            response: one('IllnessLog'),
+            errors: logScope,
+        },
+        'DELETE /api/hospital/logs/:id': {
+            summary: 'Delete an illness log',
+            errors: logScope,
+        },
+        'POST /api/hospital/logs/:id/discharge': {
+            summary: 'Discharge a student from the sick bay',
+            response: one('IllnessLog'),
+            errors: logScope,
+        },
+        'GET /api/hospital/logs/my-children': {
+            summary: "Illness logs for the signed-in parent's children",
+            response: listOf('IllnessLog'),
+            errors: { 403: 'Not a parent' },
+        },
+    },
+};
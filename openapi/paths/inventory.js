@@ -0,0 +1,31 @@
+const { extend, one, paged } = require('../components');
+
+module.exports = {
+    tag: 'Inventory',
+    description: 'Branch inventory',
+    routes: {
+        'POST /api/inventory': {
+            summary: 'Add an inventory item',
+            status: 201,
+            response: one('InventoryItem'),
+            errors: { 400: 'A SuperAdmin did not give branch_id', 403: 'Admin has no branch' },
+        },
+        'GET /api/inventory/branch': {
+            summary: "Inventory for the caller's branch, or every branch for a SuperAdmin",
+            description: 'Sorted by name unless sort is given; q searches the item name.',
+            response: paged(extend('InventoryItem', { added_by_email: 'string' })),
+        },
+        'PUT /api/inventory/:id': {
+            summary: 'Update the name or quantity of an inventory item',
+            errors: {
+                400: 'Neither name nor quantity given',
+                403: 'Admins may only update items in their own branch',
+                404: 'Inventory item not found',
+            },
+        },
+        'DELETE /api/inventory/:id': {
+            summary: 'Delete an inventory item',
+            errors: { 403: 'Admins may only delete items in their own branch', 404: 'Inventory item not found' },
+        },
+    },
+};
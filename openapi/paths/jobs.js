@@ -0,0 +1,27 @@
+const { ref, paged, one, listOf } = require('../components');
+
+module.exports = {
+    tag: 'Jobs',
+    description: 'Background job queue and scheduled jobs',
+    routes: {
+        'GET /api/jobs': {
+            summary: 'Background jobs, newest first',
+            description: 'Payload values under keys such as password or token are redacted.',
+            response: paged(ref('Job')),
+        },
+        'GET /api/jobs/schedules': {
+            summary: 'Scheduled jobs with their previous and next run times',
+            response: listOf('JobSchedule'),
+        },
+        'GET /api/jobs/:id': {
+            summary: 'One job',
+            response: one('Job'),
+            errors: { 404: 'Job not found' },
+        },
+        'POST /api/jobs/:id/retry': {
+            summary: 'Retry a failed job',
+            description: 'Resets the attempt count and makes the job due immediately.',
+            errors: { 404: 'Job not found', 409: 'The job has not failed' },
+        },
+    },
+};
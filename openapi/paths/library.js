@@ -0,0 +1,27 @@
+const { ref, paged } = require('../components');
+
+module.exports = {
+    tag: 'Library',
+    description: 'E-books for each branch',
+    routes: {
+        'POST /api/library/upload': {
+            summary: 'Add an e-book',
+            description: "A SuperAdmin's upload goes to every branch; an Admin's to their own.",
+            status: 201,
+            errors: { 403: 'Admin has no branch', 404: 'No branches to upload to' },
+        },
+        'GET /api/library/ebooks': {
+            summary: "E-books for the caller's branch, or every e-book for a SuperAdmin",
+            description: 'Newest first. Parents get an empty list; q searches the title, author and description.',
+            response: paged(ref('Ebook')),
+        },
+        'PUT /api/library/ebooks/:id': {
+            summary: 'Update an e-book',
+            errors: { 403: 'E-book belongs to another branch', 404: 'E-book not found' },
+        },
+        'DELETE /api/library/ebooks/:id': {
+            summary: 'Delete an e-book',
+            errors: { 403: 'E-book belongs to another branch', 404: 'E-book not found' },
+        },
+    },
+};
@@ -0,0 +1,33 @@
+const { shape } = require('../components');
+
+module.exports = {
+    tag: 'Online payments',
+    description: 'Paystack checkout for enrollment, acceptance, school fees and book purchases',
+    routes: {
+        'POST /api/make-payment/initialize': {
+            summary: 'Start a Paystack transaction',
+            description: 'Pass the access code to Paystack inline resumeTransaction().',
+            response: shape({ success: 'boolean', access_code: 'string', reference: 'string' }),
+            errors: { 400: 'Paystack rejected the transaction' },
+        },
+        'POST /api/make-payment/verify': {
+            summary: 'Verify a Paystack transaction and apply it',
+            description: 'Depending on metadata.payment_for this completes an enrollment, records school fees or an acceptance fee, '
+                + 'or grants an ebook. Verifying the same reference twice answers alreadyProcessed: true.',
+            response: shape({
+                success: 'boolean',
+                message: 'string',
+                alreadyProcessed: 'boolean',
+                data: { type: 'object', description: 'For enrollments, the new student credentials' },
+            }),
+            errors: { 400: 'Payment not successful, or the amount does not match' },
+        },
+        'POST /api/make-payment/webhook': {
+            summary: 'Paystack webhook',
+            description: 'Checked against the x-paystack-signature header. Answers with an empty 200.',
+            response: { type: 'string', example: 'OK' },
+            contentType: 'text/plain',
+            errors: { 401: 'Bad signature' },
+        },
+    },
+};
@@ -0,0 +1,50 @@
+const { shape, arrayOf } = require('../components');
+
+module.exports = {
+    tag: 'Meta',
+    description: 'Liveness, readiness, metrics and the API documentation itself',
+    routes: {
+        'GET /': {
+            summary: 'Check that the server is up',
+            response: shape({ message: 'string' }),
+        },
+        'GET /health': {
+            summary: 'Liveness: the process is up',
+            description: 'Checks nothing beyond the process answering; use /ready for dependencies.',
+            response: shape({ status: { type: 'string', enum: ['ok'] }, uptimeSeconds: 'integer', version: 'string' }),
+        },
+        'GET /ready': {
+            summary: 'Readiness: MySQL answers and the required configuration is set',
+            description: 'The same body comes back with 503 when a check fails; config.missing names the unset variables.',
+            response: shape({
+                status: ['ready', 'not ready'],
+                checks: shape({
+                    database: shape({
+                        ok: 'boolean',
+                        latencyMs: 'integer',
+                        error: 'string',
+                        pool: shape({ limit: 'integer', open: 'integer', free: 'integer', inUse: 'integer', waiting: 'integer' }),
+                    }),
+                    config: shape({ ok: 'boolean', missing: arrayOf('string') }),
+                }),
+            }),
+            errors: { 503: 'A check failed' },
+        },
+        'GET /metrics': {
+            summary: 'Prometheus metrics',
+            description: 'Request counts and latency per route, MySQL pool usage, payment verification outcomes and process memory. When METRICS_TOKEN is set, send it as `Authorization: Bearer <token>`.',
+            response: { type: 'string' },
+            contentType: 'text/plain',
+            errors: { 401: 'METRICS_TOKEN is set and the bearer token does not match' },
+        },
+        'GET /api/docs': {
+            summary: 'Interactive API documentation (Swagger UI)',
+            response: { type: 'string' },
+            contentType: 'text/html',
+        },
+        'GET /api/docs/openapi.json': {
+            summary: 'This OpenAPI document',
+            response: { type: 'object' },
+        },
+    },
+};
@@ -0,0 +1,138 @@
+const { shape, arrayOf, envelope, extend, paged } = require('../components');
+
+const parentNotFound = { 404: 'Parent not found' };
+const adminScope = { 403: 'Admins may only manage parents with a child in their branch', ...parentNotFound };
+
+module.exports = {
+    tag: 'Parents',
+    description: 'Parent accounts and the parent portal',
+    routes: {
+        'POST /api/parents': {
+            summary: 'Create a parent account',
+            description: 'Without a password the phone number becomes the temporary password and is returned once.',
+            status: 201,
+            response: envelope(extend('Parent', { temporaryPassword: 'string?' })),
+            errors: { 400: 'Email already in use', 404: 'Parent role not found' },
+        },
+        'GET /api/parents': {
+            summary: "Parents with a child in the caller's branch, or in branch_id for a SuperAdmin",
+            description: 'q searches name, email and phone.',
+            response: paged(shape({ id: 'uuid', name: 'string', email: 'email', phone: 'string', created_at: 'datetime' })),
+            errors: { 403: 'Admin has no branch, or asked for another branch' },
+        },
+        'GET /api/parents/fees-summary': {
+            summary: "Fee items for the signed-in parent's children, with each term's balance",
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                payment: 'string',
+                cost: 'decimal',
+                for: 'string',
+                date: 'date',
+                status: ['Paid', 'Overdue', 'Pending'],
+                description: 'string',
+                term: 'string',
+                totalDueForTerm: 'number',
+                totalPaidForTerm: 'number',
+                termBalance: 'number',
+                studentId: 'uuid',
+                termId: 'uuid',
+                parentId: 'uuid',
+                parentEmail: 'email',
+            }))),
+            errors: { 404: 'Parent profile not found' },
+        },
+        'GET /api/parents/wards-summary': {
+            summary: "Dashboard summary of each of the signed-in parent's children",
+            response: envelope(arrayOf(shape({
+                name: 'string',
+                id: { type: 'string', description: "The child's login ID" },
+                fees: arrayOf(shape({ term: 'string', status: 'string' })),
+                missedWork: { oneOf: [{ type: 'integer' }, { type: 'string' }], description: 'Count of overdue assignments, or "-" when there are none' },
+                className: 'string',
+                attendance: { type: 'string', description: "Today's attendance status, or N/A" },
+            }))),
+            errors: { 404: 'Parent profile not found' },
+        },
+        'GET /api/parents/wards/results': {
+            summary: "Published exam results for each of the signed-in parent's children for the active term",
+            response: envelope(arrayOf(shape({
+                child_id: 'uuid',
+                child_name: 'string',
+                class_name: 'string',
+                attendance: { type: 'string', example: '52/60 Days' },
+                exam_results: arrayOf(shape({
+                    id: 'uuid',
+                    score: 'decimal',
+                    total_questions: 'integer',
+                    answered_questions: 'integer',
+                    submitted_at: 'datetime',
+                    exam_id: 'uuid',
+                    exam_title: 'string',
+                    exam_date_time: 'datetime',
+                    first_name: 'string',
+                    last_name: 'string',
+                    position: 'string?',
+                })),
+            }))),
+            errors: parentNotFound,
+        },
+        'GET /api/parents/admission-progress': {
+            summary: "Admission progress for each of the signed-in parent's children",
+            description: 'Steps: 1 awaiting the entrance exam, 2 exam passed and acceptance fee due, 3 acceptance fee paid, 4 admitted.',
+            response: envelope(arrayOf(shape({
+                child_id: 'uuid',
+                student_id: 'string?',
+                child_name: 'string',
+                dob: 'date',
+                passport: 'string?',
+                branch_name: 'string',
+                class_name: 'string',
+                program_type: 'string?',
+                enrollment_amount_paid: 'decimal?',
+                acceptance_fee_paid: 'boolean',
+                acceptance_fee_amount: 'decimal?',
+                admission_step: { type: 'integer', enum: [1, 2, 3, 4] },
+                admission_step_description: 'string',
+                exam_score: 'decimal?',
+                enrollment_status: ['new_student', 'admitted'],
+            }))),
+            errors: parentNotFound,
+        },
+        'GET /api/parents/payment-history': {
+            summary: 'Enrollment, acceptance and school fee payments made by the signed-in parent',
+            response: envelope(arrayOf(shape({
+                id: 'string',
+                type: ['enrollment', 'acceptance', 'school_fees'],
+                amount: 'decimal',
+                reference: 'string?',
+                status: 'string',
+                paid_at: 'datetime?',
+                created_at: 'datetime',
+                student_name: 'string',
+                term_name: 'string',
+                session: 'string',
+            }))),
+            errors: parentNotFound,
+        },
+        'GET /api/parents/:id': {
+            summary: 'A parent with their children',
+            response: envelope(extend('Parent', {
+                children: arrayOf(shape({ id: 'uuid', first_name: 'string', last_name: 'string', status: ['new', 'enrolled'] })),
+            })),
+            errors: adminScope,
+        },
+        'PUT /api/parents/:id': {
+            summary: "Update a parent's details",
+            errors: { 400: 'Email already in use', ...adminScope },
+        },
+        'POST /api/parents/:id/reset-password': {
+            summary: "Reset a parent's password to their phone number",
+            response: envelope(shape({ parent_id: 'uuid', email: 'email', name: 'string', temporaryPassword: 'string' })),
+            errors: { 400: 'The parent has no phone number', ...adminScope },
+        },
+        'DELETE /api/parents/:id': {
+            summary: 'Delete a parent with no children',
+            errors: { 400: 'The parent still has children', ...parentNotFound },
+        },
+    },
+};
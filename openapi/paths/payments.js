@@ -0,0 +1,88 @@
+const { shape, ref, arrayOf, envelope, extend, one, paged } = require('../components');
+
+const paymentRow = extend('Payment', {
+    student_first_name: 'string',
+    student_last_name: 'string',
+    branch_id: 'uuid',
+    class_id: 'uuid',
+    class_name: 'string',
+    arm: 'string?',
+    term_name: 'string',
+    session: 'string',
+    branch_name: 'string',
+});
+
+// Copies of pagination.total/limit/offset kept at the top level for older clients
+const page = { total: 'integer', limit: 'integer', offset: 'integer' };
+const notYourChild = { 403: 'Not a parent, or not your child' };
+const moved = 'The same data is available under /api/admin/payments and /api/admin/revenue.';
+
+module.exports = {
+    tag: 'Payments',
+    description: 'School fee payments by parents, and the older admin payment and revenue listings',
+    routes: {
+        'POST /api/payments': {
+            summary: 'Record a school fee payment for a child',
+            description: "Updates the child's payment status for the term.",
+            status: 201,
+            response: one('Payment'),
+            errors: notYourChild,
+        },
+        'GET /api/payments/history/:childId': {
+            summary: "A child's payment history",
+            response: envelope(arrayOf(extend('Payment', { term_name: 'string' }))),
+            errors: notYourChild,
+        },
+        'GET /api/payments/status/:childId': {
+            summary: "A child's payment status for the active term",
+            response: envelope(shape({ status: ['Paid', 'Not Paid'] })),
+            errors: { ...notYourChild, 404: 'No active term' },
+        },
+        'GET /api/payments/admin/payments': {
+            summary: 'Fee payments with filters',
+            description: moved,
+            response: paged(extend('Payment', {
+                student_first_name: 'string',
+                student_last_name: 'string',
+                branch_id: 'uuid',
+                class_id: 'uuid',
+                class_name: 'string',
+                arm: 'string?',
+                term_name: 'string',
+                session: 'string',
+                branch_name: 'string',
+                payment_status: ['Paid', 'Not Paid'],
+            }), page),
+        },
+        'GET /api/payments/admin/payments/:id': {
+            summary: 'One fee payment',
+            response: envelope(paymentRow),
+            errors: { 403: 'Admin has no branch', 404: 'Payment not found' },
+        },
+        'PATCH /api/payments/admin/payments/:id': {
+            summary: 'Correct a fee payment',
+            description: "Recomputes the student's payment status for the term.",
+            response: shape({ success: 'boolean', message: 'string', status: ['Paid', 'Not Paid'] }),
+            errors: { 400: 'Nothing to update', 403: 'Payment is for another branch', 404: 'Payment not found' },
+        },
+        'POST /api/payments/admin/payments/manual': {
+            summary: 'Record a cash or bank payment',
+            status: 201,
+            response: envelope(ref('Payment'), { status: ['Paid', 'Not Paid'] }),
+            errors: { 403: 'Student is in another branch', 404: 'Student not found' },
+        },
+        'GET /api/payments/admin/revenue': {
+            summary: 'Online payment records with filters',
+            description: moved,
+            response: paged(extend('Revenue', {
+                student_first_name: 'string?',
+                student_last_name: 'string?',
+                branch_id: 'uuid?',
+                class_id: 'uuid?',
+                class_name: 'string?',
+                arm: 'string?',
+                branch_name: 'string?',
+            }), page),
+        },
+    },
+};
@@ -0,0 +1,10 @@
+module.exports = {
+    tag: 'Promotion',
+    description: 'Moving students up to the next class',
+    routes: {
+        'POST /api/promote/students': {
+            summary: "Promote students from the teacher's class to the next class for the next session",
+            description: 'Failures such as students outside your class currently answer 500 with the reason in message.',
+        },
+    },
+};
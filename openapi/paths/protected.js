@@ -0,0 +1,11 @@
+module.exports = {
+    tag: 'Protected',
+    description: 'Token check for Admin clients',
+    routes: {
+        'GET /api/protected': {
+            summary: 'Confirm the token belongs to an Admin',
+            response: { type: 'object', properties: { message: { type: 'string' } } },
+            errors: { 403: 'Not an Admin' },
+        },
+    },
+};
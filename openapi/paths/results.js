@@ -0,0 +1,271 @@
+const { shape, ref, arrayOf, envelope, one, paged } = require('../components');
+
+const staffOnly = { 403: 'Not allowed for this class, subject or branch' };
+const studentNotFound = { 404: 'Student not found' };
+
+const publishedCount = extra => envelope(shape({ published_count: 'integer', ...extra }));
+
+// Subjects the publish routes left unpublished because their results aren't approved yet
+const withheld = {
+    ...arrayOf(shape({
+        class_id: 'uuid',
+        subject_id: 'uuid',
+        subject: 'string',
+        status: ['Draft', 'Submitted', 'Reviewed'],
+        results: { type: 'integer', description: 'Unpublished results in the subject' },
+    })),
+    description: 'Subjects withheld pending approval; the message says how many when there are any',
+};
+
+const moderation = {
+    response: one('ResultModeration'),
+    errors: {
+        403: "Not allowed to take this step, or the class or term isn't in your branch",
+        404: 'Subject not in the class, or term not found',
+        409: "The subject's results aren't at a stage this step applies to",
+    },
+};
+
+module.exports = {
+    tag: 'Results',
+    description: 'Continuous assessment and exam scores, publishing and report cards',
+    routes: {
+        'POST /api/results/save': {
+            summary: 'Save scores for one assessment of a class subject',
+            description: "Upserts one score per student for the active term (or term_id). Scores are checked against the class's assessment structure for the term.",
+            response: envelope(shape({ inserted: 'integer', updated: 'integer', total: 'integer' })),
+            errors: {
+                400: 'The subject is not in the class, or a student is not in the class',
+                ...staffOnly,
+                404: 'Class or subject not found',
+                409: "The subject's results are in moderation past the stage you can edit, or approved",
+                422: "The assessment is not part of the class's assessment structure, or a score is above its max_score",
+            },
+        },
+        'GET /api/results/class/:class_id/subject/:subject_id': {
+            summary: 'Scores for one assessment of a class subject, including students without a score',
+            description: 'Uses the active term unless term_id is given.',
+            response: envelope(arrayOf(shape({
+                student_id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                score: 'decimal?',
+                result_id: 'uuid?',
+                exam_id: 'uuid?',
+            })), { count: 'integer' }),
+            errors: { ...staffOnly, 404: 'Class, subject or term not found' },
+        },
+        'GET /api/results/me/report-card': {
+            summary: "The signed-in student's report card for a term",
+            description: 'Only published results are included. Parents use /api/results/student/{student_id}/report-card instead.',
+            response: one('ReportCard'),
+            errors: { 400: 'Called by a parent', 404: 'Student, term or class not found' },
+        },
+        'GET /api/results/me/report-card/pdf': {
+            summary: "The signed-in student's report card as a printable PDF",
+            description: 'The same report card as /api/results/me/report-card, headed with the branch name, address and the school logo (LOGO_URL).',
+            response: { type: 'string', format: 'binary' },
+            contentType: 'application/pdf',
+            responseDescription: 'The report card, sent as an attachment',
+            errors: { 404: 'Student, term or class not found' },
+        },
+        'GET /api/results/student/:student_id': {
+            summary: "A student's scores for a term",
+            description: 'Uses the active term unless term_id is given.',
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                exam_id: 'uuid?',
+                assessment_type: ['ca1', 'ca2', 'ca3', 'ca4', 'exam'],
+                score: 'decimal',
+                subject_name: 'string?',
+                created_at: 'datetime',
+                updated_at: 'datetime',
+                teacher_name: 'string?',
+            })), { count: 'integer' }),
+            errors: { 403: 'Not your result, your child, or your branch', ...studentNotFound },
+        },
+        'DELETE /api/results/:result_id': {
+            summary: 'Delete a score',
+            errors: { ...staffOnly, 404: 'Result not found', 409: "The subject's results are locked by moderation" },
+        },
+        'GET /api/results/class/:class_id/moderation': {
+            summary: "Where each subject's results for a class are in moderation",
+            description: 'Uses the active term unless term_id is given. `outstanding` lists the subjects not yet Approved or Published.',
+            response: envelope(shape({
+                class: shape({ id: 'uuid', name: 'string', arm: 'string?' }),
+                term_id: 'uuid',
+                subjects: arrayOf(ref('SubjectModeration')),
+                outstanding: arrayOf(ref('SubjectModeration')),
+            })),
+            errors: { 403: "Not the class teacher or one of its subject teachers, or the class or term isn't in your branch", 404: 'Class or term not found' },
+        },
+        'POST /api/results/class/:class_id/subject/:subject_id/submit': {
+            summary: 'Submit a Draft subject for review',
+            description: 'By the subject teacher (or the class teacher or an approver). Uses the active term unless term_id is given. The subject teacher can no longer edit the scores.',
+            ...moderation,
+        },
+        'POST /api/results/class/:class_id/subject/:subject_id/review': {
+            summary: 'Mark a Submitted subject as reviewed',
+            description: 'By the class teacher or an approver. After this only approvers can edit the scores.',
+            ...moderation,
+        },
+        'POST /api/results/class/:class_id/subject/:subject_id/approve': {
+            summary: 'Approve a Reviewed subject for publication',
+            description: 'Approved scores are locked; the publish routes only publish approved subjects.',
+            ...moderation,
+        },
+        'POST /api/results/class/:class_id/subject/:subject_id/reject': {
+            summary: 'Send a subject back to Draft with a note',
+            description: 'The class teacher can reject Submitted results; Reviewed, Approved and Published results need an approver. Rejecting Published results unpublishes them until they are approved and published again.',
+            ...moderation,
+        },
+        'POST /api/results/publish-all': {
+            summary: 'Publish every result of a class for a term',
+            description: 'Only subjects whose results have been approved are published.',
+            response: publishedCount({ session: 'string', term: 'string', class: 'string', arm: 'string?', withheld }),
+            errors: { 403: 'Admins can only publish results for their own branch', 404: 'Term or class not found' },
+        },
+        'POST /api/results/term/:term_id/publish-all': {
+            summary: 'Publish every result for a term',
+            description: 'Only subjects whose results have been approved are published.',
+            response: publishedCount({ term_id: 'uuid', withheld }),
+            errors: { 403: 'The term belongs to another branch', 404: 'Term not found' },
+        },
+        'POST /api/results/student/:student_id/publish': {
+            summary: "Publish a student's results, optionally only some subjects",
+            description: 'Only subjects whose results have been approved for the class are published.',
+            response: publishedCount({
+                student_name: 'string',
+                subject_ids: { description: "The subject IDs published, or 'all subjects'" },
+                withheld,
+            }),
+            errors: { ...staffOnly, ...studentNotFound },
+        },
+        'POST /api/results/student/:student_id/publish-exam': {
+            summary: "Publish a student's CBT exam results, optionally only some exams",
+            response: publishedCount({
+                student_name: 'string',
+                exam_ids: { description: "The exam IDs published, or 'all exams'" },
+            }),
+            errors: { ...staffOnly, ...studentNotFound },
+        },
+        'POST /api/results/student/:student_id/publish-all': {
+            summary: "Publish a student's results and CBT exam results",
+            description: 'Results are only published in subjects that have been approved for the class; CBT exam results are all published.',
+            response: envelope(shape({
+                student_name: 'string',
+                published: shape({ student_results: 'integer', exam_results: 'integer', total: 'integer' }),
+                withheld,
+            })),
+            errors: { ...staffOnly, ...studentNotFound },
+        },
+        'GET /api/results': {
+            summary: 'Search results by session, term, class, arm, subject and assessment',
+            description: 'Admins are limited to their branch and Teachers to their subjects and classes. sort_by takes a comma-separated list such as `last_name:asc,score:desc`.',
+            response: shape({
+                success: 'boolean',
+                message: 'string',
+                count: 'integer',
+                filters: { type: 'object', description: 'The filters applied, echoed back' },
+                data: shape({
+                    results: arrayOf(shape({
+                        id: 'uuid',
+                        student_id: 'uuid',
+                        first_name: 'string',
+                        last_name: 'string',
+                        class_name: 'string',
+                        class_arm: 'string?',
+                        subject_name: 'string',
+                        term_name: 'string',
+                        session: 'string',
+                        assessment_type: ['ca1', 'ca2', 'ca3', 'ca4', 'exam'],
+                        score: 'decimal',
+                        published: 'boolean',
+                        published_at: 'datetime?',
+                        created_at: 'datetime',
+                        updated_at: 'datetime',
+                        teacher_name: 'string?',
+                        published_by_email: 'email?',
+                    })),
+                }),
+            }),
+            errors: { 403: 'No staff record for the signed-in user' },
+        },
+        'GET /api/results/student/:student_id/report-card': {
+            summary: "A student's report card for a term",
+            description: 'Uses the class the student was in during that term, so report cards from before a promotion still work.',
+            response: one('ReportCard'),
+            errors: { 403: 'Not your result, your child, or your branch', 404: 'Student, term or class not found' },
+        },
+        'GET /api/results/student/:student_id/report-card/pdf': {
+            summary: "A student's report card as a printable PDF",
+            description: 'The same report card as /api/results/student/{student_id}/report-card, headed with the branch name, address and the school logo (LOGO_URL).',
+            response: { type: 'string', format: 'binary' },
+            contentType: 'application/pdf',
+            responseDescription: 'The report card, sent as an attachment',
+            errors: { 403: 'Not your result, your child, or your branch', 404: 'Student, term or class not found' },
+        },
+        'GET /api/results/class/:class_id/broadsheet': {
+            summary: "A class's broadsheet for a term",
+            description: 'Every student with results in the class: each subject\'s scores, total and grade, and their total, average, overall grade and position, best position first, with each subject\'s class statistics. Unpublished results are included. `format=csv` or `format=xlsx` downloads it as a spreadsheet instead, with a row of class averages (and sign-off lines in the XLSX).',
+            response: one('Broadsheet'),
+            responseDescription: 'The broadsheet; a CSV or XLSX attachment with `format=csv` or `format=xlsx`',
+            errors: { 403: 'Not the class teacher, or not your branch', 404: 'Class or term not found' },
+        },
+        'GET /api/results/student/:student_id/session/:session': {
+            summary: "A student's sessional (annual) result",
+            description: 'Write the session as 2025-2026. Each subject with its term totals and annual average, the annual average and position in the class, and a promotion recommendation once there are Third Term results. Uses the class the latest results of the session are filed under.',
+            response: one('StudentSessionResult'),
+            errors: { 403: 'Not your result, your child, or your branch', 404: 'Student not found, or no results in the session' },
+        },
+        'GET /api/results/class/:class_id/session/:session': {
+            summary: "A class's sessional broadsheet",
+            description: 'Write the session as 2025-2026. The sessional result of every student with results in the class, best annual average first, and the class average of each subject.',
+            response: one('SessionBroadsheet'),
+            errors: { 403: 'Not the class teacher, or not your branch', 404: 'Class not found' },
+        },
+        'GET /api/results/class/:class_id/report-cards': {
+            summary: "A zip of a class's PDF report cards for a term",
+            description: 'One PDF per student with results in the class that term, as /api/results/student/{student_id}/report-card/pdf renders them.',
+            response: { type: 'string', format: 'binary' },
+            contentType: 'application/zip',
+            responseDescription: 'The report cards, sent as an attachment',
+            errors: { 403: 'Not the class teacher, or not your branch', 404: 'Class not found, or no results for the class that term' },
+        },
+        'POST /api/results/school-type': {
+            summary: "Set the school type used to lay out a student's report card for a term",
+            response: envelope(shape({
+                student_id: 'uuid',
+                term_id: 'uuid',
+                school_type: 'string',
+                affected_rows: 'integer',
+            })),
+            errors: {
+                403: 'Admins can only update results for their own branch',
+                404: 'Student not found, or no results for the term',
+            },
+        },
+        'GET /api/results/all': {
+            summary: 'Active students visible to the signed-in user, optionally with a report card summary',
+            description: "Pass term_id and include_report_summary=true to attach each student's average, grade and position; summaries are worked out for the requested page only.",
+            response: paged(shape({
+                id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                class_name: 'string',
+                name: 'string',
+                class: 'string',
+                student_id: 'string',
+                summary: shape({
+                    average_score: 'number',
+                    overall_grade: 'string',
+                    points: { type: 'number', nullable: true, description: 'Points of the overall grade band, if the scheme gives any' },
+                    position: 'string',
+                    teacher_comment: 'string',
+                    principal_comment: 'string',
+                    remark: 'string',
+                }),
+            })),
+        },
+    },
+};
@@ -0,0 +1,41 @@
+const { shape, ref, listOf, one, paged } = require('../components');
+
+module.exports = {
+    tag: 'Shop',
+    description: 'School shop items and sales',
+    routes: {
+        'POST /api/shop/items': {
+            summary: 'Add an item to a branch shop',
+            status: 201,
+            response: one('ShopItem'),
+            errors: { 403: 'Admins may only add items to their own branch' },
+        },
+        'POST /api/shop/purchase/cash': {
+            summary: 'Record a cash sale to a student',
+            description: 'Takes one unit off the stock. Unknown students or items, a branch mismatch and an empty stock '
+                + 'currently answer 500 with the reason in message.',
+            response: one('ShopSale'),
+        },
+        'GET /api/shop/admin/items': {
+            summary: "Items in the caller's branch shop, or every shop for a SuperAdmin",
+            description: 'Sorted by name unless sort is given; q searches the name, details and description.',
+            response: paged(ref('ShopItem')),
+        },
+        'GET /api/shop/sales': {
+            summary: 'Shop sales, newest first',
+            description: 'q searches the item and student names.',
+            response: paged(shape({
+                id: 'uuid',
+                price: 'decimal',
+                purchase_method: ['Online', 'Cash'],
+                created_at: 'datetime',
+                item_name: 'string',
+                student_name: 'string',
+            })),
+        },
+        'GET /api/shop/parent/items': {
+            summary: "Items in the shops of the signed-in parent's children's branches",
+            response: listOf('ShopItem'),
+        },
+    },
+};
@@ -0,0 +1,46 @@
+const { shape, arrayOf, envelope } = require('../components');
+
+const skillLists = envelope(shape({ Affective: arrayOf('string'), Psychomotor: arrayOf('string') }));
+const rated = arrayOf(shape({ name: 'string', rating: 'integer' }));
+const cleared = shape({ success: 'boolean', message: 'string', deletedCount: 'integer' });
+
+module.exports = {
+    tag: 'Skills',
+    description: 'Affective and psychomotor ratings shown on report cards',
+    routes: {
+        'POST /api/skills/save': {
+            summary: "Save a student's skill ratings for a term",
+            errors: {
+                403: 'Not the class teacher, not a staff member, or the student is in another branch',
+                404: 'Student or term not found',
+            },
+        },
+        'GET /api/skills/student/:student_id': {
+            summary: "A student's skill ratings for a term, grouped by type",
+            response: envelope(shape({ Affective: rated, Psychomotor: rated })),
+            errors: { 404: 'Student not found' },
+        },
+        'GET /api/skills/default': {
+            summary: 'The default skill list',
+            response: skillLists,
+        },
+        'GET /api/skills/default/type1': {
+            summary: 'The first alternative skill list',
+            response: skillLists,
+        },
+        'GET /api/skills/default/type2': {
+            summary: 'The second alternative skill list',
+            response: skillLists,
+        },
+        'DELETE /api/skills/clear/:student_id': {
+            summary: "Clear a student's skill ratings for a term",
+            response: cleared,
+            errors: { 403: 'Not the class teacher', 404: 'Student not found' },
+        },
+        'DELETE /api/skills/clear-bulk': {
+            summary: 'Clear skill ratings for several students',
+            response: cleared,
+            errors: { 403: 'Students are in another branch', 404: 'One or more students not found' },
+        },
+    },
+};
@@ -0,0 +1,121 @@
+const { shape, ref, arrayOf, extend, envelope, one, paged } = require('../components');
+
+const notFound = { 404: 'Staff member not found' };
+const otherBranch = { 403: 'The staff member is in another branch' };
+
+const permissionSummary = envelope(shape({
+    id: 'uuid',
+    name: 'string',
+    role: 'string',
+    overrides: shape({ granted: arrayOf('string'), revoked: arrayOf('string') }),
+    effective: arrayOf('string'),
+}));
+
+const statusChange = shape({
+    id: 'uuid',
+    name: 'string',
+    email: 'email',
+    role: 'string',
+    branch: 'string',
+    previousStatus: 'string',
+    newStatus: 'string',
+});
+
+module.exports = {
+    tag: 'Staff',
+    description: 'Staff records, status changes and permission overrides',
+    routes: {
+        'POST /api/staff/create': {
+            summary: 'Create a staff member and their login',
+            description: 'Without a password a temporary one is generated, returned once, and must be changed at first login.',
+            status: 201,
+            response: envelope({
+                allOf: [ref('StaffProfile'), shape({ temporaryPassword: 'string?' })],
+            }),
+            errors: {
+                400: 'Invalid salary, role or branch, or the email already exists',
+                403: 'Admins can only create staff for their own branch',
+            },
+        },
+        'GET /api/staff': {
+            summary: 'List staff, newest first',
+            description: 'Admins see their own branch; SuperAdmins can filter by branch_id. q searches name, email and phone.',
+            response: paged(ref('StaffProfile')),
+            errors: { 403: 'Admin is not linked to a branch' },
+        },
+        'GET /api/staff/permissions': {
+            summary: 'Every known permission and the defaults each role receives',
+            response: envelope(shape({
+                permissions: arrayOf(shape({ key: 'string', description: 'string' })),
+                roleDefaults: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+            })),
+        },
+        'GET /api/staff/:id/permissions': {
+            summary: "A staff member's permission overrides and effective permissions",
+            response: permissionSummary,
+            errors: { ...notFound, ...otherBranch },
+        },
+        'PUT /api/staff/:id/permissions': {
+            summary: 'Grant or revoke permissions for a staff member',
+            response: permissionSummary,
+            errors: {
+                400: 'Nothing to grant or revoke, or unknown permissions',
+                403: 'Only a SuperAdmin can grant permissions.manage; or the staff member is in another branch',
+                ...notFound,
+            },
+        },
+        'GET /api/staff/:id': {
+            summary: 'Get a staff member',
+            response: one('StaffProfile'),
+            errors: { ...notFound, ...otherBranch },
+        },
+        'PUT /api/staff/:id/update': {
+            summary: 'Update a staff member',
+            response: one('StaffProfile'),
+            errors: {
+                400: 'Invalid salary, role, branch or password, or the email is in use',
+                403: "The staff member is in another branch, or Admins can't move staff between branches",
+                ...notFound,
+            },
+        },
+        'PUT /api/staff/:id/status': {
+            summary: "Change a staff member's status",
+            description: 'Suspending or terminating ends all their sessions; terminating also scrambles their password.',
+            response: envelope({ allOf: [statusChange, shape({ salary_due_date: 'date?' })] }),
+            errors: { 400: 'The staff member already has this status', ...notFound },
+        },
+        'POST /api/staff/:id/reset-password': {
+            summary: "Reset a staff member's password to their phone number",
+            description: 'The staff member must change it at next login; their sessions are ended.',
+            response: envelope(shape({ id: 'uuid', email: 'email', name: 'string', temporaryPassword: 'string' })),
+            errors: { 400: 'No phone number on file', ...notFound },
+        },
+        'POST /api/staff/:id/terminate': {
+            summary: 'Terminate a staff member',
+            response: envelope({ allOf: [statusChange, shape({ terminationDate: 'date', reason: 'string' })] }),
+            errors: {
+                400: 'No reason given, or already terminated',
+                ...otherBranch,
+                ...notFound,
+            },
+        },
+        'DELETE /api/staff/:id': {
+            summary: 'Delete a staff member and their login',
+            errors: notFound,
+        },
+        'GET /api/staff/branch/:branchId': {
+            summary: 'List staff in a branch',
+            response: paged(ref('StaffProfile')),
+        },
+        'GET /api/staff/status/:status': {
+            summary: 'List staff with a given status',
+            response: paged(ref('StaffProfile')),
+        },
+        'GET /api/staff/:id/full-details': {
+            summary: 'A staff member with the full details of every class they head',
+            description: 'Visible to SuperAdmins, the staff member themselves, and Admins or Teachers in the same branch.',
+            response: envelope(extend('Staff', { role: 'string', branch: 'string', classes: arrayOf(ref('ClassDetails')) })),
+            errors: { 403: 'Not allowed to view this staff member', ...notFound },
+        },
+    },
+};
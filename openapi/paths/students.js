@@ -0,0 +1,138 @@
+const { shape, arrayOf, envelope, extend, paged } = require('../components');
+
+const studentNotFound = { 404: 'Student not found' };
+const parentContact = { parent_name: 'string?', parent_email: 'email?', parent_phone: 'string?' };
+const profileNotFound = { 404: 'Student profile not found' };
+
+module.exports = {
+    tag: 'Students',
+    description: 'Student records, migration of admitted new students and the student portal',
+    routes: {
+        'POST /api/students/create': {
+            summary: 'Create a student for an existing parent',
+            description: "Without a password the parent's phone number becomes the temporary password and is returned once.",
+            status: 201,
+            response: envelope(shape({
+                student_login_id: 'string',
+                temporary_password: 'string?',
+                student: shape({ id: 'uuid', first_name: 'string', last_name: 'string', class_id: 'uuid', branch_id: 'uuid' }),
+            })),
+            errors: {
+                400: 'Missing name or parent contact, parent not found, or the parent email is used by another account',
+                403: 'Admins and teachers may only create students in their own branch or class',
+                404: 'Student role not found',
+            },
+        },
+        'PATCH /api/students/:id/associate-parent': {
+            summary: 'Link a student to a parent found by email or phone',
+            errors: {
+                400: 'No parent contact given, or the parent email is already in use',
+                403: 'Student belongs to another branch',
+                404: 'Student or parent not found',
+            },
+        },
+        'PUT /api/students/:id': {
+            summary: "Update a student's profile",
+            errors: { 403: 'Student belongs to another branch, or an Admin tried to change the branch', ...studentNotFound },
+        },
+        'DELETE /api/students/:id': {
+            summary: 'Delete a student and their login',
+            errors: { 403: 'Student belongs to another branch', ...studentNotFound },
+        },
+        'GET /api/students': {
+            summary: 'Active students',
+            description: 'Admins see their own branch only. q searches names, the student ID and the parent name.',
+            response: paged(extend('Student', {
+                class_name: 'string',
+                branch: 'string',
+                branch_address: 'string',
+                ...parentContact,
+            })),
+        },
+        'GET /api/students/new/all': {
+            summary: 'New students awaiting admission, newest first',
+            description: 'Admins see their own branch only. q searches names, the student ID and the parent name.',
+            response: paged(extend('NewStudent', {
+                branch_name: 'string',
+                branch_address: 'string',
+                ...parentContact,
+            })),
+        },
+        'POST /api/students/migrate/:newStudentId': {
+            summary: 'Admit a new student into a class',
+            description: 'Moves the record from new_students to students and issues a permanent student ID; the parent is emailed.',
+            response: envelope(shape({ id: 'uuid', studentId: 'string' })),
+            errors: {
+                400: "The class is not in the student's branch",
+                403: 'Student belongs to another branch',
+                404: 'New student, class, user account or roles not found',
+            },
+        },
+        'GET /api/students/class/:class_id': {
+            summary: 'Active students in a class',
+            response: envelope(arrayOf(extend('Student', {
+                class_name: 'string',
+                branch_name: 'string',
+                ...parentContact,
+            })), {
+                count: 'integer',
+                class_info: shape({ id: 'uuid', name: 'string', branch_id: 'uuid' }),
+            }),
+            errors: {
+                403: 'Not a staff member, not a teacher of this class, or the class is in another branch',
+                404: 'Class not found',
+            },
+        },
+        'GET /api/students/class': {
+            summary: "Active students in the signed-in teacher's class",
+            response: envelope(arrayOf(shape({
+                id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                dob: 'date',
+                address: 'string',
+                nationality: 'string',
+                state: 'string',
+                religion: 'string',
+                disability: 'string?',
+                passport: 'string?',
+                ...parentContact,
+                previous_class: 'string?',
+                last_term_result: 'string?',
+                birth_certificate: 'string?',
+                medical_report: 'string?',
+            }))),
+            errors: { 403: 'Not a staff member', 404: 'Teacher has no class' },
+        },
+        'POST /api/students/:id/reset-password': {
+            summary: "Reset a student's password to their parent's phone number",
+            response: envelope(shape({ student_id: 'uuid', temporary_password: 'string' })),
+            errors: { 400: 'The parent has no phone number', 403: 'Student belongs to another branch', ...studentNotFound },
+        },
+        'GET /api/students/search': {
+            summary: 'Search new students by name',
+            description: 'Returns at most 10 matches; queries shorter than two characters return nothing.',
+            response: envelope(arrayOf(shape({ id: 'uuid', name: 'string', class_id: 'uuid?' }))),
+        },
+        'GET /api/students/me': {
+            summary: "The signed-in student's profile",
+            response: envelope(shape({
+                id: 'uuid',
+                user_id: 'uuid',
+                first_name: 'string',
+                last_name: 'string',
+                class_id: 'uuid?',
+                class_name: 'string?',
+            })),
+            errors: profileNotFound,
+        },
+        'GET /api/students/me/stats': {
+            summary: "Attendance and punctuality for the signed-in student's active term",
+            response: envelope(shape({
+                attendance: { type: 'string', example: '52/60 Days' },
+                punctuality: { type: 'string', example: '90%' },
+            })),
+            errors: profileNotFound,
+        },
+    },
+};
@@ -0,0 +1,50 @@
+const { arrayOf, extend, envelope } = require('../components');
+
+const withNames = extend('Subject', { class_name: 'string', teacher_name: 'string' });
+const withContacts = extend('Subject', { class_name: 'string', teacher_name: 'string', teacher_email: 'email' });
+const ownSubjects = 'Teachers may only manage subjects they teach; Admins only subjects in their branch';
+
+module.exports = {
+    tag: 'Subjects',
+    description: 'Subjects taught in each class',
+    routes: {
+        'POST /api/subjects': {
+            summary: 'Add a subject to a class',
+            status: 201,
+            response: envelope(withNames),
+            errors: { 403: ownSubjects, 404: 'Class or teacher not found' },
+        },
+        'GET /api/subjects/class/:class_id': {
+            summary: 'Subjects taught in a class',
+            response: envelope(arrayOf(extend('Subject', {
+                class_name: 'string',
+                class_arm: 'string?',
+                teacher_name: 'string',
+                teacher_email: 'email',
+            }))),
+        },
+        'GET /api/subjects/teacher/:teacher_id': {
+            summary: 'Subjects taught by a teacher',
+            response: envelope(arrayOf(withNames)),
+        },
+        'GET /api/subjects/branch/:branch_id': {
+            summary: 'Subjects taught in a branch',
+            response: envelope(arrayOf(withContacts)),
+            errors: { 403: 'Admins can only view subjects in their own branch' },
+        },
+        'GET /api/subjects/:id': {
+            summary: 'Get a subject',
+            response: envelope(withContacts),
+            errors: { 404: 'Subject not found' },
+        },
+        'PUT /api/subjects/:id': {
+            summary: 'Update a subject',
+            response: envelope(withNames),
+            errors: { 400: 'No fields to update', 403: ownSubjects, 404: 'Subject not found' },
+        },
+        'DELETE /api/subjects/:id': {
+            summary: 'Delete a subject',
+            errors: { 403: ownSubjects, 404: 'Subject not found' },
+        },
+    },
+};
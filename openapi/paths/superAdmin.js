@@ -0,0 +1,50 @@
+const { shape, envelope, listOf } = require('../components');
+
+const invalidInvite = { 404: 'The invitation is invalid or has expired' };
+
+module.exports = {
+    tag: 'SuperAdmin',
+    description: 'First SuperAdmin setup and SuperAdmin invitations',
+    routes: {
+        'POST /api/notreallysuperadmin/register': {
+            summary: 'Create the first SuperAdmin using the one-time setup token',
+            status: 201,
+            errors: {
+                400: 'Password too weak, or email already exists',
+                403: 'Setup token missing, invalid or already used',
+            },
+        },
+        'POST /api/notreallysuperadmin/invites': {
+            summary: 'Invite someone to become a SuperAdmin',
+            description: 'Emails an expiring link to the invitee.',
+            status: 201,
+            response: envelope(shape({
+                id: 'uuid',
+                email: 'email',
+                inviteUrl: 'string',
+                expiresInHours: 'integer',
+                emailSent: 'boolean',
+            })),
+            errors: { 400: 'Email already exists' },
+        },
+        'GET /api/notreallysuperadmin/invites': {
+            summary: 'List pending invitations',
+            response: listOf('SuperAdminInvite'),
+        },
+        'DELETE /api/notreallysuperadmin/invites/:id': {
+            summary: 'Revoke a pending invitation',
+            errors: { 404: 'Pending invitation not found' },
+        },
+        'GET /api/notreallysuperadmin/invites/verify': {
+            summary: 'Check an invite link before showing the accept form',
+            response: envelope(shape({ email: 'email', expires_at: 'datetime' })),
+            errors: invalidInvite,
+        },
+        'POST /api/notreallysuperadmin/invites/accept': {
+            summary: 'Accept an invitation and create the SuperAdmin account',
+            status: 201,
+            response: envelope(shape({ email: 'email' })),
+            errors: { 400: 'Password too weak, or email already exists', ...invalidInvite },
+        },
+    },
+};
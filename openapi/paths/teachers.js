@@ -0,0 +1,27 @@
+const { shape, arrayOf, envelope } = require('../components');
+
+const notFound = { 404: 'No staff profile for the signed-in user' };
+
+module.exports = {
+    tag: 'Teachers',
+    description: "The signed-in teacher's classes and subjects",
+    routes: {
+        'GET /api/teachers/my-subjects': {
+            summary: 'Subjects taught by the signed-in teacher, with their classes',
+            response: envelope(arrayOf(shape({
+                subject_id: 'uuid',
+                subject_name: 'string',
+                class_id: 'uuid',
+                class_name: 'string',
+                class_arm: 'string?',
+                branch_name: 'string',
+            }))),
+            errors: notFound,
+        },
+        'GET /api/teachers/my-classes': {
+            summary: 'Classes the signed-in teacher heads or teaches a subject in',
+            response: envelope(arrayOf(shape({ id: 'uuid', name: 'string', arm: 'string?', branch_name: 'string' }))),
+            errors: notFound,
+        },
+    },
+};
@@ -0,0 +1,57 @@
+const { listOf, one } = require('../components');
+
+const termNotFound = { 404: 'Term not found' };
+
+module.exports = {
+    tag: 'Terms',
+    description: 'Academic terms and sessions',
+    routes: {
+        'GET /api/terms': {
+            summary: "Terms for the caller's branch, or every term for a SuperAdmin",
+            response: listOf('Term'),
+        },
+        'POST /api/terms/new': {
+            summary: 'Create a term',
+            status: 201,
+            response: one('Term'),
+            errors: {
+                400: 'A term with this name already exists for the session in this branch',
+                403: 'Admin has no branch, or targeted another branch',
+            },
+        },
+        'GET /api/terms/current': {
+            summary: "The active term for the caller's branch",
+            response: one('Term'),
+            errors: { 404: 'No active term' },
+        },
+        'GET /api/terms/session/current': {
+            summary: "The terms of the caller's active session",
+            response: listOf('Term'),
+            errors: { 404: 'No active session' },
+        },
+        'GET /api/terms/:id': {
+            summary: 'One term',
+            response: one('Term'),
+            errors: termNotFound,
+        },
+        'DELETE /api/terms/:id': {
+            summary: 'Delete a term',
+            errors: { 403: 'Admins may only delete terms in their own branch', ...termNotFound },
+        },
+        'PATCH /api/terms/:id/activate': {
+            summary: 'Make a term the active term of its branch',
+            description: 'Every other term of the branch is deactivated.',
+            response: one('Term'),
+            errors: { 403: 'Admins may only activate terms in their own branch', ...termNotFound },
+        },
+        'PUT /api/terms/:id': {
+            summary: 'Update a term',
+            response: one('Term'),
+            errors: {
+                400: 'Nothing to update, or the new name clashes with another term in the session',
+                403: 'Admins may only edit terms in their own branch',
+                ...termNotFound,
+            },
+        },
+    },
+};
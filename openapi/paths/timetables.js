@@ -0,0 +1,31 @@
+const { one } = require('../components');
+
+module.exports = {
+    tag: 'Timetables',
+    description: 'Weekly class timetables',
+    routes: {
+        'POST /api/timetables': {
+            summary: 'Create the timetable for a class',
+            status: 201,
+            response: one('Timetable'),
+            errors: {
+                403: 'Admins may only create timetables in their own branch',
+                404: 'Class not found',
+                409: 'The class already has a timetable',
+            },
+        },
+        'GET /api/timetables/class/:classId': {
+            summary: "A class's timetable",
+            response: one('Timetable'),
+            errors: { 403: 'Not allowed to view this class', 404: 'Class or timetable not found' },
+        },
+        'PUT /api/timetables/:id': {
+            summary: 'Replace a timetable',
+            errors: { 403: 'Admins may only update timetables in their own branch', 404: 'Timetable not found' },
+        },
+        'DELETE /api/timetables/:id': {
+            summary: 'Delete a timetable',
+            errors: { 403: 'Admins may only delete timetables in their own branch', 404: 'Timetable not found' },
+        },
+    },
+};
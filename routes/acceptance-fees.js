@@ -3,6 +3,10 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/acceptance-fees');
+const logger = require('../services/logger');
 
 // @route   GET /api/acceptance-fees/my-branch
 // @desc    Get all acceptance fees for the admin's branch
@@ -21,7 +25,7 @@ router.get('/my-branch', [auth, authorize(['Admin'])], async (req, res) => {
         }
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get acceptance fee for admin branch error:', error);
+        logger.error('Get acceptance fee for admin branch error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching acceptance fee.' });
     }
 });
@@ -38,7 +42,7 @@ router.get('/', [auth, authorize(['SuperAdmin'])], async (req, res) => {
         `);
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get all acceptance fees error:', error);
+        logger.error('Get all acceptance fees error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching acceptance fees.' });
     }
 });
@@ -46,7 +50,7 @@ router.get('/', [auth, authorize(['SuperAdmin'])], async (req, res) => {
 // @route   GET /api/acceptance-fees/branch/:branch_id
 // @desc    Get the acceptance fees for a specific branch
 // @access  Public
-router.get('/branch/:branch_id', async (req, res) => {
+router.get('/branch/:branch_id', rateLimit('public'), validate(schemas.getForBranch), async (req, res) => {
     const { branch_id } = req.params;
     try {
         const [fees] = await pool.query('SELECT id, branch_id, program_type, amount FROM acceptance_fees WHERE branch_id = ?', [branch_id]);
@@ -55,7 +59,7 @@ router.get('/branch/:branch_id', async (req, res) => {
         }
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get acceptance fee error:', error);
+        logger.error('Get acceptance fee error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching acceptance fee.' });
     }
 });
@@ -63,25 +67,9 @@ router.get('/branch/:branch_id', async (req, res) => {
 // @route   POST /api/acceptance-fees
 // @desc    Create or update acceptance fee for a branch + program type combination
 // @access  Admin (own branch), SuperAdmin (any branch)
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    let { branch_id, amount, program_type } = req.body;
-
-    if (!branch_id || amount === undefined || amount === null) {
-        return res.status(400).json({
-            success: false,
-            message: 'Branch ID and amount are required.'
-        });
-    }
-
-    if (program_type === '') program_type = null;
-
-    const numericAmount = Number(amount);
-    if (isNaN(numericAmount) || numericAmount < 0) {
-        return res.status(400).json({
-            success: false,
-            message: 'Amount must be a valid non-negative number.'
-        });
-    }
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.setFee)], async (req, res) => {
+    const { branch_id, amount: numericAmount } = req.body;
+    const program_type = req.body.program_type || null;
 
     try {
         if (req.user.roles.includes('Admin')) {
@@ -140,7 +128,7 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
         });
 
     } catch (error) {
-        console.error('Set acceptance fee error:', error);
+        logger.error('Set acceptance fee error:', error);
         if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({
                 success: false,
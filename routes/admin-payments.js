@@ -4,6 +4,11 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { recordAudit } = require('../services/auditService');
+const { listPage, emptyPagination } = require('../services/listService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin-payments');
+const logger = require('../services/logger');
 
 async function getAdminBranchId(userId) {
     const [rows] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
@@ -11,12 +16,25 @@ async function getAdminBranchId(userId) {
 }
 
 // GET /api/admin/payments - List all payments (with filters: class, term, branch, status)
-router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    const { branch_id, class_id, term_id, status, student_id, start_date, end_date, limit = 50, offset = 0 } = req.query;
-
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listPayments)], async (req, res) => {
     try {
-        let query = `
-            SELECT 
+        const where = [];
+        const params = [];
+
+        if (req.user.roles.includes('Admin')) {
+            const adminBranchId = await getAdminBranchId(req.user.id);
+            if (!adminBranchId) {
+                return res.json({ success: true, data: [], message: 'Admin not linked to a branch', pagination: emptyPagination(req) });
+            }
+            where.push('s.branch_id = ?');
+            params.push(adminBranchId);
+        } else if (req.query.branch_id) {
+            where.push('s.branch_id = ?');
+            params.push(req.query.branch_id);
+        }
+
+        const { rows: payments, pagination } = await listPage(req, {
+            select: `
                 p.id,
                 p.student_id,
                 p.term_id,
@@ -32,119 +50,38 @@ router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
                 b.school_name as branch_name,
                 t.name as term_name,
                 t.session,
-                IFNULL(sps.status, 'Not Paid') as payment_status
-            FROM payments p
+                IFNULL(sps.status, 'Not Paid') as payment_status`,
+            from: `payments p
             JOIN students s ON p.student_id = s.id
             JOIN classes c ON s.class_id = c.id
             JOIN branches b ON s.branch_id = b.id
             JOIN terms t ON p.term_id = t.id
-            LEFT JOIN student_payment_statuses sps ON sps.student_id = s.id AND sps.term_id = p.term_id
-            WHERE 1=1
-        `;
-        const queryParams = [];
-
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                query += ' AND s.branch_id = ?';
-                queryParams.push(adminBranchId);
-            } else {
-                return res.json({ success: true, data: [], message: 'Admin not linked to a branch' });
-            }
-        } else if (branch_id) {
-            query += ' AND s.branch_id = ?';
-            queryParams.push(branch_id);
-        }
-
-        if (class_id) {
-            query += ' AND s.class_id = ?';
-            queryParams.push(class_id);
-        }
-
-        if (term_id) {
-            query += ' AND p.term_id = ?';
-            queryParams.push(term_id);
-        }
-
-        if (student_id) {
-            query += ' AND p.student_id = ?';
-            queryParams.push(student_id);
-        }
-
-        if (status) {
-            query += ' AND IFNULL(sps.status, ?) = ?';
-            queryParams.push('Not Paid', status);
-        }
-
-        if (start_date) {
-            query += ' AND p.payment_date >= ?';
-            queryParams.push(start_date);
-        }
-
-        if (end_date) {
-            query += ' AND p.payment_date <= ?';
-            queryParams.push(end_date);
-        }
-
-        query += ' ORDER BY p.payment_date DESC, p.created_at DESC';
-        query += ' LIMIT ? OFFSET ?';
-        queryParams.push(parseInt(limit), parseInt(offset));
-
-        const [payments] = await pool.query(query, queryParams);
-
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM payments p
-            JOIN students s ON p.student_id = s.id
-            WHERE 1=1
-        `;
-        const countParams = [];
-
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                countQuery += ' AND s.branch_id = ?';
-                countParams.push(adminBranchId);
-            }
-        } else if (branch_id) {
-            countQuery += ' AND s.branch_id = ?';
-            countParams.push(branch_id);
-        }
-
-        if (class_id) {
-            countQuery += ' AND s.class_id = ?';
-            countParams.push(class_id);
-        }
-
-        if (term_id) {
-            countQuery += ' AND p.term_id = ?';
-            countParams.push(term_id);
-        }
-
-        if (student_id) {
-            countQuery += ' AND p.student_id = ?';
-            countParams.push(student_id);
-        }
-
-        const [countResult] = await pool.query(countQuery, countParams);
-
-        res.json({ 
-            success: true, 
-            data: payments,
-            pagination: {
-                total: countResult[0].total,
-                limit: parseInt(limit),
-                offset: parseInt(offset)
-            }
+            LEFT JOIN student_payment_statuses sps ON sps.student_id = s.id AND sps.term_id = p.term_id`,
+            where,
+            params,
+            filters: {
+                class_id: 's.class_id',
+                term_id: 'p.term_id',
+                student_id: 'p.student_id',
+                status: "IFNULL(sps.status, 'Not Paid')",
+                start_date: { column: 'p.payment_date', op: '>=' },
+                end_date: { column: 'p.payment_date', op: '<=' },
+            },
+            search: ['p.reference', 's.first_name', 's.last_name'],
+            sortable: { payment_date: 'p.payment_date', amount_paid: 'p.amount_paid', created_at: 'p.created_at' },
+            defaultSort: '-payment_date,-created_at',
+            key: 'p.id',
         });
+
+        res.json({ success: true, data: payments, pagination });
     } catch (error) {
-        console.error('Get admin payments error:', error);
+        logger.error('Get admin payments error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payments.' });
     }
 });
 
 // GET /api/admin/payments/:id - View payment details
-router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getPayment)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -212,13 +149,13 @@ router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
             }
         });
     } catch (error) {
-        console.error('Get payment details error:', error);
+        logger.error('Get payment details error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payment details.' });
     }
 });
 
 // PATCH /api/admin/payments/:id - Update payment (add reference, adjust amount)
-router.patch('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.patch('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updatePayment)], async (req, res) => {
     const { id } = req.params;
     const { amount_paid, reference, payment_date } = req.body;
 
@@ -257,6 +194,7 @@ router.patch('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
             await connection.beginTransaction();
 
             await connection.query('UPDATE payments SET ? WHERE id = ?', [updateFields, id]);
+            await recordAudit(req, { action: 'payment.update', entityType: 'payment', entityId: id, branchId: payment.branch_id, before: payment, after: updateFields }, connection);
 
             const [[{ total_due }]] = await connection.query(
                 'SELECT SUM(amount) as total_due FROM fees WHERE class_id = ? AND term_id = ?',
@@ -284,13 +222,13 @@ router.patch('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
             connection.release();
         }
     } catch (error) {
-        console.error('Update payment error:', error);
+        logger.error('Update payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating payment.' });
     }
 });
 
 // DELETE /api/admin/payments/:id - Delete a payment
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deletePayment)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -319,6 +257,7 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
             await connection.beginTransaction();
 
             await connection.query('DELETE FROM payments WHERE id = ?', [id]);
+            await recordAudit(req, { action: 'payment.delete', entityType: 'payment', entityId: id, branchId: payment.branch_id, before: payment }, connection);
 
             const [[{ total_due }]] = await connection.query(
                 'SELECT SUM(amount) as total_due FROM fees WHERE class_id = ? AND term_id = ?',
@@ -346,30 +285,14 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
             connection.release();
         }
     } catch (error) {
-        console.error('Delete payment error:', error);
+        logger.error('Delete payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting payment.' });
     }
 });
 
 // POST /api/admin/payments/manual - Manually record a payment with reference
-router.post('/manual', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    let { student_id, term_id, amount_paid, reference, payment_date } = req.body;
-
-    // Basic presence checks
-    if (!student_id || !term_id || !amount_paid) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: student_id, term_id, amount_paid.' });
-    }
-
-    // Convert amount_paid to number and validate
-    const amountPaidNum = Number(amount_paid);
-    if (isNaN(amountPaidNum) || amountPaidNum <= 0) {
-        return res.status(400).json({ success: false, message: 'amount_paid must be a positive number.' });
-    }
-
-    // Validate payment_date if provided
-    if (payment_date && isNaN(Date.parse(payment_date))) {
-        return res.status(400).json({ success: false, message: 'Invalid payment_date format.' });
-    }
+router.post('/manual', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createManualPayment)], async (req, res) => {
+    const { student_id, term_id, amount_paid: amountPaidNum, reference, payment_date } = req.body;
 
     try {
         // Fetch student details
@@ -449,6 +372,7 @@ router.post('/manual', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, r
                 reference: reference || null,
             };
             await connection.query('INSERT INTO payments SET ?', newPayment);
+            await recordAudit(req, { action: 'payment.manual_create', entityType: 'payment', entityId: newPayment.id, branchId: studentData.branch_id, after: newPayment }, connection);
 
             // After inserting, total_paid becomes existingPaid + amountPaidNum = effectiveTotalDue
             // So the status becomes 'Paid'
@@ -466,7 +390,7 @@ router.post('/manual', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, r
             connection.release();
         }
     } catch (error) {
-        console.error('Create manual payment error:', error);
+        logger.error('Create manual payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while recording manual payment.' });
     }
 });
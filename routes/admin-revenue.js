@@ -3,6 +3,10 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin-revenue');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 async function getAdminBranchId(userId) {
     const [rows] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
@@ -10,12 +14,28 @@ async function getAdminBranchId(userId) {
 }
 
 // GET /api/admin/revenue - List revenue with filters
-router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    const { branch_id, student_id, parent_id, status, payment_for, start_date, end_date, limit = 50, offset = 0 } = req.query;
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listRevenue)], async (req, res) => {
+    const { branch_id, start_date, end_date } = req.query;
 
     try {
-        let query = `
-            SELECT 
+        const where = [];
+        const params = [];
+        let adminBranchId = null;
+
+        if (req.user.roles.includes('Admin')) {
+            adminBranchId = await getAdminBranchId(req.user.id);
+            if (!adminBranchId) {
+                return res.json({ success: true, data: [], message: 'Admin not linked to a branch', pagination: emptyPagination(req) });
+            }
+            where.push('s.branch_id = ?');
+            params.push(adminBranchId);
+        } else if (branch_id) {
+            where.push('s.branch_id = ?');
+            params.push(branch_id);
+        }
+
+        const { rows: revenue, pagination } = await listPage(req, {
+            select: `
                 r.id,
                 r.student_id,
                 r.parent_id,
@@ -33,100 +53,27 @@ router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
                 c.arm,
                 b.school_name as branch_name,
                 p.name as parent_name,
-                p.phone as parent_phone
-            FROM revenue r
+                p.phone as parent_phone`,
+            from: `revenue r
             LEFT JOIN students s ON r.student_id = s.id
             LEFT JOIN classes c ON s.class_id = c.id
             LEFT JOIN branches b ON s.branch_id = b.id
-            LEFT JOIN parents p ON r.parent_id = p.id
-            WHERE 1=1
-        `;
-        const queryParams = [];
-
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                query += ' AND s.branch_id = ?';
-                queryParams.push(adminBranchId);
-            } else {
-                return res.json({ success: true, data: [], message: 'Admin not linked to a branch' });
-            }
-        } else if (branch_id) {
-            query += ' AND s.branch_id = ?';
-            queryParams.push(branch_id);
-        }
-
-        if (student_id) {
-            query += ' AND r.student_id = ?';
-            queryParams.push(student_id);
-        }
-
-        if (parent_id) {
-            query += ' AND r.parent_id = ?';
-            queryParams.push(parent_id);
-        }
-
-        if (status) {
-            query += ' AND r.status = ?';
-            queryParams.push(status);
-        }
-
-        if (payment_for) {
-            query += ' AND r.payment_for = ?';
-            queryParams.push(payment_for);
-        }
-
-        if (start_date) {
-            query += ' AND r.paid_at >= ?';
-            queryParams.push(start_date);
-        }
-
-        if (end_date) {
-            query += ' AND r.paid_at <= ?';
-            queryParams.push(end_date);
-        }
-
-        query += ' ORDER BY r.paid_at DESC, r.created_at DESC';
-        query += ' LIMIT ? OFFSET ?';
-        queryParams.push(parseInt(limit), parseInt(offset));
-
-        const [revenue] = await pool.query(query, queryParams);
-
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM revenue r
-            LEFT JOIN students s ON r.student_id = s.id
-            WHERE 1=1
-        `;
-        const countParams = [];
-
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                countQuery += ' AND s.branch_id = ?';
-                countParams.push(adminBranchId);
-            }
-        } else if (branch_id) {
-            countQuery += ' AND s.branch_id = ?';
-            countParams.push(branch_id);
-        }
-
-        if (student_id) {
-            countQuery += ' AND r.student_id = ?';
-            countParams.push(student_id);
-        }
-
-        if (status) {
-            countQuery += ' AND r.status = ?';
-            countParams.push(status);
-        }
-
-        if (payment_for) {
-            countQuery += ' AND r.payment_for = ?';
-            countParams.push(payment_for);
-        }
-
-        const [countResult] = await pool.query(countQuery, countParams);
+            LEFT JOIN parents p ON r.parent_id = p.id`,
+            where,
+            params,
+            filters: {
+                student_id: 'r.student_id',
+                parent_id: 'r.parent_id',
+                status: 'r.status',
+                payment_for: 'r.payment_for',
+                start_date: { column: 'r.paid_at', op: '>=' },
+                end_date: { column: 'r.paid_at', op: '<=' },
+            },
+            search: ['r.reference', 'r.email', 'p.name'],
+            sortable: { paid_at: 'r.paid_at', amount: 'r.amount', created_at: 'r.created_at' },
+            defaultSort: '-paid_at,-created_at',
+            key: 'r.id',
+        });
 
         let sumQuery = `
             SELECT SUM(r.amount) as total_amount
@@ -136,12 +83,9 @@ router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
         `;
         const sumParams = [];
 
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                sumQuery += ' AND s.branch_id = ?';
-                sumParams.push(adminBranchId);
-            }
+        if (adminBranchId) {
+            sumQuery += ' AND s.branch_id = ?';
+            sumParams.push(adminBranchId);
         } else if (branch_id) {
             sumQuery += ' AND s.branch_id = ?';
             sumParams.push(branch_id);
@@ -163,23 +107,19 @@ router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
             success: true, 
             data: revenue,
             summary: {
-                total_records: countResult[0].total,
+                total_records: pagination.total,
                 total_revenue: sumResult[0].total_amount || 0
             },
-            pagination: {
-                total: countResult[0].total,
-                limit: parseInt(limit),
-                offset: parseInt(offset)
-            }
+            pagination
         });
     } catch (error) {
-        console.error('Get admin revenue error:', error);
+        logger.error('Get admin revenue error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching revenue.' });
     }
 });
 
 // GET /api/admin/revenue/summary - Get revenue summary by payment type
-router.get('/summary', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/summary', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getSummary)], async (req, res) => {
     const { branch_id, start_date, end_date } = req.query;
 
     try {
@@ -248,13 +188,13 @@ router.get('/summary', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, r
             }
         });
     } catch (error) {
-        console.error('Get revenue summary error:', error);
+        logger.error('Get revenue summary error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching revenue summary.' });
     }
 });
 
 // GET /api/admin/revenue/:id - Get revenue details by ID
-router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getRevenue)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -296,13 +236,13 @@ router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
             }
         });
     } catch (error) {
-        console.error('Get revenue details error:', error);
+        logger.error('Get revenue details error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching revenue details.' });
     }
 });
 
 // GET /api/admin/revenue/reference/:reference - Get revenue by reference number
-router.get('/reference/:reference', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/reference/:reference', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getByReference)], async (req, res) => {
     const { reference } = req.params;
 
     try {
@@ -328,7 +268,7 @@ router.get('/reference/:reference', [auth, authorize(['Admin', 'SuperAdmin'])],
 
         res.json({ success: true, data: revenue[0] });
     } catch (error) {
-        console.error('Get revenue by reference error:', error);
+        logger.error('Get revenue by reference error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching revenue by reference.' });
     }
 });
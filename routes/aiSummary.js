@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/aiSummary');
 
 // Gemini SDK
 const { GoogleGenAI } = require('@google/genai');
@@ -18,16 +23,12 @@ function getGenAiClient() {
 }
 
 
-// POST /api/ai/summary
-router.post('/summary', async (req, res) => {
+// @route   POST /api/ai/summary
+// @desc    Summarise dashboard data with Gemini. Every call is billed, so it is limited per user
+// @access  Admin, SuperAdmin
+router.post('/summary', [auth, authorize(['SuperAdmin', 'Admin']), rateLimit('ai'), validate(schemas.summarize)], async (req, res) => {
     try {
-        const { data, options } = req.body || {};
-
-        if (data === undefined) {
-            return res.status(400).json({
-                error: 'Missing required body field: data',
-            });
-        }
+        const { data } = req.body;
 
         const ai = getGenAiClient();
         const prompt = `You are a senior data analyst. Review the dataset below and give clear, actionable insights. Identify key trends and suggest strategies to improve school revenue and performance. Keep your response under 100 words. If the dataset is empty, simply say "Dataset is empty" without returning the data itself.\n\n${data}`;
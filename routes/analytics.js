@@ -5,6 +5,9 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/analytics');
+const logger = require('../services/logger');
 
 // GET /api/analytics/summary - Get aggregated data for the main analysis dashboard page
 router.get('/summary', [auth, authorize(['SuperAdmin', 'Admin'])], async (req, res) => {
@@ -127,7 +130,7 @@ router.get('/summary', [auth, authorize(['SuperAdmin', 'Admin'])], async (req, r
         });
 
     } catch (error) {
-        console.error('Analytics Summary Error:', error);
+        logger.error('Analytics Summary Error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching analytics data.' });
     } finally {
         if (connection) connection.release();
@@ -138,7 +141,7 @@ router.get('/summary', [auth, authorize(['SuperAdmin', 'Admin'])], async (req, r
 // @route   GET /api/analytics/performance
 // @desc    Get aggregated data for the performance page charts
 // @access  Admin, SuperAdmin
-router.get('/performance', [auth, authorize(['SuperAdmin', 'Admin'])], async (req, res) => {
+router.get('/performance', [auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.getPerformance)], async (req, res) => {
     let connection;
     try {
         connection = await pool.getConnection();
@@ -251,7 +254,7 @@ router.get('/performance', [auth, authorize(['SuperAdmin', 'Admin'])], async (re
         });
 
     } catch (error) {
-        console.error('Performance Analytics Error:', error);
+        logger.error('Performance Analytics Error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching performance analytics data.' });
     } finally {
         if (connection) connection.release();
@@ -387,7 +390,7 @@ router.get('/analysis-page', [auth, authorize(['SuperAdmin', 'Admin'])], async (
         });
 
     } catch (error) {
-        console.error('Analysis Page Error:', error);
+        logger.error('Analysis Page Error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching analytics data.' });
     } finally {
         if (connection) connection.release();
@@ -438,7 +441,7 @@ router.get('/overview', [auth, authorize(['SuperAdmin', 'Admin'])], async (req,
         });
 
     } catch (error) {
-        console.error('Analytics Overview Error:', error);
+        logger.error('Analytics Overview Error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching overview data.' });
     } finally {
         if (connection) connection.release();
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/assessment-structures');
+const assessments = require('../services/assessmentService');
+const { getCurrentTerm } = require('../services/lookupService');
+const { recordAudit } = require('../services/auditService');
+const { pool } = require('../database');
+
+// @route   GET /api/assessment-structures
+// @desc    Every configured assessment structure with its components
+// @access  Admin, SuperAdmin
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res, next) => {
+    try {
+        res.json({ success: true, data: await assessments.listStructures() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   GET /api/assessment-structures/resolve
+// @desc    The structure a class is marked under for a term (the active term by default)
+// @access  Teacher, Admin, SuperAdmin
+router.get('/resolve', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin']), validate(schemas.resolveStructure)], async (req, res, next) => {
+    try {
+        const [classes] = await pool.query('SELECT branch_id, school_type FROM classes WHERE id = ?', [req.query.class_id]);
+        if (!classes.length) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        const { branch_id, school_type } = classes[0];
+        const termId = req.query.term_id || (await getCurrentTerm(branch_id))?.id || null;
+        res.json({ success: true, data: await assessments.getAssessmentStructure(branch_id, school_type, termId) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   GET /api/assessment-structures/:id
+// @desc    One assessment structure
+// @access  Admin, SuperAdmin
+router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getStructure)], async (req, res, next) => {
+    try {
+        const structure = await assessments.getStructure(req.params.id);
+        if (!structure) {
+            return res.status(404).json({ success: false, message: 'Assessment structure not found' });
+        }
+        res.json({ success: true, data: structure });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   POST /api/assessment-structures
+// @desc    Configure the assessments for a branch, school type and/or term
+// @access  SuperAdmin
+router.post('/', [auth, authorize(['SuperAdmin']), validate(schemas.createStructure)], async (req, res, next) => {
+    try {
+        const structure = await assessments.createStructure(req.body, req.user.id);
+        await recordAudit(req, {
+            action: 'assessment_structure.create',
+            entityType: 'assessment_structure',
+            entityId: structure.id,
+            branchId: structure.branch_id,
+            after: req.body,
+        });
+        res.status(201).json({ success: true, message: 'Assessment structure created', data: structure });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   PUT /api/assessment-structures/:id
+// @desc    Rename a structure or replace its components
+// @access  SuperAdmin
+router.put('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.updateStructure)], async (req, res, next) => {
+    try {
+        const before = await assessments.getStructure(req.params.id);
+        const structure = before && (await assessments.updateStructure(req.params.id, req.body));
+        if (!structure) {
+            return res.status(404).json({ success: false, message: 'Assessment structure not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'assessment_structure.update',
+            entityType: 'assessment_structure',
+            entityId: structure.id,
+            branchId: structure.branch_id,
+            before,
+            after: req.body,
+        });
+        res.json({ success: true, message: 'Assessment structure updated', data: structure });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   DELETE /api/assessment-structures/:id
+// @desc    Delete a structure; its scope falls back to the next matching one
+// @access  SuperAdmin
+router.delete('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.deleteStructure)], async (req, res, next) => {
+    try {
+        const before = await assessments.getStructure(req.params.id);
+        if (!before || !(await assessments.deleteStructure(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Assessment structure not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'assessment_structure.delete',
+            entityType: 'assessment_structure',
+            entityId: before.id,
+            branchId: before.branch_id,
+            before,
+        });
+        res.json({ success: true, message: 'Assessment structure deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/assignments');
+const logger = require('../services/logger');
 
 // Helper function to get a teacher's staff ID from their user ID
 async function getTeacherStaffId(userId) {
@@ -13,13 +16,9 @@ async function getTeacherStaffId(userId) {
 // @route   POST /api/assignments
 // @desc    Create a new assignment for a class
 // @access  Teacher
-router.post('/', [auth, authorize(['Teacher'])], async (req, res) => {
+router.post('/', [auth, authorize(['Teacher']), validate(schemas.createAssignment)], async (req, res) => {
     const { title, details, class_id, subject, due_date } = req.body;
 
-    if (!title || !class_id || !subject || !due_date) {
-        return res.status(400).json({ success: false, message: 'Title, class_id, subject, and due_date are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -62,7 +61,7 @@ router.post('/', [auth, authorize(['Teacher'])], async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Create assignment error:', error);
+        logger.error('Create assignment error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating assignment.' });
     } finally {
         connection.release();
@@ -72,7 +71,7 @@ router.post('/', [auth, authorize(['Teacher'])], async (req, res) => {
 // @route   GET /api/assignments/class/:classId
 // @desc    Get all assignments for a specific class
 // @access  Teacher, Student
-router.get('/class/:classId', [auth, authorize(['Teacher', 'Student'])], async (req, res) => {
+router.get('/class/:classId', [auth, authorize(['Teacher', 'Student']), validate(schemas.listForClass)], async (req, res) => {
     const { classId } = req.params;
 
     try {
@@ -87,7 +86,7 @@ router.get('/class/:classId', [auth, authorize(['Teacher', 'Student'])], async (
         res.json({ success: true, data: assignments });
 
     } catch (error) {
-        console.error('Get assignments error:', error);
+        logger.error('Get assignments error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching assignments.' });
     }
 });
@@ -96,7 +95,7 @@ router.get('/class/:classId', [auth, authorize(['Teacher', 'Student'])], async (
 // @route   PUT /api/assignments/:id
 // @desc    Update an assignment
 // @access  Teacher
-router.put('/:id', [auth, authorize(['Teacher'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Teacher']), validate(schemas.updateAssignment)], async (req, res) => {
     const { id } = req.params;
     const { title, details, subject, due_date } = req.body;
 
@@ -132,7 +131,7 @@ router.put('/:id', [auth, authorize(['Teacher'])], async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update assignment error:', error);
+        logger.error('Update assignment error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating assignment.' });
     } finally {
         connection.release();
@@ -142,7 +141,7 @@ router.put('/:id', [auth, authorize(['Teacher'])], async (req, res) => {
 // @route   DELETE /api/assignments/:id
 // @desc    Delete an assignment
 // @access  Teacher
-router.delete('/:id', [auth, authorize(['Teacher'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Teacher']), validate(schemas.deleteAssignment)], async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
     try {
@@ -167,7 +166,7 @@ router.delete('/:id', [auth, authorize(['Teacher'])], async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete assignment error:', error);
+        logger.error('Delete assignment error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting assignment.' });
     } finally {
         connection.release();
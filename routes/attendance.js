@@ -3,15 +3,15 @@ const router = express.Router();
 const { pool } = require('../database'); const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/attendance');
+const { listPage, emptyPagination } = require('../services/listService');
 const crypto = require('crypto');
+const logger = require('../services/logger');
 
-router.post('/staff', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.post('/staff', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.markStaff), async (req, res) => {
     const { staff_id, branch_id, date, status } = req.body;
 
-    if (!staff_id || !branch_id || !date || !status) {
-        return res.status(400).json({ success: false, message: 'Missing required fields' });
-    }
-
     const connection = await pool.getConnection();
     try {
         if (req.user.roles.includes('Admin')) {
@@ -38,55 +38,60 @@ router.post('/staff', auth, authorize(['SuperAdmin', 'Admin']), async (req, res)
 
         res.status(201).json({ success: true, message: 'Staff attendance marked successfully', data: newAttendance });
     } catch (error) {
-        console.error('Error marking staff attendance:', error);
+        logger.error('Error marking staff attendance:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     } finally {
         if (connection) connection.release();
     }
 });
 
-router.get('/staff', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
-    const { branch_id, date } = req.query;
+router.get('/staff', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.listStaff), async (req, res) => {
+    const { branch_id } = req.query;
 
     try {
-        const connection = await pool.getConnection();
-        let query = 'SELECT sa.*, s.name as staff_name FROM staff_attendance sa JOIN staff s ON sa.staff_id = s.id';
-        const queryParams = [];
+        const where = [];
+        const params = [];
 
         if (req.user.roles.includes('Admin')) {
-            const [adminStaff] = await connection.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
-            if (adminStaff.length > 0) {
-                query += ' WHERE sa.branch_id = ?';
-                queryParams.push(adminStaff[0].branch_id);
+            const [adminStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            if (adminStaff.length === 0) {
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
+            where.push('sa.branch_id = ?');
+            params.push(adminStaff[0].branch_id);
         } else if (branch_id) {
-            query += ' WHERE sa.branch_id = ?';
-            queryParams.push(branch_id);
-        }
-
-        if (date) {
-            query += query.includes('WHERE') ? ' AND' : ' WHERE';
-            query += ' sa.date = ?';
-            queryParams.push(date);
+            where.push('sa.branch_id = ?');
+            params.push(branch_id);
         }
 
-        const [attendance] = await connection.query(query, queryParams);
-        connection.release();
+        const { rows: attendance, pagination } = await listPage(req, {
+            select: 'sa.*, s.name as staff_name',
+            from: 'staff_attendance sa JOIN staff s ON sa.staff_id = s.id',
+            where,
+            params,
+            filters: {
+                date: 'sa.date',
+                from: { column: 'sa.date', op: '>=' },
+                to: { column: 'sa.date', op: '<=' },
+                staff_id: 'sa.staff_id',
+                status: 'sa.status',
+            },
+            search: ['s.name'],
+            sortable: { date: 'sa.date', staff_name: 's.name', status: 'sa.status' },
+            defaultSort: '-date,staff_name',
+            key: 'sa.id',
+        });
 
-        res.json({ success: true, data: attendance });
+        res.json({ success: true, data: attendance, pagination });
     } catch (error) {
-        console.error('Error fetching staff attendance:', error);
+        logger.error('Error fetching staff attendance:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 // Get attendance for all staff for a particular day (joins logs for times)
-router.get('/staff/day', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
-    const { date, branch_id } = req.query || {};
-
-    if (!date) {
-        return res.status(400).json({ success: false, message: 'Missing required query param: date (YYYY-MM-DD)' });
-    }
+router.get('/staff/day', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.staffDay), async (req, res) => {
+    const { date, branch_id } = req.query;
 
     const connection = await pool.getConnection();
     try {
@@ -119,7 +124,7 @@ router.get('/staff/day', auth, authorize(['SuperAdmin', 'Admin']), async (req, r
         const [rows] = await connection.query(query, params);
         return res.json({ success: true, data: rows });
     } catch (error) {
-        console.error('Error fetching day attendance:', error);
+        logger.error('Error fetching day attendance:', error);
         return res.status(500).json({ success: false, message: 'Server error' });
     } finally {
         if (connection) connection.release();
@@ -127,12 +132,8 @@ router.get('/staff/day', auth, authorize(['SuperAdmin', 'Admin']), async (req, r
 });
 
 // Get monthly attendance for the authenticated staff
-router.get('/staff/me/month', auth, authorize(['Teacher', 'NonTeachingStaff', 'Admin', 'SuperAdmin']), async (req, res) => {
-    const year = Number(req.query.year);
-    const month = Number(req.query.month); // 1-12
-    if (!year || !month || month < 1 || month > 12) {
-        return res.status(400).json({ success: false, message: 'Provide valid year and month (1-12)' });
-    }
+router.get('/staff/me/month', auth, authorize(['Teacher', 'NonTeachingStaff', 'Admin', 'SuperAdmin']), validate(schemas.myMonth), async (req, res) => {
+    const { year, month } = req.query; // month is 1-12
 
     const start = new Date(year, month - 1, 1);
     const end = new Date(year, month, 0);
@@ -159,7 +160,7 @@ router.get('/staff/me/month', auth, authorize(['Teacher', 'NonTeachingStaff', 'A
         const [rows] = await connection.query(query, [staffId, startStr, endStr]);
         return res.json({ success: true, data: rows, staff_id: staffId, year, month });
     } catch (error) {
-        console.error('Error fetching monthly attendance (me):', error);
+        logger.error('Error fetching monthly attendance (me):', error);
         return res.status(500).json({ success: false, message: 'Server error' });
     } finally {
         if (connection) connection.release();
@@ -167,13 +168,9 @@ router.get('/staff/me/month', auth, authorize(['Teacher', 'NonTeachingStaff', 'A
 });
 
 // Get monthly attendance for a specific staff (Admin/SuperAdmin)
-router.get('/staff/:staffId/month', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
+router.get('/staff/:staffId/month', auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.staffMonth), async (req, res) => {
     const { staffId } = req.params;
-    const year = Number(req.query.year);
-    const month = Number(req.query.month); // 1-12
-    if (!staffId || !year || !month || month < 1 || month > 12) {
-        return res.status(400).json({ success: false, message: 'Provide staffId, year and month (1-12)' });
-    }
+    const { year, month } = req.query; // month is 1-12
 
     const start = new Date(year, month - 1, 1);
     const end = new Date(year, month, 0);
@@ -205,20 +202,16 @@ router.get('/staff/:staffId/month', auth, authorize(['Admin', 'SuperAdmin']), as
         const [rows] = await connection.query(query, [staffId, startStr, endStr]);
         return res.json({ success: true, data: rows, staff_id: staffId, year, month });
     } catch (error) {
-        console.error('Error fetching monthly attendance (by staff):', error);
+        logger.error('Error fetching monthly attendance (by staff):', error);
         return res.status(500).json({ success: false, message: 'Server error' });
     } finally {
         if (connection) connection.release();
     }
 });
 
-router.post('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), async (req, res) => {
+router.post('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), validate(schemas.markStudents), async (req, res) => {
     const { class_id, date, records } = req.body;
 
-    if (!class_id || !date || !records || !Array.isArray(records) || records.length === 0) {
-        return res.status(400).json({ success: false, message: 'Missing or invalid required fields' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -262,10 +255,7 @@ router.post('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), asy
             VALUES ?
         `;
 
-        const values = records.map(record => {
-            const status = record.status.charAt(0).toUpperCase() + record.status.slice(1);
-            return [uuidv4(), record.student_id, class_id, branch_id, date, status];
-        });
+        const values = records.map(record => [uuidv4(), record.student_id, class_id, branch_id, date, record.status]);
 
         await connection.query(query, [values]);
 
@@ -275,24 +265,22 @@ router.post('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), asy
 
     } catch (error) {
         if (connection) await connection.rollback();
-        console.error('Error marking student attendance:', error);
+        logger.error('Error marking student attendance:', error);
         res.status(500).json({ success: false, message: 'Server error while marking attendance.' });
     } finally {
         if (connection) connection.release();
     }
 });
 
-router.get('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), async (req, res) => {
-    const { class_id, branch_id, date } = req.query;
+router.get('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), validate(schemas.listStudents), async (req, res) => {
+    const { class_id, branch_id } = req.query;
 
     try {
-        const connection = await pool.getConnection();
-        let query = 'SELECT sa.student_id, sa.status, s.first_name, s.last_name FROM student_attendance sa JOIN students s ON sa.student_id = s.id';
         const queryParams = [];
         let whereClauses = [];
 
         if (req.user.roles.includes('Teacher')) {
-            const [teacher] = await connection.query('SELECT id FROM staff WHERE user_id = ?', [req.user.id]);
+            const [teacher] = await pool.query('SELECT id FROM staff WHERE user_id = ?', [req.user.id]);
             if (teacher.length > 0) {
                 whereClauses.push('sa.class_id IN (SELECT id FROM classes WHERE teacher_id = ?)');
                 queryParams.push(teacher[0].id);
@@ -305,14 +293,14 @@ router.get('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), asyn
                 whereClauses.push('1=0');
             }
         } else if (req.user.roles.includes('Admin')) {
-            const [adminStaff] = await connection.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            const [adminStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
             if (adminStaff.length > 0) {
                 const adminBranchId = adminStaff[0].branch_id;
                 whereClauses.push('sa.branch_id = ?');
                 queryParams.push(adminBranchId);
 
                 if (class_id) {
-                    const [classBranch] = await connection.query('SELECT branch_id FROM classes WHERE id = ?', [class_id]);
+                    const [classBranch] = await pool.query('SELECT branch_id FROM classes WHERE id = ?', [class_id]);
                     if (classBranch.length > 0 && classBranch[0].branch_id === adminBranchId) {
                         whereClauses.push('sa.class_id = ?');
                         queryParams.push(class_id);
@@ -334,26 +322,32 @@ router.get('/student', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), asyn
             }
         }
 
-        if (date) {
-            whereClauses.push('sa.date = ?');
-            queryParams.push(date);
-        }
-
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
-        }
-
-        const [attendance] = await connection.query(query, queryParams);
-        connection.release();
+        const { rows: attendance, pagination } = await listPage(req, {
+            select: 'sa.student_id, sa.status, sa.date, sa.class_id, s.first_name, s.last_name',
+            from: 'student_attendance sa JOIN students s ON sa.student_id = s.id',
+            where: whereClauses,
+            params: queryParams,
+            filters: {
+                date: 'sa.date',
+                from: { column: 'sa.date', op: '>=' },
+                to: { column: 'sa.date', op: '<=' },
+                student_id: 'sa.student_id',
+                status: 'sa.status',
+            },
+            search: ['s.first_name', 's.last_name'],
+            sortable: { date: 'sa.date', last_name: 's.last_name', first_name: 's.first_name', status: 'sa.status' },
+            defaultSort: '-date,last_name,first_name',
+            key: 'sa.id',
+        });
 
-        res.json({ success: true, data: attendance });
+        res.json({ success: true, data: attendance, pagination });
     } catch (error) {
-        console.error('Error fetching student attendance:', error);
+        logger.error('Error fetching student attendance:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-router.get('/my-children', auth, authorize(['Parent']), async (req, res) => {
+router.get('/my-children', auth, authorize(['Parent']), validate(schemas.myChildren), async (req, res) => {
     const { start_date, end_date } = req.query;
 
     try {
@@ -418,23 +412,14 @@ router.get('/my-children', auth, authorize(['Parent']), async (req, res) => {
 
         res.json({ success: true, data });
     } catch (error) {
-        console.error('Error fetching children attendance:', error);
+        logger.error('Error fetching children attendance:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 // Geofenced staff clock-in/out via QR validation
-router.post('/staff/clock', auth, authorize(['Teacher', 'Admin', 'SuperAdmin', 'NonTeachingStaff']), async (req, res) => {
-    const { action, qrCodeData, location } = req.body || {};
-
-    if (!action || !qrCodeData || !location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
-        return res.status(400).json({ success: false, message: 'Missing or invalid fields: action, qrCodeData, location{latitude,longitude}' });
-    }
-
-    const normalizedAction = String(action).toLowerCase();
-    if (!['clock-in', 'clock-out'].includes(normalizedAction)) {
-        return res.status(400).json({ success: false, message: 'action must be "clock-in" or "clock-out"' });
-    }
+router.post('/staff/clock', auth, authorize(['Teacher', 'Admin', 'SuperAdmin', 'NonTeachingStaff']), validate(schemas.clock), async (req, res) => {
+    const { action, qrCodeData, location } = req.body;
 
     // Validate QR secret
     const expectedSecret = process.env.STAFF_QR_SECRET;
@@ -487,7 +472,7 @@ router.post('/staff/clock', auth, authorize(['Teacher', 'Admin', 'SuperAdmin', '
         // Upsert on staff_attendance_logs unique (staff_id, date)
         const [rows] = await connection.query('SELECT id, clock_in_time, clock_out_time FROM staff_attendance_logs WHERE staff_id = ? AND date = ?', [staffId, today]);
 
-        if (normalizedAction === 'clock-in') {
+        if (action === 'clock-in') {
             if (rows.length > 0 && rows[0].clock_in_time) {
                 return res.status(409).json({ success: false, message: 'Already clocked in today' });
             }
@@ -529,7 +514,7 @@ router.post('/staff/clock', auth, authorize(['Teacher', 'Admin', 'SuperAdmin', '
             return res.json({ success: true, message: 'Clock-out recorded', date: today });
         }
     } catch (error) {
-        console.error('Error in staff clock route:', error);
+        logger.error('Error in staff clock route:', error);
         return res.status(500).json({ success: false, message: 'Server error' });
     } finally {
         if (connection) connection.release();
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+const { getAuditLogs } = require('../services/auditService');
+const { pageOf, pageInfo } = require('../services/listService');
+const logger = require('../services/logger');
+
+// @route   GET /api/audit
+// @desc    Audit trail of sensitive changes, filterable by actor, action, entity, branch and date range
+// @access  SuperAdmin
+router.get('/', [auth, authorize(['SuperAdmin']), validate(schemas.listAuditLogs)], async (req, res) => {
+    const { actor_id, action, entity_type, entity_id, branch_id, from, to } = req.query;
+    const { limit, offset } = pageOf(req.query);
+
+    try {
+        const { logs, total } = await getAuditLogs({
+            actorId: actor_id,
+            action,
+            entityType: entity_type,
+            entityId: entity_id,
+            branchId: branch_id,
+            from,
+            to,
+            limit,
+            offset
+        });
+        res.json({ success: true, data: logs, pagination: pageInfo(req, { limit, offset }, Number(total)) });
+    } catch (err) {
+        logger.error('Audit log fetch error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+module.exports = router;
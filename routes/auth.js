@@ -1,20 +1,109 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../database');const { v4: uuidv4 } = require('uuid');
-const cache = require('memory-cache');
+const { getUserRoles, getUserRoleNames } = require('../services/lookupService');
 
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const loginThrottle = require('../middleware/loginThrottle');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/auth');
+const { createSession, refreshSession, revokeSession, revokeAllSessions, listActiveSessions } = require('../services/sessionService');
+const { getEffectivePermissions } = require('../services/permissionService');
+const { validateNewPassword, requestPasswordReset, resetPasswordWithToken, setPassword } = require('../services/passwordService');
+const { checkLoginAllowed, buildAttempt, recordFailure, recordSuccess, findLoginAccount, unlockAccount, getLoginAttempts } = require('../services/loginProtectionService');
+const { pageOf, pageInfo } = require('../services/listService');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../services/logger');
+const {
+    isEnforcedFor,
+    startEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    verifyUserCode,
+    useRecoveryCode,
+    replaceRecoveryCodes,
+    countRemainingRecoveryCodes,
+    createChallenge,
+    verifyChallenge
+} = require('../services/twoFactorService');
+
+
+// Staff profile returned by /login/staff (and after its two-factor step)
+async function getStaffLoginDetails(userId) {
+    const staffQuery = `
+            SELECT 
+                s.id, s.name, s.email, s.phone, s.address, s.gender,
+                s.description, s.status, s.image_url as imageUrl,
+                s.created_at as createdAt, s.permissions,
+                r.id as roleId, r.name as role,
+                b.id as branchId, b.school_name as branch
+            FROM staff s
+            JOIN roles r ON s.role_id = r.id
+            JOIN branches b ON s.branch_id = b.id
+            WHERE s.user_id = ?
+        `;
 
-
-router.post('/register', auth, async (req, res) => {
+    const [staffResult] = await pool.query(staffQuery, [userId]);
+    return staffResult.length > 0 ? staffResult[0] : null;
+}
+
+function twoFactorChallengeResponse(userId, flow) {
+    return {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(userId, flow),
+        message: 'Enter the code from your authenticator app to finish logging in'
+    };
+}
+
+async function sendSuperAdminLogin(req, res, user, userRoles) {
+    const roles = userRoles.map(r => r.name);
+    const { token, refreshToken, expiresIn } = await createSession(user.id, roles, req);
+    const [superAdminResult] = await pool.query('SELECT * FROM super_admins WHERE user_id = ?', [user.id]);
+    const superAdmin = superAdminResult[0];
+    const superAdminRole = userRoles.find(r => r.name === 'SuperAdmin');
+    res.json({
+        admin: {
+            id: superAdmin.id,
+            name: superAdmin.name,
+            email: user.email,
+            phone: superAdmin.phone,
+            image: superAdmin.image,
+            roleId: superAdminRole.id
+        },
+        token,
+        refreshToken,
+        expiresIn,
+        mustChangePassword: !!user.must_change_password,
+        twoFactorSetupRequired: !user.two_factor_enabled && isEnforcedFor(roles),
+        message: 'Login successful'
+    });
+}
+
+async function sendStaffLogin(req, res, user, roles, staffDetails) {
+    const { token, refreshToken, expiresIn } = await createSession(user.id, roles, req);
+    const effectivePermissions = await getEffectivePermissions(user.id, roles);
+
+    res.json({
+        staff: {
+            ...staffDetails,
+            permissions: staffDetails.permissions ? JSON.parse(staffDetails.permissions) : null,
+            effectivePermissions
+        },
+        token,
+        refreshToken,
+        expiresIn,
+        mustChangePassword: !!user.must_change_password,
+        twoFactorSetupRequired: !user.two_factor_enabled && isEnforcedFor(roles),
+        message: 'Login successful'
+    });
+}
+
+router.post('/register', auth, validate(schemas.register), async (req, res) => {
     const { email, password, role } = req.body;
 
-    if (!email || !password || !role) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
-
     if (!req.user.roles.includes('SuperAdmin')) {
         return res.status(403).json({ message: 'Access denied' });
     }
@@ -39,32 +128,29 @@ router.post('/register', auth, async (req, res) => {
 
         res.status(201).json({ message: 'User registered' });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.post('/parent/login', async (req, res) => {
+router.post('/parent/login', validate(schemas.parentLogin), loginThrottle('email'), async (req, res) => {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
-
     try {
         const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
         if (users.length === 0) {
+            await req.loginAttempt.recordFailure('unknown_user');
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
         const user = users[0];
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await req.loginAttempt.recordFailure('invalid_password', user.id);
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        const [rolesResult] = await pool.query('SELECT r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [user.id]);
-        const userRoles = rolesResult.map(r => r.name);
+        const userRoles = await getUserRoleNames(user.id);
 
         if (!userRoles.includes('Parent')) {
             return res.status(403).json({ message: 'Access denied. Not a parent account.' });
@@ -78,7 +164,8 @@ router.post('/parent/login', async (req, res) => {
 
         const [childrenResult] = await pool.query('SELECT id, first_name, last_name FROM students WHERE parent_id = ?', [parent.id]);
 
-        const token = jwt.sign({ id: user.id, roles: userRoles }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        await req.loginAttempt.recordSuccess(user.id);
+        const { token, refreshToken, expiresIn } = await createSession(user.id, userRoles, req);
 
         res.json({
             parent: {
@@ -89,159 +176,109 @@ router.post('/parent/login', async (req, res) => {
                 children: childrenResult.map(c => ({ id: c.id, name: `${c.first_name} ${c.last_name}` }))
             },
             token,
+            refreshToken,
+            expiresIn,
+            mustChangePassword: !!user.must_change_password,
             message: 'Login successful'
         });
 
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), loginThrottle('email'), async (req, res) => {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
-
     try {
         const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
         if (users.length === 0) {
+            await req.loginAttempt.recordFailure('unknown_user');
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
         const user = users[0];
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await req.loginAttempt.recordFailure('invalid_password', user.id);
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        let userRoles = cache.get(user.id);
-        if (!userRoles || (userRoles.length > 0 && typeof userRoles[0] === 'string')) {
-            const [rolesResult] = await pool.query('SELECT r.id, r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [user.id]);
-            userRoles = rolesResult;
-            cache.put(user.id, userRoles, 6000000); // Cache for 100 minutes
-        }
-
+        const userRoles = await getUserRoles(user.id);
         const roles = userRoles.map(r => r.name);
-        const token = jwt.sign({ id: user.id, roles }, process.env.JWT_SECRET, { expiresIn: '7d' });
 
         if (roles.includes('SuperAdmin')) {
-            const [superAdminResult] = await pool.query('SELECT * FROM super_admins WHERE user_id = ?', [user.id]);
-            const superAdmin = superAdminResult[0];
-            const superAdminRole = userRoles.find(r => r.name === 'SuperAdmin');
-            res.json({
-                admin: {
-                    id: superAdmin.id,
-                    name: superAdmin.name,
-                    email: user.email,
-                    phone: superAdmin.phone,
-                    image: superAdmin.image,
-                    roleId: superAdminRole.id
-                },
-                token,
-                message: 'Login successful'
-            });
+            if (user.two_factor_enabled) {
+                return res.json(twoFactorChallengeResponse(user.id, 'superadmin'));
+            }
+            await req.loginAttempt.recordSuccess(user.id);
+            return await sendSuperAdminLogin(req, res, user, userRoles);
         } else {
             return res.status(403).json({ message: 'Access denied' });
         }
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.post('/login/staff', async (req, res) => {
+router.post('/login/staff', validate(schemas.staffLogin), loginThrottle('email'), async (req, res) => {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
-
     try {
         const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
         if (users.length === 0) {
+            await req.loginAttempt.recordFailure('unknown_user');
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
         const user = users[0];
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await req.loginAttempt.recordFailure('invalid_password', user.id);
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        const staffQuery = `
-            SELECT 
-                s.id, s.name, s.email, s.phone, s.address, s.gender,
-                s.description, s.status, s.image_url as imageUrl,
-                s.created_at as createdAt, s.permissions,
-                r.id as roleId, r.name as role,
-                b.id as branchId, b.school_name as branch
-            FROM staff s
-            JOIN roles r ON s.role_id = r.id
-            JOIN branches b ON s.branch_id = b.id
-            WHERE s.user_id = ?
-        `;
-
-        const [staffResult] = await pool.query(staffQuery, [user.id]);
+        const staffDetails = await getStaffLoginDetails(user.id);
 
-        if (staffResult.length === 0) {
+        if (!staffDetails) {
             return res.status(403).json({ message: 'Invalid credentials' });
         }
 
-        let roles = cache.get(user.id);
-        if (!roles) {
-            const [rolesResult] = await pool.query('SELECT r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [user.id]);
-            roles = rolesResult.map(r => r.name);
-            cache.put(user.id, roles, 6000000); // Cache for 100 minutes
-        }
-
-        const token = jwt.sign({ id: user.id, roles }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        const roles = await getUserRoleNames(user.id);
 
-        const staffDetails = staffResult[0];
+        if (user.two_factor_enabled) {
+            return res.json(twoFactorChallengeResponse(user.id, 'staff'));
+        }
 
-        res.json({
-            staff: {
-                ...staffDetails,
-                permissions: staffDetails.permissions ? JSON.parse(staffDetails.permissions) : null
-            },
-            token,
-            message: 'Login successful'
-        });
+        await req.loginAttempt.recordSuccess(user.id);
+        return await sendStaffLogin(req, res, user, roles, staffDetails);
 
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.post('/login/cbt/student', async (req, res) => {
+router.post('/login/cbt/student', validate(schemas.cbtStudentLogin), loginThrottle('student_id'), async (req, res) => {
     const { student_id, password } = req.body;
 
-    if (!student_id || !password) {
-        return res.status(400).json({ success: false, message: 'Please provide student ID and password.' });
-    }
-
     try {
         const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [student_id]);
         if (users.length === 0) {
+            await req.loginAttempt.recordFailure('unknown_user');
             return res.status(400).json({ success: false, message: 'User Account Not found.' });
         }
 
         const user = users[0];
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await req.loginAttempt.recordFailure('invalid_password', user.id);
             return res.status(400).json({ success: false, message: 'Wrong Password.' });
         }
 
-        const [userRoles] = await pool.query(
-            'SELECT r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?',
-            [user.id]
-        );
-        const roles = userRoles.map(r => r.name);
-
-        console.log('User Roles:', roles);
+        const roles = await getUserRoleNames(user.id);
 
         if (!roles.includes('NewStudent') && !roles.includes('Student')) {
             return res.status(403).json({ success: false, message: 'Invalid credentials' });
@@ -277,25 +314,27 @@ router.post('/login/cbt/student', async (req, res) => {
             message = 'Login successful. Welcome to your exam.';
         }
 
-        console.log('Student Details Result:', studentDetailsResult[0]);
-
         if (!studentDetailsResult || studentDetailsResult.length === 0) {
             return res.status(404).json({ success: false, message: 'Invalid credentials' });
         }
 
-        const token = jwt.sign({ id: user.id, roles }, process.env.JWT_SECRET, { expiresIn: '1d' });
+        await req.loginAttempt.recordSuccess(user.id);
+        const { token, refreshToken, expiresIn } = await createSession(user.id, roles, req);
 
         res.json({
             success: true,
             message: message,
             data: {
                 student: studentDetailsResult[0],
-                token
+                token,
+                refreshToken,
+                expiresIn,
+                mustChangePassword: !!user.must_change_password
             }
         });
 
     } catch (error) {
-        console.error('Student Login Error:', error);
+        logger.error('Student Login Error:', error);
         res.status(500).json({ success: false, message: 'An error occurred during login. Please try again.' });
     }
 });
@@ -303,23 +342,25 @@ router.post('/login/cbt/student', async (req, res) => {
 // @route   POST /api/auth/student/login
 // @desc    Authenticate student & get token
 // @access  Public
-router.post('/student/login', async (req, res) => {
+router.post('/student/login', validate(schemas.studentLogin), loginThrottle('student_id'), async (req, res) => {
     const { student_id, password } = req.body;
+
     try {
         let [users] = await pool.query('SELECT * FROM users WHERE email = ?', [student_id]);
 
         if (users.length === 0) {
+            await req.loginAttempt.recordFailure('unknown_user');
             return res.status(400).json({ success: false, message: 'Invalid credentials' });
         }
         const user = users[0];
 
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await req.loginAttempt.recordFailure('invalid_password', user.id);
             return res.status(400).json({ success: false, message: 'Invalid credentials' });
         }
 
-        const [rolesResult] = await pool.query('SELECT r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?', [user.id]);
-        const userRoles = rolesResult.map(r => r.name);
+        const userRoles = await getUserRoleNames(user.id);
 
         if (!userRoles.includes('Student') && !userRoles.includes('NewStudent')) {
             return res.status(403).json({ success: false, message: 'Invalid credentials' });
@@ -338,21 +379,416 @@ router.post('/student/login', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Invalid credentials' });
         }
 
-        const payload = { id: user.id, roles: userRoles };
-        const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '5h' });
+        await req.loginAttempt.recordSuccess(user.id);
+        const { token, refreshToken, expiresIn } = await createSession(user.id, userRoles, req);
 
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn,
+            mustChangePassword: !!user.must_change_password,
             student: studentData,
             role: userRoles,
             message: 'Login successful'
         });
 
     } catch (err) {
-        console.error(err.message);
+        logger.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public
+router.post('/refresh', rateLimit('account'), validate(schemas.refresh), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const session = await refreshSession(refreshToken, req);
+        if (!session) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            success: true,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+    } catch (err) {
+        logger.error('Token refresh error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+        logger.error('Logout error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session for the current user (log out all devices)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.id);
+        res.json({ success: true, message: 'Logged out of all devices', data: { revoked } });
+    } catch (err) {
+        logger.error('Logout all error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+        res.json({
+            success: true,
+            data: sessions.map(s => ({ ...s, current: s.id === req.sessionId }))
+        });
+    } catch (err) {
+        logger.error('List sessions error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link (students' links go to their parent)
+// @access  Public
+router.post('/forgot-password', rateLimit('account'), validate(schemas.forgotPassword), async (req, res) => {
+    const { email, student_id } = req.body;
+    const identifier = email || student_id;
+
+    if (!identifier) {
+        return res.status(400).json({ success: false, message: 'Please provide your email or student ID' });
+    }
+
+    // Same response, sent before the lookup and email, whether or not the account exists, so neither
+    // the body nor the response time can be used to probe for accounts
+    requestPasswordReset(identifier).catch(err => logger.error('Forgot password error:', err));
+    res.json({ success: true, message: 'If an account matches, a password reset link has been sent to the email on file.' });
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token; ends every existing session
+// @access  Public
+router.post('/reset-password', rateLimit('account'), validate(schemas.resetPassword), async (req, res) => {
+    const { token, password } = req.body;
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    try {
+        const userId = await resetPasswordWithToken(token, password);
+        if (!userId) {
+            return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+        }
+
+        await revokeAllSessions(userId);
+        res.json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        logger.error('Reset password error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the current user's password; other sessions are logged out
+// @access  Private (allowed even while a password change is required)
+router.post('/change-password', auth, validate(schemas.changePassword), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    try {
+        const isMatch = await bcrypt.compare(currentPassword, req.user.password);
+        if (!isMatch) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+        if (await bcrypt.compare(newPassword, req.user.password)) {
+            return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+        }
+
+        await setPassword(req.user.id, newPassword);
+        await revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId });
+
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (err) {
+        logger.error('Change password error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Clear a login lockout for an account (email or student ID)
+// @access  Admin (accounts in their branch below Admin), SuperAdmin
+router.post('/unlock', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.unlock)], async (req, res) => {
+    const { identifier } = req.body;
+
+    try {
+        const account = await findLoginAccount(identifier);
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Account not found' });
+        }
+
+        let branchId = null;
+        if (!req.user.roles.includes('SuperAdmin')) {
+            if (account.roles.some(role => role === 'Admin' || role === 'SuperAdmin')) {
+                return res.status(403).json({ success: false, message: 'Only a SuperAdmin can unlock Admin and SuperAdmin accounts' });
+            }
+            const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            branchId = staff.length > 0 ? staff[0].branch_id : null;
+            if (!branchId || !account.branchIds.includes(branchId)) {
+                return res.status(403).json({ success: false, message: 'You can only unlock accounts in your own branch' });
+            }
+        }
+
+        await unlockAccount(account.id);
+        await recordAudit(req, {
+            action: 'user.unlock',
+            entityType: 'user',
+            entityId: account.id,
+            branchId: branchId || account.branchIds[0] || null,
+            metadata: { identifier },
+        });
+        res.json({ success: true, message: 'Account unlocked successfully' });
+    } catch (err) {
+        logger.error('Unlock account error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/login-attempts
+// @desc    Login attempts audit log, filterable by identifier, ip, success and date range
+// @access  SuperAdmin
+router.get('/login-attempts', [auth, authorize(['SuperAdmin']), validate(schemas.listLoginAttempts)], async (req, res) => {
+    const { identifier, ip, success, from, to } = req.query;
+    const { limit, offset } = pageOf(req.query, 100);
+
+    try {
+        const { attempts, total } = await getLoginAttempts({
+            identifier,
+            ipAddress: ip,
+            success,
+            from,
+            to,
+            limit,
+            offset
+        });
+        res.json({ success: true, data: attempts, pagination: pageInfo(req, { limit, offset }, Number(total)) });
+    } catch (err) {
+        logger.error('Login attempts fetch error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/verify-login
+// @desc    Second login step: exchange a challenge token plus an authenticator or recovery code for a session
+// @access  Public
+router.post('/2fa/verify-login', validate(schemas.verifyTwoFactorLogin), async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ success: false, message: 'Please provide an authentication code or a recovery code' });
+    }
+
+    const challenge = verifyChallenge(challengeToken);
+    if (!challenge) {
+        return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    try {
+        const [users] = await pool.query('SELECT * FROM users WHERE id = ?', [challenge.id]);
+        if (users.length === 0) {
+            return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired. Please log in again.' });
+        }
+        const user = users[0];
+        const attempt = buildAttempt(req, user.email);
+
+        // Codes are throttled and locked out exactly like passwords
+        const check = await checkLoginAllowed(attempt.identifier, attempt.ipAddress);
+        if (!check.allowed) {
+            res.set('Retry-After', String(check.retryAfterSeconds));
+            return res.status(429).json({ success: false, message: 'Too many failed attempts. Please try again later.', retryAfterSeconds: check.retryAfterSeconds });
+        }
+
+        const verified = code ? await verifyUserCode(user.id, code) : await useRecoveryCode(user.id, recoveryCode);
+        if (!verified) {
+            await recordFailure(attempt, code ? 'invalid_2fa_code' : 'invalid_recovery_code', user.id);
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        await recordSuccess(attempt, user.id);
+
+        const rolesResult = await getUserRoles(user.id);
+
+        if (challenge.flow === 'superadmin') {
+            return await sendSuperAdminLogin(req, res, user, rolesResult);
+        }
+
+        const staffDetails = await getStaffLoginDetails(user.id);
+        if (!staffDetails) {
+            return res.status(403).json({ message: 'Invalid credentials' });
+        }
+        return await sendStaffLogin(req, res, user, rolesResult.map(r => r.name), staffDetails);
+    } catch (err) {
+        logger.error('Two-factor login error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Two-factor status for the current user
+// @access  Private
+router.get('/2fa/status', auth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                enabled: !!req.user.two_factor_enabled,
+                required: isEnforcedFor(req.user.roles),
+                recoveryCodesRemaining: req.user.two_factor_enabled ? await countRemainingRecoveryCodes(req.user.id) : 0
+            }
+        });
+    } catch (err) {
+        logger.error('Two-factor status error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Begin enrollment: returns a secret and otpauth:// URI to show as a QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+    if (req.user.two_factor_enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    try {
+        const { secret, otpauthUrl } = await startEnrollment(req.user);
+        res.json({ success: true, data: { secret, otpauthUrl } });
+    } catch (err) {
+        logger.error('Two-factor setup error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, validate(schemas.enableTwoFactor), async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const recoveryCodes = await confirmEnrollment(req.user.id, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ success: false, message: 'Invalid code, or no two-factor setup is in progress' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            data: { recoveryCodes }
+        });
+    } catch (err) {
+        logger.error('Two-factor enable error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current authenticator code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, validate(schemas.regenerateRecoveryCodes), async (req, res) => {
+    const { code } = req.body;
+
+    if (!req.user.two_factor_enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    try {
+        if (!(await verifyUserCode(req.user.id, code))) {
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (err) {
+        logger.error('Recovery code regeneration error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor (not allowed for roles where it is enforced)
+// @access  Private
+router.post('/2fa/disable', auth, validate(schemas.disableTwoFactor), async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!req.user.two_factor_enabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (isEnforcedFor(req.user.roles)) {
+        return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role and cannot be disabled' });
+    }
+
+    try {
+        const isMatch = await bcrypt.compare(password, req.user.password);
+        if (!isMatch || !(await verifyUserCode(req.user.id, code))) {
+            return res.status(400).json({ success: false, message: 'Invalid password or authentication code' });
+        }
+
+        await disableTwoFactor(req.user.id);
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        logger.error('Two-factor disable error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/reset
+// @desc    Turn off two-factor for someone who has lost their authenticator and recovery codes, ending
+//          their sessions; they enroll again on their next login where it is enforced
+// @access  SuperAdmin
+router.post('/2fa/reset', [auth, authorize(['SuperAdmin']), validate(schemas.resetTwoFactor)], async (req, res) => {
+    const { identifier } = req.body;
+
+    try {
+        const account = await findLoginAccount(identifier);
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Account not found' });
+        }
+
+        await disableTwoFactor(account.id);
+        await revokeAllSessions(account.id);
+        await recordAudit(req, {
+            action: 'user.two_factor_reset',
+            entityType: 'user',
+            entityId: account.id,
+            branchId: account.branchIds[0] || null,
+            metadata: { identifier },
+        });
+        res.json({ success: true, message: 'Two-factor authentication reset' });
+    } catch (err) {
+        logger.error('Two-factor reset error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 module.exports = router;
@@ -2,17 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database'); const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/branches');
+const { getBranches, invalidateBranches } = require('../services/lookupService');
+const logger = require('../services/logger');
 
-router.post('/store', auth, async (req, res) => {
+router.post('/store', auth, validate(schemas.createBranch), async (req, res) => {
     if (!req.user.roles.includes('SuperAdmin')) {
         return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { school_name, site_name, address, "admin-email": email, basic_education, is_active } = req.body;
-
-    if (!school_name || !address || !email || !basic_education) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
+    const { school_name, site_name, address, "admin-email": email, basic_education, is_active, ranking_basis } = req.body;
 
     try {
         const branchId = uuidv4();
@@ -23,59 +24,58 @@ router.post('/store', auth, async (req, res) => {
             address,
             email,
             basic_education: JSON.stringify(basic_education),
-            is_active: is_active || 1
+            is_active: is_active || 1,
+            ranking_basis: ranking_basis || 'total'
         };
         await pool.query('INSERT INTO branches SET ?', branchData);
+        await invalidateBranches();
         res.status(201).json({ message: 'Branch created', data: branchData });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.put('/:branchId/update', auth, async (req, res) => {
+router.put('/:branchId/update', auth, validate(schemas.updateBranch), async (req, res) => {
     if (!req.user.roles.includes('SuperAdmin')) {
         return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { school_name, site_name, "admin-address": address, email, basic_education, is_active } = req.body;
-
-    if (!school_name || !address || !email || !basic_education) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
+    const { school_name, site_name, "admin-address": address, email, basic_education, is_active, ranking_basis } = req.body;
 
     try {
         await pool.query(
-            'UPDATE branches SET school_name = ?, site_name = ?, address = ?, email = ?, basic_education = ?, is_active = ? WHERE id = ?',
-            [school_name, site_name || null, address, email, JSON.stringify(basic_education), is_active, req.params.branchId]
+            'UPDATE branches SET school_name = ?, site_name = ?, address = ?, email = ?, basic_education = ?, is_active = ?, ranking_basis = COALESCE(?, ranking_basis) WHERE id = ?',
+            [school_name, site_name || null, address, email, JSON.stringify(basic_education), is_active, ranking_basis || null, req.params.branchId]
         );
+        await invalidateBranches();
         res.json({ message: 'Branch updated' });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.get('/', async (req, res) => {
+router.get('/', rateLimit('public'), async (req, res) => {
     try {
-        const [branches] = await pool.query('SELECT * FROM branches');
-        res.json(branches);
+        res.json(await getBranches());
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate(schemas.deleteBranch), async (req, res) => {
     if (!req.user.roles.includes('SuperAdmin')) {
         return res.status(403).json({ message: 'Access denied' });
     }
 
     try {
         await pool.query('DELETE FROM branches WHERE id = ?', [req.params.id]);
+        await invalidateBranches();
         res.json({ message: 'Branch deleted' });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
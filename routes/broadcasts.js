@@ -3,15 +3,15 @@ const router = express.Router();
 const { pool } = require('../database'); const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/broadcasts');
+const { listPage } = require('../services/listService');
+const logger = require('../services/logger');
 
 // POST /api/broadcasts - Create new broadcast
-router.post('/', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
+router.post('/', auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createBroadcast), async (req, res) => {
     const { title, message, status = 'Draft', tags, cc_roles, branch_ids } = req.body;
 
-    if (!title || !message) {
-        return res.status(400).json({ success: false, message: 'Title and message are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -77,7 +77,7 @@ router.post('/', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Create broadcast error:', error);
+        logger.error('Create broadcast error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating broadcast.' });
     } finally {
         connection.release();
@@ -85,7 +85,7 @@ router.post('/', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
 });
 
 // PUT /api/broadcasts/:id - Edit broadcast
-router.put('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
+router.put('/:id', auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateBroadcast), async (req, res) => {
     const { id } = req.params;
     const { title, message, status, tags, cc_roles, branch_ids } = req.body;
 
@@ -156,7 +156,7 @@ router.put('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) =>
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update broadcast error:', error);
+        logger.error('Update broadcast error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating broadcast.' });
     } finally {
         connection.release();
@@ -164,7 +164,7 @@ router.put('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) =>
 });
 
 // DELETE /api/broadcasts/:id - Delete broadcast
-router.delete('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
+router.delete('/:id', auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteBroadcast), async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
     try {
@@ -187,7 +187,7 @@ router.delete('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res)
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete broadcast error:', error);
+        logger.error('Delete broadcast error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting broadcast.' });
     } finally {
         connection.release();
@@ -195,25 +195,13 @@ router.delete('/:id', auth, authorize(['Admin', 'SuperAdmin']), async (req, res)
 });
 
 // GET /api/broadcasts - Get all broadcasts
-router.get('/', auth, async (req, res) => {
-    const { page = 1, limit = 20, tag } = req.query;
-    const offset = (page - 1) * limit;
+router.get('/', auth, validate(schemas.listBroadcasts), async (req, res) => {
+    const { tag } = req.query;
     const userId = req.user.id;
 
     try {
-        let query = `
-            SELECT 
-                b.id, b.title, b.message, b.status, b.created_at, b.updated_at,
-                (SELECT status FROM broadcast_receipts WHERE broadcast_id = b.id AND user_id = ?) as read_status,
-                GROUP_CONCAT(DISTINCT bt.tag) as tags, 
-                GROUP_CONCAT(DISTINCT bc.role_name) as cc_roles,
-                GROUP_CONCAT(DISTINCT bb.branch_id) as branch_ids
-            FROM broadcasts b
-            LEFT JOIN broadcast_tags bt ON b.id = bt.broadcast_id
-            LEFT JOIN broadcast_cc bc ON b.id = bc.broadcast_id
-            LEFT JOIN broadcast_branches bb ON b.id = bb.broadcast_id
-        `;
-        const queryParams = [userId];
+        const where = [];
+        const queryParams = [];
 
         // Role-based visibility and branch filtering
         const userRoles = req.user.roles;
@@ -239,12 +227,12 @@ router.get('/', auth, async (req, res) => {
             }
             connection.release();
 
-            query += ` WHERE b.status = 'Sent' 
+            where.push(`b.status = 'Sent' 
                        AND b.id IN (SELECT broadcast_id FROM broadcast_cc WHERE role_name IN (?))
                        AND (
                            b.id NOT IN (SELECT broadcast_id FROM broadcast_branches)
                            ${userBranchId ? `OR b.id IN (SELECT broadcast_id FROM broadcast_branches WHERE branch_id = ?)` : ''}
-                       )`;
+                       )`);
             queryParams.push(userRoles);
             if (userBranchId) queryParams.push(userBranchId);
         } else {
@@ -256,30 +244,44 @@ router.get('/', auth, async (req, res) => {
 
                 if (adminStaff.length > 0) {
                     const adminBranchId = adminStaff[0].branch_id;
-                    query += ` WHERE (
+                    where.push(`(
                         b.id NOT IN (SELECT broadcast_id FROM broadcast_branches)
                         OR b.id IN (SELECT broadcast_id FROM broadcast_branches WHERE branch_id = ?)
-                    )`;
+                    )`);
                     queryParams.push(adminBranchId);
-                } else {
-                    query += ` WHERE 1=1`;
                 }
-            } else {
-                query += ` WHERE 1=1`;
             }
         }
 
         if (tag) {
-            query += ` AND b.id IN (
+            where.push(`b.id IN (
                 SELECT broadcast_id FROM broadcast_tags WHERE tag = ?
-            )`;
+            )`);
             queryParams.push(tag);
         }
 
-        query += ' GROUP BY b.id ORDER BY b.created_at DESC LIMIT ? OFFSET ?';
-        queryParams.push(parseInt(limit), parseInt(offset));
-
-        const [broadcasts] = await pool.query(query, queryParams);
+        const { rows: broadcasts, pagination } = await listPage(req, {
+            select: `
+                b.id, b.title, b.message, b.status, b.created_at, b.updated_at,
+                (SELECT status FROM broadcast_receipts WHERE broadcast_id = b.id AND user_id = ?) as read_status,
+                GROUP_CONCAT(DISTINCT bt.tag) as tags, 
+                GROUP_CONCAT(DISTINCT bc.role_name) as cc_roles,
+                GROUP_CONCAT(DISTINCT bb.branch_id) as branch_ids`,
+            selectParams: [userId],
+            from: `broadcasts b
+            LEFT JOIN broadcast_tags bt ON b.id = bt.broadcast_id
+            LEFT JOIN broadcast_cc bc ON b.id = bc.broadcast_id
+            LEFT JOIN broadcast_branches bb ON b.id = bb.broadcast_id`,
+            where,
+            params: queryParams,
+            groupBy: 'b.id',
+            filters: { status: 'b.status' },
+            search: ['b.title', 'b.message'],
+            sortable: { created_at: 'b.created_at', updated_at: 'b.updated_at', title: 'b.title' },
+            defaultSort: '-created_at',
+            key: 'b.id',
+            defaultLimit: 20,
+        });
 
         const formattedBroadcasts = broadcasts.map(b => ({
             ...b,
@@ -287,16 +289,16 @@ router.get('/', auth, async (req, res) => {
             is_global: !b.branch_ids
         }));
 
-        res.json({ success: true, data: formattedBroadcasts });
+        res.json({ success: true, data: formattedBroadcasts, pagination });
 
     } catch (error) {
-        console.error('Get broadcasts error:', error);
+        logger.error('Get broadcasts error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching broadcasts.' });
     }
 });
 
 // GET /api/broadcasts/:id - Get single broadcast
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, validate(schemas.getBroadcast), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
     const userRoles = req.user.roles;
@@ -343,13 +345,13 @@ router.get('/:id', auth, async (req, res) => {
         res.json({ success: true, data: broadcast });
 
     } catch (error) {
-        console.error('Get single broadcast error:', error);
+        logger.error('Get single broadcast error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching broadcast.' });
     }
 });
 
 // POST /api/broadcasts/:id/read - Mark broadcast as read
-router.post('/:id/read', auth, async (req, res) => {
+router.post('/:id/read', auth, validate(schemas.markRead), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
@@ -361,13 +363,13 @@ router.post('/:id/read', auth, async (req, res) => {
         res.json({ success: true, message: 'Broadcast marked as read.' });
 
     } catch (error) {
-        console.error('Mark as read error:', error);
+        logger.error('Mark as read error:', error);
         res.status(500).json({ success: false, message: 'Server error while marking as read.' });
     }
 });
 
 // GET /api/broadcasts/:id/receipts - View read/unread receipts
-router.get('/:id/receipts', auth, authorize(['Admin', 'SuperAdmin']), async (req, res) => {
+router.get('/:id/receipts', auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listReceipts), async (req, res) => {
     const { id } = req.params;
     try {
         const [receipts] = await pool.query(`
@@ -379,7 +381,7 @@ router.get('/:id/receipts', auth, authorize(['Admin', 'SuperAdmin']), async (req
         res.json({ success: true, data: receipts });
 
     } catch (error) {
-        console.error('Get receipts error:', error);
+        logger.error('Get receipts error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching receipts.' });
     }
 });
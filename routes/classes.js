@@ -3,22 +3,17 @@ const router = express.Router();
 const { pool } = require('../database'); const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/classes');
+const logger = require('../services/logger');
 
 // Create a new class
-router.post('/', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.post('/', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.createClass), async (req, res) => {
     const { name, arm, branch_id, teacher_id, total_student, school_type } = req.body;
 
-    if (!name || !branch_id || !teacher_id) {
-        return res.status(400).json({ success: false, message: 'Please provide name, branch_id, and teacher_id.' });
-    }
-
-    const validSchoolTypes = ['Early Years', 'Grade School', 'Middle School', 'Senior School'];
-    const schoolTypeValue = school_type && validSchoolTypes.includes(school_type) ? school_type : 'Grade School';
-
-    const totalStudentValue = total_student ? parseInt(total_student, 10) : 0;
-    if (isNaN(totalStudentValue) || totalStudentValue < 0) {
-        return res.status(400).json({ success: false, message: 'Total students must be a non-negative number.' });
-    }
+    const schoolTypeValue = school_type || 'Grade School';
+    const totalStudentValue = total_student || 0;
 
     const connection = await pool.getConnection();
 
@@ -74,7 +69,7 @@ router.post('/', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error creating class:', error);
+        logger.error('Error creating class:', error);
         res.status(500).json({ success: false, message: 'Server error while creating class.' });
     } finally {
         connection.release();
@@ -82,7 +77,7 @@ router.post('/', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
 });
 
 // Get classes by branch_id (public)
-router.get('/branch/:branch_id', async (req, res) => {
+router.get('/branch/:branch_id', rateLimit('public'), validate(schemas.listForBranch), async (req, res) => {
     const { branch_id } = req.params;
     try {
         const query = `
@@ -106,7 +101,7 @@ router.get('/branch/:branch_id', async (req, res) => {
         const [classes] = await pool.query(query, [branch_id]);
         res.json({ success: true, data: classes });
     } catch (error) {
-        console.error('Error fetching classes by branch:', error);
+        logger.error('Error fetching classes by branch:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching classes.' });
     }
 });
@@ -194,13 +189,13 @@ router.get('/', auth, authorize(['SuperAdmin', 'Admin', 'Teacher', 'Parent', 'St
         const [classes] = await pool.query(query, queryParams);
         res.json({ success: true, data: classes });
     } catch (error) {
-        console.error('Error fetching classes:', error);
+        logger.error('Error fetching classes:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching classes.' });
     }
 });
 
 // Update an existing class
-router.put('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.put('/:id', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.updateClass), async (req, res) => {
     const classId = req.params.id;
     const { name, arm, teacher_id, total_student, school_type } = req.body;
     const connection = await pool.getConnection();
@@ -227,19 +222,8 @@ router.put('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) =>
         const updateFields = {};
         if (name) updateFields.name = name;
         if (arm !== undefined) updateFields.arm = arm;
-        if (total_student !== undefined) {
-            const totalStudentValue = parseInt(total_student, 10);
-            if (isNaN(totalStudentValue) || totalStudentValue < 0) {
-                return res.status(400).json({ success: false, message: 'Total students must be a non-negative number.' });
-            }
-            updateFields.total_student = totalStudentValue;
-        }
-        if (school_type !== undefined) {
-            const validSchoolTypes = ['Early Years', 'Grade School', 'Middle School', 'Senior School'];
-            if (validSchoolTypes.includes(school_type)) {
-                updateFields.school_type = school_type;
-            }
-        }
+        if (total_student !== undefined) updateFields.total_student = total_student;
+        if (school_type !== undefined) updateFields.school_type = school_type;
 
         let teacherName = null;
         if (teacher_id) {
@@ -269,7 +253,7 @@ router.put('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) =>
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error updating class:', error);
+        logger.error('Error updating class:', error);
         res.status(500).json({ success: false, message: 'Server error while updating class.' });
     } finally {
         connection.release();
@@ -277,7 +261,7 @@ router.put('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) =>
 });
 
 // Delete a class
-router.delete('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.delete('/:id', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.deleteClass), async (req, res) => {
     const classId = req.params.id;
     const connection = await pool.getConnection();
 
@@ -306,7 +290,7 @@ router.delete('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res)
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error deleting class:', error);
+        logger.error('Error deleting class:', error);
         if (error.code === 'ER_ROW_IS_REFERENCED_2') {
             return res.status(400).json({ success: false, message: 'Cannot delete class. It is currently in use by other records (e.g., students).' });
         }
@@ -317,7 +301,7 @@ router.delete('/:id', auth, authorize(['SuperAdmin', 'Admin']), async (req, res)
 });
 
 // Get full class details by ID
-router.get('/full-class-details/:id', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), async (req, res) => {
+router.get('/full-class-details/:id', auth, authorize(['SuperAdmin', 'Admin', 'Teacher']), validate(schemas.getClassDetails), async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
 
@@ -373,7 +357,7 @@ router.get('/full-class-details/:id', auth, authorize(['SuperAdmin', 'Admin', 'T
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error fetching full class details:', error);
+        logger.error('Error fetching full class details:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching class details.' });
     } finally {
         connection.release();
@@ -4,6 +4,9 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/comments');
+const logger = require('../services/logger');
 
 // Helper function to get staff info
 async function getStaffInfo(userId) {
@@ -12,17 +15,9 @@ async function getStaffInfo(userId) {
 }
 
 // POST /api/comments/save - Save or update report card comments
-router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin']), validate(schemas.saveComments)], async (req, res) => {
     const { student_id, term_id, teacher_comment, principal_comment } = req.body;
 
-    // Validation
-    if (!student_id || !term_id) {
-        return res.status(400).json({
-            success: false,
-            message: 'student_id and term_id are required.'
-        });
-    }
-
     if (teacher_comment === undefined && principal_comment === undefined) {
         return res.status(400).json({
             success: false,
@@ -106,7 +101,7 @@ router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], asyn
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error saving comments:', err);
+        logger.error('Error saving comments:', err);
         res.status(500).json({ success: false, message: 'Server error while saving comments.' });
     } finally {
         connection.release();
@@ -115,44 +110,24 @@ router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], asyn
 
 
 // POST /api/comments/principal - Save principal comments (single or bulk with personalized comments)
-router.post('/principal', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/principal', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.savePrincipalComments)], async (req, res) => {
     const { student_id, students, term_id, principal_comment } = req.body;
 
-    // Validation
-    if (!term_id) {
-        return res.status(400).json({
-            success: false,
-            message: 'term_id is required.'
-        });
-    }
-
     // Must provide either student_id with principal_comment OR students array
-    if (!student_id && (!students || !Array.isArray(students) || students.length === 0)) {
+    if (!student_id && !students) {
         return res.status(400).json({
             success: false,
             message: 'Either student_id (single) or students (array) must be provided.'
         });
     }
 
-    if (student_id && (!principal_comment || principal_comment.trim() === '')) {
+    if (student_id && !principal_comment) {
         return res.status(400).json({
             success: false,
             message: 'principal_comment is required when using student_id.'
         });
     }
 
-    if (students) {
-        // Validate each student object has required fields
-        for (const student of students) {
-            if (!student.student_id || !student.principal_comment || student.principal_comment.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Each student must have student_id and principal_comment.'
-                });
-            }
-        }
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -274,7 +249,7 @@ router.post('/principal', [auth, authorize(['Admin', 'SuperAdmin'])], async (req
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error saving principal comments:', err);
+        logger.error('Error saving principal comments:', err);
         res.status(500).json({ 
             success: false, 
             message: 'Server error while saving principal comments.' 
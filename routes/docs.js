@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { buildSpec } = require('../openapi');
+const logger = require('../services/logger');
+
+// Built on first request, once every router is mounted; the routes don't change while running
+let spec = null;
+
+// @route   GET /api/docs/openapi.json
+// @desc    The OpenAPI document for this API
+// @access  Public
+router.get('/openapi.json', (req, res) => {
+    try {
+        if (!spec) spec = buildSpec(req.app);
+        res.json(spec);
+    } catch (error) {
+        logger.error('Error building OpenAPI document:', error);
+        res.status(500).json({ success: false, message: 'Server error while building the API documentation.' });
+    }
+});
+
+// @route   GET /api/docs
+// @desc    Swagger UI for the OpenAPI document
+// @access  Public
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(null, { swaggerOptions: { url: '/api/docs/openapi.json' } }));
+
+module.exports = router;
@@ -4,6 +4,12 @@ const bcrypt = require('bcryptjs');
 const { pool } = require('../database');const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/enrollment');
+const { listPage, emptyPagination } = require('../services/listService');
+const { getBranch } = require('../services/lookupService');
+const logger = require('../services/logger');
 
 // --- Helper Functions ---
 
@@ -12,11 +18,11 @@ const authorize = require('../middleware/authorize');
  * @returns {Promise<string>} A unique student ID.
  */
 async function generateStudentId(branch_id) {
-    const [branch] = await pool.query('SELECT site_name FROM branches WHERE id = ?', [branch_id]);
-    if (branch.length === 0 || !branch[0].site_name) {
+    const branch = await getBranch(branch_id);
+    if (!branch || !branch.site_name) {
         throw new Error('Branch site name not found for student ID generation.');
     }
-    const prefix = 'T' + branch[0].site_name;
+    const prefix = 'T' + branch.site_name;
     const chars = '0123456789';
     let isUnique = false;
     let studentId = '';
@@ -50,7 +56,7 @@ function generatePassword() {
 // @route   POST /api/enrollment/register
 // @desc    Register a new student for enrollment
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('enrollment'), validate(schemas.register), async (req, res) => {
     const {
         first_name, last_name, dob, passport, address, nationality,
         state, branch_id, previous_school, religion,
@@ -58,10 +64,6 @@ router.post('/register', async (req, res) => {
         program_type, enrollment_amount_paid
     } = req.body;
 
-    if (!first_name || !last_name || !dob || !parent_name || !parent_phone || !parent_email || !branch_id) {
-        return res.status(400).json({ success: false, message: 'Please fill all required fields.' });
-    }
-
     const connection = await pool.getConnection();
 
     try {
@@ -87,7 +89,7 @@ router.post('/register', async (req, res) => {
             const parentTempPassword = generatePassword(); // You can optionally email this to them
             const hashedParentPassword = await bcrypt.hash(parentTempPassword, 10);
 
-            await connection.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [parentUserId, parent_email, hashedParentPassword]);
+            await connection.query('INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, TRUE)', [parentUserId, parent_email, hashedParentPassword]);
 
             const [parentRole] = await connection.query("SELECT id FROM roles WHERE name = 'Parent'");
             if (parentRole.length === 0) throw new Error("Parent role not found in database.");
@@ -107,7 +109,7 @@ router.post('/register', async (req, res) => {
         const studentUserId = uuidv4();
 
         // We use the unique student ID in the 'email' field of the users table for easy login
-        await connection.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [studentUserId, studentId, hashedStudentPassword]);
+        await connection.query('INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, TRUE)', [studentUserId, studentId, hashedStudentPassword]);
 
         const [newStudentRole] = await connection.query("SELECT id FROM roles WHERE name = 'NewStudent'");
         if (newStudentRole.length === 0) throw new Error("'NewStudent' role not found in database.");
@@ -156,7 +158,7 @@ router.post('/register', async (req, res) => {
     } catch (error) {
         // If any error occurs, rollback the entire transaction
         await connection.rollback();
-        console.error('Enrollment Error:', error);
+        logger.error('Enrollment Error:', error);
         res.status(500).json({ success: false, message: 'An error occurred during enrollment. Please try again.' });
     } finally {
         // Always release the connection back to the pool
@@ -167,36 +169,41 @@ router.post('/register', async (req, res) => {
 // @route   GET /api/enrollment/students
 // @desc    Get all newly enrolled students
 // @access  Admin, SuperAdmin
-router.get('/students', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/students', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listStudents)], async (req, res) => {
     try {
-        let query = `
-            SELECT 
-                ns.id, ns.student_id, ns.first_name, ns.last_name, ns.dob, c.name as class_applying,
-                ns.payment_status, b.school_name as branch_name, p.name as parent_name, p.phone as parent_phone
-            FROM new_students ns
-            JOIN branches b ON ns.branch_id = b.id
-            JOIN parents p ON ns.parent_id = p.id
-            JOIN classes c ON ns.class_id = c.id
-        `;
-        const queryParams = [];
+        const where = [];
+        const params = [];
 
         if (req.user.roles.includes('Admin')) {
             const [adminStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
             if (adminStaff.length > 0) {
-                query += ' WHERE ns.branch_id = ?';
-                queryParams.push(adminStaff[0].branch_id);
+                where.push('ns.branch_id = ?');
+                params.push(adminStaff[0].branch_id);
             } else {
-                return res.json({ success: true, data: [] }); // Admin not linked to a branch
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) }); // Admin not linked to a branch
             }
         }
 
-        query += ' ORDER BY ns.created_at DESC';
-
-        const [students] = await pool.query(query, queryParams);
-        res.json({ success: true, data: students });
+        const { rows: students, pagination } = await listPage(req, {
+            select: `
+                ns.id, ns.student_id, ns.first_name, ns.last_name, ns.dob, c.name as class_applying,
+                ns.payment_status, b.school_name as branch_name, p.name as parent_name, p.phone as parent_phone`,
+            from: `new_students ns
+            JOIN branches b ON ns.branch_id = b.id
+            JOIN parents p ON ns.parent_id = p.id
+            JOIN classes c ON ns.class_id = c.id`,
+            where,
+            params,
+            filters: { branch_id: 'ns.branch_id', class_id: 'ns.class_id', payment_status: 'ns.payment_status' },
+            search: ['ns.first_name', 'ns.last_name', 'ns.student_id', 'p.name'],
+            sortable: { created_at: 'ns.created_at', first_name: 'ns.first_name', last_name: 'ns.last_name' },
+            defaultSort: '-created_at',
+            key: 'ns.id',
+        });
+        res.json({ success: true, data: students, pagination });
 
     } catch (error) {
-        console.error('Error fetching new students:', error);
+        logger.error('Error fetching new students:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching new students.' });
     }
 });
@@ -205,7 +212,7 @@ router.get('/students', [auth, authorize(['Admin', 'SuperAdmin'])], async (req,
 // @route   POST /api/enrollment/students/:id/reset-password
 // @desc    Reset a new student's password
 // @access  Admin, SuperAdmin
-router.post('/students/:id/reset-password', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/students/:id/reset-password', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.resetPassword)], async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
 
@@ -237,7 +244,7 @@ router.post('/students/:id/reset-password', [auth, authorize(['Admin', 'SuperAdm
         const newPassword = generatePassword();
         const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-        await connection.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+        await connection.query('UPDATE users SET password = ?, must_change_password = TRUE WHERE id = ?', [hashedPassword, userId]);
 
         await connection.commit();
 
@@ -252,7 +259,7 @@ router.post('/students/:id/reset-password', [auth, authorize(['Admin', 'SuperAdm
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error resetting password:', error);
+        logger.error('Error resetting password:', error);
         res.status(500).json({ success: false, message: 'Server error while resetting password.' });
     } finally {
         connection.release();
@@ -263,7 +270,7 @@ router.post('/students/:id/reset-password', [auth, authorize(['Admin', 'SuperAdm
 // @route   DELETE /api/enrollment/students/:id
 // @desc    Delete a new student record
 // @access  Admin, SuperAdmin
-router.delete('/students/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/students/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteStudent)], async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
 
@@ -302,7 +309,7 @@ router.delete('/students/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error deleting student:', error);
+        logger.error('Error deleting student:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting student record.' });
     } finally {
         connection.release();
@@ -313,7 +320,7 @@ router.delete('/students/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async
 // @route   PUT /api/enrollment/students/:id
 // @desc    Update a new student's details
 // @access  Admin, SuperAdmin
-router.put('/students/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/students/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateStudent)], async (req, res) => {
     const { id } = req.params;
     const {
         first_name, last_name, dob, passport, address, nationality,
@@ -389,7 +396,7 @@ router.put('/students/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (r
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error updating new student:', error);
+        logger.error('Error updating new student:', error);
         res.status(500).json({ success: false, message: 'Server error while updating student record.' });
     } finally {
         connection.release();
@@ -415,7 +422,7 @@ router.get('/fees/my-branch', [auth, authorize(['Admin'])], async (req, res) =>
         }
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get enrollment fee for admin branch error:', error);
+        logger.error('Get enrollment fee for admin branch error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching enrollment fee.' });
     }
 });
@@ -432,7 +439,7 @@ router.get('/fees', [auth, authorize(['SuperAdmin'])], async (req, res) => {
         `);
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get all enrollment fees error:', error);
+        logger.error('Get all enrollment fees error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching enrollment fees.' });
     }
 });
@@ -440,7 +447,7 @@ router.get('/fees', [auth, authorize(['SuperAdmin'])], async (req, res) => {
 // @route   GET /api/enrollment/fees/:branch_id
 // @desc    Get the enrollment fee for a specific branch
 // @access  Public
-router.get('/fees/:branch_id', async (req, res) => {
+router.get('/fees/:branch_id', rateLimit('public'), validate(schemas.getFeesForBranch), async (req, res) => {
     const { branch_id } = req.params;
     try {
        const [fees] = await pool.query('SELECT id, branch_id, program_type, amount FROM enrollment_fees WHERE branch_id = ?', [branch_id]);
@@ -449,7 +456,7 @@ router.get('/fees/:branch_id', async (req, res) => {
         }
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get enrollment fee error:', error);
+        logger.error('Get enrollment fee error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching enrollment fee.' });
     }
 });
@@ -457,30 +464,12 @@ router.get('/fees/:branch_id', async (req, res) => {
 // @route   POST /api/enrollment/fees
 // @desc    Create or update enrollment fee for a branch + program type combination
 // @access  Admin (own branch), SuperAdmin (any branch)
-router.post('/fees', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    let { branch_id, amount, program_type } = req.body;
-
-    // --- Validate required fields ---
-    if (!branch_id || amount === undefined || amount === null) {
-        return res.status(400).json({
-            success: false,
-            message: 'Branch ID and amount are required.'
-        });
-    }
-
+router.post('/fees', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.setFee)], async (req, res) => {
+    const { branch_id, amount: numericAmount } = req.body;
     // Convert empty string program_type to NULL (consistent DB storage)
-    if (program_type === '') program_type = null;
+    const program_type = req.body.program_type || null;
 
-
-    console.log('Set enrollment fee request:', { branch_id, amount, program_type, user: req.user.id });
-    // Validate amount: must be a non-negative number (or positive, depending on business rule)
-    const numericAmount = Number(amount);
-    if (isNaN(numericAmount) || numericAmount < 0) {
-        return res.status(400).json({
-            success: false,
-            message: 'Amount must be a valid non-negative number.'
-        });
-    }
+    logger.debug('Set enrollment fee request:', { branch_id, amount: numericAmount, program_type, user: req.user.id });
 
     try {
         // --- Authorization for Admin (must belong to the target branch) ---
@@ -515,7 +504,6 @@ router.post('/fees', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
             ON DUPLICATE KEY UPDATE amount = ?
         `;
 
-        console.log('Executing query:', insertQuery, [branch_id, program_type, numericAmount, numericAmount]);
         const [result] = await pool.query(insertQuery, [
             branch_id,
             program_type,
@@ -523,8 +511,6 @@ router.post('/fees', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
             numericAmount
         ]);
 
-        console.log('Query result:', result);
-
         // --- Determine if a new row was created or an existing one was updated ---
         const isNew = result.affectedRows === 1 && result.insertId;   // INSERT happened
         const statusCode = isNew ? 201 : 200;
@@ -546,7 +532,7 @@ router.post('/fees', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
         });
 
     } catch (error) {
-        console.error('Set enrollment fee error:', error);
+        logger.error('Set enrollment fee error:', error);
         // Handle unexpected duplicate errors gracefully (though ON DUPLICATE KEY prevents them)
         if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({
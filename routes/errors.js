@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/errors');
+const errorSink = require('../services/errorSink');
+
+// @route   GET /api/errors
+// @desc    Server errors recorded by this instance, grouped by fingerprint, most recently seen first
+// @access  SuperAdmin
+router.get('/', [auth, authorize(['SuperAdmin'])], (req, res) => {
+    res.json({ success: true, data: errorSink.list() });
+});
+
+// @route   GET /api/errors/:id
+// @desc    One error group with its stack trace and latest occurrences (request ids to look up in the logs)
+// @access  SuperAdmin
+router.get('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.getErrorGroup)], (req, res) => {
+    const group = errorSink.get(req.params.id);
+    if (!group) {
+        return res.status(404).json({ success: false, message: 'Error group not found' });
+    }
+    res.json({ success: true, data: group });
+});
+
+// @route   DELETE /api/errors
+// @desc    Forget every recorded error group, e.g. after a fix is deployed
+// @access  SuperAdmin
+router.delete('/', [auth, authorize(['SuperAdmin'])], (req, res) => {
+    errorSink.clear();
+    res.json({ success: true, message: 'Error groups cleared' });
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { pool } = require('../database');const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/event');
+const logger = require('../services/logger');
 
 // Get all events
 router.get('/events', auth, async (req, res) => {
@@ -60,19 +63,15 @@ router.get('/events', auth, async (req, res) => {
         const [rows] = await pool.query(query, queryParams);
         res.json(rows);
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // Create a new event
-router.post('/events', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.post('/events', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.createEvent), async (req, res) => {
     const { name, description, branch_id, event_type, event_date } = req.body;
 
-    if (!name || !description || !branch_id || !event_type || !event_date) {
-        return res.status(400).json({ message: 'Please enter all fields' });
-    }
-
     try {
         if (req.user.roles.includes('Admin')) {
             const [adminStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
@@ -93,13 +92,13 @@ router.post('/events', auth, authorize(['SuperAdmin', 'Admin']), async (req, res
         await pool.query('INSERT INTO events SET ?', newEvent);
         res.status(201).json({ message: 'Event created', event: newEvent });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // Update an existing event
-router.put('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.put('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.updateEvent), async (req, res) => {
     const { eventId } = req.params;
     const { name, description, branch_id, event_type, event_date } = req.body;
 
@@ -140,13 +139,13 @@ router.put('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), async (
 
         res.json({ message: 'Event updated' });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // Delete an event
-router.delete('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.delete('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.deleteEvent), async (req, res) => {
     const { eventId } = req.params;
 
     try {
@@ -168,7 +167,7 @@ router.delete('/events/:eventId', auth, authorize(['SuperAdmin', 'Admin']), asyn
 
         res.json({ message: 'Event deleted' });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ message: 'Server error' });
     }
 });
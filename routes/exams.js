@@ -4,12 +4,35 @@ const { pool } = require("../database");
 const { v4: uuidv4 } = require("uuid");
 const auth = require("../middleware/auth");
 const authorize = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const rateLimit = require("../middleware/rateLimit");
+const schemas = require("../schemas/exams");
 const examAssignmentService = require("../services/examAssignmentService");
+const { recordAudit } = require("../services/auditService");
+const { listPage, emptyPagination } = require("../services/listService");
+const logger = require("../services/logger");
+const { ordinal, positionOf } = require("../services/resultsService");
+const { getAssessmentStructure, scoreFromPercentage } = require("../services/assessmentService");
+const { getSheetStatus } = require("../services/moderationService");
+
+// CBT scores are percentages; student_results keeps each assessment out of its max_score in the
+// class's assessment structure
+async function cbtScoreConverter(connection, classId, branchId, termId, assessmentType) {
+  const [classRows] = await connection.query("SELECT school_type FROM classes WHERE id = ?", [classId]);
+  const schoolType = classRows.length > 0 ? classRows[0].school_type : null;
+  const structure = await getAssessmentStructure(branchId, schoolType, termId);
+  return (percentage) => scoreFromPercentage(structure, assessmentType, percentage);
+}
 
-function getOrdinal(n) {
-  const s = ["th", "st", "nd", "rd"];
-  const v = n % 100;
-  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+// CBT scores are only copied into a subject's results while they are a Draft: once submitted, the
+// subject teacher can't change them (services/moderationService.js), so neither can their exams
+async function resultsLocked(connection, classId, subjectId, termId) {
+  const status = await getSheetStatus({ classId, subjectId, termId }, connection, { lock: true });
+  if (status !== "Draft") {
+    logger.warn(`Not syncing CBT scores for subject ${subjectId}, class ${classId}: its results are ${status}`);
+    return true;
+  }
+  return false;
 }
 
 // Helper function to sync edited scores to student_results
@@ -45,7 +68,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
   );
   
   if (examResultFromTable.length === 0) {
-    console.error("Exam not found for sync:", exam_id);
+    logger.error("Exam not found for sync:", exam_id);
     return;
   }
   const exam = examResultFromTable[0];
@@ -59,7 +82,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
   const termId = terms.length > 0 ? terms[0].id : null;
 
   if (!termId) {
-    console.error("No active term found for branch:", branch_id || exam.branch_id);
+    logger.error("No active term found for branch:", branch_id || exam.branch_id);
     return;
   }
 
@@ -87,6 +110,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
 
   const subjectIds = Object.keys(questionsBySubject);
   const totalQuestions = allQuestions.length;
+  const toScore = await cbtScoreConverter(connection, studentClassId, exam.branch_id, termId, exam.assessment_type);
 
 
   // For single-subject exams, use the edited score directly
@@ -94,7 +118,8 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
   if (subjectIds.length === 1) {
     // Single subject - use the edited score directly
     const subjectId = subjectIds[0];
-    
+    if (await resultsLocked(connection, studentClassId, subjectId, termId)) return;
+
     const [subject] = await connection.query(
       "SELECT teacher_id FROM class_subjects WHERE id = ?",
       [subjectId]
@@ -122,14 +147,14 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
           subjectId,
           termId,
           exam.assessment_type,
-          score, // Use the edited score directly!
+          toScore(score), // Use the edited score directly!
           teacherId,
           exam.branch_id,
           exam_id,
         ]
       );
     } catch (err) {
-      console.error("Error during upsert:", err);
+      logger.error("Error during upsert:", err);
     }
   } else {
     // Multi-subject exam - calculate proportional scores based on the edited total
@@ -189,6 +214,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
       let scaledScore = originalSubjectPercentage * scalingFactor;
       // Cap at 100%
       scaledScore = Math.min(scaledScore, 100);
+      if (await resultsLocked(connection, studentClassId, subjectId, termId)) continue;
 
       const [subject] = await connection.query(
         "SELECT teacher_id FROM class_subjects WHERE id = ?",
@@ -217,7 +243,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
             subjectId,
             termId,
             exam.assessment_type,
-            scaledScore,
+            toScore(scaledScore),
             teacherId,
             exam.branch_id,
             exam_id,
@@ -225,7 +251,7 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
         );
       
       } catch (err) {
-        console.error("Error during upsert:", err);
+        logger.error("Error during upsert:", err);
       }
     }
   }
@@ -238,31 +264,31 @@ async function syncEditedScoreToStudentResults(connection, examResultData) {
 async function syncToStudentResults(connection, examResult) {
   const { exam_id, student_id, answers } = examResult;
   
-  console.log(`[SYNC] Starting sync for exam_result - exam_id: ${exam_id}, student_id: ${student_id}`);
+  logger.debug(`[SYNC] Starting sync for exam_result - exam_id: ${exam_id}, student_id: ${student_id}`);
   
   // Parse the answers to calculate subject-wise scores
   let answersArray;
   try {
     answersArray = JSON.parse(answers);
-    console.log(`[SYNC] Parsed ${answersArray.length} answers from exam result`);
+    logger.debug(`[SYNC] Parsed ${answersArray.length} answers from exam result`);
   } catch (e) {
-    console.error("[SYNC] Error parsing answers:", e);
+    logger.error("[SYNC] Error parsing answers:", e);
     return;
   }
 
   // Get exam details
-  console.log(`[SYNC] Fetching exam details for exam_id: ${exam_id}`);
+  logger.debug(`[SYNC] Fetching exam details for exam_id: ${exam_id}`);
   const [examResultFromTable] = await connection.query(
     "SELECT * FROM exams WHERE id = ?",
     [exam_id]
   );
   
   if (examResultFromTable.length === 0) {
-    console.error("[SYNC] Exam not found for sync:", exam_id);
+    logger.error("[SYNC] Exam not found for sync:", exam_id);
     return;
   }
   const exam = examResultFromTable[0];
-  console.log(`[SYNC] Exam found - type: ${exam.assessment_type}, branch_id: ${exam.branch_id}, class_id: ${exam.class_id}`);
+  logger.debug(`[SYNC] Exam found - type: ${exam.assessment_type}, branch_id: ${exam.branch_id}, class_id: ${exam.class_id}`);
 
   // Get all questions for the exam to calculate subject breakdown
   const [allQuestions] = await connection.query(
@@ -272,10 +298,10 @@ async function syncToStudentResults(connection, examResult) {
     [exam_id]
   );
   
-  console.log(`[SYNC] Found ${allQuestions.length} questions for exam`);
+  logger.debug(`[SYNC] Found ${allQuestions.length} questions for exam`);
 
   if (allQuestions.length === 0) {
-    console.warn("[SYNC] No questions found for exam, skipping sync");
+    logger.warn("[SYNC] No questions found for exam, skipping sync");
     return;
   }
 
@@ -296,7 +322,7 @@ async function syncToStudentResults(connection, examResult) {
     }
     questionsBySubject[q.class_subject_id]++;
   }
-  console.log(`[SYNC] Questions by subject:`, questionsBySubject);
+  logger.debug(`[SYNC] Questions by subject:`, questionsBySubject);
 
   // Calculate scores per subject
   for (const answer of answersArray) {
@@ -313,13 +339,13 @@ async function syncToStudentResults(connection, examResult) {
       }
     }
   }
-  console.log(`[SYNC] Scores by subject:`, scoresBySubject);
+  logger.debug(`[SYNC] Scores by subject:`, scoresBySubject);
 
   // Get student and term details
   // student_id in exam_results can be either:
   // - internal student.id (for existing students)
   // - user_id (for new_students)
-  console.log(`[SYNC] Looking up student. Trying student_id: ${student_id}`);
+  logger.debug(`[SYNC] Looking up student. Trying student_id: ${student_id}`);
   
   let studentId;
   let class_id;
@@ -333,7 +359,7 @@ async function syncToStudentResults(connection, examResult) {
   if (studentById.length > 0) {
     studentId = studentById[0].id;
     class_id = studentById[0].class_id;
-    console.log(`[SYNC] Student found by internal id: studentId=${studentId}, class_id=${class_id}`);
+    logger.debug(`[SYNC] Student found by internal id: studentId=${studentId}, class_id=${class_id}`);
   } else {
     // Try finding by user_id
     const [studentByUserId] = await connection.query(
@@ -344,9 +370,9 @@ async function syncToStudentResults(connection, examResult) {
     if (studentByUserId.length > 0) {
       studentId = studentByUserId[0].id;
       class_id = studentByUserId[0].class_id;
-      console.log(`[SYNC] Student found by user_id: studentId=${studentId}, class_id=${class_id}`);
+      logger.debug(`[SYNC] Student found by user_id: studentId=${studentId}, class_id=${class_id}`);
     } else {
-      console.error(`[SYNC] Student not found for student_id: ${student_id}`);
+      logger.error(`[SYNC] Student not found for student_id: ${student_id}`);
       return;
     }
   }
@@ -357,12 +383,14 @@ async function syncToStudentResults(connection, examResult) {
   );
   
   if (terms.length === 0) {
-    console.error(`[SYNC] No active term found for branch: ${exam.branch_id}`);
+    logger.error(`[SYNC] No active term found for branch: ${exam.branch_id}`);
     return;
   }
   
   const termId = terms[0].id;
-  console.log(`[SYNC] Active term found - term_id: ${termId}`);
+  logger.debug(`[SYNC] Active term found - term_id: ${termId}`);
+
+  const toScore = await cbtScoreConverter(connection, class_id, exam.branch_id, termId, exam.assessment_type);
 
   // Update or insert records for each subject using UPSERT pattern
   let syncedCount = 0;
@@ -370,6 +398,7 @@ async function syncToStudentResults(connection, examResult) {
     const subjectTotal = questionsBySubject[subjectId];
     const subjectScore = scoresBySubject[subjectId]?.score || 0;
     const percentageScore = subjectTotal > 0 ? (subjectScore / subjectTotal) * 100 : 0;
+    if (await resultsLocked(connection, class_id, subjectId, termId)) continue;
 
     const [subject] = await connection.query(
       "SELECT teacher_id FROM class_subjects WHERE id = ?",
@@ -397,16 +426,16 @@ async function syncToStudentResults(connection, examResult) {
         subjectId,
         termId,
         exam.assessment_type,
-        percentageScore,
+        toScore(percentageScore),
         teacherId,
         exam.branch_id,
         exam_id,
       ]
     );
     syncedCount++;
-    console.log(`[SYNC] Upserted result for student_id: ${studentId}, subject_id: ${subjectId}, score: ${percentageScore.toFixed(2)}%`);
+    logger.debug(`[SYNC] Upserted result for student_id: ${studentId}, subject_id: ${subjectId}, score: ${percentageScore.toFixed(2)}%`);
   }
-  console.log(`[SYNC] Completed syncing ${syncedCount} subject results for student_id: ${studentId}, exam_id: ${exam_id}`);
+  logger.debug(`[SYNC] Completed syncing ${syncedCount} subject results for student_id: ${studentId}, exam_id: ${exam_id}`);
 }
 
 
@@ -414,7 +443,7 @@ async function syncToStudentResults(connection, examResult) {
 async function removeFromStudentResults(connection, examResult) {
   const { exam_id, student_id } = examResult;
   
-  console.log(`[REMOVE] Removing student results for exam_id: ${exam_id}, student_id: ${student_id}`);
+  logger.debug(`[REMOVE] Removing student results for exam_id: ${exam_id}, student_id: ${student_id}`);
   
   // Try to find the internal student.id first, then by user_id
   const [studentById] = await connection.query(
@@ -425,7 +454,7 @@ async function removeFromStudentResults(connection, examResult) {
   let studentDbId;
   if (studentById.length > 0) {
     studentDbId = studentById[0].id;
-    console.log(`[REMOVE] Student found by internal id: ${studentDbId}`);
+    logger.debug(`[REMOVE] Student found by internal id: ${studentDbId}`);
   } else {
     const [studentByUserId] = await connection.query(
       "SELECT id FROM students WHERE user_id = ?",
@@ -434,20 +463,24 @@ async function removeFromStudentResults(connection, examResult) {
     
     if (studentByUserId.length > 0) {
       studentDbId = studentByUserId[0].id;
-      console.log(`[REMOVE] Student found by user_id: ${studentDbId}`);
+      logger.debug(`[REMOVE] Student found by user_id: ${studentDbId}`);
     } else {
-      console.error(`[REMOVE] Student not found for student_id: ${student_id}`);
+      logger.error(`[REMOVE] Student not found for student_id: ${student_id}`);
       return;
     }
   }
 
-  // Remove all student_results entries linked to this exam for this student
+  // Remove all student_results entries linked to this exam for this student, except in subjects
+  // whose results have left Draft
   const [deleteResult] = await connection.query(
-    "DELETE FROM student_results WHERE student_id = ? AND exam_id = ?",
+    `DELETE FROM student_results WHERE student_id = ? AND exam_id = ?
+       AND NOT EXISTS (SELECT 1 FROM result_moderation m
+                       WHERE m.class_id = student_results.class_id AND m.subject_id = student_results.subject_id
+                         AND m.term_id = student_results.term_id AND m.status <> 'Draft')`,
     [studentDbId, exam_id]
   );
   
-  console.log(`[REMOVE] Deleted ${deleteResult.affectedRows || 0} rows from student_results for student_db_id: ${studentDbId}, exam_id: ${exam_id}`);
+  logger.debug(`[REMOVE] Deleted ${deleteResult.affectedRows || 0} rows from student_results for student_db_id: ${studentDbId}, exam_id: ${exam_id}`);
 }
 
 
@@ -459,7 +492,7 @@ async function removeFromStudentResults(connection, examResult) {
 // @access  Admin, SuperAdmin
 router.post(
   "/store",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.createExam)],
   async (req, res) => {
     const {
       examType,
@@ -473,25 +506,6 @@ router.post(
       subjects, // Array of { class_subject_id, questions: [...] }
     } = req.body;
 
-    // 1. Basic Validation
-    if (
-      !examType ||
-      !subjectType ||
-      !title ||
-      !class_id ||
-      !dateTime ||
-      !duration_minutes ||
-      !subjects ||
-      !Array.isArray(subjects) ||
-      subjects.length === 0
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Please provide all required fields, including at least one subject with questions.",
-      });
-    }
-
     // Validate assessment type only for Internal exams
     if (examType === "Internal" && !assessment_type) {
       return res.status(400).json({
@@ -512,20 +526,6 @@ router.post(
       }
     }
 
-    // Ensure every subject has questions
-    for (const subject of subjects) {
-      if (
-        !subject.questions ||
-        !Array.isArray(subject.questions) ||
-        subject.questions.length === 0
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: `Each subject must contain a non-empty 'questions' array.`,
-        });
-      }
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -693,7 +693,7 @@ router.post(
       }
 
       await connection.commit();
-      console.log(`Exam created successfully for class ${class_id}`);
+      logger.debug(`Exam created successfully for class ${class_id}`);
       res.status(201).json({
         success: true,
         message: "Exam created successfully.",
@@ -701,7 +701,7 @@ router.post(
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error creating exam:", err);
+      logger.error("Error creating exam:", err);
       res
         .status(500)
         .json({ success: false, message: "Server error while creating exam." });
@@ -716,11 +716,27 @@ router.post(
 // @access  Admin, SuperAdmin
 router.get(
   "/",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.listExams)],
   async (req, res) => {
     try {
-      let query = `
-            SELECT 
+      const where = [];
+      const params = [];
+
+      if (req.user.roles.includes("Admin")) {
+        const [adminStaff] = await pool.query(
+          "SELECT branch_id FROM staff WHERE user_id = ?",
+          [req.user.id]
+        );
+        if (adminStaff.length > 0) {
+          where.push("e.branch_id = ?");
+          params.push(adminStaff[0].branch_id);
+        } else {
+          return res.json({ success: true, data: [], pagination: emptyPagination(req) });
+        }
+      }
+
+      const { rows: exams, pagination } = await listPage(req, {
+        select: `
                 e.id,
                 e.title as exam_title,
                 e.exam_type,
@@ -734,34 +750,29 @@ router.get(
                 DATE_FORMAT(e.exam_date_time, '%Y-%m-%d %H:%i') as exam_date_time,
                 DATE_FORMAT(e.exam_end_datetime, '%Y-%m-%d %H:%i') as exam_end_datetime,
                 b.school_name as branch,
-                e.duration_minutes as exam_duration
-            FROM exams e
+                e.duration_minutes as exam_duration`,
+        from: `exams e
             JOIN classes c ON e.class_id = c.id
             JOIN branches b ON e.branch_id = b.id
-            LEFT JOIN class_subjects cs ON e.class_subject_id = cs.id
-        `;
-      const queryParams = [];
-
-      if (req.user.roles.includes("Admin")) {
-        const [adminStaff] = await pool.query(
-          "SELECT branch_id FROM staff WHERE user_id = ?",
-          [req.user.id]
-        );
-        if (adminStaff.length > 0) {
-          query += " WHERE e.branch_id = ?";
-          queryParams.push(adminStaff[0].branch_id);
-        } else {
-          return res.json({ success: true, data: [] });
-        }
-      }
-
-      query += " ORDER BY e.exam_date_time DESC";
-
-      const [exams] = await pool.query(query, queryParams);
-      console.log("Exams fetched successfully.");
-      res.json({ success: true, data: exams });
+            LEFT JOIN class_subjects cs ON e.class_subject_id = cs.id`,
+        where,
+        params,
+        filters: {
+          branch_id: "e.branch_id",
+          class_id: "e.class_id",
+          exam_type: "e.exam_type",
+          assessment_type: "e.assessment_type",
+          from: { column: "e.exam_date_time", op: ">=" },
+          to: { column: "e.exam_date_time", op: "<=" },
+        },
+        search: ["e.title"],
+        sortable: { exam_date_time: "e.exam_date_time", title: "e.title", created_at: "e.created_at" },
+        defaultSort: "-exam_date_time",
+        key: "e.id",
+      });
+      res.json({ success: true, data: exams, pagination });
     } catch (err) {
-      console.error("Error fetching exams:", err);
+      logger.error("Error fetching exams:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching exams.",
@@ -775,19 +786,11 @@ router.get(
 // @access  Admin, SuperAdmin
 router.put(
   "/:examId",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.updateExam)],
   async (req, res) => {
     const { examId } = req.params;
     const { title, examType, dateTime, duration_minutes, exam_end_datetime } = req.body;
 
-    // Basic validation
-    if (!title || !examType || !dateTime || !duration_minutes) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide all required fields for update.",
-      });
-    }
-
     // Validate exam_end_datetime if provided
     if (exam_end_datetime) {
       const startTime = new Date(dateTime);
@@ -882,10 +885,10 @@ router.put(
         message: "Exam updated successfully.",
         data: updatedExam,
       });
-      console.log("Exam updated successfully.");
+      logger.debug("Exam updated successfully.");
     } catch (err) {
       await connection.rollback();
-      console.error("Error updating exam:", err);
+      logger.error("Error updating exam:", err);
       res
         .status(500)
         .json({ success: false, message: "Server error while updating exam." });
@@ -900,7 +903,7 @@ router.put(
 // @access  Admin, SuperAdmin
 router.delete(
   "/:examId",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.deleteExam)],
   async (req, res) => {
     const { examId } = req.params;
 
@@ -933,9 +936,9 @@ router.delete(
 
       await pool.query("DELETE FROM exams WHERE id = ?", [examId]);
       res.json({ success: true, message: "Exam deleted successfully." });
-      console.log("Exam deleted successfully.");
+      logger.debug("Exam deleted successfully.");
     } catch (err) {
-      console.error("Error deleting exam:", err);
+      logger.error("Error deleting exam:", err);
       res
         .status(500)
         .json({ success: false, message: "Server error while deleting exam." });
@@ -995,7 +998,7 @@ router.get("/class", [auth, authorize(["Teacher"])], async (req, res) => {
 
     res.json({ success: true, data: exams });
   } catch (error) {
-    console.error("Error fetching exams for teacher's class:", error);
+    logger.error("Error fetching exams for teacher's class:", error);
     res
       .status(500)
       .json({ success: false, message: "Server error while fetching exams." });
@@ -1005,7 +1008,7 @@ router.get("/class", [auth, authorize(["Teacher"])], async (req, res) => {
 // @route   GET /api/exams/upcoming
 // @desc    Get all upcoming exams' details publicly
 // @access  Public
-router.get("/upcoming", async (req, res) => {
+router.get("/upcoming", rateLimit("public"), async (req, res) => {
   try {
     const query = `
             SELECT
@@ -1033,7 +1036,7 @@ router.get("/upcoming", async (req, res) => {
 
     res.json({ success: true, data: upcomingExams });
   } catch (err) {
-    console.error("Error fetching upcoming exams:", err);
+    logger.error("Error fetching upcoming exams:", err);
     res.status(500).json({
       success: false,
       message: "Server error while fetching upcoming exams.",
@@ -1199,9 +1202,9 @@ router.get(
         } catch (directExamError) {
           // Table might not exist yet - log and continue with class-based exams only
           if (directExamError.code === 'ER_NO_SUCH_TABLE') {
-            console.log('Note: student_exam_assignments table not yet created. Returning class-based exams only.');
+            logger.debug('Note: student_exam_assignments table not yet created. Returning class-based exams only.');
           } else {
-            console.error('Error fetching direct assignments:', directExamError.message);
+            logger.error('Error fetching direct assignments:', directExamError.message);
           }
         }
       }
@@ -1223,7 +1226,7 @@ router.get(
 
       res.json({ success: true, data: upcomingExams });
     } catch (err) {
-      console.error("Error fetching exams:", err);
+      logger.error("Error fetching exams:", err);
       res.status(500).json({ success: false, message: "Server error." });
     } finally {
       connection.release();
@@ -1248,45 +1251,45 @@ router.get(
       const { roles } = req.user;
       const userId = req.user.id;
 
-      console.log(`[Current Exam] Fetching current exam for user_id: ${userId} with roles: ${roles}`);
+      logger.debug(`[Current Exam] Fetching current exam for user_id: ${userId} with roles: ${roles}`);
 
-      console.log(`[Current Exam] Student ID: ${userId}, Roles: ${roles}`);
+      logger.debug(`[Current Exam] Student ID: ${userId}, Roles: ${roles}`);
 
       if (roles.includes("NewStudent")) {
-        console.log(`[Current Exam] Checking NewStudent with user_id: ${userId}`);
+        logger.debug(`[Current Exam] Checking NewStudent with user_id: ${userId}`);
         const [newStudent] = await connection.query(
           "SELECT class_id, branch_id FROM new_students WHERE student_id = (SELECT email FROM users WHERE id = ?)",
           [userId]
         );
-        console.log(`[Current Exam] NewStudent query result:`, newStudent);
+        logger.debug(`[Current Exam] NewStudent query result:`, newStudent);
         if (newStudent.length) {
           studentClassId = newStudent[0].class_id;
           branchId = newStudent[0].branch_id;
           examTypeFilter = "External";
           dbStudentId = userId;
-          console.log(`[Current Exam] NewStudent found - class_id: ${studentClassId}, branch_id: ${branchId}, dbStudentId: ${dbStudentId}`);
+          logger.debug(`[Current Exam] NewStudent found - class_id: ${studentClassId}, branch_id: ${branchId}, dbStudentId: ${dbStudentId}`);
         } else {
-          console.log(`[Current Exam] No NewStudent record found for user_id: ${userId}`);
+          logger.debug(`[Current Exam] No NewStudent record found for user_id: ${userId}`);
         }
       } else if (roles.includes("Student")) {
-        console.log(`[Current Exam] Checking Student with user_id: ${userId}`);
+        logger.debug(`[Current Exam] Checking Student with user_id: ${userId}`);
         const [existingStudent] = await connection.query(
           "SELECT id, class_id FROM students WHERE user_id = ?",
           [userId]
         );
-        console.log(`[Current Exam] Student query result:`, existingStudent);
+        logger.debug(`[Current Exam] Student query result:`, existingStudent);
         if (existingStudent.length) {
           studentClassId = existingStudent[0].class_id;
           examTypeFilter = "Internal";
           dbStudentId = existingStudent[0].id;
-          console.log(`[Current Exam] Student found - id: ${dbStudentId}, class_id: ${studentClassId}`);
+          logger.debug(`[Current Exam] Student found - id: ${dbStudentId}, class_id: ${studentClassId}`);
         } else {
-          console.log(`[Current Exam] No Student record found for user_id: ${userId}`);
+          logger.debug(`[Current Exam] No Student record found for user_id: ${userId}`);
         }
       }
 
       if (!dbStudentId) {
-        console.log(`[Current Exam] Missing student ID - dbStudentId: ${dbStudentId}`);
+        logger.debug(`[Current Exam] Missing student ID - dbStudentId: ${dbStudentId}`);
         return res.status(404).json({ success: false, message: "Student not found." });
       }
 
@@ -1294,8 +1297,8 @@ router.get(
         ? "COALESCE(exam_end_datetime, exam_date_time + INTERVAL 1 DAY)"
         : "COALESCE(exam_end_datetime, exam_date_time + INTERVAL duration_minutes MINUTE)";
 
-      console.log(`[Current Exam] Looking for exam - class_id: ${studentClassId}, exam_type: ${examTypeFilter}, dbStudentId: ${dbStudentId}`);
-      console.log(`[Current Exam] End window calculation: ${endWindow}`);
+      logger.debug(`[Current Exam] Looking for exam - class_id: ${studentClassId}, exam_type: ${examTypeFilter}, dbStudentId: ${dbStudentId}`);
+      logger.debug(`[Current Exam] End window calculation: ${endWindow}`);
 
       let exams = [];
 
@@ -1318,7 +1321,7 @@ router.get(
 
       // If no class-based exam found, check for directly assigned exams
       if (exams.length === 0) {
-        console.log(`[Current Exam] No class-based exam found, checking direct assignments for user_id: ${userId}`);
+        logger.debug(`[Current Exam] No class-based exam found, checking direct assignments for user_id: ${userId}`);
         const [directExams] = await connection.query(
           `SELECT e.id, e.title, e.duration_minutes, e.exam_date_time, e.exam_end_datetime, e.exam_type
            FROM student_exam_assignments sea
@@ -1336,7 +1339,7 @@ router.get(
 
       // For new students without a class_id, check branch-wide External exams
       if (exams.length === 0 && !studentClassId && branchId && examTypeFilter === "External") {
-        console.log(`[Current Exam] No direct assignments found, checking branch-wide External exams for branch_id: ${branchId}`);
+        logger.debug(`[Current Exam] No direct assignments found, checking branch-wide External exams for branch_id: ${branchId}`);
         const [branchExams] = await connection.query(
           `SELECT e.id, e.title, e.duration_minutes, e.exam_date_time, e.exam_end_datetime, e.exam_type
            FROM exams e
@@ -1352,27 +1355,27 @@ router.get(
         exams = branchExams;
       }
 
-      console.log(`[Current Exam] Exam query result:`, exams);
+      logger.debug(`[Current Exam] Exam query result:`, exams);
 
       if (exams.length === 0) {
-        console.log(`[Current Exam] No current exam available for class_id: ${studentClassId}, exam_type: ${examTypeFilter}`);
+        logger.debug(`[Current Exam] No current exam available for class_id: ${studentClassId}, exam_type: ${examTypeFilter}`);
         return res.status(404).json({ success: false, message: "No current exam available." });
       }
 
       const currentExam = exams[0];
       const examId = currentExam.id;
-      console.log(`[Current Exam] Found exam - id: ${examId}, title: ${currentExam.title}, duration: ${currentExam.duration_minutes} minutes`);
+      logger.debug(`[Current Exam] Found exam - id: ${examId}, title: ${currentExam.title}, duration: ${currentExam.duration_minutes} minutes`);
 
       // Check for existing exam results
-      console.log(`[Current Exam] Checking exam_results for exam_id: ${examId}, student_id: ${dbStudentId}`);
+      logger.debug(`[Current Exam] Checking exam_results for exam_id: ${examId}, student_id: ${dbStudentId}`);
       let [existingResult] = await connection.query(
         "SELECT id, started_at, submitted_at, answers FROM exam_results WHERE exam_id = ? AND student_id = ?",
         [examId, dbStudentId]
       );
 
-      console.log(`[Current Exam] Existing results count: ${existingResult.length}`);
+      logger.debug(`[Current Exam] Existing results count: ${existingResult.length}`);
       if (existingResult.length > 0) {
-        console.log(`[Current Exam] Existing result details:`, {
+        logger.debug(`[Current Exam] Existing result details:`, {
           id: existingResult[0].id,
           started_at: existingResult[0].started_at,
           submitted_at: existingResult[0].submitted_at,
@@ -1380,7 +1383,7 @@ router.get(
           answers_preview: existingResult[0].answers ? existingResult[0].answers.substring(0, 100) : null
         });
       } else {
-        console.log(`[Current Exam] No existing exam_results found for exam_id: ${examId}, student_id: ${dbStudentId}`);
+        logger.debug(`[Current Exam] No existing exam_results found for exam_id: ${examId}, student_id: ${dbStudentId}`);
       }
 
       let startedAt = null;
@@ -1391,8 +1394,8 @@ router.get(
       if (existingResult.length > 0) {
         // Check if exam is already submitted
         if (existingResult[0].submitted_at) {
-          console.log(`[Current Exam] ❌ Exam already submitted at: ${existingResult[0].submitted_at}`);
-          console.log(`[Current Exam] Student attempted to access submitted exam - exam_id: ${examId}, student_id: ${dbStudentId}`);
+          logger.debug(`[Current Exam] ❌ Exam already submitted at: ${existingResult[0].submitted_at}`);
+          logger.debug(`[Current Exam] Student attempted to access submitted exam - exam_id: ${examId}, student_id: ${dbStudentId}`);
           return res.status(403).json({ 
             success: false, 
             message: "Exam already submitted.",
@@ -1404,29 +1407,29 @@ router.get(
           });
         }
 
-        console.log(`[Current Exam] Exam not submitted, checking if started`);
+        logger.debug(`[Current Exam] Exam not submitted, checking if started`);
         startedAt = existingResult[0].started_at;
 
         if (startedAt) {
-          console.log(`[Current Exam] Exam started at: ${startedAt}`);
+          logger.debug(`[Current Exam] Exam started at: ${startedAt}`);
           const startTime = new Date(startedAt);
           const now = new Date();
           let timeSpent = Math.floor((now - startTime) / 60000);
           remainingTime = Math.max(0, currentExam.duration_minutes - timeSpent);
-          console.log(`[Current Exam] Time spent: ${timeSpent} minutes, Remaining time: ${remainingTime} minutes`);
+          logger.debug(`[Current Exam] Time spent: ${timeSpent} minutes, Remaining time: ${remainingTime} minutes`);
 
           if (currentExam.exam_end_datetime) {
             const examEnd = new Date(currentExam.exam_end_datetime);
             const hardDeadline = Math.floor((examEnd - now) / 60000);
             remainingTime = Math.min(remainingTime, Math.max(0, hardDeadline + GRACE_MINUTES));
-            console.log(`[Current Exam] Hard deadline check - exam_end: ${currentExam.exam_end_datetime}, hardDeadline: ${hardDeadline} minutes, Remaining after deadline: ${remainingTime} minutes`);
+            logger.debug(`[Current Exam] Hard deadline check - exam_end: ${currentExam.exam_end_datetime}, hardDeadline: ${hardDeadline} minutes, Remaining after deadline: ${remainingTime} minutes`);
           } else {
             remainingTime = Math.max(0, remainingTime + GRACE_MINUTES);
-            console.log(`[Current Exam] No exam_end_datetime, remaining time with grace: ${remainingTime} minutes`);
+            logger.debug(`[Current Exam] No exam_end_datetime, remaining time with grace: ${remainingTime} minutes`);
           }
 
           if (remainingTime <= 0) {
-            console.log(`[Current Exam] ❌ Exam time expired - remainingTime: ${remainingTime} minutes`);
+            logger.debug(`[Current Exam] ❌ Exam time expired - remainingTime: ${remainingTime} minutes`);
             return res.status(403).json({ success: false, message: "Your exam time has expired." });
           }
 
@@ -1434,26 +1437,26 @@ router.get(
             try {
               const answersArray = JSON.parse(existingResult[0].answers);
               answersArray.forEach(a => { savedAnswers[a.questionId] = a.selectedOptionIndex; });
-              console.log(`[Current Exam] Loaded ${answersArray.length} saved answers from previous session`);
+              logger.debug(`[Current Exam] Loaded ${answersArray.length} saved answers from previous session`);
             } catch (e) {
-              console.log(`[Current Exam] Error parsing saved answers:`, e);
+              logger.debug(`[Current Exam] Error parsing saved answers:`, e);
             }
           }
         } else {
-          console.log(`[Current Exam] Exam result exists but started_at is null - updating started_at`);
+          logger.debug(`[Current Exam] Exam result exists but started_at is null - updating started_at`);
           await connection.query("UPDATE exam_results SET started_at = NOW() WHERE id = ?", [existingResult[0].id]);
           startedAt = new Date();
-          console.log(`[Current Exam] started_at updated to: ${startedAt}`);
+          logger.debug(`[Current Exam] started_at updated to: ${startedAt}`);
         }
       } else {
         // No existing result - create one
-        console.log(`[Current Exam] No exam result found - creating new exam result`);
+        logger.debug(`[Current Exam] No exam result found - creating new exam result`);
         const [questionCount] = await connection.query(
           "SELECT COUNT(*) as total FROM questions WHERE exam_id = ?",
           [examId]
         );
         const totalQuestions = questionCount[0]?.total || 0;
-        console.log(`[Current Exam] Total questions for exam: ${totalQuestions}`);
+        logger.debug(`[Current Exam] Total questions for exam: ${totalQuestions}`);
         
         const resultId = uuidv4();
         await connection.query(
@@ -1461,11 +1464,11 @@ router.get(
           [resultId, examId, dbStudentId, totalQuestions]
         );
         startedAt = new Date();
-        console.log(`[Current Exam] New exam result created - id: ${resultId}, started_at: ${startedAt}`);
+        logger.debug(`[Current Exam] New exam result created - id: ${resultId}, started_at: ${startedAt}`);
       }
 
       // Fetch questions
-      console.log(`[Current Exam] Fetching questions for exam_id: ${examId}`);
+      logger.debug(`[Current Exam] Fetching questions for exam_id: ${examId}`);
       const [questionsFromDb] = await connection.query(
         `SELECT q.id, q.question_text as text, q.question_image_url, q.options,
                 q.class_subject_id, cs.name as subject_name
@@ -1476,7 +1479,7 @@ router.get(
         [examId]
       );
 
-      console.log(`[Current Exam] Found ${questionsFromDb.length} questions`);
+      logger.debug(`[Current Exam] Found ${questionsFromDb.length} questions`);
 
       const subjects = {};
       questionsFromDb.forEach((q) => {
@@ -1492,7 +1495,7 @@ router.get(
         });
       });
 
-      console.log(`[Current Exam] ✅ Successfully returning exam data with ${Object.keys(subjects).length} subjects`);
+      logger.debug(`[Current Exam] ✅ Successfully returning exam data with ${Object.keys(subjects).length} subjects`);
       
       res.json({
         success: true,
@@ -1508,7 +1511,7 @@ router.get(
         },
       });
     } catch (err) {
-      console.error("Error fetching current exam:", err);
+      logger.error("Error fetching current exam:", err);
       res.status(500).json({ success: false, message: "Server Error" });
     } finally {
       connection.release();
@@ -1521,15 +1524,11 @@ router.get(
 // @access  Student, NewStudent
 router.post(
   "/save-progress",
-  [auth, authorize(["Student", "NewStudent"])],
+  [auth, authorize(["Student", "NewStudent"]), validate(schemas.saveProgress)],
   async (req, res) => {
     const { examId, answers } = req.body;
     const userId = req.user.id;
 
-    if (!examId || !answers || !Array.isArray(answers)) {
-      return res.status(400).json({ success: false, message: "Missing examId or answers." });
-    }
-
     const connection = await pool.getConnection();
     try {
       let dbStudentId = userId;
@@ -1584,7 +1583,7 @@ router.post(
       res.json({ success: true, message: "Progress saved." });
     } catch (err) {
       await connection.rollback();
-      console.error("Error saving progress:", err);
+      logger.error("Error saving progress:", err);
       res.status(500).json({ success: false, message: "Server error while saving progress." });
     } finally {
       connection.release();
@@ -1688,9 +1687,9 @@ router.get(
           subjects,
         },
       });
-      console.log("Subjects for exam fetched successfully.");
+      logger.debug("Subjects for exam fetched successfully.");
     } catch (err) {
-      console.error(err);
+      logger.error(err);
       res.status(500).json({ success: false, message: "Server Error" });
     }
   }
@@ -1701,7 +1700,7 @@ router.get(
 // @access  Student, NewStudent
 router.get(
   "/:examId/subjects/:subjectId/questions",
-  [auth, authorize(["Student", "NewStudent"])],
+  [auth, authorize(["Student", "NewStudent"]), validate(schemas.listSubjectQuestions)],
   async (req, res) => {
     try {
       const { examId, subjectId } = req.params;
@@ -1757,9 +1756,9 @@ router.get(
       }));
 
       res.json({ success: true, data: questions });
-      console.log("Questions fetched successfully with shuffled options.");
+      logger.debug("Questions fetched successfully with shuffled options.");
     } catch (err) {
-      console.error(err);
+      logger.error(err);
       res.status(500).json({ success: false, message: "Server Error" });
     }
   }
@@ -1770,20 +1769,12 @@ router.get(
 // @access  Student, NewStudent
 router.post(
   "/answers",
-  [auth, authorize(["Student", "NewStudent"])],
+  [auth, authorize(["Student", "NewStudent"]), validate(schemas.submitAnswers)],
   async (req, res) => {
     const { examId, answers } = req.body; // answers: [{ questionId: string, selectedOptionIndex: number }]
     const { roles } = req.user;
     const userId = req.user.id;
 
-    console.log("Received answers submission:", { examId, answers, userId });
-
-    if (!examId || !answers || !Array.isArray(answers)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing examId or answers." });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -2001,7 +1992,7 @@ router.post(
         .json({ success: true, message: "Exam submitted successfully." });
     } catch (err) {
       await connection.rollback();
-      console.error("Error submitting answers:", err);
+      logger.error("Error submitting answers:", err);
       res.status(500).json({
         success: false,
         message: "Server error while submitting answers.",
@@ -2017,7 +2008,7 @@ router.post(
 // @access  Admin, SuperAdmin
 router.get(
   "/:examId/results",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.getResults)],
   async (req, res) => {
     const { examId } = req.params;
 
@@ -2073,7 +2064,7 @@ router.get(
         count: results.length
       });
     } catch (err) {
-      console.error("Error fetching exam results:", err);
+      logger.error("Error fetching exam results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching exam results.",
@@ -2087,7 +2078,7 @@ router.get(
 // @access  Teacher
 router.get(
   "/:examId/results/teacher",
-  [auth, authorize(["Teacher"])],
+  [auth, authorize(["Teacher"]), validate(schemas.getTeacherResults)],
   async (req, res) => {
     const { examId } = req.params;
 
@@ -2137,7 +2128,7 @@ router.get(
       const [results] = await pool.query(query, [examId]);
       res.json({ success: true, data: results });
     } catch (err) {
-      console.error("Error fetching exam results for teacher:", err);
+      logger.error("Error fetching exam results for teacher:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching exam results.",
@@ -2155,26 +2146,11 @@ router.get(
 // @access  Teacher, Admin, SuperAdmin
 router.put(
   "/results/:resultId",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.updateResult)],
   async (req, res) => {
     const { resultId } = req.params;
     const { score, answered_questions } = req.body;
 
-    // Validation
-    if (score === undefined || answered_questions === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: "Both score and answered_questions are required.",
-      });
-    }
-
-    if (typeof score !== "number" || score < 0 || score > 100) {
-      return res.status(400).json({
-        success: false,
-        message: "Score must be a number between 0 and 100.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -2269,6 +2245,19 @@ router.put(
          WHERE id = ?`,
         [score, answered_questions, resultId]
       );
+      await recordAudit(
+        req,
+        {
+          action: "exam_result.update",
+          entityType: "exam_result",
+          entityId: resultId,
+          branchId: examResult.branch_id,
+          before: examResult,
+          after: { score, answered_questions },
+          metadata: { exam_id: examResult.exam_id, student_id: examResult.student_id },
+        },
+        connection
+      );
 
 
        // If the result is published, sync to student_results
@@ -2302,10 +2291,10 @@ router.put(
         },
       });
 
-      console.log(`Exam result ${resultId} updated successfully.`);
+      logger.debug(`Exam result ${resultId} updated successfully.`);
     } catch (err) {
       await connection.rollback();
-      console.error("Error updating exam result:", err);
+      logger.error("Error updating exam result:", err);
       res.status(500).json({
         success: false,
         message: "Server error while updating exam result.",
@@ -2321,20 +2310,12 @@ router.put(
 // @access  Teacher, Admin, SuperAdmin
 router.put(
   "/results/:resultId/publish",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.publishResult)],
   async (req, res) => {
     const { resultId } = req.params;
     const { published } = req.body;
     
-    console.log(`[PUBLISH-ENDPOINT] Request received - resultId: ${resultId}, published: ${published}, userId: ${req.user.id}, roles: ${req.user.roles.join(', ')}`);
-
-    // Validation
-    if (typeof published !== "boolean") {
-      return res.status(400).json({
-        success: false,
-        message: "Published must be a boolean value.",
-      });
-    }
+    logger.debug(`[PUBLISH-ENDPOINT] Request received - resultId: ${resultId}, published: ${published}, userId: ${req.user.id}, roles: ${req.user.roles.join(', ')}`);
 
     const connection = await pool.getConnection();
     try {
@@ -2413,7 +2394,7 @@ router.put(
       }
 
       
-      console.log(`[PUBLISH] Exam type: ${examResult.assessment_type || 'N/A'}, about to sync to student_results`);
+      logger.debug(`[PUBLISH] Exam type: ${examResult.assessment_type || 'N/A'}, about to sync to student_results`);
         
       if (published) {
         await syncToStudentResults(connection, examResult);
@@ -2425,7 +2406,7 @@ router.put(
           [req.user.id, resultId]
         );
       } else {
-        console.log(`[PUBLISH] About to remove from student_results for unpublish`);
+        logger.debug(`[PUBLISH] About to remove from student_results for unpublish`);
         
         await removeFromStudentResults(connection, examResult);
         
@@ -2437,6 +2418,20 @@ router.put(
         );
       }
 
+      await recordAudit(
+        req,
+        {
+          action: published ? "exam_result.publish" : "exam_result.unpublish",
+          entityType: "exam_result",
+          entityId: resultId,
+          branchId: examResult.branch_id,
+          before: examResult,
+          after: { published },
+          metadata: { exam_id: examResult.exam_id, student_id: examResult.student_id },
+        },
+        connection
+      );
+
       await connection.commit();
 
       res.json({
@@ -2450,15 +2445,15 @@ router.put(
         },
       });
 
-      console.log(
+      logger.debug(
         `Exam result ${resultId} ${
           published ? "published" : "unpublished"
         } successfully.`
       );
-      console.log(`[PUBLISH] Request to ${published ? 'publish' : 'unpublish'} resultId: ${resultId}, exam_id: ${examResult.exam_id}, student_id: ${examResult.student_id}`);
+      logger.debug(`[PUBLISH] Request to ${published ? 'publish' : 'unpublish'} resultId: ${resultId}, exam_id: ${examResult.exam_id}, student_id: ${examResult.student_id}`);
     } catch (err) {
       await connection.rollback();
-      console.error("Error updating publish status:", err);
+      logger.error("Error updating publish status:", err);
       res.status(500).json({
         success: false,
         message: "Server error while updating publish status.",
@@ -2474,25 +2469,10 @@ router.put(
 // @access  Teacher, Admin, SuperAdmin
 router.put(
   "/results/publish",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.publishResults)],
   async (req, res) => {
     const { exam_id, class_id, published } = req.body;
 
-    // Validation
-    if (!exam_id || !class_id) {
-      return res.status(400).json({
-        success: false,
-        message: "exam_id and class_id are required.",
-      });
-    }
-
-    if (typeof published !== "boolean") {
-      return res.status(400).json({
-        success: false,
-        message: "Published must be a boolean value.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -2622,6 +2602,18 @@ router.put(
         updateResult.affectedRows += nsUpdate.affectedRows;
       }
 
+      await recordAudit(
+        req,
+        {
+          action: published ? "exam_results.publish" : "exam_results.unpublish",
+          entityType: "exam",
+          entityId: exam_id,
+          branchId: examData.branch_id,
+          metadata: { class_id, affected_rows: updateResult.affectedRows },
+        },
+        connection
+      );
+
       await connection.commit();
 
       res.json({
@@ -2637,14 +2629,14 @@ router.put(
         },
       });
 
-      console.log(
+      logger.debug(
         `All results for exam ${exam_id} and class ${class_id} ${
           published ? "published" : "unpublished"
         } successfully.`
       );
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing/unpublishing results:", err);
+      logger.error("Error publishing/unpublishing results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while updating publish status.",
@@ -2734,7 +2726,7 @@ router.get("/results/me", [auth, authorize(["Student", "NewStudent"])], async (r
           );
 
           const scores = classScores.map((s) => parseFloat(s.score));
-          rank = scores.indexOf(parseFloat(result.score)) + 1;
+          rank = positionOf(parseFloat(result.score), scores);
         } else {
           // For direct-assigned students, rank within their branch
           const [branchScores] = await pool.query(
@@ -2748,19 +2740,19 @@ router.get("/results/me", [auth, authorize(["Student", "NewStudent"])], async (r
           );
 
           const scores = branchScores.map((s) => parseFloat(s.score));
-          rank = scores.indexOf(parseFloat(result.score)) + 1;
+          rank = positionOf(parseFloat(result.score), scores);
         }
 
         return {
           ...result,
-          position: rank > 0 ? getOrdinal(rank) : "N/A",
+          position: rank > 0 ? ordinal(rank) : "N/A",
         };
       })
     );
 
     res.json({ success: true, data: resultsWithPosition });
   } catch (err) {
-    console.error("Error fetching student exam results:", err);
+    logger.error("Error fetching student exam results:", err);
     res.status(500).json({
       success: false,
       message: "Server error while fetching exam results.",
@@ -2771,18 +2763,11 @@ router.get("/results/me", [auth, authorize(["Student", "NewStudent"])], async (r
 // @route   POST /api/exams/assign
 // @desc    Assign an exam to a specific student (for external/new students)
 // @access  Teacher, Admin
-router.post("/assign", [auth, authorize(["Teacher", "Admin"])], async (req, res) => {
+router.post("/assign", [auth, authorize(["Teacher", "Admin"]), validate(schemas.assignExam)], async (req, res) => {
   const { student_id, exam_id } = req.body;
   const { id: userId } = req.user;
 
   try {
-    if (!student_id || !exam_id) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: student_id, exam_id",
-      });
-    }
-
     const result = await examAssignmentService.assignExamToStudent(
       student_id,
       exam_id,
@@ -2796,7 +2781,7 @@ router.post("/assign", [auth, authorize(["Teacher", "Admin"])], async (req, res)
 
     res.json(result);
   } catch (err) {
-    console.error("Error assigning exam:", err);
+    logger.error("Error assigning exam:", err);
 
     // Handle specific error messages
     if (err.message.includes("not assigned to any branch")) {
@@ -2823,18 +2808,11 @@ router.post("/assign", [auth, authorize(["Teacher", "Admin"])], async (req, res)
 // @route   POST /api/exams/bulk-assign
 // @desc    Assign an exam to multiple students or a whole class
 // @access  Teacher, Admin
-router.post("/bulk-assign", [auth, authorize(["Teacher", "Admin"])], async (req, res) => {
+router.post("/bulk-assign", [auth, authorize(["Teacher", "Admin"]), validate(schemas.bulkAssignExam)], async (req, res) => {
   const { exam_id, student_ids } = req.body;
   const { id: userId } = req.user;
 
   try {
-    if (!exam_id || (!student_ids || student_ids.length === 0)) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: exam_id, student_ids (array)",
-      });
-    }
-
     const result = await examAssignmentService.bulkAssignExamToStudents(
       exam_id,
       student_ids,
@@ -2843,7 +2821,7 @@ router.post("/bulk-assign", [auth, authorize(["Teacher", "Admin"])], async (req,
 
     res.json(result);
   } catch (err) {
-    console.error("Error in bulk assignment:", err);
+    logger.error("Error in bulk assignment:", err);
 
     // Handle specific error messages
     if (err.message.includes("not assigned to any branch")) {
@@ -2870,7 +2848,7 @@ router.post("/bulk-assign", [auth, authorize(["Teacher", "Admin"])], async (req,
 // @route   DELETE /api/exams/assignment/:assignmentId
 // @desc    Remove an exam assignment from a student
 // @access  Teacher, Admin
-router.delete("/assignment/:assignmentId", [auth, authorize(["Teacher", "Admin"])], async (req, res) => {
+router.delete("/assignment/:assignmentId", [auth, authorize(["Teacher", "Admin"]), validate(schemas.deleteAssignment)], async (req, res) => {
   const { assignmentId } = req.params;
 
   try {
@@ -2891,7 +2869,7 @@ router.delete("/assignment/:assignmentId", [auth, authorize(["Teacher", "Admin"]
       message: "Assignment removed successfully",
     });
   } catch (err) {
-    console.error("Error removing assignment:", err);
+    logger.error("Error removing assignment:", err);
     res.status(500).json({
       success: false,
       message: "Server error while removing assignment",
@@ -2902,7 +2880,7 @@ router.delete("/assignment/:assignmentId", [auth, authorize(["Teacher", "Admin"]
 // @route   GET /api/exams/:examId/assignments
 // @desc    Get all students assigned to an exam
 // @access  Teacher, Admin
-router.get("/:examId/assignments", [auth, authorize(["Teacher", "Admin"])], async (req, res) => {
+router.get("/:examId/assignments", [auth, authorize(["Teacher", "Admin"]), validate(schemas.listAssignments)], async (req, res) => {
   const { examId } = req.params;
 
   try {
@@ -2933,7 +2911,7 @@ router.get("/:examId/assignments", [auth, authorize(["Teacher", "Admin"])], asyn
       data: assignments,
     });
   } catch (err) {
-    console.error("Error fetching assignments:", err);
+    logger.error("Error fetching assignments:", err);
     res.status(500).json({
       success: false,
       message: "Server error while fetching assignments",
@@ -2,31 +2,17 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/expenses');
+const { listPage, emptyPagination } = require('../services/listService');
 const { pool } = require('../database');const { v4: uuidv4 } = require('uuid');
+const logger = require('../services/logger');
 
 // @route   POST /api/expenses
 // @desc    Add a new expense
 // @access  Admin, SuperAdmin
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    const { title, description, cost, due_date, branch_id, expense_type } = req.body;
-
-    // --- START: ROBUST VALIDATION ---
-    if (!title || !due_date || !branch_id || !expense_type) {
-        return res.status(400).json({ success: false, message: 'Please provide title, due_date, branch_id, and expense_type.' });
-    }
-
-    // 1. Check if 'cost' was provided at all (handles undefined and null)
-    if (cost === undefined || cost === null) {
-        return res.status(400).json({ success: false, message: 'The cost field is required.' });
-    }
-
-    // 2. Attempt to convert cost to a number and validate it
-    const numericCost = parseFloat(cost);
-
-    if (isNaN(numericCost) || numericCost < 0) {
-        return res.status(400).json({ success: false, message: 'Cost must be a valid non-negative number.' });
-    }
-    // --- END: ROBUST VALIDATION ---
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createExpense)], async (req, res) => {
+    const { title, description, cost: numericCost, due_date, branch_id, expense_type } = req.body;
 
     const connection = await pool.getConnection();
     try {
@@ -72,7 +58,7 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error creating expense:', err);
+        logger.error('Error creating expense:', err);
         res.status(500).json({ success: false, message: 'Server error while creating expense.' });
     } finally {
         if (connection) connection.release();
@@ -82,52 +68,59 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 // @route   GET /api/expenses
 // @desc    Get all expenses
 // @access  Admin, SuperAdmin
-router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listExpenses)], async (req, res) => {
     try {
-        let query = `
-            SELECT 
-                e.*, 
-                b.school_name as branch_name, 
-                COALESCE(s.name, sa.name) as author_name
-            FROM expenses e
-            JOIN branches b ON e.branch_id = b.id
-            LEFT JOIN staff s ON e.author_id = s.user_id
-            LEFT JOIN super_admins sa ON e.author_id = sa.user_id
-        `;
-        const queryParams = [];
+        const where = [];
+        const params = [];
 
         // If user is an Admin, filter expenses by their branch
         if (req.user.roles.includes('Admin')) {
             const [adminStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
             if (adminStaff.length > 0) {
-                query += ' WHERE e.branch_id = ?';
-                queryParams.push(adminStaff[0].branch_id);
+                where.push('e.branch_id = ?');
+                params.push(adminStaff[0].branch_id);
             } else {
-                return res.json({ success: true, data: [] }); // Admin not linked to a branch
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) }); // Admin not linked to a branch
             }
         }
 
-        query += ' ORDER BY e.created_at DESC';
-
-        const [expenses] = await pool.query(query, queryParams);
-        res.json({ success: true, data: expenses });
+        const { rows: expenses, pagination } = await listPage(req, {
+            select: `
+                e.*, 
+                b.school_name as branch_name, 
+                COALESCE(s.name, sa.name) as author_name`,
+            from: `expenses e
+            JOIN branches b ON e.branch_id = b.id
+            LEFT JOIN staff s ON e.author_id = s.user_id
+            LEFT JOIN super_admins sa ON e.author_id = sa.user_id`,
+            where,
+            params,
+            filters: {
+                branch_id: 'e.branch_id',
+                status: 'e.status',
+                expense_type: 'e.expense_type',
+                due_from: { column: 'e.due_date', op: '>=' },
+                due_to: { column: 'e.due_date', op: '<=' },
+            },
+            search: ['e.title', 'e.description'],
+            sortable: { created_at: 'e.created_at', due_date: 'e.due_date', cost: 'e.cost', title: 'e.title' },
+            defaultSort: '-created_at',
+            key: 'e.id',
+        });
+        res.json({ success: true, data: expenses, pagination });
     } catch (err) {
-        console.error('Error fetching expenses:', err);
+        logger.error('Error fetching expenses:', err);
         res.status(500).json({ success: false, message: 'Server error while fetching expenses.' });
     }
 });
 
 // @route   PUT /api/expenses/:id/status
 // @desc    Update an expense's status (Approve/Reject)
-// @access  SuperAdmin
-router.put('/:id/status', [auth, authorize(['SuperAdmin'])], async (req, res) => {
+// @access  SuperAdmin, or staff granted expenses.approve (own branch only)
+router.put('/:id/status', [auth, authorize.can('expenses.approve'), validate(schemas.updateStatus)], async (req, res) => {
     const { status, rejection_reason } = req.body;
     const { id } = req.params;
 
-    if (!status || !['Approved', 'Rejected'].includes(status)) {
-        return res.status(400).json({ success: false, message: 'Invalid status provided.' });
-    }
-
     if (status === 'Rejected' && !rejection_reason) {
         return res.status(400).json({ success: false, message: 'Rejection reason is required.' });
     }
@@ -138,6 +131,13 @@ router.put('/:id/status', [auth, authorize(['SuperAdmin'])], async (req, res) =>
             return res.status(404).json({ success: false, message: 'Expense not found' });
         }
 
+        if (!req.user.roles.includes('SuperAdmin')) {
+            const [approverStaff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            if (approverStaff.length === 0 || String(approverStaff[0].branch_id) !== String(expense[0].branch_id)) {
+                return res.status(403).json({ success: false, message: 'You can only approve expenses for your own branch.' });
+            }
+        }
+
         const updatedFields = {
             status,
             rejection_reason: status === 'Rejected' ? rejection_reason : null,
@@ -159,7 +159,7 @@ router.put('/:id/status', [auth, authorize(['SuperAdmin'])], async (req, res) =>
 
         res.json({ success: true, message: `Expense has been ${status.toLowerCase()}.`, data: updatedExpense[0] });
     } catch (err) {
-        console.error(err);
+        logger.error(err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -167,7 +167,7 @@ router.put('/:id/status', [auth, authorize(['SuperAdmin'])], async (req, res) =>
 // @route   DELETE /api/expenses/:id
 // @desc    Delete an expense
 // @access  SuperAdmin
-router.delete('/:id', [auth, authorize(['SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.deleteExpense)], async (req, res) => {
     try {
         const [expense] = await pool.query('SELECT * FROM expenses WHERE id = ?', [req.params.id]);
         if (expense.length === 0) {
@@ -178,7 +178,7 @@ router.delete('/:id', [auth, authorize(['SuperAdmin'])], async (req, res) => {
 
         res.json({ success: true, message: 'Expense deleted successfully.' });
     } catch (err) {
-        console.error('Error deleting expense:', err);
+        logger.error('Error deleting expense:', err);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -3,6 +3,11 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database'); const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/fees');
+const { listPage, emptyPagination } = require('../services/listService');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../services/logger');
 
 async function getAdminBranchId(userId) {
     const [rows] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
@@ -10,13 +15,9 @@ async function getAdminBranchId(userId) {
 }
 
 // POST /api/fees - Create school fees for a class (and optionally an arm)
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createFee)], async (req, res) => {
     const { branch_id, class_id, arm, term_id, name, amount, description } = req.body;
 
-    if (!branch_id || !class_id || !term_id || !name || !amount) {
-        return res.status(400).json({ success: false, message: 'Missing required fields.' });
-    }
-
     try {
         if (req.user.roles.includes('Admin')) {
             const adminBranchId = await getAdminBranchId(req.user.id);
@@ -36,15 +37,16 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
             description,
         };
         await pool.query('INSERT INTO fees SET ?', newFee);
+        await recordAudit(req, { action: 'fee.create', entityType: 'fee', entityId: newFee.id, branchId: branch_id, after: newFee });
         res.status(201).json({ success: true, message: 'Fee created successfully.', data: newFee });
     } catch (error) {
-        console.error('Create fee error:', error);
+        logger.error('Create fee error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating fee.' });
     }
 });
 
 // PUT /api/fees/:id - Update school fees for a class
-router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateFee)], async (req, res) => {
     const { id } = req.params;
     const { name, arm, amount, description } = req.body;
 
@@ -70,17 +72,18 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 
         if (Object.keys(updateFields).length > 0) {
             await pool.query('UPDATE fees SET ? WHERE id = ?', [updateFields, id]);
+            await recordAudit(req, { action: 'fee.update', entityType: 'fee', entityId: id, branchId: fee.branch_id, before: fee, after: updateFields });
         }
 
         res.json({ success: true, message: 'Fee updated successfully.' });
     } catch (error) {
-        console.error('Update fee error:', error);
+        logger.error('Update fee error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating fee.' });
     }
 });
 
 // DELETE /api/fees/:id - Delete a fee
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteFee)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -98,15 +101,16 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
         }
 
         await pool.query('DELETE FROM fees WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'fee.delete', entityType: 'fee', entityId: id, branchId: fee.branch_id, before: fee });
         res.json({ success: true, message: 'Fee deleted successfully.' });
     } catch (error) {
-        console.error('Delete fee error:', error);
+        logger.error('Delete fee error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting fee.' });
     }
 });
 
 // GET /api/fees/class/:classId - Retrieve fees for a specific class (optionally filter by arm)
-router.get('/class/:classId', [auth], async (req, res) => {
+router.get('/class/:classId', [auth, validate(schemas.listForClass)], async (req, res) => {
     const { classId } = req.params;
     const { arm } = req.query; // Optional filter by arm
 
@@ -128,7 +132,7 @@ router.get('/class/:classId', [auth], async (req, res) => {
         const [fees] = await pool.query(query, params);
         res.json({ success: true, data: fees });
     } catch (error) {
-        console.error('Get fees by class error:', error);
+        logger.error('Get fees by class error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching fees.' });
     }
 });
@@ -238,13 +242,13 @@ router.get('/children', [auth, authorize(['Parent'])], async (req, res) => {
 
         res.json({ success: true, data: feesByChild });
     } catch (error) {
-        console.error('Get fees for children error:', error);
+        logger.error('Get fees for children error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching fees for children.' });
     }
 });
 
 // GET /api/fees/child/:childId/term/:termId/paid-details - Get paid fee details for a specific child and term
-router.get('/child/:childId/term/:termId/paid-details', [auth, authorize(['Parent'])], async (req, res) => {
+router.get('/child/:childId/term/:termId/paid-details', [auth, authorize(['Parent']), validate(schemas.childPaidDetails)], async (req, res) => {
     try {
         const { childId, termId } = req.params;
 
@@ -313,72 +317,62 @@ router.get('/child/:childId/term/:termId/paid-details', [auth, authorize(['Paren
             }
         });
     } catch (error) {
-        console.error('Get paid fee details error:', error);
+        logger.error('Get paid fee details error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching paid fee details.' });
     }
 });
 
 // GET /api/fees - Retrieve all fees (for Admin/SuperAdmin)
-router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listFees)], async (req, res) => {
     try {
-        let query = `
-            SELECT 
-                f.id, f.name, f.amount, f.description, 
-                f.branch_id, f.class_id, f.arm, f.term_id,
-                b.school_name as BranchName,
-                c.name as ClassName,
-                c.arm as ClassArm,
-                t.name as TermName
-            FROM fees f
-            JOIN branches b ON f.branch_id = b.id
-            JOIN classes c ON f.class_id = c.id
-            JOIN terms t ON f.term_id = t.id
-        `;
-        const queryParams = [];
+        const where = [];
+        const params = [];
 
         // If the user is an Admin, only show fees for their branch
         if (req.user.roles.includes('Admin')) {
             const adminBranchId = await getAdminBranchId(req.user.id);
             if (adminBranchId) {
-                query += ' WHERE f.branch_id = ?';
-                queryParams.push(adminBranchId);
+                where.push('f.branch_id = ?');
+                params.push(adminBranchId);
             } else {
                 // If admin has no branch, return empty array
-                return res.json({ success: true, data: [] });
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         }
 
-        query += ' ORDER BY f.created_at DESC';
-
-        const [fees] = await pool.query(query, queryParams);
-        res.json({ success: true, data: fees });
+        const { rows: fees, pagination } = await listPage(req, {
+            select: `
+                f.id, f.name, f.amount, f.description, 
+                f.branch_id, f.class_id, f.arm, f.term_id,
+                b.school_name as BranchName,
+                c.name as ClassName,
+                c.arm as ClassArm,
+                t.name as TermName`,
+            from: `fees f
+            JOIN branches b ON f.branch_id = b.id
+            JOIN classes c ON f.class_id = c.id
+            JOIN terms t ON f.term_id = t.id`,
+            where,
+            params,
+            filters: { branch_id: 'f.branch_id', class_id: 'f.class_id', term_id: 'f.term_id' },
+            search: ['f.name', 'f.description'],
+            sortable: { created_at: 'f.created_at', name: 'f.name', amount: 'f.amount' },
+            defaultSort: '-created_at',
+            key: 'f.id',
+        });
+        res.json({ success: true, data: fees, pagination });
     } catch (error) {
-        console.error('Get all fees error:', error);
+        logger.error('Get all fees error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching fees.' });
     }
 });
 
 // GET /api/fees/student-statuses - Get payment status for all students in the specified term or current term
-router.get('/student-statuses', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/student-statuses', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listStudentStatuses)], async (req, res) => {
     try {
         const term_id = req.query.term_id;
 
-        let query = `
-            SELECT
-                s.id,
-                s.first_name,
-                s.last_name,
-                s.branch_id,
-                s.class_id,
-                c.name as ClassName,
-                c.arm,
-                b.school_name as BranchName,
-                IFNULL(sps.status, 'Not Paid') as payment_status
-            FROM students s
-            JOIN classes c ON s.class_id = c.id
-            JOIN branches b ON s.branch_id = b.id
-        `;
-
+        const where = [];
         const queryParams = [];
 
         let termJoinCondition = 't.branch_id = s.branch_id';
@@ -388,8 +382,6 @@ router.get('/student-statuses', [auth, authorize(['Admin', 'SuperAdmin'])], asyn
         } else {
             termJoinCondition += ' AND t.is_active = TRUE';
         }
-        query += ` LEFT JOIN terms t ON ${termJoinCondition}`;
-        query += ` LEFT JOIN student_payment_statuses sps ON sps.student_id = s.id AND sps.term_id = t.id`;
 
         if (req.user.roles.includes('Admin')) {
             const adminBranchId = await getAdminBranchId(req.user.id);
@@ -401,25 +393,47 @@ router.get('/student-statuses', [auth, authorize(['Admin', 'SuperAdmin'])], asyn
                         return res.status(400).json({ success: false, message: 'Invalid term_id or term does not belong to your branch.' });
                     }
                 }
-                query += ' WHERE s.branch_id = ?';
+                where.push('s.branch_id = ?');
                 queryParams.push(adminBranchId);
             } else {
-                return res.json({ success: true, data: [] }); // Admin not linked to a branch
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) }); // Admin not linked to a branch
             }
         }
 
-        query += ' ORDER BY b.school_name, c.name, s.last_name';
-
-        const [students] = await pool.query(query, queryParams);
-        res.json({ success: true, data: students });
+        const { rows: students, pagination } = await listPage(req, {
+            select: `
+                s.id,
+                s.first_name,
+                s.last_name,
+                s.branch_id,
+                s.class_id,
+                c.name as ClassName,
+                c.arm,
+                b.school_name as BranchName,
+                IFNULL(sps.status, 'Not Paid') as payment_status`,
+            // The term placeholder in the join is bound before the WHERE values
+            from: `students s
+            JOIN classes c ON s.class_id = c.id
+            JOIN branches b ON s.branch_id = b.id
+            LEFT JOIN terms t ON ${termJoinCondition}
+            LEFT JOIN student_payment_statuses sps ON sps.student_id = s.id AND sps.term_id = t.id`,
+            where,
+            params: queryParams,
+            filters: { branch_id: 's.branch_id', class_id: 's.class_id', status: "IFNULL(sps.status, 'Not Paid')" },
+            search: ['s.first_name', 's.last_name'],
+            sortable: { branch: 'b.school_name', class_name: 'c.name', last_name: 's.last_name', first_name: 's.first_name' },
+            defaultSort: 'branch,class_name,last_name',
+            key: 's.id',
+        });
+        res.json({ success: true, data: students, pagination });
 
     } catch (error) {
-        console.error('Get student payment statuses error:', error);
+        logger.error('Get student payment statuses error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching student payment statuses.' });
     }
 });
 
-router.get('/class/:classId/student-statuses', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/class/:classId/student-statuses', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listClassStudentStatuses)], async (req, res) => {
     const { classId } = req.params;
     const { arm, term_id } = req.query;
 
@@ -513,7 +527,7 @@ router.get('/class/:classId/student-statuses', [auth, authorize(['Admin', 'Super
         });
 
     } catch (error) {
-        console.error('Get class student payment statuses error:', error);
+        logger.error('Get class student payment statuses error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching class student payment statuses.' });
     }
 });
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/grading-schemes');
+const grading = require('../services/gradingService');
+const { recordAudit } = require('../services/auditService');
+
+// @route   GET /api/grading-schemes
+// @desc    Every grading scheme with its bands and where it is assigned
+// @access  Admin, SuperAdmin
+router.get('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res, next) => {
+    try {
+        res.json({ success: true, data: await grading.listSchemes() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   GET /api/grading-schemes/resolve
+// @desc    The scheme that grades a branch's classes of a school type, or the built-in default
+// @access  Admin, SuperAdmin
+router.get('/resolve', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.resolveScheme)], async (req, res, next) => {
+    try {
+        const { branch_id, school_type } = req.query;
+        res.json({ success: true, data: await grading.getGradingScheme(branch_id, school_type) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   PUT /api/grading-schemes/assignments
+// @desc    Grade a branch and/or school type with a scheme; leaving either out covers all of them
+// @access  SuperAdmin
+router.put('/assignments', [auth, authorize(['SuperAdmin']), validate(schemas.assignScheme)], async (req, res, next) => {
+    try {
+        const { scheme_id, branch_id = null, school_type = null } = req.body;
+        if (!(await grading.getScheme(scheme_id))) {
+            return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+        }
+
+        await grading.assignScheme(scheme_id, { branchId: branch_id, schoolType: school_type });
+        await recordAudit(req, {
+            action: 'grading_scheme.assign',
+            entityType: 'grading_scheme',
+            entityId: scheme_id,
+            branchId: branch_id,
+            after: { branch_id, school_type },
+        });
+        res.json({ success: true, message: 'Grading scheme assigned', data: await grading.getScheme(scheme_id) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   DELETE /api/grading-schemes/assignments
+// @desc    Remove the scheme assigned to a branch and/or school type, so the next match applies
+// @access  SuperAdmin
+router.delete('/assignments', [auth, authorize(['SuperAdmin']), validate(schemas.unassignScheme)], async (req, res, next) => {
+    try {
+        const { branch_id = null, school_type = null } = req.query;
+        if (!(await grading.unassignScheme({ branchId: branch_id, schoolType: school_type }))) {
+            return res.status(404).json({ success: false, message: 'No grading scheme is assigned there' });
+        }
+
+        await recordAudit(req, {
+            action: 'grading_scheme.unassign',
+            entityType: 'grading_scheme',
+            branchId: branch_id,
+            before: { branch_id, school_type },
+        });
+        res.json({ success: true, message: 'Grading scheme unassigned' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   GET /api/grading-schemes/:id
+// @desc    One grading scheme
+// @access  Admin, SuperAdmin
+router.get('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getScheme)], async (req, res, next) => {
+    try {
+        const scheme = await grading.getScheme(req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+        }
+        res.json({ success: true, data: scheme });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   POST /api/grading-schemes
+// @desc    Create a grading scheme
+// @access  SuperAdmin
+router.post('/', [auth, authorize(['SuperAdmin']), validate(schemas.createScheme)], async (req, res, next) => {
+    try {
+        const scheme = await grading.createScheme(req.body, req.user.id);
+        await recordAudit(req, { action: 'grading_scheme.create', entityType: 'grading_scheme', entityId: scheme.id, after: req.body });
+        res.status(201).json({ success: true, message: 'Grading scheme created', data: scheme });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   PUT /api/grading-schemes/:id
+// @desc    Update a grading scheme; bands, when sent, replace the existing ones
+// @access  SuperAdmin
+router.put('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.updateScheme)], async (req, res, next) => {
+    try {
+        const before = await grading.getScheme(req.params.id);
+        const scheme = before && (await grading.updateScheme(req.params.id, req.body));
+        if (!scheme) {
+            return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+        }
+
+        await recordAudit(req, { action: 'grading_scheme.update', entityType: 'grading_scheme', entityId: scheme.id, before, after: req.body });
+        res.json({ success: true, message: 'Grading scheme updated', data: scheme });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// @route   DELETE /api/grading-schemes/:id
+// @desc    Delete a grading scheme and its assignments
+// @access  SuperAdmin
+router.delete('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.deleteScheme)], async (req, res, next) => {
+    try {
+        const before = await grading.getScheme(req.params.id);
+        if (!before || !(await grading.deleteScheme(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+        }
+
+        await recordAudit(req, { action: 'grading_scheme.delete', entityType: 'grading_scheme', entityId: before.id, before });
+        res.json({ success: true, message: 'Grading scheme deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -3,17 +3,17 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/graduation');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../services/logger');
 
 // @route   POST /api/graduation/graduate
 // @desc    Graduate one or more students
 // @access  Admin, SuperAdmin, Teacher
-router.post('/graduate', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async (req, res) => {
+router.post('/graduate', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher']), validate(schemas.graduate)], async (req, res) => {
     const { student_ids } = req.body;
 
-    if (!Array.isArray(student_ids) || student_ids.length === 0) {
-        return res.status(400).json({ success: false, message: 'An array of student IDs is required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -26,7 +26,7 @@ router.post('/graduate', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])],
         const graduatedStatusId = statusRows[0].id;
 
         // 2. Get student data for authorization checks.
-        const [students] = await connection.query('SELECT id, class_id, branch_id FROM students WHERE id IN (?)', [student_ids]);
+        const [students] = await connection.query('SELECT id, class_id, branch_id, status_id FROM students WHERE id IN (?)', [student_ids]);
         if (students.length !== student_ids.length) {
             throw new Error('One or more students not found.');
         }
@@ -59,6 +59,16 @@ router.post('/graduate', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])],
             'UPDATE students SET status_id = ? WHERE id IN (?)',
             [graduatedStatusId, student_ids]
         );
+        for (const student of students) {
+            await recordAudit(req, {
+                action: 'student.graduate',
+                entityType: 'student',
+                entityId: student.id,
+                branchId: student.branch_id,
+                before: { status_id: student.status_id },
+                after: { status_id: graduatedStatusId }
+            }, connection);
+        }
 
         await connection.commit();
 
@@ -69,7 +79,7 @@ router.post('/graduate', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])],
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error graduating students:', error);
+        logger.error('Error graduating students:', error);
         res.status(500).json({ success: false, message: error.message || 'Server error while graduating students.' });
     } finally {
         connection.release();
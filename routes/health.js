@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { pool, poolStats } = require('../database');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+const { version } = require('../package.json');
+
+// Without these the app starts but can't sign tokens or verify payments
+const REQUIRED_ENV = ['JWT_SECRET', 'PAYSTACK_SECRET_KEY', 'DB_NAME'];
+// A database that takes longer than this to answer SELECT 1 counts as down
+const DB_CHECK_TIMEOUT_MS = parseInt(process.env.READY_DB_TIMEOUT_MS, 10) || 2000;
+
+// Compared as digests so the check takes the same time however much of the token matches
+const sameToken = (given, expected) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(given)).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+);
+
+async function checkDatabase() {
+    const startedAt = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            pool.query('SELECT 1'),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer within ${DB_CHECK_TIMEOUT_MS}ms`)), DB_CHECK_TIMEOUT_MS);
+            }),
+        ]);
+        return { ok: true, latencyMs: Date.now() - startedAt, pool: poolStats() };
+    } catch (err) {
+        logger.warn('Readiness check: database unavailable', { reason: err.message });
+        return { ok: false, error: err.message, pool: poolStats() };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// @route   GET /health
+// @desc    Liveness: the process is up and serving requests. Checks nothing else
+// @access  Public
+router.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), version });
+});
+
+// @route   GET /ready
+// @desc    Readiness: MySQL answers and the required configuration is present; 503 otherwise
+// @access  Public
+router.get('/ready', async (req, res) => {
+    const missing = REQUIRED_ENV.filter(name => !process.env[name]);
+    const checks = {
+        database: await checkDatabase(),
+        config: missing.length ? { ok: false, missing } : { ok: true },
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+// @route   GET /metrics
+// @desc    Prometheus metrics: requests, latency per route, DB pool usage, payment verifications
+// @access  Public, or a bearer token when METRICS_TOKEN is set
+router.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !sameToken(req.header('authorization') || '', `Bearer ${token}`)) {
+        return res.status(401).json({ success: false, message: 'Invalid metrics token' });
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+module.exports = router;
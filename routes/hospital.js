@@ -3,6 +3,10 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/hospital');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 // Helper function to get a staff member's branch ID from their user ID
 async function getStaffBranchId(userId) {
@@ -13,31 +17,45 @@ async function getStaffBranchId(userId) {
 // @route   GET /api/hospital/logs
 // @desc    Get all illness logs for the admin's branch
 // @access  Admin, SuperAdmin
-router.get('/logs', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/logs', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listLogs)], async (req, res) => {
     try {
-        let query = `
-            SELECT il.*, CONCAT(s.first_name, ' ', s.last_name) AS student_name
-            FROM illness_logs il
-            JOIN students s ON il.student_id = s.id
-        `;
+        const where = [];
         const params = [];
 
         if (req.user.roles.includes('Admin')) {
             const branchId = await getStaffBranchId(req.user.id);
             if (branchId) {
-                query += ' WHERE il.branch_id = ?';
+                where.push('il.branch_id = ?');
                 params.push(branchId);
             } else {
-                return res.json({ success: true, data: [] });
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         }
 
-        query += ' ORDER BY il.admitted_at DESC';
-        const [logs] = await pool.query(query, params);
-        res.json({ success: true, data: logs });
+        if (req.query.discharged !== undefined) {
+            where.push(req.query.discharged ? 'il.discharged_at IS NOT NULL' : 'il.discharged_at IS NULL');
+        }
+
+        const { rows: logs, pagination } = await listPage(req, {
+            select: "il.*, CONCAT(s.first_name, ' ', s.last_name) AS student_name",
+            from: 'illness_logs il JOIN students s ON il.student_id = s.id',
+            where,
+            params,
+            filters: {
+                branch_id: 'il.branch_id',
+                student_id: 'il.student_id',
+                from: { column: 'il.admitted_at', op: '>=' },
+                to: { column: 'il.admitted_at', op: '<=' },
+            },
+            search: ['il.illness', 's.first_name', 's.last_name'],
+            sortable: { admitted_at: 'il.admitted_at', discharged_at: 'il.discharged_at', created_at: 'il.created_at' },
+            defaultSort: '-admitted_at',
+            key: 'il.id',
+        });
+        res.json({ success: true, data: logs, pagination });
 
     } catch (err) {
-        console.error('Error fetching illness logs:', err);
+        logger.error('Error fetching illness logs:', err);
         res.status(500).json({ success: false, message: 'Server error while fetching illness logs.' });
     }
 });
@@ -45,13 +63,9 @@ router.get('/logs', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 // @route   POST /api/hospital/logs
 // @desc    Create a new illness log
 // @access  Admin, SuperAdmin
-router.post('/logs', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/logs', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createLog)], async (req, res) => {
     const { student_id, illness, symptoms, treatment, admitted_at, notes } = req.body;
 
-    if (!student_id || !illness || !symptoms || !treatment || !admitted_at) {
-        return res.status(400).json({ success: false, message: 'student_id, illness, symptoms, treatment, and admitted_at are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -88,7 +102,7 @@ router.post('/logs', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
 
     } catch (error) {
         await connection.rollback();
-        console.error('Create illness log error:', error);
+        logger.error('Create illness log error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating illness log.' });
     } finally {
         if (connection) connection.release();
@@ -98,7 +112,7 @@ router.post('/logs', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res
 // @route   PUT /api/hospital/logs/:id
 // @desc    Update an illness log
 // @access  Admin, SuperAdmin
-router.put('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateLog)], async (req, res) => {
     const { id } = req.params;
     const { student_id, illness, symptoms, treatment, admitted_at, notes } = req.body;
 
@@ -139,7 +153,7 @@ router.put('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req,
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update illness log error:', error);
+        logger.error('Update illness log error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating illness log.' });
     } finally {
         if (connection) connection.release();
@@ -149,7 +163,7 @@ router.put('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req,
 // @route   DELETE /api/hospital/logs/:id
 // @desc    Delete an illness log
 // @access  Admin, SuperAdmin
-router.delete('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteLog)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -177,7 +191,7 @@ router.delete('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (re
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete illness log error:', error);
+        logger.error('Delete illness log error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting illness log.' });
     } finally {
         if (connection) connection.release();
@@ -187,7 +201,7 @@ router.delete('/logs/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (re
 // @route   POST /api/hospital/logs/:id/discharge
 // @desc    Discharge a student
 // @access  Admin, SuperAdmin
-router.post('/logs/:id/discharge', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/logs/:id/discharge', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.dischargeLog)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -216,7 +230,7 @@ router.post('/logs/:id/discharge', [auth, authorize(['Admin', 'SuperAdmin'])], a
 
     } catch (error) {
         await connection.rollback();
-        console.error('Discharge student error:', error);
+        logger.error('Discharge student error:', error);
         res.status(500).json({ success: false, message: 'Server error while discharging student.' });
     } finally {
         if (connection) connection.release();
@@ -246,7 +260,7 @@ router.get('/logs/my-children', [auth, authorize(['Parent'])], async (req, res)
         res.json({ success: true, data: logs });
 
     } catch (err) {
-        console.error('Error fetching student illness logs:', err);
+        logger.error('Error fetching student illness logs:', err);
         res.status(500).json({ success: false, message: 'Server error while fetching illness logs.' });
     }
 });
@@ -3,6 +3,10 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/inventory');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 // Helper function to get an Admin's branch ID
 async function getAdminBranchId(userId) {
@@ -13,19 +17,11 @@ async function getAdminBranchId(userId) {
 // @route   POST /api/inventory
 // @desc    Create a new inventory item
 // @access  Admin, SuperAdmin
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createItem)], async (req, res) => {
     const { name, quantity } = req.body;
     let { branch_id } = req.body;
     const added_by = req.user.id;
 
-    if (!name || !quantity) {
-        return res.status(400).json({ success: false, message: 'Name and quantity are required.' });
-    }
-
-    if (isNaN(parseInt(quantity)) || parseInt(quantity) < 0) {
-        return res.status(400).json({ success: false, message: 'Quantity must be a non-negative number.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -57,7 +53,7 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 
     } catch (error) {
         await connection.rollback();
-        console.error('Create inventory item error:', error);
+        logger.error('Create inventory item error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating inventory item.' });
     } finally {
         connection.release();
@@ -67,26 +63,36 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 // @route   GET /api/inventory/branch
 // @desc    Get all inventory items for a branch (Admin) or all branches (SuperAdmin)
 // @access  Admin, SuperAdmin
-router.get('/branch', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/branch', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listItems)], async (req, res) => {
     try {
-        let query = 'SELECT i.*, u.email as added_by_email FROM inventory i JOIN users u ON i.added_by = u.id';
+        const where = [];
         const params = [];
 
         if (req.user.roles.includes('Admin')) {
             const adminBranchId = await getAdminBranchId(req.user.id);
             if (adminBranchId) {
-                query += ' WHERE i.branch_id = ?';
+                where.push('i.branch_id = ?');
                 params.push(adminBranchId);
             } else {
-                return res.json({ success: true, data: [] });
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         }
 
-        const [rows] = await pool.query(query, params);
-        res.json({ success: true, data: rows });
+        const { rows, pagination } = await listPage(req, {
+            select: 'i.*, u.email as added_by_email',
+            from: 'inventory i JOIN users u ON i.added_by = u.id',
+            where,
+            params,
+            filters: { branch_id: 'i.branch_id' },
+            search: ['i.name'],
+            sortable: { name: 'i.name', quantity: 'i.quantity', created_at: 'i.created_at', updated_at: 'i.updated_at' },
+            defaultSort: 'name',
+            key: 'i.id',
+        });
+        res.json({ success: true, data: rows, pagination });
 
     } catch (error) {
-        console.error('Get inventory error:', error);
+        logger.error('Get inventory error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching inventory.' });
     }
 });
@@ -94,7 +100,7 @@ router.get('/branch', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
 // @route   PUT /api/inventory/:id
 // @desc    Update an inventory item
 // @access  Admin, SuperAdmin
-router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateItem)], async (req, res) => {
     const { id } = req.params;
     const { name, quantity } = req.body;
 
@@ -102,10 +108,6 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
         return res.status(400).json({ success: false, message: 'Name or quantity is required.' });
     }
 
-    if (quantity && (isNaN(parseInt(quantity)) || parseInt(quantity) < 0)) {
-        return res.status(400).json({ success: false, message: 'Quantity must be a non-negative number.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -136,7 +138,7 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update inventory item error:', error);
+        logger.error('Update inventory item error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating inventory item.' });
     } finally {
         connection.release();
@@ -146,7 +148,7 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 // @route   DELETE /api/inventory/:id
 // @desc    Delete an inventory item
 // @access  Admin, SuperAdmin
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteItem)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -174,7 +176,7 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete inventory item error:', error);
+        logger.error('Delete inventory item error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting inventory item.' });
     } finally {
         connection.release();
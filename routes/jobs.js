@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/jobs');
+const { retryJob } = require('../services/jobQueue');
+const { listSchedules } = require('../services/scheduler');
+const { listPage } = require('../services/listService');
+const { pool } = require('../database');
+const logger = require('../services/logger');
+
+// Payload values that must not leave the server, should a job ever carry a password or token
+const REDACTED_KEYS = /password|token|secret/i;
+
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+        key,
+        REDACTED_KEYS.test(key) ? '[redacted]' : redact(inner),
+    ]));
+}
+
+function present(job) {
+    const payload = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
+    return { ...job, payload: redact(payload) };
+}
+
+// @route   GET /api/jobs
+// @desc    Background jobs, newest first; ?status=failed lists the ones waiting for a retry
+// @access  SuperAdmin
+router.get('/', [auth, authorize(['SuperAdmin']), validate(schemas.listJobs)], async (req, res) => {
+    try {
+        const { rows, pagination } = await listPage(req, {
+            select: '*',
+            from: 'jobs',
+            filters: { status: 'status', type: 'type' },
+            sortable: { id: 'id', created_at: 'created_at', run_at: 'run_at', attempts: 'attempts' },
+            defaultSort: '-id',
+        });
+        res.json({ success: true, data: rows.map(present), pagination });
+    } catch (err) {
+        logger.error('List jobs error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/jobs/schedules
+// @desc    Scheduled jobs with their previous and next run times
+// @access  SuperAdmin
+router.get('/schedules', [auth, authorize(['SuperAdmin'])], (req, res) => {
+    res.json({ success: true, data: listSchedules() });
+});
+
+// @route   GET /api/jobs/:id
+// @desc    One job, including the error from its last failed attempt
+// @access  SuperAdmin
+router.get('/:id', [auth, authorize(['SuperAdmin']), validate(schemas.getJob)], async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM jobs WHERE id = ?', [req.params.id]);
+        if (!rows.length) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        res.json({ success: true, data: present(rows[0]) });
+    } catch (err) {
+        logger.error('Get job error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/jobs/:id/retry
+// @desc    Put a failed job back in the queue with a fresh set of attempts
+// @access  SuperAdmin
+router.post('/:id/retry', [auth, authorize(['SuperAdmin']), validate(schemas.retryJob)], async (req, res) => {
+    try {
+        if (await retryJob(req.params.id)) {
+            return res.json({ success: true, message: 'Job queued for retry' });
+        }
+        const [rows] = await pool.query('SELECT status FROM jobs WHERE id = ?', [req.params.id]);
+        if (!rows.length) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        res.status(409).json({ success: false, message: `Only failed jobs can be retried; this one is ${rows[0].status}` });
+    } catch (err) {
+        logger.error('Retry job error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,10 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/library');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 // Helper function to get a staff member's branch ID from their user ID
 async function getStaffBranchId(userId) {
@@ -19,13 +23,9 @@ async function getStudentBranchId(userId) {
 // @route   POST /api/library/upload
 // @desc    Upload an e-book
 // @access  Admin, SuperAdmin
-router.post('/upload', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/upload', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.uploadEbook)], async (req, res) => {
     const { title, author, description, ebook_url, cover_image_url } = req.body;
 
-    if (!title || !author || !ebook_url) {
-        return res.status(400).json({ success: false, message: 'Title, author, and ebook_url are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -76,7 +76,7 @@ router.post('/upload', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, r
 
     } catch (error) {
         await connection.rollback();
-        console.error('E-book upload error:', error);
+        logger.error('E-book upload error:', error);
         res.status(500).json({ success: false, message: 'Server error while uploading e-book.' });
     } finally {
         if (connection) connection.release();
@@ -86,39 +86,41 @@ router.post('/upload', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, r
 // @route   GET /api/library/ebooks
 // @desc    Get all e-books based on user role and branch
 // @access  Authenticated Users
-router.get('/ebooks', [auth], async (req, res) => {
+router.get('/ebooks', [auth, validate(schemas.listEbooks)], async (req, res) => {
     try {
-        let query = 'SELECT id, title, author, description, ebook_url, cover_image_url, branch_id, created_at FROM ebooks';
-        const params = [];
+        let branchId = null;
 
         if (req.user.roles.includes('SuperAdmin')) {
             // SuperAdmin gets all ebooks
         } else if (req.user.roles.includes('Admin') || req.user.roles.includes('Teacher') || req.user.roles.includes('NonTeachingStaff')) {
-            const branchId = await getStaffBranchId(req.user.id);
-            if (branchId) {
-                query += ' WHERE branch_id = ?';
-                params.push(branchId);
-            } else {
-                return res.json({ success: true, data: [] });
+            branchId = await getStaffBranchId(req.user.id);
+            if (!branchId) {
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         } else if (req.user.roles.includes('Student')) {
-            const branchId = await getStudentBranchId(req.user.id);
-            if (branchId) {
-                query += ' WHERE branch_id = ?';
-                params.push(branchId);
-            } else {
-                return res.json({ success: true, data: [] });
+            branchId = await getStudentBranchId(req.user.id);
+            if (!branchId) {
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         } else { // For other roles like Parent, or if no specific role logic is defined
-            return res.json({ success: true, data: [] });
+            return res.json({ success: true, data: [], pagination: emptyPagination(req) });
         }
 
-        query += ' ORDER BY created_at DESC';
-        const [ebooks] = await pool.query(query, params);
-        res.json({ success: true, data: ebooks });
+        const { rows: ebooks, pagination } = await listPage(req, {
+            select: 'id, title, author, description, ebook_url, cover_image_url, branch_id, created_at',
+            from: 'ebooks',
+            where: branchId ? ['branch_id = ?'] : [],
+            params: branchId ? [branchId] : [],
+            filters: { branch_id: 'branch_id' },
+            search: ['title', 'author', 'description'],
+            sortable: { created_at: 'created_at', title: 'title', author: 'author' },
+            defaultSort: '-created_at',
+            key: 'id',
+        });
+        res.json({ success: true, data: ebooks, pagination });
 
     } catch (err) {
-        console.error('Error fetching e-books:', err);
+        logger.error('Error fetching e-books:', err);
         res.status(500).json({ success: false, message: 'Server error while fetching e-books.' });
     }
 });
@@ -126,7 +128,7 @@ router.get('/ebooks', [auth], async (req, res) => {
 // @route   PUT /api/library/ebooks/:id
 // @desc    Update an e-book
 // @access  Admin, SuperAdmin
-router.put('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateEbook)], async (req, res) => {
     const { id } = req.params;
     const { title, author, description, ebook_url, cover_image_url } = req.body;
 
@@ -164,7 +166,7 @@ router.put('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update e-book error:', error);
+        logger.error('Update e-book error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating e-book.' });
     } finally {
         if (connection) connection.release();
@@ -174,7 +176,7 @@ router.put('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req
 // @route   DELETE /api/library/ebooks/:id
 // @desc    Delete an e-book
 // @access  Admin, SuperAdmin
-router.delete('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteEbook)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -202,7 +204,7 @@ router.delete('/ebooks/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete e-book error:', error);
+        logger.error('Delete e-book error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting e-book.' });
     } finally {
         if (connection) connection.release();
@@ -4,8 +4,15 @@ const https = require('https');
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/make-payment');
 const { createNewStudentFromEnrollment } = require('../services/enrollmentService');
 const NotificationService = require('../services/notificationService');
+const { enqueueQuietly } = require('../services/jobQueue');
+const { getBranch } = require('../services/lookupService');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
 
 // ---------- Helper: Paystack request ----------
 const paystackRequest = (options, params = null) => {
@@ -51,21 +58,13 @@ const getSubaccountForPaymentType = (paymentFor) => {
   return subaccount;
 };
 
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', rateLimit('payment'), validate(schemas.initialize), async (req, res) => {
   const { email, amount, metadata } = req.body;
-
-  if (!email || !amount || isNaN(amount) || amount <= 0) {
-    return res.status(400).json({ success: false, message: 'Valid email and amount (in NGN) are required.' });
-  }
-
-  const paymentFor = metadata?.payment_for;
-  if (!paymentFor) {
-    return res.status(400).json({ success: false, message: 'metadata.payment_for is required.' });
-  }
+  const paymentFor = metadata.payment_for;
 
   const subaccount = getSubaccountForPaymentType(paymentFor);
   if (!subaccount) {
-    console.error(`No subaccount configured for payment_for="${paymentFor}" and no fallback subaccount set.`);
+    logger.error(`No subaccount configured for payment_for="${paymentFor}" and no fallback subaccount set.`);
     return res.status(500).json({ success: false, message: 'Payment routing is not configured. Contact admin.' });
   }
 
@@ -74,7 +73,7 @@ router.post('/initialize', async (req, res) => {
 
   // Store expected amount inside metadata for later verification
   const enrichedMetadata = {
-    ...(metadata || {}),
+    ...metadata,
     expected_amount: amount,      // store NGN value
     reference                     // optional, for tracking
   };
@@ -111,16 +110,13 @@ router.post('/initialize', async (req, res) => {
       return res.status(400).json({ success: false, message: data.message });
     }
   } catch (error) {
-    console.error('Paystack Init Error:', error);
+    logger.error('Paystack Init Error:', error);
     res.status(500).json({ success: false, message: 'Failed to initialize payment.' });
   }
 });
 // ---------- POST /api/payment/verify ----------
-router.post('/verify', async (req, res) => {
+router.post('/verify', rateLimit('payment'), validate(schemas.verify), async (req, res) => {
   const { reference } = req.body;
-  if (!reference) {
-    return res.status(400).json({ success: false, message: 'Payment reference required.' });
-  }
 
   const options = {
     hostname: 'api.paystack.co',
@@ -134,9 +130,10 @@ router.post('/verify', async (req, res) => {
 
   try {
     const paystackResponse = await paystackRequest(options);
-    console.log(`Verifying ${reference}:`, paystackResponse.data?.status);
+    logger.info(`Verifying ${reference}:`, paystackResponse.data?.status);
 
     if (paystackResponse.data.status !== 'success') {
+      metrics.recordPaymentVerification('not_successful');
       return res.status(400).json({ success: false, message: 'Payment not successful or already used.' });
     }
 
@@ -146,13 +143,15 @@ router.post('/verify', async (req, res) => {
     // ----- AMOUNT VERIFICATION (critical) -----
     const expectedAmount = metadata?.expected_amount;
     if (expectedAmount && Math.abs(amountInNaira - expectedAmount) > 2000) {
-      console.error(`Amount mismatch for ${reference}: expected ${expectedAmount}, got ${amountInNaira}`);
+      logger.error(`Amount mismatch for ${reference}: expected ${expectedAmount}, got ${amountInNaira}`);
+      metrics.recordPaymentVerification('amount_mismatch');
       return res.status(400).json({ success: false, message: 'Payment amount does not match expected value. Contact support.' });
     }
 
     // ----- Prevent double processing -----
     const [existingRevenue] = await pool.query('SELECT id FROM revenue WHERE reference = ?', [reference]);
     if (existingRevenue.length > 0) {
+      metrics.recordPaymentVerification('already_processed');
       return res.status(200).json({ success: true, message: 'Transaction already processed.', alreadyProcessed: true });
     }
 
@@ -175,7 +174,8 @@ router.post('/verify', async (req, res) => {
     if (metadata.payment_for === 'enrollment') {
       const result = await createNewStudentFromEnrollment(metadata.enrollment_data);
       if (!result.success) {
-        console.error(`Enrollment failed after payment ${reference}: ${result.message}`);
+        logger.error(`Enrollment failed after payment ${reference}: ${result.message}`);
+        metrics.recordPaymentVerification('processing_failed');
         return res.status(500).json({ success: false, message: `Payment succeeded but profile creation failed. Contact admin with ref: ${reference}` });
       }
       actionResult = { message: 'Enrollment successful!', data: result.data };
@@ -191,22 +191,24 @@ router.post('/verify', async (req, res) => {
         generatedStudentId: result.data?.student_id,
         password: result.data?.temporary_password
       };
+      // Sent inline rather than queued: it carries the new login's password, which mustn't be stored in a job payload
       NotificationService.notifyPaymentReceived(paymentNotificationData).catch(err => {
-        console.error('Failed to send payment received notification:', err);
+        logger.error('Failed to send payment received notification:', err);
       });
 
       // Send admin notification for new enrollment
-      const [branchRows] = await pool.query('SELECT site_name FROM branches WHERE id = ?', [metadata.enrollment_data.branch_id]);
-      NotificationService.notifyAdminNewEnrollment({
-        studentName: `${metadata.enrollment_data.surname_name} ${metadata.enrollment_data.other_names || ''}`.trim(),
-        parentName: metadata.enrollment_data.father_name || metadata.enrollment_data.mother_name || 'Parent',
-        parentEmail: metadata.enrollment_data.parent_email,
-        parentPhone: metadata.enrollment_data.father_phone || metadata.enrollment_data.mother_phone,
-        amount: amountInNaira,
-        reference,
-        branchName: branchRows[0]?.site_name
-      }).catch(err => {
-        console.error('Failed to send admin enrollment notification:', err);
+      const branch = await getBranch(metadata.enrollment_data.branch_id);
+      enqueueQuietly('notification.send', {
+        template: 'notifyAdminNewEnrollment',
+        data: {
+          studentName: `${metadata.enrollment_data.surname_name} ${metadata.enrollment_data.other_names || ''}`.trim(),
+          parentName: metadata.enrollment_data.father_name || metadata.enrollment_data.mother_name || 'Parent',
+          parentEmail: metadata.enrollment_data.parent_email,
+          parentPhone: metadata.enrollment_data.father_phone || metadata.enrollment_data.mother_phone,
+          amount: amountInNaira,
+          reference,
+          branchName: branch?.site_name
+        },
       });
 
     } else if (metadata.payment_for === 'school_fees') {
@@ -257,30 +259,32 @@ router.post('/verify', async (req, res) => {
         [term_id, student_id]
       );
       if (studentInfo?.parent_email) {
-        NotificationService.notifySchoolFeesPayment({
-          parentEmail: studentInfo.parent_email,
+        enqueueQuietly('notification.send', {
+          template: 'notifySchoolFeesPayment',
+          data: {
+            parentEmail: studentInfo.parent_email,
+            parentName: studentInfo.parent_name,
+            amount: amountInNaira,
+            paymentDate: new Date(paid_at).toLocaleString(),
+            studentName: studentInfo.student_name,
+            term: studentInfo.term_name,
+            academicYear: studentInfo.academic_year,
+            transactionId: reference
+          },
+        });
+      }
+
+      enqueueQuietly('notification.send', {
+        template: 'notifyAdminSchoolFeesPayment',
+        data: {
+          studentName: studentInfo.student_name,
           parentName: studentInfo.parent_name,
           amount: amountInNaira,
           paymentDate: new Date(paid_at).toLocaleString(),
-          studentName: studentInfo.student_name,
           term: studentInfo.term_name,
           academicYear: studentInfo.academic_year,
           transactionId: reference
-        }).catch(err => {
-          console.error('Failed to send school fees notification:', err);
-        });
-      }
-
-      NotificationService.notifyAdminSchoolFeesPayment({
-        studentName: studentInfo.student_name,
-        parentName: studentInfo.parent_name,
-        amount: amountInNaira,
-        paymentDate: new Date(paid_at).toLocaleString(),
-        term: studentInfo.term_name,
-        academicYear: studentInfo.academic_year,
-        transactionId: reference
-      }).catch(err => {
-        console.error('Failed to send admin school fees notification:', err);
+        },
       });
 
     } else if (metadata.payment_for === 'acceptance') {
@@ -303,15 +307,16 @@ router.post('/verify', async (req, res) => {
         [new_student_id]
       );
       if (nsInfo?.parent_email) {
-        NotificationService.notifyPaymentReceived({
-          parentEmail: nsInfo.parent_email,
-          parentName: nsInfo.parent_name || 'Parent',
-          amount: amountInNaira,
-          reference,
-          paymentFor: 'Acceptance Fee',
-          studentName: nsInfo.student_name
-        }).catch(err => {
-          console.error('Failed to send acceptance fee notification:', err);
+        enqueueQuietly('notification.send', {
+          template: 'notifyPaymentReceived',
+          data: {
+            parentEmail: nsInfo.parent_email,
+            parentName: nsInfo.parent_name || 'Parent',
+            amount: amountInNaira,
+            reference,
+            paymentFor: 'Acceptance Fee',
+            studentName: nsInfo.student_name
+          },
         });
       }
 
@@ -351,6 +356,7 @@ router.post('/verify', async (req, res) => {
       }
     }
 
+    metrics.recordPaymentVerification('success');
     res.status(200).json({
       success: true,
       message: 'Payment verified and recorded.',
@@ -358,7 +364,8 @@ router.post('/verify', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Verification Error:', error);
+    logger.error('Verification Error:', error);
+    metrics.recordPaymentVerification('error');
     res.status(500).json({ success: false, message: 'Internal server error during verification.' });
   }
 });
@@ -380,7 +387,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     // You can re-use the same verification logic, but make sure it's idempotent
     // You could call an internal function or directly process here.
     // For simplicity, we can just log and optionally queue a job.
-    console.log(`Webhook: successful charge for reference ${reference}`);
+    logger.info(`Webhook: successful charge for reference ${reference}`);
     // Optionally: call your existing verification logic (but avoid duplicate responses)
   }
   res.sendStatus(200);
@@ -4,14 +4,21 @@ const bcrypt = require("bcryptjs");
 const { pool } = require("../database");
 const auth = require("../middleware/auth");
 const authorize = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/parents");
+const { revokeAllSessions } = require("../services/sessionService");
+const { listPage } = require("../services/listService");
+const { getCurrentTerm } = require("../services/lookupService");
+const { ordinal, positionOf } = require("../services/resultsService");
 const { v4: uuidv4 } = require("uuid");
+const logger = require("../services/logger");
 
 // @route   POST /api/parents
 // @desc    Create a new parent
 // @access  Admin, SuperAdmin
 router.post(
   "/",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.createParent)],
   async (req, res) => {
     const {
       name,
@@ -24,13 +31,6 @@ router.post(
       password,
     } = req.body;
 
-    if (!name || !email || !phone) {
-      return res.status(400).json({
-        success: false,
-        message: "Name, email, and phone are required.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -53,8 +53,8 @@ router.post(
       const finalPassword = password || phone; // Use phone number as password
       const hashedPassword = await bcrypt.hash(finalPassword, 10);
       await connection.query(
-        "INSERT INTO users (id, email, password) VALUES (?, ?, ?)",
-        [userId, email, hashedPassword]
+        "INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, ?)",
+        [userId, email, hashedPassword, !password]
       );
 
       // Assign Parent role
@@ -106,7 +106,7 @@ router.post(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Create parent error:", error);
+      logger.error("Create parent error:", error);
       res.status(500).json({
         success: false,
         message: "Server error while creating parent.",
@@ -141,43 +141,17 @@ async function isAuthorizedAdmin(adminUserId, parentId) {
   return children.length > 0;
 }
 
-function getOrdinal(n) {
-  if (n === null || n === undefined || n === 0) return null;
-  const s = ["th", "st", "nd", "rd"];
-  const v = n % 100;
-  return n + (s[(v - 20) % 10] || s[v] || s[0]);
-}
-
 // GET /api/parents - Get parents
 
 router.get(
   "/",
-  [auth, authorize(["SuperAdmin", "Admin"])],
+  [auth, authorize(["SuperAdmin", "Admin"]), validate(schemas.listParents)],
   async (req, res) => {
     try {
-      let query;
-      let queryParams = [];
+      let branchId = null;
 
       if (req.user.roles.includes("SuperAdmin")) {
-        if (req.query.branch_id) {
-          query = `
-            SELECT DISTINCT p.id, p.name, p.email, p.phone, u.created_at
-            FROM parents p
-            JOIN users u ON p.user_id = u.id
-            LEFT JOIN students s ON p.id = s.parent_id
-            WHERE s.branch_id = ? OR s.id IS NULL
-            ORDER BY u.created_at DESC
-          `;
-          queryParams.push(req.query.branch_id);
-        } else {
-          query = `
-            SELECT DISTINCT p.id, p.name, p.email, p.phone, u.created_at
-            FROM parents p
-            JOIN users u ON p.user_id = u.id
-            LEFT JOIN students s ON p.id = s.parent_id
-            ORDER BY u.created_at DESC
-          `;
-        }
+        branchId = req.query.branch_id || null;
       } else if (req.user.roles.includes("Admin")) {
         const [adminStaff] = await pool.query(
           "SELECT branch_id FROM staff WHERE user_id = ?",
@@ -197,22 +171,30 @@ router.get(
             message: "Admins cannot query other branches.",
           });
         }
-
-        query = `
-          SELECT DISTINCT p.id, p.name, p.email, p.phone, u.created_at
-          FROM parents p
-          JOIN users u ON p.user_id = u.id
-          LEFT JOIN students s ON p.id = s.parent_id
-          WHERE s.branch_id = ? OR s.id IS NULL
-          ORDER BY u.created_at DESC
-        `;
-        queryParams.push(adminBranchId);
+        branchId = adminBranchId;
       }
 
-      const [parents] = await pool.query(query, queryParams);
-      res.json({ success: true, data: parents });
+      // Parents with a child in the branch, plus parents with no children yet
+      const where = branchId
+        ? [
+            `(EXISTS (SELECT 1 FROM students s WHERE s.parent_id = p.id AND s.branch_id = ?)
+              OR NOT EXISTS (SELECT 1 FROM students s WHERE s.parent_id = p.id))`,
+          ]
+        : [];
+
+      const { rows: parents, pagination } = await listPage(req, {
+        select: "p.id, p.name, p.email, p.phone, u.created_at",
+        from: "parents p JOIN users u ON p.user_id = u.id",
+        where,
+        params: branchId ? [branchId] : [],
+        search: ["p.name", "p.email", "p.phone"],
+        sortable: { name: "p.name", created_at: "u.created_at" },
+        defaultSort: "-created_at",
+        key: "p.id",
+      });
+      res.json({ success: true, data: parents, pagination });
     } catch (error) {
-      console.error("Error fetching parents:", error);
+      logger.error("Error fetching parents:", error);
       res.status(500).json({
         success: false,
         message: "Server error while fetching parents.",
@@ -343,7 +325,7 @@ router.get("/fees-summary", [auth, authorize(["Parent"])], async (req, res) => {
     allFees.sort((a, b) => new Date(a.date) - new Date(b.date));
     res.json({ success: true, data: allFees });
   } catch (error) {
-    console.error("Error fetching parent's fees summary:", error);
+    logger.error("Error fetching parent's fees summary:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching payment information.",
@@ -529,7 +511,7 @@ router.get(
 
       res.json({ success: true, data: wardsData });
     } catch (error) {
-      console.error("Error fetching parent's wards summary:", error);
+      logger.error("Error fetching parent's wards summary:", error);
       res.status(500).json({
         success: false,
         message: "Server error while fetching your children's data.",
@@ -573,26 +555,16 @@ router.get(
 
       const resultsData = await Promise.all(
         children.map(async (child) => {
-          const [terms] = await pool.query(
-            "SELECT id, start_date, end_date FROM terms WHERE branch_id = ? AND is_active = TRUE",
-            [child.branch_id]
-          );
-          if (terms.length === 0) {
-            const [globalTerms] = await pool.query(
-              "SELECT id, start_date, end_date FROM terms WHERE branch_id IS NULL AND is_active = TRUE"
-            );
-            if (globalTerms.length === 0) {
-              return {
-                child_id: child.id,
-                child_name: `${child.first_name} ${child.last_name}`,
-                class_name: child.class_name,
-                attendance: "N/A",
-                exam_results: [],
-              };
-            }
-            terms.push(globalTerms[0]);
+          const term = await getCurrentTerm(child.branch_id);
+          if (!term) {
+            return {
+              child_id: child.id,
+              child_name: `${child.first_name} ${child.last_name}`,
+              class_name: child.class_name,
+              attendance: "N/A",
+              exam_results: [],
+            };
           }
-          const term = terms[0];
           const term_id = term.id;
           const term_start_date = term.start_date;
           const term_end_date =
@@ -640,9 +612,9 @@ router.get(
               );
 
               const scores = classScores.map((s) => parseFloat(s.score));
-              const rank = scores.indexOf(parseFloat(result.score)) + 1;
+              const rank = positionOf(parseFloat(result.score), scores);
 
-              result.position = getOrdinal(rank);
+              result.position = rank > 0 ? ordinal(rank) : null;
               return result;
             })
           );
@@ -659,7 +631,7 @@ router.get(
 
       res.json({ success: true, data: resultsData });
     } catch (err) {
-      console.error("Error fetching children exam results:", err);
+      logger.error("Error fetching children exam results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching exam results.",
@@ -723,8 +695,6 @@ router.get("/admission-progress", [auth, authorize(["Parent"])], async (req, res
         [ns.student_id]
       );
 
-      console.log('exam results for child', examResults[0])
-
       const hasExamResult = examResults.length > 0;
       const examPassed = hasExamResult && examResults.some(r => parseFloat(r.score) >= 50);
 
@@ -780,7 +750,7 @@ router.get("/admission-progress", [auth, authorize(["Parent"])], async (req, res
 
     res.json({ success: true, data: children });
   } catch (error) {
-    console.error("Error fetching admission progress:", error);
+    logger.error("Error fetching admission progress:", error);
     res.status(500).json({ success: false, message: "Server error while fetching admission progress." });
   }
 });
@@ -873,14 +843,14 @@ router.get("/payment-history", [auth, authorize(["Parent"])], async (req, res) =
 
     res.json({ success: true, data: allPayments });
   } catch (error) {
-    console.error("Error fetching payment history:", error);
+    logger.error("Error fetching payment history:", error);
     res.status(500).json({ success: false, message: "Server error while fetching payment history." });
   }
 });
 
 router.get(
   "/:id",
-  [auth, authorize(["SuperAdmin", "Admin"])],
+  [auth, authorize(["SuperAdmin", "Admin"]), validate(schemas.getParent)],
   async (req, res) => {
     const { id } = req.params;
     try {
@@ -918,7 +888,7 @@ router.get(
 
       res.json({ success: true, data: parent });
     } catch (error) {
-      console.error("Error fetching parent:", error);
+      logger.error("Error fetching parent:", error);
       res.status(500).json({
         success: false,
         message: "Server error while fetching parent details.",
@@ -929,7 +899,7 @@ router.get(
 
 router.put(
   "/:id",
-  [auth, authorize(["SuperAdmin", "Admin"])],
+  [auth, authorize(["SuperAdmin", "Admin"]), validate(schemas.updateParent)],
   async (req, res) => {
     const { id } = req.params;
     const {
@@ -1012,7 +982,7 @@ router.put(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Error updating parent:", error);
+      logger.error("Error updating parent:", error);
       res.status(500).json({
         success: false,
         message: "Server error while updating parent details.",
@@ -1025,7 +995,7 @@ router.put(
 
 router.post(
   "/:id/reset-password",
-  [auth, authorize(["SuperAdmin", "Admin"])],
+  [auth, authorize(["SuperAdmin", "Admin"]), validate(schemas.resetPassword)],
   async (req, res) => {
     const { id } = req.params;
 
@@ -1060,10 +1030,11 @@ router.post(
       }
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      await pool.query("UPDATE users SET password = ? WHERE id = ?", [
-        hashedPassword,
-        parent.user_id,
-      ]);
+      await pool.query(
+        "UPDATE users SET password = ?, must_change_password = TRUE WHERE id = ?",
+        [hashedPassword, parent.user_id]
+      );
+      await revokeAllSessions(parent.user_id);
 
       res.json({
         success: true,
@@ -1076,7 +1047,7 @@ router.post(
         },
       });
     } catch (error) {
-      console.error("Error resetting parent password:", error);
+      logger.error("Error resetting parent password:", error);
       res.status(500).json({
         success: false,
         message: "Server error while resetting password.",
@@ -1085,7 +1056,7 @@ router.post(
   }
 );
 
-router.delete("/:id", [auth, authorize(["SuperAdmin"])], async (req, res) => {
+router.delete("/:id", [auth, authorize(["SuperAdmin"]), validate(schemas.deleteParent)], async (req, res) => {
   const { id } = req.params;
   const connection = await pool.getConnection();
 
@@ -1129,7 +1100,7 @@ router.delete("/:id", [auth, authorize(["SuperAdmin"])], async (req, res) => {
     res.json({ success: true, message: "Parent deleted successfully." });
   } catch (error) {
     await connection.rollback();
-    console.error("Error deleting parent:", error);
+    logger.error("Error deleting parent:", error);
     res
       .status(500)
       .json({ success: false, message: "Server error while deleting parent." });
@@ -3,6 +3,11 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/payments');
+const { recordAudit } = require('../services/auditService');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 async function getAdminBranchId(userId) {
     const [rows] = await pool.query(
@@ -13,13 +18,9 @@ async function getAdminBranchId(userId) {
 }
 
 // POST /api/payments - Parent pays fees
-router.post('/', [auth, authorize(['Parent'])], async (req, res) => {
+router.post('/', [auth, authorize(['Parent']), validate(schemas.payFees)], async (req, res) => {
     const { student_id, term_id, amount_paid } = req.body;
 
-    if (!student_id || !term_id || !amount_paid) {
-        return res.status(400).json({ success: false, message: 'Missing required fields.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -67,7 +68,7 @@ router.post('/', [auth, authorize(['Parent'])], async (req, res) => {
         res.status(201).json({ success: true, message: 'Payment made successfully.', data: newPayment });
     } catch (error) {
         await connection.rollback();
-        console.error('Make payment error:', error);
+        logger.error('Make payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while making payment.' });
     } finally {
         connection.release();
@@ -75,7 +76,7 @@ router.post('/', [auth, authorize(['Parent'])], async (req, res) => {
 });
 
 // GET /api/payments/history/:childId - Fetch payment history for a child
-router.get('/history/:childId', [auth, authorize(['Parent'])], async (req, res) => {
+router.get('/history/:childId', [auth, authorize(['Parent']), validate(schemas.history)], async (req, res) => {
     const { childId } = req.params;
 
     try {
@@ -94,13 +95,13 @@ router.get('/history/:childId', [auth, authorize(['Parent'])], async (req, res)
         const [payments] = await pool.query('SELECT p.*, t.name as term_name FROM payments p JOIN terms t ON p.term_id = t.id WHERE p.student_id = ? ORDER BY p.payment_date DESC', [childId]);
         res.json({ success: true, data: payments });
     } catch (error) {
-        console.error('Get payment history error:', error);
+        logger.error('Get payment history error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payment history.' });
     }
 });
 
 // GET /api/payments/status/:childId - Show current term payment status
-router.get('/status/:childId', [auth, authorize(['Parent'])], async (req, res) => {
+router.get('/status/:childId', [auth, authorize(['Parent']), validate(schemas.status)], async (req, res) => {
     const { childId } = req.params;
 
     try {
@@ -127,17 +128,33 @@ router.get('/status/:childId', [auth, authorize(['Parent'])], async (req, res) =
 
         res.json({ success: true, data: { status } });
     } catch (error) {
-        console.error('Get payment status error:', error);
+        logger.error('Get payment status error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payment status.' });
     }
 });
 
-router.get('/admin/payments', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    const { class_id, term_id, branch_id, status, student_id, limit = 50, offset = 0 } = req.query;
-
+router.get('/admin/payments', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listPayments)], async (req, res) => {
     try {
-        let query = `
-            SELECT 
+        const where = [];
+        const params = [];
+
+        if (req.user.roles.includes('Admin')) {
+            const adminBranchId = await getAdminBranchId(req.user.id);
+            if (adminBranchId) {
+                where.push('s.branch_id = ?');
+                params.push(adminBranchId);
+            } else {
+                return res.json({ success: true, data: [], total: 0, pagination: emptyPagination(req) });
+            }
+        }
+
+        if (req.query.branch_id && req.user.roles.includes('SuperAdmin')) {
+            where.push('s.branch_id = ?');
+            params.push(req.query.branch_id);
+        }
+
+        const { rows: payments, pagination } = await listPage(req, {
+            select: `
                 p.id,
                 p.student_id,
                 p.term_id,
@@ -154,67 +171,37 @@ router.get('/admin/payments', [auth, authorize(['Admin', 'SuperAdmin'])], async
                 t.name as term_name,
                 t.session,
                 b.school_name as branch_name,
-                IFNULL(sps.status, 'Not Paid') as payment_status
-            FROM payments p
+                IFNULL(sps.status, 'Not Paid') as payment_status`,
+            from: `payments p
             JOIN students s ON p.student_id = s.id
             JOIN classes c ON s.class_id = c.id
             JOIN branches b ON s.branch_id = b.id
             JOIN terms t ON p.term_id = t.id
-            LEFT JOIN student_payment_statuses sps ON sps.student_id = p.student_id AND sps.term_id = p.term_id
-            WHERE 1=1
-        `;
-        const queryParams = [];
-
-        if (req.user.roles.includes('Admin')) {
-            const adminBranchId = await getAdminBranchId(req.user.id);
-            if (adminBranchId) {
-                query += ' AND s.branch_id = ?';
-                queryParams.push(adminBranchId);
-            } else {
-                return res.json({ success: true, data: [], total: 0 });
-            }
-        }
-
-        if (class_id) {
-            query += ' AND s.class_id = ?';
-            queryParams.push(class_id);
-        }
-
-        if (term_id) {
-            query += ' AND p.term_id = ?';
-            queryParams.push(term_id);
-        }
-
-        if (branch_id && req.user.roles.includes('SuperAdmin')) {
-            query += ' AND s.branch_id = ?';
-            queryParams.push(branch_id);
-        }
-
-        if (student_id) {
-            query += ' AND p.student_id = ?';
-            queryParams.push(student_id);
-        }
-
-        if (status) {
-            query += ' AND IFNULL(sps.status, "Not Paid") = ?';
-            queryParams.push(status);
-        }
-
-        const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
-        const [[{ total }]] = await pool.query(countQuery, queryParams);
-
-        query += ' ORDER BY p.payment_date DESC LIMIT ? OFFSET ?';
-        queryParams.push(parseInt(limit), parseInt(offset));
-
-        const [payments] = await pool.query(query, queryParams);
-        res.json({ success: true, data: payments, total, limit: parseInt(limit), offset: parseInt(offset) });
+            LEFT JOIN student_payment_statuses sps ON sps.student_id = p.student_id AND sps.term_id = p.term_id`,
+            where,
+            params,
+            filters: {
+                class_id: 's.class_id',
+                term_id: 'p.term_id',
+                student_id: 'p.student_id',
+                status: "IFNULL(sps.status, 'Not Paid')",
+            },
+            search: ['p.reference', 's.first_name', 's.last_name'],
+            sortable: { payment_date: 'p.payment_date', amount_paid: 'p.amount_paid', created_at: 'p.created_at' },
+            defaultSort: '-payment_date',
+            key: 'p.id',
+        });
+
+        // total/limit/offset at the top level are kept for older clients
+        const { total, limit, offset } = pagination;
+        res.json({ success: true, data: payments, total, limit, offset, pagination });
     } catch (error) {
-        console.error('Get admin payments error:', error);
+        logger.error('Get admin payments error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payments.' });
     }
 });
 
-router.get('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.getPayment)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -263,12 +250,12 @@ router.get('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin'])], as
 
         res.json({ success: true, data: payments[0] });
     } catch (error) {
-        console.error('Get admin payment error:', error);
+        logger.error('Get admin payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching payment.' });
     }
 });
 
-router.patch('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.patch('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updatePayment)], async (req, res) => {
     const { id } = req.params;
     const { amount_paid, reference, payment_date } = req.body;
 
@@ -307,6 +294,7 @@ router.patch('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin'])],
 
         if (Object.keys(updates).length > 0) {
             await connection.query('UPDATE payments SET ? WHERE id = ?', [updates, id]);
+            await recordAudit(req, { action: 'payment.update', entityType: 'payment', entityId: id, branchId: payment.branch_id, before: payment, after: updates }, connection);
         }
 
         const [[{ total_due }]] = await connection.query(
@@ -330,20 +318,16 @@ router.patch('/admin/payments/:id', [auth, authorize(['Admin', 'SuperAdmin'])],
         res.json({ success: true, message: 'Payment updated successfully.', status: newStatus });
     } catch (error) {
         await connection.rollback();
-        console.error('Update payment error:', error);
+        logger.error('Update payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating payment.' });
     } finally {
         connection.release();
     }
 });
 
-router.post('/admin/payments/manual', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/admin/payments/manual', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createManualPayment)], async (req, res) => {
     const { student_id, term_id, amount_paid, reference, payment_date } = req.body;
 
-    if (!student_id || !term_id || !amount_paid) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: student_id, term_id, amount_paid.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -371,6 +355,7 @@ router.post('/admin/payments/manual', [auth, authorize(['Admin', 'SuperAdmin'])]
             reference: reference || null,
         };
         await connection.query('INSERT INTO payments SET ?', newPayment);
+        await recordAudit(req, { action: 'payment.manual_create', entityType: 'payment', entityId: newPayment.id, branchId: student[0].branch_id, after: newPayment }, connection);
 
         const [[{ total_due }]] = await connection.query(
             'SELECT SUM(amount) as total_due FROM fees WHERE class_id = ? AND term_id = ?',
@@ -393,93 +378,82 @@ router.post('/admin/payments/manual', [auth, authorize(['Admin', 'SuperAdmin'])]
         res.status(201).json({ success: true, message: 'Manual payment recorded successfully.', data: newPayment, status: newStatus });
     } catch (error) {
         await connection.rollback();
-        console.error('Manual payment error:', error);
+        logger.error('Manual payment error:', error);
         res.status(500).json({ success: false, message: 'Server error while recording manual payment.' });
     } finally {
         connection.release();
     }
 });
 
-router.get('/admin/revenue', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
-    const { branch_id, term_id, status, student_id, payment_for, limit = 50, offset = 0 } = req.query;
+router.get('/admin/revenue', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listRevenue)], async (req, res) => {
+    const { branch_id, term_id } = req.query;
 
     try {
-        let query = `
-            SELECT 
-                r.id,
-                r.student_id,
-                r.parent_id,
-                r.email,
-                r.amount,
-                r.reference,
-                r.status,
-                r.payment_for,
-                r.paid_at,
-                r.created_at,
-                s.first_name as student_first_name,
-                s.last_name as student_last_name,
-                s.branch_id,
-                s.class_id,
-                c.name as class_name,
-                c.arm,
-                b.school_name as branch_name
-            FROM revenue r
-            LEFT JOIN students s ON r.student_id = s.id
-            LEFT JOIN classes c ON s.class_id = c.id
-            LEFT JOIN branches b ON s.branch_id = b.id
-            WHERE 1=1
-        `;
-        const queryParams = [];
+        const where = [];
+        const params = [];
 
         if (req.user.roles.includes('Admin')) {
             const adminBranchId = await getAdminBranchId(req.user.id);
             if (adminBranchId) {
-                query += ' AND s.branch_id = ?';
-                queryParams.push(adminBranchId);
+                where.push('s.branch_id = ?');
+                params.push(adminBranchId);
             } else {
-                return res.json({ success: true, data: [], total: 0 });
+                return res.json({ success: true, data: [], total: 0, pagination: emptyPagination(req) });
             }
         }
 
         if (branch_id && req.user.roles.includes('SuperAdmin')) {
-            query += ' AND s.branch_id = ?';
-            queryParams.push(branch_id);
+            where.push('s.branch_id = ?');
+            params.push(branch_id);
         }
 
+        // A term also matches the revenue recorded against its sub-terms
         if (term_id) {
             const [termInfo] = await pool.query('SELECT id FROM terms WHERE id = ? OR parent_term_id = ?', [term_id, term_id]);
             const termIds = termInfo.map(t => t.id);
             if (termIds.length > 0) {
-                query += ` AND r.id IN (SELECT id FROM revenue WHERE term_id IN (${termIds.map(() => '?').join(',')}))`;
-                queryParams.push(...termIds);
+                where.push(`r.term_id IN (${termIds.map(() => '?').join(',')})`);
+                params.push(...termIds);
             }
         }
 
-        if (student_id) {
-            query += ' AND r.student_id = ?';
-            queryParams.push(student_id);
-        }
-
-        if (status) {
-            query += ' AND r.status = ?';
-            queryParams.push(status);
-        }
-
-        if (payment_for) {
-            query += ' AND r.payment_for = ?';
-            queryParams.push(payment_for);
-        }
-
-        const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
-        const [[{ total }]] = await pool.query(countQuery, queryParams);
-
-        query += ' ORDER BY r.paid_at DESC LIMIT ? OFFSET ?';
-        queryParams.push(parseInt(limit), parseInt(offset));
-
-        const [revenue] = await pool.query(query, queryParams);
-        res.json({ success: true, data: revenue, total, limit: parseInt(limit), offset: parseInt(offset) });
+        const { rows: revenue, pagination } = await listPage(req, {
+            select: `
+                r.id,
+                r.student_id,
+                r.parent_id,
+                r.email,
+                r.amount,
+                r.reference,
+                r.status,
+                r.payment_for,
+                r.paid_at,
+                r.created_at,
+                s.first_name as student_first_name,
+                s.last_name as student_last_name,
+                s.branch_id,
+                s.class_id,
+                c.name as class_name,
+                c.arm,
+                b.school_name as branch_name`,
+            from: `revenue r
+            LEFT JOIN students s ON r.student_id = s.id
+            LEFT JOIN classes c ON s.class_id = c.id
+            LEFT JOIN branches b ON s.branch_id = b.id`,
+            where,
+            params,
+            filters: { student_id: 'r.student_id', status: 'r.status', payment_for: 'r.payment_for' },
+            search: ['r.reference', 'r.email'],
+            sortable: { paid_at: 'r.paid_at', amount: 'r.amount', created_at: 'r.created_at' },
+            defaultSort: '-paid_at',
+            key: 'r.id',
+        });
+
+        // total/limit/offset at the top level are kept for older clients
+        const { total, limit, offset } = pagination;
+        res.json({ success: true, data: revenue, total, limit, offset, pagination });
     } catch (error) {
-        console.error('Get admin revenue error:', error);
+        logger.error('Get admin revenue error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching revenue.' });
     }
 });
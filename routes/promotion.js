@@ -3,17 +3,17 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/promotion');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../services/logger');
 
 // @route   POST /api/promote/students
 // @desc    Promote one or more students to a new class
 // @access  Teacher
-router.post('/students', [auth, authorize(['Teacher'])], async (req, res) => {
+router.post('/students', [auth, authorize(['Teacher']), validate(schemas.promoteStudents)], async (req, res) => {
     const { student_ids, next_class_id } = req.body;
 
-    if (!Array.isArray(student_ids) || student_ids.length === 0 || !next_class_id) {
-        return res.status(400).json({ success: false, message: 'An array of student IDs and a next class ID are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -108,6 +108,17 @@ router.post('/students', [auth, authorize(['Teacher'])], async (req, res) => {
             'UPDATE students SET class_id = ? WHERE id IN (?)',
             [next_class_id, student_ids]
         );
+        for (const student of students) {
+            await recordAudit(req, {
+                action: 'student.promote',
+                entityType: 'student',
+                entityId: student.id,
+                branchId: nextBranchId,
+                before: { class_id: student.class_id },
+                after: { class_id: next_class_id },
+                metadata: { session: nextSession }
+            }, connection);
+        }
 
         await connection.commit();
 
@@ -118,7 +129,7 @@ router.post('/students', [auth, authorize(['Teacher'])], async (req, res) => {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Error promoting students:', error);
+        logger.error('Error promoting students:', error);
         res.status(500).json({ success: false, message: error.message || 'Server error while promoting students.' });
     } finally {
         connection.release();
@@ -1,10 +1,40 @@
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
+const archiver = require("archiver");
 const { pool } = require("../database");
 const auth = require("../middleware/auth");
 const authorize = require("../middleware/authorize");
-const moment = require("moment");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/results");
+const { recordAudit } = require("../services/auditService");
+const { listPage, emptyPagination } = require("../services/listService");
+const {
+  seesUnpublished,
+  isSubjectTeacher4Class,
+  findReportCardStudent,
+  buildReportCard,
+  getReportCardSummary,
+  buildTermBroadsheet,
+  buildSessionResult,
+  buildSessionBroadsheet,
+  publishResults,
+  withheldResults,
+} = require("../services/resultsService");
+const { HttpError } = require("../middleware/errorHandler");
+const logger = require("../services/logger");
+const { getCurrentTerm } = require("../services/lookupService");
+const { getAssessmentStructure, scoreProblem } = require("../services/assessmentService");
+const { loadBranding, createReportCardPdf, toBuffer, fileSlug } = require("../services/reportCardPdf");
+const { toCsv, toXlsx } = require("../services/broadsheetExport");
+const {
+  ACTIONS: MODERATION_ACTIONS,
+  editProblem,
+  getSheetStatus,
+  moveSheet,
+  getClassModeration,
+} = require("../services/moderationService");
+const { getEffectivePermissions } = require("../services/permissionService");
 
 // Helper function to get staff info and verify teacher authorization
 async function getStaffInfo(userId) {
@@ -28,16 +58,6 @@ async function getAdminBranchId(userId) {
 
 
 
-async function isSubjectTeacher4Class(teacherId, classId) {
-  const [rows] = await pool.query(
-    "SELECT * FROM class_subjects WHERE teacher_id = ? AND class_id = ?",
-    [teacherId, classId]
-  );
-  return rows.length > 0;
-}
-
-
-
 // Helper function to check if user is a class teacher
 async function isClassTeacher(teacherStaffId, classId) {
   const [rows] = await pool.query(
@@ -87,92 +107,121 @@ async function canTeacherManageSubject(
   return false;
 }
 
-async function isSubjectTeacher4Class(teacherId, classId) {
-  const [rows] = await pool.query(
-    "SELECT id FROM class_subjects WHERE teacher_id = ? AND class_id = ?",
-    [teacherId, classId]
-  );
-  return rows.length > 0;
+// Why `user` may not see `student`'s report card, or null when they may
+async function reportCardAccessDenied(user, student) {
+  if (user.roles.includes("Student") && student.user_id !== user.id) {
+    return "You can only view your own results.";
+  }
+  if (user.roles.includes("Parent")) {
+    const [parent] = await pool.query("SELECT id FROM parents WHERE user_id = ?", [user.id]);
+    if (parent.length === 0 || parent[0].id !== student.parent_id) {
+      return "You can only view your own children's results.";
+    }
+  }
+  if (user.roles.includes("Teacher") && !user.roles.includes("Admin") && !user.roles.includes("SuperAdmin")) {
+    const staffInfo = await getStaffInfo(user.id);
+    if (!staffInfo) return "Staff record not found.";
+    const isClassTeacherResult = await isClassTeacher(staffInfo.id, student.class_id);
+    const teachesSubject = await isSubjectTeacher4Class(staffInfo.id, student.class_id);
+    if (!isClassTeacherResult && !teachesSubject) {
+      return "You can only view results for students in classes you teach or manage.";
+    }
+  }
+  if (user.roles.includes("Admin") && !user.roles.includes("SuperAdmin")) {
+    const staffInfo = await getStaffInfo(user.id);
+    if (staffInfo && staffInfo.branch_id !== student.branch_id) {
+      return "Admins can only view results for their own branch.";
+    }
+  }
+  return null;
 }
 
-// Helper function to format ordinal numbers (1st, 2nd, 3rd)
-function getOrdinal(n) {
-  if (n == null) return "";
-  const s = ["th", "st", "nd", "rd"];
-  const v = n % 100;
-  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+// Why `user` may not see the results of the whole class, or null when they may: teachers need to be
+// the class teacher, admins to be in the class's branch
+async function classResultsAccessDenied(user, classRow) {
+  if (!user.roles.includes("Admin") && !user.roles.includes("SuperAdmin")) {
+    const staffInfo = await getStaffInfo(user.id);
+    if (!staffInfo || !(await isClassTeacher(staffInfo.id, classRow.id))) {
+      return "Only the class teacher can view the whole class's results.";
+    }
+  }
+  if (user.roles.includes("Admin") && !user.roles.includes("SuperAdmin")) {
+    const staffInfo = await getStaffInfo(user.id);
+    if (staffInfo && staffInfo.branch_id !== classRow.branch_id) {
+      return "Admins can only view results for their own branch.";
+    }
+  }
+  return null;
+}
+
+// Where the user stands on a class subject's results for moderation: its subject teacher, the
+// class teacher and/or an approver (results.approve)
+async function moderationActor(user, staffInfo, subject) {
+  if (!user.permissions) {
+    user.permissions = await getEffectivePermissions(user.id, user.roles);
+  }
+  return {
+    subjectTeacher: Boolean(staffInfo) && subject.teacher_id === staffInfo.id,
+    classTeacher: Boolean(staffInfo) && (await isClassTeacher(staffInfo.id, subject.class_id)),
+    approver: user.permissions.includes("results.approve"),
+  };
+}
+
+// Why `user` may not see where a class's results are in moderation, or null when they may: teachers
+// need to be the class teacher or teach a subject in it, admins to be in the class's branch
+async function moderationAccessDenied(user, classRow) {
+  if (user.roles.includes("SuperAdmin")) return null;
+  const staffInfo = await getStaffInfo(user.id);
+  if (!staffInfo) return "Staff record not found.";
+  if (user.roles.includes("Admin")) {
+    return staffInfo.branch_id === classRow.branch_id ? null : "Admins can only view results for their own branch.";
+  }
+  const isClassTeacherResult = await isClassTeacher(staffInfo.id, classRow.id);
+  const teachesSubject = await isSubjectTeacher4Class(staffInfo.id, classRow.id);
+  if (!isClassTeacherResult && !teachesSubject) {
+    return "You can only view results for classes you teach or manage.";
+  }
+  return null;
+}
+
+// A publish route's message: `published` when nothing was held back, otherwise how many subjects'
+// results are still waiting for approval
+function publishMessage(published, publishedCount, withheld) {
+  if (withheld.length === 0) return published;
+  return `${publishedCount} result(s) published. Results in ${withheld.length} subject(s) were withheld pending approval.`;
+}
+
+// "2025-2026" -> "2025/2026"; sessions can't be written with a slash in a path
+const sessionFromParam = (session) => session.replace("-", "/");
+
+// "Ada-Obi-First-Term-2025-2026.pdf"
+function reportCardFileName(card) {
+  return `${fileSlug(card.student.name)}-${fileSlug(card.term.name)}-${fileSlug(card.term.session)}.pdf`;
+}
+
+// Render a student's report card and send it as a PDF download
+async function sendReportCardPdf(res, student, termId, options) {
+  const { data, message } = await buildReportCard(student, termId, options);
+  const branding = await loadBranding(student.branch_id);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${reportCardFileName(data)}"`);
+  createReportCardPdf(data, branding, message).pipe(res);
 }
 
 // POST /api/results/save - Save or update student results (Upsert)
 router.post(
   "/save",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.saveScores)],
   async (req, res) => {
     const { class_id, subject_id, assessment_type, exam_id, scores } = req.body;
 
-    // Validation
-    if (
-      !class_id ||
-      !subject_id ||
-      !assessment_type ||
-      !scores ||
-      !Array.isArray(scores)
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Missing required fields: class_id, subject_id, assessment_type, and scores array are required.",
-      });
-    }
-
-    // Validate assessment_type
-    const validAssessmentTypes = ["ca1", "ca2", "ca3", "ca4", "exam"];
-    if (!validAssessmentTypes.includes(assessment_type)) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Invalid assessment_type. Must be one of: ca1, ca2, ca3, ca4, exam",
-      });
-    }
-
-    if (scores.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Scores array cannot be empty.",
-      });
-    }
-
-    // Validate each score entry
-    for (const entry of scores) {
-      if (
-        !entry.student_id ||
-        entry.score === undefined ||
-        entry.score === null
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: "Each score entry must have student_id and score.",
-        });
-      }
-      if (
-        typeof entry.score !== "number" ||
-        entry.score < 0 ||
-        entry.score > 100
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: "Score must be a number between 0 and 100.",
-        });
-      }
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
       // Verify class exists and get branch_id
       const [classInfo] = await connection.query(
-        "SELECT id, branch_id FROM classes WHERE id = ?",
+        "SELECT id, branch_id, school_type FROM classes WHERE id = ?",
         [class_id]
       );
       if (classInfo.length === 0) {
@@ -261,11 +310,29 @@ router.post(
       let term_id = req.body.term_id || null;
       
       if (!term_id) {
-        const [activeTerm] = await connection.query(
-          "SELECT id FROM terms WHERE is_active = TRUE AND (branch_id = ? OR branch_id IS NULL) ORDER BY branch_id DESC LIMIT 1",
-          [branch_id]
-        );
-        term_id = activeTerm.length > 0 ? activeTerm[0].id : null;
+        const activeTerm = await getCurrentTerm(branch_id);
+        term_id = activeTerm ? activeTerm.id : null;
+      }
+
+      // Scores must fit the assessment structure the class is marked under this term
+      const structure = await getAssessmentStructure(branch_id, classInfo[0].school_type, term_id);
+      const scoreError = scoreProblem(structure, assessment_type, scores);
+      if (scoreError) {
+        await connection.rollback();
+        return res.status(422).json({ success: false, message: scoreError });
+      }
+
+      // Once the subject's results are in moderation, only the people reviewing them can make changes.
+      // The stage is read under a lock so the sheet can't be approved while these scores are saved.
+      const sheetStatus = await getSheetStatus(
+        { classId: class_id, subjectId: subject_id, termId: term_id },
+        connection,
+        { lock: true }
+      );
+      const editError = editProblem(sheetStatus, await moderationActor(req.user, staffInfo, subjectInfo[0]));
+      if (editError) {
+        await connection.rollback();
+        return res.status(409).json({ success: false, message: editError });
       }
 
       // Verify all students exist and belong to the class
@@ -292,7 +359,7 @@ router.post(
 
         // Check if a record already exists
         const [existing] = await connection.query(
-          "SELECT id FROM student_results WHERE student_id = ? AND subject_id = ? AND term_id = ? AND assessment_type = ?",
+          "SELECT id, score, teacher_id, exam_id FROM student_results WHERE student_id = ? AND subject_id = ? AND term_id = ? AND assessment_type = ?",
           [student_id, subject_id, term_id, assessment_type]
         );
 
@@ -302,6 +369,19 @@ router.post(
             "UPDATE student_results SET score = ?, teacher_id = ?, exam_id = ?, updated_at = NOW() WHERE id = ?",
             [score, staffInfo.id, exam_id || null, existing[0].id]
           );
+          await recordAudit(
+            req,
+            {
+              action: "result.update",
+              entityType: "student_result",
+              entityId: existing[0].id,
+              branchId: branch_id,
+              before: existing[0],
+              after: { score, teacher_id: staffInfo.id, exam_id: exam_id || null },
+              metadata: { student_id, subject_id, term_id, assessment_type },
+            },
+            connection
+          );
           updatedCount++;
         } else {
           // Insert new record
@@ -321,6 +401,17 @@ router.post(
               exam_id || null,
             ]
           );
+          await recordAudit(
+            req,
+            {
+              action: "result.create",
+              entityType: "student_result",
+              entityId: resultId,
+              branchId: branch_id,
+              after: { student_id, subject_id, term_id, assessment_type, score },
+            },
+            connection
+          );
           insertedCount++;
         }
       }
@@ -338,7 +429,7 @@ router.post(
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error saving results:", err);
+      logger.error("Error saving results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while saving results.",
@@ -354,18 +445,11 @@ router.post(
 // Optional query param: term_id (if not provided, uses active term)
 router.get(
   "/class/:class_id/subject/:subject_id",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.classSubjectScores)],
   async (req, res) => {
     const { class_id, subject_id } = req.params;
     const { assessment_type, term_id: queryTermId } = req.query;
 
-    if (!assessment_type) {
-      return res.status(400).json({
-        success: false,
-        message: "The assessment_type query parameter is required.",
-      });
-    }
-
     const validTypes = ["ca1", "ca2", "ca3", "ca4", "exam"];
     if (!validTypes.includes(assessment_type)) {
       return res.status(400).json({
@@ -443,11 +527,8 @@ router.get(
       let term_id = queryTermId || null;
       
       if (!term_id) {
-        const [activeTerm] = await pool.query(
-          "SELECT id FROM terms WHERE is_active = TRUE AND (branch_id = ? OR branch_id IS NULL) ORDER BY branch_id DESC LIMIT 1",
-          [branch_id]
-        );
-        term_id = activeTerm.length > 0 ? activeTerm[0].id : null;
+        const activeTerm = await getCurrentTerm(branch_id);
+        term_id = activeTerm ? activeTerm.id : null;
       }
 
       if (!term_id) {
@@ -484,7 +565,7 @@ router.get(
         data: results,
       });
     } catch (err) {
-      console.error("Error fetching results:", err);
+      logger.error("Error fetching results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching results.",
@@ -496,481 +577,46 @@ router.get(
 // GET /api/results/me/report-card - Get a formatted report card for the logged-in student
 router.get(
   "/me/report-card",
-  [auth, authorize(["Student", "Parent"])],
-  async (req, res) => {
-    const { term_id } = req.query;
-
-    if (!term_id) {
+  [auth, authorize(["Student", "Parent"]), validate(schemas.myReportCard)],
+  async (req, res, next) => {
+    // A parent can have several children, so they have to say which one
+    if (!req.user.roles.includes("Student")) {
       return res.status(400).json({
         success: false,
-        message: "The term_id query parameter is required.",
+        message: "Parents must use /student/:student_id/report-card to view a child's report card.",
       });
     }
 
-    const connection = await pool.getConnection();
     try {
-      // 1. Resolve student from logged-in user
-      let studentLookupQuery;
-      let studentLookupParams;
-
-      if (req.user.roles.includes("Student")) {
-        studentLookupQuery =
-          "SELECT s.id as id, u.email as email, s.class_id, s.branch_id, s.user_id, s.parent_id, s.first_name, s.last_name, s.gender, s.dob, s.passport FROM students s JOIN users u ON s.user_id = u.id WHERE s.user_id = ?";
-        studentLookupParams = [req.user.id];
-      } else if (req.user.roles.includes("Parent")) {
-        // For parents hitting /me, we still need a student_id query param
-        // since a parent can have multiple children — return an error directing them
-        // to use the /student/:student_id/report-card endpoint instead.
-        return res.status(400).json({
-          success: false,
-          message: "Parents must use /student/:student_id/report-card to view a child's report card.",
-        });
-      }
-
-      const [student] = await connection.query(studentLookupQuery, studentLookupParams);
-      if (student.length === 0) {
+      const student = await findReportCardStudent({ userId: req.user.id });
+      if (!student) {
         return res.status(404).json({ success: false, message: "Student not found." });
       }
-      const studentData = student[0];
-      const student_id = studentData.id;
-
-      // 2. Get Term and Class Info
-      const [termInfo] = await connection.query(
-        "SELECT id, name, session, start_date, end_date, next_term_begins FROM terms WHERE id = ?",
-        [term_id]
-      );
-      if (termInfo.length === 0) {
-        return res.status(404).json({ success: false, message: "Term not found." });
-      }
-      const currentTerm = termInfo[0];
-
-      // Current student's class (used for auth/display fallback)
-      const [classInfo] = await connection.query("SELECT name, arm FROM classes WHERE id = ?", [studentData.class_id]);
-      if (classInfo.length === 0) {
-        return res.status(404).json({ success: false, message: "Class not found for this student." });
-      }
-
-      const termOrder = { "First Term": 1, "Second Term": 2, "Third Term": 3 };
-      const currentTermOrder = termOrder[currentTerm.name] || 0;
-
-      const [previousTerms] = await connection.query(
-        `SELECT id, name, session FROM terms 
-         WHERE session = ? AND id != ? 
-         AND (CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 0 END) < ? 
-         ORDER BY CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 4 END`,
-        [currentTerm.session, term_id, currentTermOrder]
-      );
-
-      const [nextTerm] = await connection.query(
-        `SELECT id, name, session, start_date FROM terms 
-         WHERE session = ? AND id != ? 
-         AND (CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 0 END) > ? 
-         ORDER BY CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 4 END 
-         LIMIT 1`,
-        [currentTerm.session, term_id, currentTermOrder]
-      );
-
-      const previousTermIds = previousTerms.map((t) => t.id);
-
-      // --- Helper: build empty cumulative response ---
-      const buildEmptyCumulativeResponse = (cumulBySubject, cumulTermsData, classRow) => {
-        const bySubjectData = Object.values(cumulBySubject).map((subj) => {
-          const termScores = {};
-          previousTerms.forEach((t) => {
-            termScores[t.name] = subj.scores_by_term?.[t.id] || 0;
-          });
-          return {
-            subject: subj.subject_name,
-            ...termScores,
-            cumulative: subj.total || 0,
-            best_term: subj.best_term || 0,
-          };
-        });
-        const grandTotal = Object.values(cumulBySubject).reduce((sum, s) => sum + (s.total || 0), 0);
-        const subjectCount = Object.keys(cumulBySubject).length;
-        const overallAverage = subjectCount > 0 ? grandTotal / subjectCount : 0;
-
-        return {
-          student: {
-            name: `${studentData.first_name} ${studentData.last_name}`,
-            class: classRow.name.trim(),
-            arm: classRow.arm || "",
-          },
-          term: {
-            name: termInfo[0].name,
-            session: termInfo[0].session,
-            current_term: termInfo[0].name,
-            start_date: termInfo[0].start_date,
-            end_date: termInfo[0].end_date,
-            next_term: nextTerm.length > 0 ? nextTerm[0].start_date : null,
-            next_term_name: nextTerm.length > 0 ? nextTerm[0].name : null,
-            next_term_begins: termInfo[0].next_term_begins,
-          },
-          attendance: { school_opened: 0, present: 0, absent: 0 },
-          position: "N/A",
-          total_students: 0,
-          results: [],
-          config: { school_type: resultClassRow.school_type},
-          skills: { Affective: [], Psychomotor: [] },
-          comments: { teacher_comment: "", principal_comment: "" },
-          cumulative: {
-            terms: cumulTermsData,
-            cumulative_totals: {
-              by_subject: bySubjectData,
-              grand_total: grandTotal || null,
-              overall_average: parseFloat(overallAverage.toFixed(2)) || null,
-              total_possible: subjectCount * 100,
-            },
-          },
-        };
-      };
-
-      // 3. Fetch this student's own results for the term first.
-      //    Always filter by published=TRUE since this is a student-facing endpoint.
-      const studentOnlyQuery = `
-        SELECT sr.student_id, sr.class_id, sr.subject_id, cs.name as subject_name,
-               sr.assessment_type, sr.score
-        FROM student_results sr
-        JOIN class_subjects cs ON sr.subject_id = cs.id
-        WHERE sr.student_id = ? AND sr.term_id = ? AND sr.published = TRUE
-      `;
-      const [studentOwnResults] = await connection.query(studentOnlyQuery, [student_id, term_id]);
 
-      // Determine which class_id to use for class-wide ranking queries.
-      const resultClassId =
-        studentOwnResults.length > 0 ? studentOwnResults[0].class_id : studentData.class_id;
-
-      const [resultClassInfo] = await connection.query("SELECT name, arm, school_type FROM classes WHERE id = ?", [resultClassId]);
-      const resultClassRow = resultClassInfo.length > 0 ? resultClassInfo[0] : classInfo[0];
-
-      console.log("Student's own results for the term:", resultClassRow, classInfo[0], studentOwnResults);
-
-      // 4. Build cumulative (previous terms) data structures.
-      const newCumulativeResultsBySubject = {};
-      const cumulativeTermsData = [];
-
-      if (previousTermIds.length > 0) {
-        const [prevClassResults] = await connection.query(
-          `SELECT sr.student_id, sr.term_id, sr.subject_id, cs.name as subject_name,
-                  sr.assessment_type, sr.score
-           FROM student_results sr
-           JOIN class_subjects cs ON sr.subject_id = cs.id
-           WHERE sr.class_id = ? AND sr.term_id IN (?)`,
-          [resultClassId, previousTermIds]
-        );
-
-        const allTermsResultsByStudent = {};
-        prevClassResults.forEach((r) => {
-          const { student_id: sid, term_id: tid, subject_id: subid } = r;
-          if (!allTermsResultsByStudent[tid]) allTermsResultsByStudent[tid] = {};
-          if (!allTermsResultsByStudent[tid][sid])
-            allTermsResultsByStudent[tid][sid] = { subjects: {}, total_score: 0 };
-          if (!allTermsResultsByStudent[tid][sid].subjects[subid])
-            allTermsResultsByStudent[tid][sid].subjects[subid] = { subject_name: r.subject_name };
-          allTermsResultsByStudent[tid][sid].subjects[subid][r.assessment_type] = parseFloat(r.score);
-        });
-
-        Object.keys(allTermsResultsByStudent).forEach((tid) => {
-          Object.values(allTermsResultsByStudent[tid]).forEach((s) => {
-            let termTotalScore = 0;
-            Object.values(s.subjects).forEach((subj) => {
-              const total =
-                (subj.ca1 || 0) + (subj.ca2 || 0) + (subj.ca3 || 0) + (subj.ca4 || 0) + (subj.exam || 0);
-              subj.total = total;
-              termTotalScore += total;
-            });
-            s.total_score = termTotalScore;
-          });
-        });
-
-        for (const term of previousTerms) {
-          const termResults = allTermsResultsByStudent[term.id] || {};
-          const studentResultsForTerm = termResults[student_id]?.subjects || {};
-          const studentTotalForTerm = termResults[student_id]?.total_score || 0;
-
-          const allStudentTotalsForTerm = Object.values(termResults).map((s) => s.total_score);
-          const sortedTotalsForTerm = [...allStudentTotalsForTerm].sort((a, b) => b - a);
-          const studentRankForTerm =
-            studentTotalForTerm > 0 ? sortedTotalsForTerm.indexOf(studentTotalForTerm) + 1 : null;
-
-          const subjectCount = Object.keys(studentResultsForTerm).length;
-          const termAverage = subjectCount > 0 ? studentTotalForTerm / subjectCount : 0;
-
-          cumulativeTermsData.push({
-            term_name: term.name,
-            term_id: term.id,
-            results: Object.values(studentResultsForTerm).map((subj) => ({
-              subject: subj.subject_name,
-              score: subj.total || 0,
-              total_possible: 100,
-            })),
-            term_total: studentTotalForTerm,
-            term_average: parseFloat(termAverage.toFixed(2)),
-            term_position: studentRankForTerm ? getOrdinal(studentRankForTerm) : null,
-            term_out_of: allStudentTotalsForTerm.length,
-          });
-        }
-
-        const [prevStudentResults] = await connection.query(
-          `SELECT sr.term_id, sr.subject_id, cs.name as subject_name,
-                  sr.assessment_type, sr.score
-           FROM student_results sr
-           JOIN class_subjects cs ON sr.subject_id = cs.id
-           WHERE sr.student_id = ? AND sr.term_id IN (?)`,
-          [student_id, previousTermIds]
-        );
-
-        prevStudentResults.forEach((r) => {
-          if (!newCumulativeResultsBySubject[r.subject_id]) {
-            newCumulativeResultsBySubject[r.subject_id] = {
-              subject_name: r.subject_name,
-              scores_by_term: {},
-            };
-          }
-          const score = parseFloat(r.score) || 0;
-          newCumulativeResultsBySubject[r.subject_id].scores_by_term[r.term_id] =
-            (newCumulativeResultsBySubject[r.subject_id].scores_by_term[r.term_id] || 0) + score;
-        });
-
-        Object.values(newCumulativeResultsBySubject).forEach((subj) => {
-          let total = 0;
-          let bestScore = 0;
-          Object.values(subj.scores_by_term).forEach((score) => {
-            total += score;
-            if (score > bestScore) bestScore = score;
-          });
-          subj.total = total;
-          subj.best_term = bestScore;
-        });
-      }
-
-      // 5. If the student has no results for this term, return cumulative data only.
-      if (studentOwnResults.length === 0) {
-        return res.status(200).json({
-          success: true,
-          data: buildEmptyCumulativeResponse(newCumulativeResultsBySubject, cumulativeTermsData, resultClassRow),
-          message: "No published results found for this student in the selected term.",
-        });
-      }
-
-      // 6. Fetch ALL classmates' results for this term (needed for ranking & subject stats).
-      const [allResults] = await connection.query(
-        `SELECT sr.student_id, sr.subject_id, cs.name as subject_name,
-                sr.assessment_type, sr.score
-         FROM student_results sr
-         JOIN class_subjects cs ON sr.subject_id = cs.id
-         WHERE sr.class_id = ? AND sr.term_id = ?`,
-        [resultClassId, term_id]
-      );
-
-      // 7. Process all results into nested structure for ranking
-      const resultsByStudent = {};
-
-      allResults.forEach((r) => {
-        const { student_id: sid, subject_id: subid } = r;
-        if (!resultsByStudent[sid]) resultsByStudent[sid] = { subjects: {}, total_score: 0 };
-        if (!resultsByStudent[sid].subjects[subid])
-          resultsByStudent[sid].subjects[subid] = { subject_name: r.subject_name };
-        resultsByStudent[sid].subjects[subid][r.assessment_type] = parseFloat(r.score);
-      });
-
-      Object.values(resultsByStudent).forEach((s) => {
-        let total = 0;
-        Object.values(s.subjects).forEach((subj) => {
-          subj.total =
-            (subj.ca1 || 0) + (subj.ca2 || 0) + (subj.ca3 || 0) + (subj.ca4 || 0) + (subj.exam || 0);
-          total += subj.total;
-        });
-        s.total_score = total;
-      });
-
-      // If the student somehow still has no entry (edge case), return empty
-      if (!resultsByStudent[student_id]) {
-        return res.status(200).json({
-          success: true,
-          data: buildEmptyCumulativeResponse(newCumulativeResultsBySubject, cumulativeTermsData, resultClassRow),
-          message: "No published results found for this student in the selected term.",
-        });
-      }
+      const { data, message } = await buildReportCard(student, req.query.term_id, { publishedOnly: true });
+      res.json({ success: true, data, ...(message && { message }) });
+    } catch (err) {
+      if (err instanceof HttpError) return next(err);
+      logger.error("Error fetching student report card:", err);
+      res.status(500).json({ success: false, message: "Server error while fetching report card." });
+    }
+  }
+);
 
-      // 8. Build the report card rows
-      const reportCard = [];
-      const subjectsInClass = [
-        ...new Map(
-          allResults.map((item) => [item.subject_id, { id: item.subject_id, name: item.subject_name }])
-        ).values(),
-      ];
-
-      for (const subject of subjectsInClass) {
-        const subjectScores = Object.values(resultsByStudent)
-          .map((s) => s.subjects[subject.id]?.total)
-          .filter((v) => v !== undefined && v !== null);
-
-        if (subjectScores.length === 0) continue;
-
-        const studentSubjectData = resultsByStudent[student_id]?.subjects[subject.id];
-        if (!studentSubjectData) continue;
-
-        const highest = Math.max(...subjectScores);
-        const lowest = Math.min(...subjectScores);
-        const average = subjectScores.reduce((a, b) => a + b, 0) / subjectScores.length;
-        const sortedScores = [...subjectScores].sort((a, b) => b - a);
-        const studentTotal = studentSubjectData.total;
-        const rank = sortedScores.indexOf(studentTotal) + 1;
-
-        let grade = "F";
-        if (studentTotal >= 80) grade = "A";
-        else if (studentTotal >= 70) grade = "B";
-        else if (studentTotal >= 60) grade = "C";
-        else if (studentTotal >= 50) grade = "D";
-        else if (studentTotal >= 40) grade = "E";
-
-        const prevTermCumulative = newCumulativeResultsBySubject[subject.id]?.total || 0;
-
-        reportCard.push({
-          subject: subject.name,
-          ca1: studentSubjectData.ca1 || 0,
-          ca2: studentSubjectData.ca2 || 0,
-          ca3: studentSubjectData.ca3 || 0,
-          ca4: studentSubjectData.ca4 || 0,
-          exam: studentSubjectData.exam || 0,
-          total: studentTotal,
-          grade,
-          position: getOrdinal(rank),
-          highest,
-          lowest,
-          average: parseFloat(average.toFixed(2)),
-          cumulative_from_previous_terms: prevTermCumulative,
-          grand_total: studentTotal + prevTermCumulative,
-        });
+// GET /api/results/me/report-card/pdf - The logged-in student's report card as a printable PDF
+router.get(
+  "/me/report-card/pdf",
+  [auth, authorize(["Student"]), validate(schemas.myReportCard)],
+  async (req, res, next) => {
+    try {
+      const student = await findReportCardStudent({ userId: req.user.id });
+      if (!student) {
+        return res.status(404).json({ success: false, message: "Student not found." });
       }
 
-      // 9. Overall class position
-      const allStudentTotals = Object.values(resultsByStudent).map((s) => s.total_score);
-      const sortedTotals = [...allStudentTotals].sort((a, b) => b - a);
-      const studentRank = sortedTotals.indexOf(resultsByStudent[student_id].total_score) + 1;
-
-      // 10. Attendance
-      const [attendance] = await connection.query(
-        `SELECT status, COUNT(*) as count 
-         FROM student_attendance 
-         WHERE student_id = ? AND date BETWEEN ? AND ? 
-         GROUP BY status`,
-        [student_id, termInfo[0].start_date, termInfo[0].end_date]
-      );
-      const attendanceData = {
-        Present: 0,
-        Absent: 0,
-        Late: 0,
-        ...Object.fromEntries(attendance.map((a) => [a.status, a.count])),
-      };
-      const schoolDays = moment(termInfo[0].end_date).diff(moment(termInfo[0].start_date), "days");
-
-      // 11. Skills
-      const [skills] = await connection.query(
-        "SELECT skill_type, skill_name, rating FROM student_skills WHERE student_id = ? AND term_id = ?",
-        [student_id, term_id]
-      );
-      const skillsData = { Affective: [], Psychomotor: [] };
-      skills.forEach((skill) => {
-        if (skillsData[skill.skill_type]) {
-          skillsData[skill.skill_type].push({ name: skill.skill_name, rating: skill.rating });
-        }
-      });
-
-      // 12. Comments
-      const [comments] = await connection.query(
-        "SELECT teacher_comment, principal_comment FROM report_card_comments WHERE student_id = ? AND term_id = ?",
-        [student_id, term_id]
-      );
-      const commentData = comments.length > 0 ? comments[0] : { teacher_comment: "", principal_comment: "" };
-
-      // 13. Final cumulative totals
-      const bySubjectData = Object.values(newCumulativeResultsBySubject).map((subj) => {
-        const termScores = {};
-        previousTerms.forEach((t) => {
-          termScores[t.name] = subj.scores_by_term[t.id] || 0;
-        });
-        return {
-          subject: subj.subject_name,
-          ...termScores,
-          cumulative: subj.total,
-          best_term: subj.best_term,
-        };
-      });
-
-      const cumulativeGrandTotal = Object.values(newCumulativeResultsBySubject).reduce(
-        (sum, s) => sum + (s.total || 0),
-        0
-      );
-      const subjectCountFinal = Object.keys(newCumulativeResultsBySubject).length;
-      const cumulativeOverallAverage = subjectCountFinal > 0 ? cumulativeGrandTotal / subjectCountFinal : 0;
-
-      res.json({
-        success: true,
-        data: {
-          student: {
-            name: `${studentData.first_name} ${studentData.last_name}`,
-            class: resultClassRow.name.trim(),
-            arm: resultClassRow.arm || "",
-            dob: studentData.dob,
-            gender: studentData.gender,
-            passport: studentData.passport,
-            student_id: studentData.email,
-          },
-          term: {
-            name: termInfo[0].name,
-            session: termInfo[0].session,
-            current_term: termInfo[0].name,
-            start_date: termInfo[0].start_date,
-            end_date: termInfo[0].end_date,
-            next_term: nextTerm.length > 0 ? nextTerm[0].start_date : null,
-            next_term_name: nextTerm.length > 0 ? nextTerm[0].name : null,
-            next_term_begins: termInfo[0].next_term_begins,
-          },
-          attendance: {
-            school_opened: schoolDays,
-            present: attendanceData.Present,
-            absent: attendanceData.Absent,
-          },
-          position: getOrdinal(studentRank),
-          total_students: allStudentTotals.length,
-          results: reportCard,
-          config: { school_type: resultClassRow.school_type || "Grade School" },
-          skills: skillsData,
-          comments: commentData,
-          cumulative: {
-            terms: cumulativeTermsData,
-            cumulative_totals: {
-              by_subject: bySubjectData,
-              grand_total: cumulativeGrandTotal || null,
-              overall_average: parseFloat(cumulativeOverallAverage.toFixed(2)) || null,
-              total_possible: subjectCountFinal * 100,
-            },
-          },
-        },
-      });
+      await sendReportCardPdf(res, student, req.query.term_id, { publishedOnly: true });
     } catch (err) {
-      console.error("Error fetching student report card:", err);
-      res.status(500).json({ success: false, message: "Server error while fetching report card." });
-    } finally {
-      if (connection) connection.release();
+      next(err);
     }
   }
 );
@@ -979,7 +625,7 @@ router.get(
 // Optional query param: term_id (if not provided, uses active term)
 router.get(
   "/student/:student_id",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"]), validate(schemas.studentResults)],
   async (req, res) => {
     const { student_id } = req.params;
     const { term_id: queryTermId } = req.query;
@@ -1073,11 +719,8 @@ router.get(
       let term_id = queryTermId || null;
       
       if (!term_id) {
-        const [activeTerm] = await pool.query(
-          "SELECT id FROM terms WHERE is_active = TRUE AND (branch_id = ? OR branch_id IS NULL) ORDER BY branch_id DESC LIMIT 1",
-          [studentData.branch_id]
-        );
-        term_id = activeTerm.length > 0 ? activeTerm[0].id : null;
+        const activeTerm = await getCurrentTerm(studentData.branch_id);
+        term_id = activeTerm ? activeTerm.id : null;
       }
 
       // Fetch results
@@ -1106,7 +749,7 @@ router.get(
         data: results,
       });
     } catch (err) {
-      console.error("Error fetching student results:", err);
+      logger.error("Error fetching student results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching student results.",
@@ -1118,14 +761,14 @@ router.get(
 // DELETE /api/results/:result_id - Delete a specific result
 router.delete(
   "/:result_id",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.deleteResult)],
   async (req, res) => {
     const { result_id } = req.params;
 
     try {
       // Get result info
       const [result] = await pool.query(
-        "SELECT id, subject_id, class_id, branch_id, teacher_id FROM student_results WHERE id = ?",
+        "SELECT * FROM student_results WHERE id = ?",
         [result_id]
       );
       if (result.length === 0) {
@@ -1176,15 +819,57 @@ router.delete(
         }
       }
 
-      // Delete the result
-      await pool.query("DELETE FROM student_results WHERE id = ?", [result_id]);
+      const [subjectInfo] = await pool.query(
+        "SELECT id, class_id, teacher_id FROM class_subjects WHERE id = ?",
+        [resultData.subject_id]
+      );
+      const actor = await moderationActor(req.user, staffInfo, subjectInfo[0]);
+
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Results locked by moderation can't be deleted either; the stage is read under a lock so
+        // the sheet can't move on before the delete commits
+        const sheetStatus = await getSheetStatus(
+          { classId: resultData.class_id, subjectId: resultData.subject_id, termId: resultData.term_id },
+          connection,
+          { lock: true }
+        );
+        const editError = editProblem(sheetStatus, actor);
+        if (editError) {
+          await connection.rollback();
+          return res.status(409).json({ success: false, message: editError });
+        }
+
+        // Delete the result
+        await connection.query("DELETE FROM student_results WHERE id = ?", [result_id]);
+        await recordAudit(
+          req,
+          {
+            action: "result.delete",
+            entityType: "student_result",
+            entityId: result_id,
+            branchId: resultData.branch_id,
+            before: resultData,
+          },
+          connection
+        );
+
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
 
       res.json({
         success: true,
         message: "Result deleted successfully.",
       });
     } catch (err) {
-      console.error("Error deleting result:", err);
+      logger.error("Error deleting result:", err);
       res.status(500).json({
         success: false,
         message: "Server error while deleting result.",
@@ -1193,29 +878,181 @@ router.delete(
   }
 );
 
+// GET /api/results/class/:class_id/moderation - Where each subject's results for a term are in
+// moderation, and which subjects are still outstanding (not yet approved)
+// Optional query param: term_id (if not provided, uses active term)
+router.get(
+  "/class/:class_id/moderation",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.classModeration)],
+  async (req, res, next) => {
+    try {
+      const [classes] = await pool.query("SELECT id, name, arm, branch_id FROM classes WHERE id = ?", [req.params.class_id]);
+      if (classes.length === 0) {
+        return res.status(404).json({ success: false, message: "Class not found." });
+      }
+      const classRow = classes[0];
+
+      const denied = await moderationAccessDenied(req.user, classRow);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
+      }
+
+      let term = null;
+      if (req.query.term_id) {
+        const [terms] = await pool.query("SELECT id, branch_id FROM terms WHERE id = ?", [req.query.term_id]);
+        term = terms[0] || null;
+      } else {
+        term = await getCurrentTerm(classRow.branch_id);
+      }
+      if (!term) {
+        return res.status(404).json({ success: false, message: "Term not found." });
+      }
+      // Terms without a branch are shared by every branch
+      if (term.branch_id && term.branch_id !== classRow.branch_id) {
+        return res.status(403).json({ success: false, message: "This term belongs to another branch." });
+      }
+
+      const { subjects, outstanding } = await getClassModeration(classRow.id, term.id);
+      res.json({
+        success: true,
+        message: outstanding.length === 0
+          ? "Every subject has been approved."
+          : `${outstanding.length} of ${subjects.length} subject(s) still outstanding.`,
+        data: {
+          class: { id: classRow.id, name: classRow.name, arm: classRow.arm },
+          term_id: term.id,
+          subjects,
+          outstanding,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Handler moving a class subject's results for a term on with one moderation action (submit,
+// review, approve or reject); see services/moderationService.js for who may do what
+function moderateResults(action) {
+  return async (req, res, next) => {
+    const { class_id, subject_id } = req.params;
+    const { note } = req.body;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [subjects] = await connection.query(
+        `SELECT cs.id, cs.name, cs.class_id, cs.teacher_id, c.branch_id
+         FROM class_subjects cs JOIN classes c ON c.id = cs.class_id
+         WHERE cs.id = ? AND cs.class_id = ?`,
+        [subject_id, class_id]
+      );
+      if (subjects.length === 0) {
+        throw new HttpError(404, "Subject not found in this class.");
+      }
+      const subject = subjects[0];
+
+      // Anyone below SuperAdmin can only moderate within their own branch
+      const staffInfo = await getStaffInfo(req.user.id);
+      if (!req.user.roles.includes("SuperAdmin") && (!staffInfo || staffInfo.branch_id !== subject.branch_id)) {
+        throw new HttpError(403, "You can only moderate results for your own branch.");
+      }
+
+      let term_id = req.body.term_id || null;
+      if (term_id) {
+        // The sheet is created for this term, so it must be the class's branch's term or a shared one
+        const [terms] = await connection.query("SELECT id, branch_id FROM terms WHERE id = ?", [term_id]);
+        if (terms.length === 0) throw new HttpError(404, "Term not found.");
+        if (terms[0].branch_id && terms[0].branch_id !== subject.branch_id) {
+          throw new HttpError(403, "This term belongs to another branch.");
+        }
+      } else {
+        const activeTerm = await getCurrentTerm(subject.branch_id);
+        if (!activeTerm) throw new HttpError(404, "No active term found for this branch.");
+        term_id = activeTerm.id;
+      }
+
+      const { before, after } = await moveSheet(
+        connection,
+        { classId: class_id, subjectId: subject_id, termId: term_id, branchId: subject.branch_id },
+        action,
+        await moderationActor(req.user, staffInfo, subject),
+        { userId: req.user.id, note }
+      );
+      await recordAudit(
+        req,
+        {
+          action: `results.${action}`,
+          entityType: "result_moderation",
+          entityId: after.id,
+          branchId: subject.branch_id,
+          before: { status: before.status },
+          after: { status: after.status, ...(action === "reject" && { rejection_note: note }) },
+          metadata: { class_id, subject_id, term_id },
+        },
+        connection
+      );
+
+      await connection.commit();
+
+      res.json({
+        success: true,
+        message: `${subject.name} results ${MODERATION_ACTIONS[action].done}.`,
+        data: after,
+      });
+    } catch (err) {
+      await connection.rollback();
+      next(err);
+    } finally {
+      connection.release();
+    }
+  };
+}
+
+// POST /api/results/class/:class_id/subject/:subject_id/submit - Subject teacher hands the results in for review
+router.post(
+  "/class/:class_id/subject/:subject_id/submit",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.moderateResults)],
+  moderateResults("submit")
+);
+
+// POST /api/results/class/:class_id/subject/:subject_id/review - Class teacher signs off submitted results
+router.post(
+  "/class/:class_id/subject/:subject_id/review",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.moderateResults)],
+  moderateResults("review")
+);
+
+// POST /api/results/class/:class_id/subject/:subject_id/approve - Principal or Admin approves reviewed
+// results, locking them until they are published
+router.post(
+  "/class/:class_id/subject/:subject_id/approve",
+  [auth, authorize.can("results.approve"), validate(schemas.moderateResults)],
+  moderateResults("approve")
+);
+
+// POST /api/results/class/:class_id/subject/:subject_id/reject - Send results back to Draft with a note
+router.post(
+  "/class/:class_id/subject/:subject_id/reject",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.rejectResults)],
+  moderateResults("reject")
+);
+
 // POST /api/results/publish-all - Publish all results for a specific session/term/class/arm
 router.post(
   "/publish-all",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize.can("results.publish"), validate(schemas.publishClass)],
   async (req, res) => {
     const { session, term, class: className, arm } = req.body;
 
-    // Validation
-    if (!session || !term || !className) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Missing required fields: session, term, and class are required.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
       // Get staff info for authorization
       const staffInfo = await getStaffInfo(req.user.id);
-      if (!staffInfo && req.user.roles.includes("Admin")) {
+      if (!staffInfo && !req.user.roles.includes("SuperAdmin")) {
         await connection.rollback();
         return res
           .status(403)
@@ -1262,44 +1099,49 @@ router.post(
       const class_id = classes[0].id;
       const class_branch_id = classes[0].branch_id;
 
-      // Authorization check for Admin
-      if (
-        req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
+      // Anyone below SuperAdmin can only publish within their own branch
+      if (!req.user.roles.includes("SuperAdmin")) {
         if (staffInfo.branch_id !== class_branch_id) {
           await connection.rollback();
           return res.status(403).json({
             success: false,
-            message: "Admins can only publish results for their own branch.",
+            message: "You can only publish results for your own branch.",
           });
         }
       }
 
       // Update all unpublished results for this class and term
-      const [updateResult] = await connection.query(
-        `UPDATE student_results 
-             SET published = TRUE, published_by = ?, published_at = NOW() 
-             WHERE class_id = ? AND term_id = ? AND published = FALSE`,
-        [req.user.id, class_id, term_id]
+      const publishedCount = await publishResults(connection, { termId: term_id, classId: class_id }, req.user.id);
+      const withheld = await withheldResults(connection, { termId: term_id, classId: class_id });
+      await recordAudit(
+        req,
+        {
+          action: "results.publish",
+          entityType: "class",
+          entityId: class_id,
+          branchId: class_branch_id,
+          metadata: { term_id, published_count: publishedCount, withheld_subjects: withheld.length },
+        },
+        connection
       );
 
       await connection.commit();
 
       res.status(200).json({
         success: true,
-        message: "Results published successfully.",
+        message: publishMessage("Results published successfully.", publishedCount, withheld),
         data: {
-          published_count: updateResult.affectedRows,
+          published_count: publishedCount,
           session,
           term,
           class: className,
           arm: arm || null,
+          withheld,
         },
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing results:", err);
+      logger.error("Error publishing results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while publishing results.",
@@ -1313,7 +1155,7 @@ router.post(
 // POST /api/results/term/:term_id/publish-all - Publish all results for a specific term
 router.post(
   "/term/:term_id/publish-all",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize.can("results.publish"), validate(schemas.publishTerm)],
   async (req, res) => {
     const { term_id } = req.params;
     const connection = await pool.getConnection();
@@ -1322,7 +1164,7 @@ router.post(
 
       // Get staff info for authorization
       const staffInfo = await getStaffInfo(req.user.id);
-      if (!staffInfo && req.user.roles.includes("Admin")) {
+      if (!staffInfo && !req.user.roles.includes("SuperAdmin")) {
         await connection.rollback();
         return res
           .status(403)
@@ -1342,42 +1184,47 @@ router.post(
       }
       const term_branch_id = terms[0].branch_id;
 
-      // Authorization check for Admin
-      if (
-        req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
+      // Anyone below SuperAdmin can only publish within their own branch
+      if (!req.user.roles.includes("SuperAdmin")) {
         if (staffInfo.branch_id !== term_branch_id) {
           await connection.rollback();
           return res.status(403).json({
             success: false,
             message:
-              "Admins can only publish results for terms in their own branch.",
+              "You can only publish results for terms in your own branch.",
           });
         }
       }
 
       // Update all unpublished results for this term
-      const [updateResult] = await connection.query(
-        `UPDATE student_results 
-             SET published = TRUE, published_by = ?, published_at = NOW() 
-             WHERE term_id = ? AND published = FALSE`,
-        [req.user.id, term_id]
+      const publishedCount = await publishResults(connection, { termId: term_id }, req.user.id);
+      const withheld = await withheldResults(connection, { termId: term_id });
+      await recordAudit(
+        req,
+        {
+          action: "results.publish",
+          entityType: "term",
+          entityId: term_id,
+          branchId: term_branch_id,
+          metadata: { published_count: publishedCount, withheld_subjects: withheld.length },
+        },
+        connection
       );
 
       await connection.commit();
 
       res.status(200).json({
         success: true,
-        message: "All results for the term published successfully.",
+        message: publishMessage("All results for the term published successfully.", publishedCount, withheld),
         data: {
-          published_count: updateResult.affectedRows,
+          published_count: publishedCount,
           term_id,
+          withheld,
         },
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing all term results:", err);
+      logger.error("Error publishing all term results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while publishing results.",
@@ -1391,19 +1238,11 @@ router.post(
 // POST /api/results/student/:student_id/publish - Publish results for a specific student
 router.post(
   "/student/:student_id/publish",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher"])],
+  [auth, authorize.can("results.publish"), validate(schemas.publishStudent)],
   async (req, res) => {
     const { student_id } = req.params;
     const { term_id, subject_ids } = req.body;
 
-    // Validation
-    if (!term_id) {
-      return res.status(400).json({
-        success: false,
-        message: "The term_id is required in the request body.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -1423,30 +1262,26 @@ router.post(
 
       // Get staff info for authorization
       const staffInfo = await getStaffInfo(req.user.id);
-      if (!staffInfo && req.user.roles.includes("Admin")) {
+      if (!staffInfo && !req.user.roles.includes("SuperAdmin")) {
         await connection.rollback();
         return res
           .status(403)
           .json({ success: false, message: "Staff record not found." });
       }
 
-      // Authorization check for Admin
-      if (
-        req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
+      // Anyone below SuperAdmin can only publish within their own branch
+      if (!req.user.roles.includes("SuperAdmin")) {
         if (staffInfo.branch_id !== studentData.branch_id) {
           await connection.rollback();
           return res.status(403).json({
             success: false,
-            message: "Admins can only publish results for their own branch.",
+            message: "You can only publish results for your own branch.",
           });
         }
       }
 
-      // Authorization check for Teacher
+      // Staff below Admin who were granted results.publish must teach or manage the student's class
       if (
-        req.user.roles.includes("Teacher") &&
         !req.user.roles.includes("Admin") &&
         !req.user.roles.includes("SuperAdmin")
       ) {
@@ -1464,44 +1299,54 @@ router.post(
           await connection.rollback();
           return res.status(403).json({
             success: false,
-            message:
-              "You can only publish results for students in classes you teach or manage.",
-          });
-        }
-      }
-
-      // Build the update query
-      let updateQuery = `
-        UPDATE student_results 
-        SET published = TRUE, published_by = ?, published_at = NOW() 
-        WHERE student_id = ? AND term_id = ? AND published = FALSE
-      `;
-      const queryParams = [req.user.id, student_id, term_id];
-
-      // If specific subjects are provided, only publish those
-      if (subject_ids && Array.isArray(subject_ids) && subject_ids.length > 0) {
-        updateQuery += " AND subject_id IN (?)";
-        queryParams.push(subject_ids);
+            message:
+              "You can only publish results for students in classes you teach or manage.",
+          });
+        }
       }
 
-      const [updateResult] = await connection.query(updateQuery, queryParams);
+      // If specific subjects are provided, only publish those
+      const scope = { termId: term_id, studentId: student_id, subjectIds: subject_ids };
+      const publishedCount = await publishResults(connection, scope, req.user.id);
+      const withheld = await withheldResults(connection, scope);
+      await recordAudit(
+        req,
+        {
+          action: "results.publish",
+          entityType: "student",
+          entityId: student_id,
+          branchId: studentData.branch_id,
+          metadata: {
+            term_id,
+            subject_ids: subject_ids || null,
+            published_count: publishedCount,
+            withheld_subjects: withheld.length,
+          },
+        },
+        connection
+      );
 
       await connection.commit();
 
       res.status(200).json({
         success: true,
-        message: `Results published successfully for ${studentData.first_name} ${studentData.last_name}.`,
+        message: publishMessage(
+          `Results published successfully for ${studentData.first_name} ${studentData.last_name}.`,
+          publishedCount,
+          withheld
+        ),
         data: {
-          published_count: updateResult.affectedRows,
+          published_count: publishedCount,
           student_id,
           student_name: `${studentData.first_name} ${studentData.last_name}`,
           term_id,
           subject_ids: subject_ids || "all subjects",
+          withheld,
         },
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing student results:", err);
+      logger.error("Error publishing student results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while publishing results.",
@@ -1515,19 +1360,11 @@ router.post(
 // POST /api/results/student/:student_id/publish-exam - Publish exam results for a specific student
 router.post(
   "/student/:student_id/publish-exam",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher"])],
+  [auth, authorize.can("results.publish"), validate(schemas.publishStudentExams)],
   async (req, res) => {
     const { student_id } = req.params;
     const { term_id, exam_ids } = req.body;
 
-    // Validation
-    if (!term_id) {
-      return res.status(400).json({
-        success: false,
-        message: "The term_id is required in the request body.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -1547,31 +1384,27 @@ router.post(
 
       // Get staff info for authorization
       const staffInfo = await getStaffInfo(req.user.id);
-      if (!staffInfo && req.user.roles.includes("Admin")) {
+      if (!staffInfo && !req.user.roles.includes("SuperAdmin")) {
         await connection.rollback();
         return res
           .status(403)
           .json({ success: false, message: "Staff record not found." });
       }
 
-      // Authorization check for Admin
-      if (
-        req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
+      // Anyone below SuperAdmin can only publish within their own branch
+      if (!req.user.roles.includes("SuperAdmin")) {
         if (staffInfo.branch_id !== studentData.branch_id) {
           await connection.rollback();
           return res.status(403).json({
             success: false,
             message:
-              "Admins can only publish exam results for their own branch.",
+              "You can only publish exam results for your own branch.",
           });
         }
       }
 
-      // Authorization check for Teacher
+      // Staff below Admin who were granted results.publish must teach or manage the student's class
       if (
-        req.user.roles.includes("Teacher") &&
         !req.user.roles.includes("Admin") &&
         !req.user.roles.includes("SuperAdmin")
       ) {
@@ -1610,6 +1443,21 @@ router.post(
       }
 
       const [updateResult] = await connection.query(updateQuery, queryParams);
+      await recordAudit(
+        req,
+        {
+          action: "exam_results.publish",
+          entityType: "student",
+          entityId: student_id,
+          branchId: studentData.branch_id,
+          metadata: {
+            term_id,
+            exam_ids: exam_ids || null,
+            published_count: updateResult.affectedRows,
+          },
+        },
+        connection
+      );
 
       await connection.commit();
 
@@ -1626,7 +1474,7 @@ router.post(
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing student exam results:", err);
+      logger.error("Error publishing student exam results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while publishing exam results.",
@@ -1640,19 +1488,11 @@ router.post(
 // POST /api/results/student/:student_id/publish-all - Publish both regular and exam results for a student
 router.post(
   "/student/:student_id/publish-all",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher"])],
+  [auth, authorize.can("results.publish"), validate(schemas.publishStudentAll)],
   async (req, res) => {
     const { student_id } = req.params;
     const { term_id } = req.body;
 
-    // Validation
-    if (!term_id) {
-      return res.status(400).json({
-        success: false,
-        message: "The term_id is required in the request body.",
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -1672,30 +1512,26 @@ router.post(
 
       // Get staff info for authorization
       const staffInfo = await getStaffInfo(req.user.id);
-      if (!staffInfo && req.user.roles.includes("Admin")) {
+      if (!staffInfo && !req.user.roles.includes("SuperAdmin")) {
         await connection.rollback();
         return res
           .status(403)
           .json({ success: false, message: "Staff record not found." });
       }
 
-      // Authorization check for Admin
-      if (
-        req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
+      // Anyone below SuperAdmin can only publish within their own branch
+      if (!req.user.roles.includes("SuperAdmin")) {
         if (staffInfo.branch_id !== studentData.branch_id) {
           await connection.rollback();
           return res.status(403).json({
             success: false,
-            message: "Admins can only publish results for their own branch.",
+            message: "You can only publish results for your own branch.",
           });
         }
       }
 
-      // Authorization check for Teacher
+      // Staff below Admin who were granted results.publish must teach or manage the student's class
       if (
-        req.user.roles.includes("Teacher") &&
         !req.user.roles.includes("Admin") &&
         !req.user.roles.includes("SuperAdmin")
       ) {
@@ -1719,12 +1555,8 @@ router.post(
       }
 
       // Publish student_results
-      const [studentResultsUpdate] = await connection.query(
-        `UPDATE student_results 
-         SET published = TRUE, published_by = ?, published_at = NOW() 
-         WHERE student_id = ? AND term_id = ? AND published = FALSE`,
-        [req.user.id, student_id, term_id]
-      );
+      const studentResultsPublished = await publishResults(connection, { termId: term_id, studentId: student_id }, req.user.id);
+      const withheld = await withheldResults(connection, { termId: term_id, studentId: student_id });
 
       // Publish exam_results
       const [examResultsUpdate] = await connection.query(
@@ -1733,28 +1565,49 @@ router.post(
          WHERE student_id = ? AND term_id = ? AND published = FALSE`,
         [req.user.id, student_id, term_id]
       );
+      await recordAudit(
+        req,
+        {
+          action: "results.publish",
+          entityType: "student",
+          entityId: student_id,
+          branchId: studentData.branch_id,
+          metadata: {
+            term_id,
+            student_results: studentResultsPublished,
+            exam_results: examResultsUpdate.affectedRows,
+            withheld_subjects: withheld.length,
+          },
+        },
+        connection
+      );
 
       await connection.commit();
 
       res.status(200).json({
         success: true,
-        message: `All results published successfully for ${studentData.first_name} ${studentData.last_name}.`,
+        message: publishMessage(
+          `All results published successfully for ${studentData.first_name} ${studentData.last_name}.`,
+          studentResultsPublished + examResultsUpdate.affectedRows,
+          withheld
+        ),
         data: {
           student_id,
           student_name: `${studentData.first_name} ${studentData.last_name}`,
           term_id,
           published: {
-            student_results: studentResultsUpdate.affectedRows,
+            student_results: studentResultsPublished,
             exam_results: examResultsUpdate.affectedRows,
             total:
-              studentResultsUpdate.affectedRows +
+              studentResultsPublished +
               examResultsUpdate.affectedRows,
           },
+          withheld,
         },
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Error publishing all student results:", err);
+      logger.error("Error publishing all student results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while publishing results.",
@@ -1768,7 +1621,7 @@ router.post(
 // GET /api/results - Get results with optional filters (session, term, class, arm)
 router.get(
   "/",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher"])],
+  [auth, authorize(["Admin", "SuperAdmin", "Teacher"]), validate(schemas.listResults)],
   async (req, res) => {
     const {
       session,
@@ -1951,7 +1804,7 @@ router.get(
 
       res.json(response);
     } catch (err) {
-      console.error("Error fetching results:", err);
+      logger.error("Error fetching results:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching results.",
@@ -1960,524 +1813,223 @@ router.get(
   }
 );
 
-// UPDATED TO SUPPORT PROMOTIONS
 // GET /api/results/student/:student_id/report-card
 router.get(
   "/student/:student_id/report-card",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"])],
-  async (req, res) => {
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"]), validate(schemas.studentReportCard)],
+  async (req, res, next) => {
     const { student_id } = req.params;
     const { term_id } = req.query;
 
-    if (!term_id) {
-      return res.status(400).json({
-        success: false,
-        message: "The term_id query parameter is required.",
-      });
-    }
-
-    const connection = await pool.getConnection();
     try {
       // 1. Verify student exists and perform authorization checks
-      const [student] = await connection.query(
-        "SELECT s.id as id, u.email as email, s.class_id, s.branch_id, s.user_id, s.parent_id, s.first_name, s.last_name, s.gender, s.dob, s.passport FROM students s JOIN users u ON s.user_id = u.id WHERE s.id = ?",
-        [student_id]
-      );
-      if (student.length === 0) {
+      const studentData = await findReportCardStudent({ studentId: student_id });
+      if (!studentData) {
         return res.status(404).json({ success: false, message: "Student not found." });
       }
-      const studentData = student[0];
 
-      // Authorization checks
-      if (req.user.roles.includes("Student")) {
-        if (studentData.user_id !== req.user.id) {
-          return res.status(403).json({ success: false, message: "You can only view your own results." });
-        }
-      }
-      if (req.user.roles.includes("Parent")) {
-        const [parent] = await connection.query("SELECT id FROM parents WHERE user_id = ?", [req.user.id]);
-        if (parent.length === 0 || parent[0].id !== studentData.parent_id) {
-          return res.status(403).json({ success: false, message: "You can only view your own children's results." });
-        }
-      }
-      if (
-        req.user.roles.includes("Teacher") &&
-        !req.user.roles.includes("Admin") &&
-        !req.user.roles.includes("SuperAdmin")
-      ) {
-        const staffInfo = await getStaffInfo(req.user.id);
-        if (!staffInfo)
-          return res.status(403).json({ success: false, message: "Staff record not found." });
-        const isClassTeacherResult = await isClassTeacher(staffInfo.id, studentData.class_id);
-        const teachesSubject = await isSubjectTeacher4Class(staffInfo.id, studentData.class_id);
-        if (!isClassTeacherResult && !teachesSubject) {
-          return res.status(403).json({
-            success: false,
-            message: "You can only view results for students in classes you teach or manage.",
-          });
-        }
-      }
-      if (req.user.roles.includes("Admin") && !req.user.roles.includes("SuperAdmin")) {
-        const staffInfo = await getStaffInfo(req.user.id);
-        if (staffInfo && staffInfo.branch_id !== studentData.branch_id) {
-          return res.status(403).json({ success: false, message: "Admins can only view results for their own branch." });
-        }
+      const denied = await reportCardAccessDenied(req.user, studentData);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
       }
 
-      // 2. Get Term and Class Info
-      const [termInfo] = await connection.query(
-        "SELECT id, name, session, start_date, end_date, next_term_begins FROM terms WHERE id = ?",
-        [term_id]
-      );
-      if (termInfo.length === 0) {
-        return res.status(404).json({ success: false, message: "Term not found." });
+      // 2. Build the report card (results filed under the class the student was in that term)
+      const { data, message } = await buildReportCard(studentData, term_id, {
+        publishedOnly: !seesUnpublished(req.user),
+      });
+      res.json({ success: true, data, ...(message && { message }) });
+    } catch (err) {
+      if (err instanceof HttpError) return next(err);
+      logger.error("Error fetching student report card:", err);
+      res.status(500).json({ success: false, message: "Server error while fetching report card." });
+    }
+  }
+);
+
+// GET /api/results/student/:student_id/report-card/pdf - The report card as a printable PDF
+router.get(
+  "/student/:student_id/report-card/pdf",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"]), validate(schemas.studentReportCard)],
+  async (req, res, next) => {
+    try {
+      const studentData = await findReportCardStudent({ studentId: req.params.student_id });
+      if (!studentData) {
+        return res.status(404).json({ success: false, message: "Student not found." });
       }
-      const currentTerm = termInfo[0];
 
-      // Current student's class (used for auth/display fallback)
-      const [classInfo] = await connection.query("SELECT name, arm FROM classes WHERE id = ?", [studentData.class_id]);
-      if (classInfo.length === 0) {
-        return res.status(404).json({ success: false, message: "Class not found for this student." });
-      }
-
-      const termOrder = { "First Term": 1, "Second Term": 2, "Third Term": 3 };
-      const currentTermOrder = termOrder[currentTerm.name] || 0;
-
-      const [previousTerms] = await connection.query(
-        `SELECT id, name, session FROM terms 
-         WHERE session = ? AND id != ? 
-         AND (CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 0 END) < ? 
-         ORDER BY CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 4 END`,
-        [currentTerm.session, term_id, currentTermOrder]
-      );
+      const denied = await reportCardAccessDenied(req.user, studentData);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
+      }
 
-      const [nextTerm] = await connection.query(
-        `SELECT id, name, session, start_date FROM terms 
-         WHERE session = ? AND id != ? 
-         AND (CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 0 END) > ? 
-         ORDER BY CASE name 
-           WHEN 'First Term' THEN 1 
-           WHEN 'Second Term' THEN 2 
-           WHEN 'Third Term' THEN 3 
-           ELSE 4 END 
-         LIMIT 1`,
-        [currentTerm.session, term_id, currentTermOrder]
-      );
+      await sendReportCardPdf(res, studentData, req.query.term_id, { publishedOnly: !seesUnpublished(req.user) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-      const previousTermIds = previousTerms.map((t) => t.id);
+// GET /api/results/class/:class_id/report-cards - A zip of PDF report cards, one per student with
+// results in the class for the term
+router.get(
+  "/class/:class_id/report-cards",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.classReportCards)],
+  async (req, res, next) => {
+    const { class_id } = req.params;
+    const { term_id } = req.query;
 
-      // --- Helper: build empty cumulative response ---
-      // Defined early so both early-return paths can use it cleanly
-      const buildEmptyCumulativeResponse = (cumulBySubject, cumulTermsData, classRow) => {
-        const bySubjectData = Object.values(cumulBySubject).map((subj) => {
-          const termScores = {};
-          previousTerms.forEach((t) => {
-            termScores[t.name] = subj.scores_by_term?.[t.id] || 0;
-          });
-          return {
-            subject: subj.subject_name,
-            ...termScores,
-            cumulative: subj.total || 0,
-            best_term: subj.best_term || 0,
-          };
-        });
-        const grandTotal = Object.values(cumulBySubject).reduce((sum, s) => sum + (s.total || 0), 0);
-        const subjectCount = Object.keys(cumulBySubject).length;
-        const overallAverage = subjectCount > 0 ? grandTotal / subjectCount : 0;
-
-        return {
-          student: {
-            name: `${studentData.first_name} ${studentData.last_name}`,
-            class: classRow.name.trim(),
-            arm: classRow.arm || "",
-          },
-          term: {
-            name: termInfo[0].name,
-            session: termInfo[0].session,
-            current_term: termInfo[0].name,
-            start_date: termInfo[0].start_date,
-            end_date: termInfo[0].end_date,
-            next_term: nextTerm.length > 0 ? nextTerm[0].start_date : null,
-            next_term_name: nextTerm.length > 0 ? nextTerm[0].name : null,
-            next_term_begins: termInfo[0].next_term_begins,
-          },
-          attendance: { school_opened: 0, present: 0, absent: 0 },
-          position: "N/A",
-          total_students: 0,
-          results: [],
-          config: { school_type: "Grade School" },
-          skills: { Affective: [], Psychomotor: [] },
-          comments: { teacher_comment: "", principal_comment: "" },
-          cumulative: {
-            terms: cumulTermsData,
-            cumulative_totals: {
-              by_subject: bySubjectData,
-              grand_total: grandTotal || null,
-              overall_average: parseFloat(overallAverage.toFixed(2)) || null,
-              total_possible: subjectCount * 100,
-            },
-          },
-        };
-      };
+    try {
+      const [classes] = await pool.query("SELECT id, name, arm, branch_id FROM classes WHERE id = ?", [class_id]);
+      if (classes.length === 0) {
+        return res.status(404).json({ success: false, message: "Class not found." });
+      }
+      const classRow = classes[0];
 
-      // 3. Fetch this student's own results for the term first.
-      //    This tells us which class_id their results are recorded under
-      //    (may differ from studentData.class_id if they were promoted).
-      let studentOnlyQuery = `
-        SELECT sr.student_id, sr.class_id, sr.subject_id, cs.name as subject_name,
-               sr.assessment_type, sr.score
-        FROM student_results sr
-        JOIN class_subjects cs ON sr.subject_id = cs.id
-        WHERE sr.student_id = ? AND sr.term_id = ?
-      `;
-      const studentOnlyParams = [student_id, term_id];
-      if (req.user.roles.includes("Student") || req.user.roles.includes("Parent")) {
-        studentOnlyQuery += " AND sr.published = TRUE";
-      }
-      const [studentOwnResults] = await connection.query(studentOnlyQuery, studentOnlyParams);
-
-      // Determine which class_id to use for class-wide ranking queries.
-      // If the student has results recorded under a specific class, use that;
-      // otherwise fall back to their current class (handles First Term / no results yet).
-      const resultClassId =
-        studentOwnResults.length > 0 ? studentOwnResults[0].class_id : studentData.class_id;
-
-      const [resultClassInfo] = await connection.query("SELECT name, arm, school_type FROM classes WHERE id = ?", [resultClassId]);
-      const resultClassRow = resultClassInfo.length > 0 ? resultClassInfo[0] : classInfo[0];
-
-      // 4. Build cumulative (previous terms) data structures.
-      //    Uses resultClassId so ranking is consistent with the class the student
-      //    was actually in during those terms.
-      const newCumulativeResultsBySubject = {};
-      const cumulativeTermsData = [];
-
-      if (previousTermIds.length > 0) {
-        // Per-student totals across the class for each previous term (for ranking)
-        const [prevClassResults] = await connection.query(
-          `SELECT sr.student_id, sr.term_id, sr.subject_id, cs.name as subject_name,
-                  sr.assessment_type, sr.score
-           FROM student_results sr
-           JOIN class_subjects cs ON sr.subject_id = cs.id
-           WHERE sr.class_id = ? AND sr.term_id IN (?)`,
-          [resultClassId, previousTermIds]
-        );
+      const denied = await classResultsAccessDenied(req.user, classRow);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
+      }
 
-        const allTermsResultsByStudent = {};
-        prevClassResults.forEach((r) => {
-          const { student_id: sid, term_id: tid, subject_id: subid } = r;
-          if (!allTermsResultsByStudent[tid]) allTermsResultsByStudent[tid] = {};
-          if (!allTermsResultsByStudent[tid][sid])
-            allTermsResultsByStudent[tid][sid] = { subjects: {}, total_score: 0 };
-          if (!allTermsResultsByStudent[tid][sid].subjects[subid])
-            allTermsResultsByStudent[tid][sid].subjects[subid] = { subject_name: r.subject_name };
-          allTermsResultsByStudent[tid][sid].subjects[subid][r.assessment_type] = parseFloat(r.score);
-        });
+      const [students] = await pool.query(
+        `SELECT DISTINCT s.id, s.last_name, s.first_name
+         FROM student_results sr JOIN students s ON sr.student_id = s.id
+         WHERE sr.class_id = ? AND sr.term_id = ?
+         ORDER BY s.last_name, s.first_name`,
+        [class_id, term_id]
+      );
+      if (students.length === 0) {
+        return res.status(404).json({ success: false, message: "No results found for this class and term." });
+      }
 
-        // Compute per-subject totals and per-student term totals
-        Object.keys(allTermsResultsByStudent).forEach((tid) => {
-          Object.values(allTermsResultsByStudent[tid]).forEach((s) => {
-            let termTotalScore = 0;
-            Object.values(s.subjects).forEach((subj) => {
-              const total =
-                (subj.ca1 || 0) + (subj.ca2 || 0) + (subj.ca3 || 0) + (subj.ca4 || 0) + (subj.exam || 0);
-              subj.total = total;
-              termTotalScore += total;
-            });
-            s.total_score = termTotalScore;
-          });
-        });
+      const branding = await loadBranding(classRow.branch_id);
+      const publishedOnly = !seesUnpublished(req.user);
+      const archive = archiver("zip");
+      archive.on("warning", (err) => logger.warn("Report card archive warning", { reason: err.message }));
+      archive.on("error", (err) => {
+        logger.error("Error zipping report cards:", err);
+        res.destroy(err);
+      });
 
-        // Build cumulativeTermsData (one entry per previous term)
-        for (const term of previousTerms) {
-          const termResults = allTermsResultsByStudent[term.id] || {};
-          const studentResultsForTerm = termResults[student_id]?.subjects || {};
-          const studentTotalForTerm = termResults[student_id]?.total_score || 0;
-
-          const allStudentTotalsForTerm = Object.values(termResults).map((s) => s.total_score);
-          const sortedTotalsForTerm = [...allStudentTotalsForTerm].sort((a, b) => b - a);
-          const studentRankForTerm =
-            studentTotalForTerm > 0 ? sortedTotalsForTerm.indexOf(studentTotalForTerm) + 1 : null;
-
-          const subjectCount = Object.keys(studentResultsForTerm).length;
-          const termAverage = subjectCount > 0 ? studentTotalForTerm / subjectCount : 0;
-
-          cumulativeTermsData.push({
-            term_name: term.name,
-            term_id: term.id,
-            results: Object.values(studentResultsForTerm).map((subj) => ({
-              subject: subj.subject_name,
-              score: subj.total || 0,
-              total_possible: 100,
-            })),
-            term_total: studentTotalForTerm,
-            term_average: parseFloat(termAverage.toFixed(2)),
-            term_position: studentRankForTerm ? getOrdinal(studentRankForTerm) : null,
-            term_out_of: allStudentTotalsForTerm.length,
-          });
+      // Nothing is sent until the first report card has rendered, so errors up to then get a
+      // proper response
+      let started = false;
+      const names = new Set();
+      for (const { id } of students) {
+        const student = await findReportCardStudent({ studentId: id });
+        const { data, message } = await buildReportCard(student, term_id, { publishedOnly });
+        const pdf = await toBuffer(createReportCardPdf(data, branding, message));
+
+        if (!started) {
+          const zipName = fileSlug([classRow.name, classRow.arm, data.term.name, data.term.session].filter(Boolean).join(" "));
+          res.setHeader("Content-Type", "application/zip");
+          res.setHeader("Content-Disposition", `attachment; filename="report-cards-${zipName}.zip"`);
+          archive.pipe(res);
+          started = true;
         }
 
-        // Build newCumulativeResultsBySubject for the target student only
-        const [prevStudentResults] = await connection.query(
-          `SELECT sr.term_id, sr.subject_id, cs.name as subject_name,
-                  sr.assessment_type, sr.score
-           FROM student_results sr
-           JOIN class_subjects cs ON sr.subject_id = cs.id
-           WHERE sr.student_id = ? AND sr.term_id IN (?)`,
-          [student_id, previousTermIds]
-        );
+        // Two students with the same name get distinct files
+        let name = reportCardFileName(data);
+        if (names.has(name)) name = name.replace(/\.pdf$/, `-${student.id.slice(0, 8)}.pdf`);
+        names.add(name);
+        archive.append(pdf, { name });
+      }
+      await archive.finalize();
+    } catch (err) {
+      if (res.headersSent) {
+        logger.error("Error zipping report cards:", err);
+        return res.destroy(err);
+      }
+      next(err);
+    }
+  }
+);
 
-        prevStudentResults.forEach((r) => {
-          if (!newCumulativeResultsBySubject[r.subject_id]) {
-            newCumulativeResultsBySubject[r.subject_id] = {
-              subject_name: r.subject_name,
-              scores_by_term: {},
-            };
-          }
-          const score = parseFloat(r.score) || 0;
-          newCumulativeResultsBySubject[r.subject_id].scores_by_term[r.term_id] =
-            (newCumulativeResultsBySubject[r.subject_id].scores_by_term[r.term_id] || 0) + score;
-        });
+// GET /api/results/class/:class_id/broadsheet - Every student's scores in every subject for a term,
+// as JSON or a CSV/XLSX download (?format=)
+router.get(
+  "/class/:class_id/broadsheet",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.classBroadsheet)],
+  async (req, res, next) => {
+    const { term_id, format = "json" } = req.query;
 
-        Object.values(newCumulativeResultsBySubject).forEach((subj) => {
-          let total = 0;
-          let bestScore = 0;
-          Object.values(subj.scores_by_term).forEach((score) => {
-            total += score;
-            if (score > bestScore) bestScore = score;
-          });
-          subj.total = total;
-          subj.best_term = bestScore;
-        });
+    try {
+      const [classes] = await pool.query("SELECT id, branch_id FROM classes WHERE id = ?", [req.params.class_id]);
+      if (classes.length === 0) {
+        return res.status(404).json({ success: false, message: "Class not found." });
       }
 
-      // 5. If the student has no results for this term, return cumulative data only.
-      if (studentOwnResults.length === 0) {
-        return res.status(200).json({
-          success: true,
-          data: buildEmptyCumulativeResponse(newCumulativeResultsBySubject, cumulativeTermsData, resultClassRow),
-          message: "No published results found for this student in the selected term.",
-        });
+      const denied = await classResultsAccessDenied(req.user, classes[0]);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
       }
 
-      // 6. Fetch ALL classmates' results for this term (needed for ranking & subject stats).
-      let allClassResultsQuery = `
-        SELECT sr.student_id, sr.subject_id, cs.name as subject_name,
-               sr.assessment_type, sr.score
-        FROM student_results sr
-        JOIN class_subjects cs ON sr.subject_id = cs.id
-        WHERE sr.class_id = ? AND sr.term_id = ?
-      `;
-      const allClassResultsParams = [resultClassId, term_id];
-      // Note: we intentionally do NOT filter by published here — we need all students'
-      // scores to compute accurate rankings and subject averages/highs/lows.
-      // The student's own unpublished scores are simply not returned to them (handled
-      // by the empty-results check above via studentOwnResults with published filter).
-      const [allResults] = await connection.query(allClassResultsQuery, allClassResultsParams);
-
-      // 7. Process all results into nested structure for ranking
-      const resultsByStudent = {};
-
-      allResults.forEach((r) => {
-        const { student_id: sid, subject_id: subid } = r;
-        if (!resultsByStudent[sid]) resultsByStudent[sid] = { subjects: {}, total_score: 0 };
-        if (!resultsByStudent[sid].subjects[subid])
-          resultsByStudent[sid].subjects[subid] = { subject_name: r.subject_name };
-        resultsByStudent[sid].subjects[subid][r.assessment_type] = parseFloat(r.score);
-      });
-
-      Object.values(resultsByStudent).forEach((s) => {
-        let total = 0;
-        Object.values(s.subjects).forEach((subj) => {
-          subj.total =
-            (subj.ca1 || 0) + (subj.ca2 || 0) + (subj.ca3 || 0) + (subj.ca4 || 0) + (subj.exam || 0);
-          total += subj.total;
-        });
-        s.total_score = total;
-      });
-
-      // If the student somehow still has no entry (edge case), return empty
-      if (!resultsByStudent[student_id]) {
-        return res.status(200).json({
-          success: true,
-          data: buildEmptyCumulativeResponse(newCumulativeResultsBySubject, cumulativeTermsData, resultClassRow),
-          message: "No published results found for this student in the selected term.",
-        });
+      const sheet = await buildTermBroadsheet(req.params.class_id, term_id);
+      if (format === "json") {
+        return res.json({ success: true, data: sheet });
       }
 
-      // 8. Build the report card rows
-      const reportCard = [];
-      const subjectsInClass = [
-        ...new Map(
-          allResults.map((item) => [item.subject_id, { id: item.subject_id, name: item.subject_name }])
-        ).values(),
-      ];
-
-      for (const subject of subjectsInClass) {
-        const subjectScores = Object.values(resultsByStudent)
-          .map((s) => s.subjects[subject.id]?.total)
-          .filter((v) => v !== undefined && v !== null);
-
-        if (subjectScores.length === 0) continue;
-
-        const studentSubjectData = resultsByStudent[student_id]?.subjects[subject.id];
-        if (!studentSubjectData) continue;
-
-        const highest = Math.max(...subjectScores);
-        const lowest = Math.min(...subjectScores);
-        const average = subjectScores.reduce((a, b) => a + b, 0) / subjectScores.length;
-        const sortedScores = [...subjectScores].sort((a, b) => b - a);
-        const studentTotal = studentSubjectData.total;
-        const rank = sortedScores.indexOf(studentTotal) + 1;
-
-        let grade = "F";
-        if (studentTotal >= 80) grade = "A";
-        else if (studentTotal >= 70) grade = "B";
-        else if (studentTotal >= 60) grade = "C";
-        else if (studentTotal >= 50) grade = "D";
-        else if (studentTotal >= 40) grade = "E";
-
-        const prevTermCumulative = newCumulativeResultsBySubject[subject.id]?.total || 0;
-
-        reportCard.push({
-          subject: subject.name,
-          ca1: studentSubjectData.ca1 || 0,
-          ca2: studentSubjectData.ca2 || 0,
-          ca3: studentSubjectData.ca3 || 0,
-          ca4: studentSubjectData.ca4 || 0,
-          exam: studentSubjectData.exam || 0,
-          total: studentTotal,
-          grade,
-          position: getOrdinal(rank),
-          highest,
-          lowest,
-          average: parseFloat(average.toFixed(2)),
-          cumulative_from_previous_terms: prevTermCumulative,
-          grand_total: studentTotal + prevTermCumulative,
-        });
+      const fileName = `broadsheet-${fileSlug([sheet.class.name, sheet.class.arm, sheet.term.name, sheet.term.session].filter(Boolean).join(" "))}`;
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+        return res.send(toCsv(sheet));
       }
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.xlsx"`);
+      res.send(await toXlsx(sheet));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-      // 9. Overall class position
-      const allStudentTotals = Object.values(resultsByStudent).map((s) => s.total_score);
-      const sortedTotals = [...allStudentTotals].sort((a, b) => b - a);
-      const studentRank = sortedTotals.indexOf(resultsByStudent[student_id].total_score) + 1;
+// GET /api/results/student/:student_id/session/:session - Sessional result: each subject's term
+// totals, annual average and position, and a promotion recommendation
+router.get(
+  "/student/:student_id/session/:session",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin", "Student", "Parent"]), validate(schemas.studentSessionResult)],
+  async (req, res, next) => {
+    try {
+      const studentData = await findReportCardStudent({ studentId: req.params.student_id });
+      if (!studentData) {
+        return res.status(404).json({ success: false, message: "Student not found." });
+      }
 
-      // 10. Attendance
-      const [attendance] = await connection.query(
-        `SELECT status, COUNT(*) as count 
-         FROM student_attendance 
-         WHERE student_id = ? AND date BETWEEN ? AND ? 
-         GROUP BY status`,
-        [student_id, termInfo[0].start_date, termInfo[0].end_date]
-      );
-      const attendanceData = {
-        Present: 0,
-        Absent: 0,
-        Late: 0,
-        ...Object.fromEntries(attendance.map((a) => [a.status, a.count])),
-      };
-      const schoolDays = moment(termInfo[0].end_date).diff(moment(termInfo[0].start_date), "days");
+      const denied = await reportCardAccessDenied(req.user, studentData);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
+      }
 
-      // 11. Skills
-      const [skills] = await connection.query(
-        "SELECT skill_type, skill_name, rating FROM student_skills WHERE student_id = ? AND term_id = ?",
-        [student_id, term_id]
-      );
-      const skillsData = { Affective: [], Psychomotor: [] };
-      skills.forEach((skill) => {
-        if (skillsData[skill.skill_type]) {
-          skillsData[skill.skill_type].push({ name: skill.skill_name, rating: skill.rating });
-        }
+      const { data, message } = await buildSessionResult(studentData, sessionFromParam(req.params.session), {
+        publishedOnly: !seesUnpublished(req.user),
       });
+      res.json({ success: true, data, ...(message && { message }) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-      // 12. Comments
-      const [comments] = await connection.query(
-        "SELECT teacher_comment, principal_comment FROM report_card_comments WHERE student_id = ? AND term_id = ?",
-        [student_id, term_id]
-      );
-      const commentData = comments.length > 0 ? comments[0] : { teacher_comment: "", principal_comment: "" };
-
-      // 13. Final cumulative totals
-      const bySubjectData = Object.values(newCumulativeResultsBySubject).map((subj) => {
-        const termScores = {};
-        previousTerms.forEach((t) => {
-          termScores[t.name] = subj.scores_by_term[t.id] || 0;
-        });
-        return {
-          subject: subj.subject_name,
-          ...termScores,
-          cumulative: subj.total,
-          best_term: subj.best_term,
-        };
-      });
+// GET /api/results/class/:class_id/session/:session - Sessional broadsheet of the whole class
+router.get(
+  "/class/:class_id/session/:session",
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.classSessionResults)],
+  async (req, res, next) => {
+    try {
+      const [classes] = await pool.query("SELECT id, branch_id FROM classes WHERE id = ?", [req.params.class_id]);
+      if (classes.length === 0) {
+        return res.status(404).json({ success: false, message: "Class not found." });
+      }
 
-      const cumulativeGrandTotal = Object.values(newCumulativeResultsBySubject).reduce(
-        (sum, s) => sum + (s.total || 0),
-        0
-      );
-      const subjectCountFinal = Object.keys(newCumulativeResultsBySubject).length;
-      const cumulativeOverallAverage = subjectCountFinal > 0 ? cumulativeGrandTotal / subjectCountFinal : 0;
+      const denied = await classResultsAccessDenied(req.user, classes[0]);
+      if (denied) {
+        return res.status(403).json({ success: false, message: denied });
+      }
 
-      res.json({
-        success: true,
-        data: {
-          student: {
-            name: `${studentData.first_name} ${studentData.last_name}`,
-            class: resultClassRow.name.trim(),
-            arm: resultClassRow.arm || "",
-            dob: studentData.dob,
-            gender: studentData.gender,
-            passport: studentData.passport,
-            student_id: studentData.email,
-          },
-          term: {
-            name: termInfo[0].name,
-            session: termInfo[0].session,
-            current_term: termInfo[0].name,
-            start_date: termInfo[0].start_date,
-            end_date: termInfo[0].end_date,
-            next_term: nextTerm.length > 0 ? nextTerm[0].start_date : null,
-            next_term_name: nextTerm.length > 0 ? nextTerm[0].name : null,
-            next_term_begins: termInfo[0].next_term_begins,
-          },
-          attendance: {
-            school_opened: schoolDays,
-            present: attendanceData.Present,
-            absent: attendanceData.Absent,
-          },
-          position: getOrdinal(studentRank),
-          total_students: allStudentTotals.length,
-          results: reportCard,
-          config: { school_type: resultClassRow.school_type || "Grade School" },
-          skills: skillsData,
-          comments: commentData,
-          cumulative: {
-            terms: cumulativeTermsData,
-            cumulative_totals: {
-              by_subject: bySubjectData,
-              grand_total: cumulativeGrandTotal || null,
-              overall_average: parseFloat(cumulativeOverallAverage.toFixed(2)) || null,
-              total_possible: subjectCountFinal * 100,
-            },
-          },
-        },
-      });
+      const data = await buildSessionBroadsheet(req.params.class_id, sessionFromParam(req.params.session));
+      res.json({ success: true, data });
     } catch (err) {
-      console.error("Error fetching student report card:", err);
-      res.status(500).json({ success: false, message: "Server error while fetching report card." });
-    } finally {
-      if (connection) connection.release();
+      next(err);
     }
   }
 );
@@ -2485,33 +2037,10 @@ router.get(
 // POST /api/results/school-type - Save school type for student results
 router.post(
   "/school-type",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.setSchoolType)],
   async (req, res) => {
     const { student_id, term_id, school_type } = req.body;
 
-    if (!student_id || !term_id || !school_type) {
-      return res.status(400).json({
-        success: false,
-        message: "student_id, term_id, and school_type are required.",
-      });
-    }
-
-    const validSchoolTypes = [
-      "Early Years",
-      "Grade School",
-      "Middle(Junior) School",
-      "Senior School",
-    ];
-
-    if (!validSchoolTypes.includes(school_type)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid school type. Must be one of: ${validSchoolTypes.join(
-          ", "
-        )}`,
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       // Verify student exists
@@ -2567,7 +2096,7 @@ router.post(
         },
       });
     } catch (err) {
-      console.error("Error saving school type:", err);
+      logger.error("Error saving school type:", err);
       res.status(500).json({
         success: false,
         message: "Server error while saving school type.",
@@ -2583,40 +2112,23 @@ router.post(
 // GET /api/results/all - list students with optional report card summary
 router.get(
   "/all",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher", "Parent"])],
+  [auth, authorize(["Admin", "SuperAdmin", "Teacher", "Parent"]), validate(schemas.listStudents)],
   async (req, res) => {
     const { term_id, include_report_summary } = req.query;
     const connection = await pool.getConnection();
     
     try {
-      // Build base query
-      let query = `
-        SELECT s.id, u.email as student_id, s.first_name, s.last_name, 
-               s.gender, s.dob, s.address, s.nationality, s.state, s.religion, 
-               s.disability, s.passport, c.name AS class_name, c.arm AS class_arm,
-               b.school_name AS branch, b.address AS branch_address,
-               p.name AS parent_name, p.email AS parent_email, p.phone AS parent_phone,
-               s.previous_class, s.last_term_result, s.birth_certificate, s.medical_report,
-               s.class_id, s.branch_id
-        FROM students s
-        JOIN users u ON s.user_id = u.id
-        JOIN classes c ON s.class_id = c.id
-        JOIN branches b ON s.branch_id = b.id
-        JOIN parents p ON s.parent_id = p.id
-        LEFT JOIN student_statuses ss ON s.status_id = ss.id
-        WHERE (ss.name IS NULL OR ss.name = 'Active')
-      `;
-      
+      const where = ["(ss.name IS NULL OR ss.name = 'Active')"];
       const params = [];
       
       // Authorization: Admin can only see their branch
       if (req.user.roles.includes("Admin") && !req.user.roles.includes("SuperAdmin")) {
         const adminBranchId = await getAdminBranchId(req.user.id);
-        if (!adminBranchId) return res.json({ success: true, data: [] });
-        query += " AND s.branch_id = ?";
+        if (!adminBranchId) return res.json({ success: true, data: [], pagination: emptyPagination(req) });
+        where.push("s.branch_id = ?");
         params.push(adminBranchId);
       } else if (req.user.roles.includes("SuperAdmin") && !req.user.roles.includes("Admin") && req.query.branch_id) {
-        query += " AND s.branch_id = ?";
+        where.push("s.branch_id = ?");
         params.push(req.query.branch_id);
       }
       
@@ -2625,7 +2137,7 @@ router.get(
           !req.user.roles.includes("Admin") && 
           !req.user.roles.includes("SuperAdmin")) {
         const staffInfo = await getStaffInfo(req.user.id);
-        if (!staffInfo) return res.json({ success: true, data: [] });
+        if (!staffInfo) return res.json({ success: true, data: [], pagination: emptyPagination(req) });
         
         // Get classes the teacher teaches
         const [teacherClasses] = await connection.query(`
@@ -2639,10 +2151,10 @@ router.get(
           WHERE ssa.staff_id = ?
         `, [staffInfo.id, staffInfo.id]);
         
-        if (teacherClasses.length === 0) return res.json({ success: true, data: [] });
+        if (teacherClasses.length === 0) return res.json({ success: true, data: [], pagination: emptyPagination(req) });
         
         const classIds = teacherClasses.map(c => c.class_id);
-        query += ` AND s.class_id IN (${classIds.map(() => '?').join(',')})`;
+        where.push(`s.class_id IN (${classIds.map(() => '?').join(',')})`);
         params.push(...classIds);
       }
       
@@ -2652,25 +2164,47 @@ router.get(
           "SELECT id FROM parents WHERE user_id = ?",
           [req.user.id]
         );
-        if (parent.length === 0) return res.json({ success: true, data: [] });
+        if (parent.length === 0) return res.json({ success: true, data: [], pagination: emptyPagination(req) });
         
-        query += " AND s.parent_id = ?";
+        where.push("s.parent_id = ?");
         params.push(parent[0].id);
       }
       
-      query += " ORDER BY s.first_name ASC, s.last_name ASC";
-      
-      // Execute main query
-      const [students] = await connection.query(query, params);
+      const { rows: students, pagination } = await listPage(req, {
+        select: `s.id, u.email as student_id, s.first_name, s.last_name, 
+               s.gender, s.dob, s.address, s.nationality, s.state, s.religion, 
+               s.disability, s.passport, c.name AS class_name, c.arm AS class_arm,
+               b.school_name AS branch, b.address AS branch_address,
+               p.name AS parent_name, p.email AS parent_email, p.phone AS parent_phone,
+               s.previous_class, s.last_term_result, s.birth_certificate, s.medical_report,
+               s.class_id, s.branch_id`,
+        from: `students s
+        JOIN users u ON s.user_id = u.id
+        JOIN classes c ON s.class_id = c.id
+        JOIN branches b ON s.branch_id = b.id
+        JOIN parents p ON s.parent_id = p.id
+        LEFT JOIN student_statuses ss ON s.status_id = ss.id`,
+        where,
+        params,
+        filters: { class_id: "s.class_id" },
+        search: ["s.first_name", "s.last_name", "u.email"],
+        sortable: { first_name: "s.first_name", last_name: "s.last_name", class_name: "c.name" },
+        defaultSort: "first_name,last_name",
+        key: "s.id",
+        db: connection,
+      });
       
-      // If term_id and include_report_summary are provided, fetch report card summaries
+      // If term_id and include_report_summary are provided, fetch report card summaries for this page
       if (term_id && include_report_summary === 'true') {
         for (const student of students) {
           try {
-            const summary = await getReportCardSummary(connection, student.id, term_id, req.user);
+            const summary = await getReportCardSummary(student.id, term_id, {
+              publishedOnly: !seesUnpublished(req.user),
+              db: connection,
+            });
             student.summary = summary;
           } catch (error) {
-            console.error(`Error fetching summary for student ${student.id}:`, error);
+            logger.error(`Error fetching summary for student ${student.id}:`, error);
             student.summary = {
               average_score: 0,
               overall_grade: "N/A",
@@ -2697,11 +2231,12 @@ router.get(
       
       return res.json({ 
         success: true, 
-        data: formattedStudents 
+        data: formattedStudents,
+        pagination
       });
       
     } catch (err) {
-      console.error("List students error:", err);
+      logger.error("List students error:", err);
       return res.status(500).json({
         success: false,
         message: "Server error while fetching students.",
@@ -2712,216 +2247,4 @@ router.get(
   }
 );
 
-// Helper function to get report card summary
-async function getReportCardSummary(connection, studentId, termId, user) {
-  const SUBJECT_MAX_SCORE = 100;
-
-  /* --------------------------------------------------
-   * 1. Fetch student results (respect publication)
-   * -------------------------------------------------- */
-  let resultsQuery = `
-    SELECT 
-      sr.student_id,
-      sr.subject_id,
-      sr.assessment_type,
-      sr.score,
-      sr.published
-    FROM student_results sr
-    WHERE sr.student_id = ? AND sr.term_id = ?
-  `;
-
-  if (user.roles.includes("Student") || user.roles.includes("Parent")) {
-    resultsQuery += " AND sr.published = TRUE";
-  }
-
-  const [results] = await connection.query(resultsQuery, [studentId, termId]);
-
-  if (results.length === 0) {
-    return {
-      total_score: 0,
-      total_obtainable: 0,
-      percentage: 0,
-      overall_grade: "N/A",
-      position: "N/A",
-      teacher_comment: "",
-      principal_comment: "",
-      remark: "No results found for this term"
-    };
-  }
-
-  /* --------------------------------------------------
-   * 2. Get student's class
-   * -------------------------------------------------- */
-  const [studentClass] = await connection.query(
-    "SELECT class_id FROM students WHERE id = ?",
-    [studentId]
-  );
-
-  if (studentClass.length === 0) {
-    return {
-      total_score: 0,
-      total_obtainable: 0,
-      percentage: 0,
-      overall_grade: "N/A",
-      position: "N/A",
-      teacher_comment: "",
-      principal_comment: "",
-      remark: "Student class not found"
-    };
-  }
-
-  const classId = studentClass[0].class_id;
-
-  /* --------------------------------------------------
-   * 3. Aggregate student's subject totals
-   * -------------------------------------------------- */
-  const studentSubjects = {};
-  let studentTotalScore = 0;
-
-  results.forEach(r => {
-    if (!studentSubjects[r.subject_id]) {
-      studentSubjects[r.subject_id] = {
-        ca1: 0, ca2: 0, ca3: 0, ca4: 0, exam: 0
-      };
-    }
-
-    studentSubjects[r.subject_id][r.assessment_type] = parseFloat(r.score);
-  });
-
-  Object.values(studentSubjects).forEach(subject => {
-    studentTotalScore +=
-      (subject.ca1 || 0) +
-      (subject.ca2 || 0) +
-      (subject.ca3 || 0) +
-      (subject.ca4 || 0) +
-      (subject.exam || 0);
-  });
-
-  const subjectCount = Object.keys(studentSubjects).length;
-  const totalObtainable = subjectCount * SUBJECT_MAX_SCORE;
-
-  const percentage =
-    totalObtainable > 0
-      ? (studentTotalScore / totalObtainable) * 100
-      : 0;
-
-  /* --------------------------------------------------
-   * 4. Determine overall grade
-   * -------------------------------------------------- */
-  let overallGrade = "F";
-
-  if (percentage >= 75) overallGrade = "A";
-  else if (percentage >= 65) overallGrade = "B";
-  else if (percentage >= 50) overallGrade = "C";
-  else if (percentage >= 45) overallGrade = "D";
-  else if (percentage >= 40) overallGrade = "E";
-
-  /* --------------------------------------------------
-   * 5. Fetch class results for position calculation
-   * -------------------------------------------------- */
-  const [classResults] = await connection.query(
-    `
-    SELECT 
-      sr.student_id,
-      sr.subject_id,
-      sr.assessment_type,
-      sr.score
-    FROM student_results sr
-    WHERE sr.class_id = ? AND sr.term_id = ?
-    ${user.roles.includes("Student") || user.roles.includes("Parent")
-      ? "AND sr.published = TRUE"
-      : ""}
-    `,
-    [classId, termId]
-  );
-
-  const classTotals = {};
-
-  classResults.forEach(r => {
-    if (!classTotals[r.student_id]) {
-      classTotals[r.student_id] = {
-        subjects: {},
-        total_score: 0
-      };
-    }
-
-    if (!classTotals[r.student_id].subjects[r.subject_id]) {
-      classTotals[r.student_id].subjects[r.subject_id] = {
-        ca1: 0, ca2: 0, ca3: 0, ca4: 0, exam: 0
-      };
-    }
-
-    classTotals[r.student_id].subjects[r.subject_id][r.assessment_type] =
-      (classTotals[r.student_id].subjects[r.subject_id][r.assessment_type] || 0)
-      + parseFloat(r.score);
-  });
-
-  Object.values(classTotals).forEach(student => {
-    Object.values(student.subjects).forEach(subject => {
-      student.total_score +=
-        (subject.ca1 || 0) +
-        (subject.ca2 || 0) +
-        (subject.ca3 || 0) +
-        (subject.ca4 || 0) +
-        (subject.exam || 0);
-    });
-  });
-
-  const sortedStudents = Object.entries(classTotals)
-    .sort(([, a], [, b]) => b.total_score - a.total_score);
-
-  const studentRank =
-    sortedStudents.findIndex(([sId]) => sId == studentId) + 1;
-
-  const position = studentRank > 0 ? getOrdinal(studentRank) : "N/A";
-
-  /* --------------------------------------------------
-   * 6. Fetch teacher & principal comments
-   * -------------------------------------------------- */
-  const [comments] = await connection.query(
-    `
-    SELECT teacher_comment, principal_comment
-    FROM report_card_comments
-    WHERE student_id = ? AND term_id = ?
-    `,
-    [studentId, termId]
-  );
-
-  const commentData = comments.length
-    ? comments[0]
-    : { teacher_comment: "", principal_comment: "" };
-
-  /* --------------------------------------------------
-   * 7. Determine remark
-   * -------------------------------------------------- */
-  let remark = "Needs Improvement";
-  if (overallGrade === "A") remark = "Excellent";
-  else if (overallGrade === "B") remark = "Very Good";
-  else if (overallGrade === "C") remark = "Good";
-  else if (overallGrade === "D") remark = "Fair";
-  else if (overallGrade === "E") remark = "Pass";
-
-  /* --------------------------------------------------
-   * 8. Final response
-   * -------------------------------------------------- */
-  return {
-    total_score: studentTotalScore,
-    total_obtainable: totalObtainable,
-    percentage: parseFloat(percentage.toFixed(2)),
-    overall_grade: overallGrade,
-    position,
-    teacher_comment: commentData.teacher_comment || "",
-    principal_comment: commentData.principal_comment || "",
-    remark
-  };
-}
-
-function getOrdinal(n) {
-  const s = ["th", "st", "nd", "rd"];
-  const v = n % 100;
-  return n + (s[(v - 20) % 10] || s[v] || s[0]);
-}
-
-
-
 module.exports = router;
@@ -4,21 +4,17 @@ const { pool } = require('../database');
 const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/shop');
+const { listPage, emptyPagination } = require('../services/listService');
+const logger = require('../services/logger');
 
 // --- ADMIN & SUPERADMIN ROUTES ---
 
 // Create a new shop item
-router.post('/items', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.post('/items', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.createItem), async (req, res) => {
     const { name, details, description, price, stock, branch_id, category, image_url } = req.body;
 
-    if (!name || !price || !branch_id || stock === undefined) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: name, price, stock, and branch_id are required.' });
-    }
-
-    if (stock < 0) {
-        return res.status(400).json({ success: false, message: 'Stock cannot be negative.' });
-    }
-
     try {
         const connection = await pool.getConnection();
 
@@ -49,17 +45,14 @@ router.post('/items', auth, authorize(['SuperAdmin', 'Admin']), async (req, res)
 
         res.status(201).json({ success: true, message: 'Item created successfully!', data: createdItem[0] });
     } catch (error) {
-        console.error('Error creating shop item:', error);
+        logger.error('Error creating shop item:', error);
         res.status(500).json({ success: false, message: 'Server error while creating item.' });
     }
 });
 
 // Record a cash sale
-router.post('/purchase/cash', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.post('/purchase/cash', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.recordCashSale), async (req, res) => {
     const { item_id, student_id } = req.body;
-    if (!item_id || !student_id) {
-        return res.status(400).json({ success: false, message: 'Item ID and Student ID are required.' });
-    }
 
     const connection = await pool.getConnection();
     try {
@@ -92,7 +85,7 @@ router.post('/purchase/cash', auth, authorize(['SuperAdmin', 'Admin']), async (r
         res.status(200).json({ success: true, message: 'Cash sale recorded successfully!', data: newSale });
     } catch (error) {
         await connection.rollback();
-        console.error('Error with cash sale:', error);
+        logger.error('Error with cash sale:', error);
         res.status(500).json({ success: false, message: error.message || 'Server error during cash sale.' });
     } finally {
         connection.release();
@@ -100,64 +93,83 @@ router.post('/purchase/cash', auth, authorize(['SuperAdmin', 'Admin']), async (r
 });
 
 // Fetch all shop items for Admin
-router.get('/admin/items', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.get('/admin/items', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.listItems), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        let query = 'SELECT * FROM shop_items';
+        const where = [];
         const params = [];
 
         if (req.user.roles.includes('Admin')) {
-            const [staff] = await connection.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
             if (staff.length > 0 && staff[0].branch_id) {
-                query += ' WHERE branch_id = ?';
+                where.push('branch_id = ?');
                 params.push(staff[0].branch_id);
             } else {
-                return res.json({ success: true, data: [] });
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         }
-        const [items] = await connection.query(query, params);
-        connection.release();
-        res.json({ success: true, data: items });
+        const { rows: items, pagination } = await listPage(req, {
+            select: '*',
+            from: 'shop_items',
+            where,
+            params,
+            filters: { branch_id: 'branch_id', category: 'category' },
+            search: ['name', 'details', 'description'],
+            sortable: { name: 'name', price: 'price', stock: 'stock', created_at: 'created_at' },
+            defaultSort: 'name',
+            key: 'id',
+        });
+        res.json({ success: true, data: items, pagination });
     } catch (error) {
-        console.error('Error fetching admin shop items:', error);
+        logger.error('Error fetching admin shop items:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
 // Fetch all sales for Admin
-router.get('/sales', auth, authorize(['SuperAdmin', 'Admin']), async (req, res) => {
+router.get('/sales', auth, authorize(['SuperAdmin', 'Admin']), validate(schemas.listSales), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
-        let query = `
-            SELECT 
-                ss.id,
-                ss.price,
-                ss.purchase_method,
-                ss.created_at,
-                si.name as item_name,
-                CONCAT(s.first_name, ' ', s.last_name) as student_name
-            FROM shop_sales ss
-            JOIN shop_items si ON ss.item_id = si.id
-            JOIN students s ON ss.student_id = s.id
-        `;
+        const where = [];
         const params = [];
 
         if (req.user.roles.includes('Admin')) {
-            const [staff] = await connection.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
+            const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [req.user.id]);
             if (staff.length > 0 && staff[0].branch_id) {
-                query += ' WHERE ss.branch_id = ?';
+                where.push('ss.branch_id = ?');
                 params.push(staff[0].branch_id);
             } else {
-                return res.json({ success: true, data: [] });
+                return res.json({ success: true, data: [], pagination: emptyPagination(req) });
             }
         }
-        query += ' ORDER BY ss.created_at DESC';
 
-        const [sales] = await connection.query(query, params);
-        connection.release();
-        res.json({ success: true, data: sales });
+        const { rows: sales, pagination } = await listPage(req, {
+            select: `
+                ss.id,
+                ss.price,
+                ss.purchase_method,
+                ss.created_at,
+                si.name as item_name,
+                CONCAT(s.first_name, ' ', s.last_name) as student_name`,
+            from: `shop_sales ss
+            JOIN shop_items si ON ss.item_id = si.id
+            JOIN students s ON ss.student_id = s.id`,
+            where,
+            params,
+            filters: {
+                branch_id: 'ss.branch_id',
+                item_id: 'ss.item_id',
+                student_id: 'ss.student_id',
+                purchase_method: 'ss.purchase_method',
+                from: { column: 'ss.created_at', op: '>=' },
+                to: { column: 'ss.created_at', op: '<=' },
+            },
+            search: ['si.name', 's.first_name', 's.last_name'],
+            sortable: { created_at: 'ss.created_at', price: 'ss.price' },
+            defaultSort: '-created_at',
+            key: 'ss.id',
+        });
+        res.json({ success: true, data: sales, pagination });
     } catch (error) {
-        console.error('Error fetching sales:', error);
+        logger.error('Error fetching sales:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -190,7 +202,7 @@ router.get('/parent/items', auth, authorize(['Parent']), async (req, res) => {
 
         res.json({ success: true, data: items });
     } catch (error) {
-        console.error('Error fetching parent shop items:', error);
+        logger.error('Error fetching parent shop items:', error);
         res.status(500).json({ success: false, message: error.message || 'Server error' });
     }
 });
@@ -4,6 +4,10 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/skills');
+const logger = require('../services/logger');
 
 // Helper function to get staff info
 async function getStaffInfo(userId) {
@@ -12,46 +16,9 @@ async function getStaffInfo(userId) {
 }
 
 // POST /api/skills/save - Save or update student skills (Upsert)
-router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin']), validate(schemas.saveSkills)], async (req, res) => {
     const { student_id, term_id, skills } = req.body;
 
-    // Validation
-    if (!student_id || !term_id || !skills || !Array.isArray(skills)) {
-        return res.status(400).json({
-            success: false,
-            message: 'Missing required fields: student_id, term_id, and skills array are required.'
-        });
-    }
-
-    if (skills.length === 0) {
-        return res.status(400).json({
-            success: false,
-            message: 'Skills array cannot be empty.'
-        });
-    }
-
-    // Validate each skill entry
-    for (const entry of skills) {
-        if (!entry.skill_type || !entry.skill_name || entry.rating === undefined) {
-            return res.status(400).json({
-                success: false,
-                message: 'Each skill entry must have skill_type, skill_name, and rating.'
-            });
-        }
-        if (!['Affective', 'Psychomotor'].includes(entry.skill_type)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid skill_type. Must be 'Affective' or 'Psychomotor'."
-            });
-        }
-        if (typeof entry.rating !== 'number' || entry.rating < 1 || entry.rating > 5) {
-            return res.status(400).json({
-                success: false,
-                message: 'Rating must be an integer between 1 and 5.'
-            });
-        }
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -114,7 +81,7 @@ router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], asyn
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error saving student skills:', err);
+        logger.error('Error saving student skills:', err);
         res.status(500).json({ success: false, message: 'Server error while saving skills.' });
     } finally {
         connection.release();
@@ -122,14 +89,10 @@ router.post('/save', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])], asyn
 });
 
 // GET /api/skills/student/:student_id - Get all skills for a specific student and term
-router.get('/student/:student_id', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin', 'Student', 'Parent'])], async (req, res) => {
+router.get('/student/:student_id', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin', 'Student', 'Parent']), validate(schemas.studentSkills)], async (req, res) => {
     const { student_id } = req.params;
     const { term_id } = req.query;
 
-    if (!term_id) {
-        return res.status(400).json({ success: false, message: 'The term_id query parameter is required.' });
-    }
-
     try {
         // Authorization checks (similar to other student-specific routes)
         const [student] = await pool.query('SELECT id, user_id, parent_id, branch_id FROM students WHERE id = ?', [student_id]);
@@ -164,13 +127,13 @@ router.get('/student/:student_id', [auth, authorize(['Teacher', 'Admin', 'SuperA
         });
 
     } catch (err) {
-        console.error('Error fetching student skills:', err);
+        logger.error('Error fetching student skills:', err);
         res.status(500).json({ success: false, message: 'Server error while fetching skills.' });
     }
 });
 
 // GET /api/skills/default - Get the default list of skills
-router.get('/default', (req, res) => {
+router.get('/default', rateLimit('public'), (req, res) => {
     const defaultSkills = {
         Affective: [
             "Attendance", "Honesty", "Initiative", "Neatness",
@@ -191,7 +154,7 @@ router.get('/default', (req, res) => {
 });
 
 // GET /api/skills/default/type1 - Get default skills for younger classes
-router.get('/default/type1', (req, res) => {
+router.get('/default/type1', rateLimit('public'), (req, res) => {
     const type1Skills = {
         Affective: [
             "Punctuality",
@@ -218,7 +181,7 @@ router.get('/default/type1', (req, res) => {
 });
 
 // GET /api/skills/default/type2 - Get default skills for older classes
-router.get('/default/type2', (req, res) => {
+router.get('/default/type2', rateLimit('public'), (req, res) => {
     const type2Skills = {
         Affective: [
             "Punctuality",
@@ -245,14 +208,10 @@ router.get('/default/type2', (req, res) => {
 });
 
 // DELETE /api/skills/clear/:student_id - Teacher clears skills for a single student
-router.delete('/clear/:student_id', [auth, authorize(['Teacher'])], async (req, res) => {
+router.delete('/clear/:student_id', [auth, authorize(['Teacher']), validate(schemas.clearStudent)], async (req, res) => {
     const { student_id } = req.params;
     const { term_id } = req.query;
 
-    if (!term_id) {
-        return res.status(400).json({ success: false, message: 'The term_id query parameter is required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -293,7 +252,7 @@ router.delete('/clear/:student_id', [auth, authorize(['Teacher'])], async (req,
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error clearing student skills:', err);
+        logger.error('Error clearing student skills:', err);
         res.status(500).json({ success: false, message: 'Server error while clearing skills.' });
     } finally {
         connection.release();
@@ -301,17 +260,9 @@ router.delete('/clear/:student_id', [auth, authorize(['Teacher'])], async (req,
 });
 
 // DELETE /api/skills/clear-bulk - Admin clears skills for multiple students
-router.delete('/clear-bulk', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/clear-bulk', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.clearBulk)], async (req, res) => {
     const { student_ids, term_id } = req.body;
 
-    if (!student_ids || !Array.isArray(student_ids) || student_ids.length === 0) {
-        return res.status(400).json({ success: false, message: 'student_ids array is required.' });
-    }
-
-    if (!term_id) {
-        return res.status(400).json({ success: false, message: 'term_id is required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -355,7 +306,7 @@ router.delete('/clear-bulk', [auth, authorize(['Admin', 'SuperAdmin'])], async (
 
     } catch (err) {
         await connection.rollback();
-        console.error('Error clearing bulk student skills:', err);
+        logger.error('Error clearing bulk student skills:', err);
         res.status(500).json({ success: false, message: 'Server error while clearing skills.' });
     } finally {
         connection.release();
@@ -5,7 +5,52 @@ const { pool } = require("../database");
 const { v4: uuidv4 } = require("uuid");
 const auth = require("../middleware/auth");
 const authorize = require("../middleware/authorize");
-const validateStaffData = require("../middleware/validateStaff");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/staff");
+const { revokeAllSessions } = require("../services/sessionService");
+const { recordAudit } = require("../services/auditService");
+const { listPage } = require("../services/listService");
+const { invalidateUserRoles } = require("../services/lookupService");
+const logger = require("../services/logger");
+const {
+  PERMISSIONS,
+  ROLE_DEFAULTS,
+  isKnownPermission,
+  parseOverrides,
+  resolvePermissions,
+  updateStaffOverrides,
+} = require("../services/permissionService");
+
+// Columns, sort fields and search shared by the staff list endpoints
+const STAFF_LIST = {
+  select: `
+                s.id,
+                s.name,
+                s.email,
+                s.phone,
+                s.address,
+                s.salary,
+                s.salary_type,
+                s.gender,
+                s.description,
+                s.status,
+                s.image_url as imageUrl,
+                s.salary_due_date as salaryDueDate,
+                s.permissions,
+                s.created_at as createdAt,
+                r.id as roleId,
+                r.name as role,
+                b.id as branchId,
+                b.school_name as branch`,
+  from: `staff s
+            JOIN roles r ON s.role_id = r.id
+            JOIN branches b ON s.branch_id = b.id`,
+  filters: { status: "s.status", role: "r.name", gender: "s.gender" },
+  search: ["s.name", "s.email", "s.phone"],
+  sortable: { name: "s.name", created_at: "s.created_at", status: "s.status", salary: "s.salary" },
+  defaultSort: "-created_at",
+  key: "s.id",
+};
 
 async function getClassFullDetails(classId, connection) {
   // 1. Fetch basic class details and teacher info
@@ -98,7 +143,7 @@ router.post(
   "/create",
   auth,
   authorize(["SuperAdmin", "Admin"]),
-  validateStaffData,
+  validate(schemas.createStaff),
   async (req, res) => {
     const connection = await pool.getConnection();
 
@@ -140,14 +185,6 @@ router.post(
         }
       }
 
-      if (!name || !email || !phone || !gender || !role_id || !branch_id) {
-        return res.status(400).json({
-          success: false,
-          message:
-            "Please provide all required fields: name, email, phone, gender, role_id, branch_id",
-        });
-      }
-
       const salaryError = validateSalaryData(salary, salary_type);
       if (salaryError) {
         return res.status(400).json({
@@ -156,14 +193,6 @@ router.post(
         });
       }
 
-      const validGenders = ["male", "female", "other"];
-      if (!validGenders.includes(gender.toLowerCase())) {
-        return res.status(400).json({
-          success: false,
-          message: "Gender must be one of: male, female, other",
-        });
-      }
-
       const [existingUser] = await connection.query(
         "SELECT email FROM users WHERE email = ?",
         [email]
@@ -205,20 +234,8 @@ router.post(
       const roleName = roleData[0].name;
 
       if (roleName === "Teacher" && teacher_permissions) {
-        if (!Array.isArray(teacher_permissions)) {
-          return res.status(400).json({
-            success: false,
-            message: "teacher_permissions must be an array",
-          });
-        }
         permissions = teacher_permissions;
       } else if (roleName === "Admin" && admin_permissions) {
-        if (!Array.isArray(admin_permissions)) {
-          return res.status(400).json({
-            success: false,
-            message: "admin_permissions must be an array",
-          });
-        }
         permissions = admin_permissions;
       }
 
@@ -228,9 +245,10 @@ router.post(
       const hashedPassword = await bcrypt.hash(finalPassword, 10);
 
       const userId = uuidv4();
+      // Generated passwords are temporary and must be replaced on first login
       await connection.query(
-        "INSERT INTO users (id, email, password) VALUES (?, ?, ?)",
-        [userId, email, hashedPassword]
+        "INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, ?)",
+        [userId, email, hashedPassword, !password]
       );
 
       await connection.query(
@@ -261,6 +279,17 @@ router.post(
       };
 
       await connection.query("INSERT INTO staff SET ?", staffData);
+      await recordAudit(
+        req,
+        {
+          action: "staff.create",
+          entityType: "staff",
+          entityId: staffId,
+          branchId: branch_id,
+          after: staffData,
+        },
+        connection
+      );
 
       await connection.commit();
 
@@ -291,7 +320,7 @@ router.post(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Error creating staff:", error);
+      logger.error("Error creating staff:", error);
       res.status(500).json({
         success: false,
         message: "Server error while creating staff member",
@@ -302,33 +331,10 @@ router.post(
   }
 );
 
-router.get("/", auth, authorize(["SuperAdmin", "Admin"]), async (req, res) => {
+router.get("/", auth, authorize(["SuperAdmin", "Admin"]), validate(schemas.listStaff), async (req, res) => {
   try {
-    let query = `
-            SELECT 
-                s.id,
-                s.name,
-                s.email,
-                s.phone,
-                s.address,
-                s.salary,
-                s.salary_type,
-                s.gender,
-                s.description,
-                s.status,
-                s.image_url as imageUrl,
-                s.salary_due_date as salaryDueDate,
-                s.permissions,
-                s.created_at as createdAt,
-                r.id as roleId,
-                r.name as role,
-                b.id as branchId,
-                b.school_name as branch
-            FROM staff s
-            JOIN roles r ON s.role_id = r.id
-            JOIN branches b ON s.branch_id = b.id
-        `;
-    const queryParams = [];
+    const where = [];
+    const params = [];
 
     if (req.user.roles.includes("Admin")) {
       const [adminStaff] = await pool.query(
@@ -341,17 +347,14 @@ router.get("/", auth, authorize(["SuperAdmin", "Admin"]), async (req, res) => {
           message: "Admin not associated with any branch.",
         });
       }
-      const adminBranchId = adminStaff[0].branch_id;
-      query += " WHERE s.branch_id = ?";
-      queryParams.push(adminBranchId);
+      where.push("s.branch_id = ?");
+      params.push(adminStaff[0].branch_id);
     } else if (req.user.roles.includes("SuperAdmin") && req.query.branch_id) {
-      query += " WHERE s.branch_id = ?";
-      queryParams.push(req.query.branch_id);
+      where.push("s.branch_id = ?");
+      params.push(req.query.branch_id);
     }
 
-    query += " ORDER BY s.created_at DESC";
-
-    const [staff] = await pool.query(query, queryParams);
+    const { rows: staff, pagination } = await listPage(req, { ...STAFF_LIST, where, params });
 
     const formattedStaff = staff.map((member) => ({
       id: member.id,
@@ -377,9 +380,10 @@ router.get("/", auth, authorize(["SuperAdmin", "Admin"]), async (req, res) => {
     res.json({
       success: true,
       data: formattedStaff,
+      pagination,
     });
   } catch (error) {
-    console.error("Error fetching staff:", error);
+    logger.error("Error fetching staff:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching staff members",
@@ -387,7 +391,177 @@ router.get("/", auth, authorize(["SuperAdmin", "Admin"]), async (req, res) => {
   }
 });
 
-router.get("/:id", auth, async (req, res) => {
+// Loads a staff member with their role and checks that a non-SuperAdmin caller shares their branch
+async function getManageableStaff(req, staffId) {
+  const [rows] = await pool.query(
+    `SELECT s.id, s.user_id, s.name, s.branch_id, s.permissions, r.name as role
+         FROM staff s
+         JOIN roles r ON s.role_id = r.id
+         WHERE s.id = ?`,
+    [staffId]
+  );
+  if (rows.length === 0) {
+    return { status: 404, message: "Staff member not found" };
+  }
+
+  const member = rows[0];
+  if (!req.user.roles.includes("SuperAdmin")) {
+    const [callerStaff] = await pool.query(
+      "SELECT branch_id FROM staff WHERE user_id = ?",
+      [req.user.id]
+    );
+    if (
+      callerStaff.length === 0 ||
+      callerStaff[0].branch_id !== member.branch_id
+    ) {
+      return {
+        status: 403,
+        message: "You can only manage permissions for staff in your branch.",
+      };
+    }
+  }
+  return { member };
+}
+
+// @route   GET /api/staff/permissions
+// @desc    List every known permission and the defaults each role receives
+// @access  permissions.manage
+router.get(
+  "/permissions",
+  auth,
+  authorize.can("permissions.manage"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+          key,
+          description,
+        })),
+        roleDefaults: ROLE_DEFAULTS,
+      },
+    });
+  }
+);
+
+// @route   GET /api/staff/:id/permissions
+// @desc    Get a staff member's overrides and effective permissions
+// @access  permissions.manage
+router.get(
+  "/:id/permissions",
+  auth,
+  authorize.can("permissions.manage"),
+  validate(schemas.getPermissions),
+  async (req, res) => {
+    try {
+      const { member, status, message } = await getManageableStaff(
+        req,
+        req.params.id
+      );
+      if (!member) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      const overrides = parseOverrides(member.permissions);
+      res.json({
+        success: true,
+        data: {
+          id: member.id,
+          name: member.name,
+          role: member.role,
+          overrides,
+          effective: resolvePermissions([member.role], overrides),
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching staff permissions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching staff permissions",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/staff/:id/permissions
+// @desc    Grant and/or revoke permissions for a staff member
+// @access  permissions.manage
+router.put(
+  "/:id/permissions",
+  auth,
+  authorize.can("permissions.manage"),
+  validate(schemas.updatePermissions),
+  async (req, res) => {
+    const { grant = [], revoke = [] } = req.body;
+    if (grant.length === 0 && revoke.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide at least one permission to grant or revoke",
+      });
+    }
+
+    const unknown = [...grant, ...revoke].filter((p) => !isKnownPermission(p));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(", ")}`,
+      });
+    }
+
+    // Only SuperAdmins may hand out the ability to manage permissions
+    if (
+      grant.includes("permissions.manage") &&
+      !req.user.roles.includes("SuperAdmin")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only a SuperAdmin can grant permissions.manage",
+      });
+    }
+
+    try {
+      const { member, status, message } = await getManageableStaff(
+        req,
+        req.params.id
+      );
+      if (!member) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      const overrides = await updateStaffOverrides(member.id, {
+        grant,
+        revoke,
+      });
+      await recordAudit(req, {
+        action: "staff.permissions_update",
+        entityType: "staff",
+        entityId: member.id,
+        branchId: member.branch_id,
+        metadata: { grant, revoke },
+      });
+
+      res.json({
+        success: true,
+        message: "Permissions updated successfully",
+        data: {
+          id: member.id,
+          name: member.name,
+          role: member.role,
+          overrides,
+          effective: resolvePermissions([member.role], overrides),
+        },
+      });
+    } catch (error) {
+      logger.error("Error updating staff permissions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating staff permissions",
+      });
+    }
+  }
+);
+
+router.get("/:id", auth, validate(schemas.getStaff), async (req, res) => {
   try {
     const query = `
             SELECT 
@@ -466,7 +640,7 @@ router.get("/:id", auth, async (req, res) => {
       },
     });
   } catch (error) {
-    console.error("Error fetching staff member:", error);
+    logger.error("Error fetching staff member:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching staff member",
@@ -478,7 +652,7 @@ router.put(
   "/:id/update",
   auth,
   authorize(["SuperAdmin", "Admin"]),
-  validateStaffData,
+  validate(schemas.updateStaff),
   async (req, res) => {
     const connection = await pool.getConnection();
 
@@ -648,21 +822,9 @@ router.put(
 
       // Handle permissions update
       if (teacher_permissions !== undefined) {
-        if (!Array.isArray(teacher_permissions)) {
-          return res.status(400).json({
-            success: false,
-            message: "teacher_permissions must be an array",
-          });
-        }
         updateFields.push("permissions = ?");
         updateValues.push(JSON.stringify(teacher_permissions));
       } else if (admin_permissions !== undefined) {
-        if (!Array.isArray(admin_permissions)) {
-          return res.status(400).json({
-            success: false,
-            message: "admin_permissions must be an array",
-          });
-        }
         updateFields.push("permissions = ?");
         updateValues.push(JSON.stringify(admin_permissions));
       }
@@ -680,7 +842,28 @@ router.put(
         );
       }
 
+      const [staffAfterUpdate] = await connection.query(
+        "SELECT * FROM staff WHERE id = ?",
+        [staffId]
+      );
+      await recordAudit(
+        req,
+        {
+          action: "staff.update",
+          entityType: "staff",
+          entityId: staffId,
+          branchId: currentStaff.branch_id,
+          before: currentStaff,
+          after: staffAfterUpdate[0],
+          metadata: password ? { password_changed: true } : null,
+        },
+        connection
+      );
+
       await connection.commit();
+      if (role_id && role_id !== currentStaff.role_id) {
+        await invalidateUserRoles(currentStaff.user_id);
+      }
 
       const [updatedStaff] = await connection.query(
         `
@@ -726,7 +909,7 @@ router.put(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Error updating staff:", error);
+      logger.error("Error updating staff:", error);
       res.status(500).json({
         success: false,
         message: "Server error while updating staff member",
@@ -741,6 +924,7 @@ router.put(
   "/:id/status",
   auth,
   authorize(["SuperAdmin", "Admin"]),
+  validate(schemas.updateStatus),
   async (req, res) => {
     const connection = await pool.getConnection();
 
@@ -748,29 +932,6 @@ router.put(
       const staffId = req.params.id;
       const { status, reason } = req.body;
 
-      const validStatuses = [
-        "Active",
-        "On Leave",
-        "Not Paid",
-        "Suspended",
-        "Terminated",
-      ];
-      if (!status || !validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          message:
-            "Invalid status. Must be one of: " + validStatuses.join(", "),
-        });
-      }
-
-      // Validate that the status is a string to prevent SQL injection
-      if (typeof status !== "string") {
-        return res.status(400).json({
-          success: false,
-          message: "Status must be a string",
-        });
-      }
-
       await connection.beginTransaction();
 
       const [existing] = await connection.query(
@@ -818,10 +979,28 @@ router.put(
         ]);
       }
 
+      // Suspended and terminated staff lose every open session immediately
+      if (status === "Suspended" || status === "Terminated") {
+        await revokeAllSessions(currentStaff.user_id, { connection });
+      }
+
       await connection.query("UPDATE staff SET ? WHERE id = ?", [
         updateFields,
         staffId,
       ]);
+      await recordAudit(
+        req,
+        {
+          action: "staff.status_change",
+          entityType: "staff",
+          entityId: staffId,
+          branchId: currentStaff.branch_id,
+          before: currentStaff,
+          after: updateFields,
+          metadata: reason ? { reason } : null,
+        },
+        connection
+      );
 
       await connection.commit();
 
@@ -866,7 +1045,7 @@ router.put(
         },
       });
     } catch (error) {
-      console.error("Error updating staff status:", error);
+      logger.error("Error updating staff status:", error);
       res.status(500).json({
         success: false,
         message: "Server error while updating staff status",
@@ -881,6 +1060,7 @@ router.post(
   "/:id/reset-password",
   auth,
   authorize(["SuperAdmin", "Admin"]),
+  validate(schemas.resetPassword),
   async (req, res) => {
     const connection = await pool.getConnection();
 
@@ -911,10 +1091,20 @@ router.post(
       const newPassword = staff.phone;
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      await connection.query("UPDATE users SET password = ? WHERE id = ?", [
-        hashedPassword,
-        staff.user_id,
-      ]);
+      await connection.query(
+        "UPDATE users SET password = ?, must_change_password = TRUE WHERE id = ?",
+        [hashedPassword, staff.user_id]
+      );
+      await revokeAllSessions(staff.user_id, { connection });
+      await recordAudit(
+        req,
+        {
+          action: "staff.password_reset",
+          entityType: "staff",
+          entityId: staffId,
+        },
+        connection
+      );
 
       res.json({
         success: true,
@@ -927,7 +1117,7 @@ router.post(
         },
       });
     } catch (error) {
-      console.error("Error resetting password:", error);
+      logger.error("Error resetting password:", error);
       res.status(500).json({
         success: false,
         message: "Server error while resetting password",
@@ -942,6 +1132,7 @@ router.post(
   "/:id/terminate",
   auth,
   authorize(["SuperAdmin", "Admin"]),
+  validate(schemas.terminate),
   async (req, res) => {
     const connection = await pool.getConnection();
 
@@ -1016,6 +1207,7 @@ router.post(
         hashedPassword,
         currentStaff.user_id,
       ]);
+      await revokeAllSessions(currentStaff.user_id, { connection });
 
       // Update staff status to Terminated and clear permissions
       const terminationDate =
@@ -1029,6 +1221,19 @@ router.post(
              WHERE id = ?`,
         [staffId]
       );
+      await recordAudit(
+        req,
+        {
+          action: "staff.terminate",
+          entityType: "staff",
+          entityId: staffId,
+          branchId: currentStaff.branch_id,
+          before: currentStaff,
+          after: { status: "Terminated", permissions: null, salary_due_date: null },
+          metadata: { reason, effectiveDate: terminationDate },
+        },
+        connection
+      );
 
       await connection.commit();
 
@@ -1049,7 +1254,7 @@ router.post(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Error terminating staff:", error);
+      logger.error("Error terminating staff:", error);
       res.status(500).json({
         success: false,
         message: "Server error while terminating staff member",
@@ -1060,7 +1265,7 @@ router.post(
   }
 );
 
-router.delete("/:id", auth, authorize(["SuperAdmin"]), async (req, res) => {
+router.delete("/:id", auth, authorize(["SuperAdmin"]), validate(schemas.deleteStaff), async (req, res) => {
   const connection = await pool.getConnection();
 
   try {
@@ -1089,6 +1294,17 @@ router.delete("/:id", auth, authorize(["SuperAdmin"]), async (req, res) => {
     await connection.query("DELETE FROM users WHERE id = ?", [
       existing[0].user_id,
     ]);
+    await recordAudit(
+      req,
+      {
+        action: "staff.delete",
+        entityType: "staff",
+        entityId: staffId,
+        branchId: existing[0].branch_id,
+        before: existing[0],
+      },
+      connection
+    );
 
     await connection.commit();
 
@@ -1098,7 +1314,7 @@ router.delete("/:id", auth, authorize(["SuperAdmin"]), async (req, res) => {
     });
   } catch (error) {
     await connection.rollback();
-    console.error("Error deleting staff:", error);
+    logger.error("Error deleting staff:", error);
     res.status(500).json({
       success: false,
       message: "Server error while deleting staff member",
@@ -1108,35 +1324,13 @@ router.delete("/:id", auth, authorize(["SuperAdmin"]), async (req, res) => {
   }
 });
 
-router.get("/branch/:branchId", auth, async (req, res) => {
+router.get("/branch/:branchId", auth, validate(schemas.listForBranch), async (req, res) => {
   try {
-    const query = `
-            SELECT 
-                s.id,
-                s.name,
-                s.email,
-                s.phone,
-                s.address,
-                s.salary,
-                s.salary_type,
-                s.gender,
-                s.description,
-                s.status,
-                s.image_url as imageUrl,
-                s.salary_due_date as salaryDueDate,
-                s.permissions,
-                r.id as roleId,
-                r.name as role,
-                b.id as branchId,
-                b.school_name as branch
-            FROM staff s
-            JOIN roles r ON s.role_id = r.id
-            JOIN branches b ON s.branch_id = b.id
-            WHERE s.branch_id = ?
-            ORDER BY s.created_at DESC
-        `;
-
-    const [staff] = await pool.query(query, [req.params.branchId]);
+    const { rows: staff, pagination } = await listPage(req, {
+      ...STAFF_LIST,
+      where: ["s.branch_id = ?"],
+      params: [req.params.branchId],
+    });
 
     const formattedStaff = staff.map((member) => ({
       id: member.id,
@@ -1161,9 +1355,10 @@ router.get("/branch/:branchId", auth, async (req, res) => {
     res.json({
       success: true,
       data: formattedStaff,
+      pagination,
     });
   } catch (error) {
-    console.error("Error fetching staff by branch:", error);
+    logger.error("Error fetching staff by branch:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching staff members",
@@ -1171,51 +1366,15 @@ router.get("/branch/:branchId", auth, async (req, res) => {
   }
 });
 
-router.get("/status/:status", auth, async (req, res) => {
+router.get("/status/:status", auth, validate(schemas.listByStatus), async (req, res) => {
   try {
     const status = req.params.status;
-    const validStatuses = [
-      "Active",
-      "On Leave",
-      "Not Paid",
-      "Suspended",
-      "Terminated",
-    ];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status",
-      });
-    }
 
-    const query = `
-            SELECT 
-                s.id,
-                s.name,
-                s.email,
-                s.phone,
-                s.address,
-                s.salary,
-                s.salary_type,
-                s.gender,
-                s.description,
-                s.status,
-                s.image_url as imageUrl,
-                s.salary_due_date as salaryDueDate,
-                s.permissions,
-                r.id as roleId,
-                r.name as role,
-                b.id as branchId,
-                b.school_name as branch
-            FROM staff s
-            JOIN roles r ON s.role_id = r.id
-            JOIN branches b ON s.branch_id = b.id
-            WHERE s.status = ?
-            ORDER BY s.created_at DESC
-        `;
-
-    const [staff] = await pool.query(query, [status]);
+    const { rows: staff, pagination } = await listPage(req, {
+      ...STAFF_LIST,
+      where: ["s.status = ?"],
+      params: [status],
+    });
 
     const formattedStaff = staff.map((member) => ({
       id: member.id,
@@ -1240,9 +1399,10 @@ router.get("/status/:status", auth, async (req, res) => {
     res.json({
       success: true,
       data: formattedStaff,
+      pagination,
     });
   } catch (error) {
-    console.error("Error fetching staff by status:", error);
+    logger.error("Error fetching staff by status:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching staff members",
@@ -1250,7 +1410,7 @@ router.get("/status/:status", auth, async (req, res) => {
   }
 });
 
-router.get("/:id/full-details", auth, async (req, res) => {
+router.get("/:id/full-details", auth, validate(schemas.getFullDetails), async (req, res) => {
   const { id } = req.params;
   const connection = await pool.getConnection();
 
@@ -1332,7 +1492,7 @@ router.get("/:id/full-details", auth, async (req, res) => {
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     await connection.rollback();
-    console.error("Error fetching full teacher details:", error);
+    logger.error("Error fetching full teacher details:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching teacher details.",
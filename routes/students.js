@@ -5,7 +5,16 @@ const { v4: uuidv4 } = require("uuid");
 const { pool } = require("../database");
 const auth = require("../middleware/auth");
 const authorize = require("../middleware/authorize");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/students");
+const { revokeAllSessions } = require("../services/sessionService");
+const { recordAudit } = require("../services/auditService");
+const { listPage, emptyPagination } = require("../services/listService");
 const NotificationService = require("../services/notificationService");
+const { enqueueQuietly } = require("../services/jobQueue");
+const { getBranch, getCurrentTerm, invalidateUserRoles } = require("../services/lookupService");
+const { isSubjectTeacher4Class } = require("../services/resultsService");
+const logger = require("../services/logger");
 
 async function getAdminBranchId(userId) {
   const [rows] = await pool.query(
@@ -45,23 +54,12 @@ async function getTeacherClasses(userId) {
   return { classIds, branchId: staff.branch_id };
 }
 
-async function isSubjectTeacher4Class(teacherId, classId) {
-  const [rows] = await pool.query(
-    "SELECT * FROM class_subjects WHERE teacher_id = ? AND class_id = ?",
-    [teacherId, classId]
-  );
-  return rows.length > 0;
-}
-
 async function generateStudentId(branch_id) {
-  const [branch] = await pool.query(
-    "SELECT site_name FROM branches WHERE id = ?",
-    [branch_id]
-  );
-  if (branch.length === 0 || !branch[0].site_name) {
+  const branch = await getBranch(branch_id);
+  if (!branch || !branch.site_name) {
     throw new Error("Branch site name not found for student ID generation.");
   }
-  const prefix = "T" + branch[0].site_name;
+  const prefix = "T" + branch.site_name;
   const chars = "0123456789";
   let isUnique = false;
   let studentId = "";
@@ -82,7 +80,7 @@ async function generateStudentId(branch_id) {
 // POST /api/students/create - Create a student and associate to an existing parent (by email) or fail
 router.post(
   "/create",
-  [auth, authorize(["Admin", "SuperAdmin", "Teacher"])],
+  [auth, authorize(["Admin", "SuperAdmin", "Teacher"]), validate(schemas.createStudent)],
   async (req, res) => {
     const {
       first_name,
@@ -118,14 +116,7 @@ router.post(
     const normalizedFirstName = first_name || other_names;
     const normalizedLastName = last_name || surname_name;
 
-    if (
-      !normalizedFirstName ||
-      !normalizedLastName ||
-      !dob ||
-      !class_id ||
-      !branch_id ||
-      (!parent_email && !parent_phone)
-    ) {
+    if (!normalizedFirstName || !normalizedLastName || (!parent_email && !parent_phone)) {
       return res.status(400).json({
         success: false,
         message:
@@ -249,8 +240,8 @@ router.post(
         const hashed = await bcrypt.hash(tempPassword, 10);
         const studentUserId = uuidv4();
         await connection.query(
-          "INSERT INTO users (id, email, password) VALUES (?, ?, ?)",
-          [studentUserId, studentId, hashed]
+          "INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, ?)",
+          [studentUserId, studentId, hashed, !password]
         );
 
         const [studentRole] = await connection.query(
@@ -298,14 +289,22 @@ router.post(
           medical_report: medical_report || null,
         };
         await connection.query("INSERT INTO students SET ?", studentData);
+        await recordAudit(
+          req,
+          {
+            action: "student.create",
+            entityType: "student",
+            entityId: studentData.id,
+            branchId: branch_id,
+            after: studentData,
+          },
+          connection
+        );
 
         // Add student to payment status table for the active term
-        const [activeTerm] = await connection.query(
-          "SELECT id FROM terms WHERE is_active = TRUE AND (branch_id = ? OR branch_id IS NULL) ORDER BY branch_id DESC LIMIT 1",
-          [branch_id]
-        );
-        if (activeTerm.length > 0) {
-          const term_id = activeTerm[0].id;
+        const activeTerm = await getCurrentTerm(branch_id);
+        if (activeTerm) {
+          const term_id = activeTerm.id;
           await connection.query(
             "INSERT INTO student_payment_statuses (student_id, term_id, status) VALUES (?, ?, ?)",
             [studentData.id, term_id, "Not Paid"]
@@ -330,7 +329,7 @@ router.post(
         });
       } catch (e) {
         await pool.query("ROLLBACK");
-        console.error("Create student error:", e);
+        logger.error("Create student error:", e);
         return res.status(500).json({
           success: false,
           message: "Server error while creating student.",
@@ -339,7 +338,7 @@ router.post(
         await pool.query("COMMIT");
       }
     } catch (err) {
-      console.error(err);
+      logger.error(err);
       return res.status(500).json({ success: false, message: "Server Error" });
     }
   }
@@ -348,7 +347,7 @@ router.post(
 // PATCH /api/students/:id/associate-parent - associate existing student with parent by email or phone (and update contact)
 router.patch(
   "/:id/associate-parent",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.associateParent)],
   async (req, res) => {
     const { id } = req.params;
     const { parent_email, parent_phone } = req.body;
@@ -450,6 +449,18 @@ router.patch(
         parent.id,
         id,
       ]);
+      await recordAudit(
+        req,
+        {
+          action: "student.associate_parent",
+          entityType: "student",
+          entityId: id,
+          branchId: student.branch_id,
+          before: student,
+          after: { parent_id: parent.id },
+        },
+        connection
+      );
 
       await connection.commit();
       return res.json({
@@ -458,7 +469,7 @@ router.patch(
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Associate parent error:", err);
+      logger.error("Associate parent error:", err);
       return res.status(500).json({
         success: false,
         message: "Server error while associating parent.",
@@ -472,7 +483,7 @@ router.patch(
 // PUT /api/students/:id - Update a student's profile
 router.put(
   "/:id",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.updateStudent)],
   async (req, res) => {
     const { id } = req.params;
     const {
@@ -548,6 +559,24 @@ router.put(
           updateFields,
           id,
         ]);
+
+        // Read back so dates compare like-for-like in the audit diff
+        const [updatedRows] = await connection.query(
+          "SELECT * FROM students WHERE id = ?",
+          [id]
+        );
+        await recordAudit(
+          req,
+          {
+            action: "student.update",
+            entityType: "student",
+            entityId: id,
+            branchId: student.branch_id,
+            before: student,
+            after: updatedRows[0],
+          },
+          connection
+        );
       }
 
       await connection.commit();
@@ -557,7 +586,7 @@ router.put(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Update student error:", error);
+      logger.error("Update student error:", error);
       res.status(500).json({
         success: false,
         message: "Server error while updating student profile.",
@@ -571,7 +600,7 @@ router.put(
 // DELETE /api/students/:id - Delete a student's profile
 router.delete(
   "/:id",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.deleteStudent)],
   async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
@@ -608,6 +637,17 @@ router.delete(
       await connection.query("DELETE FROM users WHERE id = ?", [
         student.user_id,
       ]);
+      await recordAudit(
+        req,
+        {
+          action: "student.delete",
+          entityType: "student",
+          entityId: id,
+          branchId: student.branch_id,
+          before: student,
+        },
+        connection
+      );
 
       await connection.commit();
       res.json({
@@ -616,7 +656,7 @@ router.delete(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Delete student error:", error);
+      logger.error("Delete student error:", error);
       res.status(500).json({
         success: false,
         message: "Server error while deleting student.",
@@ -630,11 +670,22 @@ router.delete(
 // GET /api/students - list students
 router.get(
   "/",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.listStudents)],
   async (req, res) => {
     try {
-      let query = `
-    SELECT 
+      const where = ["(ss.name IS NULL OR ss.name = 'Active')"];
+      const params = [];
+      if (req.user.roles.includes("Admin")) {
+        const adminBranchId = await getAdminBranchId(req.user.id);
+        if (!adminBranchId) return res.json({ success: true, data: [], pagination: emptyPagination(req) });
+        where.push("s.branch_id = ?");
+        params.push(adminBranchId);
+      } else if (req.user.roles.includes("SuperAdmin") && req.query.branch_id) {
+        where.push("s.branch_id = ?");
+        params.push(req.query.branch_id);
+      }
+      const { rows, pagination } = await listPage(req, {
+        select: `
         s.*, 
         u.email AS student_id,
         c.name AS class_name,
@@ -642,30 +693,24 @@ router.get(
         b.address AS branch_address,
         p.name AS parent_name,
         p.email AS parent_email,
-        p.phone AS parent_phone
-    FROM students s
+        p.phone AS parent_phone`,
+        from: `students s
     JOIN users u ON s.user_id = u.id
     JOIN classes c ON s.class_id = c.id
     JOIN branches b ON s.branch_id = b.id
     JOIN parents p ON s.parent_id = p.id
-    LEFT JOIN student_statuses ss ON s.status_id = ss.id
-    WHERE (ss.name IS NULL OR ss.name = 'Active')
-`;
-      const params = [];
-      if (req.user.roles.includes("Admin")) {
-        const adminBranchId = await getAdminBranchId(req.user.id);
-        if (!adminBranchId) return res.json({ success: true, data: [] });
-        query += " AND s.branch_id = ?";
-        params.push(adminBranchId);
-      } else if (req.user.roles.includes("SuperAdmin") && req.query.branch_id) {
-        query += " AND s.branch_id = ?";
-        params.push(req.query.branch_id);
-      }
-      query += " ORDER BY s.first_name ASC, s.last_name ASC";
-      const [rows] = await pool.query(query, params);
-      return res.json({ success: true, data: rows });
+    LEFT JOIN student_statuses ss ON s.status_id = ss.id`,
+        where,
+        params,
+        filters: { class_id: "s.class_id", gender: "s.gender" },
+        search: ["s.first_name", "s.last_name", "u.email", "p.name"],
+        sortable: { first_name: "s.first_name", last_name: "s.last_name", class_name: "c.name", created_at: "s.created_at" },
+        defaultSort: "first_name,last_name",
+        key: "s.id",
+      });
+      return res.json({ success: true, data: rows, pagination });
     } catch (err) {
-      console.error("List students error:", err);
+      logger.error("List students error:", err);
       return res.status(500).json({
         success: false,
         message: "Server error while fetching students.",
@@ -678,47 +723,51 @@ router.get(
 // GET /api/students/new - list new students
 router.get(
   "/new/all",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.listNewStudents)],
   async (req, res) => {
     try {
-      let query = `
-            SELECT 
-                ns.*,
-                b.school_name AS branch_name,
-                b.address AS branch_address,
-                p.name AS parent_name,
-                p.phone AS parent_phone,
-                p.email AS parent_email
-            FROM new_students ns
-            JOIN branches b ON ns.branch_id = b.id
-            JOIN parents p ON ns.parent_id = p.id
-        `;
-
+      const where = [];
       const params = [];
 
       if (req.user.roles.includes("Admin")) {
         const adminBranchId = await getAdminBranchId(req.user.id);
 
         if (!adminBranchId) {
-          return res.json({ success: true, data: [] });
+          return res.json({ success: true, data: [], pagination: emptyPagination(req) });
         }
 
-        query += " WHERE ns.branch_id = ?";
+        where.push("ns.branch_id = ?");
         params.push(adminBranchId);
       }
 
-      query += " ORDER BY ns.created_at DESC";
-
-
-      const [rows] = await pool.query(query, params);
+      const { rows, pagination } = await listPage(req, {
+        select: `
+                ns.*,
+                b.school_name AS branch_name,
+                b.address AS branch_address,
+                p.name AS parent_name,
+                p.phone AS parent_phone,
+                p.email AS parent_email`,
+        from: `new_students ns
+            JOIN branches b ON ns.branch_id = b.id
+            JOIN parents p ON ns.parent_id = p.id`,
+        where,
+        params,
+        filters: { branch_id: "ns.branch_id", class_id: "ns.class_id", gender: "ns.gender" },
+        search: ["ns.first_name", "ns.last_name", "ns.student_id", "p.name"],
+        sortable: { first_name: "ns.first_name", last_name: "ns.last_name", created_at: "ns.created_at" },
+        defaultSort: "-created_at",
+        key: "ns.id",
+      });
 
       return res.json({
         success: true,
         data: rows,
+        pagination,
       });
 
     } catch (err) {
-      console.error("List new students error:", err);
+      logger.error("List new students error:", err);
 
       return res.status(500).json({
         success: false,
@@ -731,15 +780,11 @@ router.get(
 // POST /api/students/migrate/:newStudentId - migrate new_student to student
 router.post(
   "/migrate/:newStudentId",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.migrateStudent)],
   async (req, res) => {
     const { newStudentId } = req.params;
     const { class_id } = req.body;
 
-    if (!class_id) {
-      return res.status(400).json({ success: false, message: "class_id is required to migrate a student." });
-    }
-
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -827,16 +872,13 @@ router.post(
         "SELECT p.email as parent_email, p.phone as parent_phone, p.name as parent_name FROM parents p WHERE p.id = ?",
         [ns.parent_id]
       );
-      const [branchRows] = await connection.query(
-        "SELECT site_name FROM branches WHERE id = ?",
-        [ns.branch_id]
-      );
+      const branch = await getBranch(ns.branch_id);
       const [migratingClassRows] = await connection.query(
         "SELECT name FROM classes WHERE id = ?",
         [class_id]
       );
       const parentInfo = parentRows[0] || {};
-      const branchName = branchRows[0]?.site_name;
+      const branchName = branch?.site_name;
       const className = migratingClassRows[0]?.name;
 
       // Create student row with all fields from new_students
@@ -909,13 +951,16 @@ router.post(
       ]);
 
       await connection.commit();
+      // NewStudent became Student
+      await invalidateUserRoles(userId);
 
       // Send notifications after successful commit
       if (parentInfo.parent_email) {
         const password = ns.father_phone || ns.mother_phone || generatedStudentId;
         const studentName = `${ns.first_name} ${ns.last_name}`.trim();
 
-        // Notify parent about student admission
+        // Notify parent about student admission. Sent inline rather than queued: it carries the
+        // student's password, which mustn't be stored in a job payload
         NotificationService.notifyStudentAdmitted({
           parentEmail: parentInfo.parent_email,
           parentPhone: parentInfo.parent_phone,
@@ -927,19 +972,20 @@ router.post(
           password,
           parentUsername: parentInfo.parent_email
         }).catch(err => {
-          console.error('Failed to send student admission notification:', err);
+          logger.error("Failed to send student admission notification:", err);
         });
 
         // Notify admin about migrated student
-        NotificationService.notifyAdminStudentMigrated({
-          studentName,
-          studentId: generatedStudentId,
-          parentEmail: parentInfo.parent_email,
-          branchName,
-          className,
-          adminName: req.user.name || 'Admin'
-        }).catch(err => {
-          console.error('Failed to send admin migration notification:', err);
+        enqueueQuietly("notification.send", {
+          template: "notifyAdminStudentMigrated",
+          data: {
+            studentName,
+            studentId: generatedStudentId,
+            parentEmail: parentInfo.parent_email,
+            branchName,
+            className,
+            adminName: req.user.name || 'Admin'
+          },
         });
       }
 
@@ -950,7 +996,7 @@ router.post(
       });
     } catch (err) {
       await connection.rollback();
-      console.error("Migrate student error:", err);
+      logger.error("Migrate student error:", err);
       return res.status(500).json({
         success: false,
         message: "Server error while migrating student.",
@@ -964,7 +1010,7 @@ router.post(
 // GET /api/students/class/:class_id - Get all students for a specific class by class_id
 router.get(
   "/class/:class_id",
-  [auth, authorize(["Teacher", "Admin", "SuperAdmin"])],
+  [auth, authorize(["Teacher", "Admin", "SuperAdmin"]), validate(schemas.listForClass)],
   async (req, res) => {
     const { class_id } = req.params;
 
@@ -1054,7 +1100,7 @@ router.get(
         data: students,
       });
     } catch (error) {
-      console.error("Error fetching students by class:", error);
+      logger.error("Error fetching students by class:", error);
       res.status(500).json({
         success: false,
         message: "Server error while fetching students.",
@@ -1106,7 +1152,7 @@ router.get("/class", [auth, authorize(["Teacher"])], async (req, res) => {
     const [students] = await pool.query(query, [classId]);
     res.json({ success: true, data: students });
   } catch (error) {
-    console.error("Error fetching students by class:", error);
+    logger.error("Error fetching students by class:", error);
     res.status(500).json({
       success: false,
       message: "Server error while fetching students.",
@@ -1117,7 +1163,7 @@ router.get("/class", [auth, authorize(["Teacher"])], async (req, res) => {
 // POST /api/students/:id/reset-password - Reset a student's password
 router.post(
   "/:id/reset-password",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.resetPassword)],
   async (req, res) => {
     const { id } = req.params;
     const connection = await pool.getConnection();
@@ -1158,10 +1204,11 @@ router.post(
       }
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      await connection.query("UPDATE users SET password = ? WHERE id = ?", [
-        hashedPassword,
-        student.user_id,
-      ]);
+      await connection.query(
+        "UPDATE users SET password = ?, must_change_password = TRUE WHERE id = ?",
+        [hashedPassword, student.user_id]
+      );
+      await revokeAllSessions(student.user_id, { connection });
 
       await connection.commit();
 
@@ -1175,7 +1222,7 @@ router.post(
       });
     } catch (error) {
       await connection.rollback();
-      console.error("Reset student password error:", error);
+      logger.error("Reset student password error:", error);
       res.status(500).json({
         success: false,
         message: "Server error while resetting password.",
@@ -1188,7 +1235,7 @@ router.post(
 
 router.get(
   "/search",
-  [auth, authorize(["Admin", "SuperAdmin"])],
+  [auth, authorize(["Admin", "SuperAdmin"]), validate(schemas.search)],
   async (req, res) => {
     const { q } = req.query;
     if (!q || q.length < 2) {
@@ -1216,7 +1263,7 @@ router.get(
       const [students] = await pool.query(query, params);
       res.json({ success: true, data: students });
     } catch (err) {
-      console.error("Search students error:", err);
+      logger.error("Search students error:", err);
       res.status(500).json({
         success: false,
         message: "Server error while searching students.",
@@ -1276,7 +1323,7 @@ router.get(
 
       res.json({ success: true, data: studentProfile });
     } catch (err) {
-      console.error("Error fetching student profile:", err);
+      logger.error("Error fetching student profile:", err);
       res.status(500).json({
         success: false,
         message: "Server error while fetching profile.",
@@ -1306,18 +1353,14 @@ router.get(
       const { id: studentId, class_id, branch_id } = student[0];
 
       // Find the active term for the student's branch
-      const [terms] = await pool.query(
-        "SELECT id, start_date, end_date FROM terms WHERE (branch_id = ? OR branch_id IS NULL) AND is_active = TRUE ORDER BY branch_id DESC LIMIT 1",
-        [branch_id]
-      );
+      const term = await getCurrentTerm(branch_id);
 
-      if (terms.length === 0) {
+      if (!term) {
         return res.json({
           success: true,
           data: { attendance: "N/A", punctuality: "N/A" },
         });
       }
-      const term = terms[0];
 
       // Ensure we don't calculate for future dates
       const today = new Date();
@@ -1353,7 +1396,7 @@ router.get(
 
       res.json({ success: true, data: { attendance, punctuality } });
     } catch (error) {
-      console.error("Error fetching student stats:", error);
+      logger.error("Error fetching student stats:", error);
       res.status(500).json({
         success: false,
         message: "Server error while fetching stats.",
@@ -4,6 +4,9 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/subjects');
+const logger = require('../services/logger');
 
 // Helper function to get staff ID and branch from user ID
 async function getStaffInfo(userId) {
@@ -22,16 +25,9 @@ async function isTeacherAuthorized(userId, subjectId) {
 }
 
 // POST /api/subjects - Create a new subject
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async (req, res) => {
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher']), validate(schemas.createSubject)], async (req, res) => {
     const { name, class_id, teacher_id, description } = req.body;
 
-    if (!name || !class_id || !teacher_id) {
-        return res.status(400).json({
-            success: false,
-            message: 'Missing required fields: name, class_id, and teacher_id are required.'
-        });
-    }
-
     try {
         // Get the branch_id from the class
         const [classRows] = await pool.query('SELECT branch_id FROM classes WHERE id = ?', [class_id]);
@@ -100,13 +96,13 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async (r
             data: newSubject[0]
         });
     } catch (err) {
-        console.error('Create subject error:', err);
+        logger.error('Create subject error:', err);
         return res.status(500).json({ success: false, message: 'Server error while creating subject.' });
     }
 });
 
 // GET /api/subjects/class/:class_id - Get all subjects for a specific class
-router.get('/class/:class_id', auth, async (req, res) => {
+router.get('/class/:class_id', auth, validate(schemas.listForClass), async (req, res) => {
     const { class_id } = req.params;
 
     try {
@@ -125,13 +121,13 @@ router.get('/class/:class_id', auth, async (req, res) => {
             data: subjects
         });
     } catch (err) {
-        console.error('Fetch subjects by class error:', err);
+        logger.error('Fetch subjects by class error:', err);
         return res.status(500).json({ success: false, message: 'Server error while fetching subjects.' });
     }
 });
 
 // GET /api/subjects/teacher/:teacher_id - Get all subjects for a specific teacher
-router.get('/teacher/:teacher_id', auth, async (req, res) => {
+router.get('/teacher/:teacher_id', auth, validate(schemas.listForTeacher), async (req, res) => {
     const { teacher_id } = req.params;
 
     try {
@@ -150,13 +146,13 @@ router.get('/teacher/:teacher_id', auth, async (req, res) => {
             data: subjects
         });
     } catch (err) {
-        console.error('Fetch subjects by teacher error:', err);
+        logger.error('Fetch subjects by teacher error:', err);
         return res.status(500).json({ success: false, message: 'Server error while fetching subjects.' });
     }
 });
 
 // GET /api/subjects/branch/:branch_id - Get all subjects for a specific branch
-router.get('/branch/:branch_id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.get('/branch/:branch_id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.listForBranch)], async (req, res) => {
     const { branch_id } = req.params;
 
     try {
@@ -186,13 +182,13 @@ router.get('/branch/:branch_id', [auth, authorize(['Admin', 'SuperAdmin'])], asy
             data: subjects
         });
     } catch (err) {
-        console.error('Fetch subjects by branch error:', err);
+        logger.error('Fetch subjects by branch error:', err);
         return res.status(500).json({ success: false, message: 'Server error while fetching subjects.' });
     }
 });
 
 // GET /api/subjects/:id - Get a single subject by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, validate(schemas.getSubject), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -213,13 +209,13 @@ router.get('/:id', auth, async (req, res) => {
             data: subjects[0]
         });
     } catch (err) {
-        console.error('Fetch subject error:', err);
+        logger.error('Fetch subject error:', err);
         return res.status(500).json({ success: false, message: 'Server error while fetching subject.' });
     }
 });
 
 // PUT /api/subjects/:id - Update a subject
-router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher']), validate(schemas.updateSubject)], async (req, res) => {
     const { id } = req.params;
     const { name, class_id, teacher_id, description } = req.body;
 
@@ -280,13 +276,13 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async
             data: updatedSubject[0]
         });
     } catch (err) {
-        console.error('Update subject error:', err);
+        logger.error('Update subject error:', err);
         return res.status(500).json({ success: false, message: 'Server error while updating subject.' });
     }
 });
 
 // DELETE /api/subjects/:id - Delete a subject
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher']), validate(schemas.deleteSubject)], async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -326,7 +322,7 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'])], asy
             message: 'Subject deleted successfully.'
         });
     } catch (err) {
-        console.error('Delete subject error:', err);
+        logger.error('Delete subject error:', err);
         return res.status(500).json({ success: false, message: 'Server error while deleting subject.' });
     }
 });
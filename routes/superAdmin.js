@@ -1,13 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const { pool } = require('../database');const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const schemas = require('../schemas/superAdmin');
+const { validateNewPassword } = require('../services/passwordService');
+const logger = require('../services/logger');
+const {
+    redeemToken,
+    createInvite,
+    getInviteByToken,
+    listPendingInvites,
+    revokeInvite
+} = require('../services/superAdminService');
 
-router.post('/register', async (req, res) => {
-    const { email, password, name, phone, image } = req.body;
+// @route   POST /api/notreallysuperadmin/register
+// @desc    Create the very first SuperAdmin using the one-time setup token
+// @access  Public (setup token required; unusable once a SuperAdmin exists)
+router.post('/register', rateLimit('account'), validate(schemas.register), async (req, res) => {
+    const { setup_token, email, password, name, phone, image } = req.body;
 
-    if (!email || !password || !name || !phone) {
-        return res.status(400).json({ message: 'Please enter all fields' });
+    if (!setup_token) {
+        return res.status(403).json({ message: 'A setup token is required' });
+    }
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
     }
 
     try {
@@ -16,32 +36,118 @@ router.post('/register', async (req, res) => {
             return res.status(400).json({ message: 'Email already exists' });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const userId = uuidv4();
-        await pool.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [userId, email, hashedPassword]);
+        const userId = await redeemToken(setup_token, 'bootstrap', { email, password, name, phone, image });
+        if (!userId) {
+            return res.status(403).json({ message: 'Setup token is invalid or has already been used' });
+        }
+
+        res.status(201).json({ message: 'SuperAdmin registered' });
+    } catch (err) {
+        logger.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/notreallysuperadmin/invites
+// @desc    Invite someone to become a SuperAdmin (emails an expiring link)
+// @access  SuperAdmin
+router.post('/invites', [auth, authorize(['SuperAdmin']), validate(schemas.createInvite)], async (req, res) => {
+    const { email } = req.body;
 
-        const [roleResult] = await pool.query('SELECT id FROM roles WHERE name = ?', ['SuperAdmin']);
-        if (roleResult.length === 0) {
-            return res.status(400).json({ message: 'Invalid role' });
+    try {
+        const [existingUser] = await pool.query('SELECT email FROM users WHERE email = ?', [email]);
+        if (existingUser.length > 0) {
+            return res.status(400).json({ success: false, message: 'Email already exists' });
         }
-        const roleId = roleResult[0].id;
 
-        await pool.query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, roleId]);
+        const [inviterResult] = await pool.query('SELECT name FROM super_admins WHERE user_id = ?', [req.user.id]);
+        const inviter = { id: req.user.id, email: req.user.email, name: inviterResult.length > 0 ? inviterResult[0].name : null };
 
-        const superAdminId = uuidv4();
-        const superAdminData = {
-            id: superAdminId,
-            user_id: userId,
-            name,
-            phone,
-            image
-        };
-        await pool.query('INSERT INTO super_admins SET ?', superAdminData);
+        const invite = await createInvite(email, inviter);
+        res.status(201).json({ success: true, message: 'Invitation created', data: invite });
+    } catch (err) {
+        logger.error('Error creating SuperAdmin invite:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        res.status(201).json({ message: 'SuperAdmin registered' });
+// @route   GET /api/notreallysuperadmin/invites
+// @desc    List invitations that are still pending
+// @access  SuperAdmin
+router.get('/invites', [auth, authorize(['SuperAdmin'])], async (req, res) => {
+    try {
+        const invites = await listPendingInvites();
+        res.json({ success: true, data: invites });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
+        logger.error('Error listing SuperAdmin invites:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/notreallysuperadmin/invites/:id
+// @desc    Revoke a pending invitation
+// @access  SuperAdmin
+router.delete('/invites/:id', [auth, authorize(['SuperAdmin']), validate(schemas.revokeInvite)], async (req, res) => {
+    try {
+        const revoked = await revokeInvite(req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'Pending invitation not found' });
+        }
+        res.json({ success: true, message: 'Invitation revoked' });
+    } catch (err) {
+        logger.error('Error revoking SuperAdmin invite:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   GET /api/notreallysuperadmin/invites/verify?token=
+// @desc    Check an invite link before showing the accept form
+// @access  Public
+router.get('/invites/verify', rateLimit('account'), validate(schemas.verifyInvite), async (req, res) => {
+    const { token } = req.query;
+
+    try {
+        const invite = await getInviteByToken(token);
+        if (!invite) {
+            return res.status(404).json({ success: false, message: 'This invitation is invalid or has expired' });
+        }
+        res.json({ success: true, data: { email: invite.email, expires_at: invite.expires_at } });
+    } catch (err) {
+        logger.error('Error verifying SuperAdmin invite:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// @route   POST /api/notreallysuperadmin/invites/accept
+// @desc    Accept an invitation and create the SuperAdmin account for the invited email
+// @access  Public (invite token required)
+router.post('/invites/accept', rateLimit('account'), validate(schemas.acceptInvite), async (req, res) => {
+    const { token, password, name, phone, image } = req.body;
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    try {
+        const invite = await getInviteByToken(token);
+        if (!invite) {
+            return res.status(404).json({ success: false, message: 'This invitation is invalid or has expired' });
+        }
+
+        const [existingUser] = await pool.query('SELECT email FROM users WHERE email = ?', [invite.email]);
+        if (existingUser.length > 0) {
+            return res.status(400).json({ success: false, message: 'Email already exists' });
+        }
+
+        const userId = await redeemToken(token, 'invite', { password, name, phone, image });
+        if (!userId) {
+            return res.status(404).json({ success: false, message: 'This invitation is invalid or has expired' });
+        }
+
+        res.status(201).json({ success: true, message: 'SuperAdmin registered', data: { email: invite.email } });
+    } catch (err) {
+        logger.error('Error accepting SuperAdmin invite:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
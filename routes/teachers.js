@@ -3,6 +3,7 @@ const router = express.Router();
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const logger = require('../services/logger');
 
 // Helper function to get staff info
 async function getStaffInfo(userId) {
@@ -47,7 +48,7 @@ router.get('/my-subjects', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])]
         res.json({ success: true, data: subjects });
 
     } catch (error) {
-        console.error('Error fetching teacher subjects:', error);
+        logger.error('Error fetching teacher subjects:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching subjects.' });
     }
 });
@@ -87,7 +88,7 @@ router.get('/my-classes', [auth, authorize(['Teacher', 'Admin', 'SuperAdmin'])],
         res.json({ success: true, data: classes });
 
     } catch (error) {
-        console.error('Error fetching teacher classes:', error);
+        logger.error('Error fetching teacher classes:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching classes.' });
     }
 });
@@ -4,6 +4,11 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/terms');
+const { recordAudit } = require('../services/auditService');
+const { getCurrentTerm, invalidateTerms } = require('../services/lookupService');
+const logger = require('../services/logger');
 
 async function getAdminBranchId(userId) {
     const [rows] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
@@ -11,7 +16,7 @@ async function getAdminBranchId(userId) {
 }
 
 // GET /api/terms - Get all terms
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate(schemas.listTerms), async (req, res) => {
     try {
         // Scoping for Admins to see only their branch's terms
         let query = 'SELECT * FROM terms';
@@ -56,19 +61,15 @@ router.get('/', auth, async (req, res) => {
         res.json({ success: true, data: terms });
 
     } catch (error) {
-        console.error('Get all terms error:', error);
+        logger.error('Get all terms error:', error);
         res.status(500).json({ success: false, message: 'Server error while retrieving terms.' });
     }
 });
 
 // POST /api/terms/new - Trigger a new term (reset payment statuses but keep history)
-router.post('/new', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/new', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createTerm)], async (req, res) => {
     const { name, session, start_date, end_date, branch_id, next_term_begins } = req.body;
 
-    if (!name || !session || !start_date || !end_date) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: name, session, start_date, and end_date are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -122,6 +123,7 @@ router.post('/new', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
             is_active: true,
         };
         await connection.query('INSERT INTO terms SET ?', newTerm);
+        await recordAudit(req, { action: 'term.create', entityType: 'term', entityId: newTermId, branchId: newTerm.branch_id, after: newTerm }, connection);
 
         // Reset student payment statuses to "Not Paid" for the new term, scoped to the branch
         let studentsQuery = 'SELECT id FROM students';
@@ -139,70 +141,45 @@ router.post('/new', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
         }
 
         await connection.commit();
+        await invalidateTerms();
         res.status(201).json({ success: true, message: 'New term created successfully.', data: newTerm });
     } catch (error) {
         await connection.rollback();
-        console.error('Create new term error:', error);
+        logger.error('Create new term error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating new term.' });
     } finally {
         connection.release();
     }
 });
 
+// A staff member's branch, or for students and parents the (first) child's branch. SuperAdmins have
+// none and see the global or most recent terms.
+async function getUserBranchId({ roles, id: userId }) {
+    if (roles.includes('Admin') || roles.includes('Teacher') || roles.includes('NonTeachingStaff')) {
+        const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
+        return staff.length > 0 ? staff[0].branch_id : null;
+    }
+    if (roles.includes('Student') || roles.includes('Parent')) {
+        // A parent's branch is determined by their child's branch. This assumes one child for simplicity.
+        // A more complex system would need to know which child's context we are in.
+        const [student] = await pool.query(`
+            SELECT s.branch_id 
+            FROM students s
+            LEFT JOIN parents p ON s.parent_id = p.id
+            WHERE s.user_id = ? OR p.user_id = ?
+            LIMIT 1
+        `, [userId, userId]);
+        return student.length > 0 ? student[0].branch_id : null;
+    }
+    return null;
+}
+
 // GET /api/terms/current - Get the current active term
 router.get('/current', auth, async (req, res) => {
     try {
-        let branchId = null;
-        const { roles, id: userId } = req.user;
-
-        // Determine the branch_id based on user role
-        if (roles.includes('Admin') || roles.includes('Teacher') || roles.includes('NonTeachingStaff')) {
-            const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
-            if (staff.length > 0) {
-                branchId = staff[0].branch_id;
-            }
-        } else if (roles.includes('Student') || roles.includes('Parent')) {
-            // A parent's branch is determined by their child's branch. This assumes one child for simplicity.
-            // A more complex system would need to know which child's context we are in.
-            const [student] = await pool.query(`
-                SELECT s.branch_id 
-                FROM students s
-                LEFT JOIN parents p ON s.parent_id = p.id
-                WHERE s.user_id = ? OR p.user_id = ?
-                LIMIT 1
-            `, [userId, userId]);
-            if (student.length > 0) {
-                branchId = student[0].branch_id;
-            }
-        }
-        // SuperAdmin has branchId = null, so they will check for global/most recent terms.
-
-        let term = null;
-
-        // 1. Try to find a branch-specific active term
-        if (branchId) {
-            const [terms] = await pool.query('SELECT * FROM terms WHERE is_active = TRUE AND branch_id = ?', [branchId]);
-            if (terms.length > 0) {
-                term = terms[0];
-            }
-        }
-
-        // 2. If no branch-specific term, try to find a global active term
-        if (!term) {
-            const [globalTerms] = await pool.query('SELECT * FROM terms WHERE is_active = TRUE AND branch_id IS NULL ORDER BY start_date DESC');
-            if (globalTerms.length > 0) {
-                term = globalTerms[0];
-            }
-        }
-        
-        // 3. If still no term and user is SuperAdmin, find the most recent active term regardless of branch
-        if (!term && roles.includes('SuperAdmin')) {
-             const [anyActiveTerm] = await pool.query('SELECT * FROM terms WHERE is_active = TRUE ORDER BY start_date DESC');
-             if (anyActiveTerm.length > 0) {
-                term = anyActiveTerm[0];
-             }
-        }
-
+        const branchId = await getUserBranchId(req.user);
+        // Branch term, else the global one, else (SuperAdmin only) the latest active term of any branch
+        const term = await getCurrentTerm(branchId, { anyBranch: req.user.roles.includes('SuperAdmin') });
 
         if (!term) {
             return res.status(404).json({ success: false, message: 'No active term found.' });
@@ -213,7 +190,7 @@ router.get('/current', auth, async (req, res) => {
             data: term
         });
     } catch (error) {
-        console.error('Get current term error:', error);
+        logger.error('Get current term error:', error);
         res.status(500).json({ success: false, message: 'Server error while retrieving current term.' });
     }
 });
@@ -221,56 +198,9 @@ router.get('/current', auth, async (req, res) => {
 // GET /api/terms/session/current - Get terms for the current academic session (max 3)
 router.get('/session/current', auth, async (req, res) => {
     try {
-        let branchId = null;
-        const { roles, id: userId } = req.user;
-
-        if (roles.includes('Admin') || roles.includes('Teacher') || roles.includes('NonTeachingStaff')) {
-            const [staff] = await pool.query('SELECT branch_id FROM staff WHERE user_id = ?', [userId]);
-            if (staff.length > 0) {
-                branchId = staff[0].branch_id;
-            }
-        } else if (roles.includes('Student') || roles.includes('Parent')) {
-            const [student] = await pool.query(`
-                SELECT s.branch_id 
-                FROM students s
-                LEFT JOIN parents p ON s.parent_id = p.id
-                WHERE s.user_id = ? OR p.user_id = ?
-                LIMIT 1
-            `, [userId, userId]);
-            if (student.length > 0) {
-                branchId = student[0].branch_id;
-            }
-        }
-
-        let currentSession = null;
-
-        if (branchId) {
-            const [activeTerms] = await pool.query(
-                'SELECT session FROM terms WHERE is_active = TRUE AND branch_id = ? LIMIT 1',
-                [branchId]
-            );
-            if (activeTerms.length > 0) {
-                currentSession = activeTerms[0].session;
-            }
-        }
-
-        if (!currentSession) {
-            const [globalActiveTerms] = await pool.query(
-                'SELECT session FROM terms WHERE is_active = TRUE AND branch_id IS NULL LIMIT 1'
-            );
-            if (globalActiveTerms.length > 0) {
-                currentSession = globalActiveTerms[0].session;
-            }
-        }
-
-        if (!currentSession && roles.includes('SuperAdmin')) {
-            const [anyActiveTerm] = await pool.query(
-                'SELECT session FROM terms WHERE is_active = TRUE ORDER BY start_date DESC LIMIT 1'
-            );
-            if (anyActiveTerm.length > 0) {
-                currentSession = anyActiveTerm[0].session;
-            }
-        }
+        const branchId = await getUserBranchId(req.user);
+        const activeTerm = await getCurrentTerm(branchId, { anyBranch: req.user.roles.includes('SuperAdmin') });
+        const currentSession = activeTerm ? activeTerm.session : null;
 
         if (!currentSession) {
             return res.status(404).json({ success: false, message: 'No active academic session found.' });
@@ -293,13 +223,13 @@ router.get('/session/current', auth, async (req, res) => {
             data: terms
         });
     } catch (error) {
-        console.error('Get current session terms error:', error);
+        logger.error('Get current session terms error:', error);
         res.status(500).json({ success: false, message: 'Server error while retrieving current session terms.' });
     }
 });
 
 // GET /api/terms/:id - Get a specific term by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, validate(schemas.getTerm), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -314,14 +244,14 @@ router.get('/:id', auth, async (req, res) => {
             data: terms[0]
         });
     } catch (error) {
-        console.error('Get term by ID error:', error);
+        logger.error('Get term by ID error:', error);
         res.status(500).json({ success: false, message: 'Server error while retrieving term.' });
     }
 });
 
 
 // DELETE /api/terms/:id - Delete a term
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteTerm)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -344,12 +274,14 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
         }
 
         await connection.query('DELETE FROM terms WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'term.delete', entityType: 'term', entityId: id, branchId: term.branch_id, before: term }, connection);
 
         await connection.commit();
+        await invalidateTerms();
         res.json({ success: true, message: 'Term deleted successfully.' });
     } catch (error) {
         await connection.rollback();
-        console.error('Delete term error:', error);
+        logger.error('Delete term error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting term.' });
     } finally {
         connection.release();
@@ -357,7 +289,7 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
 });
 
 // PATCH /api/terms/:id/activate - Activate a specific term (deactivates others)
-router.patch('/:id/activate', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.patch('/:id/activate', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.activateTerm)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -386,14 +318,16 @@ router.patch('/:id/activate', [auth, authorize(['Admin', 'SuperAdmin'])], async
         }
 
         await connection.query('UPDATE terms SET is_active = TRUE WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'term.activate', entityType: 'term', entityId: id, branchId: term.branch_id, before: term, after: { is_active: true } }, connection);
 
         await connection.commit();
+        await invalidateTerms();
 
         const [updatedTerms] = await pool.query('SELECT * FROM terms WHERE id = ?', [id]);
         res.json({ success: true, message: 'Term activated successfully.', data: updatedTerms[0] });
     } catch (error) {
         await connection.rollback();
-        console.error('Activate term error:', error);
+        logger.error('Activate term error:', error);
         res.status(500).json({ success: false, message: 'Server error while activating term.' });
     } finally {
         connection.release();
@@ -401,7 +335,7 @@ router.patch('/:id/activate', [auth, authorize(['Admin', 'SuperAdmin'])], async
 });
 
 // PUT /api/terms/:id - Update a term
-router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateTerm)], async (req, res) => {
     const { id } = req.params;
     const { name, session, start_date, end_date, next_term_begins, is_active } = req.body;
 
@@ -477,16 +411,18 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 
         await connection.query('UPDATE terms SET ? WHERE id = ?', [fieldsToUpdate, id]);
 
-        await connection.commit();
+        // Fetch the updated term to return (read back so dates compare like-for-like in the audit diff)
+        const [updatedTerms] = await connection.query('SELECT * FROM terms WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'term.update', entityType: 'term', entityId: id, branchId: term.branch_id, before: term, after: updatedTerms[0] }, connection);
 
-        // Fetch the updated term to return
-        const [updatedTerms] = await pool.query('SELECT * FROM terms WHERE id = ?', [id]);
+        await connection.commit();
+        await invalidateTerms();
 
         res.json({ success: true, message: 'Term updated successfully.', data: updatedTerms[0] });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update term error:', error);
+        logger.error('Update term error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating term.' });
     } finally {
         connection.release();
@@ -4,6 +4,9 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/timetables');
+const logger = require('../services/logger');
 
 // Helper function to get an Admin's branch ID
 async function getAdminBranchId(userId) {
@@ -14,13 +17,9 @@ async function getAdminBranchId(userId) {
 // @route   POST /api/timetables
 // @desc    Create a new timetable for a class
 // @access  Admin, SuperAdmin
-router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.post('/', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.createTimetable)], async (req, res) => {
     const { class_id, timetable_data } = req.body;
 
-    if (!class_id || !timetable_data) {
-        return res.status(400).json({ success: false, message: 'class_id and timetable_data are required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -63,7 +62,7 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 
     } catch (error) {
         await connection.rollback();
-        console.error('Create timetable error:', error);
+        logger.error('Create timetable error:', error);
         res.status(500).json({ success: false, message: 'Server error while creating timetable.' });
     } finally {
         connection.release();
@@ -74,7 +73,7 @@ router.post('/', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) =>
 // @route   GET /api/timetables/class/:classId
 // @desc    Get the timetable for a specific class
 // @access  Admin, SuperAdmin (Could be expanded to Teacher, Student)
-router.get('/class/:classId', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher', 'Student'])], async (req, res) => {
+router.get('/class/:classId', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher', 'Student']), validate(schemas.getForClass)], async (req, res) => {
     const { classId } = req.params;
 
     try {
@@ -125,7 +124,7 @@ router.get('/class/:classId', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'
         res.json({ success: true, data: timetable });
 
     } catch (error) {
-        console.error('Get timetable error:', error);
+        logger.error('Get timetable error:', error);
         res.status(500).json({ success: false, message: 'Server error while fetching timetable.' });
     }
 });
@@ -133,14 +132,10 @@ router.get('/class/:classId', [auth, authorize(['Admin', 'SuperAdmin', 'Teacher'
 // @route   PUT /api/timetables/:id
 // @desc    Update a timetable
 // @access  Admin, SuperAdmin
-router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.updateTimetable)], async (req, res) => {
     const { id } = req.params;
     const { timetable_data } = req.body;
 
-    if (!timetable_data) {
-        return res.status(400).json({ success: false, message: 'timetable_data is required.' });
-    }
-
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -168,7 +163,7 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update timetable error:', error);
+        logger.error('Update timetable error:', error);
         res.status(500).json({ success: false, message: 'Server error while updating timetable.' });
     } finally {
         connection.release();
@@ -178,7 +173,7 @@ router.put('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res)
 // @route   DELETE /api/timetables/:id
 // @desc    Delete a timetable
 // @access  Admin, SuperAdmin
-router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, res) => {
+router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin']), validate(schemas.deleteTimetable)], async (req, res) => {
     const { id } = req.params;
 
     const connection = await pool.getConnection();
@@ -206,7 +201,7 @@ router.delete('/:id', [auth, authorize(['Admin', 'SuperAdmin'])], async (req, re
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete timetable error:', error);
+        logger.error('Delete timetable error:', error);
         res.status(500).json({ success: false, message: 'Server error while deleting timetable.' });
     } finally {
         connection.release();
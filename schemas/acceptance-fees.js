@@ -0,0 +1,14 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    getForBranch: {
+        params: { branch_id: field.uuid() },
+    },
+    setFee: {
+        body: {
+            branch_id: field.uuid(),
+            amount: field.number({ min: 0 }),
+            program_type: field.string({ max: 100 }).optional().nullable(),
+        },
+    },
+};
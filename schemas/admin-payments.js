@@ -0,0 +1,39 @@
+const { field } = require('../middleware/validate');
+const { PAYMENT_STATUSES, listQuery, byId } = require('./common');
+
+module.exports = {
+    listPayments: {
+        query: listQuery({
+            sort: ['payment_date', 'amount_paid', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                term_id: field.uuid().optional(),
+                student_id: field.uuid().optional(),
+                status: field.enum(PAYMENT_STATUSES).optional(),
+                start_date: field.date().optional(),
+                end_date: field.date().optional(),
+            },
+        }),
+    },
+    getPayment: byId,
+    updatePayment: {
+        ...byId,
+        body: {
+            amount_paid: field.number({ min: 0 }).optional(),
+            reference: field.string({ max: 255 }).optional().nullable(),
+            payment_date: field.date().optional(),
+        },
+    },
+    deletePayment: byId,
+    createManualPayment: {
+        body: {
+            student_id: field.uuid(),
+            term_id: field.uuid(),
+            amount_paid: field.number({ min: 0.01 }),
+            reference: field.string({ max: 255 }).optional(),
+            payment_date: field.date().optional(),
+        },
+    },
+};
@@ -0,0 +1,31 @@
+const { field } = require('../middleware/validate');
+const { listQuery, byId } = require('./common');
+
+module.exports = {
+    listRevenue: {
+        query: listQuery({
+            sort: ['paid_at', 'amount', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                student_id: field.uuid().optional(),
+                parent_id: field.uuid().optional(),
+                status: field.string({ max: 50 }).optional(),
+                payment_for: field.string({ max: 100 }).optional(),
+                start_date: field.date().optional(),
+                end_date: field.date().optional(),
+            },
+        }),
+    },
+    getSummary: {
+        query: {
+            branch_id: field.uuid().optional(),
+            start_date: field.date().optional(),
+            end_date: field.date().optional(),
+        },
+    },
+    getRevenue: byId,
+    getByReference: {
+        params: { reference: field.text({ max: 255 }) },
+    },
+};
@@ -0,0 +1,10 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    summarize: {
+        body: {
+            data: field.any(),
+            options: field.any().optional(),
+        },
+    },
+};
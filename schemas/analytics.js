@@ -0,0 +1,9 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    getPerformance: {
+        query: {
+            period: field.enum(['Daily', 'Weekly', 'Monthly']).optional(),
+        },
+    },
+};
@@ -0,0 +1,38 @@
+const { field } = require('../middleware/validate');
+const { ASSESSMENT_TYPES, SCHOOL_TYPES, MAX_SCORE, byId } = require('./common');
+
+const component = field.object({
+    assessment_type: field.enum(ASSESSMENT_TYPES),
+    label: field.string({ max: 50 }).optional(),
+    max_score: field.number({ min: 1, max: MAX_SCORE }),
+    weight: field.number({ min: 0.01, max: 1000 }),
+});
+
+const components = () => field.array(component, { min: 1, max: ASSESSMENT_TYPES.length });
+
+module.exports = {
+    createStructure: {
+        body: {
+            name: field.text({ max: 100 }),
+            branch_id: field.uuid().optional().nullable(),
+            school_type: field.enum(SCHOOL_TYPES).optional().nullable(),
+            term_id: field.uuid().optional().nullable(),
+            components: components(),
+        },
+    },
+    updateStructure: {
+        ...byId,
+        body: {
+            name: field.text({ max: 100 }).optional(),
+            components: components().optional(),
+        },
+    },
+    getStructure: byId,
+    deleteStructure: byId,
+    resolveStructure: {
+        query: {
+            class_id: field.uuid(),
+            term_id: field.uuid().optional(),
+        },
+    },
+};
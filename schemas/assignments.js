@@ -0,0 +1,27 @@
+const { field } = require('../middleware/validate');
+const { byId } = require('./common');
+
+module.exports = {
+    createAssignment: {
+        body: {
+            title: field.text({ max: 255 }),
+            details: field.string().optional().nullable(),
+            class_id: field.uuid(),
+            subject: field.text({ max: 255 }),
+            due_date: field.datetime(),
+        },
+    },
+    listForClass: {
+        params: { classId: field.uuid() },
+    },
+    updateAssignment: {
+        ...byId,
+        body: {
+            title: field.text({ max: 255 }).optional(),
+            details: field.string().optional().nullable(),
+            subject: field.text({ max: 255 }).optional(),
+            due_date: field.datetime().optional(),
+        },
+    },
+    deleteAssignment: byId,
+};
@@ -0,0 +1,89 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+const STAFF_ATTENDANCE_STATUSES = ['Present', 'Absent', 'Leave'];
+const STUDENT_ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late'];
+
+const monthQuery = {
+    year: field.integer({ min: 2000, max: 2100 }),
+    month: field.integer({ min: 1, max: 12 }),
+};
+
+module.exports = {
+    markStaff: {
+        body: {
+            staff_id: field.uuid(),
+            branch_id: field.uuid(),
+            date: field.date(),
+            status: field.enum(STAFF_ATTENDANCE_STATUSES),
+        },
+    },
+    listStaff: {
+        query: listQuery({
+            sort: ['date', 'staff_name', 'status'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                staff_id: field.uuid().optional(),
+                status: field.enum(STAFF_ATTENDANCE_STATUSES).optional(),
+                date: field.date().optional(),
+                from: field.date().optional(),
+                to: field.date().optional(),
+            },
+        }),
+    },
+    staffDay: {
+        query: {
+            date: field.date(),
+            branch_id: field.uuid().optional(),
+        },
+    },
+    myMonth: {
+        query: monthQuery,
+    },
+    staffMonth: {
+        params: { staffId: field.uuid() },
+        query: monthQuery,
+    },
+    markStudents: {
+        body: {
+            class_id: field.uuid(),
+            date: field.date(),
+            records: field.array(field.object({
+                student_id: field.uuid(),
+                status: field.enum(STUDENT_ATTENDANCE_STATUSES),
+            }), { min: 1 }),
+        },
+    },
+    listStudents: {
+        query: listQuery({
+            sort: ['date', 'last_name', 'first_name', 'status'],
+            search: true,
+            filters: {
+                class_id: field.uuid().optional(),
+                branch_id: field.uuid().optional(),
+                student_id: field.uuid().optional(),
+                status: field.enum(STUDENT_ATTENDANCE_STATUSES).optional(),
+                date: field.date().optional(),
+                from: field.date().optional(),
+                to: field.date().optional(),
+            },
+        }),
+    },
+    myChildren: {
+        query: {
+            start_date: field.date().optional(),
+            end_date: field.date().optional(),
+        },
+    },
+    clock: {
+        body: {
+            action: field.enum(['clock-in', 'clock-out']),
+            qrCodeData: field.text(),
+            location: field.object({
+                latitude: field.number({ min: -90, max: 90 }),
+                longitude: field.number({ min: -180, max: 180 }),
+            }),
+        },
+    },
+};
@@ -0,0 +1,18 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+module.exports = {
+    listAuditLogs: {
+        query: listQuery({
+            filters: {
+                actor_id: field.uuid().optional(),
+                action: field.string({ max: 100 }).optional(),
+                entity_type: field.string({ max: 50 }).optional(),
+                entity_id: field.string({ max: 64 }).optional(),
+                branch_id: field.uuid().optional(),
+                from: field.datetime().optional(),
+                to: field.datetime().optional(),
+            },
+        }),
+    },
+};
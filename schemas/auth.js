@@ -0,0 +1,93 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+// Passwords are taken exactly as typed; the strength policy lives in passwordService
+const password = () => field.string({ min: 1, max: 128, trim: false });
+
+const emailLogin = {
+    body: {
+        email: field.text({ max: 255 }),
+        password: password(),
+    },
+};
+
+const studentLogin = {
+    body: {
+        student_id: field.text({ max: 50 }),
+        password: password(),
+    },
+};
+
+const code = () => field.string({ pattern: /^\d{6}$/, message: 'must be a 6-digit code' });
+
+module.exports = {
+    register: {
+        body: {
+            email: field.email(),
+            password: password(),
+            role: field.text({ max: 50 }),
+        },
+    },
+    parentLogin: emailLogin,
+    login: emailLogin,
+    staffLogin: emailLogin,
+    cbtStudentLogin: studentLogin,
+    studentLogin,
+    refresh: {
+        body: { refreshToken: field.text() },
+    },
+    forgotPassword: {
+        body: {
+            email: field.text({ max: 255 }).optional(),
+            student_id: field.text({ max: 50 }).optional(),
+        },
+    },
+    resetPassword: {
+        body: {
+            token: field.text(),
+            password: password(),
+        },
+    },
+    changePassword: {
+        body: {
+            currentPassword: password(),
+            newPassword: password(),
+        },
+    },
+    unlock: {
+        body: { identifier: field.text({ max: 255 }) },
+    },
+    listLoginAttempts: {
+        query: listQuery({
+            filters: {
+                identifier: field.string({ max: 255 }).optional(),
+                ip: field.string({ max: 45 }).optional(),
+                success: field.boolean().optional(),
+                from: field.datetime().optional(),
+                to: field.datetime().optional(),
+            },
+        }),
+    },
+    verifyTwoFactorLogin: {
+        body: {
+            challengeToken: field.text(),
+            code: code().optional(),
+            recoveryCode: field.text({ max: 64 }).optional(),
+        },
+    },
+    enableTwoFactor: {
+        body: { code: code() },
+    },
+    regenerateRecoveryCodes: {
+        body: { code: code() },
+    },
+    disableTwoFactor: {
+        body: {
+            password: password(),
+            code: code(),
+        },
+    },
+    resetTwoFactor: {
+        body: { identifier: field.text({ max: 255 }) },
+    },
+};
@@ -0,0 +1,26 @@
+const { field } = require('../middleware/validate');
+const { RANKING_BASES } = require('./common');
+
+// The admin dashboard posts the address and email under these hyphenated keys
+const branchBody = (addressKey, emailKey) => ({
+    school_name: field.text({ max: 255 }),
+    site_name: field.string({ max: 255 }).optional().nullable(),
+    [addressKey]: field.text(),
+    [emailKey]: field.email(),
+    basic_education: field.any(),
+    is_active: field.boolean().optional(),
+    ranking_basis: field.enum(RANKING_BASES).optional(),
+});
+
+module.exports = {
+    createBranch: {
+        body: branchBody('address', 'admin-email'),
+    },
+    updateBranch: {
+        params: { branchId: field.uuid() },
+        body: branchBody('admin-address', 'email'),
+    },
+    deleteBranch: {
+        params: { id: field.uuid() },
+    },
+};
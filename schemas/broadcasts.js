@@ -0,0 +1,43 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+const BROADCAST_STATUSES = ['Draft', 'Sent'];
+
+module.exports = {
+    createBroadcast: {
+        body: {
+            title: field.text({ max: 255 }),
+            message: field.text(),
+            status: field.enum(BROADCAST_STATUSES).optional(),
+            tags: field.array(field.text({ max: 255 })).optional(),
+            cc_roles: field.array(field.text({ max: 255 })).optional(),
+            branch_ids: field.array(field.uuid()).optional(),
+        },
+    },
+    updateBroadcast: {
+        ...byId,
+        body: {
+            title: field.text({ max: 255 }).optional(),
+            message: field.text().optional(),
+            status: field.enum(BROADCAST_STATUSES).optional(),
+            tags: field.array(field.text({ max: 255 })).optional(),
+            cc_roles: field.array(field.text({ max: 255 })).optional(),
+            branch_ids: field.array(field.uuid()).optional(),
+        },
+    },
+    deleteBroadcast: byId,
+    listBroadcasts: {
+        query: listQuery({
+            sort: ['created_at', 'updated_at', 'title'],
+            search: true,
+            filters: {
+                tag: field.string({ max: 255 }).optional(),
+                status: field.enum(BROADCAST_STATUSES).optional(),
+            },
+            maxLimit: 100,
+        }),
+    },
+    getBroadcast: byId,
+    markRead: byId,
+    listReceipts: byId,
+};
@@ -0,0 +1,30 @@
+const { field } = require('../middleware/validate');
+const { SCHOOL_TYPES, byId } = require('./common');
+
+module.exports = {
+    createClass: {
+        body: {
+            name: field.text({ max: 255 }),
+            arm: field.string({ max: 100 }).optional().nullable(),
+            branch_id: field.uuid(),
+            teacher_id: field.uuid(),
+            total_student: field.integer({ min: 0 }).optional(),
+            school_type: field.enum(SCHOOL_TYPES).optional(),
+        },
+    },
+    listForBranch: {
+        params: { branch_id: field.uuid() },
+    },
+    updateClass: {
+        ...byId,
+        body: {
+            name: field.text({ max: 255 }).optional(),
+            arm: field.string({ max: 100 }).optional().nullable(),
+            teacher_id: field.uuid().optional(),
+            total_student: field.integer({ min: 0 }).optional(),
+            school_type: field.enum(SCHOOL_TYPES).optional(),
+        },
+    },
+    deleteClass: byId,
+    getClassDetails: byId,
+};
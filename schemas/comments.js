@@ -0,0 +1,23 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    saveComments: {
+        body: {
+            student_id: field.uuid(),
+            term_id: field.uuid(),
+            teacher_comment: field.string().optional().nullable(),
+            principal_comment: field.string().optional().nullable(),
+        },
+    },
+    savePrincipalComments: {
+        body: {
+            term_id: field.uuid(),
+            student_id: field.uuid().optional(),
+            principal_comment: field.string().optional(),
+            students: field.array(field.object({
+                student_id: field.uuid(),
+                principal_comment: field.text(),
+            }), { min: 1 }).optional(),
+        },
+    },
+};
@@ -0,0 +1,76 @@
+// Enums and field sets shared by the per-route schemas. The enum values mirror the ENUM columns
+// in migrations/0001_baseline.js.
+const { field } = require('../middleware/validate');
+
+const ASSESSMENT_TYPES = ['ca1', 'ca2', 'ca3', 'ca4', 'exam'];
+const SCHOOL_TYPES = ['Early Years', 'Grade School', 'Middle School', 'Senior School'];
+const SALARY_TYPES = ['monthly', 'hourly'];
+const GENDERS = ['male', 'female', 'other'];
+const STAFF_STATUSES = ['Active', 'On Leave', 'Not Paid', 'Suspended', 'Terminated'];
+const SKILL_TYPES = ['Affective', 'Psychomotor'];
+const TERM_NAMES = ['First Term', 'Second Term', 'Third Term'];
+const PAYMENT_STATUSES = ['Paid', 'Not Paid'];
+const EXAM_TYPES = ['Internal', 'External'];
+const SUBJECT_TYPES = ['Multi-Subject', 'Single-Subject'];
+const RANKING_BASES = ['total', 'average'];
+// The highest score student_results.score (DECIMAL(5,2)) can hold; the assessment structure sets
+// each component's own max_score below it
+const MAX_SCORE = 999.99;
+
+// Academic session such as 2025/2026
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+const session = () => field.string({ pattern: SESSION_PATTERN, message: 'must look like 2025/2026' });
+
+// A session in a URL path, where 2025-2026 stands in for 2025/2026
+const sessionParam = () => field.string({ pattern: /^\d{4}[-/]\d{4}$/, message: 'must look like 2025-2026' });
+
+// ?limit=&offset= on list endpoints
+const pagination = (maxLimit = 500) => ({
+    limit: field.integer({ min: 1, max: maxLimit }).optional(),
+    offset: field.integer({ min: 0 }).optional(),
+});
+
+/**
+ * Query fields of a list endpoint served by services/listService.js: ?limit= with ?page= or
+ * ?offset=, ?sort= over the given field names (comma-separated, - prefix for descending), ?q= when
+ * the endpoint has a text search, plus the endpoint's own filters.
+ */
+function listQuery({ sort = [], search = false, filters = {}, maxLimit = 500 } = {}) {
+    const name = `-?(${sort.join('|')})`;
+    return {
+        ...filters,
+        ...(search ? { q: field.string({ max: 100 }).optional() } : {}),
+        ...(sort.length ? {
+            sort: field.string({
+                pattern: new RegExp(`^${name}(,${name})*$`),
+                message: `must be a comma-separated list of ${sort.join(', ')}, each optionally prefixed with -`,
+            }).optional(),
+        } : {}),
+        ...pagination(maxLimit),
+        page: field.integer({ min: 1 }).optional(),
+    };
+}
+
+// Routes addressed by a single record ID
+const byId = { params: { id: field.uuid() } };
+
+module.exports = {
+    ASSESSMENT_TYPES,
+    SCHOOL_TYPES,
+    SALARY_TYPES,
+    GENDERS,
+    STAFF_STATUSES,
+    SKILL_TYPES,
+    TERM_NAMES,
+    PAYMENT_STATUSES,
+    EXAM_TYPES,
+    SUBJECT_TYPES,
+    RANKING_BASES,
+    MAX_SCORE,
+    session,
+    sessionParam,
+    pagination,
+    listQuery,
+    byId,
+};
@@ -0,0 +1,68 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+const applicantFields = {
+    passport: field.string({ max: 255 }).optional(),
+    address: field.string({ max: 255 }).optional(),
+    nationality: field.string({ max: 255 }).optional(),
+    state: field.string({ max: 255 }).optional(),
+    previous_school: field.string({ max: 255 }).optional().nullable(),
+    religion: field.string({ max: 255 }).optional(),
+    disability: field.string({ max: 255 }).optional().nullable(),
+    payment_status: field.string({ max: 255 }).optional(),
+};
+
+const byStudentId = { params: { id: field.uuid() } };
+
+module.exports = {
+    register: {
+        body: {
+            ...applicantFields,
+            first_name: field.text({ max: 255 }),
+            last_name: field.text({ max: 255 }),
+            dob: field.date(),
+            branch_id: field.uuid(),
+            parent_name: field.text({ max: 255 }),
+            parent_phone: field.text({ max: 50 }),
+            parent_email: field.email(),
+            program_type: field.string({ max: 100 }).optional().nullable(),
+            enrollment_amount_paid: field.number({ min: 0 }).optional().nullable(),
+        },
+    },
+    listStudents: {
+        query: listQuery({
+            sort: ['created_at', 'first_name', 'last_name'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                payment_status: field.string({ max: 255 }).optional(),
+            },
+        }),
+    },
+    resetPassword: byStudentId,
+    deleteStudent: byStudentId,
+    updateStudent: {
+        ...byStudentId,
+        body: {
+            ...applicantFields,
+            first_name: field.text({ max: 255 }).optional(),
+            last_name: field.text({ max: 255 }).optional(),
+            dob: field.date().optional(),
+            branch_id: field.uuid().optional(),
+            parent_name: field.text({ max: 255 }).optional(),
+            parent_phone: field.text({ max: 50 }).optional(),
+            parent_email: field.email().optional(),
+        },
+    },
+    getFeesForBranch: {
+        params: { branch_id: field.uuid() },
+    },
+    setFee: {
+        body: {
+            branch_id: field.uuid(),
+            amount: field.number({ min: 0 }),
+            program_type: field.string({ max: 50 }).optional().nullable(),
+        },
+    },
+};
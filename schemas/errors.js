@@ -0,0 +1,7 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    getErrorGroup: {
+        params: { id: field.string({ pattern: /^[0-9a-f]{12}$/, message: 'must be an error group id' }) },
+    },
+};
@@ -0,0 +1,26 @@
+const { field } = require('../middleware/validate');
+
+const byEventId = { params: { eventId: field.uuid() } };
+
+module.exports = {
+    createEvent: {
+        body: {
+            name: field.text({ max: 255 }),
+            description: field.text(),
+            branch_id: field.uuid(),
+            event_type: field.text({ max: 255 }),
+            event_date: field.date(),
+        },
+    },
+    updateEvent: {
+        ...byEventId,
+        body: {
+            name: field.text({ max: 255 }).optional(),
+            description: field.text().optional(),
+            branch_id: field.uuid().optional(),
+            event_type: field.text({ max: 255 }).optional(),
+            event_date: field.date().optional(),
+        },
+    },
+    deleteEvent: byEventId,
+};
@@ -0,0 +1,106 @@
+const { field } = require('../middleware/validate');
+const { ASSESSMENT_TYPES, EXAM_TYPES, SUBJECT_TYPES, listQuery } = require('./common');
+
+const byExamId = { params: { examId: field.uuid() } };
+const byResultId = { params: { resultId: field.uuid() } };
+
+const answers = field.array(field.object({
+    questionId: field.uuid(),
+    selectedOptionIndex: field.integer({ min: 0 }).optional().nullable(),
+}));
+
+const question = field.object({
+    text: field.string(),
+    question_image_url: field.string({ max: 500 }).optional().nullable(),
+    options: field.array(field.any(), { min: 2 }),
+    correctAnswerIndex: field.integer({ min: 0 }),
+});
+
+module.exports = {
+    listExams: {
+        query: listQuery({
+            sort: ['exam_date_time', 'title', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                exam_type: field.enum(EXAM_TYPES).optional(),
+                assessment_type: field.enum(ASSESSMENT_TYPES).optional(),
+                from: field.datetime().optional(),
+                to: field.datetime().optional(),
+            },
+        }),
+    },
+    createExam: {
+        body: {
+            examType: field.enum(EXAM_TYPES),
+            assessment_type: field.enum(ASSESSMENT_TYPES).optional(),
+            subjectType: field.enum(SUBJECT_TYPES),
+            title: field.text({ max: 255 }),
+            class_id: field.uuid(),
+            dateTime: field.datetime(),
+            duration_minutes: field.integer({ min: 1 }),
+            exam_end_datetime: field.datetime().optional().nullable(),
+            subjects: field.array(field.object({
+                class_subject_id: field.uuid(),
+                questions: field.array(question, { min: 1 }),
+            }), { min: 1 }),
+        },
+    },
+    updateExam: {
+        ...byExamId,
+        body: {
+            title: field.text({ max: 255 }),
+            examType: field.enum(EXAM_TYPES),
+            dateTime: field.datetime(),
+            duration_minutes: field.integer({ min: 1 }),
+            exam_end_datetime: field.datetime().optional().nullable(),
+        },
+    },
+    deleteExam: byExamId,
+    saveProgress: {
+        body: { examId: field.uuid(), answers },
+    },
+    listSubjectQuestions: {
+        params: { examId: field.uuid(), subjectId: field.uuid() },
+    },
+    submitAnswers: {
+        body: { examId: field.uuid(), answers },
+    },
+    getResults: byExamId,
+    getTeacherResults: byExamId,
+    updateResult: {
+        ...byResultId,
+        body: {
+            score: field.number({ min: 0, max: 100 }),
+            answered_questions: field.integer({ min: 0 }),
+        },
+    },
+    publishResult: {
+        ...byResultId,
+        body: { published: field.boolean() },
+    },
+    publishResults: {
+        body: {
+            exam_id: field.uuid(),
+            class_id: field.uuid(),
+            published: field.boolean(),
+        },
+    },
+    assignExam: {
+        body: {
+            student_id: field.uuid(),
+            exam_id: field.uuid(),
+        },
+    },
+    bulkAssignExam: {
+        body: {
+            exam_id: field.uuid(),
+            student_ids: field.array(field.uuid(), { min: 1 }),
+        },
+    },
+    deleteAssignment: {
+        params: { assignmentId: field.uuid() },
+    },
+    listAssignments: byExamId,
+};
@@ -0,0 +1,39 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+const EXPENSE_TYPES = ['Bill', 'Invoice', 'Repair'];
+const EXPENSE_STATUSES = ['Requested', 'Pending', 'Approved', 'Overdue', 'Rejected'];
+
+module.exports = {
+    listExpenses: {
+        query: listQuery({
+            sort: ['created_at', 'due_date', 'cost', 'title'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                status: field.enum(EXPENSE_STATUSES).optional(),
+                expense_type: field.enum(EXPENSE_TYPES).optional(),
+                due_from: field.date().optional(),
+                due_to: field.date().optional(),
+            },
+        }),
+    },
+    createExpense: {
+        body: {
+            title: field.text({ max: 255 }),
+            description: field.string().optional().nullable(),
+            cost: field.number({ min: 0 }),
+            due_date: field.date(),
+            branch_id: field.uuid(),
+            expense_type: field.enum(EXPENSE_TYPES),
+        },
+    },
+    updateStatus: {
+        ...byId,
+        body: {
+            status: field.enum(['Approved', 'Rejected']),
+            rejection_reason: field.string().optional().nullable(),
+        },
+    },
+    deleteExpense: byId,
+};
@@ -0,0 +1,65 @@
+const { field } = require('../middleware/validate');
+const { PAYMENT_STATUSES, byId, listQuery } = require('./common');
+
+const arm = () => field.string({ max: 100 }).optional().nullable();
+
+module.exports = {
+    listFees: {
+        query: listQuery({
+            sort: ['created_at', 'name', 'amount'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                term_id: field.uuid().optional(),
+            },
+        }),
+    },
+    createFee: {
+        body: {
+            branch_id: field.uuid(),
+            class_id: field.uuid(),
+            arm: arm(),
+            term_id: field.uuid(),
+            name: field.text({ max: 255 }),
+            amount: field.number({ min: 0.01 }),
+            description: field.string().optional().nullable(),
+        },
+    },
+    updateFee: {
+        ...byId,
+        body: {
+            name: field.text({ max: 255 }).optional(),
+            arm: arm(),
+            amount: field.number({ min: 0.01 }).optional(),
+            description: field.string().optional().nullable(),
+        },
+    },
+    deleteFee: byId,
+    listForClass: {
+        params: { classId: field.uuid() },
+        query: { arm: arm() },
+    },
+    childPaidDetails: {
+        params: { childId: field.uuid(), termId: field.uuid() },
+    },
+    listStudentStatuses: {
+        query: listQuery({
+            sort: ['branch', 'class_name', 'last_name', 'first_name'],
+            search: true,
+            filters: {
+                term_id: field.uuid().optional(),
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                status: field.enum(PAYMENT_STATUSES).optional(),
+            },
+        }),
+    },
+    listClassStudentStatuses: {
+        params: { classId: field.uuid() },
+        query: {
+            arm: arm(),
+            term_id: field.uuid().optional(),
+        },
+    },
+};
@@ -0,0 +1,41 @@
+const { field } = require('../middleware/validate');
+const { SCHOOL_TYPES, byId } = require('./common');
+
+// Bands are given as a percentage of the scheme's max_score
+const band = field.object({
+    scope: field.enum(['subject', 'overall']),
+    grade: field.text({ max: 10 }),
+    min_score: field.number({ min: 0, max: 100 }),
+    remark: field.text({ max: 100 }),
+    points: field.number({ min: 0, max: 100 }).optional().nullable(),
+});
+
+const scope = {
+    branch_id: field.uuid().optional().nullable(),
+    school_type: field.enum(SCHOOL_TYPES).optional().nullable(),
+};
+
+module.exports = {
+    createScheme: {
+        body: {
+            name: field.text({ max: 100 }),
+            description: field.string({ max: 255 }).optional().nullable(),
+            max_score: field.number({ min: 1, max: 1000 }).optional(),
+            bands: field.array(band, { min: 1, max: 50 }),
+        },
+    },
+    updateScheme: {
+        ...byId,
+        body: {
+            name: field.text({ max: 100 }).optional(),
+            description: field.string({ max: 255 }).optional().nullable(),
+            max_score: field.number({ min: 1, max: 1000 }).optional(),
+            bands: field.array(band, { min: 1, max: 50 }).optional(),
+        },
+    },
+    getScheme: byId,
+    deleteScheme: byId,
+    resolveScheme: { query: scope },
+    assignScheme: { body: { scheme_id: field.uuid(), ...scope } },
+    unassignScheme: { query: scope },
+};
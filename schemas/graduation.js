@@ -0,0 +1,7 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    graduate: {
+        body: { student_ids: field.array(field.uuid(), { min: 1 }) },
+    },
+};
@@ -0,0 +1,41 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+module.exports = {
+    listLogs: {
+        query: listQuery({
+            sort: ['admitted_at', 'discharged_at', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                student_id: field.uuid().optional(),
+                discharged: field.boolean().optional(),
+                from: field.datetime().optional(),
+                to: field.datetime().optional(),
+            },
+        }),
+    },
+    createLog: {
+        body: {
+            student_id: field.uuid(),
+            illness: field.text({ max: 255 }),
+            symptoms: field.text(),
+            treatment: field.text(),
+            admitted_at: field.datetime(),
+            notes: field.string().optional().nullable(),
+        },
+    },
+    updateLog: {
+        ...byId,
+        body: {
+            student_id: field.uuid().optional(),
+            illness: field.text({ max: 255 }).optional(),
+            symptoms: field.text().optional(),
+            treatment: field.text().optional(),
+            admitted_at: field.datetime().optional(),
+            notes: field.string().optional().nullable(),
+        },
+    },
+    deleteLog: byId,
+    dischargeLog: byId,
+};
@@ -0,0 +1,27 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+module.exports = {
+    listItems: {
+        query: listQuery({
+            sort: ['name', 'quantity', 'created_at', 'updated_at'],
+            search: true,
+            filters: { branch_id: field.uuid().optional() },
+        }),
+    },
+    createItem: {
+        body: {
+            name: field.text({ max: 255 }),
+            quantity: field.integer({ min: 0 }),
+            branch_id: field.uuid().optional(),
+        },
+    },
+    updateItem: {
+        ...byId,
+        body: {
+            name: field.text({ max: 255 }).optional(),
+            quantity: field.integer({ min: 0 }).optional(),
+        },
+    },
+    deleteItem: byId,
+};
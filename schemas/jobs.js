@@ -0,0 +1,20 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+const byJobId = { params: { id: field.integer({ min: 1 }) } };
+
+module.exports = {
+    listJobs: {
+        query: listQuery({
+            sort: ['id', 'created_at', 'run_at', 'attempts'],
+            filters: {
+                status: field.enum(JOB_STATUSES).optional(),
+                type: field.string({ max: 100 }).optional(),
+            },
+        }),
+    },
+    getJob: byJobId,
+    retryJob: byJobId,
+};
@@ -0,0 +1,32 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+module.exports = {
+    listEbooks: {
+        query: listQuery({
+            sort: ['created_at', 'title', 'author'],
+            search: true,
+            filters: { branch_id: field.uuid().optional() },
+        }),
+    },
+    uploadEbook: {
+        body: {
+            title: field.text({ max: 255 }),
+            author: field.text({ max: 255 }),
+            description: field.string().optional().nullable(),
+            ebook_url: field.text({ max: 255 }),
+            cover_image_url: field.string({ max: 255 }).optional().nullable(),
+        },
+    },
+    updateEbook: {
+        ...byId,
+        body: {
+            title: field.text({ max: 255 }).optional(),
+            author: field.text({ max: 255 }).optional(),
+            description: field.string().optional().nullable(),
+            ebook_url: field.text({ max: 255 }).optional(),
+            cover_image_url: field.string({ max: 255 }).optional().nullable(),
+        },
+    },
+    deleteEbook: byId,
+};
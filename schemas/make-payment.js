@@ -0,0 +1,19 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    initialize: {
+        body: {
+            email: field.email(),
+            amount: field.number({ min: 0.01 }),
+            metadata: field.object({
+                payment_for: field.text({ max: 50 }),
+            }),
+        },
+    },
+    verify: {
+        body: {
+            // Sent on to Paystack as part of the URL path
+            reference: field.string({ min: 1, max: 100, pattern: /^[A-Za-z0-9._=-]+$/, message: 'is not a valid payment reference' }),
+        },
+    },
+};
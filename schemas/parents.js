@@ -0,0 +1,41 @@
+const { field } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+// Parents record a birthday (MM-DD) rather than a full date of birth
+const profileFields = {
+    dob: field.string({ max: 5 }).optional().nullable(),
+    residential_address: field.string({ max: 255 }).optional().nullable(),
+    occupation: field.string({ max: 255 }).optional().nullable(),
+    workplace_address: field.string({ max: 255 }).optional().nullable(),
+};
+
+module.exports = {
+    createParent: {
+        body: {
+            ...profileFields,
+            name: field.text({ max: 255 }),
+            email: field.email(),
+            phone: field.text({ max: 255 }),
+            password: field.string({ min: 1, max: 128, trim: false }).optional(),
+        },
+    },
+    listParents: {
+        query: listQuery({
+            sort: ['name', 'created_at'],
+            search: true,
+            filters: { branch_id: field.uuid().optional() },
+        }),
+    },
+    getParent: byId,
+    updateParent: {
+        ...byId,
+        body: {
+            ...profileFields,
+            name: field.text({ max: 255 }).optional(),
+            email: field.email().optional(),
+            phone: field.text({ max: 255 }).optional(),
+        },
+    },
+    resetPassword: byId,
+    deleteParent: byId,
+};
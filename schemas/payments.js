@@ -0,0 +1,46 @@
+const { field } = require('../middleware/validate');
+const { PAYMENT_STATUSES, listQuery, byId } = require('./common');
+const adminPayments = require('./admin-payments');
+
+const byChildId = { params: { childId: field.uuid() } };
+
+module.exports = {
+    payFees: {
+        body: {
+            student_id: field.uuid(),
+            term_id: field.uuid(),
+            amount_paid: field.number({ min: 0.01 }),
+        },
+    },
+    history: byChildId,
+    status: byChildId,
+    listPayments: {
+        query: listQuery({
+            sort: ['payment_date', 'amount_paid', 'created_at'],
+            search: true,
+            filters: {
+                class_id: field.uuid().optional(),
+                term_id: field.uuid().optional(),
+                branch_id: field.uuid().optional(),
+                status: field.enum(PAYMENT_STATUSES).optional(),
+                student_id: field.uuid().optional(),
+            },
+        }),
+    },
+    getPayment: byId,
+    updatePayment: adminPayments.updatePayment,
+    createManualPayment: adminPayments.createManualPayment,
+    listRevenue: {
+        query: listQuery({
+            sort: ['paid_at', 'amount', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                term_id: field.uuid().optional(),
+                status: field.string({ max: 50 }).optional(),
+                student_id: field.uuid().optional(),
+                payment_for: field.string({ max: 100 }).optional(),
+            },
+        }),
+    },
+};
@@ -0,0 +1,10 @@
+const { field } = require('../middleware/validate');
+
+module.exports = {
+    promoteStudents: {
+        body: {
+            student_ids: field.array(field.uuid(), { min: 1 }),
+            next_class_id: field.uuid(),
+        },
+    },
+};
@@ -0,0 +1,139 @@
+const { field } = require('../middleware/validate');
+const { ASSESSMENT_TYPES, TERM_NAMES, MAX_SCORE, session, sessionParam, listQuery } = require('./common');
+
+// Report-card school types; student_results.school_type is free text and uses this spelling
+const RESULT_SCHOOL_TYPES = ['Early Years', 'Grade School', 'Middle(Junior) School', 'Senior School'];
+
+const byStudentId = { params: { student_id: field.uuid() } };
+const byClassSubject = { params: { class_id: field.uuid(), subject_id: field.uuid() } };
+
+module.exports = {
+    saveScores: {
+        body: {
+            class_id: field.uuid(),
+            subject_id: field.uuid(),
+            assessment_type: field.enum(ASSESSMENT_TYPES),
+            exam_id: field.uuid().optional().nullable(),
+            term_id: field.uuid().optional(),
+            scores: field.array(field.object({
+                student_id: field.uuid(),
+                score: field.number({ min: 0, max: MAX_SCORE }),
+            }), { min: 1 }),
+        },
+    },
+    classSubjectScores: {
+        params: { class_id: field.uuid(), subject_id: field.uuid() },
+        query: {
+            assessment_type: field.enum(ASSESSMENT_TYPES),
+            term_id: field.uuid().optional(),
+        },
+    },
+    myReportCard: {
+        query: { term_id: field.uuid() },
+    },
+    studentResults: {
+        ...byStudentId,
+        query: { term_id: field.uuid().optional() },
+    },
+    deleteResult: {
+        params: { result_id: field.uuid() },
+    },
+    publishClass: {
+        body: {
+            session: session(),
+            term: field.enum(TERM_NAMES),
+            class: field.text({ max: 255 }),
+            arm: field.string({ max: 100 }).optional().nullable(),
+        },
+    },
+    publishTerm: {
+        params: { term_id: field.uuid() },
+    },
+    publishStudent: {
+        ...byStudentId,
+        body: {
+            term_id: field.uuid(),
+            subject_ids: field.array(field.uuid()).optional().nullable(),
+        },
+    },
+    publishStudentExams: {
+        ...byStudentId,
+        body: {
+            term_id: field.uuid(),
+            exam_ids: field.array(field.uuid()).optional().nullable(),
+        },
+    },
+    publishStudentAll: {
+        ...byStudentId,
+        body: { term_id: field.uuid() },
+    },
+    listResults: {
+        query: {
+            session: session().optional(),
+            term: field.enum(TERM_NAMES).optional(),
+            term_id: field.uuid().optional(),
+            class: field.string({ max: 255 }).optional(),
+            arm: field.string({ max: 100 }).optional(),
+            published_only: field.enum(['true', 'false']).optional(),
+            class_id: field.uuid().optional(),
+            subject_id: field.uuid().optional(),
+            assessment_type: field.enum(ASSESSMENT_TYPES).optional(),
+            sort_by: field.string({ max: 255 }).optional(),
+        },
+    },
+    studentReportCard: {
+        ...byStudentId,
+        query: { term_id: field.uuid() },
+    },
+    classReportCards: {
+        params: { class_id: field.uuid() },
+        query: { term_id: field.uuid() },
+    },
+    classBroadsheet: {
+        params: { class_id: field.uuid() },
+        query: {
+            term_id: field.uuid(),
+            format: field.enum(['json', 'csv', 'xlsx']).optional(),
+        },
+    },
+    studentSessionResult: {
+        params: { student_id: field.uuid(), session: sessionParam() },
+    },
+    classSessionResults: {
+        params: { class_id: field.uuid(), session: sessionParam() },
+    },
+    classModeration: {
+        params: { class_id: field.uuid() },
+        query: { term_id: field.uuid().optional() },
+    },
+    moderateResults: {
+        ...byClassSubject,
+        body: { term_id: field.uuid().optional() },
+    },
+    rejectResults: {
+        ...byClassSubject,
+        body: {
+            term_id: field.uuid().optional(),
+            note: field.text({ max: 1000 }),
+        },
+    },
+    setSchoolType: {
+        body: {
+            student_id: field.uuid(),
+            term_id: field.uuid(),
+            school_type: field.enum(RESULT_SCHOOL_TYPES),
+        },
+    },
+    listStudents: {
+        query: listQuery({
+            sort: ['first_name', 'last_name', 'class_name'],
+            search: true,
+            filters: {
+                term_id: field.uuid().optional(),
+                include_report_summary: field.enum(['true', 'false']).optional(),
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+            },
+        }),
+    },
+};
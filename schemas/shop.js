@@ -0,0 +1,47 @@
+const { field } = require('../middleware/validate');
+const { listQuery } = require('./common');
+
+module.exports = {
+    listItems: {
+        query: listQuery({
+            sort: ['name', 'price', 'stock', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                category: field.string({ max: 100 }).optional(),
+            },
+        }),
+    },
+    listSales: {
+        query: listQuery({
+            sort: ['created_at', 'price'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                item_id: field.uuid().optional(),
+                student_id: field.uuid().optional(),
+                purchase_method: field.enum(['Online', 'Cash']).optional(),
+                from: field.datetime().optional(),
+                to: field.datetime().optional(),
+            },
+        }),
+    },
+    createItem: {
+        body: {
+            name: field.text({ max: 255 }),
+            details: field.string({ max: 255 }).optional().nullable(),
+            description: field.string().optional().nullable(),
+            price: field.number({ min: 0.01 }),
+            stock: field.integer({ min: 0 }),
+            branch_id: field.uuid(),
+            category: field.string({ max: 100 }).optional().nullable(),
+            image_url: field.string({ max: 500 }).optional().nullable(),
+        },
+    },
+    recordCashSale: {
+        body: {
+            item_id: field.uuid(),
+            student_id: field.uuid(),
+        },
+    },
+};
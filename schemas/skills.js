@@ -0,0 +1,32 @@
+const { field } = require('../middleware/validate');
+const { SKILL_TYPES } = require('./common');
+
+const termQuery = { term_id: field.uuid() };
+
+module.exports = {
+    saveSkills: {
+        body: {
+            student_id: field.uuid(),
+            term_id: field.uuid(),
+            skills: field.array(field.object({
+                skill_type: field.enum(SKILL_TYPES),
+                skill_name: field.text({ max: 255 }),
+                rating: field.integer({ min: 1, max: 5 }),
+            }), { min: 1 }),
+        },
+    },
+    studentSkills: {
+        params: { student_id: field.uuid() },
+        query: termQuery,
+    },
+    clearStudent: {
+        params: { student_id: field.uuid() },
+        query: termQuery,
+    },
+    clearBulk: {
+        body: {
+            student_ids: field.array(field.uuid(), { min: 1 }),
+            term_id: field.uuid(),
+        },
+    },
+};
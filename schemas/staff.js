@@ -0,0 +1,87 @@
+const { field } = require('../middleware/validate');
+const { GENDERS, SALARY_TYPES, STAFF_STATUSES, byId, listQuery } = require('./common');
+
+const PHONE_PATTERN = /^\+?[\d\s-]{8,}$/;
+
+// Sorting, search and filters of the staff lists (STAFF_LIST in routes/staff.js)
+const staffListQuery = listQuery({
+    sort: ['name', 'created_at', 'status', 'salary'],
+    search: true,
+    filters: {
+        status: field.enum(STAFF_STATUSES).optional(),
+        role: field.string({ max: 50 }).optional(),
+        gender: field.enum(GENDERS).optional(),
+    },
+});
+
+// Creating staff needs the core fields; updates may send any subset
+const staffFields = (creating) => {
+    const core = rule => (creating ? rule : rule.optional());
+    return {
+        name: core(field.text({ max: 255 })),
+        email: core(field.email()),
+        phone: core(field.string({
+            max: 50,
+            pattern: PHONE_PATTERN,
+            message: 'must be at least 8 digits and can include +, spaces, and hyphens',
+        })),
+        gender: core(field.enum(GENDERS)),
+        role_id: core(field.integer({ min: 1 })),
+        branch_id: core(field.uuid()),
+        address: field.string({ max: 255 }).optional().nullable(),
+        description: field.string().optional().nullable(),
+        image: field.string().optional().nullable(),
+        salary: field.number({ min: 0 }).optional(),
+        salary_type: field.enum(SALARY_TYPES).optional(),
+        teacher_permissions: field.array(field.text()).optional(),
+        admin_permissions: field.array(field.text()).optional(),
+        password: field.string({ min: 1, max: 128, trim: false }).optional(),
+    };
+};
+
+module.exports = {
+    createStaff: {
+        body: staffFields(true),
+    },
+    listStaff: {
+        query: { branch_id: field.uuid().optional(), ...staffListQuery },
+    },
+    getPermissions: byId,
+    updatePermissions: {
+        ...byId,
+        body: {
+            grant: field.array(field.text()).optional(),
+            revoke: field.array(field.text()).optional(),
+        },
+    },
+    getStaff: byId,
+    updateStaff: {
+        ...byId,
+        body: staffFields(false),
+    },
+    updateStatus: {
+        ...byId,
+        body: {
+            status: field.enum(STAFF_STATUSES),
+            reason: field.string().optional().nullable(),
+        },
+    },
+    resetPassword: byId,
+    terminate: {
+        ...byId,
+        body: {
+            reason: field.text(),
+            effectiveDate: field.date().optional(),
+        },
+    },
+    deleteStaff: byId,
+    listForBranch: {
+        params: { branchId: field.uuid() },
+        query: staffListQuery,
+    },
+    listByStatus: {
+        params: { status: field.enum(STAFF_STATUSES) },
+        query: staffListQuery,
+    },
+    getFullDetails: byId,
+};
@@ -0,0 +1,95 @@
+const { field } = require('../middleware/validate');
+const { GENDERS, byId, listQuery } = require('./common');
+
+const text = () => field.string({ max: 255 }).optional().nullable();
+
+// Personal details shared by create and update; names may come as first/last or other/surname
+const profileFields = {
+    first_name: text(),
+    last_name: text(),
+    other_names: text(),
+    surname_name: text(),
+    passport: text(),
+    address: text(),
+    nationality: text(),
+    state: text(),
+    religion: text(),
+    disability: text(),
+    gender: field.enum(GENDERS).optional().nullable(),
+};
+
+const parentContact = {
+    parent_email: field.email().optional(),
+    parent_phone: field.text({ max: 255 }).optional(),
+};
+
+module.exports = {
+    createStudent: {
+        body: {
+            ...profileFields,
+            ...parentContact,
+            dob: field.date(),
+            class_id: field.uuid(),
+            branch_id: field.uuid(),
+            parent_name: text(),
+            password: field.string({ min: 1, max: 128, trim: false }).optional(),
+            place_of_birth: text(),
+            lga: text(),
+            tribe: text(),
+            blood_group: field.string({ max: 5 }).optional().nullable(),
+            genotype: field.string({ max: 5 }).optional().nullable(),
+            allergies: text(),
+            previous_class: text(),
+            last_term_result: text(),
+            birth_certificate: text(),
+            medical_report: text(),
+        },
+    },
+    associateParent: {
+        ...byId,
+        body: parentContact,
+    },
+    updateStudent: {
+        ...byId,
+        body: {
+            ...profileFields,
+            dob: field.date().optional(),
+            class_id: field.uuid().optional(),
+            branch_id: field.uuid().optional(),
+        },
+    },
+    deleteStudent: byId,
+    listStudents: {
+        query: listQuery({
+            sort: ['first_name', 'last_name', 'class_name', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                gender: field.enum(GENDERS).optional(),
+            },
+        }),
+    },
+    listNewStudents: {
+        query: listQuery({
+            sort: ['first_name', 'last_name', 'created_at'],
+            search: true,
+            filters: {
+                branch_id: field.uuid().optional(),
+                class_id: field.uuid().optional(),
+                gender: field.enum(GENDERS).optional(),
+            },
+        }),
+    },
+    migrateStudent: {
+        params: { newStudentId: field.uuid() },
+        body: { class_id: field.uuid() },
+    },
+    listForClass: {
+        params: { class_id: field.uuid() },
+    },
+    resetPassword: byId,
+    search: {
+        query: { q: field.string({ max: 100 }).optional() },
+    },
+};
@@ -0,0 +1,33 @@
+const { field } = require('../middleware/validate');
+const { byId } = require('./common');
+
+module.exports = {
+    createSubject: {
+        body: {
+            name: field.text({ max: 255 }),
+            class_id: field.uuid(),
+            teacher_id: field.uuid(),
+            description: field.string().optional().nullable(),
+        },
+    },
+    listForClass: {
+        params: { class_id: field.uuid() },
+    },
+    listForTeacher: {
+        params: { teacher_id: field.uuid() },
+    },
+    listForBranch: {
+        params: { branch_id: field.uuid() },
+    },
+    getSubject: byId,
+    updateSubject: {
+        ...byId,
+        body: {
+            name: field.text({ max: 255 }).optional(),
+            class_id: field.uuid().optional(),
+            teacher_id: field.uuid().optional(),
+            description: field.string().optional().nullable(),
+        },
+    },
+    deleteSubject: byId,
+};
@@ -0,0 +1,34 @@
+const { field } = require('../middleware/validate');
+
+const accountFields = {
+    password: field.string({ min: 1, max: 128, trim: false }),
+    name: field.text({ max: 255 }),
+    phone: field.text({ max: 255 }),
+    image: field.string({ max: 255 }).optional().nullable(),
+};
+
+module.exports = {
+    register: {
+        body: {
+            ...accountFields,
+            // Checked by the route so a missing token answers 403 like a wrong one
+            setup_token: field.string().optional(),
+            email: field.email(),
+        },
+    },
+    createInvite: {
+        body: { email: field.email() },
+    },
+    revokeInvite: {
+        params: { id: field.uuid() },
+    },
+    verifyInvite: {
+        query: { token: field.text() },
+    },
+    acceptInvite: {
+        body: {
+            ...accountFields,
+            token: field.text(),
+        },
+    },
+};
@@ -0,0 +1,32 @@
+const { field } = require('../middleware/validate');
+const { TERM_NAMES, session, byId } = require('./common');
+
+module.exports = {
+    listTerms: {
+        query: { branch_id: field.uuid().optional() },
+    },
+    createTerm: {
+        body: {
+            name: field.enum(TERM_NAMES),
+            session: session(),
+            start_date: field.date(),
+            end_date: field.date(),
+            branch_id: field.uuid().optional().nullable(),
+            next_term_begins: field.date().optional().nullable(),
+        },
+    },
+    getTerm: byId,
+    deleteTerm: byId,
+    activateTerm: byId,
+    updateTerm: {
+        ...byId,
+        body: {
+            name: field.enum(TERM_NAMES).optional(),
+            session: session().optional(),
+            start_date: field.date().optional(),
+            end_date: field.date().optional(),
+            next_term_begins: field.date().optional().nullable(),
+            is_active: field.boolean().optional(),
+        },
+    },
+};
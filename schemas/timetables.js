@@ -0,0 +1,19 @@
+const { field } = require('../middleware/validate');
+const { byId } = require('./common');
+
+module.exports = {
+    createTimetable: {
+        body: {
+            class_id: field.uuid(),
+            timetable_data: field.any(),
+        },
+    },
+    getForClass: {
+        params: { classId: field.uuid() },
+    },
+    updateTimetable: {
+        ...byId,
+        body: { timetable_data: field.any() },
+    },
+    deleteTimetable: byId,
+};
@@ -0,0 +1,20 @@
+// Fails when a mounted route has no entry in openapi/paths, or an entry no longer matches a route.
+// Usage: npm run docs:check
+// index.js only starts the server (and touches the database) outside tests
+process.env.NODE_ENV = 'test';
+const app = require('../index');
+const { checkCoverage } = require('../openapi');
+
+const { missing, stale } = checkCoverage(app);
+
+if (missing.length > 0) {
+    console.error(`Routes without an OpenAPI entry (add them to openapi/paths):\n  ${missing.join('\n  ')}`);
+}
+if (stale.length > 0) {
+    console.error(`OpenAPI entries for routes that don't exist:\n  ${stale.join('\n  ')}`);
+}
+if (missing.length === 0 && stale.length === 0) {
+    console.log('Every mounted route is documented');
+}
+
+process.exit(missing.length > 0 || stale.length > 0 ? 1 : 0);
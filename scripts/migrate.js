@@ -0,0 +1,54 @@
+// Schema migration CLI.
+// Usage:
+//   npm run migrate:up [-- --to <version>]
+//   npm run migrate:down [-- --steps <n>]
+//   npm run migrate:status
+require('dotenv').config();
+const { pool, createDatabaseIfMissing } = require('../database');
+const { migrateUp, migrateDown, getStatus } = require('../services/migrationService');
+
+function getOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    let connection;
+
+    try {
+        if (command === 'up') {
+            await createDatabaseIfMissing();
+        }
+        connection = await pool.getConnection();
+
+        if (command === 'up') {
+            const applied = await migrateUp(connection, { to: getOption(args, 'to') });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+        } else if (command === 'down') {
+            const steps = parseInt(getOption(args, 'steps'), 10) || 1;
+            const rolledBack = await migrateDown(connection, { steps });
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        } else if (command === 'status') {
+            const status = await getStatus(connection);
+            for (const migration of status) {
+                const state = migration.missing ? 'MISSING' : migration.applied ? 'applied' : 'pending';
+                const appliedAt = migration.applied_at ? `  ${new Date(migration.applied_at).toISOString()}` : '';
+                console.log(`${state.padEnd(8)} ${migration.version}_${migration.name}${appliedAt}`);
+            }
+            const pending = status.filter(migration => !migration.applied).length;
+            console.log(`${status.length - pending} applied, ${pending} pending`);
+        } else {
+            console.error('Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]');
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) connection.release();
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,24 @@
+// Enqueues the scheduled jobs that are due and runs every due job once, then exits. For hosts where
+// the in-process worker can't run (serverless deployments): call it from cron every few minutes.
+// Usage: npm run jobs:run
+require('dotenv').config();
+const { pool } = require('../database');
+const { registerBackgroundJobs } = require('../services/backgroundJobs');
+const { runDueJobs } = require('../services/jobQueue');
+const { tick } = require('../services/scheduler');
+
+async function main() {
+    try {
+        registerBackgroundJobs();
+        const enqueued = await tick();
+        const ran = await runDueJobs({ limit: 500 });
+        console.log(`Scheduled runs enqueued: ${enqueued.length ? enqueued.join(', ') : 'none'}; jobs run: ${ran}`);
+    } catch (err) {
+        console.error('Could not run jobs:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
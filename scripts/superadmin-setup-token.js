@@ -0,0 +1,24 @@
+// Prints a fresh one-time setup token for creating the first SuperAdmin.
+// Usage: npm run superadmin:setup-token
+require('dotenv').config();
+const { pool } = require('../database');
+const { issueBootstrapToken } = require('../services/superAdminService');
+
+async function main() {
+    try {
+        const token = await issueBootstrapToken();
+        if (!token) {
+            console.log('A SuperAdmin already exists. New SuperAdmins must be invited by an existing SuperAdmin.');
+            return;
+        }
+        console.log('One-time setup token (any previous token is now invalid):');
+        console.log(token);
+    } catch (err) {
+        console.error('Could not issue setup token:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
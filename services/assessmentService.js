@@ -0,0 +1,224 @@
+// Assessment structures: which assessments (ca1-ca4, exam) make up a subject's result, what each is
+// scored out of and how much it weighs. A component's score counts as score / max_score * weight,
+// so a subject's total is out of the sum of the weights (10/10/10/10/60 and 20/20/60 both give a
+// total out of 100, whatever each component is marked out of).
+//
+// A class's results for a term use the structure configured for the most specific match of term,
+// branch and school type, in that order of precedence. Without one, DEFAULT_STRUCTURE applies: the
+// five assessments are added up as entered and the subject is out of the grading scheme's
+// max_score, as results worked before structures could be configured.
+
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const cache = require('./cache');
+const { HttpError } = require('../middleware/errorHandler');
+const { ASSESSMENT_TYPES } = require('../schemas/common');
+
+const STRUCTURES_KEY = 'assessment:structures';
+
+const LABELS = { ca1: 'CA 1', ca2: 'CA 2', ca3: 'CA 3', ca4: 'CA 4', exam: 'Exam' };
+
+const DEFAULT_STRUCTURE = {
+    id: null,
+    name: 'Default',
+    branch_id: null,
+    school_type: null,
+    term_id: null,
+    components: ASSESSMENT_TYPES.map(type => ({ assessment_type: type, label: LABELS[type], max_score: 100, weight: null })),
+    // null: the subject is out of the grading scheme's max_score
+    total: null,
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Every configured structure with its components (in ca1 ... exam order) and total weight.
+ */
+function listStructures() {
+    return cache.wrap(STRUCTURES_KEY, async () => {
+        const [structures] = await pool.query('SELECT * FROM assessment_structures ORDER BY name');
+        const [components] = await pool.query(
+            'SELECT structure_id, assessment_type, label, max_score, weight FROM assessment_structure_components'
+        );
+
+        return structures.map(structure => {
+            const own = components
+                .filter(c => c.structure_id === structure.id)
+                .map(c => ({
+                    assessment_type: c.assessment_type,
+                    label: c.label,
+                    max_score: parseFloat(c.max_score),
+                    weight: parseFloat(c.weight),
+                }))
+                .sort((a, b) => ASSESSMENT_TYPES.indexOf(a.assessment_type) - ASSESSMENT_TYPES.indexOf(b.assessment_type));
+            const { scope_key, ...columns } = structure;
+            return { ...columns, components: own, total: round2(own.reduce((sum, c) => sum + c.weight, 0)) };
+        });
+    });
+}
+
+function invalidateStructures() {
+    return cache.invalidate(STRUCTURES_KEY);
+}
+
+async function getStructure(id) {
+    return (await listStructures()).find(s => s.id === id) || null;
+}
+
+// A structure scoped to a term beats one scoped to a branch, which beats one scoped to a school type
+const SPECIFICITY = { term_id: 4, branch_id: 2, school_type: 1 };
+
+/**
+ * The structure for results of classes of `schoolType` in `branchId` during `termId`.
+ */
+async function getAssessmentStructure(branchId, schoolType, termId) {
+    const wanted = { branch_id: branchId || null, school_type: schoolType || null, term_id: termId || null };
+    let best = DEFAULT_STRUCTURE;
+    let bestScore = -1;
+    for (const structure of await listStructures()) {
+        const scopes = Object.keys(SPECIFICITY).filter(column => structure[column] !== null);
+        if (!scopes.every(column => structure[column] === wanted[column])) continue;
+        const score = scopes.reduce((sum, column) => sum + SPECIFICITY[column], 0);
+        if (score > bestScore) {
+            best = structure;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+const componentOf = (structure, assessmentType) => structure.components.find(c => c.assessment_type === assessmentType);
+
+/**
+ * A subject's total from its assessment scores ({ ca1, ..., exam }; missing ones count as 0).
+ * Assessments that aren't part of a configured structure are left out.
+ */
+function subjectTotal(scores, structure = DEFAULT_STRUCTURE) {
+    if (structure.total === null) {
+        return ASSESSMENT_TYPES.reduce((sum, type) => sum + (scores[type] || 0), 0);
+    }
+    return round2(structure.components.reduce((sum, c) => sum + ((scores[c.assessment_type] || 0) / c.max_score) * c.weight, 0));
+}
+
+/**
+ * A percentage (as CBT exams are scored) as a score for `assessmentType`, i.e. out of its max_score.
+ */
+function scoreFromPercentage(structure, assessmentType, percentage) {
+    const component = componentOf(structure, assessmentType);
+    return component ? round2((percentage / 100) * component.max_score) : percentage;
+}
+
+/**
+ * Why scores for `assessmentType` can't be saved under `structure`, or null when they can.
+ * @param {Array<{ student_id, score }>} scores
+ */
+function scoreProblem(structure, assessmentType, scores) {
+    const component = componentOf(structure, assessmentType);
+    if (!component) {
+        return `${assessmentType} is not assessed under the "${structure.name}" assessment structure.`;
+    }
+    const tooHigh = scores.filter(s => s.score > component.max_score);
+    if (tooHigh.length > 0) {
+        return `${component.label} is scored out of ${component.max_score}; ${tooHigh.length} score(s) are above that.`;
+    }
+    return null;
+}
+
+/**
+ * Reject components that repeat an assessment.
+ * @throws {HttpError} 422
+ */
+function checkComponents(components) {
+    const types = components.map(c => c.assessment_type);
+    if (new Set(types).size !== types.length) throw new HttpError(422, 'Each assessment can only appear once in a structure.');
+}
+
+async function insertComponents(connection, structureId, components) {
+    await connection.query(
+        'INSERT INTO assessment_structure_components (structure_id, assessment_type, label, max_score, weight) VALUES ?',
+        [components.map(c => [structureId, c.assessment_type, c.label || LABELS[c.assessment_type], c.max_score, c.weight])]
+    );
+}
+
+/**
+ * @param {object} data { name, branch_id, school_type, term_id, components: [{ assessment_type, label, max_score, weight }] }
+ * @returns {Promise<object>} the stored structure
+ */
+async function createStructure(data, createdBy) {
+    checkComponents(data.components);
+    const id = uuidv4();
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query(
+            'INSERT INTO assessment_structures (id, name, branch_id, school_type, term_id, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, data.name, data.branch_id || null, data.school_type || null, data.term_id || null, createdBy]
+        );
+        await insertComponents(connection, id, data.components);
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+    await invalidateStructures();
+    return getStructure(id);
+}
+
+/**
+ * Rename a structure and/or replace its components. Results already saved are not rescaled.
+ * @returns {Promise<object|null>} the updated structure, or null when there is no such structure
+ */
+async function updateStructure(id, data) {
+    if (data.components) checkComponents(data.components);
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [existing] = await connection.query('SELECT id FROM assessment_structures WHERE id = ? FOR UPDATE', [id]);
+        if (existing.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        if (data.name !== undefined) {
+            await connection.query('UPDATE assessment_structures SET name = ? WHERE id = ?', [data.name, id]);
+        }
+        if (data.components) {
+            await connection.query('DELETE FROM assessment_structure_components WHERE structure_id = ?', [id]);
+            await insertComponents(connection, id, data.components);
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+    await invalidateStructures();
+    return getStructure(id);
+}
+
+/**
+ * @returns {Promise<boolean>} false when there is no such structure
+ */
+async function deleteStructure(id) {
+    const [result] = await pool.query('DELETE FROM assessment_structures WHERE id = ?', [id]);
+    await invalidateStructures();
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    DEFAULT_STRUCTURE,
+    listStructures,
+    getStructure,
+    getAssessmentStructure,
+    subjectTotal,
+    scoreFromPercentage,
+    scoreProblem,
+    checkComponents,
+    createStructure,
+    updateStructure,
+    deleteStructure,
+    invalidateStructures,
+};
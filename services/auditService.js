@@ -0,0 +1,131 @@
+const { pool } = require('../database');
+const logger = require('./logger');
+
+// Never copied into audit_logs, only flagged as changed
+const REDACTED_FIELDS = ['password', 'two_factor_secret', 'token_hash'];
+
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+// DECIMAL columns come back from mysql2 as strings, so "5000.00" and 5000 count as equal
+function isSame(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null) return false;
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== '' && b !== '' && Number.isFinite(numA) && Number.isFinite(numB)) {
+        return numA === numB;
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * Field-level diff as { field: { from, to } }.
+ * With both snapshots only the fields present in `after` are compared, so a partial update
+ * body can be passed as `after`. With only `before` (delete) or only `after` (create) every
+ * field is listed.
+ */
+function diff(before, after) {
+    const changes = {};
+    const fields = after ? Object.keys(after) : Object.keys(before || {});
+
+    for (const field of fields) {
+        const from = before ? normalize(before[field]) : null;
+        const to = after ? normalize(after[field]) : null;
+        if (before && after && isSame(from, to)) continue;
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { from: '[redacted]', to: '[redacted]' }
+            : { from, to };
+    }
+    return changes;
+}
+
+/**
+ * Write one audit entry for a mutation made by the requesting user.
+ * Pass the transaction's connection as `db` to record inside the same transaction.
+ * Failures are logged and swallowed: a broken audit write must not undo the change itself.
+ * @param {object} req Express request (actor, IP and user agent are taken from it)
+ * @param {object} entry { action, entityType, entityId, branchId, before, after, metadata }
+ */
+async function recordAudit(req, { action, entityType, entityId = null, branchId = null, before = null, after = null, metadata = null }, db = pool) {
+    try {
+        const user = req.user || {};
+        const changes = before || after ? diff(before, after) : null;
+
+        // An update that changed nothing is not worth an entry
+        if (before && after && Object.keys(changes).length === 0) return;
+
+        await db.query(
+            `INSERT INTO audit_logs
+             (actor_id, actor_email, actor_roles, action, entity_type, entity_id, branch_id, changes, metadata, ip_address, user_agent)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                user.id || null,
+                user.email || null,
+                Array.isArray(user.roles) ? user.roles.join(',') : null,
+                action,
+                entityType,
+                entityId === null ? null : String(entityId),
+                branchId || null,
+                changes ? JSON.stringify(changes) : null,
+                metadata ? JSON.stringify(metadata) : null,
+                req.ip || null,
+                req.header && req.header('user-agent') ? req.header('user-agent').substring(0, 255) : null,
+            ]
+        );
+    } catch (err) {
+        logger.error(`Failed to record audit entry for ${action}:`, err);
+    }
+}
+
+async function getAuditLogs({ actorId, action, entityType, entityId, branchId, from, to, limit = 50, offset = 0 }) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+
+    if (actorId) {
+        where += ' AND actor_id = ?';
+        params.push(actorId);
+    }
+    if (action) {
+        where += ' AND action = ?';
+        params.push(action);
+    }
+    if (entityType) {
+        where += ' AND entity_type = ?';
+        params.push(entityType);
+    }
+    if (entityId) {
+        where += ' AND entity_id = ?';
+        params.push(entityId);
+    }
+    if (branchId) {
+        where += ' AND branch_id = ?';
+        params.push(branchId);
+    }
+    if (from) {
+        where += ' AND created_at >= ?';
+        params.push(from);
+    }
+    if (to) {
+        where += ' AND created_at <= ?';
+        params.push(to);
+    }
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_logs${where}`, params);
+    const [logs] = await pool.query(
+        `SELECT * FROM audit_logs${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    return { logs, total };
+}
+
+module.exports = {
+    recordAudit,
+    getAuditLogs,
+};
@@ -0,0 +1,197 @@
+// Job handlers and the schedules that trigger them. registerBackgroundJobs() wires both up; call it
+// once before starting the worker or scheduler (index.js, scripts/run-jobs.js).
+
+const { pool } = require('../database');
+const logger = require('./logger');
+const NotificationService = require('./notificationService');
+const { recordAudit } = require('./auditService');
+const { invalidateTerms } = require('./lookupService');
+const { registerHandler, enqueue } = require('./jobQueue');
+const { schedule } = require('./scheduler');
+
+// Parents are reminded once the active term is this many days old and fees are still outstanding
+const FEE_REMINDER_GRACE_DAYS = parseInt(process.env.FEE_REMINDER_GRACE_DAYS, 10) || 14;
+// Completed jobs are deleted after this many days; failed ones are kept until retried or cleared by hand
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 30;
+
+// Scheduled changes are recorded in the audit log without an actor
+const SYSTEM_REQUEST = {};
+
+/**
+ * Why a NotificationService result counts as a failed delivery, or null if it went out. An email
+ * service that isn't configured is not a failure worth retrying.
+ */
+function deliveryFailure(result) {
+    if (!result || typeof result !== 'object') return null;
+    if (Array.isArray(result)) return result.map(deliveryFailure).find(Boolean) || null;
+    if (result.emailResults) return deliveryFailure(result.emailResults);
+    if (result.success === false && result.message !== 'Email service not configured') {
+        return result.message || 'Delivery failed';
+    }
+    return null;
+}
+
+/**
+ * notification.send { template, data }: call NotificationService[template](data). Only the notify*
+ * templates can be queued.
+ */
+async function sendNotification({ template, data }) {
+    if (!/^notify\w+$/.test(template) || typeof NotificationService[template] !== 'function') {
+        throw Object.assign(new Error(`Unknown notification template "${template}"`), { permanent: true });
+    }
+    const failure = deliveryFailure(await NotificationService[template](data));
+    if (failure) throw new Error(`${template} was not delivered: ${failure}`);
+}
+
+/**
+ * expenses.mark-overdue: expenses still awaiting a decision after their due date become Overdue.
+ */
+async function markOverdueExpenses() {
+    const [result] = await pool.query(
+        `UPDATE expenses SET status = 'Overdue'
+         WHERE status IN ('Requested', 'Pending') AND due_date < CURDATE()`
+    );
+    if (result.affectedRows) logger.info(`Marked ${result.affectedRows} expense(s) overdue`);
+}
+
+/**
+ * terms.activate-due: in each scope (a branch, or the global terms) whose active term has ended or
+ * that has no active term, activate the term running today. A term an admin activated by hand
+ * stays active until its end date.
+ */
+async function activateDueTerms() {
+    const [candidates] = await pool.query(
+        `SELECT t.* FROM terms t
+         WHERE t.is_active = FALSE
+           AND t.start_date <= CURDATE() AND t.end_date >= CURDATE()
+           AND NOT EXISTS (
+               SELECT 1 FROM terms active
+               WHERE active.is_active = TRUE
+                 AND active.end_date >= CURDATE()
+                 AND (active.branch_id = t.branch_id OR (active.branch_id IS NULL AND t.branch_id IS NULL))
+           )
+         ORDER BY t.start_date DESC`
+    );
+
+    // Overlapping terms in one scope: the one that started last wins
+    const seenScopes = new Set();
+    for (const term of candidates) {
+        const scope = term.branch_id || 'global';
+        if (seenScopes.has(scope)) continue;
+        seenScopes.add(scope);
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            if (term.branch_id) {
+                await connection.query('UPDATE terms SET is_active = FALSE WHERE branch_id = ?', [term.branch_id]);
+            } else {
+                await connection.query('UPDATE terms SET is_active = FALSE WHERE branch_id IS NULL');
+            }
+            await connection.query('UPDATE terms SET is_active = TRUE WHERE id = ?', [term.id]);
+            await recordAudit(SYSTEM_REQUEST, {
+                action: 'term.activate',
+                entityType: 'term',
+                entityId: term.id,
+                branchId: term.branch_id,
+                before: term,
+                after: { is_active: true },
+                metadata: { source: 'scheduler' },
+            }, connection);
+            await connection.commit();
+            await invalidateTerms();
+            logger.info(`Activated term ${term.name} ${term.session || ''}`.trim(), { termId: term.id, branchId: term.branch_id });
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+/**
+ * fees.send-reminders: one reminder job per student whose fees for the active term are still
+ * outstanding FEE_REMINDER_GRACE_DAYS into the term. Global terms only cover branches without an
+ * active term of their own.
+ */
+async function sendFeeReminders({ scheduledFor }) {
+    const [rows] = await pool.query(
+        `SELECT s.id AS student_id, CONCAT(s.first_name, ' ', s.last_name) AS student_name,
+                p.email AS parent_email, p.name AS parent_name,
+                t.id AS term_id, t.name AS term_name, t.session,
+                (SELECT COALESCE(SUM(f.amount), 0) FROM fees f WHERE f.class_id = s.class_id AND f.term_id = t.id) AS total_due,
+                (SELECT COALESCE(SUM(pm.amount_paid), 0) FROM payments pm WHERE pm.student_id = s.id AND pm.term_id = t.id) AS total_paid
+         FROM terms t
+         JOIN students s ON s.branch_id = t.branch_id OR (
+             t.branch_id IS NULL
+             AND NOT EXISTS (SELECT 1 FROM terms bt WHERE bt.branch_id = s.branch_id AND bt.is_active = TRUE)
+         )
+         JOIN parents p ON p.id = s.parent_id
+         LEFT JOIN student_payment_statuses sps ON sps.student_id = s.id AND sps.term_id = t.id
+         WHERE t.is_active = TRUE
+           AND t.start_date <= CURDATE() - INTERVAL ? DAY
+           AND COALESCE(sps.status, 'Not Paid') = 'Not Paid'
+           AND p.email IS NOT NULL
+         HAVING total_due > total_paid`,
+        [FEE_REMINDER_GRACE_DAYS]
+    );
+
+    // Keyed by run, so a retry of this job doesn't send a second reminder for the same week
+    const runDate = (scheduledFor || new Date().toISOString()).substring(0, 10);
+    for (const row of rows) {
+        await enqueue('notification.send', {
+            template: 'notifyFeeReminder',
+            data: {
+                parentEmail: row.parent_email,
+                parentName: row.parent_name || 'Parent',
+                studentName: row.student_name,
+                term: row.term_name,
+                academicYear: row.session,
+                totalDue: Number(row.total_due),
+                totalPaid: Number(row.total_paid),
+                balance: Number(row.total_due) - Number(row.total_paid),
+            },
+        }, { uniqueKey: `fee-reminder:${row.student_id}:${row.term_id}:${runDate}` });
+    }
+    if (rows.length) logger.info(`Queued ${rows.length} fee reminder(s)`);
+}
+
+/**
+ * jobs.cleanup: delete completed jobs older than JOB_RETENTION_DAYS.
+ */
+async function cleanUpJobs() {
+    const [result] = await pool.query(
+        "DELETE FROM jobs WHERE status = 'completed' AND completed_at < NOW() - INTERVAL ? DAY",
+        [JOB_RETENTION_DAYS]
+    );
+    if (result.affectedRows) logger.info(`Deleted ${result.affectedRows} completed job(s)`);
+}
+
+let registered = false;
+
+function registerBackgroundJobs() {
+    if (registered) return;
+    registered = true;
+
+    registerHandler('notification.send', sendNotification);
+    registerHandler('expenses.mark-overdue', markOverdueExpenses);
+    registerHandler('terms.activate-due', activateDueTerms);
+    registerHandler('fees.send-reminders', sendFeeReminders);
+    registerHandler('jobs.cleanup', cleanUpJobs);
+
+    schedule('mark-overdue-expenses', '0 1 * * *', 'expenses.mark-overdue', {
+        description: 'Mark expenses still awaiting a decision after their due date as Overdue',
+    });
+    schedule('activate-due-terms', '15 0 * * *', 'terms.activate-due', {
+        description: 'Activate the term that has started once the previous one has ended',
+    });
+    schedule('fee-reminders', '0 9 * * 1', 'fees.send-reminders', {
+        description: `Email parents with fees outstanding ${FEE_REMINDER_GRACE_DAYS}+ days into the active term`,
+    });
+    schedule('clean-up-jobs', '30 2 * * *', 'jobs.cleanup', {
+        description: `Delete completed jobs older than ${JOB_RETENTION_DAYS} days`,
+    });
+}
+
+module.exports = { registerBackgroundJobs, deliveryFailure };
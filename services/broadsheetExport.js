@@ -0,0 +1,134 @@
+// Class broadsheet downloads: the broadsheet built by resultsService.buildTermBroadsheet as CSV or
+// as an XLSX workbook. Both lay it out the same way: a row per student with their position, each
+// subject's assessments, total and grade, then their overall total, average, percentage and grade,
+// and a last row with each subject's class average.
+
+const ExcelJS = require('exceljs');
+
+const NAVY = 'FF0B1F3A';
+const TINT = 'FFFEF6E4';
+
+// Every column after Position and Student: a group per subject, then the student's overall result
+function subjectColumns(sheet) {
+    const components = sheet.assessment_structure.components;
+    return sheet.subjects.map(subject => ({
+        subject,
+        columns: [
+            ...components.map(c => ({ label: c.label, value: result => result[c.assessment_type] })),
+            { label: 'Total', value: result => result.total, average: subject.class_average },
+            { label: 'Grade', value: result => result.grade },
+        ],
+    }));
+}
+
+const OVERALL_COLUMNS = [
+    { label: 'Total', value: student => student.total },
+    { label: 'Average', value: student => student.average },
+    { label: '%', value: student => student.percentage },
+    { label: 'Grade', value: student => student.overall_grade },
+];
+
+// The table as rows of cell values: two header rows (subject, then column), a row per student and
+// the class averages
+function tableRows(sheet) {
+    const groups = subjectColumns(sheet);
+    const subjectHeader = ['', ''];
+    const columnHeader = ['Position', 'Student'];
+    for (const group of groups) {
+        group.columns.forEach((column, i) => {
+            subjectHeader.push(i === 0 ? group.subject.subject : '');
+            columnHeader.push(column.label);
+        });
+    }
+    subjectHeader.push('Overall', ...OVERALL_COLUMNS.slice(1).map(() => ''));
+    columnHeader.push(...OVERALL_COLUMNS.map(c => c.label));
+
+    const students = sheet.students.map(student => {
+        const bySubject = Object.fromEntries(student.subjects.map(s => [s.subject_id, s]));
+        const cells = [student.position, student.name];
+        for (const group of groups) {
+            const result = bySubject[group.subject.subject_id];
+            cells.push(...group.columns.map(column => (result ? column.value(result) ?? '' : '')));
+        }
+        cells.push(...OVERALL_COLUMNS.map(column => column.value(student)));
+        return cells;
+    });
+
+    const averages = ['', 'Class average'];
+    for (const group of groups) {
+        averages.push(...group.columns.map(column => column.average ?? ''));
+    }
+    averages.push(...OVERALL_COLUMNS.map(() => ''));
+
+    return { groups, subjectHeader, columnHeader, students, averages };
+}
+
+const title = sheet => `${[sheet.class.name, sheet.class.arm].filter(Boolean).join(' ')} broadsheet, ${sheet.term.name} ${sheet.term.session}`;
+
+// Quoted when needed; text a spreadsheet would run as a formula is prefixed with '
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The broadsheet as CSV text, with a byte order mark so Excel reads names as UTF-8.
+ */
+function toCsv(sheet) {
+    const { subjectHeader, columnHeader, students, averages } = tableRows(sheet);
+    const lines = [subjectHeader, columnHeader, ...students, averages].map(row => row.map(csvCell).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * The broadsheet as an XLSX workbook, titled, with the headers frozen and sign-off lines for the
+ * class teacher and principal under the table.
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(sheet) {
+    const { groups, subjectHeader, columnHeader, students, averages } = tableRows(sheet);
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Broadsheet', { views: [{ state: 'frozen', xSplit: 2, ySplit: 3 }] });
+
+    worksheet.addRow([title(sheet)]).font = { bold: true, size: 14 };
+    const subjectRow = worksheet.addRow(subjectHeader);
+    const columnRow = worksheet.addRow(columnHeader);
+    for (const row of [subjectRow, columnRow]) {
+        row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        row.alignment = { horizontal: 'center', vertical: 'middle' };
+        row.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: NAVY } };
+        });
+    }
+
+    // Each subject's name spans its columns, as does "Overall"
+    let column = 3;
+    for (const group of groups) {
+        worksheet.mergeCells(2, column, 2, column + group.columns.length - 1);
+        column += group.columns.length;
+    }
+    worksheet.mergeCells(2, column, 2, column + OVERALL_COLUMNS.length - 1);
+
+    for (const cells of students) worksheet.addRow(cells);
+    const averageRow = worksheet.addRow(averages);
+    averageRow.font = { bold: true };
+    averageRow.eachCell(cell => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: TINT } };
+    });
+
+    worksheet.getColumn(1).width = 9;
+    worksheet.getColumn(2).width = 28;
+    for (let i = 3; i <= columnHeader.length; i++) worksheet.getColumn(i).width = 8;
+
+    worksheet.addRow([]);
+    worksheet.addRow(['', "Class teacher's signature: ____________________   Date: ____________"]);
+    worksheet.addRow(['', "Principal's signature: ____________________   Date: ____________"]);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    toCsv,
+    toXlsx,
+};
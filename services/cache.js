@@ -0,0 +1,209 @@
+// Read-through cache for lookups that are read on most requests and change rarely (see
+// services/lookupService.js).
+//
+// A backend is anything with
+//
+//     get(key) -> Promise<value | undefined>
+//     set(key, value, ttlSeconds) -> Promise<void>
+//     del(keys) -> Promise<void>
+//     clear() -> Promise<void>
+//
+// CACHE_DRIVER picks the default: memory (per process), redis (shared, needs REDIS_URL and the
+// ioredis package; any Redis-compatible server such as Valkey works) or none. setCache() swaps in
+// another backend, e.g. in tests.
+
+const logger = require('./logger');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300;
+const MEMORY_MAX_ENTRIES = 10000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Values in process memory. Each instance has its own copy, so an invalidation on one instance
+ * doesn't reach the others; they catch up when the entry expires.
+ */
+function createMemoryCache({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    // The sweep alone must not keep the process (or a test run) alive
+    sweep.unref();
+
+    return {
+        // Values are copied in and out so a caller mutating a result can't change the cached one
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return structuredClone(entry.value);
+        },
+
+        async set(key, value, ttlSeconds) {
+            // Oldest first, so when full the entry written longest ago goes
+            entries.delete(key);
+            if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+            entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+
+        async del(keys) {
+            for (const key of keys) entries.delete(key);
+        },
+
+        async clear() {
+            entries.clear();
+        },
+    };
+}
+
+// JSON.stringify turns Dates (mysql2's DATE and DATETIME columns) into these; turn them back
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const reviveDates = (key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+
+/**
+ * Values in Redis, shared by every instance. `client` is an ioredis client (or anything with its
+ * get/set/del/keys methods); keys are namespaced with `prefix`.
+ */
+function createRedisCache(client, { prefix = 'torchbearer:cache:' } = {}) {
+    return {
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            return raw === null ? undefined : JSON.parse(raw, reviveDates);
+        },
+
+        async set(key, value, ttlSeconds) {
+            await client.set(prefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+        },
+
+        async del(keys) {
+            if (keys.length) await client.del(...keys.map(key => prefix + key));
+        },
+
+        // KEYS walks the whole keyspace; fine for tests and one-off resets, not for request paths
+        async clear() {
+            const keys = await client.keys(`${prefix}*`);
+            if (keys.length) await client.del(...keys);
+        },
+    };
+}
+
+// CACHE_DRIVER=none: every lookup goes to the database
+function createNullCache() {
+    return {
+        async get() {
+            return undefined;
+        },
+        async set() {},
+        async del() {},
+        async clear() {},
+    };
+}
+
+function createDefaultCache() {
+    const driver = process.env.CACHE_DRIVER || 'memory';
+    if (driver === 'none') return createNullCache();
+    if (driver === 'redis') {
+        try {
+            const Redis = require('ioredis');
+            const client = new Redis(process.env.REDIS_URL);
+            client.on('error', err => logger.warn('Redis cache connection error', { reason: err.message }));
+            return createRedisCache(client);
+        } catch (err) {
+            logger.error('CACHE_DRIVER=redis needs REDIS_URL and the ioredis package, using the memory cache:', err);
+        }
+    } else if (driver !== 'memory') {
+        logger.warn(`Unknown CACHE_DRIVER "${driver}", using the memory cache`);
+    }
+    return createMemoryCache();
+}
+
+let backend = createDefaultCache();
+
+// Bumped by invalidate(), so a load that started before an invalidation doesn't store what it read
+const generations = new Map();
+// Loads in flight, so concurrent misses for one key run the query once
+const pending = new Map();
+
+function setCache(newBackend) {
+    backend = newBackend;
+    generations.clear();
+    pending.clear();
+}
+
+const getCache = () => backend;
+
+/**
+ * The cached value for `key`, or the result of `load()` (stored for `ttlSeconds`) when there is
+ * none. A failing backend is logged and skipped, so the cache can never take a lookup down.
+ */
+async function wrap(key, load, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    try {
+        const cached = await backend.get(key);
+        if (cached !== undefined) return cached;
+    } catch (err) {
+        logger.warn(`Cache read failed for ${key}`, { reason: err.message });
+        return load();
+    }
+
+    if (pending.has(key)) return pending.get(key);
+
+    const generation = generations.get(key) || 0;
+    const loading = (async () => {
+        const value = await load();
+        if (value !== undefined && (generations.get(key) || 0) === generation) {
+            try {
+                await backend.set(key, value, ttlSeconds);
+            } catch (err) {
+                logger.warn(`Cache write failed for ${key}`, { reason: err.message });
+            }
+        }
+        return value;
+    })();
+
+    pending.set(key, loading);
+    try {
+        return await loading;
+    } finally {
+        pending.delete(key);
+    }
+}
+
+/**
+ * Drop cached values after the data behind them changed. Call it once the change is committed,
+ * otherwise a concurrent request can cache the old rows again.
+ */
+async function invalidate(...keys) {
+    for (const key of keys) {
+        generations.set(key, (generations.get(key) || 0) + 1);
+        pending.delete(key);
+    }
+    try {
+        await backend.del(keys);
+    } catch (err) {
+        logger.error(`Cache invalidation failed for ${keys.join(', ')}:`, err);
+    }
+}
+
+async function clear() {
+    generations.clear();
+    pending.clear();
+    await backend.clear();
+}
+
+module.exports = {
+    createMemoryCache,
+    createRedisCache,
+    createNullCache,
+    setCache,
+    getCache,
+    wrap,
+    invalidate,
+    clear,
+};
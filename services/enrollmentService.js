@@ -1,6 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../database');
+const logger = require('./logger');
+const { invalidateUserRoles } = require('./lookupService');
 // Helper to generate a unique student ID
 async function generateStudentId() {
     const prefix = 'ttb';
@@ -29,7 +31,7 @@ function generatePassword() {
 // Main service function
 async function createNewStudentFromEnrollment(formData) {
 
-    console.log('Creating new student from enrollment data:', formData);
+    logger.debug('Creating new student from enrollment data:', formData);
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
@@ -38,19 +40,21 @@ async function createNewStudentFromEnrollment(formData) {
         let [parent] = await connection.query('SELECT * FROM parents WHERE email = ?', [formData.parent_email]);
         let parent_id;
         let parentUserId;
+        // An existing user who becomes a parent here has a new role to pick up
+        let rolesChangedUserId = null;
 
         if (parent.length > 0) {
             // ✅ Parent already exists - just use existing parent
             parent_id = parent[0].id;
             parentUserId = parent[0].user_id;
-            console.log('Existing parent found:', parent_id, parentUserId);
+            logger.debug('Existing parent found:', parent_id, parentUserId);
         } else {
             // ✅ Parent doesn't exist - create new parent
-            console.log('No existing parent found, creating new parent');
+            logger.debug('No existing parent found, creating new parent');
             
             // First check if user exists with this email
             const [existingUser] = await connection.query('SELECT id FROM users WHERE email = ?', [formData.parent_email]);
-            console.log('Existing user check for parent email:', existingUser);
+            logger.debug('Existing user check for parent email:', existingUser);
             
             if (existingUser.length > 0) {
                 // User exists but doesn't have parent role yet
@@ -60,6 +64,7 @@ async function createNewStudentFromEnrollment(formData) {
                 const hasParentRole = existingRole.some(er => er.role_id === parentRole[0].id);
                 if (!hasParentRole) {
                     await connection.query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [parentUserId, parentRole[0].id]);
+                    rolesChangedUserId = parentUserId;
                 }
             } else {
                 // Create new user
@@ -67,7 +72,7 @@ async function createNewStudentFromEnrollment(formData) {
                 const parentPhone = formData.father_phone || formData.mother_phone || null;
                 const tempParentPassword = parentPhone || generatePassword();
                 const hashedParentPassword = await bcrypt.hash(tempParentPassword, 10);
-                await connection.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [parentUserId, formData.parent_email, hashedParentPassword]);
+                await connection.query('INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, TRUE)', [parentUserId, formData.parent_email, hashedParentPassword]);
 
                 const [parentRole] = await connection.query("SELECT id FROM roles WHERE name = 'Parent'");
                 await connection.query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [parentUserId, parentRole[0].id]);
@@ -96,7 +101,7 @@ async function createNewStudentFromEnrollment(formData) {
             } catch (error) {
                 // If phone causes issues (duplicate or null), insert without phone
                 if (error.code === 'ER_DUP_ENTRY' || error.code === 'ER_BAD_NULL_ERROR') {
-                    console.log('Phone insertion failed, inserting without phone');
+                    logger.debug('Phone insertion failed, inserting without phone');
                     await connection.query('INSERT INTO parents (id, user_id, name, email, dob, residential_address, occupation, workplace_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?)', [
                         parent_id,
                         parentUserId,
@@ -119,7 +124,7 @@ async function createNewStudentFromEnrollment(formData) {
         const temporary_password = sharedPhone || generatePassword();
         const hashedStudentPassword = await bcrypt.hash(temporary_password, 10);
         const studentUserId = uuidv4();
-        await connection.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [studentUserId, student_id, hashedStudentPassword]);
+        await connection.query('INSERT INTO users (id, email, password, must_change_password) VALUES (?, ?, ?, TRUE)', [studentUserId, student_id, hashedStudentPassword]);
 
         const [newStudentRole] = await connection.query("SELECT id FROM roles WHERE name = 'NewStudent'");
         await connection.query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [studentUserId, newStudentRole[0].id]);
@@ -186,6 +191,7 @@ async function createNewStudentFromEnrollment(formData) {
         await connection.query('INSERT INTO new_students SET ?', newStudentData);
 
         await connection.commit();
+        await invalidateUserRoles(rolesChangedUserId);
 
         return {
             success: true,
@@ -198,7 +204,7 @@ async function createNewStudentFromEnrollment(formData) {
 
     } catch (error) {
         await connection.rollback();
-        console.error('Enrollment Service Error:', error);
+        logger.error('Enrollment Service Error:', error);
         return { success: false, message: 'An internal server error occurred.' };
     } finally {
         connection.release();
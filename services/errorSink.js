@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..') + path.sep;
+
+// Distinct error groups kept by the in-memory sink; the least recently seen group is dropped first
+const MAX_GROUPS = parseInt(process.env.ERROR_SINK_MAX_GROUPS, 10) || 200;
+
+/**
+ * Message with the parts that vary between occurrences (ids, numbers, quoted values) masked, so
+ * "Duplicate entry 'a@b.c' for key 'email'" and the same error for another address group together.
+ */
+function normalizeMessage(message) {
+    return String(message || '')
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+        .replace(/'[^']*'/g, "'?'")
+        .replace(/\d+/g, '<n>');
+}
+
+// First stack frame inside the project (not node_modules or Node internals), e.g. "routes/fees.js:120"
+// with the function name in front when there is one. The column is dropped.
+function originFrame(stack) {
+    const frames = String(stack || '').split('\n').slice(1).map(line => line.trim());
+    const own = frames.find(frame => !frame.includes('node_modules') && !frame.includes('node:'));
+    return (own || frames[0] || '')
+        .replace(/^at /, '')
+        .replace(/:(\d+):\d+(\)?)$/, ':$1$2')
+        .split(PROJECT_ROOT).join('');
+}
+
+/**
+ * Stable id for "the same failure": error name and code, normalized message and where it was thrown.
+ */
+function fingerprint(err) {
+    const basis = [err.name, err.code || '', normalizeMessage(err.message), originFrame(err.stack)].join('|');
+    return crypto.createHash('sha1').update(basis).digest('hex').substring(0, 12);
+}
+
+/**
+ * Default sink: keeps error groups in process memory. Groups are lost on restart and are per
+ * process, which is enough to see what is failing on a running instance; swap in another sink
+ * with setSink() to forward errors to a hosted tracker.
+ */
+function createMemorySink(maxGroups = MAX_GROUPS) {
+    const groups = new Map();
+
+    return {
+        capture(err, context = {}) {
+            const id = fingerprint(err);
+            const now = new Date().toISOString();
+            const occurrence = {
+                at: now,
+                requestId: context.requestId || null,
+                method: context.method || null,
+                path: context.path || null,
+                userId: context.userId || null,
+                message: context.message || null,
+            };
+
+            let group = groups.get(id);
+            if (group) {
+                groups.delete(id);
+                group.count += 1;
+                group.lastSeen = now;
+                group.lastMessage = err.message;
+                group.stack = err.stack;
+                group.recent = [occurrence, ...group.recent].slice(0, 10);
+            } else {
+                group = {
+                    id,
+                    name: err.name,
+                    code: err.code || null,
+                    message: normalizeMessage(err.message),
+                    lastMessage: err.message,
+                    origin: originFrame(err.stack),
+                    stack: err.stack,
+                    count: 1,
+                    firstSeen: now,
+                    lastSeen: now,
+                    recent: [occurrence],
+                };
+            }
+            // Map order doubles as recency: the group just seen goes to the end
+            groups.set(id, group);
+            if (groups.size > maxGroups) groups.delete(groups.keys().next().value);
+            return id;
+        },
+
+        list() {
+            return [...groups.values()]
+                .reverse()
+                .map(({ stack, recent, ...summary }) => summary);
+        },
+
+        get(id) {
+            return groups.get(id) || null;
+        },
+
+        clear() {
+            groups.clear();
+        },
+    };
+}
+
+let sink = createMemorySink();
+
+/**
+ * Replace the sink. Anything with capture(err, context) works; list(), get(id) and clear() are
+ * only needed for GET/DELETE /api/errors.
+ */
+function setSink(newSink) {
+    sink = newSink;
+}
+
+/**
+ * Record an error. Never throws: a broken sink must not turn a handled error into a crash.
+ * @param {Error} err
+ * @param {object} context { requestId, method, path, userId, message }
+ * @returns {string|null} the group id, when the sink returns one
+ */
+function capture(err, context = {}) {
+    try {
+        return sink.capture(err, context) || null;
+    } catch (sinkError) {
+        process.stderr.write(`Error sink failed: ${sinkError.message}\n`);
+        return null;
+    }
+}
+
+module.exports = {
+    capture,
+    setSink,
+    createMemorySink,
+    fingerprint,
+    list: () => (sink.list ? sink.list() : []),
+    get: id => (sink.get ? sink.get(id) : null),
+    clear: () => sink.clear && sink.clear(),
+};
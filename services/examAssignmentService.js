@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database');
+const logger = require('./logger');
 
 /**
  * Assign an exam to a single student
@@ -461,7 +462,7 @@ async function bulkAssignExamToStudents(examId, studentUserIds, assignedByUserId
           skipped++;
         }
       } catch (error) {
-        console.error(`Error assigning exam to student ${studentUserId}:`, error.message);
+        logger.error(`Error assigning exam to student ${studentUserId}:`, error.message);
         skipped++;
       }
     }
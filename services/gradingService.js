@@ -0,0 +1,265 @@
+// Grading schemes: the bands that turn a score into a grade, a remark and points. Subject totals are
+// graded as a percentage of the scheme's max_score, the overall result on the percentage over all
+// subjects; a scheme without overall bands grades both with its subject bands.
+//
+// A class is graded with the scheme assigned to its branch and school type, falling back to the
+// branch's scheme, the school type's scheme, the scheme assigned to everything and finally
+// DEFAULT_SCHEME, the scale report cards used before schemes could be configured.
+
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const cache = require('./cache');
+const { HttpError } = require('../middleware/errorHandler');
+
+const SCHEMES_KEY = 'grading:schemes';
+const SCOPES = ['subject', 'overall'];
+
+const band = (grade, min_score, remark, points = null) => ({ grade, min_score, remark, points });
+
+const DEFAULT_SCHEME = {
+    id: null,
+    name: 'Default',
+    description: 'Built-in scale, used where no scheme is assigned',
+    max_score: 100,
+    bands: {
+        subject: [
+            band('A', 80, 'Excellent'),
+            band('B', 70, 'Very Good'),
+            band('C', 60, 'Good'),
+            band('D', 50, 'Fair'),
+            band('E', 40, 'Pass'),
+            band('F', 0, 'Needs Improvement'),
+        ],
+        overall: [
+            band('A', 75, 'Excellent'),
+            band('B', 65, 'Very Good'),
+            band('C', 50, 'Good'),
+            band('D', 45, 'Fair'),
+            band('E', 40, 'Pass'),
+            band('F', 0, 'Needs Improvement'),
+        ],
+    },
+    assignments: [],
+};
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Every stored scheme with its bands (highest first, per scope) and assignments.
+ */
+function listSchemes() {
+    return cache.wrap(SCHEMES_KEY, async () => {
+        const [schemes] = await pool.query('SELECT * FROM grading_schemes ORDER BY name');
+        const [bands] = await pool.query(
+            'SELECT scheme_id, scope, grade, min_score, remark, points FROM grading_scheme_bands ORDER BY min_score DESC'
+        );
+        const [assignments] = await pool.query('SELECT scheme_id, branch_id, school_type FROM grading_scheme_assignments');
+
+        return schemes.map(scheme => ({
+            ...scheme,
+            max_score: toNumber(scheme.max_score),
+            bands: Object.fromEntries(SCOPES.map(scope => [
+                scope,
+                bands
+                    .filter(b => b.scheme_id === scheme.id && b.scope === scope)
+                    .map(b => band(b.grade, toNumber(b.min_score), b.remark, toNumber(b.points))),
+            ])),
+            assignments: assignments
+                .filter(a => a.scheme_id === scheme.id)
+                .map(({ branch_id, school_type }) => ({ branch_id, school_type })),
+        }));
+    });
+}
+
+function invalidateSchemes() {
+    return cache.invalidate(SCHEMES_KEY);
+}
+
+async function getScheme(id) {
+    return (await listSchemes()).find(s => s.id === id) || null;
+}
+
+/**
+ * The scheme that grades classes of `schoolType` in `branchId`; the most specific assignment wins.
+ */
+async function getGradingScheme(branchId, schoolType) {
+    const schemes = await listSchemes();
+    const candidates = [
+        [branchId, schoolType],
+        [branchId, null],
+        [null, schoolType],
+        [null, null],
+    ];
+    for (const [candidateBranch, candidateType] of candidates) {
+        const match = schemes.find(s => s.assignments.some(a =>
+            a.branch_id === (candidateBranch || null) && a.school_type === (candidateType || null)));
+        if (match) return match;
+    }
+    return DEFAULT_SCHEME;
+}
+
+/**
+ * The band `percentage` falls in: { grade, min_score, remark, points }. Below every band it gets the
+ * lowest one.
+ */
+function gradeFor(percentage, scheme = DEFAULT_SCHEME, scope = 'subject') {
+    const bands = scheme.bands[scope] && scheme.bands[scope].length > 0 ? scheme.bands[scope] : scheme.bands.subject;
+    // Rounded so 79.999... from a division still reaches the 80 band
+    const rounded = Math.round(percentage * 100) / 100;
+    return bands.find(b => rounded >= b.min_score) || bands[bands.length - 1];
+}
+
+/**
+ * The lowest overall percentage graded above the scheme's bottom band (40 for DEFAULT_SCHEME):
+ * what a sessional result needs to pass.
+ */
+function passMark(scheme = DEFAULT_SCHEME) {
+    const bands = scheme.bands.overall && scheme.bands.overall.length > 0 ? scheme.bands.overall : scheme.bands.subject;
+    return bands.length > 1 ? bands[bands.length - 2].min_score : 0;
+}
+
+/**
+ * The parts of a scheme a report card prints in its grading key.
+ */
+const describeScheme = scheme => ({ id: scheme.id, name: scheme.name, max_score: scheme.max_score, bands: scheme.bands });
+
+/**
+ * Reject bands that would leave a score without a grade: every scope used needs a band starting
+ * at 0, and grades must be unique within a scope.
+ * @throws {HttpError} 422
+ */
+function checkBands(bands) {
+    if (!bands.some(b => b.scope === 'subject')) throw new HttpError(422, 'A grading scheme needs subject bands.');
+    for (const scope of SCOPES) {
+        const inScope = bands.filter(b => b.scope === scope);
+        if (inScope.length === 0) continue;
+        if (!inScope.some(b => b.min_score === 0)) {
+            throw new HttpError(422, `The ${scope} bands must include one starting at 0.`);
+        }
+        const grades = inScope.map(b => b.grade.toUpperCase());
+        if (new Set(grades).size !== grades.length) throw new HttpError(422, `The ${scope} bands repeat a grade.`);
+    }
+}
+
+async function insertBands(connection, schemeId, bands) {
+    if (bands.length === 0) return;
+    await connection.query(
+        'INSERT INTO grading_scheme_bands (scheme_id, scope, grade, min_score, remark, points) VALUES ?',
+        [bands.map(b => [schemeId, b.scope, b.grade, b.min_score, b.remark, b.points ?? null])]
+    );
+}
+
+/**
+ * @param {object} data { name, description, max_score, bands: [{ scope, grade, min_score, remark, points }] }
+ * @returns {Promise<object>} the stored scheme
+ */
+async function createScheme(data, createdBy) {
+    checkBands(data.bands);
+    const id = uuidv4();
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query(
+            'INSERT INTO grading_schemes (id, name, description, max_score, created_by) VALUES (?, ?, ?, ?, ?)',
+            [id, data.name, data.description || null, data.max_score ?? 100, createdBy]
+        );
+        await insertBands(connection, id, data.bands);
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+    await invalidateSchemes();
+    return getScheme(id);
+}
+
+/**
+ * Change a scheme's details; `bands`, when given, replaces all of its bands.
+ * @returns {Promise<object|null>} the updated scheme, or null when there is no such scheme
+ */
+async function updateScheme(id, data) {
+    if (data.bands) checkBands(data.bands);
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [existing] = await connection.query('SELECT id FROM grading_schemes WHERE id = ? FOR UPDATE', [id]);
+        if (existing.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        const changes = {};
+        for (const column of ['name', 'description', 'max_score']) {
+            if (data[column] !== undefined) changes[column] = data[column];
+        }
+        if (Object.keys(changes).length > 0) {
+            await connection.query('UPDATE grading_schemes SET ? WHERE id = ?', [changes, id]);
+        }
+        if (data.bands) {
+            await connection.query('DELETE FROM grading_scheme_bands WHERE scheme_id = ?', [id]);
+            await insertBands(connection, id, data.bands);
+        }
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+    await invalidateSchemes();
+    return getScheme(id);
+}
+
+/**
+ * Delete a scheme; whatever it was assigned to falls back to the next matching scheme.
+ * @returns {Promise<boolean>} false when there is no such scheme
+ */
+async function deleteScheme(id) {
+    const [result] = await pool.query('DELETE FROM grading_schemes WHERE id = ?', [id]);
+    await invalidateSchemes();
+    return result.affectedRows > 0;
+}
+
+/**
+ * Grade classes of `schoolType` in `branchId` with `schemeId`, replacing any scheme assigned
+ * there before. A null branch or school type assigns it to every branch or type.
+ */
+async function assignScheme(schemeId, { branchId = null, schoolType = null }) {
+    await pool.query(
+        `INSERT INTO grading_scheme_assignments (scheme_id, branch_id, school_type) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE scheme_id = VALUES(scheme_id)`,
+        [schemeId, branchId, schoolType]
+    );
+    await invalidateSchemes();
+}
+
+/**
+ * @returns {Promise<boolean>} false when nothing was assigned there
+ */
+async function unassignScheme({ branchId = null, schoolType = null }) {
+    const [result] = await pool.query(
+        'DELETE FROM grading_scheme_assignments WHERE branch_id <=> ? AND school_type <=> ?',
+        [branchId, schoolType]
+    );
+    await invalidateSchemes();
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    DEFAULT_SCHEME,
+    listSchemes,
+    getScheme,
+    getGradingScheme,
+    gradeFor,
+    passMark,
+    describeScheme,
+    checkBands,
+    createScheme,
+    updateScheme,
+    deleteScheme,
+    assignScheme,
+    unassignScheme,
+    invalidateSchemes,
+};
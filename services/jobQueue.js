@@ -0,0 +1,217 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Retry delays grow 30s, 1m, 2m, 4m, ... up to an hour
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+// A job still running after this long is assumed to have lost its worker (crash, deploy)
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 10 * 60;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const jobsProcessed = metrics.counter('jobs_processed_total', 'Background jobs run, by type and outcome (completed, retrying, failed)');
+
+// type -> async (payload, job) => result
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of `type`. It receives the parsed payload and the job row;
+ * throwing (or rejecting) schedules a retry.
+ */
+function registerHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+const backoffSeconds = attempts => Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SECONDS);
+
+/**
+ * Add a job to the queue.
+ * Pass the transaction's connection as `db` to enqueue only if the transaction commits.
+ * @param {string} type registered handler type, e.g. 'notification.send'
+ * @param {object} payload JSON-serialisable input for the handler
+ * @param {object} options { delaySeconds, maxAttempts, uniqueKey, db }. With uniqueKey, a second
+ *   job with the same key is silently dropped.
+ * @returns {Promise<number|null>} the job id, or null when uniqueKey matched an existing job
+ */
+async function enqueue(type, payload = {}, { delaySeconds = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS, uniqueKey = null, db = pool } = {}) {
+    const [result] = await db.query(
+        `INSERT IGNORE INTO jobs (type, payload, max_attempts, run_at, unique_key)
+         VALUES (?, ?, ?, NOW() + INTERVAL ? SECOND, ?)`,
+        [type, JSON.stringify(payload), maxAttempts, delaySeconds, uniqueKey]
+    );
+    return result.affectedRows ? result.insertId : null;
+}
+
+/**
+ * Enqueue without letting a queue failure break the caller, for side effects such as emails sent
+ * after the main work has already been committed.
+ */
+function enqueueQuietly(type, payload, options) {
+    return enqueue(type, payload, options).catch(err => {
+        logger.error(`Failed to enqueue ${type} job:`, err);
+        return null;
+    });
+}
+
+/**
+ * Put jobs whose worker vanished mid-run back in the queue (or fail them when out of attempts).
+ */
+async function releaseStaleJobs(db = pool) {
+    const [result] = await db.query(
+        `UPDATE jobs
+         SET status = IF(attempts >= max_attempts, 'failed', 'pending'),
+             locked_by = NULL, locked_at = NULL,
+             last_error = 'The worker stopped before the job finished'
+         WHERE status = 'running' AND locked_at < NOW() - INTERVAL ? SECOND`,
+        [LOCK_TIMEOUT_SECONDS]
+    );
+    return result.affectedRows;
+}
+
+/**
+ * Claim the next due job for this worker. The UPDATE ... LIMIT 1 is atomic, so two workers can
+ * never claim the same job.
+ * @returns {Promise<object|null>} the claimed job row
+ */
+async function claimNext(db = pool) {
+    const lockToken = `${WORKER_ID}:${uuidv4()}`;
+    const [result] = await db.query(
+        `UPDATE jobs
+         SET status = 'running', locked_by = ?, locked_at = NOW(), attempts = attempts + 1
+         WHERE status = 'pending' AND run_at <= NOW()
+         ORDER BY run_at, id
+         LIMIT 1`,
+        [lockToken]
+    );
+    if (!result.affectedRows) return null;
+
+    const [rows] = await db.query('SELECT * FROM jobs WHERE locked_by = ?', [lockToken]);
+    return rows[0] || null;
+}
+
+function parsePayload(payload) {
+    if (payload === null || payload === undefined) return {};
+    return typeof payload === 'string' ? JSON.parse(payload) : payload;
+}
+
+/**
+ * Run one claimed job and record the outcome: completed, back to pending with a backoff delay,
+ * or failed once max_attempts is used up (or there is no handler for the type).
+ */
+async function runJob(job, db = pool) {
+    const handler = handlers.get(job.type);
+    const jobLogger = logger.child({ jobId: job.id, jobType: job.type, attempt: job.attempts });
+
+    try {
+        if (!handler) throw Object.assign(new Error(`No handler registered for job type "${job.type}"`), { permanent: true });
+        await handler(parsePayload(job.payload), job);
+
+        await db.query(
+            "UPDATE jobs SET status = 'completed', completed_at = NOW(), locked_by = NULL, locked_at = NULL, last_error = NULL WHERE id = ?",
+            [job.id]
+        );
+        jobsProcessed.inc({ type: job.type, outcome: 'completed' });
+        jobLogger.info('Job completed');
+        return 'completed';
+    } catch (err) {
+        const exhausted = err.permanent || job.attempts >= job.max_attempts;
+        const errorText = String(err.stack || err.message).substring(0, 4000);
+
+        if (exhausted) {
+            await db.query(
+                "UPDATE jobs SET status = 'failed', locked_by = NULL, locked_at = NULL, last_error = ? WHERE id = ?",
+                [errorText, job.id]
+            );
+            jobsProcessed.inc({ type: job.type, outcome: 'failed' });
+            jobLogger.error('Job failed permanently:', err);
+            return 'failed';
+        }
+
+        const delay = backoffSeconds(job.attempts);
+        await db.query(
+            `UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL, last_error = ?,
+             run_at = NOW() + INTERVAL ? SECOND WHERE id = ?`,
+            [errorText, delay, job.id]
+        );
+        jobsProcessed.inc({ type: job.type, outcome: 'retrying' });
+        jobLogger.warn(`Job failed, retrying in ${delay}s`, { reason: err.message });
+        return 'retrying';
+    }
+}
+
+/**
+ * Run due jobs one after another until none are left or `limit` have run.
+ * @returns {Promise<number>} how many jobs ran
+ */
+async function runDueJobs({ limit = 50, db = pool } = {}) {
+    await releaseStaleJobs(db);
+
+    let count = 0;
+    while (count < limit) {
+        const job = await claimNext(db);
+        if (!job) break;
+        await logger.runWithContext({ jobId: job.id, jobType: job.type }, () => runJob(job, db));
+        count += 1;
+    }
+    return count;
+}
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts.
+ * @returns {Promise<boolean>} false when the job doesn't exist or hasn't failed
+ */
+async function retryJob(id, db = pool) {
+    const [result] = await db.query(
+        `UPDATE jobs SET status = 'pending', attempts = 0, run_at = NOW(), last_error = NULL
+         WHERE id = ? AND status = 'failed'`,
+        [id]
+    );
+    return result.affectedRows > 0;
+}
+
+let pollTimer = null;
+let stopped = true;
+
+/**
+ * Poll for due jobs every JOB_POLL_INTERVAL_MS in this process. Polls never overlap: the next one
+ * is scheduled when the previous batch has finished.
+ */
+function startWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+    if (!stopped) return;
+    stopped = false;
+
+    const poll = async () => {
+        try {
+            await runDueJobs();
+        } catch (err) {
+            logger.error('Job worker poll failed:', err);
+        }
+        if (!stopped) pollTimer = setTimeout(poll, intervalMs);
+    };
+    pollTimer = setTimeout(poll, intervalMs);
+    logger.info('Job worker started', { workerId: WORKER_ID, intervalMs });
+}
+
+function stopWorker() {
+    stopped = true;
+    clearTimeout(pollTimer);
+}
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    enqueueQuietly,
+    claimNext,
+    runJob,
+    runDueJobs,
+    retryJob,
+    releaseStaleJobs,
+    backoffSeconds,
+    startWorker,
+    stopWorker,
+};
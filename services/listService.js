@@ -0,0 +1,124 @@
+const { pool } = require('../database');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Limit and offset for a list request. ?offset= wins over ?page= when both are given.
+ * @param {object} query req.query, already coerced by the validate middleware
+ */
+function pageOf(query, defaultLimit = DEFAULT_LIMIT) {
+    const limit = query.limit || defaultLimit;
+    const offset = query.offset !== undefined ? query.offset : ((query.page || 1) - 1) * limit;
+    return { limit, offset };
+}
+
+/**
+ * ORDER BY for ?sort=-created_at,name. Names are looked up in `sortable` (query name to SQL
+ * expression), so only whitelisted columns reach the SQL; `key` is appended so rows with equal
+ * sort values keep a stable order across pages.
+ */
+function orderBy(sort, sortable, key) {
+    const terms = sort.split(',').map(term => {
+        const descending = term.startsWith('-');
+        const name = descending ? term.slice(1) : term;
+        if (!sortable[name]) throw new Error(`"${name}" is not a sortable field`);
+        return `${sortable[name]} ${descending ? 'DESC' : 'ASC'}`;
+    });
+    if (key) terms.push(key);
+    return ` ORDER BY ${terms.join(', ')}`;
+}
+
+/**
+ * Pagination metadata returned next to a page of rows. `next` is the URL of the following page
+ * with the caller's other query parameters kept, or null on the last page.
+ */
+function pageInfo(req, { limit, offset }, total) {
+    let next = null;
+    if (offset + limit < total) {
+        const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+        if (query.has('offset')) {
+            query.set('offset', offset + limit);
+        } else {
+            query.set('page', Math.floor(offset / limit) + 2);
+        }
+        next = `${req.originalUrl.split('?')[0]}?${query}`;
+    }
+    return { total, limit, offset, page: Math.floor(offset / limit) + 1, next };
+}
+
+/**
+ * Pagination metadata for an empty list, for callers that can tell there is nothing to list
+ * before querying (e.g. an Admin not linked to a branch).
+ */
+function emptyPagination(req, defaultLimit = DEFAULT_LIMIT) {
+    return pageInfo(req, pageOf(req.query, defaultLimit), 0);
+}
+
+/**
+ * Run one page of a list query together with the total row count.
+ *
+ * Filters are read from req.query: `filters` maps a query parameter to a column (equality) or to
+ * { column, op } for comparisons such as date ranges, and `search` lists the columns ?q= is
+ * matched against with LIKE. `where`/`params` carry conditions the route adds itself, such as the
+ * caller's branch scope.
+ *
+ * @param {object} req Express request (query, originalUrl)
+ * @param {object} spec { select, selectParams, from, where, params, groupBy, filters, search, sortable, defaultSort, key, defaultLimit, db }
+ * @returns {Promise<{ rows: object[], pagination: { total, limit, offset, page, next } }>}
+ */
+async function listPage(req, {
+    select,
+    selectParams = [],
+    from,
+    where = [],
+    params = [],
+    groupBy = null,
+    filters = {},
+    search = [],
+    sortable = {},
+    defaultSort,
+    key = null,
+    defaultLimit = DEFAULT_LIMIT,
+    db = pool,
+}) {
+    const conditions = [...where];
+    const values = [...params];
+
+    for (const [name, filter] of Object.entries(filters)) {
+        const value = req.query[name];
+        if (value === undefined || value === null || value === '') continue;
+        const { column, op = '=' } = typeof filter === 'string' ? { column: filter } : filter;
+        conditions.push(`${column} ${op} ?`);
+        values.push(value);
+    }
+
+    if (search.length && req.query.q) {
+        conditions.push(`(${search.map(column => `${column} LIKE ?`).join(' OR ')})`);
+        values.push(...search.map(() => `%${req.query.q}%`));
+    }
+
+    const whereSql = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const groupSql = groupBy ? ` GROUP BY ${groupBy}` : '';
+    const page = pageOf(req.query, defaultLimit);
+
+    // Grouped lists are counted by group, not by joined row
+    const countSql = groupBy
+        ? `SELECT COUNT(*) AS total FROM (SELECT 1 FROM ${from}${whereSql}${groupSql}) AS grouped`
+        : `SELECT COUNT(*) AS total FROM ${from}${whereSql}`;
+    const [[{ total }]] = await db.query(countSql, values);
+
+    const [rows] = await db.query(
+        `SELECT ${select} FROM ${from}${whereSql}${groupSql}${orderBy(req.query.sort || defaultSort, sortable, key)} LIMIT ? OFFSET ?`,
+        [...selectParams, ...values, page.limit, page.offset]
+    );
+
+    return { rows, pagination: pageInfo(req, page, Number(total)) };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    listPage,
+    emptyPagination,
+    pageOf,
+    pageInfo,
+};
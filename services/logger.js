@@ -0,0 +1,111 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Lowest level written is LOG_LEVEL (debug, info, warn, error or silent)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields (requestId, userId, ...) added to every line logged while a request is being handled
+const context = new AsyncLocalStorage();
+
+function threshold() {
+    const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+    if (LEVELS[configured]) return LEVELS[configured];
+    return process.env.NODE_ENV === 'test' ? LEVELS.warn : LEVELS.info;
+}
+
+/**
+ * Plain object for an Error, including the MySQL fields mysql2 attaches (code, errno, sqlMessage).
+ */
+function serializeError(err) {
+    const result = { name: err.name, message: err.message };
+    for (const key of ['code', 'errno', 'sqlState', 'sqlMessage', 'status']) {
+        if (err[key] !== undefined) result[key] = err[key];
+    }
+    result.stack = err.stack;
+    return result;
+}
+
+/**
+ * Turn console-style arguments into one record. The first string is the message (a trailing colon
+ * is dropped, so `logger.error('Error saving result:', err)` reads naturally), Errors go under
+ * `err`, plain objects are merged in as fields and anything else is collected under `details`.
+ */
+function buildRecord(args) {
+    const record = {};
+    const details = [];
+    let message = null;
+    let err = null;
+
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            if (!err) err = arg;
+            else details.push(serializeError(arg));
+        } else if (typeof arg === 'string' && message === null) {
+            message = arg.replace(/:\s*$/, '');
+        } else if (arg && typeof arg === 'object' && !Array.isArray(arg) && Object.getPrototypeOf(arg) === Object.prototype) {
+            Object.assign(record, arg);
+        } else {
+            details.push(arg);
+        }
+    }
+
+    if (message === null && err) message = err.message;
+    return { message, err, record, details };
+}
+
+function write(level, bindings, args) {
+    if (LEVELS[level] < threshold()) return;
+
+    const { message, err, record, details } = buildRecord(args);
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...context.getStore(),
+        ...bindings,
+        ...record,
+    };
+    if (err) line.err = serializeError(err);
+    if (details.length) line.details = details;
+
+    let output;
+    try {
+        output = JSON.stringify(line);
+    } catch (e) {
+        // Circular or otherwise unserializable details; keep the line rather than lose it
+        delete line.details;
+        output = JSON.stringify(line);
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${output}\n`);
+
+    // Errors are also handed to the error sink so they can be grouped and inspected later
+    if (level === 'error' && err) {
+        require('./errorSink').capture(err, { message, ...context.getStore(), ...bindings });
+    }
+}
+
+function createLogger(bindings = {}) {
+    return {
+        debug: (...args) => write('debug', bindings, args),
+        info: (...args) => write('info', bindings, args),
+        warn: (...args) => write('warn', bindings, args),
+        error: (...args) => write('error', bindings, args),
+        child: extra => createLogger({ ...bindings, ...extra }),
+    };
+}
+
+const logger = createLogger();
+
+/**
+ * Run `fn` with `fields` attached to every line it logs, including from awaited calls.
+ */
+logger.runWithContext = (fields, fn) => context.run({ ...fields }, fn);
+
+/**
+ * The fields of the current context, or an empty object outside of one. The object is live:
+ * fields added to it (e.g. userId once the caller is authenticated) show up on later lines.
+ */
+logger.context = () => context.getStore() || {};
+
+logger.serializeError = serializeError;
+
+module.exports = logger;
@@ -0,0 +1,170 @@
+const { pool } = require('../database');
+const { getUserRoleNames } = require('./lookupService');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15;
+
+// Delays start after this many recent failures and double each time, capped at MAX_DELAY_MS
+const DELAY_AFTER_FAILURES = 2;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+function getProgressiveDelay(recentFailures) {
+    if (recentFailures < DELAY_AFTER_FAILURES) return 0;
+    return Math.min(BASE_DELAY_MS * Math.pow(2, recentFailures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+}
+
+// Request details recorded alongside every login attempt
+function buildAttempt(req, identifier) {
+    return {
+        identifier: String(identifier).substring(0, 255),
+        ipAddress: req.ip || null,
+        userAgent: req.header('user-agent') ? req.header('user-agent').substring(0, 255) : null,
+        route: req.baseUrl + req.path,
+    };
+}
+
+/**
+ * Decide whether a login attempt may proceed.
+ * Returns { allowed: false, reason, retryAfterSeconds } when the account is locked or the IP
+ * has too many recent failures, otherwise { allowed: true, delayMs } with the delay to apply.
+ */
+async function checkLoginAllowed(identifier, ipAddress) {
+    const [ipFailures] = await pool.query(
+        `SELECT COUNT(*) AS failures
+         FROM login_attempts
+         WHERE ip_address = ? AND success = FALSE AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [ipAddress, WINDOW_MINUTES]
+    );
+    if (ipFailures[0].failures >= MAX_IP_FAILURES) {
+        return { allowed: false, reason: 'ip', retryAfterSeconds: WINDOW_MINUTES * 60 };
+    }
+
+    const [lockedUsers] = await pool.query(
+        'SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS seconds_left FROM users WHERE email = ? AND locked_until > NOW()',
+        [identifier]
+    );
+    if (lockedUsers.length > 0) {
+        return { allowed: false, reason: 'account', retryAfterSeconds: Math.max(lockedUsers[0].seconds_left, 1) };
+    }
+
+    const [accountFailures] = await pool.query(
+        `SELECT COUNT(*) AS failures
+         FROM login_attempts
+         WHERE identifier = ? AND success = FALSE AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [identifier, WINDOW_MINUTES]
+    );
+
+    return { allowed: true, delayMs: getProgressiveDelay(accountFailures[0].failures) };
+}
+
+async function logAttempt({ identifier, ipAddress, userAgent, route, userId = null, success, reason = null }) {
+    await pool.query(
+        `INSERT INTO login_attempts (identifier, user_id, ip_address, user_agent, route, success, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [identifier, userId, ipAddress, userAgent, route, success, reason]
+    );
+}
+
+/**
+ * Record a failed credential check. When the user exists their failure counter is bumped and
+ * the account is locked once it reaches the limit.
+ * Returns true if this failure locked the account.
+ */
+async function recordFailure(attempt, reason, userId = null) {
+    await logAttempt({ ...attempt, userId, success: false, reason });
+    if (!userId) return false;
+
+    await pool.query('UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?', [userId]);
+    const [result] = await pool.query(
+        `UPDATE users SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), failed_login_attempts = 0
+         WHERE id = ? AND failed_login_attempts >= ?`,
+        [LOCKOUT_MINUTES, userId, MAX_ACCOUNT_FAILURES]
+    );
+
+    if (result.affectedRows > 0) {
+        await logAttempt({ ...attempt, userId, success: false, reason: 'account_locked' });
+        return true;
+    }
+    return false;
+}
+
+async function recordSuccess(attempt, userId) {
+    await logAttempt({ ...attempt, userId, success: true });
+    await pool.query('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+}
+
+/**
+ * The account a login identifier (email or student ID) belongs to, with its roles and the branches
+ * it belongs to (a staff member's or student's branch, or a parent's children's), or null.
+ */
+async function findLoginAccount(identifier) {
+    const [users] = await pool.query('SELECT id, email FROM users WHERE email = ?', [identifier]);
+    if (users.length === 0) return null;
+
+    const user = users[0];
+    const [branches] = await pool.query(
+        `SELECT branch_id FROM staff WHERE user_id = ?
+         UNION SELECT branch_id FROM students WHERE user_id = ?
+         UNION SELECT branch_id FROM new_students WHERE user_id = ?
+         UNION SELECT s.branch_id FROM students s JOIN parents p ON s.parent_id = p.id WHERE p.user_id = ?`,
+        [user.id, user.id, user.id, user.id]
+    );
+    return {
+        ...user,
+        roles: await getUserRoleNames(user.id),
+        branchIds: branches.map(row => row.branch_id).filter(Boolean),
+    };
+}
+
+/**
+ * Clear a user's lockout.
+ */
+async function unlockAccount(userId) {
+    await pool.query('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+}
+
+async function getLoginAttempts({ identifier, ipAddress, success, from, to, limit = 100, offset = 0 }) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+
+    if (identifier) {
+        where += ' AND identifier = ?';
+        params.push(identifier);
+    }
+    if (ipAddress) {
+        where += ' AND ip_address = ?';
+        params.push(ipAddress);
+    }
+    if (success !== undefined) {
+        where += ' AND success = ?';
+        params.push(success);
+    }
+    if (from) {
+        where += ' AND created_at >= ?';
+        params.push(from);
+    }
+    if (to) {
+        where += ' AND created_at <= ?';
+        params.push(to);
+    }
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM login_attempts${where}`, params);
+    const [attempts] = await pool.query(
+        `SELECT * FROM login_attempts${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    return { attempts, total };
+}
+
+module.exports = {
+    buildAttempt,
+    checkLoginAllowed,
+    recordFailure,
+    recordSuccess,
+    findLoginAccount,
+    unlockAccount,
+    getLoginAttempts,
+};
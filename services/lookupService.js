@@ -0,0 +1,88 @@
+// Cached lookups of user roles, active terms and branches. The routes that change these rows call
+// the matching invalidate* function after committing.
+
+const { pool } = require('../database');
+const cache = require('./cache');
+
+const rolesKey = userId => `user:${userId}:roles`;
+const ACTIVE_TERMS_KEY = 'terms:active';
+const BRANCHES_KEY = 'branches:all';
+
+/**
+ * The user's roles as { id, name } rows.
+ */
+function getUserRoles(userId) {
+    return cache.wrap(rolesKey(userId), async () => {
+        const [roles] = await pool.query(
+            'SELECT r.id, r.name FROM roles r JOIN user_roles ur ON r.id = ur.role_id WHERE ur.user_id = ?',
+            [userId]
+        );
+        return roles;
+    });
+}
+
+async function getUserRoleNames(userId) {
+    return (await getUserRoles(userId)).map(r => r.name);
+}
+
+function invalidateUserRoles(...userIds) {
+    return cache.invalidate(...userIds.filter(Boolean).map(rolesKey));
+}
+
+/**
+ * Every active term (one per branch plus the global one, normally), most recently started first.
+ */
+function getActiveTerms() {
+    return cache.wrap(ACTIVE_TERMS_KEY, async () => {
+        const [terms] = await pool.query('SELECT * FROM terms WHERE is_active = TRUE ORDER BY start_date DESC');
+        return terms;
+    });
+}
+
+/**
+ * The term in progress for a branch: its own active term, else the global one. With
+ * `anyBranch`, falls back further to the latest active term of any branch (for SuperAdmins, who
+ * belong to no branch).
+ * @returns {Promise<object|null>}
+ */
+async function getCurrentTerm(branchId, { anyBranch = false } = {}) {
+    const terms = await getActiveTerms();
+    return (branchId && terms.find(t => t.branch_id === branchId))
+        || terms.find(t => t.branch_id === null)
+        || (anyBranch && terms[0])
+        || null;
+}
+
+function invalidateTerms() {
+    return cache.invalidate(ACTIVE_TERMS_KEY);
+}
+
+function getBranches() {
+    return cache.wrap(BRANCHES_KEY, async () => {
+        const [branches] = await pool.query('SELECT * FROM branches');
+        return branches;
+    }, { ttlSeconds: 60 * 60 });
+}
+
+/**
+ * @returns {Promise<object|null>} the branch row, or null when there is no such branch
+ */
+async function getBranch(branchId) {
+    return (await getBranches()).find(b => b.id === branchId) || null;
+}
+
+function invalidateBranches() {
+    return cache.invalidate(BRANCHES_KEY);
+}
+
+module.exports = {
+    getUserRoles,
+    getUserRoleNames,
+    invalidateUserRoles,
+    getActiveTerms,
+    getCurrentTerm,
+    invalidateTerms,
+    getBranches,
+    getBranch,
+    invalidateBranches,
+};
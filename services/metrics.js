@@ -0,0 +1,148 @@
+// Prometheus metrics in the text exposition format (served at GET /metrics).
+//
+// Counters and histograms are kept in process memory and accumulate until restart; gauges are
+// read when /metrics is scraped. On serverless deployments every instance has its own values, so
+// scrape each instance or sum them in the query.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map();
+
+// Label values may contain anything; Prometheus needs \, " and newlines escaped
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label string, so the same labels always land in the same series
+function register(name, help, type, extra = {}) {
+    if (metrics.has(name)) return metrics.get(name);
+    const metric = { name, help, type, series: new Map(), ...extra };
+    metrics.set(name, metric);
+    return metric;
+}
+
+/**
+ * A counter: a total that only goes up, e.g. requests served.
+ */
+function counter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelString(labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + amount);
+        },
+    };
+}
+
+/**
+ * A histogram: observations (e.g. request durations in seconds) counted into cumulative buckets.
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, help, 'histogram', { buckets });
+    return {
+        observe(labels, value) {
+            const key = labelString(labels);
+            let series = metric.series.get(key);
+            if (!series) {
+                series = { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, series);
+            }
+            metric.buckets.forEach((bound, i) => {
+                if (value <= bound) series.counts[i] += 1;
+            });
+            series.sum += value;
+            series.count += 1;
+        },
+    };
+}
+
+/**
+ * A gauge whose value is read at scrape time. `collect` returns a number, or a list of
+ * { labels, value } for several series.
+ */
+function gauge(name, help, collect) {
+    register(name, help, 'gauge', { collect });
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'gauge') {
+        let values;
+        try {
+            values = metric.collect();
+        } catch (err) {
+            // A gauge that can't be read is left out rather than failing the whole scrape
+            return [];
+        }
+        for (const { labels = {}, value } of Array.isArray(values) ? values : [{ value: values }]) {
+            if (Number.isFinite(value)) lines.push(`${metric.name}${labelString(labels)} ${value}`);
+        }
+    } else if (metric.type === 'histogram') {
+        for (const { labels, counts, sum, count } of metric.series.values()) {
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${metric.name}_sum${labelString(labels)} ${sum}`);
+            lines.push(`${metric.name}_count${labelString(labels)} ${count}`);
+        }
+    } else {
+        for (const [key, value] of metric.series) lines.push(`${metric.name}${key} ${value}`);
+    }
+    return lines;
+}
+
+/**
+ * Every registered metric in the Prometheus text format.
+ */
+function render() {
+    return `${[...metrics.values()].flatMap(renderMetric).join('\n')}\n`;
+}
+
+// Zero every counter and histogram; for tests
+function reset() {
+    for (const metric of metrics.values()) metric.series.clear();
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests served, by method, route and status code');
+const httpDuration = histogram('http_request_duration_seconds', 'Time to send the response, by method and route');
+const paymentVerifications = counter(
+    'payment_verifications_total',
+    'Paystack payment verifications (POST /api/make-payment/verify), by outcome'
+);
+
+gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident set size of the process', () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
+/**
+ * Count one response. `route` is the matched route pattern (/api/students/:id), never the raw URL,
+ * so ids don't each get their own series.
+ */
+function recordRequest({ method, route, status, durationSeconds }) {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationSeconds);
+}
+
+/**
+ * Count one payment verification: success, already_processed, not_successful, amount_mismatch,
+ * processing_failed or error.
+ */
+function recordPaymentVerification(outcome) {
+    paymentVerifications.inc({ outcome });
+}
+
+module.exports = {
+    counter,
+    histogram,
+    gauge,
+    render,
+    reset,
+    recordRequest,
+    recordPaymentVerification,
+};
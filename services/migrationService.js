@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Files are named <version>_<name>.js, e.g. 0002_add_audit_logs.js, and run in version order
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const createSchemaMigrationsTable = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+            return { version, name, file, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+async function getApplied(connection) {
+    await connection.query(createSchemaMigrationsTable);
+    const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations');
+    return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Serialises migration runs so two instances booting at once don't apply the same migration twice
+async function withLock(connection, fn) {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) {
+        throw new Error('Timed out waiting for another process to finish running migrations');
+    }
+    try {
+        return await fn();
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+}
+
+async function getPendingMigrations(connection) {
+    const applied = new Set((await getApplied(connection)).map(row => Number(row.version)));
+    return loadMigrations().filter(migration => !applied.has(Number(migration.version)));
+}
+
+/**
+ * Apply pending migrations in order, optionally stopping after version `to`.
+ * MySQL commits DDL implicitly, so a migration that fails halfway is not rolled back; write
+ * migrations so they can safely be re-run after fixing the failure.
+ * Returns the migrations that were applied.
+ */
+async function migrateUp(connection, { to } = {}) {
+    return withLock(connection, async () => {
+        const pending = (await getPendingMigrations(connection))
+            .filter(migration => to === undefined || Number(migration.version) <= Number(to));
+
+        for (const migration of pending) {
+            logger.info(`Applying migration ${migration.file}`);
+            await migration.up(connection);
+            await connection.query(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        }
+        return pending;
+    });
+}
+
+/**
+ * Roll back the most recently applied migrations, `steps` of them (default 1).
+ * Returns the migrations that were rolled back.
+ */
+async function migrateDown(connection, { steps = 1 } = {}) {
+    return withLock(connection, async () => {
+        const byVersion = new Map(loadMigrations().map(migration => [Number(migration.version), migration]));
+        const toRollBack = (await getApplied(connection)).reverse().slice(0, steps);
+
+        const rolledBack = [];
+        for (const row of toRollBack) {
+            const migration = byVersion.get(Number(row.version));
+            if (!migration) {
+                throw new Error(`Migration file for applied version ${row.version} (${row.name}) is missing`);
+            }
+            logger.info(`Rolling back migration ${migration.file}`);
+            await migration.down(connection);
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+}
+
+/**
+ * Every known migration with whether it has been applied, plus any applied versions whose
+ * file no longer exists (flagged as missing).
+ */
+async function getStatus(connection) {
+    const applied = await getApplied(connection);
+    const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+    const migrations = loadMigrations();
+    const known = new Set(migrations.map(migration => Number(migration.version)));
+
+    const status = migrations.map(migration => {
+        const row = appliedByVersion.get(Number(migration.version));
+        return {
+            version: migration.version,
+            name: migration.name,
+            applied: !!row,
+            applied_at: row ? row.applied_at : null,
+        };
+    });
+
+    for (const row of applied) {
+        if (!known.has(Number(row.version))) {
+            status.push({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+        }
+    }
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+module.exports = {
+    getPendingMigrations,
+    migrateUp,
+    migrateDown,
+    getStatus,
+};
@@ -0,0 +1,195 @@
+// Result moderation: each class subject's score sheet for a term moves Draft -> Submitted (by the
+// subject teacher) -> Reviewed (by the class teacher) -> Approved (by a holder of results.approve)
+// -> Published. A sheet without a result_moderation row is a Draft. Who may edit scores narrows at
+// each stage, and approved or published sheets are locked until an approver rejects them back to
+// Draft with a note (which unpublishes a published sheet).
+// Only approved sheets are published (resultsService.publishResults).
+
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const { HttpError } = require('../middleware/errorHandler');
+
+const LOCKED_STAGES = ['Approved', 'Published'];
+
+// What each action moves a sheet from and to, who may take it from each stage, and the columns it
+// stamps. An actor is { subjectTeacher, classTeacher, approver } for the class subject.
+const ACTIONS = {
+    submit: {
+        done: 'submitted',
+        to: 'Submitted',
+        from: { Draft: actor => actor.subjectTeacher || actor.classTeacher || actor.approver },
+        denied: 'Only the subject teacher, class teacher or an approver can submit these results.',
+        set: 'submitted_by = ?, submitted_at = NOW()',
+    },
+    review: {
+        done: 'reviewed',
+        to: 'Reviewed',
+        from: { Submitted: actor => actor.classTeacher || actor.approver },
+        denied: 'Only the class teacher or an approver can review these results.',
+        set: 'reviewed_by = ?, reviewed_at = NOW()',
+    },
+    approve: {
+        done: 'approved',
+        to: 'Approved',
+        from: { Reviewed: actor => actor.approver },
+        denied: 'Only staff with the results.approve permission can approve results.',
+        set: 'approved_by = ?, approved_at = NOW()',
+    },
+    reject: {
+        done: 'rejected',
+        to: 'Draft',
+        from: {
+            Submitted: actor => actor.classTeacher || actor.approver,
+            Reviewed: actor => actor.approver,
+            Approved: actor => actor.approver,
+            Published: actor => actor.approver,
+        },
+        denied: 'Only the class teacher can send back submitted results; reviewed, approved and published results need an approver.',
+        set: `rejected_by = ?, rejected_at = NOW(), rejection_note = ?,
+              submitted_by = NULL, submitted_at = NULL, reviewed_by = NULL, reviewed_at = NULL,
+              approved_by = NULL, approved_at = NULL, published_at = NULL`,
+    },
+};
+
+/**
+ * Reject `action` on a sheet at `status` when the sheet isn't at a stage it applies to (409) or the
+ * actor may not take it from there (403).
+ * @throws {HttpError}
+ */
+function checkTransition(action, status, actor) {
+    const { from, denied, done } = ACTIONS[action];
+    const allowed = from[status];
+    if (!allowed) {
+        const stages = Object.keys(from).join(', ').replace(/, ([^,]+)$/, ' or $1');
+        throw new HttpError(409, `These results are ${status}; only ${stages} results can be ${done}.`);
+    }
+    if (!allowed(actor)) throw new HttpError(403, denied);
+}
+
+/**
+ * Why `actor` can't change scores on a sheet at `status`, or null when they can: once submitted only
+ * the class teacher and approvers can correct scores, once reviewed only approvers, and approved or
+ * published sheets not at all.
+ */
+function editProblem(status, actor) {
+    if (LOCKED_STAGES.includes(status)) {
+        return `These results are ${status} and locked. An approver must reject them back to Draft before scores can change.`;
+    }
+    if (status === 'Submitted' && !actor.classTeacher && !actor.approver) {
+        return 'These results have been submitted for review. Ask the class teacher to reject them to make changes.';
+    }
+    if (status === 'Reviewed' && !actor.approver) {
+        return 'These results have been reviewed and are waiting for approval. Only an approver can change them now.';
+    }
+    return null;
+}
+
+/**
+ * The stage a class subject's sheet is at for a term. With `lock`, the read holds a shared lock for
+ * the rest of the transaction `db` is in, so the sheet can't move on (moveSheet) until scores
+ * written under this stage are committed.
+ * @returns {Promise<string>}
+ */
+async function getSheetStatus({ classId, subjectId, termId }, db = pool, { lock = false } = {}) {
+    const [rows] = await db.query(
+        `SELECT status FROM result_moderation WHERE class_id = ? AND subject_id = ? AND term_id = ?${lock ? ' LOCK IN SHARE MODE' : ''}`,
+        [classId, subjectId, termId]
+    );
+    return rows.length > 0 ? rows[0].status : 'Draft';
+}
+
+/**
+ * Move a sheet on with `action`, locking its row for the rest of the transaction `db` is in.
+ * @param {{ classId, subjectId, termId, branchId }} sheet
+ * @returns {Promise<{ before: object, after: object }>} the sheet's row before and after
+ */
+async function moveSheet(db, sheet, action, actor, { userId, note = null }) {
+    const { classId, subjectId, termId, branchId } = sheet;
+    await db.query(
+        'INSERT IGNORE INTO result_moderation (id, class_id, subject_id, term_id, branch_id) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), classId, subjectId, termId, branchId]
+    );
+    const [rows] = await db.query(
+        'SELECT * FROM result_moderation WHERE class_id = ? AND subject_id = ? AND term_id = ? FOR UPDATE',
+        [classId, subjectId, termId]
+    );
+    const before = rows[0];
+    checkTransition(action, before.status, actor);
+
+    const { to, set } = ACTIONS[action];
+    const params = action === 'reject' ? [userId, note] : [userId];
+    await db.query(`UPDATE result_moderation SET status = ?, ${set} WHERE id = ?`, [to, ...params, before.id]);
+
+    // Rejecting published results takes them back from students and parents until they are published again
+    if (action === 'reject' && before.status === 'Published') {
+        await db.query(
+            `UPDATE student_results SET published = FALSE, published_by = NULL, published_at = NULL
+             WHERE class_id = ? AND subject_id = ? AND term_id = ?`,
+            [classId, subjectId, termId]
+        );
+    }
+
+    const [after] = await db.query('SELECT * FROM result_moderation WHERE id = ?', [before.id]);
+    return { before, after: after[0] };
+}
+
+/**
+ * Mark approved sheets in scope Published once none of their results are left unpublished.
+ * @returns {Promise<number>} how many sheets were marked
+ */
+async function markPublished(db, { termId, classId, subjectIds }) {
+    const conditions = ["m.term_id = ?", "m.status = 'Approved'"];
+    const params = [termId];
+    if (classId) {
+        conditions.push('m.class_id = ?');
+        params.push(classId);
+    }
+    if (subjectIds && subjectIds.length > 0) {
+        conditions.push('m.subject_id IN (?)');
+        params.push(subjectIds);
+    }
+
+    const [result] = await db.query(
+        `UPDATE result_moderation m SET m.status = 'Published', m.published_at = NOW()
+         WHERE ${conditions.join(' AND ')}
+           AND NOT EXISTS (SELECT 1 FROM student_results r
+                           WHERE r.class_id = m.class_id AND r.subject_id = m.subject_id
+                             AND r.term_id = m.term_id AND r.published = FALSE)`,
+        params
+    );
+    return result.affectedRows;
+}
+
+/**
+ * Every subject of a class with the stage its sheet is at for a term, and how many students have
+ * scores in it. Subjects that aren't Approved or Published yet are outstanding.
+ */
+async function getClassModeration(classId, termId, db = pool) {
+    const [rows] = await db.query(
+        `SELECT cs.id AS subject_id, cs.name AS subject, st.name AS teacher,
+                COALESCE(m.status, 'Draft') AS status,
+                (SELECT COUNT(DISTINCT r.student_id) FROM student_results r
+                 WHERE r.class_id = cs.class_id AND r.subject_id = cs.id AND r.term_id = ?) AS students_scored,
+                m.submitted_at, m.reviewed_at, m.approved_at, m.published_at,
+                m.rejection_note, m.rejected_at
+         FROM class_subjects cs
+         LEFT JOIN staff st ON st.id = cs.teacher_id
+         LEFT JOIN result_moderation m ON m.class_id = cs.class_id AND m.subject_id = cs.id AND m.term_id = ?
+         WHERE cs.class_id = ?
+         ORDER BY cs.name`,
+        [termId, termId, classId]
+    );
+
+    const subjects = rows.map(row => ({ ...row, students_scored: Number(row.students_scored) }));
+    return { subjects, outstanding: subjects.filter(s => !LOCKED_STAGES.includes(s.status)) };
+}
+
+module.exports = {
+    ACTIONS,
+    checkTransition,
+    editProblem,
+    getSheetStatus,
+    moveSheet,
+    markPublished,
+    getClassModeration,
+};
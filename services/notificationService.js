@@ -1,4 +1,5 @@
 const https = require('https');
+const logger = require('./logger');
 
 // ─────────────────────────────────────────────
 //  CONFIG
@@ -12,7 +13,7 @@ const CONFIG = {
     WEBSITE_URL: process.env.WEBSITE_URL || 'https://tbaworld.com',
     SUPPORT_EMAIL: process.env.SUPPORT_EMAIL || 'support@tbaworld.com',
     SCHOOL_NAME: process.env.SCHOOL_NAME || 'Torch Bearers Academy',
-    LOGO_URL: 'https://www.tbaworld.com/login-logo.png',
+    LOGO_URL: process.env.LOGO_URL || 'https://www.tbaworld.com/login-logo.png',
 };
 
 // ─────────────────────────────────────────────
@@ -34,7 +35,7 @@ async function sendEmailResend(to, subject, html) {
     return new Promise((resolve, reject) => {
         const apiKey = CONFIG.RESEND_API_KEY;
         if (!apiKey) {
-            console.warn('RESEND_API_KEY not configured, skipping email send');
+            logger.warn('RESEND_API_KEY not configured, skipping email send');
             resolve({ success: false, message: 'Email service not configured' });
             return;
         }
@@ -84,7 +85,7 @@ async function sendTelegramNotification(message) {
     const chatId = CONFIG.TELEGRAM_CHAT_ID;
 
     if (!botToken || !chatId) {
-        console.warn('Telegram not configured, skipping notification');
+        logger.warn('Telegram not configured, skipping notification');
         return { success: false, message: 'Telegram not configured' };
     }
 
@@ -98,7 +99,7 @@ async function sendTelegramNotification(message) {
         const result = await response.json();
         return result.ok ? { success: true, data: result } : { success: false, message: result.description };
     } catch (error) {
-        console.error('Failed to send Telegram notification:', error);
+        logger.error('Failed to send Telegram notification:', error);
         return { success: false, message: error.message };
     }
 }
@@ -538,6 +539,64 @@ static async notifyPaymentReceived(data) {
         return await sendTelegramNotification(telegramMessage);
     }
 
+    /** Parent notification: school fees still outstanding for the active term (sent by the fee-reminders schedule) */
+    static async notifyFeeReminder(data) {
+        const { parentName, parentEmail, studentName, term, academicYear, totalDue, totalPaid, balance } = data;
+        const html = emailWrapper(
+            logoHeader() +
+            heroBanner('School Fees Reminder', 'Outstanding balance', 'info') +
+            greeting(parentName) +
+            bodyText(`This is a friendly reminder that school fees for <strong>${studentName}</strong> are not yet fully paid for ${term || 'the current term'}.`) +
+            dataCard([
+                { label: 'Student Name',   value: studentName },
+                { label: 'Term',           value: term || 'N/A' },
+                { label: 'Academic Year',  value: academicYear || 'N/A' },
+                { label: 'Total Fees',     value: totalDue },
+                { label: 'Amount Paid',    value: totalPaid },
+                { label: 'Balance',        value: balance },
+            ]) +
+            ctaButton('Pay Online', CONFIG.WEBSITE_URL) +
+            bodyText('If you have already made this payment, please disregard this reminder or contact us so we can update our records.') +
+            spacer() +
+            signOff()
+        );
+
+        return await sendEmailResend(parentEmail, `School Fees Reminder — ${studentName} (${term || academicYear || ''})`, html);
+    }
+
+    /** Account notification: password reset link */
+    static async sendPasswordResetEmail(data) {
+        const { name, email, resetUrl, expiresInMinutes, accountLabel } = data;
+        const html = emailWrapper(
+            logoHeader() +
+            heroBanner('Password Reset Request', 'Reset your account password', 'info') +
+            greeting(name) +
+            bodyText(`We received a request to reset the password for ${accountLabel ? `<strong>${accountLabel}</strong>` : 'your account'}. Use the button below to choose a new password.`) +
+            ctaButton('Reset Password', resetUrl) +
+            bodyText(`This link expires in <strong>${expiresInMinutes} minutes</strong> and can only be used once. If you did not request a password reset, you can safely ignore this email — your password will not change.`) +
+            spacer() +
+            signOff()
+        );
+
+        return await sendEmailResend(email, `Reset your ${CONFIG.SCHOOL_NAME} password`, html);
+    }
+
+    /** Account notification: invitation to become a SuperAdmin */
+    static async sendSuperAdminInviteEmail(data) {
+        const { email, invitedBy, inviteUrl, expiresInHours } = data;
+        const html = emailWrapper(
+            logoHeader() +
+            heroBanner('You\'ve Been Invited', 'Super Administrator access', 'admin') +
+            bodyText(`<strong>${invitedBy}</strong> has invited you to become a Super Administrator of the ${CONFIG.SCHOOL_NAME} management system. Use the button below to set up your account.`) +
+            ctaButton('Accept Invitation', inviteUrl) +
+            bodyText(`This invitation expires in <strong>${expiresInHours} hours</strong> and can only be used once. If you were not expecting it, please ignore this email.`) +
+            spacer() +
+            signOff()
+        );
+
+        return await sendEmailResend(email, `Super Administrator invitation — ${CONFIG.SCHOOL_NAME}`, html);
+    }
+
     static getConfig() {
         return { ...CONFIG };
     }
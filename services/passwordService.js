@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const NotificationService = require('./notificationService');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validateNewPassword(password) {
+    if (!password || typeof password !== 'string') {
+        return 'Password is required';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+}
+
+/**
+ * Work out where a reset email for this user should go.
+ * Staff, parents and super admins get it themselves; students (whose login id is not an
+ * email address) have it sent to their parent.
+ */
+async function findResetRecipient(user) {
+    const [staff] = await pool.query('SELECT name, email FROM staff WHERE user_id = ?', [user.id]);
+    if (staff.length > 0) return { name: staff[0].name, email: staff[0].email };
+
+    const [parents] = await pool.query('SELECT name, email FROM parents WHERE user_id = ?', [user.id]);
+    if (parents.length > 0) return { name: parents[0].name, email: parents[0].email };
+
+    const [superAdmins] = await pool.query('SELECT name FROM super_admins WHERE user_id = ?', [user.id]);
+    if (superAdmins.length > 0) return { name: superAdmins[0].name, email: user.email };
+
+    const [students] = await pool.query(
+        `SELECT p.name, p.email, CONCAT(s.first_name, ' ', s.last_name) AS student_name
+         FROM students s JOIN parents p ON s.parent_id = p.id
+         WHERE s.user_id = ?`,
+        [user.id]
+    );
+    if (students.length > 0) {
+        return { name: students[0].name, email: students[0].email, accountLabel: `${students[0].student_name} (${user.email})` };
+    }
+
+    const [newStudents] = await pool.query(
+        `SELECT p.name, p.email, CONCAT(ns.first_name, ' ', ns.last_name) AS student_name
+         FROM new_students ns JOIN parents p ON ns.parent_id = p.id
+         WHERE ns.user_id = ?`,
+        [user.id]
+    );
+    if (newStudents.length > 0) {
+        return { name: newStudents[0].name, email: newStudents[0].email, accountLabel: `${newStudents[0].student_name} (${user.email})` };
+    }
+
+    return null;
+}
+
+/**
+ * Issue a single-use reset token for the account identified by email / student ID and email it.
+ * Returns false when no deliverable account was found. Callers should not reveal that to the client,
+ * nor wait for this before answering, since an existing account takes longer (the email is sent).
+ */
+async function requestPasswordReset(identifier) {
+    const [users] = await pool.query('SELECT id, email FROM users WHERE email = ?', [identifier]);
+    if (users.length === 0) return false;
+
+    const user = users[0];
+    const recipient = await findResetRecipient(user);
+    if (!recipient || !recipient.email) return false;
+
+    // A new request supersedes any link that is still outstanding
+    await pool.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [user.id]);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        `INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [uuidv4(), user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+    );
+
+    const { WEBSITE_URL } = NotificationService.getConfig();
+    const resetBaseUrl = process.env.PASSWORD_RESET_URL || `${WEBSITE_URL}/reset-password`;
+
+    await NotificationService.sendPasswordResetEmail({
+        name: recipient.name,
+        email: recipient.email,
+        accountLabel: recipient.accountLabel,
+        resetUrl: `${resetBaseUrl}?token=${token}`,
+        expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    });
+
+    return true;
+}
+
+/**
+ * Hash and store a new password, clearing the must_change_password flag.
+ * Accepts a connection so callers can run it inside their own transaction.
+ */
+async function setPassword(userId, password, connection = pool) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await connection.query('UPDATE users SET password = ?, must_change_password = FALSE WHERE id = ?', [hashedPassword, userId]);
+}
+
+/**
+ * Redeem a reset token. Returns the user id on success or null if the token is unknown,
+ * expired or already used.
+ */
+async function resetPasswordWithToken(token, password) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.query(
+            `SELECT id, user_id FROM password_reset_tokens
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+             FOR UPDATE`,
+            [hashToken(token)]
+        );
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        const { id, user_id } = tokens[0];
+        await connection.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [id]);
+        await setPassword(user_id, password, connection);
+
+        await connection.commit();
+        return user_id;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    validateNewPassword,
+    requestPasswordReset,
+    resetPasswordWithToken,
+    setPassword,
+};
@@ -0,0 +1,121 @@
+const { pool } = require('../database');
+
+// ─────────────────────────────────────────────
+//  PERMISSION REGISTRY
+//  Every permission that can be checked with authorize.can(). Only add one here once a route
+//  checks it, or granting and revoking it does nothing
+// ─────────────────────────────────────────────
+const PERMISSIONS = {
+    'results.publish': 'Publish results for a class, term or student',
+    'results.approve': 'Approve or reject reviewed results before they are published',
+    'expenses.approve': 'Approve or reject expense requests',
+    'permissions.manage': 'Grant and revoke staff permissions',
+};
+
+// What each role gets before any per-staff override is applied
+const ROLE_DEFAULTS = {
+    SuperAdmin: Object.keys(PERMISSIONS),
+    Admin: ['results.publish', 'results.approve'],
+    Teacher: [],
+    NonTeachingStaff: [],
+};
+
+function isKnownPermission(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+/**
+ * staff.permissions holds either a plain array of granted permissions (as written by
+ * teacher_permissions / admin_permissions) or { granted: [], revoked: [] }.
+ */
+function parseOverrides(raw) {
+    let value = raw;
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            value = null;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        return { granted: value, revoked: [] };
+    }
+    if (value && typeof value === 'object') {
+        return {
+            granted: Array.isArray(value.granted) ? value.granted : [],
+            revoked: Array.isArray(value.revoked) ? value.revoked : [],
+        };
+    }
+    return { granted: [], revoked: [] };
+}
+
+function getRoleDefaults(roles) {
+    const defaults = new Set();
+    for (const role of roles || []) {
+        for (const permission of ROLE_DEFAULTS[role] || []) defaults.add(permission);
+    }
+    return defaults;
+}
+
+function resolvePermissions(roles, overrides) {
+    const effective = getRoleDefaults(roles);
+    for (const permission of overrides.granted) {
+        if (isKnownPermission(permission)) effective.add(permission);
+    }
+    for (const permission of overrides.revoked) effective.delete(permission);
+    return [...effective];
+}
+
+async function getStaffOverrides(userId) {
+    const [rows] = await pool.query('SELECT permissions FROM staff WHERE user_id = ?', [userId]);
+    return parseOverrides(rows.length > 0 ? rows[0].permissions : null);
+}
+
+/**
+ * Effective permissions for a user: role defaults plus per-staff grants, minus per-staff revocations.
+ * SuperAdmins always hold every permission.
+ */
+async function getEffectivePermissions(userId, roles) {
+    if ((roles || []).includes('SuperAdmin')) {
+        return Object.keys(PERMISSIONS);
+    }
+    const overrides = await getStaffOverrides(userId);
+    return resolvePermissions(roles, overrides);
+}
+
+/**
+ * Apply grants and revocations to a staff member's overrides and persist them.
+ * A grant cancels an earlier revocation of the same permission and vice versa.
+ */
+async function updateStaffOverrides(staffId, { grant = [], revoke = [] }) {
+    const [rows] = await pool.query('SELECT permissions FROM staff WHERE id = ?', [staffId]);
+    if (rows.length === 0) return null;
+
+    const overrides = parseOverrides(rows[0].permissions);
+    const granted = new Set(overrides.granted);
+    const revoked = new Set(overrides.revoked);
+
+    for (const permission of grant) {
+        granted.add(permission);
+        revoked.delete(permission);
+    }
+    for (const permission of revoke) {
+        revoked.add(permission);
+        granted.delete(permission);
+    }
+
+    const updated = { granted: [...granted], revoked: [...revoked] };
+    await pool.query('UPDATE staff SET permissions = ? WHERE id = ?', [JSON.stringify(updated), staffId]);
+    return updated;
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_DEFAULTS,
+    isKnownPermission,
+    parseOverrides,
+    resolvePermissions,
+    getEffectivePermissions,
+    updateStaffOverrides,
+};
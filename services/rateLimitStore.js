@@ -0,0 +1,61 @@
+// Hit counters behind middleware/rateLimit.js.
+//
+// A store counts hits per key in fixed windows. Anything with
+//
+//     hit(key, windowMs) -> Promise<{ count, resetAt }>   count includes this hit, resetAt in ms
+//     reset(key) -> Promise<void>
+//
+// can replace the default with setStore(), e.g. one backed by Redis or MySQL so that several
+// instances share their counts.
+
+// How often expired windows are swept out of the in-memory store
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Default store: counters in process memory. Each instance counts on its own, so behind several
+ * instances the effective limit is the configured one times the instance count.
+ */
+function createMemoryStore() {
+    const windows = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    // The sweep alone must not keep the process (or a test run) alive
+    sweep.unref();
+
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        },
+
+        // Forget every counter; for tests
+        async clear() {
+            windows.clear();
+        },
+    };
+}
+
+let store = createMemoryStore();
+
+function setStore(newStore) {
+    store = newStore;
+}
+
+const getStore = () => store;
+
+module.exports = { createMemoryStore, setStore, getStore };
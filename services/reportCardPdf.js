@@ -0,0 +1,315 @@
+// Printable report cards: draws the report card built by resultsService.buildReportCard into an A4
+// PDF, headed with the branch's name, address and the school logo (LOGO_URL).
+
+const PDFDocument = require('pdfkit');
+const logger = require('./logger');
+const { getBranch } = require('./lookupService');
+
+const LOGO_URL = process.env.LOGO_URL || 'https://www.tbaworld.com/login-logo.png';
+const SCHOOL_NAME = process.env.SCHOOL_NAME || 'Torch Bearers Academy';
+
+// The colours of the email templates (services/notificationService.js)
+const NAVY = '#0B1F3A';
+const GOLD = '#E8A020';
+const TINT = '#FEF6E4';
+const TEXT = '#2C2C2C';
+const MUTED = '#6B7280';
+
+const MARGIN = 36;
+const ROW_HEIGHT = 16;
+
+// Logo downloads by URL, so a class's worth of report cards fetches it once
+const logos = new Map();
+
+function fetchLogo(url) {
+    if (!logos.has(url)) {
+        const download = (async () => {
+            try {
+                const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return Buffer.from(await response.arrayBuffer());
+            } catch (err) {
+                logger.warn('Report card logo could not be downloaded', { url, reason: err.message });
+                // Try again with the next report card rather than never
+                logos.delete(url);
+                return null;
+            }
+        })();
+        logos.set(url, download);
+    }
+    return logos.get(url);
+}
+
+/**
+ * Name, address, email and logo to head a branch's report cards with.
+ */
+async function loadBranding(branchId) {
+    const branch = branchId ? await getBranch(branchId) : null;
+    return {
+        school_name: (branch && branch.school_name) || SCHOOL_NAME,
+        address: (branch && branch.address) || '',
+        email: (branch && branch.email) || '',
+        logo: await fetchLogo(LOGO_URL),
+    };
+}
+
+// DATE columns arrive as Dates at midnight in the pool's timezone (+01:00, see database.js)
+function formatDate(value) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lagos' });
+}
+
+const formatNumber = value => (value === null || value === undefined || value === '' ? '' : String(Math.round(value * 100) / 100));
+
+const contentWidth = doc => doc.page.width - MARGIN * 2;
+
+// Start a new page unless `height` more points fit on this one
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - MARGIN) {
+        doc.addPage();
+        doc.y = MARGIN;
+    }
+}
+
+function sectionTitle(doc, title) {
+    ensureSpace(doc, ROW_HEIGHT * 3);
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(NAVY).text(title.toUpperCase(), MARGIN, doc.y);
+    doc.moveDown(0.2);
+}
+
+/**
+ * A ruled table. `columns` are { header, width, align }; a width of null shares out what the
+ * others leave. The header is repeated after a page break. Returns the y below the table.
+ */
+function drawTable(doc, columns, rows, { x = MARGIN, width = contentWidth(doc) } = {}) {
+    const fixed = columns.reduce((sum, c) => sum + (c.width || 0), 0);
+    const flexible = columns.filter(c => !c.width).length;
+    const widths = columns.map(c => c.width || (width - fixed) / flexible);
+
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+        const y = doc.y;
+        if (header || shade) {
+            doc.rect(x, y, width, ROW_HEIGHT).fill(header ? NAVY : TINT);
+        }
+        doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5).fillColor(header ? 'white' : TEXT);
+        let cellX = x;
+        cells.forEach((cell, i) => {
+            doc.text(String(cell ?? ''), cellX + 3, y + 4.5, {
+                width: widths[i] - 6,
+                height: ROW_HEIGHT - 4,
+                align: columns[i].align || 'left',
+                lineBreak: false,
+                ellipsis: true,
+            });
+            cellX += widths[i];
+        });
+        doc.moveTo(x, y + ROW_HEIGHT).lineTo(x + width, y + ROW_HEIGHT).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    ensureSpace(doc, ROW_HEIGHT * 2);
+    drawRow(columns.map(c => c.header), { header: true });
+    rows.forEach((row, index) => {
+        if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN) {
+            doc.addPage();
+            doc.y = MARGIN;
+            drawRow(columns.map(c => c.header), { header: true });
+        }
+        drawRow(row, { shade: index % 2 === 1 });
+    });
+    doc.x = MARGIN;
+    return doc.y;
+}
+
+function drawHeader(doc, card, branding) {
+    const top = MARGIN;
+    const logoSize = 56;
+    let textX = MARGIN;
+    if (branding.logo) {
+        try {
+            doc.image(branding.logo, MARGIN, top, { fit: [logoSize, logoSize] });
+            textX = MARGIN + logoSize + 12;
+        } catch (err) {
+            // Not a PNG or JPEG; the header works without it
+            logger.warn('Report card logo could not be drawn', { reason: err.message });
+        }
+    }
+
+    const textWidth = doc.page.width - MARGIN - textX;
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(NAVY).text(branding.school_name, textX, top, { width: textWidth });
+    doc.font('Helvetica').fontSize(8.5).fillColor(MUTED);
+    if (branding.address) doc.text(branding.address, textX, doc.y, { width: textWidth });
+    if (branding.email) doc.text(branding.email, textX, doc.y, { width: textWidth });
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(GOLD)
+        .text(`${card.term.name} Report, ${card.term.session} Session`, textX, doc.y + 3, { width: textWidth });
+
+    const bottom = Math.max(doc.y, top + logoSize) + 8;
+    doc.moveTo(MARGIN, bottom).lineTo(doc.page.width - MARGIN, bottom).lineWidth(2).strokeColor(GOLD).stroke();
+    doc.y = bottom + 10;
+}
+
+function drawStudent(doc, card) {
+    const { student, attendance } = card;
+    const className = [student.class, student.arm].filter(Boolean).join(' ');
+    const left = [
+        ['Name', student.name],
+        ['Class', className],
+        ['Student ID', student.student_id],
+        ['Gender', student.gender],
+    ];
+    const right = [
+        ['Date of birth', formatDate(student.dob)],
+        ['Position', card.total_students ? `${card.position} out of ${card.total_students}${card.config.ranking_basis === 'average' ? ' (on average score)' : ''}` : card.position],
+        ['Attendance', `Present ${attendance.present}, absent ${attendance.absent} (school opened ${attendance.school_opened} days)`],
+        ['Next term begins', formatDate(card.term.next_term_begins || card.term.next_term)],
+    ];
+
+    const top = doc.y;
+    const half = contentWidth(doc) / 2;
+    const drawPairs = (pairs, x) => {
+        doc.y = top;
+        for (const [label, value] of pairs) {
+            const y = doc.y;
+            doc.font('Helvetica-Bold').fontSize(8.5).fillColor(MUTED).text(`${label}:`, x, y, { width: 80 });
+            doc.font('Helvetica').fillColor(TEXT).text(value || '-', x + 82, y, { width: half - 90 });
+            doc.y = Math.max(doc.y, y + 13);
+        }
+        return doc.y;
+    };
+    const bottom = Math.max(drawPairs(left, MARGIN), drawPairs(right, MARGIN + half));
+    doc.y = bottom;
+    doc.x = MARGIN;
+}
+
+function drawResults(doc, card) {
+    const { components } = card.config.assessment_structure;
+    const withCumulative = card.cumulative.terms.length > 0;
+    const number = { width: 28, align: 'right' };
+
+    const columns = [
+        { header: 'Subject', width: null },
+        ...components.map(c => ({ header: c.label, ...number })),
+        { header: `Total (${formatNumber(card.config.assessment_structure.total)})`, width: 44, align: 'right' },
+        { header: 'Grade', width: 30, align: 'center' },
+        { header: 'Remark', width: 62 },
+        { header: 'Pos.', ...number },
+        { header: 'High', ...number },
+        { header: 'Low', ...number },
+        { header: 'Avg.', ...number },
+        ...(withCumulative ? [{ header: 'B/F', ...number }, { header: 'Cum.', width: 34, align: 'right' }] : []),
+    ];
+    const rows = card.results.map(result => [
+        result.subject,
+        ...components.map(c => formatNumber(result[c.assessment_type])),
+        formatNumber(result.total),
+        result.grade,
+        result.remark,
+        result.position,
+        formatNumber(result.highest),
+        formatNumber(result.lowest),
+        formatNumber(result.average),
+        ...(withCumulative ? [formatNumber(result.cumulative_from_previous_terms), formatNumber(result.grand_total)] : []),
+    ]);
+
+    sectionTitle(doc, 'Academic performance');
+    drawTable(doc, columns, rows);
+}
+
+function drawSkills(doc, skills) {
+    const groups = Object.entries(skills).filter(([, list]) => list.length > 0);
+    if (groups.length === 0) return;
+
+    sectionTitle(doc, 'Skills and behaviour');
+    const longest = Math.max(...groups.map(([, list]) => list.length));
+    ensureSpace(doc, ROW_HEIGHT * (longest + 1));
+
+    const top = doc.y;
+    const gap = 12;
+    const width = (contentWidth(doc) - gap * (groups.length - 1)) / groups.length;
+    let bottom = top;
+    groups.forEach(([type, list], i) => {
+        doc.y = top;
+        const end = drawTable(
+            doc,
+            [{ header: type, width: null }, { header: 'Rating', width: 40, align: 'center' }],
+            list.map(skill => [skill.name, skill.rating]),
+            { x: MARGIN + i * (width + gap), width }
+        );
+        bottom = Math.max(bottom, end);
+    });
+    doc.y = bottom;
+}
+
+function drawGradingKey(doc, scheme) {
+    const key = scheme.bands.subject.map(band => `${band.grade}: ${formatNumber(band.min_score)}% and above, ${band.remark}`).join('   ');
+    sectionTitle(doc, `Grading key (${scheme.name})`);
+    doc.font('Helvetica').fontSize(7.5).fillColor(TEXT).text(key, MARGIN, doc.y, { width: contentWidth(doc) });
+}
+
+function drawComments(doc, comments) {
+    sectionTitle(doc, 'Comments');
+    for (const [label, text] of [
+        ["Class teacher's comment", comments.teacher_comment],
+        ["Principal's comment", comments.principal_comment],
+    ]) {
+        ensureSpace(doc, 40);
+        doc.font('Helvetica-Bold').fontSize(8.5).fillColor(MUTED).text(label, MARGIN, doc.y);
+        doc.font('Helvetica').fontSize(9).fillColor(TEXT).text(text || '-', MARGIN, doc.y + 2, { width: contentWidth(doc) });
+        doc.moveDown(0.5);
+    }
+}
+
+/**
+ * The report card as a PDF document. The document is complete (ended): pipe it to the response
+ * or collect it with toBuffer().
+ * @param {object} card report card data from buildReportCard
+ * @param {object} branding from loadBranding
+ * @param {string} [message] shown instead of the results table, e.g. when nothing is published yet
+ */
+function createReportCardPdf(card, branding, message) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: {
+            Title: `${card.student.name}, ${card.term.name} ${card.term.session}`,
+            Author: branding.school_name,
+        },
+    });
+
+    drawHeader(doc, card, branding);
+    drawStudent(doc, card);
+    if (card.results.length > 0) {
+        drawResults(doc, card);
+    } else {
+        sectionTitle(doc, 'Academic performance');
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(message || 'No results for this term.', MARGIN, doc.y);
+    }
+    drawSkills(doc, card.skills);
+    drawGradingKey(doc, card.config.grading_scheme);
+    drawComments(doc, card.comments);
+
+    doc.end();
+    return doc;
+}
+
+function toBuffer(doc) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+}
+
+// "Ada Obi" -> "Ada-Obi", for file names in downloads
+const fileSlug = text => String(text || '').trim().replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report-card';
+
+module.exports = {
+    loadBranding,
+    createReportCardPdf,
+    toBuffer,
+    fileSlug,
+};
@@ -0,0 +1,830 @@
+// Term results: adding up assessment scores, class positions, the report card and class broadsheet
+// built from them (graded with the class's scheme from services/gradingService.js), sessional
+// results over the terms of a session and the rules for who sees which results. routes/results.js
+// serves these; routes/parents.js and routes/exams.js use the position helpers for CBT exam results.
+//
+// Publication rules: students and parents only see results that have been published, staff see
+// drafts too. Positions and class statistics (highest, lowest, average) are always worked out from
+// every result recorded for the class, so they don't shift while a class is being published.
+// Results are only published once their subject has been approved for the class.
+
+const { pool } = require('../database');
+const { HttpError } = require('../middleware/errorHandler');
+const { getGradingScheme, gradeFor, passMark, describeScheme } = require('./gradingService');
+const { getAssessmentStructure, subjectTotal } = require('./assessmentService');
+const { getBranch } = require('./lookupService');
+const { markPublished } = require('./moderationService');
+
+const TERM_ORDER = { 'First Term': 1, 'Second Term': 2, 'Third Term': 3 };
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+/**
+ * 1 -> "1st", 22 -> "22nd", 13 -> "13th"; "" for null.
+ */
+function ordinal(n) {
+    if (n == null) return '';
+    const s = ['th', 'st', 'nd', 'rd'];
+    const v = n % 100;
+    return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+/**
+ * Group score rows (student_id, subject_id, subject_name, assessment_type, score) by student and
+ * subject, totalling each subject under the assessment `structure` and adding up each student's
+ * subject totals.
+ * @returns {object} studentId -> { subjects: { subjectId -> { subject_name, ca1, ..., exam, total } }, total_score }
+ */
+function aggregateScores(rows, structure) {
+    const byStudent = {};
+    for (const row of rows) {
+        const student = byStudent[row.student_id] || (byStudent[row.student_id] = { subjects: {}, total_score: 0 });
+        const subject = student.subjects[row.subject_id] || (student.subjects[row.subject_id] = { subject_name: row.subject_name });
+        subject[row.assessment_type] = parseFloat(row.score);
+    }
+    for (const student of Object.values(byStudent)) {
+        for (const subject of Object.values(student.subjects)) {
+            subject.total = subjectTotal(subject, structure);
+            student.total_score += subject.total;
+        }
+        student.total_score = round2(student.total_score);
+    }
+    return byStudent;
+}
+
+/**
+ * Position of `value` among `values`, highest first. Equal values share a position; 0 when
+ * `value` isn't among them.
+ */
+function positionOf(value, values) {
+    return [...values].sort((a, b) => b - a).indexOf(value) + 1;
+}
+
+/**
+ * What a student is ranked on in their class: the sum of their subject totals, or with the
+ * 'average' basis that sum over the number of subjects they took, so taking fewer subjects
+ * doesn't cost places.
+ * @param {object} result a student's entry from aggregateScores
+ */
+function rankingScore(result, basis = 'total') {
+    if (basis !== 'average') return result.total_score;
+    const taken = Object.keys(result.subjects).length;
+    return taken > 0 ? round2(result.total_score / taken) : 0;
+}
+
+/**
+ * Class positions by rankingScore: studentId -> position. Equal scores share a position and the
+ * next one skips (1st, 2nd, 2nd, 4th).
+ * @param {object} classResults from aggregateScores
+ */
+function classPositions(classResults, basis = 'total') {
+    const scores = Object.entries(classResults).map(([studentId, result]) => [studentId, rankingScore(result, basis)]);
+    const values = scores.map(([, score]) => score);
+    return Object.fromEntries(scores.map(([studentId, score]) => [studentId, positionOf(score, values)]));
+}
+
+/**
+ * The branch's ranking basis ('total' unless the branch is set to rank on averages).
+ */
+async function getRankingBasis(branchId) {
+    const branch = branchId ? await getBranch(branchId) : null;
+    return (branch && branch.ranking_basis) || 'total';
+}
+
+/**
+ * Highest, lowest and average (2 decimals) of a list of scores.
+ */
+function scoreStats(scores) {
+    return {
+        highest: Math.max(...scores),
+        lowest: Math.min(...scores),
+        average: round2(scores.reduce((a, b) => a + b, 0) / scores.length),
+    };
+}
+
+/**
+ * Whether `user` may see results that haven't been published yet.
+ */
+const seesUnpublished = user => !user.roles.includes('Student') && !user.roles.includes('Parent');
+
+/**
+ * Whether the staff member teaches at least one subject in the class.
+ */
+async function isSubjectTeacher4Class(teacherId, classId, db = pool) {
+    const [rows] = await db.query('SELECT id FROM class_subjects WHERE teacher_id = ? AND class_id = ? LIMIT 1', [
+        teacherId,
+        classId,
+    ]);
+    return rows.length > 0;
+}
+
+const SCORE_COLUMNS = `sr.student_id, sr.term_id, sr.class_id, sr.subject_id, cs.name AS subject_name,
+                       sr.assessment_type, sr.score`;
+
+// Every result recorded for the class in the given terms, published or not
+async function loadClassScores(db, classId, termIds) {
+    if (termIds.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT ${SCORE_COLUMNS}
+         FROM student_results sr
+         JOIN class_subjects cs ON sr.subject_id = cs.id
+         WHERE sr.class_id = ? AND sr.term_id IN (?)`,
+        [classId, termIds]
+    );
+    return rows;
+}
+
+// One student's results in the given terms, as the viewer may see them
+async function loadStudentScores(db, studentId, termIds, { publishedOnly }) {
+    if (termIds.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT ${SCORE_COLUMNS}
+         FROM student_results sr
+         JOIN class_subjects cs ON sr.subject_id = cs.id
+         WHERE sr.student_id = ? AND sr.term_id IN (?)${publishedOnly ? ' AND sr.published = TRUE' : ''}`,
+        [studentId, termIds]
+    );
+    return rows;
+}
+
+const byTerm = (rows, termId) => rows.filter(r => r.term_id === termId);
+
+/**
+ * The term with the terms before it in the same session and the one after it.
+ * @throws {HttpError} 404 when the term doesn't exist
+ */
+async function loadTermContext(db, termId) {
+    const [terms] = await db.query(
+        'SELECT id, name, session, start_date, end_date, next_term_begins FROM terms WHERE id = ?',
+        [termId]
+    );
+    if (terms.length === 0) throw new HttpError(404, 'Term not found.');
+    const term = terms[0];
+
+    const [sessionTerms] = await db.query('SELECT id, name, session, start_date FROM terms WHERE session = ? AND id != ?', [term.session, termId]);
+    const order = TERM_ORDER[term.name] || 0;
+    const ordered = sessionTerms.sort((a, b) => (TERM_ORDER[a.name] || 4) - (TERM_ORDER[b.name] || 4));
+
+    return {
+        term,
+        previousTerms: ordered.filter(t => (TERM_ORDER[t.name] || 0) < order),
+        nextTerm: ordered.find(t => (TERM_ORDER[t.name] || 0) > order) || null,
+    };
+}
+
+const REPORT_CARD_STUDENT = `SELECT s.id as id, u.email as email, s.class_id, s.branch_id, s.user_id, s.parent_id,
+                                    s.first_name, s.last_name, s.gender, s.dob, s.passport
+                             FROM students s JOIN users u ON s.user_id = u.id`;
+
+/**
+ * The student row a report card is built for, by student id or by the student's user id.
+ * @returns {Promise<object|null>}
+ */
+async function findReportCardStudent({ studentId, userId }, db = pool) {
+    const [rows] = studentId
+        ? await db.query(`${REPORT_CARD_STUDENT} WHERE s.id = ?`, [studentId])
+        : await db.query(`${REPORT_CARD_STUDENT} WHERE s.user_id = ?`, [userId]);
+    return rows[0] || null;
+}
+
+/**
+ * How each term's results are totalled: termId -> { structure, maxScore }, where maxScore is what a
+ * subject is out of that term.
+ */
+async function loadTermScales(classRow, scheme, termIds) {
+    const entries = await Promise.all(termIds.map(async termId => {
+        const structure = await getAssessmentStructure(classRow.branch_id, classRow.school_type, termId);
+        return [termId, { structure, maxScore: structure.total ?? scheme.max_score }];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Cumulative block of the report card: the student's results in each earlier term of the session
+ * (with their position that term) and per-subject totals over those terms.
+ */
+function buildCumulative({ studentId, previousTerms, classScores, ownScores, scales, maxScore, rankingBasis }) {
+    // subjectId -> { subject_name, scores_by_term: { termId -> total }, total, best_term }
+    const bySubject = {};
+
+    const terms = previousTerms.map(term => {
+        const { structure, maxScore: termMaxScore } = scales[term.id];
+        const classTotals = aggregateScores(byTerm(classScores, term.id), structure);
+        const own = aggregateScores(byTerm(ownScores, term.id), structure)[studentId] || { subjects: {}, total_score: 0 };
+        const classTotal = classTotals[studentId]?.total_score || 0;
+        const position = classTotal > 0 ? classPositions(classTotals, rankingBasis)[studentId] : null;
+        const subjectCount = Object.keys(own.subjects).length;
+
+        for (const [subjectId, subject] of Object.entries(own.subjects)) {
+            const entry = bySubject[subjectId] || (bySubject[subjectId] = { subject_name: subject.subject_name, scores_by_term: {} });
+            entry.scores_by_term[term.id] = subject.total;
+        }
+
+        return {
+            term_name: term.name,
+            term_id: term.id,
+            results: Object.values(own.subjects).map(subject => ({
+                subject: subject.subject_name,
+                score: subject.total || 0,
+                total_possible: termMaxScore,
+            })),
+            term_total: own.total_score,
+            term_average: round2(subjectCount > 0 ? own.total_score / subjectCount : 0),
+            term_position: position ? ordinal(position) : null,
+            term_out_of: Object.keys(classTotals).length,
+        };
+    });
+
+    for (const subject of Object.values(bySubject)) {
+        const scores = Object.values(subject.scores_by_term);
+        subject.total = round2(scores.reduce((a, b) => a + b, 0));
+        subject.best_term = Math.max(0, ...scores);
+    }
+
+    const grandTotal = round2(Object.values(bySubject).reduce((sum, s) => sum + s.total, 0));
+    const subjectCount = Object.keys(bySubject).length;
+    const overallAverage = subjectCount > 0 ? grandTotal / subjectCount : 0;
+
+    return {
+        bySubject,
+        cumulative: {
+            terms,
+            cumulative_totals: {
+                by_subject: Object.values(bySubject).map(subject => ({
+                    subject: subject.subject_name,
+                    ...Object.fromEntries(previousTerms.map(t => [t.name, subject.scores_by_term[t.id] || 0])),
+                    cumulative: subject.total,
+                    best_term: subject.best_term,
+                })),
+                grand_total: grandTotal || null,
+                overall_average: round2(overallAverage) || null,
+                total_possible: subjectCount * maxScore,
+            },
+        },
+    };
+}
+
+/**
+ * The full report card of a student for a term: subject scores with grades, positions and class
+ * statistics, the overall position, attendance, skills, comments and the cumulative record of the
+ * earlier terms in the session.
+ * @param {object} student row from findReportCardStudent
+ * @param {object} options { publishedOnly } whether only published results may be shown
+ * @returns {Promise<{ data: object, message?: string }>} message is set when the term has no results to show
+ * @throws {HttpError} 404 when the term or the student's class doesn't exist
+ */
+async function buildReportCard(student, termId, { publishedOnly, db = pool }) {
+    const { term, previousTerms, nextTerm } = await loadTermContext(db, termId);
+
+    const [currentClass] = await db.query('SELECT name, arm, branch_id, school_type FROM classes WHERE id = ?', [student.class_id]);
+    if (currentClass.length === 0) throw new HttpError(404, 'Class not found for this student.');
+
+    const termIds = [termId, ...previousTerms.map(t => t.id)];
+    const ownScores = await loadStudentScores(db, student.id, termIds, { publishedOnly });
+    const ownTermScores = byTerm(ownScores, termId);
+
+    // Results are filed under the class the student was in that term, which differs from their
+    // current class once they have been promoted
+    const resultClassId = ownTermScores.length > 0 ? ownTermScores[0].class_id : student.class_id;
+    const [resultClass] = resultClassId === student.class_id
+        ? [currentClass]
+        : await db.query('SELECT name, arm, branch_id, school_type FROM classes WHERE id = ?', [resultClassId]);
+    const classRow = resultClass[0] || currentClass[0];
+    const scheme = await getGradingScheme(classRow.branch_id, classRow.school_type);
+    const scales = await loadTermScales(classRow, scheme, termIds);
+    const { structure, maxScore } = scales[termId];
+    const rankingBasis = await getRankingBasis(classRow.branch_id);
+    const config = {
+        school_type: classRow.school_type || 'Grade School',
+        grading_scheme: describeScheme(scheme),
+        assessment_structure: { id: structure.id, name: structure.name, components: structure.components, total: maxScore },
+        ranking_basis: rankingBasis,
+    };
+
+    const classScores = await loadClassScores(db, resultClassId, termIds);
+    const { bySubject: cumulativeBySubject, cumulative } = buildCumulative({
+        studentId: student.id,
+        previousTerms,
+        classScores,
+        ownScores: ownScores.filter(r => r.term_id !== termId),
+        scales,
+        maxScore,
+        rankingBasis,
+    });
+
+    const termBlock = {
+        name: term.name,
+        session: term.session,
+        current_term: term.name,
+        start_date: term.start_date,
+        end_date: term.end_date,
+        next_term: nextTerm ? nextTerm.start_date : null,
+        next_term_name: nextTerm ? nextTerm.name : null,
+        next_term_begins: term.next_term_begins,
+    };
+
+    if (ownTermScores.length === 0) {
+        return {
+            message: 'No published results found for this student in the selected term.',
+            data: {
+                student: {
+                    name: `${student.first_name} ${student.last_name}`,
+                    class: classRow.name.trim(),
+                    arm: classRow.arm || '',
+                },
+                term: termBlock,
+                attendance: { school_opened: 0, present: 0, absent: 0 },
+                position: 'N/A',
+                total_students: 0,
+                results: [],
+                config,
+                skills: { Affective: [], Psychomotor: [] },
+                comments: { teacher_comment: '', principal_comment: '' },
+                cumulative,
+            },
+        };
+    }
+
+    const classResults = aggregateScores(byTerm(classScores, termId), structure);
+    const own = aggregateScores(ownTermScores, structure)[student.id];
+
+    // Subjects in the order they appear in the class results
+    const subjectIds = [...new Set(byTerm(classScores, termId).map(r => r.subject_id))]
+        .filter(id => own.subjects[id]);
+
+    const results = subjectIds.map(subjectId => {
+        const subject = own.subjects[subjectId];
+        const classSubjectTotals = Object.values(classResults)
+            .map(s => s.subjects[subjectId]?.total)
+            .filter(total => total !== undefined && total !== null);
+        const stats = scoreStats(classSubjectTotals);
+        const rankedTotal = classResults[student.id]?.subjects[subjectId]?.total ?? subject.total;
+        const previousTermsTotal = cumulativeBySubject[subjectId]?.total || 0;
+        const band = gradeFor((subject.total / maxScore) * 100, scheme);
+
+        return {
+            subject: subject.subject_name,
+            ca1: subject.ca1 || 0,
+            ca2: subject.ca2 || 0,
+            ca3: subject.ca3 || 0,
+            ca4: subject.ca4 || 0,
+            exam: subject.exam || 0,
+            total: subject.total,
+            grade: band.grade,
+            remark: band.remark,
+            points: band.points,
+            position: ordinal(positionOf(rankedTotal, classSubjectTotals)),
+            ...stats,
+            cumulative_from_previous_terms: previousTermsTotal,
+            grand_total: subject.total + previousTermsTotal,
+        };
+    });
+
+    const positions = classPositions(classResults, rankingBasis);
+
+    const [attendance] = await db.query(
+        `SELECT status, COUNT(*) as count
+         FROM student_attendance
+         WHERE student_id = ? AND date BETWEEN ? AND ?
+         GROUP BY status`,
+        [student.id, term.start_date, term.end_date]
+    );
+    const attendanceCounts = { Present: 0, Absent: 0, ...Object.fromEntries(attendance.map(a => [a.status, a.count])) };
+    const schoolDays = Math.round((new Date(term.end_date) - new Date(term.start_date)) / (24 * 60 * 60 * 1000));
+
+    const [skillRows] = await db.query(
+        'SELECT skill_type, skill_name, rating FROM student_skills WHERE student_id = ? AND term_id = ?',
+        [student.id, termId]
+    );
+    const skills = { Affective: [], Psychomotor: [] };
+    for (const skill of skillRows) {
+        if (skills[skill.skill_type]) skills[skill.skill_type].push({ name: skill.skill_name, rating: skill.rating });
+    }
+
+    const [comments] = await db.query(
+        'SELECT teacher_comment, principal_comment FROM report_card_comments WHERE student_id = ? AND term_id = ?',
+        [student.id, termId]
+    );
+
+    return {
+        data: {
+            student: {
+                name: `${student.first_name} ${student.last_name}`,
+                class: classRow.name.trim(),
+                arm: classRow.arm || '',
+                dob: student.dob,
+                gender: student.gender,
+                passport: student.passport,
+                student_id: student.email,
+            },
+            term: termBlock,
+            attendance: {
+                school_opened: schoolDays,
+                present: attendanceCounts.Present,
+                absent: attendanceCounts.Absent,
+            },
+            position: ordinal(positions[student.id]),
+            total_students: Object.keys(classResults).length,
+            results,
+            config,
+            skills,
+            comments: comments.length > 0 ? comments[0] : { teacher_comment: '', principal_comment: '' },
+            cumulative,
+        },
+    };
+}
+
+const EMPTY_SUMMARY = {
+    total_score: 0,
+    total_obtainable: 0,
+    percentage: 0,
+    overall_grade: 'N/A',
+    points: null,
+    position: 'N/A',
+    teacher_comment: '',
+    principal_comment: '',
+};
+
+/**
+ * One line of a report card for class lists: total, percentage, overall grade and remark,
+ * position in the class and the comments.
+ */
+async function getReportCardSummary(studentId, termId, { publishedOnly, db = pool }) {
+    const ownScores = await loadStudentScores(db, studentId, [termId], { publishedOnly });
+    if (ownScores.length === 0) return { ...EMPTY_SUMMARY, remark: 'No results found for this term' };
+
+    const classId = ownScores[0].class_id;
+    const [[classRow = {}]] = await db.query('SELECT branch_id, school_type FROM classes WHERE id = ?', [classId]);
+    const scheme = await getGradingScheme(classRow.branch_id, classRow.school_type);
+    const { structure, maxScore } = (await loadTermScales(classRow, scheme, [termId]))[termId];
+
+    const own = aggregateScores(ownScores, structure)[studentId];
+    const totalObtainable = Object.keys(own.subjects).length * maxScore;
+    const percentage = totalObtainable > 0 ? (own.total_score / totalObtainable) * 100 : 0;
+    const overall = gradeFor(percentage, scheme, 'overall');
+
+    const classResults = aggregateScores(await loadClassScores(db, classId, [termId]), structure);
+    const rank = classPositions(classResults, await getRankingBasis(classRow.branch_id))[studentId] || 0;
+
+    const [comments] = await db.query(
+        'SELECT teacher_comment, principal_comment FROM report_card_comments WHERE student_id = ? AND term_id = ?',
+        [studentId, termId]
+    );
+    const commentData = comments[0] || {};
+
+    return {
+        total_score: own.total_score,
+        total_obtainable: totalObtainable,
+        percentage: round2(percentage),
+        overall_grade: overall.grade,
+        points: overall.points,
+        position: rank > 0 ? ordinal(rank) : 'N/A',
+        teacher_comment: commentData.teacher_comment || '',
+        principal_comment: commentData.principal_comment || '',
+        remark: overall.remark,
+    };
+}
+
+/**
+ * The class broadsheet for a term: every student's scores in every subject with totals and grades,
+ * each student's total, average, percentage, overall grade and position, and each subject's class
+ * highest, lowest and average. Includes unpublished results.
+ * @throws {HttpError} 404 when the class or term doesn't exist
+ */
+async function buildTermBroadsheet(classId, termId, { db = pool } = {}) {
+    const [classes] = await db.query('SELECT id, name, arm, branch_id, school_type FROM classes WHERE id = ?', [classId]);
+    if (classes.length === 0) throw new HttpError(404, 'Class not found.');
+    const classRow = classes[0];
+    const [terms] = await db.query('SELECT id, name, session FROM terms WHERE id = ?', [termId]);
+    if (terms.length === 0) throw new HttpError(404, 'Term not found.');
+
+    const scheme = await getGradingScheme(classRow.branch_id, classRow.school_type);
+    const { structure, maxScore } = (await loadTermScales(classRow, scheme, [termId]))[termId];
+    const scores = await loadClassScores(db, classId, [termId]);
+    const classResults = aggregateScores(scores, structure);
+
+    const studentIds = Object.keys(classResults);
+    const [students] = studentIds.length > 0
+        ? await db.query('SELECT id, first_name, last_name FROM students WHERE id IN (?)', [studentIds])
+        : [[]];
+    const names = Object.fromEntries(students.map(s => [s.id, `${s.first_name} ${s.last_name}`]));
+
+    // Subjects in alphabetical order, with the class's totals in each
+    const subjects = {};
+    for (const row of scores) subjects[row.subject_id] = { subject_id: row.subject_id, subject: row.subject_name, totals: [] };
+    for (const result of Object.values(classResults)) {
+        for (const [subjectId, subject] of Object.entries(result.subjects)) subjects[subjectId].totals.push(subject.total);
+    }
+
+    const rankingBasis = await getRankingBasis(classRow.branch_id);
+    const positions = classPositions(classResults, rankingBasis);
+    const rows = Object.entries(classResults).map(([studentId, result]) => {
+        const taken = Object.keys(result.subjects).length;
+        const percentage = (result.total_score / (taken * maxScore)) * 100;
+        return {
+            student_id: studentId,
+            name: names[studentId] || '',
+            subjects: Object.entries(result.subjects).map(([subjectId, subject]) => {
+                const band = gradeFor((subject.total / maxScore) * 100, scheme);
+                return {
+                    subject_id: subjectId,
+                    ...Object.fromEntries(structure.components.map(c => [c.assessment_type, subject[c.assessment_type] ?? null])),
+                    total: subject.total,
+                    grade: band.grade,
+                };
+            }),
+            total: result.total_score,
+            average: round2(result.total_score / taken),
+            percentage: round2(percentage),
+            overall_grade: gradeFor(percentage, scheme, 'overall').grade,
+            position: ordinal(positions[studentId]),
+        };
+    });
+
+    return {
+        class: { id: classRow.id, name: classRow.name.trim(), arm: classRow.arm || '' },
+        term: terms[0],
+        grading_scheme: describeScheme(scheme),
+        assessment_structure: { id: structure.id, name: structure.name, components: structure.components, total: maxScore },
+        ranking_basis: rankingBasis,
+        subjects: Object.values(subjects)
+            .sort((a, b) => a.subject.localeCompare(b.subject))
+            .map(({ totals, ...subject }) => {
+                const { highest, lowest, average } = scoreStats(totals);
+                return { ...subject, highest, lowest, class_average: average };
+            }),
+        students: rows.sort((a, b) => positions[a.student_id] - positions[b.student_id] || a.name.localeCompare(b.name)),
+    };
+}
+
+// "First Term" -> "first_term", the key of a term's total in sessional results
+const termKey = name => name.toLowerCase().replace(/\s+/g, '_');
+
+// The terms of `session` the class has results for, First Term first
+async function loadSessionTerms(db, classId, session) {
+    const [terms] = await db.query(
+        `SELECT DISTINCT t.id, t.name, t.session
+         FROM student_results sr
+         JOIN terms t ON sr.term_id = t.id
+         WHERE sr.class_id = ? AND t.session = ?`,
+        [classId, session]
+    );
+    return terms.sort((a, b) => (TERM_ORDER[a.name] || 4) - (TERM_ORDER[b.name] || 4));
+}
+
+/**
+ * Annual results from the score rows of a session's terms. A subject's annual average is the
+ * average of its term totals as percentages of what the subject was out of that term, over the
+ * terms the student took it; a student's annual average is the average of their subjects'.
+ * @returns {object} studentId -> { subjects: { subjectId -> { subject_name, terms: { termId -> total },
+ *   annual_total, annual_average } }, annual_total, annual_average }
+ */
+function aggregateSession(rows, terms, scales) {
+    const byStudent = {};
+    for (const term of terms) {
+        const { structure, maxScore } = scales[term.id];
+        for (const [studentId, result] of Object.entries(aggregateScores(byTerm(rows, term.id), structure))) {
+            const student = byStudent[studentId] || (byStudent[studentId] = { subjects: {} });
+            for (const [subjectId, subject] of Object.entries(result.subjects)) {
+                const entry = student.subjects[subjectId]
+                    || (student.subjects[subjectId] = { subject_name: subject.subject_name, terms: {}, percentages: [] });
+                entry.terms[term.id] = subject.total;
+                entry.percentages.push((subject.total / maxScore) * 100);
+            }
+        }
+    }
+
+    const average = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+    for (const student of Object.values(byStudent)) {
+        const subjects = Object.values(student.subjects);
+        for (const subject of subjects) {
+            subject.annual_total = round2(Object.values(subject.terms).reduce((a, b) => a + b, 0));
+            subject.annual_average = round2(average(subject.percentages));
+            delete subject.percentages;
+        }
+        student.annual_total = round2(subjects.reduce((sum, s) => sum + s.annual_total, 0));
+        student.annual_average = round2(average(subjects.map(s => s.annual_average)));
+    }
+    return byStudent;
+}
+
+// A student's sessional result from aggregateSession, graded, with their position by annual
+// average among `classResults`. The position comes from the student's entry in `classResults`, as
+// on the report card, so it doesn't change when `result` only has their published scores.
+// Promotion is only recommended once there are Third Term results.
+function sessionResult(studentId, result, { terms, scheme, classResults }) {
+    const subjects = Object.entries(result.subjects).map(([subjectId, subject]) => {
+        const band = gradeFor(subject.annual_average, scheme);
+        return {
+            subject_id: subjectId,
+            subject: subject.subject_name,
+            ...Object.fromEntries(terms.map(t => [termKey(t.name), subject.terms[t.id] ?? null])),
+            annual_total: subject.annual_total,
+            annual_average: subject.annual_average,
+            grade: band.grade,
+            remark: band.remark,
+        };
+    });
+
+    const overall = gradeFor(result.annual_average, scheme, 'overall');
+    const averages = Object.values(classResults).map(s => s.annual_average);
+    const rankedAverage = classResults[studentId]?.annual_average ?? result.annual_average;
+    const position = positionOf(rankedAverage, averages);
+    const mark = passMark(scheme);
+    const complete = subjects.some(s => s.third_term !== null && s.third_term !== undefined);
+    const passed = complete ? result.annual_average >= mark : null;
+
+    return {
+        subjects,
+        annual_total: result.annual_total,
+        annual_average: result.annual_average,
+        overall_grade: overall.grade,
+        remark: overall.remark,
+        position: position > 0 ? ordinal(position) : 'N/A',
+        out_of: averages.length,
+        promotion: {
+            pass_mark: mark,
+            passed,
+            recommendation: passed === null ? 'Pending' : passed ? 'Promote' : 'Repeat',
+        },
+    };
+}
+
+// Everything a class's sessional results are worked out with
+async function loadSessionContext(db, classId, session) {
+    const [classes] = await db.query('SELECT id, name, arm, branch_id, school_type FROM classes WHERE id = ?', [classId]);
+    if (classes.length === 0) throw new HttpError(404, 'Class not found.');
+    const classRow = classes[0];
+
+    const terms = await loadSessionTerms(db, classId, session);
+    const scheme = await getGradingScheme(classRow.branch_id, classRow.school_type);
+    const scales = await loadTermScales(classRow, scheme, terms.map(t => t.id));
+    const classResults = aggregateSession(await loadClassScores(db, classId, terms.map(t => t.id)), terms, scales);
+    return { classRow, terms, scheme, scales, classResults };
+}
+
+const sessionTerms = terms => terms.map(t => ({ id: t.id, name: t.name, key: termKey(t.name) }));
+
+/**
+ * A student's sessional (annual) result: each subject's term totals, annual total and average
+ * with a grade, the annual average and position in the class, and a promotion recommendation.
+ * Uses the class the student's latest results in the session are filed under.
+ * @param {object} student row from findReportCardStudent
+ * @returns {Promise<{ data: object, message?: string }>} message is set when there are no results to show
+ * @throws {HttpError} 404 when the student has no results in the session
+ */
+async function buildSessionResult(student, session, { publishedOnly, db = pool }) {
+    const [placements] = await db.query(
+        `SELECT DISTINCT sr.class_id, t.name
+         FROM student_results sr
+         JOIN terms t ON sr.term_id = t.id
+         WHERE sr.student_id = ? AND t.session = ?`,
+        [student.id, session]
+    );
+    if (placements.length === 0) throw new HttpError(404, `No results found for this student in the ${session} session.`);
+    const latest = placements.sort((a, b) => (TERM_ORDER[b.name] || 0) - (TERM_ORDER[a.name] || 0))[0];
+
+    const { classRow, terms, scheme, scales, classResults } = await loadSessionContext(db, latest.class_id, session);
+    const ownScores = await loadStudentScores(db, student.id, terms.map(t => t.id), { publishedOnly });
+    const own = aggregateSession(ownScores, terms, scales)[student.id];
+
+    const data = {
+        student: {
+            id: student.id,
+            name: `${student.first_name} ${student.last_name}`,
+            class: classRow.name.trim(),
+            arm: classRow.arm || '',
+        },
+        session,
+        terms: sessionTerms(terms),
+        grading_scheme: describeScheme(scheme),
+    };
+    if (!own) {
+        return { message: `No published results found for this student in the ${session} session.`, data: { ...data, result: null } };
+    }
+    return { data: { ...data, result: sessionResult(student.id, own, { terms, scheme, classResults }) } };
+}
+
+/**
+ * The sessional results of every student with results in the class, best annual average first,
+ * with each subject's class average.
+ * @throws {HttpError} 404 when the class doesn't exist
+ */
+async function buildSessionBroadsheet(classId, session, { db = pool } = {}) {
+    const { classRow, terms, scheme, classResults } = await loadSessionContext(db, classId, session);
+    const studentIds = Object.keys(classResults);
+    const [students] = studentIds.length > 0
+        ? await db.query('SELECT id, first_name, last_name FROM students WHERE id IN (?)', [studentIds])
+        : [[]];
+    const names = Object.fromEntries(students.map(s => [s.id, `${s.first_name} ${s.last_name}`]));
+
+    const rows = Object.entries(classResults)
+        .map(([studentId, result]) => ({ student_id: studentId, name: names[studentId] || '', ...sessionResult(studentId, result, { terms, scheme, classResults }) }))
+        .sort((a, b) => b.annual_average - a.annual_average || a.name.localeCompare(b.name));
+
+    const subjects = {};
+    for (const result of Object.values(classResults)) {
+        for (const [subjectId, subject] of Object.entries(result.subjects)) {
+            (subjects[subjectId] || (subjects[subjectId] = { subject: subject.subject_name, averages: [] })).averages.push(subject.annual_average);
+        }
+    }
+
+    return {
+        class: { id: classRow.id, name: classRow.name.trim(), arm: classRow.arm || '' },
+        session,
+        terms: sessionTerms(terms),
+        grading_scheme: describeScheme(scheme),
+        subjects: Object.entries(subjects).map(([subjectId, s]) => ({
+            subject_id: subjectId,
+            subject: s.subject,
+            class_average: scoreStats(s.averages).average,
+        })),
+        students: rows,
+    };
+}
+
+// The conditions picking out the unpublished results in a publication scope; `prefix` qualifies the
+// student_results columns when the query joins other tables
+function unpublishedInScope({ termId, classId, studentId, subjectIds }, prefix = '') {
+    const conditions = [`${prefix}term_id = ?`, `${prefix}published = FALSE`];
+    const params = [termId];
+    if (classId) {
+        conditions.push(`${prefix}class_id = ?`);
+        params.push(classId);
+    }
+    if (studentId) {
+        conditions.push(`${prefix}student_id = ?`);
+        params.push(studentId);
+    }
+    if (subjectIds && subjectIds.length > 0) {
+        conditions.push(`${prefix}subject_id IN (?)`);
+        params.push(subjectIds);
+    }
+    return { conditions, params };
+}
+
+/**
+ * Publish the unpublished results in `scope`: a term, optionally narrowed to a class, a student
+ * and some of the student's subjects. Subjects whose results haven't been approved for the class
+ * are left out (see withheldResults), and approved subjects with nothing left to publish are
+ * marked Published.
+ * @param {object} scope { termId, classId, studentId, subjectIds }
+ * @returns {Promise<number>} how many results were published
+ */
+async function publishResults(db, scope, publishedBy) {
+    const { conditions, params } = unpublishedInScope(scope);
+
+    // Only subjects whose results have been approved (services/moderationService.js)
+    conditions.push(`EXISTS (SELECT 1 FROM result_moderation m
+                             WHERE m.class_id = student_results.class_id AND m.subject_id = student_results.subject_id
+                               AND m.term_id = student_results.term_id AND m.status IN ('Approved', 'Published'))`);
+
+    const [result] = await db.query(
+        `UPDATE student_results SET published = TRUE, published_by = ?, published_at = NOW() WHERE ${conditions.join(' AND ')}`,
+        [publishedBy, ...params]
+    );
+    await markPublished(db, { termId: scope.termId, classId: scope.classId, subjectIds: scope.subjectIds });
+    return result.affectedRows;
+}
+
+/**
+ * The class subjects in `scope` that still have unpublished results, with the moderation stage
+ * holding them back and how many results each has waiting. After publishResults these are the
+ * subjects it withheld pending approval.
+ * @returns {Promise<Array<{ class_id, subject_id, subject, status, results }>>}
+ */
+async function withheldResults(db, scope) {
+    const { conditions, params } = unpublishedInScope(scope, 'r.');
+    const [rows] = await db.query(
+        `SELECT r.class_id, r.subject_id, cs.name AS subject, COALESCE(m.status, 'Draft') AS status, COUNT(*) AS results
+         FROM student_results r
+         JOIN class_subjects cs ON cs.id = r.subject_id
+         LEFT JOIN result_moderation m ON m.class_id = r.class_id AND m.subject_id = r.subject_id AND m.term_id = r.term_id
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY r.class_id, r.subject_id, cs.name, m.status
+         ORDER BY cs.name`,
+        params
+    );
+    return rows.map(row => ({ ...row, results: Number(row.results) }));
+}
+
+module.exports = {
+    ordinal,
+    aggregateScores,
+    positionOf,
+    rankingScore,
+    classPositions,
+    scoreStats,
+    seesUnpublished,
+    isSubjectTeacher4Class,
+    loadTermContext,
+    findReportCardStudent,
+    buildReportCard,
+    getReportCardSummary,
+    buildTermBroadsheet,
+    aggregateSession,
+    buildSessionResult,
+    buildSessionBroadsheet,
+    publishResults,
+    withheldResults,
+};
@@ -0,0 +1,189 @@
+// Cron-style schedules that enqueue jobs (services/jobQueue.js).
+//
+// Expressions have the usual five fields, minute hour day-of-month month day-of-week, each `*`, a
+// number, a range (1-5), a list (1,15) or a step (*/15, 8-18/2); day-of-week runs 0-6 from Sunday.
+// Times are read in SCHEDULER_TIMEZONE (the school's local time).
+//
+// Every tick enqueues each schedule's most recent run time that is not older than the catch-up
+// window, with a unique key per run. A run missed while no instance was up is therefore still
+// enqueued once one starts (within the window), and instances ticking at the same moment don't
+// enqueue it twice.
+
+const logger = require('./logger');
+const { enqueue } = require('./jobQueue');
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Africa/Lagos';
+const CATCH_UP_MINUTES = 24 * 60;
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 6 },
+];
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid cron ${name} "${text}"`);
+        const [, range, start, end, step] = match;
+        const from = range === '*' ? min : Number(start);
+        const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+        const by = step ? Number(step) : 1;
+        if (from < min || to > max || from > to || by < 1) throw new Error(`Invalid cron ${name} "${text}"`);
+        for (let value = from; value <= to; value += by) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression into the allowed values of each field.
+ */
+function parseCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Cron expression "${expression}" must have 5 fields`);
+    const fields = Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+    // As in cron, when both day fields are restricted a date matching either one counts
+    fields.dayRestricted = parts[2] !== '*';
+    fields.weekdayRestricted = parts[4] !== '*';
+    return fields;
+}
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+});
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Calendar fields of `date` in the scheduler's timezone
+function localParts(date) {
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(({ type, value }) => [type, value]));
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: WEEKDAYS[parts.weekday],
+        year: Number(parts.year),
+    };
+}
+
+function matches(fields, date) {
+    const t = localParts(date);
+    if (!fields.minute.has(t.minute) || !fields.hour.has(t.hour) || !fields.month.has(t.month)) return false;
+
+    const dayMatch = fields.day.has(t.day);
+    const weekdayMatch = fields.weekday.has(t.weekday);
+    if (fields.dayRestricted && fields.weekdayRestricted) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+}
+
+/**
+ * The latest minute at or before `now` matching the expression, looking back at most
+ * `windowMinutes`; null if there is none in that window.
+ */
+function previousRun(fields, now = new Date(), windowMinutes = CATCH_UP_MINUTES) {
+    const minute = new Date(now);
+    minute.setUTCSeconds(0, 0);
+    for (let i = 0; i <= windowMinutes; i++) {
+        if (matches(fields, minute)) return minute;
+        minute.setUTCMinutes(minute.getUTCMinutes() - 1);
+    }
+    return null;
+}
+
+/**
+ * The next minute after `now` matching the expression, looking ahead at most a year.
+ */
+function nextRun(fields, now = new Date()) {
+    const minute = new Date(now);
+    minute.setUTCSeconds(0, 0);
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        minute.setUTCMinutes(minute.getUTCMinutes() + 1);
+        if (matches(fields, minute)) return minute;
+    }
+    return null;
+}
+
+// name -> { name, cron, fields, jobType, payload, description }
+const schedules = new Map();
+
+/**
+ * Run `jobType` on a cron schedule. The cron expression is checked here, so a typo fails at startup.
+ */
+function schedule(name, cron, jobType, { payload = {}, description = '' } = {}) {
+    schedules.set(name, { name, cron, fields: parseCron(cron), jobType, payload, description });
+}
+
+/**
+ * Every schedule with its previous and next run time, for GET /api/jobs/schedules.
+ */
+function listSchedules(now = new Date()) {
+    return [...schedules.values()].map(({ name, cron, jobType, description, fields }) => ({
+        name,
+        cron,
+        timezone: TIMEZONE,
+        job_type: jobType,
+        description,
+        previous_run: previousRun(fields, now),
+        next_run: nextRun(fields, now),
+    }));
+}
+
+/**
+ * Enqueue each schedule's latest due run. Safe to call as often as wanted.
+ * @returns {Promise<string[]>} names of the schedules enqueued by this call
+ */
+async function tick(now = new Date()) {
+    const enqueued = [];
+    for (const { name, fields, jobType, payload } of schedules.values()) {
+        const runAt = previousRun(fields, now);
+        if (!runAt) continue;
+        try {
+            const id = await enqueue(jobType, { ...payload, scheduledFor: runAt.toISOString() }, {
+                uniqueKey: `schedule:${name}:${runAt.toISOString()}`,
+            });
+            if (id) enqueued.push(name);
+        } catch (err) {
+            logger.error(`Failed to enqueue scheduled job ${name}:`, err);
+        }
+    }
+    if (enqueued.length) logger.info('Scheduled jobs enqueued', { schedules: enqueued });
+    return enqueued;
+}
+
+let tickTimer = null;
+
+function startScheduler({ intervalMs = TICK_INTERVAL_MS } = {}) {
+    if (tickTimer) return;
+    const run = () => tick().catch(err => logger.error('Scheduler tick failed:', err));
+    run();
+    tickTimer = setInterval(run, intervalMs);
+    logger.info('Scheduler started', { timezone: TIMEZONE, schedules: [...schedules.keys()] });
+}
+
+function stopScheduler() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+}
+
+module.exports = {
+    parseCron,
+    matches,
+    previousRun,
+    nextRun,
+    schedule,
+    listSchedules,
+    tick,
+    startScheduler,
+    stopScheduler,
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const { getUserRoleNames } = require('./lookupService');
+
+// Access tokens are short-lived; the refresh token is what keeps a device logged in.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Only a SHA-256 of the refresh secret is stored, never the secret itself
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function getClientInfo(req) {
+    if (!req) return { ip_address: null, user_agent: null };
+    return {
+        ip_address: req.ip || null,
+        user_agent: (req.header && req.header('user-agent')) ? req.header('user-agent').substring(0, 255) : null,
+    };
+}
+
+function signAccessToken(userId, roles, sessionId) {
+    return jwt.sign({ id: userId, roles, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session row can be found without scanning hashes
+function buildRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+    const separator = refreshToken.indexOf('.');
+    if (separator <= 0) return null;
+    return { sessionId: refreshToken.substring(0, separator), secret: refreshToken.substring(separator + 1) };
+}
+
+/**
+ * Open a new session for a user who has just authenticated.
+ * Returns the access token, the refresh token and the access token lifetime.
+ */
+async function createSession(userId, roles, req) {
+    const sessionId = uuidv4();
+    const { refreshToken, hash } = buildRefreshToken(sessionId);
+    const { ip_address, user_agent } = getClientInfo(req);
+
+    await pool.query(
+        `INSERT INTO user_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [sessionId, userId, hash, ip_address, user_agent, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return {
+        sessionId,
+        token: signAccessToken(userId, roles, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+    };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * The presented refresh token is rotated out; replaying an already rotated token
+ * is treated as theft and revokes the whole session.
+ * Returns null when the token is invalid, expired or revoked.
+ */
+async function refreshSession(refreshToken, req) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const [sessions] = await pool.query(
+        'SELECT *, expires_at <= NOW() AS is_expired FROM user_sessions WHERE id = ?',
+        [parsed.sessionId]
+    );
+    if (sessions.length === 0) return null;
+
+    const session = sessions[0];
+    if (session.revoked_at || session.is_expired) return null;
+
+    const presentedHash = hashToken(parsed.secret);
+    if (presentedHash !== session.refresh_token_hash) {
+        if (presentedHash === session.previous_token_hash) {
+            await revokeSession(session.id);
+        }
+        return null;
+    }
+
+    const roles = await getUserRoleNames(session.user_id);
+    if (roles.length === 0) {
+        await revokeSession(session.id);
+        return null;
+    }
+
+    const { refreshToken: nextRefreshToken, hash } = buildRefreshToken(session.id);
+    const { ip_address, user_agent } = getClientInfo(req);
+
+    // Only rotate the token that was checked above; if a concurrent refresh with the same token got
+    // there first, this one is a replay and the session is revoked
+    const [rotated] = await pool.query(
+        `UPDATE user_sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, ip_address = ?, user_agent = ?, last_used_at = NOW()
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [hash, ip_address, user_agent, session.id, presentedHash]
+    );
+    if (rotated.affectedRows === 0) {
+        await revokeSession(session.id);
+        return null;
+    }
+
+    return {
+        sessionId: session.id,
+        token: signAccessToken(session.user_id, roles, session.id),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+    };
+}
+
+async function isSessionActive(sessionId, userId) {
+    const [sessions] = await pool.query(
+        'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+        [sessionId, userId]
+    );
+    return sessions.length > 0;
+}
+
+async function revokeSession(sessionId) {
+    await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+/**
+ * Revoke every open session for a user, optionally keeping the current one.
+ * Accepts a connection so callers can run it inside their own transaction.
+ */
+async function revokeAllSessions(userId, { exceptSessionId = null, connection = pool } = {}) {
+    let query = 'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+    const params = [userId];
+    if (exceptSessionId) {
+        query += ' AND id <> ?';
+        params.push(exceptSessionId);
+    }
+    const [result] = await connection.query(query, params);
+    return result.affectedRows;
+}
+
+async function listActiveSessions(userId) {
+    const [sessions] = await pool.query(
+        `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+    );
+    return sessions;
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions,
+};
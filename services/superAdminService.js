@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const NotificationService = require('./notificationService');
+
+const INVITE_TTL_HOURS = parseInt(process.env.SUPERADMIN_INVITE_TTL_HOURS, 10) || 48;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hasSuperAdmin(db = pool) {
+    const [rows] = await db.query(
+        "SELECT ur.user_id FROM user_roles ur JOIN roles r ON ur.role_id = r.id WHERE r.name = 'SuperAdmin' LIMIT 1"
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Issue the one-time token needed to create the first SuperAdmin. Any earlier unused bootstrap
+ * token is invalidated. Returns the raw token, or null if a SuperAdmin already exists.
+ * Takes the connection to use so database initialisation can call it.
+ */
+async function issueBootstrapToken(db = pool) {
+    if (await hasSuperAdmin(db)) return null;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.query("UPDATE superadmin_invites SET used_at = NOW() WHERE type = 'bootstrap' AND used_at IS NULL");
+    await db.query(
+        "INSERT INTO superadmin_invites (id, type, token_hash) VALUES (?, 'bootstrap', ?)",
+        [uuidv4(), hashToken(token)]
+    );
+    return token;
+}
+
+/**
+ * Generate a bootstrap token at startup only when there is no SuperAdmin and no token outstanding,
+ * so the token is printed once rather than on every boot.
+ */
+async function ensureBootstrapToken(db = pool) {
+    if (await hasSuperAdmin(db)) return null;
+
+    const [pending] = await db.query(
+        "SELECT id FROM superadmin_invites WHERE type = 'bootstrap' AND used_at IS NULL LIMIT 1"
+    );
+    if (pending.length > 0) return null;
+
+    return issueBootstrapToken(db);
+}
+
+async function findUsableInvite(connection, token, type) {
+    const [invites] = await connection.query(
+        `SELECT * FROM superadmin_invites
+         WHERE token_hash = ? AND type = ? AND used_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+         FOR UPDATE`,
+        [hashToken(token), type]
+    );
+    return invites.length > 0 ? invites[0] : null;
+}
+
+async function insertSuperAdmin(connection, { email, password, name, phone, image }) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = uuidv4();
+    await connection.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [userId, email, hashedPassword]);
+
+    const [roleResult] = await connection.query('SELECT id FROM roles WHERE name = ?', ['SuperAdmin']);
+    await connection.query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, roleResult[0].id]);
+
+    await connection.query('INSERT INTO super_admins SET ?', {
+        id: uuidv4(),
+        user_id: userId,
+        name,
+        phone,
+        image,
+    });
+    return userId;
+}
+
+/**
+ * Redeem a bootstrap or invite token and create the SuperAdmin in one transaction.
+ * For invites the account email is the one the invite was sent to.
+ * Returns the new user id, or null if the token is not usable.
+ */
+async function redeemToken(token, type, details) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const invite = await findUsableInvite(connection, token, type);
+        // The bootstrap token is only good while there is still no SuperAdmin at all
+        if (!invite || (type === 'bootstrap' && await hasSuperAdmin(connection))) {
+            await connection.rollback();
+            return null;
+        }
+
+        const email = type === 'invite' ? invite.email : details.email;
+        const userId = await insertSuperAdmin(connection, { ...details, email });
+        await connection.query(
+            'UPDATE superadmin_invites SET used_at = NOW(), used_by = ? WHERE id = ?',
+            [userId, invite.id]
+        );
+
+        await connection.commit();
+        return userId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+async function createInvite(email, inviter) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const inviteId = uuidv4();
+
+    // Re-inviting the same address replaces the earlier link
+    await pool.query(
+        "UPDATE superadmin_invites SET used_at = NOW() WHERE type = 'invite' AND email = ? AND used_at IS NULL",
+        [email]
+    );
+    await pool.query(
+        `INSERT INTO superadmin_invites (id, type, email, token_hash, invited_by, expires_at)
+         VALUES (?, 'invite', ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+        [inviteId, email, hashToken(token), inviter.id, INVITE_TTL_HOURS]
+    );
+
+    const { WEBSITE_URL } = NotificationService.getConfig();
+    const inviteBaseUrl = process.env.SUPERADMIN_INVITE_URL || `${WEBSITE_URL}/superadmin/accept-invite`;
+    const inviteUrl = `${inviteBaseUrl}?token=${token}`;
+
+    const emailResult = await NotificationService.sendSuperAdminInviteEmail({
+        email,
+        invitedBy: inviter.name || inviter.email,
+        inviteUrl,
+        expiresInHours: INVITE_TTL_HOURS,
+    });
+
+    return { id: inviteId, email, inviteUrl, expiresInHours: INVITE_TTL_HOURS, emailSent: !!(emailResult && emailResult.success) };
+}
+
+async function getInviteByToken(token) {
+    const [invites] = await pool.query(
+        `SELECT id, email, expires_at FROM superadmin_invites
+         WHERE token_hash = ? AND type = 'invite' AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    return invites.length > 0 ? invites[0] : null;
+}
+
+async function listPendingInvites() {
+    const [invites] = await pool.query(
+        `SELECT i.id, i.email, i.expires_at, i.created_at, COALESCE(sa.name, u.email) AS invited_by
+         FROM superadmin_invites i
+         LEFT JOIN users u ON i.invited_by = u.id
+         LEFT JOIN super_admins sa ON sa.user_id = i.invited_by
+         WHERE i.type = 'invite' AND i.used_at IS NULL AND i.expires_at > NOW()
+         ORDER BY i.created_at DESC`
+    );
+    return invites;
+}
+
+async function revokeInvite(inviteId) {
+    const [result] = await pool.query(
+        "UPDATE superadmin_invites SET used_at = NOW() WHERE id = ? AND type = 'invite' AND used_at IS NULL",
+        [inviteId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    issueBootstrapToken,
+    ensureBootstrapToken,
+    redeemToken,
+    createInvite,
+    getInviteByToken,
+    listPendingInvites,
+    revokeInvite,
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+
+const ISSUER = process.env.SCHOOL_NAME || 'Torch Bearers Academy';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept one step either side to allow for clock drift on the user's phone
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Roles that must have two-factor enabled before they can use the API, once REQUIRE_ADMIN_2FA=true
+const ENFORCED_ROLES = ['Admin', 'SuperAdmin'];
+const ENFORCEMENT_ENABLED = process.env.REQUIRE_ADMIN_2FA === 'true';
+
+// ─────────────────────────────────────────────
+//  TOTP (RFC 6238) HELPERS
+// ─────────────────────────────────────────────
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(output);
+}
+
+function generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, TOTP_DIGITS);
+    return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Returns the matched time step, or null if the code is not valid right now.
+ */
+function verifyTotp(secret, code) {
+    if (!/^\d{6}$/.test(String(code || ''))) return null;
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const step = currentStep + drift;
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) return step;
+    }
+    return null;
+}
+
+// ─────────────────────────────────────────────
+//  SECRET STORAGE
+//  Secrets are AES-256-GCM encrypted with a key derived from TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET)
+// ─────────────────────────────────────────────
+function getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(source)).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+    }
+    return codes;
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// ─────────────────────────────────────────────
+//  ENROLLMENT
+// ─────────────────────────────────────────────
+function isEnforcedFor(roles) {
+    return ENFORCEMENT_ENABLED && (roles || []).some(role => ENFORCED_ROLES.includes(role));
+}
+
+/**
+ * Start (or restart) enrollment: generates a fresh secret that only becomes active once confirmed.
+ */
+async function startEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query(
+        'UPDATE users SET two_factor_secret = ?, two_factor_enabled = FALSE WHERE id = ?',
+        [encryptSecret(secret), user.id]
+    );
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    return { secret, otpauthUrl };
+}
+
+async function replaceRecoveryCodes(userId, connection = pool) {
+    const codes = generateRecoveryCodes();
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        const codeHash = await bcrypt.hash(normalizeRecoveryCode(code), 10);
+        await connection.query(
+            'INSERT INTO two_factor_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+            [uuidv4(), userId, codeHash]
+        );
+    }
+    return codes;
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns the one-time recovery codes, or null if the code is wrong or no enrollment is pending.
+ */
+async function confirmEnrollment(userId, code) {
+    const [users] = await pool.query('SELECT two_factor_secret, two_factor_enabled FROM users WHERE id = ?', [userId]);
+    if (users.length === 0 || !users[0].two_factor_secret || users[0].two_factor_enabled) return null;
+
+    const step = verifyTotp(decryptSecret(users[0].two_factor_secret), code);
+    if (step === null) return null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query(
+            'UPDATE users SET two_factor_enabled = TRUE, two_factor_last_step = ? WHERE id = ?',
+            [step, userId]
+        );
+        const recoveryCodes = await replaceRecoveryCodes(userId, connection);
+        await connection.commit();
+        return recoveryCodes;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+async function disableTwoFactor(userId) {
+    await pool.query(
+        'UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL WHERE id = ?',
+        [userId]
+    );
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+// ─────────────────────────────────────────────
+//  VERIFICATION
+// ─────────────────────────────────────────────
+
+/**
+ * Check an authenticator code for a user with 2FA enabled. A code can only be used once.
+ */
+async function verifyUserCode(userId, code) {
+    const [users] = await pool.query(
+        'SELECT two_factor_secret, two_factor_last_step FROM users WHERE id = ? AND two_factor_enabled = TRUE',
+        [userId]
+    );
+    if (users.length === 0) return false;
+
+    const step = verifyTotp(decryptSecret(users[0].two_factor_secret), code);
+    if (step === null) return false;
+
+    // Guarded update so two concurrent requests can't both spend the same code
+    const [result] = await pool.query(
+        'UPDATE users SET two_factor_last_step = ? WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)',
+        [step, userId, step]
+    );
+    return result.affectedRows > 0;
+}
+
+async function useRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const [codes] = await pool.query(
+        'SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    for (const row of codes) {
+        if (await bcrypt.compare(normalized, row.code_hash)) {
+            const [result] = await pool.query(
+                'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                [row.id]
+            );
+            return result.affectedRows > 0;
+        }
+    }
+    return false;
+}
+
+async function countRemainingRecoveryCodes(userId) {
+    const [rows] = await pool.query(
+        'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    return rows[0].remaining;
+}
+
+// ─────────────────────────────────────────────
+//  LOGIN CHALLENGES
+// ─────────────────────────────────────────────
+
+/**
+ * Short-lived token proving the password step passed; exchanged for a real session once the
+ * second factor is verified. `flow` records which login route issued it.
+ */
+function createChallenge(userId, flow) {
+    return jwt.sign({ id: userId, flow, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+function verifyChallenge(challengeToken) {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa' ? decoded : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    isEnforcedFor,
+    startEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    verifyUserCode,
+    useRecoveryCode,
+    replaceRecoveryCodes,
+    countRemainingRecoveryCodes,
+    createChallenge,
+    verifyChallenge,
+};
@@ -0,0 +1,124 @@
+// A small school written straight into the test database: a SuperAdmin, one branch, an admin, a class
+// teacher, two classes (this session's and next session's), one subject, a parent and two
+// students, with the current session's Third Term active and the next session already created.
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+const PASSWORD = 'Password123!';
+const SESSION = '2025/2026';
+const NEXT_SESSION = '2026/2027';
+
+async function createUser(db, email, roles) {
+    const id = uuidv4();
+    const hashed = await bcrypt.hash(PASSWORD, 8);
+    await db.query('INSERT INTO users (id, email, password) VALUES (?, ?, ?)', [id, email, hashed]);
+    for (const role of roles) {
+        await db.query('INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name = ?', [id, role]);
+    }
+    return id;
+}
+
+async function createStaff(db, { email, name, role, branchId }) {
+    const userId = await createUser(db, email, [role]);
+    const id = uuidv4();
+    await db.query(
+        `INSERT INTO staff (id, user_id, name, email, phone, gender, role_id, branch_id)
+         SELECT ?, ?, ?, ?, ?, 'female', id, ? FROM roles WHERE name = ?`,
+        [id, userId, name, email, `080${Math.floor(Math.random() * 1e8)}`, branchId, role]
+    );
+    return { id, userId, email };
+}
+
+async function createTerm(db, { name, session, branchId, isActive, startDate, endDate }) {
+    const id = uuidv4();
+    await db.query(
+        'INSERT INTO terms (id, name, session, branch_id, start_date, end_date, is_active) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, name, session, branchId, startDate, endDate, isActive]
+    );
+    return { id, name, session };
+}
+
+async function createStudent(db, { studentNumber, firstName, parentId, classId, branchId }) {
+    const userId = await createUser(db, studentNumber, ['Student']);
+    // exam_results.student_id references users(id) while the exam routes store students.id in it,
+    // so students created here share their user's id to keep both lookups valid
+    const id = userId;
+    await db.query(
+        `INSERT INTO students (id, user_id, parent_id, first_name, last_name, dob, address, nationality, state, class_id, branch_id, religion)
+         VALUES (?, ?, ?, ?, 'Test', '2014-05-01', '1 School Road', 'Nigerian', 'Lagos', ?, ?, 'Christianity')`,
+        [id, userId, parentId, firstName, classId, branchId]
+    );
+    return { id, userId, studentNumber };
+}
+
+async function createSchool(db) {
+    const branchId = uuidv4();
+    await db.query(
+        'INSERT INTO branches (id, school_name, site_name, address, email, basic_education) VALUES (?, ?, ?, ?, ?, ?)',
+        [branchId, 'Test Academy', 'Main Site', '1 School Road', 'school@example.test', JSON.stringify(['Grade School'])]
+    );
+
+    const superAdminUserId = await createUser(db, 'owner@school.test', ['SuperAdmin']);
+    await db.query(
+        'INSERT INTO super_admins (id, user_id, name, phone) VALUES (?, ?, ?, ?)',
+        [uuidv4(), superAdminUserId, 'Sola Owner', '08000000000']
+    );
+
+    const admin = await createStaff(db, { email: 'admin@school.test', name: 'Ada Admin', role: 'Admin', branchId });
+    const teacher = await createStaff(db, { email: 'teacher@school.test', name: 'Tolu Teacher', role: 'Teacher', branchId });
+    const nextTeacher = await createStaff(db, { email: 'next.teacher@school.test', name: 'Ngozi Teacher', role: 'Teacher', branchId });
+
+    const classId = uuidv4();
+    const nextClassId = uuidv4();
+    await db.query(
+        'INSERT INTO classes (id, name, arm, branch_id, teacher_id) VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)',
+        [classId, 'Grade 5', 'A', branchId, teacher.id, nextClassId, 'Grade 6', 'A', branchId, nextTeacher.id]
+    );
+
+    const subjectId = uuidv4();
+    await db.query(
+        'INSERT INTO class_subjects (id, name, class_id, teacher_id, branch_id) VALUES (?, ?, ?, ?, ?)',
+        [subjectId, 'Mathematics', classId, teacher.id, branchId]
+    );
+
+    const parentUserId = await createUser(db, 'parent@school.test', ['Parent']);
+    const parentId = uuidv4();
+    await db.query(
+        'INSERT INTO parents (id, user_id, name, phone, email) VALUES (?, ?, ?, ?, ?)',
+        [parentId, parentUserId, 'Paula Parent', '08000000001', 'parent@school.test']
+    );
+
+    const students = [
+        await createStudent(db, { studentNumber: 'TBA/T/001', firstName: 'Amaka', parentId, classId, branchId }),
+        await createStudent(db, { studentNumber: 'TBA/T/002', firstName: 'Bola', parentId, classId, branchId }),
+    ];
+
+    const term = await createTerm(db, {
+        name: 'Third Term', session: SESSION, branchId, isActive: true, startDate: '2026-04-20', endDate: '2026-07-24',
+    });
+    const nextTerm = await createTerm(db, {
+        name: 'First Term', session: NEXT_SESSION, branchId, isActive: false, startDate: '2026-09-14', endDate: '2026-12-18',
+    });
+
+    return {
+        password: PASSWORD,
+        branchId,
+        superAdmin: { userId: superAdminUserId, email: 'owner@school.test' },
+        admin,
+        teacher,
+        nextTeacher,
+        classId,
+        nextClassId,
+        subjectId,
+        parent: { id: parentId, userId: parentUserId, email: 'parent@school.test' },
+        students,
+        term,
+        nextTerm,
+    };
+}
+
+module.exports = {
+    createSchool,
+    createUser,
+    PASSWORD,
+};
@@ -0,0 +1,124 @@
+// Boots the Express app against a throwaway database for the integration tests.
+// Requiring this module configures the environment, so require it before anything that reads
+// process.env at load time (database.js, the routes, NotificationService).
+require('dotenv').config();
+
+const baseName = process.env.DB_NAME || 'torch_bearer';
+const testDbName = process.env.TEST_DB_NAME || `${baseName}_test`;
+
+// The database is dropped and recreated on every run, so never point this at a real one
+if (!/_test$/.test(testDbName)) {
+    throw new Error(`Refusing to run integration tests against "${testDbName}": TEST_DB_NAME must end in _test`);
+}
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_NAME: testDbName,
+    JWT_SECRET: process.env.JWT_SECRET || 'integration-test-secret',
+    MIGRATE_ON_START: 'true',
+    REQUIRE_ADMIN_2FA: 'false',
+    // Paystack and Resend are answered by tests/helpers/stubs.js, these only need to be present
+    PAYSTACK_SECRET_KEY: 'sk_test_stub',
+    PAYSTACK_SUBACCOUNT: 'ACCT_test_stub',
+    RESEND_API_KEY: 're_test_stub',
+    ADMIN_EMAILS: 'admin@example.test',
+    // Empty rather than unset so dotenv can't fill them in from .env
+    TELEGRAM_BOT_TOKEN: '',
+    TELEGRAM_CHAT_ID: '',
+});
+
+const mysql = require('mysql2/promise');
+const cache = require('../../services/cache');
+const stubs = require('./stubs');
+
+async function resetDatabase() {
+    let connection;
+    try {
+        connection = await mysql.createConnection({
+            host: process.env.DB_HOST,
+            user: process.env.DB_USER,
+            password: process.env.DB_PASSWORD,
+            port: process.env.DB_PORT,
+        });
+    } catch (err) {
+        throw new Error(
+            `Integration tests need a local MySQL/MariaDB server (DB_HOST=${process.env.DB_HOST || 'localhost'}): ${err.message}`
+        );
+    }
+    await connection.query(`DROP DATABASE IF EXISTS \`${testDbName}\``);
+    await connection.end();
+}
+
+/**
+ * Recreate the test database, run the migrations through initializeDatabase and start the app on
+ * a random port. Returns { baseUrl, pool, stubs, stop }.
+ */
+async function startApp() {
+    await resetDatabase();
+    stubs.install();
+
+    const { pool, initializeDatabase } = require('../../database');
+    const app = require('../../index');
+    await initializeDatabase();
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function stop() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+        // The next test file starts on a fresh database, so nothing cached may carry over
+        await cache.clear();
+        stubs.uninstall();
+    }
+
+    return { baseUrl, pool, stubs, stop };
+}
+
+/**
+ * Small fetch wrapper: api(baseUrl)('POST', '/api/...', { token, body }) resolves to { status, body }.
+ */
+function api(baseUrl) {
+    return async (method, path, { token, body } = {}) => {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (token) headers['x-auth-token'] = token;
+
+        const res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        const text = await res.text();
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            parsed = text;
+        }
+        return { status: res.status, body: parsed };
+    };
+}
+
+/**
+ * Poll until `predicate` returns something truthy, for side effects the routes fire without
+ * awaiting (notification emails).
+ */
+async function waitFor(predicate, { timeoutMs = 2000, intervalMs = 20 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await predicate();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+module.exports = {
+    startApp,
+    api,
+    waitFor,
+};
@@ -0,0 +1,121 @@
+// In-process stand-ins for Paystack and Resend. Both are called through https.request, so that is
+// swapped for a fake that answers requests to their hosts and passes everything else through.
+const https = require('https');
+const { PassThrough } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const PAYSTACK_HOST = 'api.paystack.co';
+const RESEND_HOST = 'api.resend.com';
+
+const originalRequest = https.request;
+
+// Transactions created through /transaction/initialize, keyed by reference
+const transactions = new Map();
+// Every email sent through Resend: { to, subject, html }
+const sentEmails = [];
+
+function reply(statusCode, payload) {
+    return { statusCode, payload };
+}
+
+function handlePaystack(method, path, body) {
+    if (method === 'POST' && path === '/transaction/initialize') {
+        const reference = body.reference || uuidv4();
+        transactions.set(reference, {
+            reference,
+            email: body.email,
+            amount: body.amount,
+            metadata: body.metadata || {},
+            status: 'success',
+        });
+        return reply(200, {
+            status: true,
+            message: 'Authorization URL created',
+            data: { reference, access_code: `access_${reference}`, authorization_url: `https://checkout.paystack.test/${reference}` },
+        });
+    }
+
+    const verifyMatch = path.match(/^\/transaction\/verify\/(.+)$/);
+    if (method === 'GET' && verifyMatch) {
+        const transaction = transactions.get(decodeURIComponent(verifyMatch[1]));
+        if (!transaction) {
+            return reply(400, { status: false, message: 'Transaction reference not found' });
+        }
+        return reply(200, {
+            status: true,
+            message: 'Verification successful',
+            data: {
+                reference: transaction.reference,
+                status: transaction.status,
+                amount: transaction.amount,
+                metadata: transaction.metadata,
+                paid_at: new Date().toISOString(),
+                customer: { email: transaction.email },
+            },
+        });
+    }
+
+    return reply(404, { status: false, message: `No stub for ${method} ${path}` });
+}
+
+function handleResend(method, path, body) {
+    if (method === 'POST' && path === '/emails') {
+        sentEmails.push({ to: body.to, subject: body.subject, html: body.html });
+        return reply(200, { id: uuidv4() });
+    }
+    return reply(404, { message: `No stub for ${method} ${path}` });
+}
+
+function fakeRequest(options, callback) {
+    const method = (options.method || 'GET').toUpperCase();
+    const request = new PassThrough();
+    const chunks = [];
+
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        const body = raw ? JSON.parse(raw) : {};
+        const { statusCode, payload } = options.hostname === PAYSTACK_HOST
+            ? handlePaystack(method, options.path, body)
+            : handleResend(method, options.path, body);
+
+        const response = new PassThrough();
+        response.statusCode = statusCode;
+        response.headers = { 'content-type': 'application/json' };
+        if (callback) callback(response);
+        request.emit('response', response);
+        response.end(JSON.stringify(payload));
+    });
+    // ClientRequest methods the callers may touch
+    request.setTimeout = () => request;
+    request.abort = () => request.destroy();
+    return request;
+}
+
+function install() {
+    https.request = function (options, ...rest) {
+        if (options && typeof options === 'object' && [PAYSTACK_HOST, RESEND_HOST].includes(options.hostname)) {
+            return fakeRequest(options, rest.find(arg => typeof arg === 'function'));
+        }
+        return originalRequest.call(https, options, ...rest);
+    };
+}
+
+function uninstall() {
+    https.request = originalRequest;
+}
+
+/**
+ * Change what /transaction/verify reports for a reference, e.g. 'failed' or 'abandoned'.
+ */
+function setTransactionStatus(reference, status) {
+    transactions.get(reference).status = status;
+}
+
+module.exports = {
+    install,
+    uninstall,
+    transactions,
+    sentEmails,
+    setTransactionStatus,
+};
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, api } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('logins', () => {
+    let ctx;
+    let request;
+    let school;
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('logs a SuperAdmin in through /login', async () => {
+        const res = await request('POST', '/api/auth/login', {
+            body: { email: school.superAdmin.email, password: school.password },
+        });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.ok(res.body.refreshToken);
+        assert.equal(res.body.admin.email, school.superAdmin.email);
+    });
+
+    it('refuses staff on the SuperAdmin login', async () => {
+        const res = await request('POST', '/api/auth/login', {
+            body: { email: school.teacher.email, password: school.password },
+        });
+        assert.equal(res.status, 403);
+    });
+
+    it('logs staff in with their profile and role', async () => {
+        const res = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.teacher.email, password: school.password },
+        });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.equal(res.body.staff.role, 'Teacher');
+        assert.equal(res.body.staff.branchId, school.branchId);
+    });
+
+    it('logs a parent in with their children', async () => {
+        const res = await request('POST', '/api/auth/parent/login', {
+            body: { email: school.parent.email, password: school.password },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.parent.children.length, school.students.length);
+    });
+
+    it('logs a student in by student ID', async () => {
+        const [student] = school.students;
+        const res = await request('POST', '/api/auth/student/login', {
+            body: { student_id: student.studentNumber, password: school.password },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.student.id, student.id);
+    });
+
+    it('rejects a wrong password and records the failed attempt', async () => {
+        const res = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: 'not-the-password' },
+        });
+        assert.equal(res.status, 400);
+
+        const [[{ failures }]] = await ctx.pool.query(
+            'SELECT COUNT(*) AS failures FROM login_attempts WHERE identifier = ? AND success = FALSE',
+            [school.admin.email]
+        );
+        assert.equal(failures, 1);
+    });
+
+    it('accepts the issued token and rejects it after logout', async () => {
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        const { token } = login.body;
+
+        const sessions = await request('GET', '/api/auth/sessions', { token });
+        assert.equal(sessions.status, 200);
+
+        const logout = await request('POST', '/api/auth/logout', { token });
+        assert.equal(logout.status, 200);
+
+        const afterLogout = await request('GET', '/api/auth/sessions', { token });
+        assert.equal(afterLogout.status, 401);
+    });
+
+    it('lets an Admin unlock staff in their branch but not the SuperAdmin, and audits who did it', async () => {
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        const { token } = login.body;
+
+        const owner = await request('POST', '/api/auth/unlock', { token, body: { identifier: school.superAdmin.email } });
+        assert.equal(owner.status, 403);
+
+        const teacher = await request('POST', '/api/auth/unlock', { token, body: { identifier: school.teacher.email } });
+        assert.equal(teacher.status, 200);
+
+        const [[entry]] = await ctx.pool.query(
+            "SELECT actor_id, entity_id FROM audit_logs WHERE action = 'user.unlock'"
+        );
+        assert.equal(entry.actor_id, school.admin.userId);
+        assert.equal(entry.entity_id, school.teacher.userId);
+    });
+
+    it('lets only a SuperAdmin reset two-factor for someone who lost their authenticator', async () => {
+        await ctx.pool.query(
+            "UPDATE users SET two_factor_enabled = TRUE, two_factor_secret = 'lost' WHERE id = ?",
+            [school.teacher.userId]
+        );
+        const body = { identifier: school.teacher.email };
+
+        const adminLogin = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        const denied = await request('POST', '/api/auth/2fa/reset', { token: adminLogin.body.token, body });
+        assert.equal(denied.status, 403);
+
+        const ownerLogin = await request('POST', '/api/auth/login', {
+            body: { email: school.superAdmin.email, password: school.password },
+        });
+        const reset = await request('POST', '/api/auth/2fa/reset', { token: ownerLogin.body.token, body });
+        assert.equal(reset.status, 200);
+
+        const [[user]] = await ctx.pool.query('SELECT two_factor_enabled, two_factor_secret FROM users WHERE id = ?', [school.teacher.userId]);
+        assert.equal(Boolean(user.two_factor_enabled), false);
+        assert.equal(user.two_factor_secret, null);
+    });
+
+    it('revokes the session when the same refresh token is used twice at once', async () => {
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        const { refreshToken } = login.body;
+
+        const results = await Promise.all([
+            request('POST', '/api/auth/refresh', { body: { refreshToken } }),
+            request('POST', '/api/auth/refresh', { body: { refreshToken } }),
+        ]);
+        const refreshed = results.filter(res => res.status === 200);
+        assert.equal(refreshed.length, 1);
+        assert.equal(results.filter(res => res.status === 401).length, 1);
+
+        const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed[0].body.refreshToken } });
+        assert.equal(reused.status, 401);
+    });
+});
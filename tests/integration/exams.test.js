@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startApp, api } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('CBT exam submission', () => {
+    let ctx;
+    let request;
+    let school;
+    let studentToken;
+    const examId = uuidv4();
+    const questions = [
+        { id: uuidv4(), text: '2 + 2', options: ['3', '4', '5'], correct: 1 },
+        { id: uuidv4(), text: '3 x 3', options: ['6', '9', '12'], correct: 1 },
+        { id: uuidv4(), text: '10 - 7', options: ['3', '4', '7'], correct: 0 },
+    ];
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+
+        // Written directly so the exam window is relative to the database clock
+        await ctx.pool.query(
+            `INSERT INTO exams (id, title, exam_type, assessment_type, subject_type, class_id, branch_id,
+                                exam_date_time, exam_end_datetime, duration_minutes, created_by)
+             VALUES (?, 'Maths CA', 'Internal', 'ca1', 'Single-Subject', ?, ?, NOW(), NOW() + INTERVAL 2 HOUR, 30, ?)`,
+            [examId, school.classId, school.branchId, school.admin.userId]
+        );
+        for (const question of questions) {
+            await ctx.pool.query(
+                `INSERT INTO questions (id, exam_id, class_subject_id, question_text, options, correct_answer_index)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [question.id, examId, school.subjectId, question.text, JSON.stringify(question.options), question.correct]
+            );
+        }
+
+        const login = await request('POST', '/api/auth/student/login', {
+            body: { student_id: school.students[0].studentNumber, password: school.password },
+        });
+        studentToken = login.body.token;
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('refuses answers for an exam the student has not started', async () => {
+        const res = await request('POST', '/api/exams/answers', {
+            token: studentToken,
+            body: { examId, answers: [] },
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('starts the current exam without revealing the answers', async () => {
+        const res = await request('GET', '/api/exams/student/current-exam', { token: studentToken });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.examId, examId);
+
+        const [subject] = res.body.data.subjects;
+        assert.equal(subject.questions.length, questions.length);
+        for (const question of subject.questions) {
+            assert.equal(question.correct_answer_index, undefined);
+            assert.equal(question.selectedOptionIndex, null);
+        }
+    });
+
+    it('scores a submission as the percentage of questions answered correctly', async () => {
+        const answers = [
+            { questionId: questions[0].id, selectedOptionIndex: 1 },
+            { questionId: questions[1].id, selectedOptionIndex: 1 },
+            { questionId: questions[2].id, selectedOptionIndex: 2 },
+        ];
+        const res = await request('POST', '/api/exams/answers', {
+            token: studentToken,
+            body: { examId, answers },
+        });
+        assert.equal(res.status, 200);
+
+        const [[result]] = await ctx.pool.query(
+            'SELECT score, total_questions, answered_questions, submitted_at FROM exam_results WHERE exam_id = ?',
+            [examId]
+        );
+        assert.equal(Number(result.score), 66.67);
+        assert.equal(result.total_questions, 3);
+        assert.equal(result.answered_questions, 3);
+        assert.ok(result.submitted_at);
+    });
+
+    it('does not offer a submitted exam again', async () => {
+        const res = await request('GET', '/api/exams/student/current-exam', { token: studentToken });
+        assert.equal(res.status, 404);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, api, waitFor } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('school fees and payment status', () => {
+    let ctx;
+    let request;
+    let school;
+    let adminToken;
+    let parentToken;
+    let student;
+    const FEE = 45000;
+
+    async function paymentStatus() {
+        const res = await request('GET', `/api/payments/status/${student.id}`, { token: parentToken });
+        assert.equal(res.status, 200);
+        return res.body.data.status;
+    }
+
+    async function payOnline(amount) {
+        const init = await request('POST', '/api/make-payment/initialize', {
+            body: {
+                email: school.parent.email,
+                amount,
+                metadata: { payment_for: 'school_fees', student_id: student.id, term_id: school.term.id },
+            },
+        });
+        assert.equal(init.status, 200);
+        return init.body.reference;
+    }
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+        [student] = school.students;
+
+        const adminLogin = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        adminToken = adminLogin.body.token;
+        const parentLogin = await request('POST', '/api/auth/parent/login', {
+            body: { email: school.parent.email, password: school.password },
+        });
+        parentToken = parentLogin.body.token;
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('lets an admin create a fee for a class in their branch', async () => {
+        const res = await request('POST', '/api/fees', {
+            token: adminToken,
+            body: { branch_id: school.branchId, class_id: school.classId, term_id: school.term.id, name: 'Tuition', amount: FEE },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(await paymentStatus(), 'Not Paid');
+    });
+
+    it('initializes the payment with Paystack', async () => {
+        const reference = await payOnline(FEE);
+        const transaction = ctx.stubs.transactions.get(reference);
+        assert.equal(transaction.amount, FEE * 100);
+        assert.equal(transaction.metadata.expected_amount, FEE);
+    });
+
+    it('keeps the student unpaid while only part of the fee is paid', async () => {
+        const reference = await payOnline(FEE / 3);
+        const res = await request('POST', '/api/make-payment/verify', { body: { reference } });
+        assert.equal(res.status, 200);
+        assert.equal(await paymentStatus(), 'Not Paid');
+    });
+
+    it('does not record a transaction Paystack reports as failed', async () => {
+        const reference = await payOnline(FEE);
+        ctx.stubs.setTransactionStatus(reference, 'failed');
+
+        const res = await request('POST', '/api/make-payment/verify', { body: { reference } });
+        assert.equal(res.status, 400);
+
+        const [rows] = await ctx.pool.query('SELECT id FROM payments WHERE reference = ?', [reference]);
+        assert.equal(rows.length, 0);
+    });
+
+    it('marks the student paid once the rest is verified and emails the parent', async () => {
+        const reference = await payOnline((FEE * 2) / 3);
+        const res = await request('POST', '/api/make-payment/verify', { body: { reference } });
+        assert.equal(res.status, 200);
+        assert.equal(await paymentStatus(), 'Paid');
+
+        const email = await waitFor(() => ctx.stubs.sentEmails.find(sent => sent.html.includes(reference)));
+        assert.deepEqual(email.to, [school.parent.email]);
+
+        const repeat = await request('POST', '/api/make-payment/verify', { body: { reference } });
+        assert.equal(repeat.body.alreadyProcessed, true);
+
+        const [[{ total }]] = await ctx.pool.query(
+            'SELECT SUM(amount_paid) AS total FROM payments WHERE student_id = ? AND term_id = ?',
+            [student.id, school.term.id]
+        );
+        assert.equal(Number(total), FEE);
+    });
+});
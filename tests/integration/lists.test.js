@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, api } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('paginated list endpoints', () => {
+    let ctx;
+    let request;
+    let school;
+    let adminToken;
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        adminToken = login.body.token;
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('returns one page with the total and a link to the next page', async () => {
+        const first = await request('GET', '/api/students?limit=1', { token: adminToken });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.length, 1);
+        assert.equal(first.body.data[0].first_name, 'Amaka');
+        assert.deepEqual(first.body.pagination, { total: 2, limit: 1, offset: 0, page: 1, next: '/api/students?limit=1&page=2' });
+
+        const second = await request('GET', first.body.pagination.next, { token: adminToken });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.data[0].first_name, 'Bola');
+        assert.equal(second.body.pagination.page, 2);
+        assert.equal(second.body.pagination.next, null);
+    });
+
+    it('keeps offset paging when the caller used it', async () => {
+        const res = await request('GET', '/api/students?limit=1&offset=0', { token: adminToken });
+        assert.equal(res.body.pagination.next, '/api/students?limit=1&offset=1');
+    });
+
+    it('sorts by a whitelisted field, descending with a - prefix', async () => {
+        const res = await request('GET', '/api/students?sort=-first_name', { token: adminToken });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(s => s.first_name), ['Bola', 'Amaka']);
+    });
+
+    it('rejects sorting by a field the endpoint does not allow', async () => {
+        const res = await request('GET', '/api/students?sort=password', { token: adminToken });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.errors[0].field, 'sort');
+    });
+
+    it('applies field filters and the text search to the total as well', async () => {
+        const teachers = await request('GET', '/api/staff?role=Teacher', { token: adminToken });
+        assert.equal(teachers.status, 200);
+        assert.equal(teachers.body.pagination.total, 2);
+        assert.ok(teachers.body.data.every(member => member.role === 'Teacher'));
+
+        const search = await request('GET', '/api/students?q=bol', { token: adminToken });
+        assert.equal(search.body.pagination.total, 1);
+        assert.equal(search.body.data[0].first_name, 'Bola');
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, api } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('promotion and graduation', () => {
+    let ctx;
+    let request;
+    let school;
+    let teacherToken;
+
+    async function staffToken(email) {
+        const res = await request('POST', '/api/auth/login/staff', { body: { email, password: school.password } });
+        return res.body.token;
+    }
+
+    async function studentRows() {
+        const [rows] = await ctx.pool.query(
+            `SELECT s.id, s.class_id, ss.name AS status
+             FROM students s JOIN student_statuses ss ON s.status_id = ss.id
+             WHERE s.id IN (?)`,
+            [school.students.map(student => student.id)]
+        );
+        return rows;
+    }
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+        teacherToken = await staffToken(school.teacher.email);
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('refuses to promote students without Third Term results', async () => {
+        const res = await request('POST', '/api/promote/students', {
+            token: teacherToken,
+            body: { student_ids: school.students.map(student => student.id), next_class_id: school.nextClassId },
+        });
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /Third Term results/);
+    });
+
+    it('only lets the class teacher promote', async () => {
+        const res = await request('POST', '/api/promote/students', {
+            token: await staffToken(school.nextTeacher.email),
+            body: { student_ids: [school.students[0].id], next_class_id: school.nextClassId },
+        });
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /class teacher/);
+    });
+
+    it('promotes the class into next session\'s class once Third Term results exist', async () => {
+        const save = await request('POST', '/api/results/save', {
+            token: teacherToken,
+            body: {
+                class_id: school.classId,
+                subject_id: school.subjectId,
+                assessment_type: 'exam',
+                scores: school.students.map(student => ({ student_id: student.id, score: 55 })),
+            },
+        });
+        assert.equal(save.status, 200);
+
+        const res = await request('POST', '/api/promote/students', {
+            token: teacherToken,
+            body: { student_ids: school.students.map(student => student.id), next_class_id: school.nextClassId },
+        });
+        assert.equal(res.status, 200);
+        assert.match(res.body.message, /2026\/2027/);
+
+        for (const row of await studentRows()) {
+            assert.equal(row.class_id, school.nextClassId);
+        }
+
+        const [audit] = await ctx.pool.query("SELECT entity_id FROM audit_logs WHERE action = 'student.promote'");
+        assert.equal(audit.length, school.students.length);
+    });
+
+    it('graduates students and takes them off the active student list', async () => {
+        const adminToken = await staffToken(school.admin.email);
+        const res = await request('POST', '/api/graduation/graduate', {
+            token: adminToken,
+            body: { student_ids: [school.students[0].id] },
+        });
+        assert.equal(res.status, 200);
+
+        const statuses = Object.fromEntries((await studentRows()).map(row => [row.id, row.status]));
+        assert.equal(statuses[school.students[0].id], 'Graduated');
+        assert.equal(statuses[school.students[1].id], 'Active');
+
+        const list = await request('GET', '/api/results/all', { token: adminToken });
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.data.map(student => student.id), [school.students[1].id]);
+    });
+});
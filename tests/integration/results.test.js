@@ -0,0 +1,226 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startApp, api } = require('../helpers/harness');
+const { createSchool } = require('../helpers/fixtures');
+
+describe('result saving and report cards', () => {
+    let ctx;
+    let request;
+    let school;
+    let teacherToken;
+    let adminToken;
+    let amaka;
+    let bola;
+
+    async function saveScores(token, assessmentType, scores) {
+        return request('POST', '/api/results/save', {
+            token,
+            body: {
+                class_id: school.classId,
+                subject_id: school.subjectId,
+                assessment_type: assessmentType,
+                scores,
+            },
+        });
+    }
+
+    before(async () => {
+        ctx = await startApp();
+        request = api(ctx.baseUrl);
+        school = await createSchool(ctx.pool);
+        [amaka, bola] = school.students;
+
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.teacher.email, password: school.password },
+        });
+        teacherToken = login.body.token;
+
+        const adminLogin = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.admin.email, password: school.password },
+        });
+        adminToken = adminLogin.body.token;
+    });
+
+    after(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    it('saves scores into the active term and updates them on resubmission', async () => {
+        const first = await saveScores(teacherToken, 'ca1', [
+            { student_id: amaka.id, score: 10 },
+            { student_id: bola.id, score: 20 },
+        ]);
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.data, { inserted: 2, updated: 0, total: 2 });
+
+        const again = await saveScores(teacherToken, 'ca1', [{ student_id: amaka.id, score: 15 }]);
+        assert.deepEqual(again.body.data, { inserted: 0, updated: 1, total: 1 });
+
+        const [rows] = await ctx.pool.query(
+            "SELECT term_id, score FROM student_results WHERE student_id = ? AND assessment_type = 'ca1'",
+            [amaka.id]
+        );
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].term_id, school.term.id);
+        assert.equal(Number(rows[0].score), 15);
+    });
+
+    it('rejects scores above what the assessment structure marks the assessment out of', async () => {
+        const res = await saveScores(teacherToken, 'ca2', [{ student_id: amaka.id, score: 101 }]);
+        assert.equal(res.status, 422);
+        assert.equal(res.body.message, 'CA 2 is scored out of 100; 1 score(s) are above that.');
+
+        const negative = await saveScores(teacherToken, 'ca2', [{ student_id: amaka.id, score: -1 }]);
+        assert.equal(negative.status, 422);
+        assert.deepEqual(negative.body.errors, [{ location: 'body', field: 'scores[0].score', message: 'must be at least 0' }]);
+    });
+
+    it('only lets teachers save results for subjects or classes they teach', async () => {
+        const login = await request('POST', '/api/auth/login/staff', {
+            body: { email: school.nextTeacher.email, password: school.password },
+        });
+        const res = await saveScores(login.body.token, 'ca2', [{ student_id: amaka.id, score: 10 }]);
+        assert.equal(res.status, 403);
+    });
+
+    it('computes totals, grade, subject position and class position on the report card', async () => {
+        await saveScores(teacherToken, 'ca2', [
+            { student_id: amaka.id, score: 15 },
+            { student_id: bola.id, score: 10 },
+        ]);
+        await saveScores(teacherToken, 'exam', [
+            { student_id: amaka.id, score: 52 },
+            { student_id: bola.id, score: 30 },
+        ]);
+
+        // Amaka: 15 + 15 + 52 = 82, Bola: 20 + 10 + 30 = 60
+        const res = await request('GET', `/api/results/student/${amaka.id}/report-card?term_id=${school.term.id}`, {
+            token: teacherToken,
+        });
+        assert.equal(res.status, 200);
+
+        const { data } = res.body;
+        assert.equal(data.position, '1st');
+        assert.equal(data.total_students, 2);
+
+        const [maths] = data.results;
+        assert.equal(maths.subject, 'Mathematics');
+        assert.equal(maths.ca1, 15);
+        assert.equal(maths.ca2, 15);
+        assert.equal(maths.exam, 52);
+        assert.equal(maths.total, 82);
+        assert.equal(maths.grade, 'A');
+        assert.equal(maths.position, '1st');
+        assert.equal(maths.highest, 82);
+        assert.equal(maths.lowest, 60);
+        assert.equal(maths.average, 71);
+
+        const bolaCard = await request('GET', `/api/results/student/${bola.id}/report-card?term_id=${school.term.id}`, {
+            token: teacherToken,
+        });
+        assert.equal(bolaCard.body.data.position, '2nd');
+        assert.equal(bolaCard.body.data.results[0].grade, 'C');
+    });
+
+    async function moderate(token, action, body = {}) {
+        return request('POST', `/api/results/class/${school.classId}/subject/${school.subjectId}/${action}`, { token, body });
+    }
+
+    it('withholds results still in Draft from publishing and reports them', async () => {
+        // The subject teacher submits, the class teacher (the same teacher here) reviews, an Admin approves
+        assert.equal((await moderate(teacherToken, 'submit')).status, 200);
+        assert.equal((await moderate(teacherToken, 'review')).status, 200);
+        assert.equal((await moderate(teacherToken, 'approve')).status, 403);
+        assert.equal((await moderate(adminToken, 'approve')).status, 200);
+
+        const publish = await request('POST', `/api/results/student/${amaka.id}/publish`, {
+            token: adminToken,
+            body: { term_id: school.term.id },
+        });
+        assert.equal(publish.status, 200);
+        assert.equal(publish.body.data.published_count, 3);
+        assert.deepEqual(publish.body.data.withheld, []);
+        assert.equal(publish.body.data.published_count, 0);
+        assert.deepEqual(publish.body.data.withheld, [{
+            class_id: school.classId,
+            subject_id: school.subjectId,
+            subject: 'Mathematics',
+            status: 'Draft',
+            results: 3,
+        }]);
+
+        const [[{ published }]] = await ctx.pool.query(
+            'SELECT COUNT(*) AS published FROM student_results WHERE student_id = ? AND published = TRUE',
+            [amaka.id]
+        );
+        assert.equal(published, 0);
+    });
+
+    it('only moderates a class subject for terms of its own branch', async () => {
+        const otherBranchId = uuidv4();
+        const otherTermId = uuidv4();
+        await ctx.pool.query(
+            'INSERT INTO branches (id, school_name, site_name, address, email, basic_education) VALUES (?, ?, ?, ?, ?, ?)',
+            [otherBranchId, 'Test Academy', 'Second Site', '2 School Road', 'second@example.test', JSON.stringify(['Grade School'])]
+        );
+        await ctx.pool.query(
+            "INSERT INTO terms (id, name, session, branch_id, start_date, end_date, is_active) VALUES (?, 'Third Term', '2025/2026', ?, '2026-04-20', '2026-07-24', FALSE)",
+            [otherTermId, otherBranchId]
+        );
+
+        const otherTerm = await moderate(adminToken, 'submit', { term_id: otherTermId });
+        assert.equal(otherTerm.status, 403);
+        const missingTerm = await moderate(adminToken, 'submit', { term_id: uuidv4() });
+        assert.equal(missingTerm.status, 404);
+
+        const [sheets] = await ctx.pool.query('SELECT id FROM result_moderation WHERE term_id <> ?', [school.term.id]);
+        assert.deepEqual(sheets, []);
+    });
+
+    it('hides unpublished results from the student until they are published', async () => {
+        const login = await request('POST', '/api/auth/student/login', {
+            body: { student_id: amaka.studentNumber, password: school.password },
+        });
+        const studentToken = login.body.token;
+        const path = `/api/results/student/${amaka.id}/report-card?term_id=${school.term.id}`;
+
+        const before = await request('GET', path, { token: studentToken });
+        assert.equal(before.status, 200);
+        assert.deepEqual(before.body.data.results, []);
+
+        const denied = await request('POST', `/api/results/student/${amaka.id}/publish`, {
+            token: teacherToken,
+            body: { term_id: school.term.id },
+        });
+        assert.equal(denied.status, 403);
+
+        // The subject teacher submits, the class teacher (the same teacher here) reviews, an Admin approves
+        assert.equal((await moderate(teacherToken, 'submit')).status, 200);
+        assert.equal((await moderate(teacherToken, 'review')).status, 200);
+        assert.equal((await moderate(teacherToken, 'approve')).status, 403);
+        assert.equal((await moderate(adminToken, 'approve')).status, 200);
+
+        const publish = await request('POST', `/api/results/student/${amaka.id}/publish`, {
+            token: adminToken,
+            body: { term_id: school.term.id },
+        });
+        assert.equal(publish.status, 200);
+        assert.equal(publish.body.data.published_count, 3);
+        assert.deepEqual(publish.body.data.withheld, []);
+
+        const published = await request('GET', path, { token: studentToken });
+        assert.equal(published.body.data.results.length, 1);
+        assert.equal(published.body.data.results[0].total, 82);
+    });
+
+    it('does not let a student read a classmate\'s report card', async () => {
+        const login = await request('POST', '/api/auth/student/login', {
+            body: { student_id: bola.studentNumber, password: school.password },
+        });
+        const res = await request('GET', `/api/results/student/${amaka.id}/report-card?term_id=${school.term.id}`, {
+            token: login.body.token,
+        });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cache = require('../../services/cache');
+const assessments = require('../../services/assessmentService');
+const { aggregateScores } = require('../../services/resultsService');
+const { validate } = require('../../middleware/validate');
+const resultSchemas = require('../../schemas/results');
+
+const component = (assessment_type, max_score, weight) => ({ assessment_type, label: assessment_type.toUpperCase(), max_score, weight });
+
+const structure = (id, scope, components) => ({
+    id,
+    name: id,
+    branch_id: null,
+    school_type: null,
+    term_id: null,
+    ...scope,
+    components,
+    total: components.reduce((sum, c) => sum + c.weight, 0),
+});
+
+// Four CAs marked out of 20 worth 10 each, and an exam out of 100 worth 60
+const FOUR_CAS = structure('four-cas', {}, [
+    component('ca1', 20, 10),
+    component('ca2', 20, 10),
+    component('ca3', 20, 10),
+    component('ca4', 20, 10),
+    component('exam', 100, 60),
+]);
+const TWO_CAS = structure('two-cas', { branch_id: 'b1' }, [component('ca1', 20, 20), component('ca2', 20, 20), component('exam', 60, 60)]);
+
+describe('subjectTotal', () => {
+    it('adds scores up as entered without a configured structure', () => {
+        assert.equal(assessments.subjectTotal({ ca1: 10, ca2: 8.5, exam: 55 }), 73.5);
+    });
+
+    it('weights each score by its share of the max_score', () => {
+        assert.equal(assessments.subjectTotal({ ca1: 20, ca2: 10, ca3: 15, ca4: 0, exam: 80 }, FOUR_CAS), 10 + 5 + 7.5 + 0 + 48);
+        assert.equal(assessments.subjectTotal({ ca1: 15, ca2: 20, exam: 45 }, TWO_CAS), 15 + 20 + 45);
+    });
+
+    it('leaves out assessments the structure does not use', () => {
+        assert.equal(assessments.subjectTotal({ ca1: 20, ca3: 20, exam: 60 }, TWO_CAS), 80);
+    });
+
+    it('weights the totals aggregateScores ranks by', () => {
+        const rows = [
+            { student_id: 's1', subject_id: 1, subject_name: 'Maths', assessment_type: 'ca1', score: '10.00' },
+            { student_id: 's1', subject_id: 1, subject_name: 'Maths', assessment_type: 'exam', score: '30.00' },
+        ];
+        assert.equal(aggregateScores(rows, TWO_CAS).s1.total_score, 40);
+        assert.equal(aggregateScores(rows).s1.total_score, 40);
+        assert.equal(aggregateScores(rows, FOUR_CAS).s1.total_score, 23);
+    });
+});
+
+describe('saving scores', () => {
+    it('rejects scores above the max_score and assessments outside the structure', () => {
+        const scores = [{ student_id: 'a', score: 18 }, { student_id: 'b', score: 21 }];
+        assert.match(assessments.scoreProblem(FOUR_CAS, 'ca1', scores), /CA1 is scored out of 20; 1 score\(s\)/);
+        assert.match(assessments.scoreProblem(TWO_CAS, 'ca3', scores), /ca3 is not assessed/);
+        assert.equal(assessments.scoreProblem(TWO_CAS, 'exam', scores), null);
+        assert.equal(assessments.scoreProblem(assessments.DEFAULT_STRUCTURE, 'ca4', scores), null);
+    });
+
+    it('takes scores above 100 for a component marked out of more', () => {
+        const outOf120 = structure('s120', {}, [component('ca1', 20, 20), component('exam', 120, 80)]);
+        assert.equal(assessments.scoreProblem(outOf120, 'exam', [{ student_id: 'a', score: 110 }]), null);
+        assert.match(assessments.scoreProblem(outOf120, 'exam', [{ student_id: 'a', score: 121 }]), /out of 120/);
+
+        // The request schema leaves the limit to the structure
+        const res = { status: code => ({ json: body => ({ code, body }) }) };
+        let passed = false;
+        const req = {
+            body: {
+                class_id: '6f1c7a52-3b1e-4c7e-9a4f-0d2b8e5c1a01',
+                subject_id: '6f1c7a52-3b1e-4c7e-9a4f-0d2b8e5c1a02',
+                assessment_type: 'exam',
+                scores: [{ student_id: '6f1c7a52-3b1e-4c7e-9a4f-0d2b8e5c1a03', score: 110 }],
+            },
+        };
+        validate(resultSchemas.saveScores)(req, res, () => { passed = true; });
+        assert.equal(passed, true);
+    });
+
+    it('converts CBT percentages to the max_score', () => {
+        assert.equal(assessments.scoreFromPercentage(TWO_CAS, 'exam', 75), 45);
+        assert.equal(assessments.scoreFromPercentage(assessments.DEFAULT_STRUCTURE, 'exam', 75), 75);
+    });
+});
+
+describe('getAssessmentStructure', () => {
+    const defaultBackend = cache.getCache();
+
+    before(async () => {
+        const memory = cache.createMemoryCache();
+        await memory.set('assessment:structures', [
+            FOUR_CAS,
+            TWO_CAS,
+            structure('senior', { school_type: 'Senior School' }, [component('exam', 100, 100)]),
+            structure('b1-senior', { branch_id: 'b1', school_type: 'Senior School' }, [component('exam', 100, 100)]),
+            structure('t2', { term_id: 't2' }, [component('exam', 100, 100)]),
+        ], 60);
+        cache.setCache(memory);
+    });
+    after(() => cache.setCache(defaultBackend));
+
+    it('prefers a term over a branch over a school type', async () => {
+        const resolve = async (...scope) => (await assessments.getAssessmentStructure(...scope)).id;
+        assert.equal(await resolve('b1', 'Senior School', 't2'), 't2');
+        assert.equal(await resolve('b1', 'Senior School', 't1'), 'b1-senior');
+        assert.equal(await resolve('b1', 'Grade School', 't1'), 'two-cas');
+        assert.equal(await resolve('b2', 'Senior School', 't1'), 'senior');
+        assert.equal(await resolve('b2', 'Grade School', 't1'), 'four-cas');
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { toCsv, toXlsx } = require('../../services/broadsheetExport');
+
+const component = (assessment_type, label) => ({ assessment_type, label, max_score: 100, weight: null });
+
+const SHEET = {
+    class: { id: 'c1', name: 'JSS 1', arm: 'A' },
+    term: { id: 't1', name: 'First Term', session: '2025/2026' },
+    assessment_structure: { id: null, name: 'Default', components: [component('ca1', 'CA 1'), component('exam', 'Exam')], total: 100 },
+    subjects: [
+        { subject_id: 'm', subject: 'Mathematics', highest: 80, lowest: 60, class_average: 70 },
+        { subject_id: 'e', subject: 'English, Oral', highest: 45, lowest: 45, class_average: 45 },
+    ],
+    students: [
+        {
+            student_id: 's2',
+            name: 'Ben Eze',
+            subjects: [
+                { subject_id: 'm', ca1: 15, exam: 65, total: 80, grade: 'A' },
+                { subject_id: 'e', ca1: null, exam: 45, total: 45, grade: 'E' },
+            ],
+            total: 125, average: 62.5, percentage: 62.5, overall_grade: 'C', position: '1st',
+        },
+        {
+            student_id: 's1',
+            name: '=Ada Obi',
+            subjects: [{ subject_id: 'm', ca1: 10, exam: 50, total: 60, grade: 'C' }],
+            total: 60, average: 60, percentage: 60, overall_grade: 'C', position: '2nd',
+        },
+    ],
+};
+
+describe('toCsv', () => {
+    it('writes a row per student under subject and column headers, then the class averages', () => {
+        const lines = toCsv(SHEET).replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+        assert.deepEqual(lines, [
+            ',,Mathematics,,,,"English, Oral",,,,Overall,,,',
+            'Position,Student,CA 1,Exam,Total,Grade,CA 1,Exam,Total,Grade,Total,Average,%,Grade',
+            '1st,Ben Eze,15,65,80,A,,45,45,E,125,62.5,62.5,C',
+            "2nd,'=Ada Obi,10,50,60,C,,,,,60,60,60,C",
+            ',Class average,,,70,,,,45,,,,,',
+        ]);
+    });
+});
+
+describe('toXlsx', () => {
+    it('builds a workbook with the same table', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx(SHEET));
+        const sheet = workbook.getWorksheet('Broadsheet');
+
+        assert.equal(sheet.getCell('A1').value, 'JSS 1 A broadsheet, First Term 2025/2026');
+        assert.equal(sheet.getCell('C2').value, 'Mathematics');
+        assert.equal(sheet.getCell('B4').value, 'Ben Eze');
+        assert.equal(sheet.getCell('E4').value, 80);
+        assert.equal(sheet.getCell('B6').value, 'Class average');
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cache = require('../../services/cache');
+
+// An ioredis-like client over a Map, enough for createRedisCache
+function fakeRedis() {
+    const data = new Map();
+    return {
+        data,
+        async get(key) {
+            return data.has(key) ? data.get(key) : null;
+        },
+        async set(key, value) {
+            data.set(key, value);
+        },
+        async del(...keys) {
+            keys.forEach(key => data.delete(key));
+        },
+        async keys(pattern) {
+            return [...data.keys()].filter(key => key.startsWith(pattern.slice(0, -1)));
+        },
+    };
+}
+
+describe('cache.wrap', () => {
+    const defaultBackend = cache.getCache();
+    beforeEach(() => cache.setCache(cache.createMemoryCache()));
+    afterEach(() => cache.setCache(defaultBackend));
+
+    it('loads once and serves copies from the cache', async () => {
+        let loads = 0;
+        const load = async () => {
+            loads += 1;
+            return [{ id: 1, name: 'Admin' }];
+        };
+
+        const first = await cache.wrap('user:1:roles', load);
+        first.push({ id: 2, name: 'SuperAdmin' });
+        assert.deepEqual(await cache.wrap('user:1:roles', load), [{ id: 1, name: 'Admin' }]);
+        assert.equal(loads, 1);
+    });
+
+    it('runs one load for concurrent misses', async () => {
+        let loads = 0;
+        const load = async () => {
+            loads += 1;
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return 'term';
+        };
+        const values = await Promise.all([cache.wrap('terms:active', load), cache.wrap('terms:active', load)]);
+        assert.deepEqual(values, ['term', 'term']);
+        assert.equal(loads, 1);
+    });
+
+    it('reloads after invalidate and drops a load that raced with it', async () => {
+        let version = 1;
+        let release;
+        const slowLoad = () => {
+            const read = version;
+            return new Promise(resolve => {
+                release = () => resolve(read);
+            });
+        };
+
+        const racing = cache.wrap('branches:all', slowLoad);
+        while (!release) await new Promise(resolve => setImmediate(resolve));
+        version = 2;
+        await cache.invalidate('branches:all');
+        release();
+        assert.equal(await racing, 1);
+
+        assert.equal(await cache.wrap('branches:all', async () => version), 2);
+    });
+
+    it('expires entries after their ttl', async () => {
+        const memory = cache.createMemoryCache();
+        await memory.set('key', 'value', -1);
+        assert.equal(await memory.get('key'), undefined);
+    });
+
+    it('falls back to the loader when the backend fails', async () => {
+        cache.setCache({
+            get: async () => {
+                throw new Error('connection refused');
+            },
+            set: async () => {},
+            del: async () => {},
+            clear: async () => {},
+        });
+        assert.equal(await cache.wrap('user:1:roles', async () => 'from db'), 'from db');
+    });
+});
+
+describe('createRedisCache', () => {
+    it('prefixes keys, round-trips dates and clears only its own keys', async () => {
+        const client = fakeRedis();
+        client.data.set('other:key', 'x');
+        const redis = cache.createRedisCache(client, { prefix: 'test:' });
+
+        const term = { id: 't1', start_date: new Date('2026-09-08T00:00:00.000Z') };
+        await redis.set('terms:active', [term], 60);
+        assert.ok(client.data.has('test:terms:active'));
+        assert.deepEqual(await redis.get('terms:active'), [term]);
+
+        await redis.clear();
+        assert.equal(await redis.get('terms:active'), undefined);
+        assert.ok(client.data.has('other:key'));
+    });
+});
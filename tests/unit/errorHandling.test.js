@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemorySink } = require('../../services/errorSink');
+const { HttpError, errorHandler } = require('../../middleware/errorHandler');
+
+const duplicate = email => Object.assign(new Error(`Duplicate entry '${email}' for key 'email'`), { code: 'ER_DUP_ENTRY' });
+
+// Just enough of an Express response for the error handler
+function fakeResponse() {
+    return {
+        headersSent: false,
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+}
+
+describe('error sink', () => {
+    it('groups the same failure with different values and keeps the latest occurrences', () => {
+        const sink = createMemorySink();
+        const ids = ['a@example.test', 'b@example.test'].map((email, i) => sink.capture(duplicate(email), { requestId: `req-${i}` }));
+
+        assert.equal(ids[0], ids[1]);
+        const [group] = sink.list();
+        assert.equal(group.count, 2);
+        assert.equal(group.message, "Duplicate entry '?' for key '?'");
+        assert.deepEqual(sink.get(group.id).recent.map(occurrence => occurrence.requestId), ['req-1', 'req-0']);
+    });
+
+    it('drops the least recently seen group once full', () => {
+        const sink = createMemorySink(2);
+        const first = sink.capture(new Error('first'));
+        sink.capture(new Error('second'));
+        sink.capture(new Error('third'));
+
+        assert.equal(sink.list().length, 2);
+        assert.equal(sink.get(first), null);
+    });
+});
+
+describe('errorHandler', () => {
+    const req = { id: 'req-1' };
+
+    it('answers an HttpError with its status, message and code', () => {
+        const res = fakeResponse();
+        errorHandler(new HttpError(409, 'Term already closed', 'TERM_CLOSED'), req, res);
+
+        assert.equal(res.statusCode, 409);
+        assert.deepEqual(res.body, { success: false, message: 'Term already closed', requestId: 'req-1', code: 'TERM_CLOSED' });
+    });
+
+    it('maps a duplicate key to 409 and a malformed JSON body to 400', () => {
+        const duplicateRes = fakeResponse();
+        errorHandler(duplicate('a@example.test'), req, duplicateRes);
+        assert.equal(duplicateRes.statusCode, 409);
+        assert.equal(duplicateRes.body.code, 'ER_DUP_ENTRY');
+
+        const jsonRes = fakeResponse();
+        errorHandler(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400 }), req, jsonRes);
+        assert.equal(jsonRes.statusCode, 400);
+    });
+
+    it('hides unexpected errors behind a generic 500', () => {
+        const res = fakeResponse();
+        errorHandler(new Error('connect ECONNREFUSED 127.0.0.1:3306'), req, res);
+
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.body, { success: false, message: 'Server error', requestId: 'req-1' });
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cache = require('../../services/cache');
+const grading = require('../../services/gradingService');
+
+const band = (scope, grade, min_score, remark, points = null) => ({ scope, grade, min_score, remark, points });
+
+// WAEC's A1-F9 scale, as a Senior School scheme would set it up
+const WAEC = {
+    id: 'waec',
+    name: 'WAEC',
+    max_score: 100,
+    bands: {
+        subject: [
+            ['A1', 75, 'Excellent', 1],
+            ['B2', 70, 'Very Good', 2],
+            ['B3', 65, 'Good', 3],
+            ['C4', 60, 'Credit', 4],
+            ['C5', 55, 'Credit', 5],
+            ['C6', 50, 'Credit', 6],
+            ['D7', 45, 'Pass', 7],
+            ['E8', 40, 'Pass', 8],
+            ['F9', 0, 'Fail', 9],
+        ].map(([grade, min_score, remark, points]) => ({ grade, min_score, remark, points })),
+        overall: [],
+    },
+    assignments: [{ branch_id: null, school_type: 'Senior School' }],
+};
+
+const scheme = (id, assignments) => ({ ...WAEC, id, assignments });
+
+describe('gradeFor', () => {
+    it('keeps the built-in subject and overall scales', () => {
+        const subject = [80, 79.5, 70, 60, 50, 40, 39].map(score => grading.gradeFor(score).grade);
+        assert.deepEqual(subject, ['A', 'B', 'B', 'C', 'D', 'E', 'F']);
+
+        const overall = [75, 65, 50, 45, 40, 39].map(score => grading.gradeFor(score, grading.DEFAULT_SCHEME, 'overall'));
+        assert.deepEqual(overall.map(b => b.grade), ['A', 'B', 'C', 'D', 'E', 'F']);
+        assert.equal(overall[0].remark, 'Excellent');
+        assert.equal(overall[5].remark, 'Needs Improvement');
+    });
+
+    it('returns the remark and points of the band', () => {
+        assert.deepEqual(grading.gradeFor(72, WAEC), { grade: 'B2', min_score: 70, remark: 'Very Good', points: 2 });
+        assert.equal(grading.gradeFor(12, WAEC).grade, 'F9');
+    });
+
+    it('grades the overall percentage with the subject bands when a scheme has no overall bands', () => {
+        assert.equal(grading.gradeFor(56, WAEC, 'overall').grade, 'C5');
+    });
+
+    it('does not drop a score on a band edge to floating point error', () => {
+        const outOf150 = { max_score: 150, bands: { subject: [{ grade: 'P', min_score: 58 }, { grade: 'F', min_score: 0 }] } };
+        // 87 / 150 * 100 is 57.99999999999999
+        assert.equal(grading.gradeFor((87 / 150) * 100, outOf150).grade, 'P');
+    });
+});
+
+describe('passMark', () => {
+    it("is where the scheme's bottom band ends", () => {
+        assert.equal(grading.passMark(), 40);
+        assert.equal(grading.passMark(WAEC), 40);
+        assert.equal(grading.passMark({ bands: { subject: [{ grade: 'A', min_score: 0 }], overall: [] } }), 0);
+    });
+});
+
+describe('getGradingScheme', () => {
+    const defaultBackend = cache.getCache();
+
+    before(async () => {
+        const memory = cache.createMemoryCache();
+        await memory.set('grading:schemes', [
+            WAEC,
+            scheme('branch', [{ branch_id: 'b1', school_type: null }]),
+            scheme('branch-senior', [{ branch_id: 'b1', school_type: 'Senior School' }]),
+        ], 60);
+        cache.setCache(memory);
+    });
+    after(() => cache.setCache(defaultBackend));
+
+    it('picks the most specific assignment', async () => {
+        assert.equal((await grading.getGradingScheme('b1', 'Senior School')).id, 'branch-senior');
+        assert.equal((await grading.getGradingScheme('b1', 'Grade School')).id, 'branch');
+        assert.equal((await grading.getGradingScheme('b2', 'Senior School')).id, 'waec');
+    });
+
+    it('falls back to the built-in scheme', async () => {
+        assert.equal(await grading.getGradingScheme('b2', 'Early Years'), grading.DEFAULT_SCHEME);
+    });
+});
+
+describe('checkBands', () => {
+    it('accepts subject bands that cover every score', () => {
+        assert.doesNotThrow(() => grading.checkBands([band('subject', 'Pass', 50, 'Pass'), band('subject', 'Fail', 0, 'Fail')]));
+    });
+
+    it('rejects bands that leave scores ungraded or repeat a grade', () => {
+        assert.throws(() => grading.checkBands([band('overall', 'A', 0, 'Good')]), { status: 422 });
+        assert.throws(() => grading.checkBands([band('subject', 'A', 50, 'Good')]), /must include one starting at 0/);
+        assert.throws(
+            () => grading.checkBands([band('subject', 'A', 0, 'Good'), band('overall', 'A', 50, 'Good')]),
+            /overall bands must include one starting at 0/
+        );
+        assert.throws(() => grading.checkBands([band('subject', 'A', 50, 'Good'), band('subject', 'a', 0, 'Poor')]), /repeat a grade/);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Lagos is UTC+1 all year, so the expected instants below are fixed
+process.env.SCHEDULER_TIMEZONE = 'Africa/Lagos';
+const { parseCron, previousRun, nextRun } = require('../../services/scheduler');
+const { backoffSeconds } = require('../../services/jobQueue');
+const { deliveryFailure } = require('../../services/backgroundJobs');
+
+describe('parseCron', () => {
+    it('expands ranges, lists and steps', () => {
+        const fields = parseCron('*/15 8-10 1,15 * 1-5');
+        assert.deepEqual([...fields.minute], [0, 15, 30, 45]);
+        assert.deepEqual([...fields.hour], [8, 9, 10]);
+        assert.deepEqual([...fields.day], [1, 15]);
+        assert.equal(fields.month.size, 12);
+        assert.deepEqual([...fields.weekday], [1, 2, 3, 4, 5]);
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => parseCron('0 9 * *'), /5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /minute/);
+        assert.throws(() => parseCron('0 9 * * mon'), /weekday/);
+        assert.throws(() => parseCron('0 10-8 * * *'), /hour/);
+    });
+});
+
+describe('schedule times', () => {
+    // Mondays 09:00 Lagos time is 08:00 UTC
+    const weekly = parseCron('0 9 * * 1');
+
+    it('finds the latest run within the catch-up window', () => {
+        const now = new Date('2026-10-19T10:30:00Z'); // Monday 11:30 in Lagos
+        assert.equal(previousRun(weekly, now).toISOString(), '2026-10-19T08:00:00.000Z');
+        assert.equal(previousRun(weekly, new Date('2026-10-21T10:00:00Z')), null);
+    });
+
+    it('counts the current minute as due', () => {
+        assert.equal(previousRun(weekly, new Date('2026-10-19T08:00:42Z')).toISOString(), '2026-10-19T08:00:00.000Z');
+    });
+
+    it('finds the next run', () => {
+        assert.equal(nextRun(weekly, new Date('2026-10-19T08:00:00Z')).toISOString(), '2026-10-26T08:00:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+        const fields = parseCron('0 0 1 * 0'); // the 1st of the month, and every Sunday
+        assert.equal(nextRun(fields, new Date('2026-10-28T00:00:00Z')).toISOString(), '2026-10-31T23:00:00.000Z');
+        assert.equal(nextRun(fields, new Date('2026-10-20T00:00:00Z')).toISOString(), '2026-10-24T23:00:00.000Z');
+    });
+});
+
+describe('backoffSeconds', () => {
+    it('doubles from 30 seconds up to an hour', () => {
+        assert.deepEqual([1, 2, 3, 4].map(backoffSeconds), [30, 60, 120, 240]);
+        assert.equal(backoffSeconds(20), 3600);
+    });
+});
+
+describe('deliveryFailure', () => {
+    it('treats a failed send as a failure', () => {
+        assert.equal(deliveryFailure({ success: false, message: 'SMTP timeout' }), 'SMTP timeout');
+        assert.equal(deliveryFailure([{ success: true }, { success: false, message: 'bounced' }]), 'bounced');
+        assert.equal(deliveryFailure({ emailResults: [{ success: false }] }), 'Delivery failed');
+    });
+
+    it('does not retry sends that went out or have nowhere to go', () => {
+        assert.equal(deliveryFailure({ success: true }), null);
+        assert.equal(deliveryFailure(undefined), null);
+        assert.equal(deliveryFailure({ success: false, message: 'Email service not configured' }), null);
+    });
+});
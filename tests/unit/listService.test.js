@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listPage, pageInfo } = require('../../services/listService');
+
+// Stands in for the pool: records each query and answers the count query with `total`
+function recordingDb(total) {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+            return sql.includes('COUNT(*)') ? [[{ total }]] : [[{ id: 'row' }]];
+        },
+    };
+}
+
+const request = (url, query = {}) => ({ originalUrl: url, query });
+
+const spec = {
+    select: 'e.*',
+    from: 'expenses e',
+    filters: { status: 'e.status', due_from: { column: 'e.due_date', op: '>=' } },
+    search: ['e.title', 'e.description'],
+    sortable: { created_at: 'e.created_at', cost: 'e.cost' },
+    defaultSort: '-created_at',
+    key: 'e.id',
+};
+
+describe('listPage', () => {
+    it('applies the route conditions, filters and search to both the count and the page', async () => {
+        const db = recordingDb(3);
+        const req = request('/api/expenses?status=Approved&q=fan', { status: 'Approved', q: 'fan' });
+
+        await listPage(req, { ...spec, where: ['e.branch_id = ?'], params: ['b1'], db });
+
+        const [count, page] = db.queries;
+        const where = 'WHERE e.branch_id = ? AND e.status = ? AND (e.title LIKE ? OR e.description LIKE ?)';
+        assert.equal(count.sql, `SELECT COUNT(*) AS total FROM expenses e ${where}`);
+        assert.deepEqual(count.params, ['b1', 'Approved', '%fan%', '%fan%']);
+        assert.equal(page.sql, `SELECT e.* FROM expenses e ${where} ORDER BY e.created_at DESC, e.id LIMIT ? OFFSET ?`);
+        assert.deepEqual(page.params, ['b1', 'Approved', '%fan%', '%fan%', 50, 0]);
+    });
+
+    it('turns page into an offset and sorts by the requested fields', async () => {
+        const db = recordingDb(30);
+        const req = request('/api/expenses?limit=10&page=3&sort=-cost,created_at', { limit: 10, page: 3, sort: '-cost,created_at' });
+
+        const { pagination } = await listPage(req, { ...spec, db });
+
+        assert.match(db.queries[1].sql, /ORDER BY e\.cost DESC, e\.created_at ASC, e\.id LIMIT \? OFFSET \?$/);
+        assert.deepEqual(db.queries[1].params.slice(-2), [10, 20]);
+        assert.deepEqual(pagination, { total: 30, limit: 10, offset: 20, page: 3, next: null });
+    });
+
+    it('counts grouped lists by group', async () => {
+        const db = recordingDb(2);
+        await listPage(request('/api/broadcasts'), { ...spec, groupBy: 'e.id', db });
+
+        assert.equal(db.queries[0].sql, 'SELECT COUNT(*) AS total FROM (SELECT 1 FROM expenses e GROUP BY e.id) AS grouped');
+    });
+
+    it('refuses a sort field missing from the whitelist', async () => {
+        const req = request('/api/expenses?sort=title', { sort: 'title' });
+        await assert.rejects(listPage(req, { ...spec, db: recordingDb(0) }), /"title" is not a sortable field/);
+    });
+});
+
+describe('pageInfo', () => {
+    it('links to the next page and keeps the other query parameters', () => {
+        const req = request('/api/staff?status=Active&page=1');
+        assert.equal(pageInfo(req, { limit: 50, offset: 0 }, 120).next, '/api/staff?status=Active&page=2');
+    });
+
+    it('advances the offset when the caller paged by offset', () => {
+        const req = request('/api/staff?limit=20&offset=40');
+        assert.equal(pageInfo(req, { limit: 20, offset: 40 }, 120).next, '/api/staff?limit=20&offset=60');
+    });
+
+    it('has no next link on the last page', () => {
+        assert.equal(pageInfo(request('/api/staff?page=3'), { limit: 50, offset: 100 }, 120).next, null);
+    });
+});
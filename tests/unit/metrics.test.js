@@ -0,0 +1,42 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../../services/metrics');
+
+const line = (text, prefix) => text.split('\n').find(entry => entry.startsWith(prefix));
+
+describe('metrics', () => {
+    beforeEach(() => metrics.reset());
+
+    it('counts requests per route pattern and status', () => {
+        metrics.recordRequest({ method: 'GET', route: '/api/students/:id', status: 200, durationSeconds: 0.02 });
+        metrics.recordRequest({ method: 'GET', route: '/api/students/:id', status: 200, durationSeconds: 0.3 });
+        metrics.recordRequest({ method: 'GET', route: '/api/students/:id', status: 404, durationSeconds: 0.01 });
+
+        const text = metrics.render();
+        assert.equal(line(text, 'http_requests_total{method="GET",route="/api/students/:id",status="200"}'), 'http_requests_total{method="GET",route="/api/students/:id",status="200"} 2');
+        assert.match(text, /^http_requests_total\{method="GET",route="\/api\/students\/:id",status="404"\} 1$/m);
+    });
+
+    it('fills latency buckets cumulatively', () => {
+        metrics.recordRequest({ method: 'POST', route: '/api/fees', status: 201, durationSeconds: 0.02 });
+        metrics.recordRequest({ method: 'POST', route: '/api/fees', status: 201, durationSeconds: 0.3 });
+
+        const text = metrics.render();
+        const bucket = le => line(text, `http_request_duration_seconds_bucket{method="POST",route="/api/fees",le="${le}"}`).split(' ')[1];
+        assert.equal(bucket('0.01'), '0');
+        assert.equal(bucket('0.025'), '1');
+        assert.equal(bucket('0.5'), '2');
+        assert.equal(bucket('+Inf'), '2');
+        assert.match(text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/fees"\} 2$/m);
+    });
+
+    it('labels payment verifications by outcome and escapes label values', () => {
+        metrics.recordPaymentVerification('amount_mismatch');
+        metrics.counter('test_escaping_total', 'Escaping check').inc({ value: 'say "hi"\\' });
+
+        const text = metrics.render();
+        assert.match(text, /^payment_verifications_total\{outcome="amount_mismatch"\} 1$/m);
+        assert.match(text, /^test_escaping_total\{value="say \\"hi\\"\\\\"\} 1$/m);
+    });
+});
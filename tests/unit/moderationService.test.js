@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const moderation = require('../../services/moderationService');
+
+const subjectTeacher = { subjectTeacher: true, classTeacher: false, approver: false };
+const classTeacher = { subjectTeacher: false, classTeacher: true, approver: false };
+const approver = { subjectTeacher: false, classTeacher: false, approver: true };
+
+describe('moderation stages', () => {
+    it('moves results on one stage at a time', () => {
+        moderation.checkTransition('submit', 'Draft', subjectTeacher);
+        moderation.checkTransition('review', 'Submitted', classTeacher);
+        moderation.checkTransition('approve', 'Reviewed', approver);
+
+        assert.throws(() => moderation.checkTransition('approve', 'Submitted', approver), { status: 409 });
+        assert.throws(() => moderation.checkTransition('submit', 'Approved', subjectTeacher), /only Draft results can be submitted/);
+        assert.throws(() => moderation.checkTransition('reject', 'Draft', approver), /only Submitted, Reviewed, Approved or Published results/);
+    });
+
+    it('leaves each step to the people responsible for it', () => {
+        assert.throws(() => moderation.checkTransition('review', 'Submitted', subjectTeacher), { status: 403 });
+        assert.throws(() => moderation.checkTransition('approve', 'Reviewed', classTeacher), { status: 403 });
+
+        moderation.checkTransition('reject', 'Submitted', classTeacher);
+        assert.throws(() => moderation.checkTransition('reject', 'Reviewed', classTeacher), { status: 403 });
+        moderation.checkTransition('reject', 'Approved', approver);
+        moderation.checkTransition('reject', 'Published', approver);
+        assert.throws(() => moderation.checkTransition('reject', 'Published', classTeacher), { status: 403 });
+    });
+
+    it('narrows who can edit scores as results move on, and locks approved ones', () => {
+        assert.equal(moderation.editProblem('Draft', subjectTeacher), null);
+        assert.match(moderation.editProblem('Submitted', subjectTeacher), /submitted for review/);
+        assert.equal(moderation.editProblem('Submitted', classTeacher), null);
+        assert.match(moderation.editProblem('Reviewed', classTeacher), /waiting for approval/);
+        assert.equal(moderation.editProblem('Reviewed', approver), null);
+        assert.match(moderation.editProblem('Approved', approver), /Approved and locked/);
+        assert.match(moderation.editProblem('Published', approver), /Published and locked/);
+    });
+});
+
+describe('getSheetStatus', () => {
+    const db = rows => ({
+        queries: [],
+        async query(sql, params) {
+            this.queries.push({ sql, params });
+            return [rows];
+        },
+    });
+    const sheet = { classId: 'c1', subjectId: 's1', termId: 't1' };
+
+    it('treats a sheet without a row as a Draft', async () => {
+        assert.equal(await moderation.getSheetStatus(sheet, db([])), 'Draft');
+        assert.equal(await moderation.getSheetStatus(sheet, db([{ status: 'Reviewed' }])), 'Reviewed');
+    });
+
+    it('holds a shared lock on the sheet when asked', async () => {
+        const plain = db([]);
+        const locked = db([]);
+        await moderation.getSheetStatus(sheet, plain);
+        await moderation.getSheetStatus(sheet, locked, { lock: true });
+
+        assert.doesNotMatch(plain.queries[0].sql, /LOCK IN SHARE MODE/);
+        assert.match(locked.queries[0].sql, /LOCK IN SHARE MODE$/);
+    });
+});
+
+describe('moveSheet', () => {
+    const sheet = { classId: 'c1', subjectId: 's1', termId: 't1', branchId: 'b1' };
+
+    const fakeDb = status => {
+        const queries = [];
+        return {
+            queries,
+            async query(sql, params) {
+                queries.push({ sql, params });
+                if (/^SELECT \* FROM result_moderation WHERE class_id/.test(sql)) return [[{ id: 'm1', status }]];
+                if (/^SELECT \* FROM result_moderation WHERE id/.test(sql)) return [[{ id: 'm1', status: 'changed' }]];
+                return [{ affectedRows: 1 }];
+            },
+        };
+    };
+
+    it('creates the Draft row if needed and stamps the step', async () => {
+        const db = fakeDb('Draft');
+        const { before, after } = await moderation.moveSheet(db, sheet, 'submit', subjectTeacher, { userId: 'u1' });
+
+        assert.equal(before.status, 'Draft');
+        assert.equal(after.status, 'changed');
+        assert.match(db.queries[0].sql, /^INSERT IGNORE INTO result_moderation/);
+        assert.match(db.queries[1].sql, /FOR UPDATE$/);
+        assert.match(db.queries[2].sql, /SET status = \?, submitted_by = \?, submitted_at = NOW\(\)/);
+        assert.deepEqual(db.queries[2].params, ['Submitted', 'u1', 'm1']);
+    });
+
+    it('keeps the note when results are rejected and clears the earlier stamps', async () => {
+        const db = fakeDb('Approved');
+        await moderation.moveSheet(db, sheet, 'reject', approver, { userId: 'u2', note: 'Check the exam scores' });
+
+        assert.match(db.queries[2].sql, /rejection_note = \?/);
+        assert.match(db.queries[2].sql, /approved_by = NULL/);
+        assert.deepEqual(db.queries[2].params, ['Draft', 'u2', 'Check the exam scores', 'm1']);
+        assert.equal(db.queries.some(q => /^UPDATE student_results/.test(q.sql)), false);
+    });
+
+    it('unpublishes the results when published ones are rejected', async () => {
+        const db = fakeDb('Published');
+        await moderation.moveSheet(db, sheet, 'reject', approver, { userId: 'u2', note: 'Wrong exam score for Ada' });
+
+        assert.match(db.queries[2].sql, /published_at = NULL/);
+        assert.match(db.queries[3].sql, /^UPDATE student_results SET published = FALSE/);
+        assert.deepEqual(db.queries[3].params, ['c1', 's1', 't1']);
+    });
+
+    it('changes nothing when the step is not allowed', async () => {
+        const db = fakeDb('Submitted');
+        await assert.rejects(moderation.moveSheet(db, sheet, 'approve', approver, { userId: 'u1' }), { status: 409 });
+        assert.equal(db.queries.some(q => /^UPDATE/.test(q.sql)), false);
+    });
+});
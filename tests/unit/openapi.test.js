@@ -0,0 +1,53 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Loading index.js outside tests would start the server and connect to the database
+process.env.NODE_ENV = 'test';
+
+const app = require('../../index');
+const { buildSpec, checkCoverage } = require('../../openapi');
+
+describe('OpenAPI document', () => {
+    let spec;
+
+    before(() => {
+        spec = buildSpec(app);
+    });
+
+    it('has an entry for every mounted route and no entries for removed ones', () => {
+        const { missing, stale } = checkCoverage(app);
+        assert.deepEqual(missing, []);
+        assert.deepEqual(stale, []);
+    });
+
+    it('gives every operation a summary and a success response', () => {
+        for (const [path, operations] of Object.entries(spec.paths)) {
+            for (const [method, operation] of Object.entries(operations)) {
+                assert.ok(operation.summary, `${method.toUpperCase()} ${path} has no summary`);
+                assert.ok(
+                    Object.keys(operation.responses).some(status => status < 300),
+                    `${method.toUpperCase()} ${path} has no success response`,
+                );
+            }
+        }
+    });
+
+    it('reads auth, roles and the request schema off the route middleware', () => {
+        const update = spec.paths['/api/terms/{id}'].put;
+        assert.deepEqual(update.security, [{ tokenAuth: [] }]);
+        assert.deepEqual(update['x-roles'], ['Admin', 'SuperAdmin']);
+        assert.deepEqual(update.parameters.map(param => [param.name, param.in]), [['id', 'path']]);
+        assert.ok(update.requestBody);
+        assert.ok(update.responses[422]);
+
+        const branches = spec.paths['/api/branches'].get;
+        assert.deepEqual(branches.security, []);
+    });
+
+    it('only references component schemas that exist', () => {
+        const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+        for (const ref of new Set(refs)) {
+            assert.ok(spec.components.schemas[ref.split('/').pop()], `${ref} is not defined`);
+        }
+    });
+});
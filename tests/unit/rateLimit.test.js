@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const rateLimit = require('../../middleware/rateLimit');
+const { createMemoryStore, setStore } = require('../../services/rateLimitStore');
+
+const request = (overrides = {}) => ({
+    method: 'POST',
+    baseUrl: '/api/ai',
+    route: { path: '/summary' },
+    originalUrl: '/api/ai/summary',
+    ip: '10.0.0.1',
+    ...overrides,
+});
+
+// Runs the middleware once and reports whether it called next, with the status and headers set
+async function call(middleware, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(this.headers, name);
+            else this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+describe('rateLimit', () => {
+    beforeEach(() => {
+        setStore(createMemoryStore());
+        process.env.RATE_LIMIT_AI = '2/60';
+    });
+
+    after(() => {
+        delete process.env.RATE_LIMIT_AI;
+    });
+
+    it('counts down RateLimit-Remaining and answers 429 with Retry-After past the limit', async () => {
+        const limiter = rateLimit('ai');
+        const user = request({ user: { id: 'u1' } });
+
+        const first = await call(limiter, user);
+        assert.equal(first.passed, true);
+        assert.equal(first.res.headers['RateLimit-Limit'], '2');
+        assert.equal(first.res.headers['RateLimit-Remaining'], '1');
+        assert.equal(first.res.headers['RateLimit-Policy'], '2;w=60');
+
+        await call(limiter, user);
+        const third = await call(limiter, user);
+        assert.equal(third.passed, false);
+        assert.equal(third.res.statusCode, 429);
+        assert.equal(third.res.headers['RateLimit-Remaining'], '0');
+        assert.ok(Number(third.res.headers['Retry-After']) > 0);
+    });
+
+    it('keeps separate counters per user and per route', async () => {
+        const limiter = rateLimit('ai');
+        await call(limiter, request({ user: { id: 'u1' } }));
+        await call(limiter, request({ user: { id: 'u1' } }));
+
+        assert.equal((await call(limiter, request({ user: { id: 'u2' } }))).passed, true);
+        assert.equal((await call(limiter, request({ user: { id: 'u1' }, route: { path: '/other' } }))).passed, true);
+    });
+
+    it('lets requests through when the store fails', async () => {
+        setStore({ hit: async () => { throw new Error('store down'); } });
+        const { passed } = await call(rateLimit('ai'), request());
+        assert.equal(passed, true);
+    });
+});
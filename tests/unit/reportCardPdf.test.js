@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createReportCardPdf, toBuffer, fileSlug } = require('../../services/reportCardPdf');
+const { DEFAULT_SCHEME, describeScheme } = require('../../services/gradingService');
+const { DEFAULT_STRUCTURE } = require('../../services/assessmentService');
+
+const BRANDING = { school_name: 'Torch Bearers Academy', address: '1 School Road, Lagos', email: 'info@example.com', logo: null };
+
+const result = subject => ({
+    subject,
+    ca1: 8, ca2: 9, ca3: 7, ca4: 10, exam: 52,
+    total: 86, grade: 'A', remark: 'Excellent', points: 5,
+    position: '1st', highest: 86, lowest: 41, average: 63.5,
+    cumulative_from_previous_terms: 160, grand_total: 246,
+});
+
+const card = (results, previousTerms = []) => ({
+    student: { name: 'Ada Obi', class: 'JSS 1', arm: 'A', dob: new Date('2013-04-02'), gender: 'Female', passport: null, student_id: 'ada@example.com' },
+    term: { name: 'Third Term', session: '2025/2026', current_term: 'Third Term', start_date: null, end_date: null, next_term: null, next_term_name: null, next_term_begins: '2026-09-14' },
+    attendance: { school_opened: 120, present: 118, absent: 2 },
+    position: '3rd',
+    total_students: 28,
+    results,
+    skills: { Affective: [{ name: 'Punctuality', rating: 5 }], Psychomotor: [{ name: 'Handwriting', rating: 4 }] },
+    comments: { teacher_comment: 'A diligent student.', principal_comment: null },
+    cumulative: { terms: previousTerms },
+    config: {
+        school_type: 'Middle School',
+        grading_scheme: describeScheme(DEFAULT_SCHEME),
+        assessment_structure: { id: null, name: 'Default', components: DEFAULT_STRUCTURE.components, total: 100 },
+    },
+});
+
+describe('createReportCardPdf', () => {
+    it('renders a report card as a PDF', async () => {
+        const pdf = await toBuffer(createReportCardPdf(card([result('Mathematics'), result('English')], [{}]), BRANDING));
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    });
+
+    it('runs long result tables onto further pages', async () => {
+        const subjects = Array.from({ length: 60 }, (_, i) => result(`Subject ${i + 1}`));
+        const pdf = (await toBuffer(createReportCardPdf(card(subjects), BRANDING))).toString('latin1');
+        assert.ok((pdf.match(/\/Type \/Page\b/g) || []).length > 1);
+    });
+
+    it('renders a card without results', async () => {
+        const pdf = await toBuffer(createReportCardPdf(card([]), BRANDING, 'Results for this term have not been published yet.'));
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    });
+});
+
+describe('fileSlug', () => {
+    it('keeps file names to letters, digits and dashes', () => {
+        assert.equal(fileSlug('Ada  Obi-Eze'), 'Ada-Obi-Eze');
+        assert.equal(fileSlug('2025/2026'), '2025-2026');
+        assert.equal(fileSlug(' '), 'report-card');
+    });
+});
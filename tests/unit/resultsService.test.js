@@ -0,0 +1,268 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cache = require('../../services/cache');
+const results = require('../../services/resultsService');
+const { DEFAULT_STRUCTURE } = require('../../services/assessmentService');
+
+const row = (studentId, subjectId, type, score) => ({
+    student_id: studentId,
+    subject_id: subjectId,
+    subject_name: `Subject ${subjectId}`,
+    assessment_type: type,
+    score: String(score),
+});
+
+describe('ordinal', () => {
+    it('formats ordinals', () => {
+        assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(results.ordinal), [
+            '1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '111th',
+        ]);
+        assert.equal(results.ordinal(null), '');
+    });
+});
+
+describe('aggregateScores', () => {
+    it('adds up assessments per subject and subjects per student', () => {
+        const byStudent = results.aggregateScores([
+            row('s1', 1, 'ca1', 15),
+            row('s1', 1, 'exam', 50.5),
+            row('s1', 2, 'ca1', 10),
+            row('s2', 1, 'exam', 40),
+        ]);
+
+        assert.deepEqual(byStudent.s1.subjects[1], { subject_name: 'Subject 1', ca1: 15, exam: 50.5, total: 65.5 });
+        assert.equal(byStudent.s1.subjects[2].total, 10);
+        assert.equal(byStudent.s1.total_score, 75.5);
+        assert.equal(byStudent.s2.total_score, 40);
+    });
+});
+
+describe('positions', () => {
+    it('ranks highest first and lets ties share a position', () => {
+        const totals = [60, 90, 75, 90];
+        assert.equal(results.positionOf(90, totals), 1);
+        assert.equal(results.positionOf(75, totals), 3);
+        assert.equal(results.positionOf(60, totals), 4);
+        assert.equal(results.positionOf(10, totals), 0);
+    });
+
+    it('ranks a class on totals or on averages per subject', () => {
+        const classResults = results.aggregateScores([
+            row('a', 1, 'exam', 70), row('a', 2, 'exam', 70),
+            row('b', 1, 'exam', 80), row('b', 2, 'exam', 60),
+            row('c', 1, 'exam', 90),
+            row('d', 1, 'exam', 50), row('d', 2, 'exam', 30),
+        ]);
+        assert.deepEqual(results.classPositions(classResults), { a: 1, b: 1, c: 3, d: 4 });
+        assert.deepEqual(results.classPositions(classResults, 'average'), { a: 2, b: 2, c: 1, d: 4 });
+        assert.equal(results.rankingScore(classResults.d, 'average'), 40);
+    });
+
+    it('summarises class scores', () => {
+        assert.deepEqual(results.scoreStats([60, 90, 75]), { highest: 90, lowest: 60, average: 75 });
+        assert.deepEqual(results.scoreStats([1, 2, 2]), { highest: 2, lowest: 1, average: 1.67 });
+    });
+});
+
+describe('publication', () => {
+    it('hides unpublished results from students and parents only', () => {
+        assert.equal(results.seesUnpublished({ roles: ['Student'] }), false);
+        assert.equal(results.seesUnpublished({ roles: ['Parent'] }), false);
+        assert.equal(results.seesUnpublished({ roles: ['Teacher'] }), true);
+        assert.equal(results.seesUnpublished({ roles: ['Admin'] }), true);
+    });
+
+    it('publishes only the approved, unpublished results in scope', async () => {
+        const queries = [];
+        const db = {
+            async query(sql, params) {
+                queries.push({ sql, params });
+                return [{ affectedRows: 3 }];
+            },
+        };
+
+        const count = await results.publishResults(db, { termId: 't1', classId: 'c1', subjectIds: [4, 5] }, 'u1');
+        assert.equal(count, 3);
+        assert.match(queries[0].sql, /WHERE term_id = \? AND published = FALSE AND class_id = \? AND subject_id IN \(\?\) AND EXISTS/);
+        assert.match(queries[0].sql, /m\.status IN \('Approved', 'Published'\)/);
+        assert.deepEqual(queries[0].params, ['u1', 't1', 'c1', [4, 5]]);
+
+        // Then the approved subjects with nothing left unpublished are marked Published
+        assert.match(queries[1].sql, /^UPDATE result_moderation m SET m.status = 'Published'/);
+        assert.deepEqual(queries[1].params, ['t1', 'c1', [4, 5]]);
+    });
+});
+
+describe('withheld results', () => {
+    it('lists the subjects in scope still waiting for approval', async () => {
+        const queries = [];
+        const db = {
+            async query(sql, params) {
+                queries.push({ sql, params });
+                return [[{ class_id: 'c1', subject_id: 's1', subject: 'Mathematics', status: 'Submitted', results: '12' }]];
+            },
+        };
+
+        const withheld = await results.withheldResults(db, { termId: 't1', studentId: 'st1' });
+        assert.deepEqual(withheld, [{ class_id: 'c1', subject_id: 's1', subject: 'Mathematics', status: 'Submitted', results: 12 }]);
+        assert.match(queries[0].sql, /WHERE r\.term_id = \? AND r\.published = FALSE AND r\.student_id = \?/);
+        assert.deepEqual(queries[0].params, ['t1', 'st1']);
+    });
+});
+
+describe('term broadsheet', () => {
+    const defaultBackend = cache.getCache();
+    const memory = cache.createMemoryCache();
+    const rankOn = basis => memory.set('branches:all', [{ id: 'b1', ranking_basis: basis }], 60);
+    before(async () => {
+        await memory.set('grading:schemes', [], 60);
+        await memory.set('assessment:structures', [], 60);
+        await rankOn('total');
+        cache.setCache(memory);
+    });
+    after(() => cache.setCache(defaultBackend));
+
+    const withTerm = rows => rows.map(r => ({ ...r, term_id: 't1', class_id: 'c1' }));
+    const db = {
+        async query(sql) {
+            if (/FROM classes/.test(sql)) return [[{ id: 'c1', name: 'JSS 1', arm: 'A', branch_id: 'b1', school_type: 'Middle School' }]];
+            if (/FROM terms/.test(sql)) return [[{ id: 't1', name: 'First Term', session: '2025/2026' }]];
+            if (/FROM student_results/.test(sql)) {
+                return [withTerm([
+                    row('s1', 2, 'ca1', 10), row('s1', 2, 'exam', 50),
+                    row('s2', 2, 'ca1', 15), row('s2', 2, 'exam', 65), row('s2', 1, 'exam', 45),
+                    row('s3', 1, 'exam', 70),
+                ])];
+            }
+            if (/FROM students/.test(sql)) {
+                return [[
+                    { id: 's1', first_name: 'Ada', last_name: 'Obi' },
+                    { id: 's2', first_name: 'Ben', last_name: 'Eze' },
+                    { id: 's3', first_name: 'Chi', last_name: 'Okafor' },
+                ]];
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        },
+    };
+
+    it('lists every student by total with their subjects and the class statistics', async () => {
+        const sheet = await results.buildTermBroadsheet('c1', 't1', { db });
+        assert.equal(sheet.ranking_basis, 'total');
+        assert.deepEqual(sheet.students.map(s => [s.name, s.total, s.average, s.position]), [
+            ['Ben Eze', 125, 62.5, '1st'],
+            ['Chi Okafor', 70, 70, '2nd'],
+            ['Ada Obi', 60, 60, '3rd'],
+        ]);
+        assert.deepEqual(sheet.students[2].subjects, [{ subject_id: '2', ca1: 10, ca2: null, ca3: null, ca4: null, exam: 50, total: 60, grade: 'C' }]);
+        assert.deepEqual(sheet.subjects, [
+            { subject_id: 1, subject: 'Subject 1', highest: 70, lowest: 45, class_average: 57.5 },
+            { subject_id: 2, subject: 'Subject 2', highest: 80, lowest: 60, class_average: 70 },
+        ]);
+    });
+
+    it("ranks on averages in a branch set to, so fewer subjects don't cost places", async () => {
+        await rankOn('average');
+        const sheet = await results.buildTermBroadsheet('c1', 't1', { db });
+        assert.deepEqual(sheet.students.map(s => [s.name, s.position]), [
+            ['Chi Okafor', '1st'],
+            ['Ben Eze', '2nd'],
+            ['Ada Obi', '3rd'],
+        ]);
+        await rankOn('total');
+    });
+});
+
+describe('sessional results', () => {
+    const TERMS = [
+        { id: 't1', name: 'First Term' },
+        { id: 't2', name: 'Second Term' },
+        { id: 't3', name: 'Third Term' },
+    ];
+    const inTerm = (termId, rows) => rows.map(r => ({ ...r, term_id: termId, class_id: 'c1' }));
+    const ROWS = [
+        ...inTerm('t1', [row('s1', 1, 'exam', 80), row('s1', 2, 'exam', 60), row('s2', 1, 'exam', 30), row('s2', 2, 'exam', 40)]),
+        ...inTerm('t2', [row('s1', 1, 'exam', 70), row('s1', 2, 'exam', 50), row('s2', 1, 'exam', 35)]),
+        ...inTerm('t3', [row('s1', 1, 'exam', 90), row('s2', 1, 'exam', 40)]),
+    ];
+    const scale = maxScore => ({ structure: DEFAULT_STRUCTURE, maxScore });
+
+    it('averages each subject over the terms it was taken', () => {
+        const session = results.aggregateSession(ROWS, TERMS, { t1: scale(100), t2: scale(100), t3: scale(100) });
+        assert.deepEqual(session.s1.subjects[1].terms, { t1: 80, t2: 70, t3: 90 });
+        assert.equal(session.s1.subjects[1].annual_average, 80);
+        assert.equal(session.s1.subjects[2].annual_average, 55);
+        assert.equal(session.s1.annual_total, 350);
+        assert.equal(session.s1.annual_average, 67.5);
+        assert.equal(session.s2.subjects[2].annual_average, 40);
+    });
+
+    it('averages terms scored out of different totals as percentages', () => {
+        const session = results.aggregateSession(ROWS, TERMS, { t1: scale(200), t2: scale(100), t3: scale(100) });
+        assert.equal(session.s1.subjects[1].annual_average, 66.67);
+    });
+
+    describe('class broadsheet', () => {
+        const defaultBackend = cache.getCache();
+        before(async () => {
+            const memory = cache.createMemoryCache();
+            await memory.set('grading:schemes', [], 60);
+            await memory.set('assessment:structures', [], 60);
+            cache.setCache(memory);
+        });
+        after(() => cache.setCache(defaultBackend));
+
+        const db = {
+            async query(sql) {
+                if (/FROM classes/.test(sql)) return [[{ id: 'c1', name: 'JSS 1 ', arm: 'A', branch_id: 'b1', school_type: 'Middle School' }]];
+                if (/SELECT DISTINCT t\.id/.test(sql)) return [[TERMS[2], TERMS[0], TERMS[1]]];
+                if (/FROM student_results/.test(sql)) return [ROWS];
+                if (/FROM students/.test(sql)) return [[{ id: 's1', first_name: 'Ada', last_name: 'Obi' }, { id: 's2', first_name: 'Ben', last_name: 'Eze' }]];
+                throw new Error(`Unexpected query: ${sql}`);
+            },
+        };
+
+        it('ranks students on their annual average and recommends promotion on the pass mark', async () => {
+            const sheet = await results.buildSessionBroadsheet('c1', '2025/2026', { db });
+            assert.deepEqual(sheet.terms.map(t => t.key), ['first_term', 'second_term', 'third_term']);
+            assert.deepEqual(sheet.students.map(s => [s.name, s.position, s.promotion.recommendation]), [
+                ['Ada Obi', '1st', 'Promote'],
+                ['Ben Eze', '2nd', 'Repeat'],
+            ]);
+            assert.deepEqual(sheet.students[1].subjects.find(s => s.subject_id === '2'), {
+                subject_id: '2',
+                subject: 'Subject 2',
+                first_term: 40,
+                second_term: null,
+                third_term: null,
+                annual_total: 40,
+                annual_average: 40,
+                grade: 'E',
+                remark: 'Pass',
+            });
+            assert.equal(sheet.subjects.find(s => s.subject_id === '1').class_average, 57.5);
+        });
+
+        it("gives a student their class position when only some of their results are published", async () => {
+            // Ben's Third Term result isn't published, so his own annual average leaves it out
+            const published = ROWS.filter(r => r.student_id === 's2' && r.term_id !== 't3');
+            const partlyPublished = {
+                async query(sql, params) {
+                    if (/SELECT DISTINCT sr\.class_id/.test(sql)) return [[{ class_id: 'c1', name: 'Third Term' }]];
+                    if (/sr\.student_id = \?/.test(sql)) {
+                        assert.match(sql, /sr\.published = TRUE/);
+                        assert.equal(params[0], 's2');
+                        return [published];
+                    }
+                    return db.query(sql, params);
+                },
+            };
+
+            const student = { id: 's2', first_name: 'Ben', last_name: 'Eze' };
+            const { data } = await results.buildSessionResult(student, '2025/2026', { publishedOnly: true, db: partlyPublished });
+            assert.equal(data.result.annual_average, 36.25);
+            assert.equal(data.result.position, '2nd');
+            assert.equal(data.result.out_of, 2);
+        });
+    });
+});